@@ -8,20 +8,36 @@ export interface GovernanceRootPublisher$Type {
   readonly _format: "hh3-artifact-1";
   readonly contractName: "GovernanceRootPublisher";
   readonly sourceName: "contracts/GovernanceRootPublisher.sol";
-  readonly abi: [{"inputs":[],"stateMutability":"nonpayable","type":"constructor"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"proposalId","type":"uint256"},{"indexed":true,"internalType":"address","name":"proposer","type":"address"},{"indexed":true,"internalType":"bytes32","name":"actionDataHash","type":"bytes32"},{"indexed":false,"internalType":"uint256","name":"snapshotBlock","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"ER_snapshot","type":"uint256"},{"indexed":false,"internalType":"bytes32","name":"powerRoot","type":"bytes32"},{"indexed":false,"internalType":"string","name":"metadata","type":"string"},{"indexed":false,"internalType":"uint256","name":"createdAt","type":"uint256"}],"name":"ProposalCreated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"proposalId","type":"uint256"},{"indexed":false,"internalType":"string","name":"metadata","type":"string"}],"name":"ProposalMetadataUpdated","type":"event"},{"inputs":[{"internalType":"uint256","name":"proposalId","type":"uint256"}],"name":"getProposalCore","outputs":[{"internalType":"address","name":"proposer","type":"address"},{"internalType":"bytes32","name":"actionDataHash","type":"bytes32"},{"internalType":"uint256","name":"snapshotBlock","type":"uint256"},{"internalType":"uint256","name":"ER_snapshot","type":"uint256"},{"internalType":"bytes32","name":"powerRoot","type":"bytes32"},{"internalType":"string","name":"metadata","type":"string"},{"internalType":"uint256","name":"createdAt","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"proposalId","type":"uint256"}],"name":"isPublished","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"proposals","outputs":[{"internalType":"address","name":"proposer","type":"address"},{"internalType":"bytes32","name":"actionDataHash","type":"bytes32"},{"internalType":"uint256","name":"snapshotBlock","type":"uint256"},{"internalType":"uint256","name":"ER_snapshot","type":"uint256"},{"internalType":"bytes32","name":"powerRoot","type":"bytes32"},{"internalType":"string","name":"metadata","type":"string"},{"internalType":"uint256","name":"createdAt","type":"uint256"},{"internalType":"enum GovernanceRootPublisher.ProposalState","name":"state","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"proposalId","type":"uint256"},{"internalType":"bytes32","name":"actionDataHash","type":"bytes32"},{"internalType":"uint256","name":"snapshotBlock","type":"uint256"},{"internalType":"uint256","name":"ER_snapshot","type":"uint256"},{"internalType":"bytes32","name":"powerRoot","type":"bytes32"},{"internalType":"string","name":"metadata","type":"string"}],"name":"publishProposal","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"proposalId","type":"uint256"},{"internalType":"string","name":"metadata","type":"string"}],"name":"updateMetadata","outputs":[],"stateMutability":"nonpayable","type":"function"}];
-  readonly bytecode: "0x6080604052348015600e575f5ffd5b506113508061001c5f395ff3fe608060405234801561000f575f5ffd5b5060043610610055575f3560e01c8063013cf08b146100595780632112142b1461009057806353c8388e146100c6578063785f0349146100e25780637b156fb5146100fe575b5f5ffd5b610073600480360381019061006e9190610835565b61012e565b6040516100879897969594939291906109a9565b60405180910390f35b6100aa60048036038101906100a59190610835565b610222565b6040516100bd9796959493929190610a2c565b60405180910390f35b6100e060048036038101906100db9190610b01565b610397565b005b6100fc60048036038101906100f79190610b88565b610504565b005b61011860048036038101906101139190610835565b6107ac565b6040516101259190610c4c565b60405180910390f35b5f602052805f5260405f205f91509050805f015f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff169080600101549080600201549080600301549080600401549080600501805461018990610c92565b80601f01602080910402602001604051908101604052809291908181526020018280546101b590610c92565b80156102005780601f106101d757610100808354040283529160200191610200565b820191905f5260205f20905b8154815290600101906020018083116101e357829003601f168201915b505050505090806006015490806007015f9054906101000a900460ff16905088565b5f5f5f5f5f60605f5f5f5f8a81526020019081526020015f2090506001808111156102505761024f610936565b5b816007015f9054906101000a900460ff16600181111561027357610272610936565b5b146102b3576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016102aa90610d0c565b60405180910390fd5b805f015f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1681600101548260020154836003015484600401548560050186600601548180546102ff90610c92565b80601f016020809104026020016040519081016040528092919081815260200182805461032b90610c92565b80156103765780601f1061034d57610100808354040283529160200191610376565b820191905f5260205f20905b81548152906001019060200180831161035957829003601f168201915b50505050509150975097509750975097509750975050919395979092949650565b5f5f5f8581526020019081526020015f2090506001808111156103bd576103bc610936565b5b816007015f9054906101000a900460ff1660018111156103e0576103df610936565b5b14610420576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161041790610d0c565b60405180910390fd5b3373ffffffffffffffffffffffffffffffffffffffff16815f015f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16146104b0576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016104a790610d74565b60405180910390fd5b82828260050191826104c3929190610f69565b50837ffb07476896ebf33acacfc8e80d7be15cb631ef4f45575a3a680cd9f0b681c69a84846040516104f6929190611070565b60405180910390a250505050565b5f8703610546576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161053d906110dc565b60405180910390fd5b5f5f1b860361058a576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161058190611144565b60405180910390fd5b5f5f1b83036105ce576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016105c5906111ac565b60405180910390fd5b43851115610611576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016106089061123a565b60405180910390fd5b5f5f5f8981526020019081526020015f2090505f600181111561063757610636610936565b5b816007015f9054906101000a900460ff16600181111561065a57610659610936565b5b1461069a576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610691906112a2565b60405180910390fd5b33815f015f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508681600101819055508581600201819055508481600301819055508381600401819055508282826005019182610712929190610f69565b504281600601819055506001816007015f6101000a81548160ff0219169083600181111561074357610742610936565b5b0217905550863373ffffffffffffffffffffffffffffffffffffffff16897f2c92b0fa611ae6b94cda6f3956f7bd9a7967dc50fd0b7748d5f168cdef3d6c3289898989894260405161079a969594939291906112c0565b60405180910390a45050505050505050565b5f6001808111156107c0576107bf610936565b5b5f5f8481526020019081526020015f206007015f9054906101000a900460ff1660018111156107f2576107f1610936565b5b149050919050565b5f5ffd5b5f5ffd5b5f819050919050565b61081481610802565b811461081e575f5ffd5b50565b5f8135905061082f8161080b565b92915050565b5f6020828403121561084a576108496107fa565b5b5f61085784828501610821565b91505092915050565b5f73ffffffffffffffffffffffffffffffffffffffff82169050919050565b5f61088982610860565b9050919050565b6108998161087f565b82525050565b5f819050919050565b6108b18161089f565b82525050565b6108c081610802565b82525050565b5f81519050919050565b5f82825260208201905092915050565b8281835e5f83830152505050565b5f601f19601f8301169050919050565b5f610908826108c6565b61091281856108d0565b93506109228185602086016108e0565b61092b816108ee565b840191505092915050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52602160045260245ffd5b6002811061097457610973610936565b5b50565b5f81905061098482610963565b919050565b5f61099382610977565b9050919050565b6109a381610989565b82525050565b5f610100820190506109bd5f83018b610890565b6109ca602083018a6108a8565b6109d760408301896108b7565b6109e460608301886108b7565b6109f160808301876108a8565b81810360a0830152610a0381866108fe565b9050610a1260c08301856108b7565b610a1f60e083018461099a565b9998505050505050505050565b5f60e082019050610a3f5f83018a610890565b610a4c60208301896108a8565b610a5960408301886108b7565b610a6660608301876108b7565b610a7360808301866108a8565b81810360a0830152610a8581856108fe565b9050610a9460c08301846108b7565b98975050505050505050565b5f5ffd5b5f5ffd5b5f5ffd5b5f5f83601f840112610ac157610ac0610aa0565b5b8235905067ffffffffffffffff811115610ade57610add610aa4565b5b602083019150836001820283011115610afa57610af9610aa8565b5b9250929050565b5f5f5f60408486031215610b1857610b176107fa565b5b5f610b2586828701610821565b935050602084013567ffffffffffffffff811115610b4657610b456107fe565b5b610b5286828701610aac565b92509250509250925092565b610b678161089f565b8114610b71575f5ffd5b50565b5f81359050610b8281610b5e565b92915050565b5f5f5f5f5f5f5f60c0888a031215610ba357610ba26107fa565b5b5f610bb08a828b01610821565b9750506020610bc18a828b01610b74565b9650506040610bd28a828b01610821565b9550506060610be38a828b01610821565b9450506080610bf48a828b01610b74565b93505060a088013567ffffffffffffffff811115610c1557610c146107fe565b5b610c218a828b01610aac565b925092505092959891949750929550565b5f8115159050919050565b610c4681610c32565b82525050565b5f602082019050610c5f5f830184610c3d565b92915050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52602260045260245ffd5b5f6002820490506001821680610ca957607f821691505b602082108103610cbc57610cbb610c65565b5b50919050565b7f70726f706f73616c206e6f74207075626c6973686564000000000000000000005f82015250565b5f610cf66016836108d0565b9150610d0182610cc2565b602082019050919050565b5f6020820190508181035f830152610d2381610cea565b9050919050565b7f6f6e6c792070726f706f736572000000000000000000000000000000000000005f82015250565b5f610d5e600d836108d0565b9150610d6982610d2a565b602082019050919050565b5f6020820190508181035f830152610d8b81610d52565b9050919050565b5f82905092915050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52604160045260245ffd5b5f819050815f5260205f209050919050565b5f6020601f8301049050919050565b5f82821b905092915050565b5f60088302610e257fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff82610dea565b610e2f8683610dea565b95508019841693508086168417925050509392505050565b5f819050919050565b5f610e6a610e65610e6084610802565b610e47565b610802565b9050919050565b5f819050919050565b610e8383610e50565b610e97610e8f82610e71565b848454610df6565b825550505050565b5f5f905090565b610eae610e9f565b610eb9818484610e7a565b505050565b5b81811015610edc57610ed15f82610ea6565b600181019050610ebf565b5050565b601f821115610f2157610ef281610dc9565b610efb84610ddb565b81016020851015610f0a578190505b610f1e610f1685610ddb565b830182610ebe565b50505b505050565b5f82821c905092915050565b5f610f415f1984600802610f26565b1980831691505092915050565b5f610f598383610f32565b9150826002028217905092915050565b610f738383610d92565b67ffffffffffffffff811115610f8c57610f8b610d9c565b5b610f968254610c92565b610fa1828285610ee0565b5f601f831160018114610fce575f8415610fbc578287013590505b610fc68582610f4e565b86555061102d565b601f198416610fdc86610dc9565b5f5b8281101561100357848901358255600182019150602085019450602081019050610fde565b86831015611020578489013561101c601f891682610f32565b8355505b6001600288020188555050505b50505050505050565b828183375f83830152505050565b5f61104f83856108d0565b935061105c838584611036565b611065836108ee565b840190509392505050565b5f6020820190508181035f830152611089818486611044565b90509392505050565b7f70726f706f73616c49643d3000000000000000000000000000000000000000005f82015250565b5f6110c6600c836108d0565b91506110d182611092565b602082019050919050565b5f6020820190508181035f8301526110f3816110ba565b9050919050565b7f616374696f6e44617461486173683d30000000000000000000000000000000005f82015250565b5f61112e6010836108d0565b9150611139826110fa565b602082019050919050565b5f6020820190508181035f83015261115b81611122565b9050919050565b7f706f776572526f6f743d300000000000000000000000000000000000000000005f82015250565b5f611196600b836108d0565b91506111a182611162565b602082019050919050565b5f6020820190508181035f8301526111c38161118a565b9050919050565b7f736e617073686f74426c6f636b206d757374206265203c3d2063757272656e745f8201527f20626c6f636b0000000000000000000000000000000000000000000000000000602082015250565b5f6112246026836108d0565b915061122f826111ca565b604082019050919050565b5f6020820190508181035f83015261125181611218565b9050919050565b7f70726f706f73616c2065786973747300000000000000000000000000000000005f82015250565b5f61128c600f836108d0565b915061129782611258565b602082019050919050565b5f6020820190508181035f8301526112b981611280565b9050919050565b5f60a0820190506112d35f8301896108b7565b6112e060208301886108b7565b6112ed60408301876108a8565b8181036060830152611300818587611044565b905061130f60808301846108b7565b97965050505050505056fea26469706673582212209d2455b16e081f502ed4a2f9f238b1596ce5b8d5112ad787aeb9ce642f92de3b64736f6c634300081c0033";
-  readonly deployedBytecode: "0x608060405234801561000f575f5ffd5b5060043610610055575f3560e01c8063013cf08b146100595780632112142b1461009057806353c8388e146100c6578063785f0349146100e25780637b156fb5146100fe575b5f5ffd5b610073600480360381019061006e9190610835565b61012e565b6040516100879897969594939291906109a9565b60405180910390f35b6100aa60048036038101906100a59190610835565b610222565b6040516100bd9796959493929190610a2c565b60405180910390f35b6100e060048036038101906100db9190610b01565b610397565b005b6100fc60048036038101906100f79190610b88565b610504565b005b61011860048036038101906101139190610835565b6107ac565b6040516101259190610c4c565b60405180910390f35b5f602052805f5260405f205f91509050805f015f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff169080600101549080600201549080600301549080600401549080600501805461018990610c92565b80601f01602080910402602001604051908101604052809291908181526020018280546101b590610c92565b80156102005780601f106101d757610100808354040283529160200191610200565b820191905f5260205f20905b8154815290600101906020018083116101e357829003601f168201915b505050505090806006015490806007015f9054906101000a900460ff16905088565b5f5f5f5f5f60605f5f5f5f8a81526020019081526020015f2090506001808111156102505761024f610936565b5b816007015f9054906101000a900460ff16600181111561027357610272610936565b5b146102b3576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016102aa90610d0c565b60405180910390fd5b805f015f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1681600101548260020154836003015484600401548560050186600601548180546102ff90610c92565b80601f016020809104026020016040519081016040528092919081815260200182805461032b90610c92565b80156103765780601f1061034d57610100808354040283529160200191610376565b820191905f5260205f20905b81548152906001019060200180831161035957829003601f168201915b50505050509150975097509750975097509750975050919395979092949650565b5f5f5f8581526020019081526020015f2090506001808111156103bd576103bc610936565b5b816007015f9054906101000a900460ff1660018111156103e0576103df610936565b5b14610420576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161041790610d0c565b60405180910390fd5b3373ffffffffffffffffffffffffffffffffffffffff16815f015f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16146104b0576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016104a790610d74565b60405180910390fd5b82828260050191826104c3929190610f69565b50837ffb07476896ebf33acacfc8e80d7be15cb631ef4f45575a3a680cd9f0b681c69a84846040516104f6929190611070565b60405180910390a250505050565b5f8703610546576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161053d906110dc565b60405180910390fd5b5f5f1b860361058a576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161058190611144565b60405180910390fd5b5f5f1b83036105ce576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016105c5906111ac565b60405180910390fd5b43851115610611576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016106089061123a565b60405180910390fd5b5f5f5f8981526020019081526020015f2090505f600181111561063757610636610936565b5b816007015f9054906101000a900460ff16600181111561065a57610659610936565b5b1461069a576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610691906112a2565b60405180910390fd5b33815f015f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508681600101819055508581600201819055508481600301819055508381600401819055508282826005019182610712929190610f69565b504281600601819055506001816007015f6101000a81548160ff0219169083600181111561074357610742610936565b5b0217905550863373ffffffffffffffffffffffffffffffffffffffff16897f2c92b0fa611ae6b94cda6f3956f7bd9a7967dc50fd0b7748d5f168cdef3d6c3289898989894260405161079a969594939291906112c0565b60405180910390a45050505050505050565b5f6001808111156107c0576107bf610936565b5b5f5f8481526020019081526020015f206007015f9054906101000a900460ff1660018111156107f2576107f1610936565b5b149050919050565b5f5ffd5b5f5ffd5b5f819050919050565b61081481610802565b811461081e575f5ffd5b50565b5f8135905061082f8161080b565b92915050565b5f6020828403121561084a576108496107fa565b5b5f61085784828501610821565b91505092915050565b5f73ffffffffffffffffffffffffffffffffffffffff82169050919050565b5f61088982610860565b9050919050565b6108998161087f565b82525050565b5f819050919050565b6108b18161089f565b82525050565b6108c081610802565b82525050565b5f81519050919050565b5f82825260208201905092915050565b8281835e5f83830152505050565b5f601f19601f8301169050919050565b5f610908826108c6565b61091281856108d0565b93506109228185602086016108e0565b61092b816108ee565b840191505092915050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52602160045260245ffd5b6002811061097457610973610936565b5b50565b5f81905061098482610963565b919050565b5f61099382610977565b9050919050565b6109a381610989565b82525050565b5f610100820190506109bd5f83018b610890565b6109ca602083018a6108a8565b6109d760408301896108b7565b6109e460608301886108b7565b6109f160808301876108a8565b81810360a0830152610a0381866108fe565b9050610a1260c08301856108b7565b610a1f60e083018461099a565b9998505050505050505050565b5f60e082019050610a3f5f83018a610890565b610a4c60208301896108a8565b610a5960408301886108b7565b610a6660608301876108b7565b610a7360808301866108a8565b81810360a0830152610a8581856108fe565b9050610a9460c08301846108b7565b98975050505050505050565b5f5ffd5b5f5ffd5b5f5ffd5b5f5f83601f840112610ac157610ac0610aa0565b5b8235905067ffffffffffffffff811115610ade57610add610aa4565b5b602083019150836001820283011115610afa57610af9610aa8565b5b9250929050565b5f5f5f60408486031215610b1857610b176107fa565b5b5f610b2586828701610821565b935050602084013567ffffffffffffffff811115610b4657610b456107fe565b5b610b5286828701610aac565b92509250509250925092565b610b678161089f565b8114610b71575f5ffd5b50565b5f81359050610b8281610b5e565b92915050565b5f5f5f5f5f5f5f60c0888a031215610ba357610ba26107fa565b5b5f610bb08a828b01610821565b9750506020610bc18a828b01610b74565b9650506040610bd28a828b01610821565b9550506060610be38a828b01610821565b9450506080610bf48a828b01610b74565b93505060a088013567ffffffffffffffff811115610c1557610c146107fe565b5b610c218a828b01610aac565b925092505092959891949750929550565b5f8115159050919050565b610c4681610c32565b82525050565b5f602082019050610c5f5f830184610c3d565b92915050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52602260045260245ffd5b5f6002820490506001821680610ca957607f821691505b602082108103610cbc57610cbb610c65565b5b50919050565b7f70726f706f73616c206e6f74207075626c6973686564000000000000000000005f82015250565b5f610cf66016836108d0565b9150610d0182610cc2565b602082019050919050565b5f6020820190508181035f830152610d2381610cea565b9050919050565b7f6f6e6c792070726f706f736572000000000000000000000000000000000000005f82015250565b5f610d5e600d836108d0565b9150610d6982610d2a565b602082019050919050565b5f6020820190508181035f830152610d8b81610d52565b9050919050565b5f82905092915050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52604160045260245ffd5b5f819050815f5260205f209050919050565b5f6020601f8301049050919050565b5f82821b905092915050565b5f60088302610e257fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff82610dea565b610e2f8683610dea565b95508019841693508086168417925050509392505050565b5f819050919050565b5f610e6a610e65610e6084610802565b610e47565b610802565b9050919050565b5f819050919050565b610e8383610e50565b610e97610e8f82610e71565b848454610df6565b825550505050565b5f5f905090565b610eae610e9f565b610eb9818484610e7a565b505050565b5b81811015610edc57610ed15f82610ea6565b600181019050610ebf565b5050565b601f821115610f2157610ef281610dc9565b610efb84610ddb565b81016020851015610f0a578190505b610f1e610f1685610ddb565b830182610ebe565b50505b505050565b5f82821c905092915050565b5f610f415f1984600802610f26565b1980831691505092915050565b5f610f598383610f32565b9150826002028217905092915050565b610f738383610d92565b67ffffffffffffffff811115610f8c57610f8b610d9c565b5b610f968254610c92565b610fa1828285610ee0565b5f601f831160018114610fce575f8415610fbc578287013590505b610fc68582610f4e565b86555061102d565b601f198416610fdc86610dc9565b5f5b8281101561100357848901358255600182019150602085019450602081019050610fde565b86831015611020578489013561101c601f891682610f32565b8355505b6001600288020188555050505b50505050505050565b828183375f83830152505050565b5f61104f83856108d0565b935061105c838584611036565b611065836108ee565b840190509392505050565b5f6020820190508181035f830152611089818486611044565b90509392505050565b7f70726f706f73616c49643d3000000000000000000000000000000000000000005f82015250565b5f6110c6600c836108d0565b91506110d182611092565b602082019050919050565b5f6020820190508181035f8301526110f3816110ba565b9050919050565b7f616374696f6e44617461486173683d30000000000000000000000000000000005f82015250565b5f61112e6010836108d0565b9150611139826110fa565b602082019050919050565b5f6020820190508181035f83015261115b81611122565b9050919050565b7f706f776572526f6f743d300000000000000000000000000000000000000000005f82015250565b5f611196600b836108d0565b91506111a182611162565b602082019050919050565b5f6020820190508181035f8301526111c38161118a565b9050919050565b7f736e617073686f74426c6f636b206d757374206265203c3d2063757272656e745f8201527f20626c6f636b0000000000000000000000000000000000000000000000000000602082015250565b5f6112246026836108d0565b915061122f826111ca565b604082019050919050565b5f6020820190508181035f83015261125181611218565b9050919050565b7f70726f706f73616c2065786973747300000000000000000000000000000000005f82015250565b5f61128c600f836108d0565b915061129782611258565b602082019050919050565b5f6020820190508181035f8301526112b981611280565b9050919050565b5f60a0820190506112d35f8301896108b7565b6112e060208301886108b7565b6112ed60408301876108a8565b8181036060830152611300818587611044565b905061130f60808301846108b7565b97965050505050505056fea26469706673582212209d2455b16e081f502ed4a2f9f238b1596ce5b8d5112ad787aeb9ce642f92de3b64736f6c634300081c0033";
+  readonly abi: [{"inputs":[{"internalType":"address","name":"_vault","type":"address"}],"stateMutability":"nonpayable","type":"constructor"},{"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"OwnableInvalidOwner","type":"error"},{"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"OwnableUnauthorizedAccount","type":"error"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"messenger","type":"address"},{"indexed":false,"internalType":"uint256","name":"destinationChainId","type":"uint256"},{"indexed":false,"internalType":"address","name":"destinationVerifier","type":"address"}],"name":"MessengerUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"proposalId","type":"uint256"},{"indexed":true,"internalType":"address","name":"proposer","type":"address"},{"indexed":true,"internalType":"bytes32","name":"actionDataHash","type":"bytes32"},{"indexed":false,"internalType":"uint256","name":"snapshotBlock","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"ER_snapshot","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"snapshotStake","type":"uint256"},{"indexed":false,"internalType":"bytes32","name":"powerRoot","type":"bytes32"},{"indexed":false,"internalType":"string","name":"metadata","type":"string"},{"indexed":false,"internalType":"bytes32","name":"metadataHash","type":"bytes32"},{"indexed":false,"internalType":"uint256","name":"createdAt","type":"uint256"}],"name":"ProposalCreated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"proposalId","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"revision","type":"uint256"},{"indexed":true,"internalType":"bytes32","name":"metadataHash","type":"bytes32"},{"indexed":false,"internalType":"bytes32","name":"previousHash","type":"bytes32"},{"indexed":false,"internalType":"string","name":"metadata","type":"string"}],"name":"ProposalMetadataUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"proposalId","type":"uint256"},{"indexed":true,"internalType":"bytes32","name":"messageId","type":"bytes32"}],"name":"ProposalSent","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"account","type":"address"},{"indexed":false,"internalType":"bool","name":"allowed","type":"bool"}],"name":"ProposerUpdated","type":"event"},{"inputs":[],"name":"destinationChainId","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"destinationVerifier","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"proposalId","type":"uint256"}],"name":"getProposalCore","outputs":[{"internalType":"address","name":"proposer","type":"address"},{"internalType":"bytes32","name":"actionDataHash","type":"bytes32"},{"internalType":"uint256","name":"snapshotBlock","type":"uint256"},{"internalType":"uint256","name":"ER_snapshot","type":"uint256"},{"internalType":"bytes32","name":"powerRoot","type":"bytes32"},{"internalType":"string","name":"metadata","type":"string"},{"internalType":"uint256","name":"createdAt","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"isProposer","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"proposalId","type":"uint256"}],"name":"isPublished","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"messenger","outputs":[{"internalType":"contract ICrossChainMessenger","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"proposalId","type":"uint256"}],"name":"metadataHistory","outputs":[{"internalType":"bytes32[]","name":"","type":"bytes32[]"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"proposals","outputs":[{"internalType":"address","name":"proposer","type":"address"},{"internalType":"bytes32","name":"actionDataHash","type":"bytes32"},{"internalType":"uint256","name":"snapshotBlock","type":"uint256"},{"internalType":"uint256","name":"ER_snapshot","type":"uint256"},{"internalType":"uint256","name":"snapshotStake","type":"uint256"},{"internalType":"bytes32","name":"powerRoot","type":"bytes32"},{"internalType":"string","name":"metadata","type":"string"},{"internalType":"uint256","name":"createdAt","type":"uint256"},{"internalType":"enum GovernanceRootPublisher.ProposalState","name":"state","type":"uint8"},{"internalType":"bytes32","name":"metadataHash","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"proposalId","type":"uint256"},{"internalType":"bytes32","name":"actionDataHash","type":"bytes32"},{"internalType":"uint256","name":"snapshotBlock","type":"uint256"},{"internalType":"bytes32","name":"powerRoot","type":"bytes32"},{"internalType":"bytes32","name":"metadataHash","type":"bytes32"},{"internalType":"string","name":"metadata","type":"string"}],"name":"publishProposal","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"proposalId","type":"uint256"}],"name":"sendProposal","outputs":[{"internalType":"bytes32","name":"messageId","type":"bytes32"}],"stateMutability":"payable","type":"function"},{"inputs":[{"internalType":"address","name":"_messenger","type":"address"},{"internalType":"uint256","name":"_destinationChainId","type":"uint256"},{"internalType":"address","name":"_verifier","type":"address"}],"name":"setMessenger","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"account","type":"address"},{"internalType":"bool","name":"allowed","type":"bool"}],"name":"setProposer","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"proposalId","type":"uint256"},{"internalType":"bytes32","name":"metadataHash","type":"bytes32"},{"internalType":"string","name":"metadata","type":"string"}],"name":"updateMetadata","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"vault","outputs":[{"internalType":"contract IExchangeRateCheckpoints","name":"","type":"address"}],"stateMutability":"view","type":"function"}];
+  readonly bytecode: "0x60a060405234801561000f575f5ffd5b5060405161175c38038061175c83398101604081905261002e916100fe565b338061005457604051631e4fbdf760e01b81525f60048201526024015b60405180910390fd5b61005d816100af565b506001600160a01b03811661009e5760405162461bcd60e51b815260206004820152600760248201526607661756c743d360cc1b604482015260640161004b565b6001600160a01b031660805261012b565b5f80546001600160a01b038381166001600160a01b0319831681178455604051919092169283917f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e09190a35050565b5f6020828403121561010e575f5ffd5b81516001600160a01b0381168114610124575f5ffd5b9392505050565b60805161160b6101515f395f818161036101528181610a790152610af9015261160b5ff3fe6080604052600436106100fa575f3560e01c806395b8f71011610092578063ddfc7a8c11610062578063ddfc7a8c146102d4578063e9ed9b64146102f3578063f2fde38b14610312578063f4e29f1514610331578063fbfa77cf14610350575f5ffd5b806395b8f71014610253578063add212691461027f578063b07506111461029e578063bd1a3141146102c1575f5ffd5b8063715018a6116100cd578063715018a6146101c457806374ec29a0146101da5780637b156fb5146102185780638da5cb5b14610237575f5ffd5b8063013cf08b146100fe5780632112142b1461013c5780633cb747bf1461016e578063629182f5146101a5575b5f5ffd5b348015610109575f5ffd5b5061011d610118366004611000565b610383565b6040516101339a99989796959493929190611059565b60405180910390f35b348015610147575f5ffd5b5061015b610156366004611000565b61046c565b60405161013397969594939291906110d7565b348015610179575f5ffd5b5060045461018d906001600160a01b031681565b6040516001600160a01b039091168152602001610133565b3480156101b0575f5ffd5b5060065461018d906001600160a01b031681565b3480156101cf575f5ffd5b506101d861059b565b005b3480156101e5575f5ffd5b506102086101f436600461113e565b60036020525f908152604090205460ff1681565b6040519015158152602001610133565b348015610223575f5ffd5b50610208610232366004611000565b6105ae565b348015610242575f5ffd5b505f546001600160a01b031661018d565b34801561025e575f5ffd5b5061027261026d366004611000565b6105db565b604051610133919061115e565b34801561028a575f5ffd5b506101d86102993660046111a0565b61063a565b3480156102a9575f5ffd5b506102b360055481565b604051908152602001610133565b6102b36102cf366004611000565b61071d565b3480156102df575f5ffd5b506101d86102ee36600461121e565b6108aa565b3480156102fe575f5ffd5b506101d861030d36600461128c565b610cf7565b34801561031d575f5ffd5b506101d861032c36600461113e565b610da0565b34801561033c575f5ffd5b506101d861034b3660046112c5565b610ddd565b34801561035b575f5ffd5b5061018d7f000000000000000000000000000000000000000000000000000000000000000081565b600160208190525f918252604090912080549181015460028201546003830154600484015460058501546006860180546001600160a01b039098169795969495939492939192916103d390611314565b80601f01602080910402602001604051908101604052809291908181526020018280546103ff90611314565b801561044a5780601f106104215761010080835404028352916020019161044a565b820191905f5260205f20905b81548152906001019060200180831161042d57829003601f168201915b50505050600783015460088401546009909401549293909260ff90911691508a565b5f81815260016020819052604082208291829182918291606091839190600882015460ff1660018111156104a2576104a2611045565b146104c85760405162461bcd60e51b81526004016104bf9061134c565b60405180910390fd5b8054600182015460028301546003840154600585015460078601546006870180546001600160a01b0390971696909190829061050390611314565b80601f016020809104026020016040519081016040528092919081815260200182805461052f90611314565b801561057a5780601f106105515761010080835404028352916020019161057a565b820191905f5260205f20905b81548152906001019060200180831161055d57829003601f168201915b50505050509150975097509750975097509750975050919395979092949650565b6105a3610f85565b6105ac5f610fb1565b565b5f81815260016020819052604082206008015460ff16818111156105d4576105d4611045565b1492915050565b5f8181526002602090815260409182902080548351818402810184019094528084526060939283018282801561062e57602002820191905f5260205f20905b81548152602001906001019080831161061a575b50505050509050919050565b610642610f85565b6001600160a01b038316158061066057506001600160a01b03811615155b6106995760405162461bcd60e51b815260206004820152600a602482015269076657269666965723d360b41b60448201526064016104bf565b600480546001600160a01b038086166001600160a01b03199283168117909355600585905560068054918516919092161790556040517fff19ce4ddc9a39e845acf8436923d5c56be8d5607586d5009a99727ec29d7a949061071090859085909182526001600160a01b0316602082015260400190565b60405180910390a2505050565b6004545f906001600160a01b03166107665760405162461bcd60e51b815260206004820152600c60248201526b37379036b2b9b9b2b733b2b960a11b60448201526064016104bf565b5f82815260016020819052604090912090600882015460ff16600181111561079057610790611045565b146107ad5760405162461bcd60e51b81526004016104bf9061134c565b6004805460058054600654600186015492860154948601546040516001600160a01b0395861696637056f41f963496941693610806938c9391929160200193845260208401929092526040830152606082015260800190565b6040516020818303038152906040526040518563ffffffff1660e01b81526004016108339392919061137c565b60206040518083038185885af115801561084f573d5f5f3e3d5ffd5b50505050506040513d601f19601f8201168201806040525081019061087491906113ae565b915081837f2a6bc22e7e6ed93998d72a91dad66259fd96ff0d93c005c846361d3895ae211460405160405180910390a350919050565b5f546001600160a01b03163314806108d05750335f9081526003602052604090205460ff165b61090d5760405162461bcd60e51b815260206004820152600e60248201526d3737ba103090383937b837b9b2b960911b60448201526064016104bf565b865f0361094b5760405162461bcd60e51b815260206004820152600c60248201526b070726f706f73616c49643d360a41b60448201526064016104bf565b8561098b5760405162461bcd60e51b815260206004820152601060248201526f0616374696f6e44617461486173683d360841b60448201526064016104bf565b836109c65760405162461bcd60e51b815260206004820152600b60248201526a0706f776572526f6f743d360ac1b60448201526064016104bf565b82610a045760405162461bcd60e51b815260206004820152600e60248201526d06d65746164617461486173683d360941b60448201526064016104bf565b438510610a615760405162461bcd60e51b815260206004820152602560248201527f736e617073686f74426c6f636b206d757374206265203c2063757272656e7420604482015264626c6f636b60d81b60648201526084016104bf565b6040516359c9b30560e01b8152600481018690525f907f00000000000000000000000000000000000000000000000000000000000000006001600160a01b0316906359c9b30590602401602060405180830381865afa158015610ac6573d5f5f3e3d5ffd5b505050506040513d601f19601f82011682018060405250810190610aea91906113ae565b90505f670de0b6b3a7640000827f00000000000000000000000000000000000000000000000000000000000000006001600160a01b0316638e539e8c8a6040518263ffffffff1660e01b8152600401610b4591815260200190565b602060405180830381865afa158015610b60573d5f5f3e3d5ffd5b505050506040513d601f19601f82011682018060405250810190610b8491906113ae565b610b8e91906113d9565b610b9891906113f6565b5f8a8152600160205260408120919250600882015460ff166001811115610bc157610bc1611045565b14610c005760405162461bcd60e51b815260206004820152600f60248201526e70726f706f73616c2065786973747360881b60448201526064016104bf565b80546001600160a01b03191633178155600181018990556002810188905560038101839055600481018290556005810187905560068101610c42858783611475565b50600981018690554260078201556008810180546001919060ff19168280021790555060025f8b81526020019081526020015f2086908060018154018082558091505060019003905f5260205f20015f909190919091505588336001600160a01b03168b7f1746e81011ee25d2efcb391aff022113f5e8f9c593ad2c66ada3210b7be700738b87878d8c8c8f42604051610ce3989796959493929190611557565b60405180910390a450505050505050505050565b610cff610f85565b6001600160a01b038216610d425760405162461bcd60e51b815260206004820152600a602482015269070726f706f7365723d360b41b60448201526064016104bf565b6001600160a01b0382165f81815260036020908152604091829020805460ff191685151590811790915591519182527f5df38d395edc15b669d646569bd015513395070b5b4deb8a16300abb060d1b5a910160405180910390a25050565b610da8610f85565b6001600160a01b038116610dd157604051631e4fbdf760e01b81525f60048201526024016104bf565b610dda81610fb1565b50565b5f84815260016020819052604090912090600882015460ff166001811115610e0757610e07611045565b14610e245760405162461bcd60e51b81526004016104bf9061134c565b80546001600160a01b03163314610e6d5760405162461bcd60e51b815260206004820152600d60248201526c37b7363c90383937b837b9b2b960991b60448201526064016104bf565b83610eab5760405162461bcd60e51b815260206004820152600e60248201526d06d65746164617461486173683d360941b60448201526064016104bf565b6009810154808503610ef45760405162461bcd60e51b81526020600482015260126024820152711b595d1859185d18481d5b98da185b99d95960721b60448201526064016104bf565b6009820185905560068201610f0a848683611475565b505f868152600260209081526040822080546001818101835582855292842001889055918890529054869188917f3692dc090c294cf47497b7048727effd0816cfd38421a1723a238c54bdd87a5a91610f6291611599565b848888604051610f7594939291906115ac565b60405180910390a3505050505050565b5f546001600160a01b031633146105ac5760405163118cdaa760e01b81523360048201526024016104bf565b5f80546001600160a01b038381166001600160a01b0319831681178455604051919092169283917f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e09190a35050565b5f60208284031215611010575f5ffd5b5035919050565b5f81518084528060208401602086015e5f602082860101526020601f19601f83011685010191505092915050565b634e487b7160e01b5f52602160045260245ffd5b60018060a01b038b1681528960208201528860408201528760608201528660808201528560a082015261014060c08201525f611099610140830187611017565b90508460e0830152600284106110bd57634e487b7160e01b5f52602160045260245ffd5b610100820193909352610120015298975050505050505050565b60018060a01b038816815286602082015285604082015284606082015283608082015260e060a08201525f61110f60e0830185611017565b90508260c083015298975050505050505050565b80356001600160a01b0381168114611139575f5ffd5b919050565b5f6020828403121561114e575f5ffd5b61115782611123565b9392505050565b602080825282518282018190525f918401906040840190835b81811015611195578351835260209384019390920191600101611177565b509095945050505050565b5f5f5f606084860312156111b2575f5ffd5b6111bb84611123565b9250602084013591506111d060408501611123565b90509250925092565b5f5f83601f8401126111e9575f5ffd5b50813567ffffffffffffffff811115611200575f5ffd5b602083019150836020828501011115611217575f5ffd5b9250929050565b5f5f5f5f5f5f5f60c0888a031215611234575f5ffd5b873596506020880135955060408801359450606088013593506080880135925060a088013567ffffffffffffffff81111561126d575f5ffd5b6112798a828b016111d9565b989b979a50959850939692959293505050565b5f5f6040838503121561129d575f5ffd5b6112a683611123565b9150602083013580151581146112ba575f5ffd5b809150509250929050565b5f5f5f5f606085870312156112d8575f5ffd5b8435935060208501359250604085013567ffffffffffffffff8111156112fc575f5ffd5b611308878288016111d9565b95989497509550505050565b600181811c9082168061132857607f821691505b60208210810361134657634e487b7160e01b5f52602260045260245ffd5b50919050565b6020808252601690820152751c1c9bdc1bdcd85b081b9bdd081c1d589b1a5cda195960521b604082015260600190565b8381526001600160a01b03831660208201526060604082018190525f906113a590830184611017565b95945050505050565b5f602082840312156113be575f5ffd5b5051919050565b634e487b7160e01b5f52601160045260245ffd5b80820281158282048414176113f0576113f06113c5565b92915050565b5f8261141057634e487b7160e01b5f52601260045260245ffd5b500490565b634e487b7160e01b5f52604160045260245ffd5b601f82111561147057805f5260205f20601f840160051c8101602085101561144e5750805b601f840160051c820191505b8181101561146d575f815560010161145a565b50505b505050565b67ffffffffffffffff83111561148d5761148d611415565b6114a18361149b8354611314565b83611429565b5f601f8411600181146114d2575f85156114bb5750838201355b5f19600387901b1c1916600186901b17835561146d565b5f83815260208120601f198716915b8281101561150157868501358255602094850194600190920191016114e1565b508682101561151d575f1960f88860031b161c19848701351681555b505060018560011b0183555050505050565b81835281816020850137505f828201602090810191909152601f909101601f19169091010190565b88815287602082015286604082015285606082015260e060808201525f61158260e08301868861152f565b60a08301949094525060c001529695505050505050565b818103818111156113f0576113f06113c5565b848152836020820152606060408201525f6115cb60608301848661152f565b969550505050505056fea2646970667358221220611470a418a8a7138b5896932aa7846130064cb46fe4d05d57d4398181383e9f64736f6c634300081c0033";
+  readonly deployedBytecode: "0x6080604052600436106100fa575f3560e01c806395b8f71011610092578063ddfc7a8c11610062578063ddfc7a8c146102d4578063e9ed9b64146102f3578063f2fde38b14610312578063f4e29f1514610331578063fbfa77cf14610350575f5ffd5b806395b8f71014610253578063add212691461027f578063b07506111461029e578063bd1a3141146102c1575f5ffd5b8063715018a6116100cd578063715018a6146101c457806374ec29a0146101da5780637b156fb5146102185780638da5cb5b14610237575f5ffd5b8063013cf08b146100fe5780632112142b1461013c5780633cb747bf1461016e578063629182f5146101a5575b5f5ffd5b348015610109575f5ffd5b5061011d610118366004611000565b610383565b6040516101339a99989796959493929190611059565b60405180910390f35b348015610147575f5ffd5b5061015b610156366004611000565b61046c565b60405161013397969594939291906110d7565b348015610179575f5ffd5b5060045461018d906001600160a01b031681565b6040516001600160a01b039091168152602001610133565b3480156101b0575f5ffd5b5060065461018d906001600160a01b031681565b3480156101cf575f5ffd5b506101d861059b565b005b3480156101e5575f5ffd5b506102086101f436600461113e565b60036020525f908152604090205460ff1681565b6040519015158152602001610133565b348015610223575f5ffd5b50610208610232366004611000565b6105ae565b348015610242575f5ffd5b505f546001600160a01b031661018d565b34801561025e575f5ffd5b5061027261026d366004611000565b6105db565b604051610133919061115e565b34801561028a575f5ffd5b506101d86102993660046111a0565b61063a565b3480156102a9575f5ffd5b506102b360055481565b604051908152602001610133565b6102b36102cf366004611000565b61071d565b3480156102df575f5ffd5b506101d86102ee36600461121e565b6108aa565b3480156102fe575f5ffd5b506101d861030d36600461128c565b610cf7565b34801561031d575f5ffd5b506101d861032c36600461113e565b610da0565b34801561033c575f5ffd5b506101d861034b3660046112c5565b610ddd565b34801561035b575f5ffd5b5061018d7f000000000000000000000000000000000000000000000000000000000000000081565b600160208190525f918252604090912080549181015460028201546003830154600484015460058501546006860180546001600160a01b039098169795969495939492939192916103d390611314565b80601f01602080910402602001604051908101604052809291908181526020018280546103ff90611314565b801561044a5780601f106104215761010080835404028352916020019161044a565b820191905f5260205f20905b81548152906001019060200180831161042d57829003601f168201915b50505050600783015460088401546009909401549293909260ff90911691508a565b5f81815260016020819052604082208291829182918291606091839190600882015460ff1660018111156104a2576104a2611045565b146104c85760405162461bcd60e51b81526004016104bf9061134c565b60405180910390fd5b8054600182015460028301546003840154600585015460078601546006870180546001600160a01b0390971696909190829061050390611314565b80601f016020809104026020016040519081016040528092919081815260200182805461052f90611314565b801561057a5780601f106105515761010080835404028352916020019161057a565b820191905f5260205f20905b81548152906001019060200180831161055d57829003601f168201915b50505050509150975097509750975097509750975050919395979092949650565b6105a3610f85565b6105ac5f610fb1565b565b5f81815260016020819052604082206008015460ff16818111156105d4576105d4611045565b1492915050565b5f8181526002602090815260409182902080548351818402810184019094528084526060939283018282801561062e57602002820191905f5260205f20905b81548152602001906001019080831161061a575b50505050509050919050565b610642610f85565b6001600160a01b038316158061066057506001600160a01b03811615155b6106995760405162461bcd60e51b815260206004820152600a602482015269076657269666965723d360b41b60448201526064016104bf565b600480546001600160a01b038086166001600160a01b03199283168117909355600585905560068054918516919092161790556040517fff19ce4ddc9a39e845acf8436923d5c56be8d5607586d5009a99727ec29d7a949061071090859085909182526001600160a01b0316602082015260400190565b60405180910390a2505050565b6004545f906001600160a01b03166107665760405162461bcd60e51b815260206004820152600c60248201526b37379036b2b9b9b2b733b2b960a11b60448201526064016104bf565b5f82815260016020819052604090912090600882015460ff16600181111561079057610790611045565b146107ad5760405162461bcd60e51b81526004016104bf9061134c565b6004805460058054600654600186015492860154948601546040516001600160a01b0395861696637056f41f963496941693610806938c9391929160200193845260208401929092526040830152606082015260800190565b6040516020818303038152906040526040518563ffffffff1660e01b81526004016108339392919061137c565b60206040518083038185885af115801561084f573d5f5f3e3d5ffd5b50505050506040513d601f19601f8201168201806040525081019061087491906113ae565b915081837f2a6bc22e7e6ed93998d72a91dad66259fd96ff0d93c005c846361d3895ae211460405160405180910390a350919050565b5f546001600160a01b03163314806108d05750335f9081526003602052604090205460ff165b61090d5760405162461bcd60e51b815260206004820152600e60248201526d3737ba103090383937b837b9b2b960911b60448201526064016104bf565b865f0361094b5760405162461bcd60e51b815260206004820152600c60248201526b070726f706f73616c49643d360a41b60448201526064016104bf565b8561098b5760405162461bcd60e51b815260206004820152601060248201526f0616374696f6e44617461486173683d360841b60448201526064016104bf565b836109c65760405162461bcd60e51b815260206004820152600b60248201526a0706f776572526f6f743d360ac1b60448201526064016104bf565b82610a045760405162461bcd60e51b815260206004820152600e60248201526d06d65746164617461486173683d360941b60448201526064016104bf565b438510610a615760405162461bcd60e51b815260206004820152602560248201527f736e617073686f74426c6f636b206d757374206265203c2063757272656e7420604482015264626c6f636b60d81b60648201526084016104bf565b6040516359c9b30560e01b8152600481018690525f907f00000000000000000000000000000000000000000000000000000000000000006001600160a01b0316906359c9b30590602401602060405180830381865afa158015610ac6573d5f5f3e3d5ffd5b505050506040513d601f19601f82011682018060405250810190610aea91906113ae565b90505f670de0b6b3a7640000827f00000000000000000000000000000000000000000000000000000000000000006001600160a01b0316638e539e8c8a6040518263ffffffff1660e01b8152600401610b4591815260200190565b602060405180830381865afa158015610b60573d5f5f3e3d5ffd5b505050506040513d601f19601f82011682018060405250810190610b8491906113ae565b610b8e91906113d9565b610b9891906113f6565b5f8a8152600160205260408120919250600882015460ff166001811115610bc157610bc1611045565b14610c005760405162461bcd60e51b815260206004820152600f60248201526e70726f706f73616c2065786973747360881b60448201526064016104bf565b80546001600160a01b03191633178155600181018990556002810188905560038101839055600481018290556005810187905560068101610c42858783611475565b50600981018690554260078201556008810180546001919060ff19168280021790555060025f8b81526020019081526020015f2086908060018154018082558091505060019003905f5260205f20015f909190919091505588336001600160a01b03168b7f1746e81011ee25d2efcb391aff022113f5e8f9c593ad2c66ada3210b7be700738b87878d8c8c8f42604051610ce3989796959493929190611557565b60405180910390a450505050505050505050565b610cff610f85565b6001600160a01b038216610d425760405162461bcd60e51b815260206004820152600a602482015269070726f706f7365723d360b41b60448201526064016104bf565b6001600160a01b0382165f81815260036020908152604091829020805460ff191685151590811790915591519182527f5df38d395edc15b669d646569bd015513395070b5b4deb8a16300abb060d1b5a910160405180910390a25050565b610da8610f85565b6001600160a01b038116610dd157604051631e4fbdf760e01b81525f60048201526024016104bf565b610dda81610fb1565b50565b5f84815260016020819052604090912090600882015460ff166001811115610e0757610e07611045565b14610e245760405162461bcd60e51b81526004016104bf9061134c565b80546001600160a01b03163314610e6d5760405162461bcd60e51b815260206004820152600d60248201526c37b7363c90383937b837b9b2b960991b60448201526064016104bf565b83610eab5760405162461bcd60e51b815260206004820152600e60248201526d06d65746164617461486173683d360941b60448201526064016104bf565b6009810154808503610ef45760405162461bcd60e51b81526020600482015260126024820152711b595d1859185d18481d5b98da185b99d95960721b60448201526064016104bf565b6009820185905560068201610f0a848683611475565b505f868152600260209081526040822080546001818101835582855292842001889055918890529054869188917f3692dc090c294cf47497b7048727effd0816cfd38421a1723a238c54bdd87a5a91610f6291611599565b848888604051610f7594939291906115ac565b60405180910390a3505050505050565b5f546001600160a01b031633146105ac5760405163118cdaa760e01b81523360048201526024016104bf565b5f80546001600160a01b038381166001600160a01b0319831681178455604051919092169283917f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e09190a35050565b5f60208284031215611010575f5ffd5b5035919050565b5f81518084528060208401602086015e5f602082860101526020601f19601f83011685010191505092915050565b634e487b7160e01b5f52602160045260245ffd5b60018060a01b038b1681528960208201528860408201528760608201528660808201528560a082015261014060c08201525f611099610140830187611017565b90508460e0830152600284106110bd57634e487b7160e01b5f52602160045260245ffd5b610100820193909352610120015298975050505050505050565b60018060a01b038816815286602082015285604082015284606082015283608082015260e060a08201525f61110f60e0830185611017565b90508260c083015298975050505050505050565b80356001600160a01b0381168114611139575f5ffd5b919050565b5f6020828403121561114e575f5ffd5b61115782611123565b9392505050565b602080825282518282018190525f918401906040840190835b81811015611195578351835260209384019390920191600101611177565b509095945050505050565b5f5f5f606084860312156111b2575f5ffd5b6111bb84611123565b9250602084013591506111d060408501611123565b90509250925092565b5f5f83601f8401126111e9575f5ffd5b50813567ffffffffffffffff811115611200575f5ffd5b602083019150836020828501011115611217575f5ffd5b9250929050565b5f5f5f5f5f5f5f60c0888a031215611234575f5ffd5b873596506020880135955060408801359450606088013593506080880135925060a088013567ffffffffffffffff81111561126d575f5ffd5b6112798a828b016111d9565b989b979a50959850939692959293505050565b5f5f6040838503121561129d575f5ffd5b6112a683611123565b9150602083013580151581146112ba575f5ffd5b809150509250929050565b5f5f5f5f606085870312156112d8575f5ffd5b8435935060208501359250604085013567ffffffffffffffff8111156112fc575f5ffd5b611308878288016111d9565b95989497509550505050565b600181811c9082168061132857607f821691505b60208210810361134657634e487b7160e01b5f52602260045260245ffd5b50919050565b6020808252601690820152751c1c9bdc1bdcd85b081b9bdd081c1d589b1a5cda195960521b604082015260600190565b8381526001600160a01b03831660208201526060604082018190525f906113a590830184611017565b95945050505050565b5f602082840312156113be575f5ffd5b5051919050565b634e487b7160e01b5f52601160045260245ffd5b80820281158282048414176113f0576113f06113c5565b92915050565b5f8261141057634e487b7160e01b5f52601260045260245ffd5b500490565b634e487b7160e01b5f52604160045260245ffd5b601f82111561147057805f5260205f20601f840160051c8101602085101561144e5750805b601f840160051c820191505b8181101561146d575f815560010161145a565b50505b505050565b67ffffffffffffffff83111561148d5761148d611415565b6114a18361149b8354611314565b83611429565b5f601f8411600181146114d2575f85156114bb5750838201355b5f19600387901b1c1916600186901b17835561146d565b5f83815260208120601f198716915b8281101561150157868501358255602094850194600190920191016114e1565b508682101561151d575f1960f88860031b161c19848701351681555b505060018560011b0183555050505050565b81835281816020850137505f828201602090810191909152601f909101601f19169091010190565b88815287602082015286604082015285606082015260e060808201525f61158260e08301868861152f565b60a08301949094525060c001529695505050505050565b818103818111156113f0576113f06113c5565b848152836020820152606060408201525f6115cb60608301848661152f565b969550505050505056fea2646970667358221220611470a418a8a7138b5896932aa7846130064cb46fe4d05d57d4398181383e9f64736f6c634300081c0033";
+  readonly linkReferences: {};
+  readonly deployedLinkReferences: {};
+  readonly immutableReferences: {"14953":[{"length":32,"start":865},{"length":32,"start":2681},{"length":32,"start":2809}]};
+  readonly inputSourceName: "project/contracts/GovernanceRootPublisher.sol";
+  readonly buildInfoId: "solc-0_8_28-debf001a747bb84bdab5527f26194d82188e0109";
+};
+
+export interface IExchangeRateCheckpoints$Type {
+  readonly _format: "hh3-artifact-1";
+  readonly contractName: "IExchangeRateCheckpoints";
+  readonly sourceName: "contracts/GovernanceRootPublisher.sol";
+  readonly abi: [{"inputs":[{"internalType":"uint256","name":"timepoint","type":"uint256"}],"name":"exchangeRateAt","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"timepoint","type":"uint256"}],"name":"getPastTotalSupply","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"}];
+  readonly bytecode: "0x";
+  readonly deployedBytecode: "0x";
   readonly linkReferences: {};
   readonly deployedLinkReferences: {};
   readonly immutableReferences: {};
   readonly inputSourceName: "project/contracts/GovernanceRootPublisher.sol";
-  readonly buildInfoId: "solc-0_8_28-88905df3f8e07b92ca7c6c093b89d9af3b3b0c73";
+  readonly buildInfoId: "solc-0_8_28-debf001a747bb84bdab5527f26194d82188e0109";
 };
 
 import "hardhat/types/artifacts";
 declare module "hardhat/types/artifacts" {
   interface ArtifactMap {
-    ["GovernanceRootPublisher"]: GovernanceRootPublisher$Type;
-    ["contracts/GovernanceRootPublisher.sol:GovernanceRootPublisher"]: GovernanceRootPublisher$Type;
+    ["GovernanceRootPublisher"]: GovernanceRootPublisher$Type
+    ["IExchangeRateCheckpoints"]: IExchangeRateCheckpoints$Type;
+    ["contracts/GovernanceRootPublisher.sol:GovernanceRootPublisher"]: GovernanceRootPublisher$Type
+    ["contracts/GovernanceRootPublisher.sol:IExchangeRateCheckpoints"]: IExchangeRateCheckpoints$Type;
   }
 }
\ No newline at end of file
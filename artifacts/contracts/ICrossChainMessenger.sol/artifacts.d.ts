@@ -0,0 +1,43 @@
+// This file was autogenerated by Hardhat, do not edit it.
+// prettier-ignore
+// tslint:disable
+// eslint-disable
+// biome-ignore format: see above
+
+export interface ICrossChainMessenger$Type {
+  readonly _format: "hh3-artifact-1";
+  readonly contractName: "ICrossChainMessenger";
+  readonly sourceName: "contracts/ICrossChainMessenger.sol";
+  readonly abi: [{"inputs":[{"internalType":"uint256","name":"destinationChainId","type":"uint256"},{"internalType":"address","name":"target","type":"address"},{"internalType":"bytes","name":"message","type":"bytes"}],"name":"sendMessage","outputs":[{"internalType":"bytes32","name":"messageId","type":"bytes32"}],"stateMutability":"payable","type":"function"}];
+  readonly bytecode: "0x";
+  readonly deployedBytecode: "0x";
+  readonly linkReferences: {};
+  readonly deployedLinkReferences: {};
+  readonly immutableReferences: {};
+  readonly inputSourceName: "project/contracts/ICrossChainMessenger.sol";
+  readonly buildInfoId: "solc-0_8_28-debf001a747bb84bdab5527f26194d82188e0109";
+};
+
+export interface IMessageReceiver$Type {
+  readonly _format: "hh3-artifact-1";
+  readonly contractName: "IMessageReceiver";
+  readonly sourceName: "contracts/ICrossChainMessenger.sol";
+  readonly abi: [{"inputs":[{"internalType":"uint256","name":"sourceChainId","type":"uint256"},{"internalType":"address","name":"sender","type":"address"},{"internalType":"bytes","name":"message","type":"bytes"}],"name":"receiveMessage","outputs":[],"stateMutability":"nonpayable","type":"function"}];
+  readonly bytecode: "0x";
+  readonly deployedBytecode: "0x";
+  readonly linkReferences: {};
+  readonly deployedLinkReferences: {};
+  readonly immutableReferences: {};
+  readonly inputSourceName: "project/contracts/ICrossChainMessenger.sol";
+  readonly buildInfoId: "solc-0_8_28-debf001a747bb84bdab5527f26194d82188e0109";
+};
+
+import "hardhat/types/artifacts";
+declare module "hardhat/types/artifacts" {
+  interface ArtifactMap {
+    ["ICrossChainMessenger"]: ICrossChainMessenger$Type
+    ["IMessageReceiver"]: IMessageReceiver$Type;
+    ["contracts/ICrossChainMessenger.sol:ICrossChainMessenger"]: ICrossChainMessenger$Type
+    ["contracts/ICrossChainMessenger.sol:IMessageReceiver"]: IMessageReceiver$Type;
+  }
+}
\ No newline at end of file
@@ -8,28 +8,28 @@ export interface LiquidStakingVault$Type {
   readonly _format: "hh3-artifact-1";
   readonly contractName: "LiquidStakingVault";
   readonly sourceName: "contracts/LiquidStakingVault.sol";
-  readonly abi: [{"inputs":[{"internalType":"address","name":"_asset","type":"address"},{"internalType":"string","name":"_sharesName","type":"string"},{"internalType":"string","name":"_sharesSymbol","type":"string"},{"internalType":"uint256","name":"_unbondingPeriod","type":"uint256"}],"stateMutability":"nonpayable","type":"constructor"},{"inputs":[{"internalType":"address","name":"spender","type":"address"},{"internalType":"uint256","name":"allowance","type":"uint256"},{"internalType":"uint256","name":"needed","type":"uint256"}],"name":"ERC20InsufficientAllowance","type":"error"},{"inputs":[{"internalType":"address","name":"sender","type":"address"},{"internalType":"uint256","name":"balance","type":"uint256"},{"internalType":"uint256","name":"needed","type":"uint256"}],"name":"ERC20InsufficientBalance","type":"error"},{"inputs":[{"internalType":"address","name":"approver","type":"address"}],"name":"ERC20InvalidApprover","type":"error"},{"inputs":[{"internalType":"address","name":"receiver","type":"address"}],"name":"ERC20InvalidReceiver","type":"error"},{"inputs":[{"internalType":"address","name":"sender","type":"address"}],"name":"ERC20InvalidSender","type":"error"},{"inputs":[{"internalType":"address","name":"spender","type":"address"}],"name":"ERC20InvalidSpender","type":"error"},{"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"OwnableInvalidOwner","type":"error"},{"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"OwnableUnauthorizedAccount","type":"error"},{"inputs":[],"name":"ReentrancyGuardReentrantCall","type":"error"},{"inputs":[{"internalType":"address","name":"token","type":"address"}],"name":"SafeERC20FailedOperation","type":"error"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":true,"internalType":"address","name":"spender","type":"address"},{"indexed":false,"internalType":"uint256","name":"value","type":"uint256"}],"name":"Approval","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"withdrawalId","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"assetsPaid","type":"uint256"}],"name":"Claimed","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"assets","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"shares","type":"uint256"}],"name":"Deposited","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"by","type":"address"},{"indexed":false,"internalType":"uint256","name":"assets","type":"uint256"}],"name":"DistributedRewards","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"sharesBurned","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"assetsOwed","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"withdrawalId","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"availableAt","type":"uint256"}],"name":"InitiatedWithdraw","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"from","type":"address"},{"indexed":true,"internalType":"address","name":"to","type":"address"},{"indexed":false,"internalType":"uint256","name":"value","type":"uint256"}],"name":"Transfer","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"oldPeriod","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"newPeriod","type":"uint256"}],"name":"UnbondingPeriodUpdated","type":"event"},{"inputs":[],"name":"WAD","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"owner","type":"address"},{"internalType":"address","name":"spender","type":"address"}],"name":"allowance","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"spender","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"approve","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"asset","outputs":[{"internalType":"contract IERC20","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"assets","type":"uint256"}],"name":"assetsToShares","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"balanceOf","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"withdrawalId","type":"uint256"}],"name":"claim","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"decimals","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"assets","type":"uint256"}],"name":"deposit","outputs":[{"internalType":"uint256","name":"shares","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"assets","type":"uint256"}],"name":"distributeRewards","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"exchangeRate","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"governanceExecutor","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"shares","type":"uint256"}],"name":"initiateWithdraw","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"lockedAssets","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"name","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"_governanceExecutor","type":"address"}],"name":"setGovernanceExecutor","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"newPeriod","type":"uint256"}],"name":"setUnbondingPeriod","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"shares","type":"uint256"}],"name":"sharesToAssets","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"symbol","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"totalSupply","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"transfer","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"transferFrom","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"unbondingPeriod","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"withdrawalNFT","outputs":[{"internalType":"contract WithdrawalNFT","name":"","type":"address"}],"stateMutability":"view","type":"function"}];
-  readonly bytecode: "0x60a060405234801561000f575f5ffd5b50604051615e33380380615e33833981810160405281019061003191906104a8565b3383838160039081610043919061074b565b508060049081610053919061074b565b50505060016005819055505f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16036100ce575f6040517f1e4fbdf70000000000000000000000000000000000000000000000000000000081526004016100c59190610829565b60405180910390fd5b6100dd816101fe60201b60201c565b505f73ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff160361014c576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016101439061089c565b60405180910390fd5b8373ffffffffffffffffffffffffffffffffffffffff1660808173ffffffffffffffffffffffffffffffffffffffff168152505080600881905550604051610193906102c1565b61019c9061094e565b604051809103905ff0801580156101b5573d5f5f3e3d5ffd5b5060095f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055505050505061097f565b5f60065f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1690508160065f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508173ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e060405160405180910390a35050565b61290c8061352783390190565b5f604051905090565b5f5ffd5b5f5ffd5b5f73ffffffffffffffffffffffffffffffffffffffff82169050919050565b5f610308826102df565b9050919050565b610318816102fe565b8114610322575f5ffd5b50565b5f815190506103338161030f565b92915050565b5f5ffd5b5f5ffd5b5f601f19601f8301169050919050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52604160045260245ffd5b61038782610341565b810181811067ffffffffffffffff821117156103a6576103a5610351565b5b80604052505050565b5f6103b86102ce565b90506103c4828261037e565b919050565b5f67ffffffffffffffff8211156103e3576103e2610351565b5b6103ec82610341565b9050602081019050919050565b8281835e5f83830152505050565b5f610419610414846103c9565b6103af565b9050828152602081018484840111156104355761043461033d565b5b6104408482856103f9565b509392505050565b5f82601f83011261045c5761045b610339565b5b815161046c848260208601610407565b91505092915050565b5f819050919050565b61048781610475565b8114610491575f5ffd5b50565b5f815190506104a28161047e565b92915050565b5f5f5f5f608085870312156104c0576104bf6102d7565b5b5f6104cd87828801610325565b945050602085015167ffffffffffffffff8111156104ee576104ed6102db565b5b6104fa87828801610448565b935050604085015167ffffffffffffffff81111561051b5761051a6102db565b5b61052787828801610448565b925050606061053887828801610494565b91505092959194509250565b5f81519050919050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52602260045260245ffd5b5f600282049050600182168061059257607f821691505b6020821081036105a5576105a461054e565b5b50919050565b5f819050815f5260205f209050919050565b5f6020601f8301049050919050565b5f82821b905092915050565b5f600883026106077fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff826105cc565b61061186836105cc565b95508019841693508086168417925050509392505050565b5f819050919050565b5f61064c61064761064284610475565b610629565b610475565b9050919050565b5f819050919050565b61066583610632565b61067961067182610653565b8484546105d8565b825550505050565b5f5f905090565b610690610681565b61069b81848461065c565b505050565b5b818110156106be576106b35f82610688565b6001810190506106a1565b5050565b601f821115610703576106d4816105ab565b6106dd846105bd565b810160208510156106ec578190505b6107006106f8856105bd565b8301826106a0565b50505b505050565b5f82821c905092915050565b5f6107235f1984600802610708565b1980831691505092915050565b5f61073b8383610714565b9150826002028217905092915050565b61075482610544565b67ffffffffffffffff81111561076d5761076c610351565b5b610777825461057b565b6107828282856106c2565b5f60209050601f8311600181146107b3575f84156107a1578287015190505b6107ab8582610730565b865550610812565b601f1984166107c1866105ab565b5f5b828110156107e8578489015182556001820191506020850194506020810190506107c3565b868310156108055784890151610801601f891682610714565b8355505b6001600288020188555050505b505050505050565b610823816102fe565b82525050565b5f60208201905061083c5f83018461081a565b92915050565b5f82825260208201905092915050565b7f61737365743d30000000000000000000000000000000000000000000000000005f82015250565b5f610886600783610842565b915061089182610852565b602082019050919050565b5f6020820190508181035f8301526108b38161087a565b9050919050565b7f4c53542d576974686472617700000000000000000000000000000000000000005f82015250565b5f6108ee600c83610842565b91506108f9826108ba565b602082019050919050565b7f4c535457000000000000000000000000000000000000000000000000000000005f82015250565b5f610938600483610842565b915061094382610904565b602082019050919050565b5f6040820190508181035f830152610965816108e2565b905081810360208301526109788161092c565b9050919050565b608051612b6d6109ba5f395f8181610af901528181610b9c01528181610be501528181610d0f01528181610ee101526112840152612b6d5ff3fe608060405234801561000f575f5ffd5b50600436106101a7575f3560e01c80636cf6d675116100f75780638fc9838611610095578063b6b55f251161006f578063b6b55f25146104ad578063dd62ed3e146104dd578063e0b231fa1461050d578063f2fde38b1461053d576101a7565b80638fc983861461044157806395d89b411461045f578063a9059cbb1461047d576101a7565b80637e108d52116100d15780637e108d52146103a55780637fe0c850146103d557806383453945146104055780638da5cb5b14610423576101a7565b80636cf6d6751461034d57806370a082311461036b578063715018a61461039b576101a7565b8063274fc72a1161016457806338d52e0f1161013e57806338d52e0f146102d75780633ba0b9a9146102f557806359974e38146103135780636a1460241461032f576101a7565b8063274fc72a1461027f578063313ce5671461029d578063379607f5146102bb576101a7565b806306fdde03146101ab578063095ea7b3146101c95780630f300300146101f9578063114eaf551461021557806318160ddd1461023157806323b872dd1461024f575b5f5ffd5b6101b3610559565b6040516101c09190612068565b60405180910390f35b6101e360048036038101906101de9190612119565b6105e9565b6040516101f09190612171565b60405180910390f35b610213600480360381019061020e919061218a565b61060b565b005b61022f600480360381019061022a91906121b5565b6106c4565b005b610239610798565b60405161024691906121ef565b60405180910390f35b61026960048036038101906102649190612208565b6107a1565b6040516102769190612171565b60405180910390f35b6102876107cf565b60405161029491906121ef565b60405180910390f35b6102a56107d5565b6040516102b29190612273565b60405180910390f35b6102d560048036038101906102d091906121b5565b6107dd565b005b6102df610b9a565b6040516102ec91906122e7565b60405180910390f35b6102fd610bbe565b60405161030a91906121ef565b60405180910390f35b61032d600480360381019061032891906121b5565b610cbd565b005b610337610dad565b60405161034491906121ef565b60405180910390f35b610355610db9565b60405161036291906121ef565b60405180910390f35b6103856004803603810190610380919061218a565b610dbf565b60405161039291906121ef565b60405180910390f35b6103a3610e04565b005b6103bf60048036038101906103ba91906121b5565b610e17565b6040516103cc91906121ef565b60405180910390f35b6103ef60048036038101906103ea91906121b5565b6110d5565b6040516103fc91906121ef565b60405180910390f35b61040d61110d565b60405161041a9190612320565b60405180910390f35b61042b611132565b6040516104389190612348565b60405180910390f35b61044961115a565b6040516104569190612348565b60405180910390f35b61046761117f565b6040516104749190612068565b60405180910390f35b61049760048036038101906104929190612119565b61120f565b6040516104a49190612171565b60405180910390f35b6104c760048036038101906104c291906121b5565b611231565b6040516104d491906121ef565b60405180910390f35b6104f760048036038101906104f29190612361565b6113b4565b60405161050491906121ef565b60405180910390f35b610527600480360381019061052291906121b5565b611436565b60405161053491906121ef565b60405180910390f35b6105576004803603810190610552919061218a565b61148b565b005b606060038054610568906123cc565b80601f0160208091040260200160405190810160405280929190818152602001828054610594906123cc565b80156105df5780601f106105b6576101008083540402835291602001916105df565b820191905f5260205f20905b8154815290600101906020018083116105c257829003601f168201915b5050505050905090565b5f5f6105f361150f565b9050610600818585611516565b600191505092915050565b610613611528565b5f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603610681576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161067890612446565b60405180910390fd5b80600a5f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555050565b600a5f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff163373ffffffffffffffffffffffffffffffffffffffff1614610753576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161074a906124ae565b60405180910390fd5b7f1e87d1842527009d17fe588925d65dbeda5a9a83282ca9b691d6e4a522ae716f600854826040516107869291906124cc565b60405180910390a18060088190555050565b5f600254905090565b5f5f6107ab61150f565b90506107b88582856115af565b6107c3858585611642565b60019150509392505050565b60075481565b5f6012905090565b6107e5611732565b3373ffffffffffffffffffffffffffffffffffffffff1660095f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16636352211e836040518263ffffffff1660e01b815260040161085691906121ef565b602060405180830381865afa158015610871573d5f5f3e3d5ffd5b505050506040513d601f19601f820116820180604052508101906108959190612507565b73ffffffffffffffffffffffffffffffffffffffff16146108eb576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016108e29061257c565b60405180910390fd5b5f5f60095f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16638a4fb16a846040518263ffffffff1660e01b815260040161094791906121ef565b6040805180830381865afa158015610961573d5f5f3e3d5ffd5b505050506040513d601f19601f8201168201806040525081019061098591906125ae565b91509150804210156109cc576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016109c390612636565b60405180910390fd5b5f8211610a0e576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610a059061269e565b60405180910390fd5b60095f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff166380736be2846040518263ffffffff1660e01b8152600401610a6891906121ef565b5f604051808303815f87803b158015610a7f575f5ffd5b505af1158015610a91573d5f5f3e3d5ffd5b50505050816007541015610ada576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610ad190612706565b60405180910390fd5b8160075f828254610aeb9190612751565b92505081905550610b3d33837f000000000000000000000000000000000000000000000000000000000000000073ffffffffffffffffffffffffffffffffffffffff166117789092919063ffffffff16565b3373ffffffffffffffffffffffffffffffffffffffff167f987d620f307ff6b94d58743cb7a7509f24071586a77759b77c2d4e29f75a2f9a8484604051610b859291906124cc565b60405180910390a25050610b976117f7565b50565b7f000000000000000000000000000000000000000000000000000000000000000081565b5f5f610bc8610798565b90505f8103610be257670de0b6b3a7640000915050610cba565b5f7f000000000000000000000000000000000000000000000000000000000000000073ffffffffffffffffffffffffffffffffffffffff166370a08231306040518263ffffffff1660e01b8152600401610c3c9190612348565b602060405180830381865afa158015610c57573d5f5f3e3d5ffd5b505050506040513d601f19601f82011682018060405250810190610c7b9190612784565b90506007548111610c90575f92505050610cba565b5f60075482610c9f9190612751565b9050610cb481670de0b6b3a764000085611801565b93505050505b90565b610cc5611732565b5f8111610d07576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610cfe906127f9565b60405180910390fd5b610d543330837f000000000000000000000000000000000000000000000000000000000000000073ffffffffffffffffffffffffffffffffffffffff166118e0909392919063ffffffff16565b3373ffffffffffffffffffffffffffffffffffffffff167f0be934154273ab5bf3a024f88561955bee89ea6d9aac33477620b101ca5704d982604051610d9a91906121ef565b60405180910390a2610daa6117f7565b50565b670de0b6b3a764000081565b60085481565b5f5f5f8373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f20549050919050565b610e0c611528565b610e155f611962565b565b5f610e20611732565b5f8211610e62576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610e5990612861565b60405180910390fd5b5f610e6c33610dbf565b905082811015610eb1576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610ea8906128c9565b60405180910390fd5b5f610ebb846110d5565b9050610ec73385611a25565b8060075f828254610ed891906128e7565b925050819055507f000000000000000000000000000000000000000000000000000000000000000073ffffffffffffffffffffffffffffffffffffffff166370a08231306040518263ffffffff1660e01b8152600401610f389190612348565b602060405180830381865afa158015610f53573d5f5f3e3d5ffd5b505050506040513d601f19601f82011682018060405250810190610f779190612784565b6007541115610fbb576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610fb29061298a565b60405180910390fd5b5f60085442610fca91906128e7565b90505f60095f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1663227f06cc3385856040518463ffffffff1660e01b815260040161102b939291906129a8565b6020604051808303815f875af1158015611047573d5f5f3e3d5ffd5b505050506040513d601f19601f8201168201806040525081019061106b9190612784565b90503373ffffffffffffffffffffffffffffffffffffffff167fb37300a9c17bc336bfb65a440bf0452cbacf7f3c625bf93f721405b07a7b26af878584866040516110b994939291906129dd565b60405180910390a2809450505050506110d06117f7565b919050565b5f5f6110df610bbe565b90505f81036110f1575f915050611108565b6111048382670de0b6b3a7640000611801565b9150505b919050565b60095f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1681565b5f60065f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff16905090565b600a5f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1681565b60606004805461118e906123cc565b80601f01602080910402602001604051908101604052809291908181526020018280546111ba906123cc565b80156112055780601f106111dc57610100808354040283529160200191611205565b820191905f5260205f20905b8154815290600101906020018083116111e857829003601f168201915b5050505050905090565b5f5f61121961150f565b9050611226818585611642565b600191505092915050565b5f61123a611732565b5f821161127c576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611273906127f9565b60405180910390fd5b6112c93330847f000000000000000000000000000000000000000000000000000000000000000073ffffffffffffffffffffffffffffffffffffffff166118e0909392919063ffffffff16565b5f6112d2610798565b90505f5f82036112e457839050611348565b5f6112ed610bbe565b905061130285670de0b6b3a764000083611801565b91505f8211611346576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161133d90612a90565b60405180910390fd5b505b6113523382611aa4565b3373ffffffffffffffffffffffffffffffffffffffff167f73a19dd210f1a7f902193214c0ee91dd35ee5b4d920cba8d519eca65a7b488ca858360405161139a9291906124cc565b60405180910390a280925050506113af6117f7565b919050565b5f60015f8473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f8373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f2054905092915050565b5f5f611440610798565b90505f81036114525782915050611486565b5f61145b610bbe565b90505f810361146e575f92505050611486565b61148184670de0b6b3a764000083611801565b925050505b919050565b611493611528565b5f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603611503575f6040517f1e4fbdf70000000000000000000000000000000000000000000000000000000081526004016114fa9190612348565b60405180910390fd5b61150c81611962565b50565b5f33905090565b6115238383836001611b23565b505050565b61153061150f565b73ffffffffffffffffffffffffffffffffffffffff1661154e611132565b73ffffffffffffffffffffffffffffffffffffffff16146115ad5761157161150f565b6040517f118cdaa70000000000000000000000000000000000000000000000000000000081526004016115a49190612348565b60405180910390fd5b565b5f6115ba84846113b4565b90507fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff81101561163c578181101561162d578281836040517ffb8f41b2000000000000000000000000000000000000000000000000000000008152600401611624939291906129a8565b60405180910390fd5b61163b84848484035f611b23565b5b50505050565b5f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff16036116b2575f6040517f96c6fd1e0000000000000000000000000000000000000000000000000000000081526004016116a99190612348565b60405180910390fd5b5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603611722575f6040517fec442f050000000000000000000000000000000000000000000000000000000081526004016117199190612348565b60405180910390fd5b61172d838383611cf2565b505050565b60026005540361176e576040517f3ee5aeb500000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6002600581905550565b6117f2838473ffffffffffffffffffffffffffffffffffffffff1663a9059cbb85856040516024016117ab929190612aae565b604051602081830303815290604052915060e01b6020820180517bffffffffffffffffffffffffffffffffffffffffffffffffffffffff8381831617835250505050611f0b565b505050565b6001600581905550565b5f5f5f61180e8686611fa6565b915091505f82036118335783818161182957611828612ad5565b5b04925050506118d9565b8184116118525761185161184c5f861460126011611fc3565b611fdc565b5b5f8486880990508181118303925080820391505f855f038616905080860495508083049250600181825f0304019050808402831792505f600287600302189050808702600203810290508087026002038102905080870260020381029050808702600203810290508087026002038102905080870260020381029050808402955050505050505b9392505050565b61195c848573ffffffffffffffffffffffffffffffffffffffff166323b872dd86868660405160240161191593929190612b02565b604051602081830303815290604052915060e01b6020820180517bffffffffffffffffffffffffffffffffffffffffffffffffffffffff8381831617835250505050611f0b565b50505050565b5f60065f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1690508160065f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508173ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e060405160405180910390a35050565b5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603611a95575f6040517f96c6fd1e000000000000000000000000000000000000000000000000000000008152600401611a8c9190612348565b60405180910390fd5b611aa0825f83611cf2565b5050565b5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603611b14575f6040517fec442f05000000000000000000000000000000000000000000000000000000008152600401611b0b9190612348565b60405180910390fd5b611b1f5f8383611cf2565b5050565b5f73ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff1603611b93575f6040517fe602df05000000000000000000000000000000000000000000000000000000008152600401611b8a9190612348565b60405180910390fd5b5f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff1603611c03575f6040517f94280d62000000000000000000000000000000000000000000000000000000008152600401611bfa9190612348565b60405180910390fd5b8160015f8673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f8573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f20819055508015611cec578273ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff167f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b92584604051611ce391906121ef565b60405180910390a35b50505050565b5f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff1603611d42578060025f828254611d3691906128e7565b92505081905550611e10565b5f5f5f8573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f2054905081811015611dcb578381836040517fe450d38c000000000000000000000000000000000000000000000000000000008152600401611dc2939291906129a8565b60405180910390fd5b8181035f5f8673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f2081905550505b5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603611e57578060025f8282540392505081905550611ea1565b805f5f8473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f82825401925050819055505b8173ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff167fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef83604051611efe91906121ef565b60405180910390a3505050565b5f5f60205f8451602086015f885af180611f2a576040513d5f823e3d81fd5b3d92505f519150505f8214611f43576001811415611f5e565b5f8473ffffffffffffffffffffffffffffffffffffffff163b145b15611fa057836040517f5274afe7000000000000000000000000000000000000000000000000000000008152600401611f979190612348565b60405180910390fd5b50505050565b5f5f5f198385098385029150818110828203039250509250929050565b5f611fcd84611fed565b82841802821890509392505050565b634e487b715f52806020526024601cfd5b5f8115159050919050565b5f81519050919050565b5f82825260208201905092915050565b8281835e5f83830152505050565b5f601f19601f8301169050919050565b5f61203a82611ff8565b6120448185612002565b9350612054818560208601612012565b61205d81612020565b840191505092915050565b5f6020820190508181035f8301526120808184612030565b905092915050565b5f5ffd5b5f73ffffffffffffffffffffffffffffffffffffffff82169050919050565b5f6120b58261208c565b9050919050565b6120c5816120ab565b81146120cf575f5ffd5b50565b5f813590506120e0816120bc565b92915050565b5f819050919050565b6120f8816120e6565b8114612102575f5ffd5b50565b5f81359050612113816120ef565b92915050565b5f5f6040838503121561212f5761212e612088565b5b5f61213c858286016120d2565b925050602061214d85828601612105565b9150509250929050565b5f8115159050919050565b61216b81612157565b82525050565b5f6020820190506121845f830184612162565b92915050565b5f6020828403121561219f5761219e612088565b5b5f6121ac848285016120d2565b91505092915050565b5f602082840312156121ca576121c9612088565b5b5f6121d784828501612105565b91505092915050565b6121e9816120e6565b82525050565b5f6020820190506122025f8301846121e0565b92915050565b5f5f5f6060848603121561221f5761221e612088565b5b5f61222c868287016120d2565b935050602061223d868287016120d2565b925050604061224e86828701612105565b9150509250925092565b5f60ff82169050919050565b61226d81612258565b82525050565b5f6020820190506122865f830184612264565b92915050565b5f819050919050565b5f6122af6122aa6122a58461208c565b61228c565b61208c565b9050919050565b5f6122c082612295565b9050919050565b5f6122d1826122b6565b9050919050565b6122e1816122c7565b82525050565b5f6020820190506122fa5f8301846122d8565b92915050565b5f61230a826122b6565b9050919050565b61231a81612300565b82525050565b5f6020820190506123335f830184612311565b92915050565b612342816120ab565b82525050565b5f60208201905061235b5f830184612339565b92915050565b5f5f6040838503121561237757612376612088565b5b5f612384858286016120d2565b9250506020612395858286016120d2565b9150509250929050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52602260045260245ffd5b5f60028204905060018216806123e357607f821691505b6020821081036123f6576123f561239f565b5b50919050565b7f676f7665726e616e63653d3000000000000000000000000000000000000000005f82015250565b5f612430600c83612002565b915061243b826123fc565b602082019050919050565b5f6020820190508181035f83015261245d81612424565b9050919050565b7f6f6e6c7920676f7665726e616e636500000000000000000000000000000000005f82015250565b5f612498600f83612002565b91506124a382612464565b602082019050919050565b5f6020820190508181035f8301526124c58161248c565b9050919050565b5f6040820190506124df5f8301856121e0565b6124ec60208301846121e0565b9392505050565b5f81519050612501816120bc565b92915050565b5f6020828403121561251c5761251b612088565b5b5f612529848285016124f3565b91505092915050565b7f6e6f74206f776e657200000000000000000000000000000000000000000000005f82015250565b5f612566600983612002565b915061257182612532565b602082019050919050565b5f6020820190508181035f8301526125938161255a565b9050919050565b5f815190506125a8816120ef565b92915050565b5f5f604083850312156125c4576125c3612088565b5b5f6125d18582860161259a565b92505060206125e28582860161259a565b9150509250929050565b7f6e6f742079657420617661696c61626c650000000000000000000000000000005f82015250565b5f612620601183612002565b915061262b826125ec565b602082019050919050565b5f6020820190508181035f83015261264d81612614565b9050919050565b7f6e6f7468696e67206f77656400000000000000000000000000000000000000005f82015250565b5f612688600c83612002565b915061269382612654565b602082019050919050565b5f6020820190508181035f8301526126b58161267c565b9050919050565b7f6c6f636b656441737365747320756e646572666c6f77000000000000000000005f82015250565b5f6126f0601683612002565b91506126fb826126bc565b602082019050919050565b5f6020820190508181035f83015261271d816126e4565b9050919050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52601160045260245ffd5b5f61275b826120e6565b9150612766836120e6565b925082820390508181111561277e5761277d612724565b5b92915050565b5f6020828403121561279957612798612088565b5b5f6127a68482850161259a565b91505092915050565b7f7a65726f206173736574730000000000000000000000000000000000000000005f82015250565b5f6127e3600b83612002565b91506127ee826127af565b602082019050919050565b5f6020820190508181035f830152612810816127d7565b9050919050565b7f7a65726f207368617265730000000000000000000000000000000000000000005f82015250565b5f61284b600b83612002565b915061285682612817565b602082019050919050565b5f6020820190508181035f8301526128788161283f565b9050919050565b7f696e73756666696369656e7420736861726573000000000000000000000000005f82015250565b5f6128b3601383612002565b91506128be8261287f565b602082019050919050565b5f6020820190508181035f8301526128e0816128a7565b9050919050565b5f6128f1826120e6565b91506128fc836120e6565b925082820190508082111561291457612913612724565b5b92915050565b7f696e73756666696369656e742061737365742062616c616e63652061667465725f8201527f206c6f636b000000000000000000000000000000000000000000000000000000602082015250565b5f612974602583612002565b915061297f8261291a565b604082019050919050565b5f6020820190508181035f8301526129a181612968565b9050919050565b5f6060820190506129bb5f830186612339565b6129c860208301856121e0565b6129d560408301846121e0565b949350505050565b5f6080820190506129f05f8301876121e0565b6129fd60208301866121e0565b612a0a60408301856121e0565b612a1760608301846121e0565b95945050505050565b7f696e73756666696369656e742061737365747320746f206d696e7420736861725f8201527f6573000000000000000000000000000000000000000000000000000000000000602082015250565b5f612a7a602283612002565b9150612a8582612a20565b604082019050919050565b5f6020820190508181035f830152612aa781612a6e565b9050919050565b5f604082019050612ac15f830185612339565b612ace60208301846121e0565b9392505050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52601260045260245ffd5b5f606082019050612b155f830186612339565b612b226020830185612339565b612b2f60408301846121e0565b94935050505056fea2646970667358221220aea615d909baa56f875225bf31496c3928abe312efd4a29132e207201a2b352a64736f6c634300081c003360806040525f600755348015610013575f5ffd5b5060405161290c38038061290c833981810160405281019061003591906102f0565b338282815f90816100469190610576565b5080600190816100569190610576565b5050505f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16036100c9575f6040517f1e4fbdf70000000000000000000000000000000000000000000000000000000081526004016100c09190610684565b60405180910390fd5b6100d8816100e060201b60201c565b50505061069d565b5f60065f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1690508160065f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508173ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e060405160405180910390a35050565b5f604051905090565b5f5ffd5b5f5ffd5b5f5ffd5b5f5ffd5b5f601f19601f8301169050919050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52604160045260245ffd5b610202826101bc565b810181811067ffffffffffffffff82111715610221576102206101cc565b5b80604052505050565b5f6102336101a3565b905061023f82826101f9565b919050565b5f67ffffffffffffffff82111561025e5761025d6101cc565b5b610267826101bc565b9050602081019050919050565b8281835e5f83830152505050565b5f61029461028f84610244565b61022a565b9050828152602081018484840111156102b0576102af6101b8565b5b6102bb848285610274565b509392505050565b5f82601f8301126102d7576102d66101b4565b5b81516102e7848260208601610282565b91505092915050565b5f5f60408385031215610306576103056101ac565b5b5f83015167ffffffffffffffff811115610323576103226101b0565b5b61032f858286016102c3565b925050602083015167ffffffffffffffff8111156103505761034f6101b0565b5b61035c858286016102c3565b9150509250929050565b5f81519050919050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52602260045260245ffd5b5f60028204905060018216806103b457607f821691505b6020821081036103c7576103c6610370565b5b50919050565b5f819050815f5260205f209050919050565b5f6020601f8301049050919050565b5f82821b905092915050565b5f600883026104297fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff826103ee565b61043386836103ee565b95508019841693508086168417925050509392505050565b5f819050919050565b5f819050919050565b5f61047761047261046d8461044b565b610454565b61044b565b9050919050565b5f819050919050565b6104908361045d565b6104a461049c8261047e565b8484546103fa565b825550505050565b5f5f905090565b6104bb6104ac565b6104c6818484610487565b505050565b5b818110156104e9576104de5f826104b3565b6001810190506104cc565b5050565b601f82111561052e576104ff816103cd565b610508846103df565b81016020851015610517578190505b61052b610523856103df565b8301826104cb565b50505b505050565b5f82821c905092915050565b5f61054e5f1984600802610533565b1980831691505092915050565b5f610566838361053f565b9150826002028217905092915050565b61057f82610366565b67ffffffffffffffff811115610598576105976101cc565b5b6105a2825461039d565b6105ad8282856104ed565b5f60209050601f8311600181146105de575f84156105cc578287015190505b6105d6858261055b565b86555061063d565b601f1984166105ec866103cd565b5f5b82811015610613578489015182556001820191506020850194506020810190506105ee565b86831015610630578489015161062c601f89168261053f565b8355505b6001600288020188555050505b505050505050565b5f73ffffffffffffffffffffffffffffffffffffffff82169050919050565b5f61066e82610645565b9050919050565b61067e81610664565b82525050565b5f6020820190506106975f830184610675565b92915050565b612262806106aa5f395ff3fe608060405234801561000f575f5ffd5b506004361061011f575f3560e01c8063715018a6116100ab578063a22cb4651161006f578063a22cb46514610318578063b88d4fde14610334578063c87b56dd14610350578063e985e9c514610380578063f2fde38b146103b05761011f565b8063715018a61461028557806380736be21461028f5780638a4fb16a146102ab5780638da5cb5b146102dc57806395d89b41146102fa5761011f565b8063227f06cc116100f2578063227f06cc146101bd57806323b872dd146101ed57806342842e0e146102095780636352211e1461022557806370a08231146102555761011f565b806301ffc9a71461012357806306fdde0314610153578063081812fc14610171578063095ea7b3146101a1575b5f5ffd5b61013d60048036038101906101389190611a36565b6103cc565b60405161014a9190611a7b565b60405180910390f35b61015b6104ad565b6040516101689190611b04565b60405180910390f35b61018b60048036038101906101869190611b57565b61053c565b6040516101989190611bc1565b60405180910390f35b6101bb60048036038101906101b69190611c04565b610557565b005b6101d760048036038101906101d29190611c42565b61056d565b6040516101e49190611ca1565b60405180910390f35b61020760048036038101906102029190611cba565b6105e5565b005b610223600480360381019061021e9190611cba565b6106e4565b005b61023f600480360381019061023a9190611b57565b610703565b60405161024c9190611bc1565b60405180910390f35b61026f600480360381019061026a9190611d0a565b610714565b60405161027c9190611ca1565b60405180910390f35b61028d6107ca565b005b6102a960048036038101906102a49190611b57565b6107dd565b005b6102c560048036038101906102c09190611b57565b610812565b6040516102d3929190611d35565b60405180910390f35b6102e4610859565b6040516102f19190611bc1565b60405180910390f35b610302610881565b60405161030f9190611b04565b60405180910390f35b610332600480360381019061032d9190611d86565b610911565b005b61034e60048036038101906103499190611ef0565b610927565b005b61036a60048036038101906103659190611b57565b61094c565b6040516103779190611b04565b60405180910390f35b61039a60048036038101906103959190611f70565b6109b2565b6040516103a79190611a7b565b60405180910390f35b6103ca60048036038101906103c59190611d0a565b610a40565b005b5f7f80ac58cd000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916148061049657507f5b5e139f000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916145b806104a657506104a582610ac4565b5b9050919050565b60605f80546104bb90611fdb565b80601f01602080910402602001604051908101604052809291908181526020018280546104e790611fdb565b80156105325780601f1061050957610100808354040283529160200191610532565b820191905f5260205f20905b81548152906001019060200180831161051557829003601f168201915b5050505050905090565b5f61054682610b2d565b5061055082610bb3565b9050919050565b6105698282610564610bec565b610bf3565b5050565b5f610576610c05565b600160075f8282546105889190612038565b925050819055505f600754905060405180604001604052808581526020018481525060085f8381526020019081526020015f205f820151815f0155602082015181600101559050506105da8582610c8c565b809150509392505050565b5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603610655575f6040517f64a0ae9200000000000000000000000000000000000000000000000000000000815260040161064c9190611bc1565b60405180910390fd5b5f6106688383610663610bec565b610ca9565b90508373ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16146106de578382826040517f64283d7b0000000000000000000000000000000000000000000000000000000081526004016106d59392919061206b565b60405180910390fd5b50505050565b6106fe83838360405180602001604052805f815250610927565b505050565b5f61070d82610b2d565b9050919050565b5f5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603610785575f6040517f89c62b6400000000000000000000000000000000000000000000000000000000815260040161077c9190611bc1565b60405180910390fd5b60035f8373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f20549050919050565b6107d2610c05565b6107db5f610eb4565b565b6107e5610c05565b60085f8281526020019081526020015f205f5f82015f9055600182015f9055505061080f81610f77565b50565b5f5f5f60085f8581526020019081526020015f206040518060400160405290815f82015481526020016001820154815250509050805f015181602001519250925050915091565b5f60065f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff16905090565b60606001805461089090611fdb565b80601f01602080910402602001604051908101604052809291908181526020018280546108bc90611fdb565b80156109075780601f106108de57610100808354040283529160200191610907565b820191905f5260205f20905b8154815290600101906020018083116108ea57829003601f168201915b5050505050905090565b61092361091c610bec565b8383610ff9565b5050565b6109328484846105e5565b61094661093d610bec565b85858585611162565b50505050565b606061095782610b2d565b505f61096161130e565b90505f81511161097f5760405180602001604052805f8152506109aa565b8061098984611324565b60405160200161099a9291906120da565b6040516020818303038152906040525b915050919050565b5f60055f8473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f8373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f9054906101000a900460ff16905092915050565b610a48610c05565b5f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603610ab8575f6040517f1e4fbdf7000000000000000000000000000000000000000000000000000000008152600401610aaf9190611bc1565b60405180910390fd5b610ac181610eb4565b50565b5f7f01ffc9a7000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916149050919050565b5f5f610b38836113ee565b90505f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603610baa57826040517f7e273289000000000000000000000000000000000000000000000000000000008152600401610ba19190611ca1565b60405180910390fd5b80915050919050565b5f60045f8381526020019081526020015f205f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff169050919050565b5f33905090565b610c008383836001611427565b505050565b610c0d610bec565b73ffffffffffffffffffffffffffffffffffffffff16610c2b610859565b73ffffffffffffffffffffffffffffffffffffffff1614610c8a57610c4e610bec565b6040517f118cdaa7000000000000000000000000000000000000000000000000000000008152600401610c819190611bc1565b60405180910390fd5b565b610ca5828260405180602001604052805f8152506115e6565b5050565b5f5f610cb4846113ee565b90505f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff1614610cf557610cf4818486611609565b5b5f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1614610d8057610d345f855f5f611427565b600160035f8373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f82825403925050819055505b5f73ffffffffffffffffffffffffffffffffffffffff168573ffffffffffffffffffffffffffffffffffffffff1614610dff57600160035f8773ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f82825401925050819055505b8460025f8681526020019081526020015f205f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff160217905550838573ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff167fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef60405160405180910390a4809150509392505050565b5f60065f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1690508160065f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508173ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e060405160405180910390a35050565b5f610f835f835f610ca9565b90505f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603610ff557816040517f7e273289000000000000000000000000000000000000000000000000000000008152600401610fec9190611ca1565b60405180910390fd5b5050565b5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff160361106957816040517f5b08ba180000000000000000000000000000000000000000000000000000000081526004016110609190611bc1565b60405180910390fd5b8060055f8573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f8473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f6101000a81548160ff0219169083151502179055508173ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff167f17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c31836040516111559190611a7b565b60405180910390a3505050565b5f8373ffffffffffffffffffffffffffffffffffffffff163b1115611307578273ffffffffffffffffffffffffffffffffffffffff1663150b7a02868685856040518563ffffffff1660e01b81526004016111c0949392919061214f565b6020604051808303815f875af19250505080156111fb57506040513d601f19601f820116820180604052508101906111f891906121ad565b60015b61127c573d805f8114611229576040519150601f19603f3d011682016040523d82523d5f602084013e61122e565b606091505b505f81510361127457836040517f64a0ae9200000000000000000000000000000000000000000000000000000000815260040161126b9190611bc1565b60405180910390fd5b805160208201fd5b63150b7a0260e01b7bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916817bffffffffffffffffffffffffffffffffffffffffffffffffffffffff19161461130557836040517f64a0ae920000000000000000000000000000000000000000000000000000000081526004016112fc9190611bc1565b60405180910390fd5b505b5050505050565b606060405180602001604052805f815250905090565b60605f6001611332846116cc565b0190505f8167ffffffffffffffff8111156113505761134f611dcc565b5b6040519080825280601f01601f1916602001820160405280156113825781602001600182028036833780820191505090505b5090505f82602083010190505b6001156113e3578080600190039150507f3031323334353637383961626364656600000000000000000000000000000000600a86061a8153600a85816113d8576113d76121d8565b5b0494505f850361138f575b819350505050919050565b5f60025f8381526020019081526020015f205f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff169050919050565b808061145f57505f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1614155b15611591575f61146e84610b2d565b90505f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff16141580156114d857508273ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1614155b80156114eb57506114e981846109b2565b155b1561152d57826040517fa9fbf51f0000000000000000000000000000000000000000000000000000000081526004016115249190611bc1565b60405180910390fd5b811561158f57838573ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff167f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b92560405160405180910390a45b505b8360045f8581526020019081526020015f205f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555050505050565b6115f0838361181d565b6116046115fb610bec565b5f858585611162565b505050565b611614838383611910565b6116c7575f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff160361168857806040517f7e27328900000000000000000000000000000000000000000000000000000000815260040161167f9190611ca1565b60405180910390fd5b81816040517f177e802f0000000000000000000000000000000000000000000000000000000081526004016116be929190612205565b60405180910390fd5b505050565b5f5f5f90507a184f03e93ff9f4daa797ed6e38ed64bf6a1f0100000000000000008310611728577a184f03e93ff9f4daa797ed6e38ed64bf6a1f010000000000000000838161171e5761171d6121d8565b5b0492506040810190505b6d04ee2d6d415b85acef81000000008310611765576d04ee2d6d415b85acef8100000000838161175b5761175a6121d8565b5b0492506020810190505b662386f26fc10000831061179457662386f26fc10000838161178a576117896121d8565b5b0492506010810190505b6305f5e10083106117bd576305f5e10083816117b3576117b26121d8565b5b0492506008810190505b61271083106117e25761271083816117d8576117d76121d8565b5b0492506004810190505b6064831061180557606483816117fb576117fa6121d8565b5b0492506002810190505b600a8310611814576001810190505b80915050919050565b5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff160361188d575f6040517f64a0ae920000000000000000000000000000000000000000000000000000000081526004016118849190611bc1565b60405180910390fd5b5f61189983835f610ca9565b90505f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff161461190b575f6040517f73c6ac6e0000000000000000000000000000000000000000000000000000000081526004016119029190611bc1565b60405180910390fd5b505050565b5f5f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff16141580156119c757508273ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff161480611988575061198784846109b2565b5b806119c657508273ffffffffffffffffffffffffffffffffffffffff166119ae83610bb3565b73ffffffffffffffffffffffffffffffffffffffff16145b5b90509392505050565b5f604051905090565b5f5ffd5b5f5ffd5b5f7fffffffff0000000000000000000000000000000000000000000000000000000082169050919050565b611a15816119e1565b8114611a1f575f5ffd5b50565b5f81359050611a3081611a0c565b92915050565b5f60208284031215611a4b57611a4a6119d9565b5b5f611a5884828501611a22565b91505092915050565b5f8115159050919050565b611a7581611a61565b82525050565b5f602082019050611a8e5f830184611a6c565b92915050565b5f81519050919050565b5f82825260208201905092915050565b8281835e5f83830152505050565b5f601f19601f8301169050919050565b5f611ad682611a94565b611ae08185611a9e565b9350611af0818560208601611aae565b611af981611abc565b840191505092915050565b5f6020820190508181035f830152611b1c8184611acc565b905092915050565b5f819050919050565b611b3681611b24565b8114611b40575f5ffd5b50565b5f81359050611b5181611b2d565b92915050565b5f60208284031215611b6c57611b6b6119d9565b5b5f611b7984828501611b43565b91505092915050565b5f73ffffffffffffffffffffffffffffffffffffffff82169050919050565b5f611bab82611b82565b9050919050565b611bbb81611ba1565b82525050565b5f602082019050611bd45f830184611bb2565b92915050565b611be381611ba1565b8114611bed575f5ffd5b50565b5f81359050611bfe81611bda565b92915050565b5f5f60408385031215611c1a57611c196119d9565b5b5f611c2785828601611bf0565b9250506020611c3885828601611b43565b9150509250929050565b5f5f5f60608486031215611c5957611c586119d9565b5b5f611c6686828701611bf0565b9350506020611c7786828701611b43565b9250506040611c8886828701611b43565b9150509250925092565b611c9b81611b24565b82525050565b5f602082019050611cb45f830184611c92565b92915050565b5f5f5f60608486031215611cd157611cd06119d9565b5b5f611cde86828701611bf0565b9350506020611cef86828701611bf0565b9250506040611d0086828701611b43565b9150509250925092565b5f60208284031215611d1f57611d1e6119d9565b5b5f611d2c84828501611bf0565b91505092915050565b5f604082019050611d485f830185611c92565b611d556020830184611c92565b9392505050565b611d6581611a61565b8114611d6f575f5ffd5b50565b5f81359050611d8081611d5c565b92915050565b5f5f60408385031215611d9c57611d9b6119d9565b5b5f611da985828601611bf0565b9250506020611dba85828601611d72565b9150509250929050565b5f5ffd5b5f5ffd5b7f4e487b71000000000000000000000000000000000000000000000000000000005f52604160045260245ffd5b611e0282611abc565b810181811067ffffffffffffffff82111715611e2157611e20611dcc565b5b80604052505050565b5f611e336119d0565b9050611e3f8282611df9565b919050565b5f67ffffffffffffffff821115611e5e57611e5d611dcc565b5b611e6782611abc565b9050602081019050919050565b828183375f83830152505050565b5f611e94611e8f84611e44565b611e2a565b905082815260208101848484011115611eb057611eaf611dc8565b5b611ebb848285611e74565b509392505050565b5f82601f830112611ed757611ed6611dc4565b5b8135611ee7848260208601611e82565b91505092915050565b5f5f5f5f60808587031215611f0857611f076119d9565b5b5f611f1587828801611bf0565b9450506020611f2687828801611bf0565b9350506040611f3787828801611b43565b925050606085013567ffffffffffffffff811115611f5857611f576119dd565b5b611f6487828801611ec3565b91505092959194509250565b5f5f60408385031215611f8657611f856119d9565b5b5f611f9385828601611bf0565b9250506020611fa485828601611bf0565b9150509250929050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52602260045260245ffd5b5f6002820490506001821680611ff257607f821691505b60208210810361200557612004611fae565b5b50919050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52601160045260245ffd5b5f61204282611b24565b915061204d83611b24565b92508282019050808211156120655761206461200b565b5b92915050565b5f60608201905061207e5f830186611bb2565b61208b6020830185611c92565b6120986040830184611bb2565b949350505050565b5f81905092915050565b5f6120b482611a94565b6120be81856120a0565b93506120ce818560208601611aae565b80840191505092915050565b5f6120e582856120aa565b91506120f182846120aa565b91508190509392505050565b5f81519050919050565b5f82825260208201905092915050565b5f612121826120fd565b61212b8185612107565b935061213b818560208601611aae565b61214481611abc565b840191505092915050565b5f6080820190506121625f830187611bb2565b61216f6020830186611bb2565b61217c6040830185611c92565b818103606083015261218e8184612117565b905095945050505050565b5f815190506121a781611a0c565b92915050565b5f602082840312156121c2576121c16119d9565b5b5f6121cf84828501612199565b91505092915050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52601260045260245ffd5b5f6040820190506122185f830185611bb2565b6122256020830184611c92565b939250505056fea26469706673582212206948fad78dd7f9d58194add32b5bb68934f44c77a01429e1eaff7cc2185d660d64736f6c634300081c0033";
-  readonly deployedBytecode: "0x608060405234801561000f575f5ffd5b50600436106101a7575f3560e01c80636cf6d675116100f75780638fc9838611610095578063b6b55f251161006f578063b6b55f25146104ad578063dd62ed3e146104dd578063e0b231fa1461050d578063f2fde38b1461053d576101a7565b80638fc983861461044157806395d89b411461045f578063a9059cbb1461047d576101a7565b80637e108d52116100d15780637e108d52146103a55780637fe0c850146103d557806383453945146104055780638da5cb5b14610423576101a7565b80636cf6d6751461034d57806370a082311461036b578063715018a61461039b576101a7565b8063274fc72a1161016457806338d52e0f1161013e57806338d52e0f146102d75780633ba0b9a9146102f557806359974e38146103135780636a1460241461032f576101a7565b8063274fc72a1461027f578063313ce5671461029d578063379607f5146102bb576101a7565b806306fdde03146101ab578063095ea7b3146101c95780630f300300146101f9578063114eaf551461021557806318160ddd1461023157806323b872dd1461024f575b5f5ffd5b6101b3610559565b6040516101c09190612068565b60405180910390f35b6101e360048036038101906101de9190612119565b6105e9565b6040516101f09190612171565b60405180910390f35b610213600480360381019061020e919061218a565b61060b565b005b61022f600480360381019061022a91906121b5565b6106c4565b005b610239610798565b60405161024691906121ef565b60405180910390f35b61026960048036038101906102649190612208565b6107a1565b6040516102769190612171565b60405180910390f35b6102876107cf565b60405161029491906121ef565b60405180910390f35b6102a56107d5565b6040516102b29190612273565b60405180910390f35b6102d560048036038101906102d091906121b5565b6107dd565b005b6102df610b9a565b6040516102ec91906122e7565b60405180910390f35b6102fd610bbe565b60405161030a91906121ef565b60405180910390f35b61032d600480360381019061032891906121b5565b610cbd565b005b610337610dad565b60405161034491906121ef565b60405180910390f35b610355610db9565b60405161036291906121ef565b60405180910390f35b6103856004803603810190610380919061218a565b610dbf565b60405161039291906121ef565b60405180910390f35b6103a3610e04565b005b6103bf60048036038101906103ba91906121b5565b610e17565b6040516103cc91906121ef565b60405180910390f35b6103ef60048036038101906103ea91906121b5565b6110d5565b6040516103fc91906121ef565b60405180910390f35b61040d61110d565b60405161041a9190612320565b60405180910390f35b61042b611132565b6040516104389190612348565b60405180910390f35b61044961115a565b6040516104569190612348565b60405180910390f35b61046761117f565b6040516104749190612068565b60405180910390f35b61049760048036038101906104929190612119565b61120f565b6040516104a49190612171565b60405180910390f35b6104c760048036038101906104c291906121b5565b611231565b6040516104d491906121ef565b60405180910390f35b6104f760048036038101906104f29190612361565b6113b4565b60405161050491906121ef565b60405180910390f35b610527600480360381019061052291906121b5565b611436565b60405161053491906121ef565b60405180910390f35b6105576004803603810190610552919061218a565b61148b565b005b606060038054610568906123cc565b80601f0160208091040260200160405190810160405280929190818152602001828054610594906123cc565b80156105df5780601f106105b6576101008083540402835291602001916105df565b820191905f5260205f20905b8154815290600101906020018083116105c257829003601f168201915b5050505050905090565b5f5f6105f361150f565b9050610600818585611516565b600191505092915050565b610613611528565b5f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603610681576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161067890612446565b60405180910390fd5b80600a5f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555050565b600a5f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff163373ffffffffffffffffffffffffffffffffffffffff1614610753576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161074a906124ae565b60405180910390fd5b7f1e87d1842527009d17fe588925d65dbeda5a9a83282ca9b691d6e4a522ae716f600854826040516107869291906124cc565b60405180910390a18060088190555050565b5f600254905090565b5f5f6107ab61150f565b90506107b88582856115af565b6107c3858585611642565b60019150509392505050565b60075481565b5f6012905090565b6107e5611732565b3373ffffffffffffffffffffffffffffffffffffffff1660095f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16636352211e836040518263ffffffff1660e01b815260040161085691906121ef565b602060405180830381865afa158015610871573d5f5f3e3d5ffd5b505050506040513d601f19601f820116820180604052508101906108959190612507565b73ffffffffffffffffffffffffffffffffffffffff16146108eb576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016108e29061257c565b60405180910390fd5b5f5f60095f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16638a4fb16a846040518263ffffffff1660e01b815260040161094791906121ef565b6040805180830381865afa158015610961573d5f5f3e3d5ffd5b505050506040513d601f19601f8201168201806040525081019061098591906125ae565b91509150804210156109cc576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016109c390612636565b60405180910390fd5b5f8211610a0e576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610a059061269e565b60405180910390fd5b60095f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff166380736be2846040518263ffffffff1660e01b8152600401610a6891906121ef565b5f604051808303815f87803b158015610a7f575f5ffd5b505af1158015610a91573d5f5f3e3d5ffd5b50505050816007541015610ada576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610ad190612706565b60405180910390fd5b8160075f828254610aeb9190612751565b92505081905550610b3d33837f000000000000000000000000000000000000000000000000000000000000000073ffffffffffffffffffffffffffffffffffffffff166117789092919063ffffffff16565b3373ffffffffffffffffffffffffffffffffffffffff167f987d620f307ff6b94d58743cb7a7509f24071586a77759b77c2d4e29f75a2f9a8484604051610b859291906124cc565b60405180910390a25050610b976117f7565b50565b7f000000000000000000000000000000000000000000000000000000000000000081565b5f5f610bc8610798565b90505f8103610be257670de0b6b3a7640000915050610cba565b5f7f000000000000000000000000000000000000000000000000000000000000000073ffffffffffffffffffffffffffffffffffffffff166370a08231306040518263ffffffff1660e01b8152600401610c3c9190612348565b602060405180830381865afa158015610c57573d5f5f3e3d5ffd5b505050506040513d601f19601f82011682018060405250810190610c7b9190612784565b90506007548111610c90575f92505050610cba565b5f60075482610c9f9190612751565b9050610cb481670de0b6b3a764000085611801565b93505050505b90565b610cc5611732565b5f8111610d07576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610cfe906127f9565b60405180910390fd5b610d543330837f000000000000000000000000000000000000000000000000000000000000000073ffffffffffffffffffffffffffffffffffffffff166118e0909392919063ffffffff16565b3373ffffffffffffffffffffffffffffffffffffffff167f0be934154273ab5bf3a024f88561955bee89ea6d9aac33477620b101ca5704d982604051610d9a91906121ef565b60405180910390a2610daa6117f7565b50565b670de0b6b3a764000081565b60085481565b5f5f5f8373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f20549050919050565b610e0c611528565b610e155f611962565b565b5f610e20611732565b5f8211610e62576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610e5990612861565b60405180910390fd5b5f610e6c33610dbf565b905082811015610eb1576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610ea8906128c9565b60405180910390fd5b5f610ebb846110d5565b9050610ec73385611a25565b8060075f828254610ed891906128e7565b925050819055507f000000000000000000000000000000000000000000000000000000000000000073ffffffffffffffffffffffffffffffffffffffff166370a08231306040518263ffffffff1660e01b8152600401610f389190612348565b602060405180830381865afa158015610f53573d5f5f3e3d5ffd5b505050506040513d601f19601f82011682018060405250810190610f779190612784565b6007541115610fbb576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610fb29061298a565b60405180910390fd5b5f60085442610fca91906128e7565b90505f60095f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1663227f06cc3385856040518463ffffffff1660e01b815260040161102b939291906129a8565b6020604051808303815f875af1158015611047573d5f5f3e3d5ffd5b505050506040513d601f19601f8201168201806040525081019061106b9190612784565b90503373ffffffffffffffffffffffffffffffffffffffff167fb37300a9c17bc336bfb65a440bf0452cbacf7f3c625bf93f721405b07a7b26af878584866040516110b994939291906129dd565b60405180910390a2809450505050506110d06117f7565b919050565b5f5f6110df610bbe565b90505f81036110f1575f915050611108565b6111048382670de0b6b3a7640000611801565b9150505b919050565b60095f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1681565b5f60065f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff16905090565b600a5f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1681565b60606004805461118e906123cc565b80601f01602080910402602001604051908101604052809291908181526020018280546111ba906123cc565b80156112055780601f106111dc57610100808354040283529160200191611205565b820191905f5260205f20905b8154815290600101906020018083116111e857829003601f168201915b5050505050905090565b5f5f61121961150f565b9050611226818585611642565b600191505092915050565b5f61123a611732565b5f821161127c576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611273906127f9565b60405180910390fd5b6112c93330847f000000000000000000000000000000000000000000000000000000000000000073ffffffffffffffffffffffffffffffffffffffff166118e0909392919063ffffffff16565b5f6112d2610798565b90505f5f82036112e457839050611348565b5f6112ed610bbe565b905061130285670de0b6b3a764000083611801565b91505f8211611346576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161133d90612a90565b60405180910390fd5b505b6113523382611aa4565b3373ffffffffffffffffffffffffffffffffffffffff167f73a19dd210f1a7f902193214c0ee91dd35ee5b4d920cba8d519eca65a7b488ca858360405161139a9291906124cc565b60405180910390a280925050506113af6117f7565b919050565b5f60015f8473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f8373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f2054905092915050565b5f5f611440610798565b90505f81036114525782915050611486565b5f61145b610bbe565b90505f810361146e575f92505050611486565b61148184670de0b6b3a764000083611801565b925050505b919050565b611493611528565b5f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603611503575f6040517f1e4fbdf70000000000000000000000000000000000000000000000000000000081526004016114fa9190612348565b60405180910390fd5b61150c81611962565b50565b5f33905090565b6115238383836001611b23565b505050565b61153061150f565b73ffffffffffffffffffffffffffffffffffffffff1661154e611132565b73ffffffffffffffffffffffffffffffffffffffff16146115ad5761157161150f565b6040517f118cdaa70000000000000000000000000000000000000000000000000000000081526004016115a49190612348565b60405180910390fd5b565b5f6115ba84846113b4565b90507fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff81101561163c578181101561162d578281836040517ffb8f41b2000000000000000000000000000000000000000000000000000000008152600401611624939291906129a8565b60405180910390fd5b61163b84848484035f611b23565b5b50505050565b5f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff16036116b2575f6040517f96c6fd1e0000000000000000000000000000000000000000000000000000000081526004016116a99190612348565b60405180910390fd5b5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603611722575f6040517fec442f050000000000000000000000000000000000000000000000000000000081526004016117199190612348565b60405180910390fd5b61172d838383611cf2565b505050565b60026005540361176e576040517f3ee5aeb500000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6002600581905550565b6117f2838473ffffffffffffffffffffffffffffffffffffffff1663a9059cbb85856040516024016117ab929190612aae565b604051602081830303815290604052915060e01b6020820180517bffffffffffffffffffffffffffffffffffffffffffffffffffffffff8381831617835250505050611f0b565b505050565b6001600581905550565b5f5f5f61180e8686611fa6565b915091505f82036118335783818161182957611828612ad5565b5b04925050506118d9565b8184116118525761185161184c5f861460126011611fc3565b611fdc565b5b5f8486880990508181118303925080820391505f855f038616905080860495508083049250600181825f0304019050808402831792505f600287600302189050808702600203810290508087026002038102905080870260020381029050808702600203810290508087026002038102905080870260020381029050808402955050505050505b9392505050565b61195c848573ffffffffffffffffffffffffffffffffffffffff166323b872dd86868660405160240161191593929190612b02565b604051602081830303815290604052915060e01b6020820180517bffffffffffffffffffffffffffffffffffffffffffffffffffffffff8381831617835250505050611f0b565b50505050565b5f60065f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1690508160065f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508173ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e060405160405180910390a35050565b5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603611a95575f6040517f96c6fd1e000000000000000000000000000000000000000000000000000000008152600401611a8c9190612348565b60405180910390fd5b611aa0825f83611cf2565b5050565b5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603611b14575f6040517fec442f05000000000000000000000000000000000000000000000000000000008152600401611b0b9190612348565b60405180910390fd5b611b1f5f8383611cf2565b5050565b5f73ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff1603611b93575f6040517fe602df05000000000000000000000000000000000000000000000000000000008152600401611b8a9190612348565b60405180910390fd5b5f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff1603611c03575f6040517f94280d62000000000000000000000000000000000000000000000000000000008152600401611bfa9190612348565b60405180910390fd5b8160015f8673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f8573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f20819055508015611cec578273ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff167f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b92584604051611ce391906121ef565b60405180910390a35b50505050565b5f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff1603611d42578060025f828254611d3691906128e7565b92505081905550611e10565b5f5f5f8573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f2054905081811015611dcb578381836040517fe450d38c000000000000000000000000000000000000000000000000000000008152600401611dc2939291906129a8565b60405180910390fd5b8181035f5f8673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f2081905550505b5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603611e57578060025f8282540392505081905550611ea1565b805f5f8473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f82825401925050819055505b8173ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff167fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef83604051611efe91906121ef565b60405180910390a3505050565b5f5f60205f8451602086015f885af180611f2a576040513d5f823e3d81fd5b3d92505f519150505f8214611f43576001811415611f5e565b5f8473ffffffffffffffffffffffffffffffffffffffff163b145b15611fa057836040517f5274afe7000000000000000000000000000000000000000000000000000000008152600401611f979190612348565b60405180910390fd5b50505050565b5f5f5f198385098385029150818110828203039250509250929050565b5f611fcd84611fed565b82841802821890509392505050565b634e487b715f52806020526024601cfd5b5f8115159050919050565b5f81519050919050565b5f82825260208201905092915050565b8281835e5f83830152505050565b5f601f19601f8301169050919050565b5f61203a82611ff8565b6120448185612002565b9350612054818560208601612012565b61205d81612020565b840191505092915050565b5f6020820190508181035f8301526120808184612030565b905092915050565b5f5ffd5b5f73ffffffffffffffffffffffffffffffffffffffff82169050919050565b5f6120b58261208c565b9050919050565b6120c5816120ab565b81146120cf575f5ffd5b50565b5f813590506120e0816120bc565b92915050565b5f819050919050565b6120f8816120e6565b8114612102575f5ffd5b50565b5f81359050612113816120ef565b92915050565b5f5f6040838503121561212f5761212e612088565b5b5f61213c858286016120d2565b925050602061214d85828601612105565b9150509250929050565b5f8115159050919050565b61216b81612157565b82525050565b5f6020820190506121845f830184612162565b92915050565b5f6020828403121561219f5761219e612088565b5b5f6121ac848285016120d2565b91505092915050565b5f602082840312156121ca576121c9612088565b5b5f6121d784828501612105565b91505092915050565b6121e9816120e6565b82525050565b5f6020820190506122025f8301846121e0565b92915050565b5f5f5f6060848603121561221f5761221e612088565b5b5f61222c868287016120d2565b935050602061223d868287016120d2565b925050604061224e86828701612105565b9150509250925092565b5f60ff82169050919050565b61226d81612258565b82525050565b5f6020820190506122865f830184612264565b92915050565b5f819050919050565b5f6122af6122aa6122a58461208c565b61228c565b61208c565b9050919050565b5f6122c082612295565b9050919050565b5f6122d1826122b6565b9050919050565b6122e1816122c7565b82525050565b5f6020820190506122fa5f8301846122d8565b92915050565b5f61230a826122b6565b9050919050565b61231a81612300565b82525050565b5f6020820190506123335f830184612311565b92915050565b612342816120ab565b82525050565b5f60208201905061235b5f830184612339565b92915050565b5f5f6040838503121561237757612376612088565b5b5f612384858286016120d2565b9250506020612395858286016120d2565b9150509250929050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52602260045260245ffd5b5f60028204905060018216806123e357607f821691505b6020821081036123f6576123f561239f565b5b50919050565b7f676f7665726e616e63653d3000000000000000000000000000000000000000005f82015250565b5f612430600c83612002565b915061243b826123fc565b602082019050919050565b5f6020820190508181035f83015261245d81612424565b9050919050565b7f6f6e6c7920676f7665726e616e636500000000000000000000000000000000005f82015250565b5f612498600f83612002565b91506124a382612464565b602082019050919050565b5f6020820190508181035f8301526124c58161248c565b9050919050565b5f6040820190506124df5f8301856121e0565b6124ec60208301846121e0565b9392505050565b5f81519050612501816120bc565b92915050565b5f6020828403121561251c5761251b612088565b5b5f612529848285016124f3565b91505092915050565b7f6e6f74206f776e657200000000000000000000000000000000000000000000005f82015250565b5f612566600983612002565b915061257182612532565b602082019050919050565b5f6020820190508181035f8301526125938161255a565b9050919050565b5f815190506125a8816120ef565b92915050565b5f5f604083850312156125c4576125c3612088565b5b5f6125d18582860161259a565b92505060206125e28582860161259a565b9150509250929050565b7f6e6f742079657420617661696c61626c650000000000000000000000000000005f82015250565b5f612620601183612002565b915061262b826125ec565b602082019050919050565b5f6020820190508181035f83015261264d81612614565b9050919050565b7f6e6f7468696e67206f77656400000000000000000000000000000000000000005f82015250565b5f612688600c83612002565b915061269382612654565b602082019050919050565b5f6020820190508181035f8301526126b58161267c565b9050919050565b7f6c6f636b656441737365747320756e646572666c6f77000000000000000000005f82015250565b5f6126f0601683612002565b91506126fb826126bc565b602082019050919050565b5f6020820190508181035f83015261271d816126e4565b9050919050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52601160045260245ffd5b5f61275b826120e6565b9150612766836120e6565b925082820390508181111561277e5761277d612724565b5b92915050565b5f6020828403121561279957612798612088565b5b5f6127a68482850161259a565b91505092915050565b7f7a65726f206173736574730000000000000000000000000000000000000000005f82015250565b5f6127e3600b83612002565b91506127ee826127af565b602082019050919050565b5f6020820190508181035f830152612810816127d7565b9050919050565b7f7a65726f207368617265730000000000000000000000000000000000000000005f82015250565b5f61284b600b83612002565b915061285682612817565b602082019050919050565b5f6020820190508181035f8301526128788161283f565b9050919050565b7f696e73756666696369656e7420736861726573000000000000000000000000005f82015250565b5f6128b3601383612002565b91506128be8261287f565b602082019050919050565b5f6020820190508181035f8301526128e0816128a7565b9050919050565b5f6128f1826120e6565b91506128fc836120e6565b925082820190508082111561291457612913612724565b5b92915050565b7f696e73756666696369656e742061737365742062616c616e63652061667465725f8201527f206c6f636b000000000000000000000000000000000000000000000000000000602082015250565b5f612974602583612002565b915061297f8261291a565b604082019050919050565b5f6020820190508181035f8301526129a181612968565b9050919050565b5f6060820190506129bb5f830186612339565b6129c860208301856121e0565b6129d560408301846121e0565b949350505050565b5f6080820190506129f05f8301876121e0565b6129fd60208301866121e0565b612a0a60408301856121e0565b612a1760608301846121e0565b95945050505050565b7f696e73756666696369656e742061737365747320746f206d696e7420736861725f8201527f6573000000000000000000000000000000000000000000000000000000000000602082015250565b5f612a7a602283612002565b9150612a8582612a20565b604082019050919050565b5f6020820190508181035f830152612aa781612a6e565b9050919050565b5f604082019050612ac15f830185612339565b612ace60208301846121e0565b9392505050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52601260045260245ffd5b5f606082019050612b155f830186612339565b612b226020830185612339565b612b2f60408301846121e0565b94935050505056fea2646970667358221220aea615d909baa56f875225bf31496c3928abe312efd4a29132e207201a2b352a64736f6c634300081c0033";
+  readonly abi: [{"inputs":[{"internalType":"address","name":"asset_","type":"address"},{"internalType":"string","name":"_sharesName","type":"string"},{"internalType":"string","name":"_sharesSymbol","type":"string"},{"internalType":"uint256","name":"_unbondingPeriod","type":"uint256"}],"stateMutability":"nonpayable","type":"constructor"},{"inputs":[],"name":"CheckpointUnorderedInsertion","type":"error"},{"inputs":[{"internalType":"address","name":"spender","type":"address"},{"internalType":"uint256","name":"allowance","type":"uint256"},{"internalType":"uint256","name":"needed","type":"uint256"}],"name":"ERC20InsufficientAllowance","type":"error"},{"inputs":[{"internalType":"address","name":"sender","type":"address"},{"internalType":"uint256","name":"balance","type":"uint256"},{"internalType":"uint256","name":"needed","type":"uint256"}],"name":"ERC20InsufficientBalance","type":"error"},{"inputs":[{"internalType":"address","name":"approver","type":"address"}],"name":"ERC20InvalidApprover","type":"error"},{"inputs":[{"internalType":"address","name":"receiver","type":"address"}],"name":"ERC20InvalidReceiver","type":"error"},{"inputs":[{"internalType":"address","name":"sender","type":"address"}],"name":"ERC20InvalidSender","type":"error"},{"inputs":[{"internalType":"address","name":"spender","type":"address"}],"name":"ERC20InvalidSpender","type":"error"},{"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"OwnableInvalidOwner","type":"error"},{"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"OwnableUnauthorizedAccount","type":"error"},{"inputs":[],"name":"ReentrancyGuardReentrantCall","type":"error"},{"inputs":[{"internalType":"uint8","name":"bits","type":"uint8"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"SafeCastOverflowedUintDowncast","type":"error"},{"inputs":[{"internalType":"address","name":"token","type":"address"}],"name":"SafeERC20FailedOperation","type":"error"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":true,"internalType":"address","name":"spender","type":"address"},{"indexed":false,"internalType":"uint256","name":"value","type":"uint256"}],"name":"Approval","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"caller","type":"address"},{"indexed":true,"internalType":"address","name":"recipient","type":"address"},{"indexed":false,"internalType":"uint256","name":"withdrawalId","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"assetsPaid","type":"uint256"}],"name":"Claimed","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"sender","type":"address"},{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":false,"internalType":"uint256","name":"assets","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"shares","type":"uint256"}],"name":"Deposit","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"depositCap","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"accountDepositCap","type":"uint256"}],"name":"DepositCapsUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"assets","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"shares","type":"uint256"}],"name":"Deposited","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"by","type":"address"},{"indexed":false,"internalType":"uint256","name":"assets","type":"uint256"}],"name":"DistributedRewards","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"bool","name":"enabled","type":"bool"},{"indexed":false,"internalType":"uint256","name":"emergencyUnbondingPeriod","type":"uint256"}],"name":"EmergencyModeUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"treasury","type":"address"},{"indexed":false,"internalType":"uint256","name":"rewards","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"feeAssets","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"feeShares","type":"uint256"}],"name":"FeeAccrued","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"oldGuardian","type":"address"},{"indexed":true,"internalType":"address","name":"newGuardian","type":"address"}],"name":"GuardianUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"sharesBurned","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"assetsOwed","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"withdrawalId","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"availableAt","type":"uint256"}],"name":"InitiatedWithdraw","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"oldInterval","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"newInterval","type":"uint256"}],"name":"MinReportIntervalUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"oldOracle","type":"address"},{"indexed":true,"internalType":"address","name":"newOracle","type":"address"}],"name":"OracleUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"enum LiquidStakingVault.Action","name":"action","type":"uint8"},{"indexed":true,"internalType":"address","name":"by","type":"address"}],"name":"Paused","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"oldFeeBps","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"newFeeBps","type":"uint256"}],"name":"ProtocolFeeUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"maxRewardBps","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"maxLossBps","type":"uint256"}],"name":"ReportBoundsUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"oracle","type":"address"},{"indexed":false,"internalType":"int256","name":"balanceChange","type":"int256"},{"indexed":false,"internalType":"uint256","name":"withdrawalLoss","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"totalAssets","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"lockedAssets","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"exchangeRate","type":"uint256"}],"name":"Reported","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"oldPeriod","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"newPeriod","type":"uint256"}],"name":"RewardsStreamingPeriodUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"token","type":"address"},{"indexed":true,"internalType":"address","name":"to","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"Swept","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"from","type":"address"},{"indexed":true,"internalType":"address","name":"to","type":"address"},{"indexed":false,"internalType":"uint256","name":"value","type":"uint256"}],"name":"Transfer","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"oldTreasury","type":"address"},{"indexed":true,"internalType":"address","name":"newTreasury","type":"address"}],"name":"TreasuryUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"oldPeriod","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"newPeriod","type":"uint256"}],"name":"UnbondingPeriodUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"enum LiquidStakingVault.Action","name":"action","type":"uint8"}],"name":"Unpaused","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"sender","type":"address"},{"indexed":true,"internalType":"address","name":"receiver","type":"address"},{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":false,"internalType":"uint256","name":"assets","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"shares","type":"uint256"}],"name":"Withdraw","type":"event"},{"inputs":[],"name":"BPS","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"CLOCK_MODE","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"pure","type":"function"},{"inputs":[],"name":"DECIMALS_OFFSET","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"MAX_MIN_REPORT_INTERVAL","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"MAX_PROTOCOL_FEE_BPS","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"MAX_REPORT_BPS","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"MAX_REWARDS_STREAMING_PERIOD","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"WAD","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"accountDepositCap","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"owner","type":"address"},{"internalType":"address","name":"spender","type":"address"}],"name":"allowance","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"spender","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"approve","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"asset","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"assets","type":"uint256"}],"name":"assetsToShares","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"balanceOf","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"checkpoint","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"withdrawalId","type":"uint256"}],"name":"claim","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256[]","name":"withdrawalIds","type":"uint256[]"}],"name":"claimMany","outputs":[{"internalType":"uint256","name":"total","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"withdrawalId","type":"uint256"},{"internalType":"address","name":"recipient","type":"address"}],"name":"claimTo","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"withdrawalId","type":"uint256"}],"name":"claimableAssets","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"withdrawalId","type":"uint256"}],"name":"claimableAt","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"clock","outputs":[{"internalType":"uint48","name":"","type":"uint48"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"shares","type":"uint256"}],"name":"convertToAssets","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"assets","type":"uint256"}],"name":"convertToShares","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"decimals","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"assets","type":"uint256"},{"internalType":"address","name":"receiver","type":"address"}],"name":"deposit","outputs":[{"internalType":"uint256","name":"shares","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"assets","type":"uint256"}],"name":"deposit","outputs":[{"internalType":"uint256","name":"shares","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"depositCap","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"assets","type":"uint256"}],"name":"distributeRewards","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"emergencyMode","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"emergencyUnbondingPeriod","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"exchangeRate","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"timepoint","type":"uint256"}],"name":"exchangeRateAt","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"timepoint","type":"uint256"}],"name":"getPastTotalSupply","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"account","type":"address"},{"internalType":"uint256","name":"timepoint","type":"uint256"}],"name":"getPastVotes","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"getVotes","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"governanceExecutor","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"guardian","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"shares","type":"uint256"}],"name":"initiateWithdraw","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"lastReportAt","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"lockedAssets","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"managedAssets","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"receiver","type":"address"}],"name":"maxDeposit","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"maxLossBps","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"receiver","type":"address"}],"name":"maxMint","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"maxRedeem","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"maxRewardBps","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"maxWithdraw","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"minReportInterval","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"shares","type":"uint256"},{"internalType":"address","name":"receiver","type":"address"}],"name":"mint","outputs":[{"internalType":"uint256","name":"assets","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"name","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"oracle","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"enum LiquidStakingVault.Action","name":"action","type":"uint8"}],"name":"pause","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"enum LiquidStakingVault.Action","name":"","type":"uint8"}],"name":"paused","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"pendingRewards","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"assets","type":"uint256"}],"name":"previewDeposit","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"rewards","type":"uint256"}],"name":"previewFee","outputs":[{"internalType":"uint256","name":"feeAssets","type":"uint256"},{"internalType":"uint256","name":"feeShares","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"shares","type":"uint256"}],"name":"previewMint","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"shares","type":"uint256"}],"name":"previewRedeem","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"assets","type":"uint256"}],"name":"previewWithdraw","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"protocolFeeBps","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"shares","type":"uint256"},{"internalType":"address","name":"receiver","type":"address"},{"internalType":"address","name":"owner","type":"address"}],"name":"redeem","outputs":[{"internalType":"uint256","name":"assets","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"int256","name":"balanceChange","type":"int256"}],"name":"report","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"rewardsStreamingPeriod","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"newDepositCap","type":"uint256"},{"internalType":"uint256","name":"newAccountDepositCap","type":"uint256"}],"name":"setDepositCaps","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"bool","name":"enabled","type":"bool"},{"internalType":"uint256","name":"newEmergencyUnbondingPeriod","type":"uint256"}],"name":"setEmergencyMode","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"_governanceExecutor","type":"address"}],"name":"setGovernanceExecutor","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"newGuardian","type":"address"}],"name":"setGuardian","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"newInterval","type":"uint256"}],"name":"setMinReportInterval","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"newOracle","type":"address"}],"name":"setOracle","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"newFeeBps","type":"uint256"}],"name":"setProtocolFee","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"newMaxRewardBps","type":"uint256"},{"internalType":"uint256","name":"newMaxLossBps","type":"uint256"}],"name":"setReportBounds","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"newPeriod","type":"uint256"}],"name":"setRewardsStreamingPeriod","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"newTreasury","type":"address"}],"name":"setTreasury","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"newPeriod","type":"uint256"}],"name":"setUnbondingPeriod","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"shares","type":"uint256"}],"name":"sharesToAssets","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"streamEnd","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"streamStart","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"streamedRewards","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"token","type":"address"},{"internalType":"address","name":"to","type":"address"}],"name":"sweep","outputs":[{"internalType":"uint256","name":"amount","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"symbol","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"totalAssets","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"totalFeeAssets","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"totalFeeShares","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"totalSupply","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"transfer","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"transferFrom","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"treasury","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"unbondingPeriod","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"unlockedRewards","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"enum LiquidStakingVault.Action","name":"action","type":"uint8"}],"name":"unpause","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"assets","type":"uint256"},{"internalType":"address","name":"receiver","type":"address"},{"internalType":"address","name":"owner","type":"address"}],"name":"withdraw","outputs":[{"internalType":"uint256","name":"shares","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"withdrawalIndex","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"withdrawalNFT","outputs":[{"internalType":"contract WithdrawalNFT","name":"","type":"address"}],"stateMutability":"view","type":"function"}];
+  readonly bytecode: "0x60c06040526103e8600c556103e8600d5561a8c0600e55670de0b6b3a764000060105562093a806016555f19601c555f19601d5534801561003e575f5ffd5b50604051616ca4380380616ca483398101604081905261005d916107ed565b338383600361006c83826108fb565b50600461007982826108fb565b505050600161009261008f6101d460201b60201c565b90565b556001600160a01b0381166100c157604051631e4fbdf760e01b81525f60048201526024015b60405180910390fd5b6100ca816101f8565b506001600160a01b03841661010b5760405162461bcd60e51b8152602060048201526007602482015266061737365743d360cc1b60448201526064016100b8565b6001600160a01b03841660805261012184610249565b60ff1660a0526008819055604051849061013a90610743565b6060808252600c908201526b4c53542d576974686472617760a01b608082015260a060208201819052600490820152634c53545760e01b60c08201526001600160a01b03909116604082015260e001604051809103905ff0801580156101a2573d5f5f3e3d5ffd5b50600980546001600160a01b0319166001600160a01b03929092169190911790556101cb610317565b50505050610b60565b7f9b779b17422d0df92223018b32b4d1fa46e071723d6817e2486d003becc55f0090565b600580546001600160a01b038381166001600160a01b0319831681179093556040519116919082907f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0905f90a35050565b60408051600481526024810182526020810180516001600160e01b031663313ce56760e01b17905290515f91829182916001600160a01b0386169161028e91906109b5565b5f60405180830381855afa9150503d805f81146102c6576040519150601f19603f3d011682016040523d82523d5f602084013e6102cb565b606091505b50915091508180156102df57506020815110155b1561030d575f818060200190518101906102f991906109cb565b905060ff811161030b57949350505050565b505b5060129392505050565b61033b61032261033f565b61033261032d61034e565b61038c565b602291906103c3565b5050565b5f610349436103dd565b905090565b5f61034961035a61040f565b6103659060016109f6565b670de0b6b3a764000061037a6006600a610aea565b60025461038791906109f6565b61044b565b5f6001600160d01b038211156103bf576040516306dfcc6560e41b815260d06004820152602481018390526044016100b8565b5090565b5f806103d08585856104fc565b915091505b935093915050565b5f65ffffffffffff8211156103bf576040516306dfcc6560e41b815260306004820152602481018390526044016100b8565b5f80610419610665565b60075461042691906109f6565b90508060065411610437575f610445565b806006546104459190610af8565b91505090565b5f8080610458868661069f565b91509150815f0361047c5783818161047257610472610b0b565b04925050506104f5565b8184116104935761049360038515026011186106bb565b5f848688095f868103871696879004966002600389028118808a02820302808a02820302808a02820302808a02820302808a02820302808a02909103029181900381900460010185841190960395909502919093039390930492909217029150505b9392505050565b82545f9081908015610608575f61052587610518600185610af8565b5f91825260209091200190565b805490915065ffffffffffff80821691660100000000000090046001600160d01b031690881682111561056b57604051632520601d60e01b815260040160405180910390fd5b8765ffffffffffff168265ffffffffffff16036105a757825465ffffffffffff1666010000000000006001600160d01b038916021783556105fa565b6040805180820190915265ffffffffffff808a1682526001600160d01b03808a1660208085019182528d54600181018f555f8f815291909120945191519092166601000000000000029216919091179101555b94508593506103d592505050565b50506040805180820190915265ffffffffffff80851682526001600160d01b0380851660208085019182528854600181018a555f8a81529182209551925190931666010000000000000291909316179201919091559050816103d5565b5f601954421061067457505f90565b610349601754426019546106889190610af8565b6018546019546106989190610af8565b60016106cc565b5f805f1983850993909202808410938190039390930393915050565b634e487b715f52806020526024601cfd5b5f6106f96106d983610717565b80156106f457505f84806106ef576106ef610b0b565b868809115b151590565b61070486868661044b565b61070e91906109f6565b95945050505050565b5f600282600381111561072c5761072c610b1f565b6107369190610b33565b60ff166001149050919050565b611e8580614e1f83390190565b634e487b7160e01b5f52604160045260245ffd5b5f82601f830112610773575f5ffd5b81516001600160401b0381111561078c5761078c610750565b604051601f8201601f19908116603f011681016001600160401b03811182821017156107ba576107ba610750565b6040528181528382016020018510156107d1575f5ffd5b8160208501602083015e5f918101602001919091529392505050565b5f5f5f5f60808587031215610800575f5ffd5b84516001600160a01b0381168114610816575f5ffd5b60208601519094506001600160401b03811115610831575f5ffd5b61083d87828801610764565b604087015190945090506001600160401b0381111561085a575f5ffd5b61086687828801610764565b606096909601519497939650505050565b600181811c9082168061088b57607f821691505b6020821081036108a957634e487b7160e01b5f52602260045260245ffd5b50919050565b601f8211156108f657805f5260205f20601f840160051c810160208510156108d45750805b601f840160051c820191505b818110156108f3575f81556001016108e0565b50505b505050565b81516001600160401b0381111561091457610914610750565b610928816109228454610877565b846108af565b6020601f82116001811461095a575f83156109435750848201515b5f19600385901b1c1916600184901b1784556108f3565b5f84815260208120601f198516915b828110156109895787850151825560209485019460019092019101610969565b50848210156109a657868401515f19600387901b60f8161c191681555b50505050600190811b01905550565b5f82518060208501845e5f920191825250919050565b5f602082840312156109db575f5ffd5b5051919050565b634e487b7160e01b5f52601160045260245ffd5b80820180821115610a0957610a096109e2565b92915050565b6001815b60018411156103d557808504811115610a2e57610a2e6109e2565b6001841615610a3c57908102905b60019390931c928002610a13565b5f82610a5857506001610a09565b81610a6457505f610a09565b8160018114610a7a5760028114610a8457610aa0565b6001915050610a09565b60ff841115610a9557610a956109e2565b50506001821b610a09565b5060208310610133831016604e8410600b8410161715610ac3575081810a610a09565b610acf5f198484610a0f565b805f1904821115610ae257610ae26109e2565b029392505050565b5f6104f560ff841683610a4a565b81810381811115610a0957610a096109e2565b634e487b7160e01b5f52601260045260245ffd5b634e487b7160e01b5f52602160045260245ffd5b5f60ff831680610b5157634e487b7160e01b5f52601260045260245ffd5b8060ff84160691505092915050565b60805160a05161427b610ba45f395f61102001525f81816106c6015281816112d801528181611bde015281816120ea01528181612a2c0152612e4f015261427b5ff3fe608060405234801561000f575f5ffd5b506004361061051f575f3560e01c80637dc0d1d0116102a5578063b8dc491b1161016c578063dbd5edc7116100d5578063ef8b30f71161008f578063ef8b30f714610a84578063f0f4426014610b3e578063f2fde38b14610b51578063f420e2a814610b64578063f4a0877f14610b6d578063f590bfd314610b76575f5ffd5b8063dbd5edc714610ad9578063dc9db7f114610ae2578063dd62ed3e14610aeb578063e0b231fa14610a84578063eded3fda14610b23578063edf07f1514610b2b575f5ffd5b8063c63d75b611610126578063c63d75b614610a71578063c6e6f59214610a84578063cdbeafc414610a97578063ce96cb7714610aaa578063d5bfa4f214610abd578063d905777e14610ac6575f5ffd5b8063b8dc491b14610a14578063b9d8851514610a27578063ba08765214610a3a578063be45878914610a4d578063c048ac7114610a56578063c2c4c5c114610a69575f5ffd5b806395d89b411161020e578063ad73c7c8116101c8578063ad73c7c8146109c2578063aea70acc146109ca578063b3d7f6b9146109d2578063b460af94146109e5578063b5b0a57b146109f8578063b6b55f2514610a01575f5ffd5b806395d89b411461096e5780639ab24eb0146109765780639e55746414610989578063a15c676e1461099c578063a9059cbb146109a6578063ab4e02d4146109b9575f5ffd5b80638e539e8c1161025f5780638e539e8c146108fa5780638fc983861461090d57806391ddadf414610920578063925489a81461093f57806392dc7b7b1461095257806394bf804d1461095b575f5ffd5b80637dc0d1d01461089d5780637e108d52146108b05780637fe0c8501461056657806383453945146108c35780638a0dac4a146108d65780638da5cb5b146108e9575f5ffd5b80633a46b1a8116103e95780635f7ea0e9116103525780636e553f651161030c5780636e553f651461082157806370a0823114610834578063715018a61461085c578063787dce3d1461086457806378d7dbeb146108775780637adbf9731461088a575f5ffd5b80635f7ea0e9146107db57806361d027b3146107e4578063686006c9146107f75780636a146024146108005780636cf6d6751461080f5780636d947e4b14610818575f5ffd5b80634d207d05116103a35780634d207d05146107785780634db956651461078157806354eae3e61461078a57806359974e381461079357806359c9b305146107a65780635ac86ab7146107b9575f5ffd5b80633a46b1a8146106fe5780633ba0b9a914610711578063402d267d14610719578063452a93201461072c5780634bf5d7e91461073f5780634cdad50614610566575f5ffd5b8063249d39e91161048b5780633367dd61116104455780633367dd611461066d57806335659fb81461067657806335e856f21461067f57806336e5667e146106a7578063379607f5146106b157806338d52e0f146106c4575f5ffd5b8063249d39e914610612578063274fc72a1461061b578063301c7e5d1461062457806330e1198b146106375780633129c2751461064a578063313ce56714610653575f5ffd5b80630a28a477116104dc5780630a28a477146105a95780630bfedc8c146105bc5780630f300300146105d1578063114eaf55146105e457806318160ddd146105f757806323b872dd146105ff575f5ffd5b806301e1d1141461052357806303bbd2ed1461053e57806306fdde031461055157806307a2d13a146105665780630905f56014610579578063095ea7b314610596575b5f5ffd5b61052b610b89565b6040519081526020015b60405180910390f35b61052b61054c366004613c89565b610bc5565b610559610c67565b6040516105359190613ca0565b61052b610574366004613c89565b610cf7565b601e546105869060ff1681565b6040519015158152602001610535565b6105866105a4366004613ce9565b610d08565b61052b6105b7366004613c89565b610d1f565b6105cf6105ca366004613d13565b610d2b565b005b6105cf6105df366004613d33565b610da6565b6105cf6105f2366004613c89565b610e15565b60025461052b565b61058661060d366004613d4e565b610e80565b61052b61271081565b61052b60075481565b6105cf610632366004613d8c565b610ea5565b6105cf610645366004613daa565b610f51565b61052b600d5481565b61065b611018565b60405160ff9091168152602001610535565b61052b60155481565b61052b60125481565b61069261068d366004613c89565b611049565b60408051928352602083019190915201610535565b61052b62093a8081565b6105cf6106bf366004613c89565b6110e7565b7f00000000000000000000000000000000000000000000000000000000000000005b6040516001600160a01b039091168152602001610535565b61052b61070c366004613ce9565b611169565b61052b6111a2565b61052b610727366004613d33565b6111db565b601a546106e6906001600160a01b031681565b60408051808201909152601d81527f6d6f64653d626c6f636b6e756d6265722666726f6d3d64656661756c740000006020820152610559565b61052b60105481565b61052b61138881565b61052b60195481565b6105cf6107a1366004613c89565b611257565b61052b6107b4366004613c89565b61135d565b6105866107c7366004613d8c565b601b6020525f908152604090205460ff1681565b61052b60145481565b6013546106e6906001600160a01b031681565b61052b601f5481565b61052b670de0b6b3a764000081565b61052b60085481565b61052b6107d081565b61052b61082f366004613daa565b611381565b61052b610842366004613d33565b6001600160a01b03165f9081526020819052604090205490565b6105cf6113f0565b6105cf610872366004613c89565b611403565b6105cf610885366004613de5565b611500565b6105cf610898366004613d33565b6115c1565b600b546106e6906001600160a01b031681565b61052b6108be366004613c89565b611624565b6009546106e6906001600160a01b031681565b6105cf6108e4366004613d33565b61170e565b6005546001600160a01b03166106e6565b61052b610908366004613c89565b611771565b600a546106e6906001600160a01b031681565b610928611786565b60405165ffffffffffff9091168152602001610535565b61052b61094d366004613e01565b611790565b61052b600f5481565b61052b610969366004613daa565b61182f565b6105596118a6565b61052b610984366004613d33565b6118b5565b6105cf610997366004613d13565b6118d4565b61052b62278d0081565b6105866109b4366004613ce9565b611990565b61052b600c5481565b61052b61199d565b61065b600681565b61052b6109e0366004613c89565b6119b3565b61052b6109f3366004613e72565b6119bf565b61052b601d5481565b61052b610a0f366004613c89565b611aa2565b61052b610a22366004613eb1565b611afa565b6105cf610a35366004613c89565b611cf6565b61052b610a48366004613e72565b611da9565b61052b60165481565b61052b610a64366004613c89565b611e72565b6105cf611f0d565b61052b610a7f366004613d33565b611f15565b61052b610a92366004613c89565b611f39565b6105cf610aa5366004613c89565b611f44565b61052b610ab8366004613d33565b6121da565b61052b600e5481565b61052b610ad4366004613d33565b612224565b61052b601c5481565b61052b60185481565b61052b610af9366004613eb1565b6001600160a01b039182165f90815260016020908152604080832093909416825291909152205490565b61052b61226a565b6105cf610b39366004613d8c565b6122a4565b6105cf610b4c366004613d33565b612387565b6105cf610b5f366004613d33565b61244f565b61052b60175481565b61052b60065481565b6105cf610b84366004613c89565b612489565b5f5f610b9361226a565b600754610ba09190613ef1565b90508060065411610bb1575f610bbf565b80600654610bbf9190613f04565b91505090565b5f81815260116020526040812054808203610be257505f92915050565b600954604051634527d8b560e11b8152600481018590525f916001600160a01b031690638a4fb16a90602401608060405180830381865afa158015610c29573d5f5f3e3d5ffd5b505050506040513d601f19601f82011682018060405250810190610c4d9190613f17565b5050509050610c5f816010548461253a565b949350505050565b606060038054610c7690613f54565b80601f0160208091040260200160405190810160405280929190818152602001828054610ca290613f54565b8015610ced5780601f10610cc457610100808354040283529160200191610ced565b820191905f5260205f20905b815481529060010190602001808311610cd057829003601f168201915b5050505050905090565b5f610d02825f6125ea565b92915050565b5f33610d15818585612621565b5060019392505050565b5f610d02826001612633565b600a546001600160a01b03163314610d5e5760405162461bcd60e51b8152600401610d5590613f8c565b60405180910390fd5b601c829055601d81905560408051838152602081018390527feb9e61b721946771cec799ed6880c74ad3ed98f30f75e28897ba4dd053e481ab91015b60405180910390a15050565b610dae612664565b6001600160a01b038116610df35760405162461bcd60e51b815260206004820152600c60248201526b0676f7665726e616e63653d360a41b6044820152606401610d55565b600a80546001600160a01b0319166001600160a01b0392909216919091179055565b600a546001600160a01b03163314610e3f5760405162461bcd60e51b8152600401610d5590613f8c565b60085460408051918252602082018390527f1e87d1842527009d17fe588925d65dbeda5a9a83282ca9b691d6e4a522ae716f910160405180910390a1600855565b5f33610e8d858285612691565b610e9885858561270d565b60019150505b9392505050565b600a546001600160a01b03163314610ecf5760405162461bcd60e51b8152600401610d5590613f8c565b5f601b5f836003811115610ee557610ee5613fb5565b6003811115610ef657610ef6613fb5565b815260208101919091526040015f20805460ff1916911515919091179055806003811115610f2657610f26613fb5565b6040517fafa6a701dcf906f0e1f3c15f3744b49ab64a3ba24d8796b2d5cca5a85be58beb905f90a250565b610f5961276a565b60025f819052601b6020527f1dd2f4b94a51cfb409e6e317a497f7cfd9013960a1c723f830c49c05a25f08a55460ff1615610fa65760405162461bcd60e51b8152600401610d5590613fc9565b6001600160a01b038216610fea5760405162461bcd60e51b815260206004820152600b60248201526a0726563697069656e743d360ac1b6044820152606401610d55565b610ff48383612785565b50610ffd612aa0565b5061101460015f5160206142065f395f51905f5255565b5050565b5f61104460067f0000000000000000000000000000000000000000000000000000000000000000613fe9565b905090565b5f5f6012545f148061105b5750600254155b1561106a57505f928392509050565b6110798360125461271061253a565b91505f6016545f1461108b578261109d565b61109361226a565b61109d9085613ef1565b90506110df836110af6006600a6140d5565b6002546110bc9190613ef1565b836110c5610b89565b6110cf9190613ef1565b6110da906001613ef1565b61253a565b915050915091565b6110ef61276a565b60025f819052601b6020527f1dd2f4b94a51cfb409e6e317a497f7cfd9013960a1c723f830c49c05a25f08a55460ff161561113c5760405162461bcd60e51b8152600401610d5590613fc9565b6111468233612785565b5061114f612aa0565b5061116660015f5160206142065f395f51905f5255565b50565b5f61119261117683612ac4565b6001600160a01b0385165f908152602080526040902090612b17565b6001600160d01b03169392505050565b5f6110446111ae610b89565b6111b9906001613ef1565b670de0b6b3a76400006111ce6006600a6140d5565b6002546110da9190613ef1565b5f808052601b6020525f5160206141e65f395f51905f525460ff161561120257505f919050565b5f61120b610b89565b90505f61123561122f856001600160a01b03165f9081526020819052604090205490565b5f6125ea565b9050610c5f611246601c5484612bc7565b611252601d5484612bc7565b612bee565b61125f61276a565b60035f819052601b6020527f804a3d0621e73505f5f0c57c922f3e57d6b48e175551184eb12f80d7b4a9c7835460ff16156112ac5760405162461bcd60e51b8152600401610d5590613fc9565b5f82116112cb5760405162461bcd60e51b8152600401610d55906140e3565b6113006001600160a01b037f000000000000000000000000000000000000000000000000000000000000000016333085612bfd565b61130982612c33565b611311612aa0565b60405182815233907f0be934154273ab5bf3a024f88561955bee89ea6d9aac33477620b101ca5704d99060200160405180910390a25061116660015f5160206142065f395f51905f5255565b5f61137261136a83612ac4565b602290612b17565b6001600160d01b031692915050565b5f61138a61276a565b5f808052601b6020525f5160206141e65f395f51905f525460ff16156113c25760405162461bcd60e51b8152600401610d5590613fc9565b6113cb84611f39565b91506113d933848685612d3a565b50610d0260015f5160206142065f395f51905f5255565b6113f8612664565b6114015f612f40565b565b600a546001600160a01b0316331461142d5760405162461bcd60e51b8152600401610d5590613f8c565b6107d081111561146f5760405162461bcd60e51b815260206004820152600d60248201526c0cccaca40c2c4deecca40dac2f609b1b6044820152606401610d55565b80158061148657506013546001600160a01b031615155b6114bf5760405162461bcd60e51b815260206004820152600a602482015269074726561737572793d360b41b6044820152606401610d55565b60125460408051918252602082018390527fb404cac19fb1cbeff98d325795b08886e3cd8fe8cb1a2f193aac66f13fb239c3910160405180910390a1601255565b600a546001600160a01b0316331461152a5760405162461bcd60e51b8152600401610d5590613f8c565b6008548111156115755760405162461bcd60e51b8152602060048201526016602482015275706572696f642061626f766520756e626f6e64696e6760501b6044820152606401610d55565b601e805460ff1916831515908117909155601f82905560408051918252602082018390527fc46275f1ce9d830a53e2aed0888949a92738a487a78c693b49d1d1fa56572cf69101610d9a565b6115c9612664565b600b546040516001600160a01b038084169216907f078c3b417dadf69374a59793b829c52001247130433427049317bde56607b1b7905f90a3600b80546001600160a01b0319166001600160a01b0392909216919091179055565b5f61162d61276a565b60015f819052601b6020525f5160206142265f395f51905f525460ff16156116675760405162461bcd60e51b8152600401610d5590613fc9565b5f83116116865760405162461bcd60e51b8152600401610d5590614108565b335f908152602081905260409020548311156116da5760405162461bcd60e51b8152602060048201526013602482015272696e73756666696369656e742073686172657360681b6044820152606401610d55565b6116ef3333336116e987610cf7565b87612f91565b91505b5061170960015f5160206142065f395f51905f5255565b919050565b611716612664565b601a546040516001600160a01b038084169216907f064d28d3d3071c5cbc271a261c10c2f0f0d9e319390397101aa0eb23c6bad909905f90a3601a80546001600160a01b0319166001600160a01b0392909216919091179055565b5f61137261177e83612ac4565b602190612b17565b5f61104443613206565b5f61179961276a565b60025f819052601b6020527f1dd2f4b94a51cfb409e6e317a497f7cfd9013960a1c723f830c49c05a25f08a55460ff16156117e65760405162461bcd60e51b8152600401610d5590613fc9565b5f5b83811015611826576118128585838181106118055761180561412d565b9050602002013533612785565b61181c9084613ef1565b92506001016117e8565b506113d9612aa0565b5f61183861276a565b5f808052601b6020525f5160206141e65f395f51905f525460ff16156118705760405162461bcd60e51b8152600401610d5590613fc9565b5f841161188f5760405162461bcd60e51b8152600401610d5590614108565b611898846119b3565b91506113d933848487612d3a565b606060048054610c7690613f54565b6001600160a01b0381165f908152602080526040812061137290613238565b600a546001600160a01b031633146118fe5760405162461bcd60e51b8152600401610d5590613f8c565b611388821115801561191257506113888111155b6119505760405162461bcd60e51b815260206004820152600f60248201526e0c4deeadcc840c2c4deecca40dac2f608b1b6044820152606401610d55565b600c829055600d81905560408051838152602081018390527fe97bf3a1c75ca5ed8b391ee2d91fab83aba120adace6ee2e9527ec8bf35837a89101610d9a565b5f33610d1581858561270d565b5f6119a661226a565b6017546110449190613f04565b5f610d028260016125ea565b5f6119c861276a565b60015f819052601b6020525f5160206142265f395f51905f525460ff1615611a025760405162461bcd60e51b8152600401610d5590613fc9565b5f8511611a215760405162461bcd60e51b8152600401610d55906140e3565b611a2a836121da565b851115611a725760405162461bcd60e51b81526020600482015260166024820152750eed2e8d0c8e4c2ee40dadee4ca40e8d0c2dc40dac2f60531b6044820152606401610d55565b611a7b85610d1f565b9150611a8a3385858886612f91565b5050610e9e60015f5160206142065f395f51905f5255565b5f611aab61276a565b5f808052601b6020525f5160206141e65f395f51905f525460ff1615611ae35760405162461bcd60e51b8152600401610d5590613fc9565b611aec83611f39565b91506116f233338585612d3a565b600a545f906001600160a01b03163314611b265760405162461bcd60e51b8152600401610d5590613f8c565b611b2e61276a565b6001600160a01b038216611b725760405162461bcd60e51b815260206004820152600b60248201526a0726563697069656e743d360ac1b6044820152606401610d55565b6040516370a0823160e01b81523060048201525f906001600160a01b038516906370a0823190602401602060405180830381865afa158015611bb6573d5f5f3e3d5ffd5b505050506040513d601f19601f82011682018060405250810190611bda9190614141565b90507f00000000000000000000000000000000000000000000000000000000000000006001600160a01b0316846001600160a01b031603611c38576006548111611c24575f611c31565b600654611c319082613f04565b9150611c3c565b8091505b5f8211611c7e5760405162461bcd60e51b815260206004820152601060248201526f06e6f7468696e6720746f2073776565760841b6044820152606401610d55565b611c926001600160a01b038516848461326f565b826001600160a01b0316846001600160a01b03167f7b09c29f9106defeccc9ac3b823f3aad0b470d120e5df7aed033b5c43a4bf71884604051611cd791815260200190565b60405180910390a350610d0260015f5160206142065f395f51905f5255565b600a546001600160a01b03163314611d205760405162461bcd60e51b8152600401610d5590613f8c565b62093a80811115611d685760405162461bcd60e51b81526020600482015260126024820152710d2dce8cae4ecc2d840c2c4deecca40dac2f60731b6044820152606401610d55565b600e5460408051918252602082018390527f561d5df7c7f1cadf6500fd88ba98eb0f8d389327772389746111589a382c043c910160405180910390a1600e55565b5f611db261276a565b60015f819052601b6020525f5160206142265f395f51905f525460ff1615611dec5760405162461bcd60e51b8152600401610d5590613fc9565b5f8511611e0b5760405162461bcd60e51b8152600401610d5590614108565b611e1483612224565b851115611e5a5760405162461bcd60e51b81526020600482015260146024820152730e4cac8cacada40dadee4ca40e8d0c2dc40dac2f60631b6044820152606401610d55565b611e6385610cf7565b9150611a8a3385858589612f91565b600954604051634527d8b560e11b8152600481018390525f91829182916001600160a01b031690638a4fb16a90602401608060405180830381865afa158015611ebd573d5f5f3e3d5ffd5b505050506040513d601f19601f82011682018060405250810190611ee19190613f17565b601e5492955093505060ff16159050611f0657610c5f82601f54836112529190613ef1565b5092915050565b611401612aa0565b5f5f611f20836111db565b90505f198114610d0257611f34815f612633565b610e9e565b5f610d02825f612633565b611f4c61276a565b60035f819052601b6020527f804a3d0621e73505f5f0c57c922f3e57d6b48e175551184eb12f80d7b4a9c7835460ff1615611f995760405162461bcd60e51b8152600401610d5590613fc9565b600b546001600160a01b03163314611fe15760405162461bcd60e51b815260206004820152600b60248201526a6f6e6c79206f7261636c6560a81b6044820152606401610d55565b5f611feb60025490565b116120245760405162461bcd60e51b81526020600482015260096024820152686e6f2073686172657360b81b6044820152606401610d55565b600e54600f546120349190613ef1565b4210156120755760405162461bcd60e51b815260206004820152600f60248201526e3932b837b93a103a37b79039b7b7b760891b6044820152606401610d55565b42600f555f80831315612121578261209961208e610b89565b600c5461271061253a565b8111156120dd5760405162461bcd60e51b81526020600482015260126024820152711c995dd85c990818589bdd9948189bdd5b9960721b6044820152606401610d55565b6121126001600160a01b037f000000000000000000000000000000000000000000000000000000000000000016333084612bfd565b61211b81612c33565b50612158565b5f831215612158575f61213384614158565b905061213e816132a4565b91508060065f8282546121519190613f04565b9091555050505b612160612aa0565b337f5fe6f48b8581848b852d679e14dc37694ab0764d59c313e04ff3c638a07b6774848361218c610b89565b6007546121976111a2565b604080519586526020860194909452928401919091526060830152608082015260a00160405180910390a2505061116660015f5160206142065f395f51905f5255565b60015f908152601b6020525f5160206142265f395f51905f525460ff161561220357505f919050565b610d0261122f836001600160a01b03165f9081526020819052604090205490565b60015f908152601b6020525f5160206142265f395f51905f525460ff161561224d57505f919050565b6001600160a01b0382165f90815260208190526040902054610d02565b5f601954421061227957505f90565b6110446017544260195461228d9190613f04565b60185460195461229d9190613f04565b6001613354565b601a546001600160a01b03163314806122c75750600a546001600160a01b031633145b6123035760405162461bcd60e51b815260206004820152600d60248201526c37b7363c9033bab0b93234b0b760991b6044820152606401610d55565b6001601b5f83600381111561231a5761231a613fb5565b600381111561232b5761232b613fb5565b815260208101919091526040015f20805460ff19169115159190911790553381600381111561235c5761235c613fb5565b6040517f0116a706473db0e0938996f608b9894b96b1583d307f8c605ec7fccb6d7a8cdb905f90a350565b600a546001600160a01b031633146123b15760405162461bcd60e51b8152600401610d5590613f8c565b6001600160a01b0381166123f45760405162461bcd60e51b815260206004820152600a602482015269074726561737572793d360b41b6044820152606401610d55565b6013546040516001600160a01b038084169216907f4ab5be82436d353e61ca18726e984e561f5c1cc7c6d38b29d2553c790434705a905f90a3601380546001600160a01b0319166001600160a01b0392909216919091179055565b612457612664565b6001600160a01b03811661248057604051631e4fbdf760e01b81525f6004820152602401610d55565b61116681612f40565b600a546001600160a01b031633146124b35760405162461bcd60e51b8152600401610d5590613f8c565b62278d008111156124f95760405162461bcd60e51b815260206004820152601060248201526f0e0cae4d2dec840c2c4deecca40dac2f60831b6044820152606401610d55565b60165460408051918252602082018390527f9e777ec109d69e26c2335a38f1a89b9598b74cd10d4bcfedda1788f9dd9ba2c2910160405180910390a1601655565b5f5f5f612547868661339f565b91509150815f0361256b5783818161256157612561614172565b0492505050610e9e565b8184116125825761258260038515026011186133bb565b5f848688095f868103871696879004966002600389028118808a02820302808a02820302808a02820302808a02820302808a02820302808a02909103029181900381900460010185841190960395909502919093039390930492909217029150509392505050565b5f610e9e836125f7610b89565b612602906001613ef1565b61260e6006600a6140d5565b60025461261b9190613ef1565b85613354565b61262e83838360016133cc565b505050565b5f610e9e836126446006600a6140d5565b6002546126519190613ef1565b612659610b89565b61261b906001613ef1565b6005546001600160a01b031633146114015760405163118cdaa760e01b8152336004820152602401610d55565b6001600160a01b038381165f908152600160209081526040808320938616835292905220545f1981101561270757818110156126f957604051637dc7a0d960e11b81526001600160a01b03841660048201526024810182905260448101839052606401610d55565b61270784848484035f6133cc565b50505050565b6001600160a01b03831661273657604051634b637e8f60e11b81525f6004820152602401610d55565b6001600160a01b03821661275f5760405163ec442f0560e01b81525f6004820152602401610d55565b61262e838383613490565b6127726135b1565b60025f5160206142065f395f51905f5255565b6009546040516302972b0f60e41b8152336004820152602481018490525f916001600160a01b031690632972b0f090604401602060405180830381865afa1580156127d2573d5f5f3e3d5ffd5b505050506040513d601f19601f820116820180604052508101906127f69190614186565b61283a5760405162461bcd60e51b81526020600482015260156024820152741b9bdd081bdddb995c881bdc88185c1c1c9bdd9959605a1b6044820152606401610d55565b600954604051634527d8b560e11b8152600481018590525f916001600160a01b031690638a4fb16a90602401608060405180830381865afa158015612881573d5f5f3e3d5ffd5b505050506040513d601f19601f820116820180604052508101906128a59190613f17565b50505090506128b384611e72565b4210156128f65760405162461bcd60e51b81526020600482015260116024820152706e6f742079657420617661696c61626c6560781b6044820152606401610d55565b5f81116129345760405162461bcd60e51b815260206004820152600c60248201526b1b9bdd1a1a5b99c81bddd95960a21b6044820152606401610d55565b61293d84610bc5565b600954604051634039b5f160e11b8152600481018790529193506001600160a01b0316906380736be2906024015f604051808303815f87803b158015612981575f5ffd5b505af1158015612993573d5f5f3e3d5ffd5b5050505f85815260116020526040812055506007548211156129f05760405162461bcd60e51b81526020600482015260166024820152756c6f636b656441737365747320756e646572666c6f7760501b6044820152606401610d55565b8160075f828254612a019190613f04565b925050819055508160065f828254612a199190613f04565b90915550612a5390506001600160a01b037f000000000000000000000000000000000000000000000000000000000000000016848461326f565b60408051858152602081018490526001600160a01b0385169133917f2f6639d24651730c7bf57c95ddbf96d66d11477e4ec626876f92c22e5f365e68910160405180910390a35092915050565b611014612aab611786565b612abb612ab66111a2565b6135e0565b60229190613613565b5f612acd611786565b65ffffffffffff168210612b135760405162461bcd60e51b815260206004820152600d60248201526c0667574757265206c6f6f6b757609c1b6044820152606401610d55565b5090565b81545f9081816005811115612b73575f612b308461362d565b612b3a9085613f04565b5f8881526020902090915081015465ffffffffffff9081169087161015612b6357809150612b71565b612b6e816001613ef1565b92505b505b5f612b8087878585613785565b90508015612bba57612ba487612b97600184613f04565b5f91825260209091200190565b54600160301b90046001600160d01b0316612bbc565b5f5b979650505050505050565b5f5f198303612bd7575081610d02565b818311612be4575f610e9e565b610e9e8284613f04565b5f828218828410028218610e9e565b612c0b8484848460016137db565b61270757604051635274afe760e01b81526001600160a01b0385166004820152602401610d55565b8060065f828254612c449190613ef1565b90915550506002545f9015612c6757612c628260125461271061253a565b612c69565b5f5b9050612c7d612c788284613f04565b613848565b805f03612c88575050565b5f612c93825f612633565b9050805f03612ca157505050565b601354612cb7906001600160a01b0316826138e9565b8160145f828254612cc89190613ef1565b925050819055508060155f828254612ce09190613ef1565b909155505060135460408051858152602081018590529081018390526001600160a01b03909116907f8bfe3c7ea5ffc0d8951d20f096f55944070816210948f2f56db10b4e7cf54bee9060600160405180910390a2505050565b5f8211612d595760405162461bcd60e51b8152600401610d55906140e3565b6001600160a01b038316612d9c5760405162461bcd60e51b815260206004820152600a602482015269072656365697665723d360b41b6044820152606401610d55565b5f8111612df65760405162461bcd60e51b815260206004820152602260248201527f696e73756666696369656e742061737365747320746f206d696e742073686172604482015261657360f01b6064820152608401610d55565b612dff836111db565b821115612e425760405162461bcd60e51b815260206004820152601160248201527006465706f7369742061626f76652063617607c1b6044820152606401610d55565b612e776001600160a01b037f000000000000000000000000000000000000000000000000000000000000000016853085612bfd565b8160065f828254612e889190613ef1565b90915550612e98905083826138e9565b612ea0612aa0565b60408051838152602081018390526001600160a01b038516917f73a19dd210f1a7f902193214c0ee91dd35ee5b4d920cba8d519eca65a7b488ca910160405180910390a2826001600160a01b0316846001600160a01b03167fdcbc1c05240f31ff3ad067ef1ee35ce4997762752e3a095284754544f4c709d78484604051612f32929190918252602082015260400190565b60405180910390a350505050565b600580546001600160a01b038381166001600160a01b0319831681179093556040519116919082907f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0905f90a35050565b5f6001600160a01b038516612fd55760405162461bcd60e51b815260206004820152600a602482015269072656365697665723d360b41b6044820152606401610d55565b5f8311612ff45760405162461bcd60e51b8152600401610d55906140e3565b836001600160a01b0316866001600160a01b03161461301857613018848784612691565b613022848361391d565b8260075f8282546130339190613ef1565b9091555050600654600754111561309a5760405162461bcd60e51b815260206004820152602560248201527f696e73756666696369656e742061737365742062616c616e6365206166746572604482015264206c6f636b60d81b6064820152608401610d55565b5f600854426130a99190613ef1565b600954604051631df7adc760e01b81526001600160a01b03898116600483015288811660248301526044820188905260648201849052929350911690631df7adc7906084016020604051808303815f875af115801561310a573d5f5f3e3d5ffd5b505050506040513d601f19601f8201168201806040525081019061312e9190614141565b6010545f828152601160205260409020559150613149612aa0565b6040805184815260208101869052908101839052606081018290526001600160a01b038616907fb37300a9c17bc336bfb65a440bf0452cbacf7f3c625bf93f721405b07a7b26af9060800160405180910390a2846001600160a01b0316866001600160a01b0316886001600160a01b03167ffbde797d201c681b91056529119e0b02407c7bb96a4a2c75c01fc9667232c8db87876040516131f4929190918252602082015260400190565b60405180910390a45095945050505050565b5f65ffffffffffff821115612b13576040516306dfcc6560e41b81526030600482015260248101839052604401610d55565b80545f9080156132675761325183612b97600184613f04565b54600160301b90046001600160d01b0316610e9e565b5f9392505050565b61327c8383836001613951565b61262e57604051635274afe760e01b81526001600160a01b0384166004820152602401610d55565b6007545f9081816132b3610b89565b6132bd9190613ef1565b90506132ce81600d5461271061253a565b8411156133105760405162461bcd60e51b815260206004820152601060248201526f1b1bdcdcc818589bdd9948189bdd5b9960821b6044820152606401610d55565b815f0361332057505f9392505050565b61332b84838361253a565b92506133378383613f04565b6007819055601054613349918461253a565b601055509092915050565b5f613381613361836139b3565b801561337c57505f848061337757613377614172565b868809115b151590565b61338c86868661253a565b6133969190613ef1565b95945050505050565b5f805f1983850993909202808410938190039390930393915050565b634e487b715f52806020526024601cfd5b6001600160a01b0384166133f55760405163e602df0560e01b81525f6004820152602401610d55565b6001600160a01b03831661341e57604051634a1406b160e11b81525f6004820152602401610d55565b6001600160a01b038085165f908152600160209081526040808320938716835292905220829055801561270757826001600160a01b0316846001600160a01b03167f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b92584604051612f3291815260200190565b61349b8383836139df565b5f6134a4611786565b90506001600160a01b03841615806134c357506001600160a01b038316155b156134e4576134e1816134d8612ab660025490565b60219190613613565b50505b6001600160a01b038416156135385761353581613518612ab6876001600160a01b03165f9081526020819052604090205490565b6001600160a01b0387165f90815260208052604090209190613613565b50505b6001600160a01b038316158015906135625750836001600160a01b0316836001600160a01b031614155b15612707576135a98161358c612ab6866001600160a01b03165f9081526020819052604090205490565b6001600160a01b0386165f90815260208052604090209190613613565b505050505050565b5f5160206142065f395f51905f525460020361140157604051633ee5aeb560e01b815260040160405180910390fd5b5f6001600160d01b03821115612b13576040516306dfcc6560e41b815260d0600482015260248101839052604401610d55565b5f80613620858585613b05565b915091505b935093915050565b5f6001821161363a575090565b816001600160801b82106136535760809190911c9060401b5b68010000000000000000821061366e5760409190911c9060201b5b64010000000082106136855760209190911c9060101b5b62010000821061369a5760109190911c9060081b5b61010082106136ae5760089190911c9060041b5b601082106136c15760049190911c9060021b5b600482106136cd5760011b5b600302600190811c908185816136e5576136e5614172565b048201901c905060018185816136fd576136fd614172565b048201901c9050600181858161371557613715614172565b048201901c9050600181858161372d5761372d614172565b048201901c9050600181858161374557613745614172565b048201901c9050600181858161375d5761375d614172565b048201901c905061377c81858161377657613776614172565b04821190565b90039392505050565b5f5b818310156137d3575f85815260209020838316600285851804019081015465ffffffffffff868116911611156137bf578092506137cd565b6137ca816001613ef1565b93505b50613787565b509392505050565b6040516323b872dd60e01b5f8181526001600160a01b038781166004528616602452604485905291602083606481808c5af1925060015f5114831661383757838315161561382b573d5f823e3d81fd5b5f883b113d1516831692505b604052505f60605295945050505050565b5f61385161226a565b90506016545f0361386a57801561101457426019555050565b5f6138758383613ef1565b9050805f0361388357505050565b5f821561389d57426019546138989190613f04565b61389f565b5f5b6017839055426018556016549091506138d6906138bc90866141a1565b6138c683866141a1565b6138d09190613ef1565b83613c55565b6138e09042613ef1565b60195550505050565b6001600160a01b0382166139125760405163ec442f0560e01b81525f6004820152602401610d55565b6110145f8383613490565b6001600160a01b03821661394657604051634b637e8f60e11b81525f6004820152602401610d55565b611014825f83613490565b60405163a9059cbb60e01b5f8181526001600160a01b038616600452602485905291602083604481808b5af1925060015f511483166139a757838315161561399b573d5f823e3d81fd5b5f873b113d1516831692505b60405250949350505050565b5f60028260038111156139c8576139c8613fb5565b6139d291906141b8565b60ff166001149050919050565b6001600160a01b038316613a09578060025f8282546139fe9190613ef1565b90915550613a799050565b6001600160a01b0383165f9081526020819052604090205481811015613a5b5760405163391434e360e21b81526001600160a01b03851660048201526024810182905260448101839052606401610d55565b6001600160a01b0384165f9081526020819052604090209082900390555b6001600160a01b038216613a9557600280548290039055613ab3565b6001600160a01b0382165f9081526020819052604090208054820190555b816001600160a01b0316836001600160a01b03167fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef83604051613af891815260200190565b60405180910390a3505050565b82545f9081908015613bfb575f613b2187612b97600185613f04565b805490915065ffffffffffff80821691600160301b90046001600160d01b0316908816821115613b6457604051632520601d60e01b815260040160405180910390fd5b8765ffffffffffff168265ffffffffffff1603613b9d57825465ffffffffffff16600160301b6001600160d01b03891602178355613bed565b6040805180820190915265ffffffffffff808a1682526001600160d01b03808a1660208085019182528d54600181018f555f8f81529190912094519151909216600160301b029216919091179101555b945085935061362592505050565b50506040805180820190915265ffffffffffff80851682526001600160d01b0380851660208085019182528854600181018a555f8a815291822095519251909316600160301b029190931617920191909155905081613625565b5f815f03613c6757613c6760126133bb565b816001840381613c7957613c79614172565b046001018315155b029392505050565b5f60208284031215613c99575f5ffd5b5035919050565b602081525f82518060208401528060208501604085015e5f604082850101526040601f19601f83011684010191505092915050565b6001600160a01b0381168114611166575f5ffd5b5f5f60408385031215613cfa575f5ffd5b8235613d0581613cd5565b946020939093013593505050565b5f5f60408385031215613d24575f5ffd5b50508035926020909101359150565b5f60208284031215613d43575f5ffd5b8135610e9e81613cd5565b5f5f5f60608486031215613d60575f5ffd5b8335613d6b81613cd5565b92506020840135613d7b81613cd5565b929592945050506040919091013590565b5f60208284031215613d9c575f5ffd5b813560048110610e9e575f5ffd5b5f5f60408385031215613dbb575f5ffd5b823591506020830135613dcd81613cd5565b809150509250929050565b8015158114611166575f5ffd5b5f5f60408385031215613df6575f5ffd5b8235613d0581613dd8565b5f5f60208385031215613e12575f5ffd5b823567ffffffffffffffff811115613e28575f5ffd5b8301601f81018513613e38575f5ffd5b803567ffffffffffffffff811115613e4e575f5ffd5b8560208260051b8401011115613e62575f5ffd5b6020919091019590945092505050565b5f5f5f60608486031215613e84575f5ffd5b833592506020840135613e9681613cd5565b91506040840135613ea681613cd5565b809150509250925092565b5f5f60408385031215613ec2575f5ffd5b8235613ecd81613cd5565b91506020830135613dcd81613cd5565b634e487b7160e01b5f52601160045260245ffd5b80820180821115610d0257610d02613edd565b81810381811115610d0257610d02613edd565b5f5f5f5f60808587031215613f2a575f5ffd5b8451602086015160408701519195509350613f4481613cd5565b6060959095015193969295505050565b600181811c90821680613f6857607f821691505b602082108103613f8657634e487b7160e01b5f52602260045260245ffd5b50919050565b6020808252600f908201526e6f6e6c7920676f7665726e616e636560881b604082015260600190565b634e487b7160e01b5f52602160045260245ffd5b6020808252600690820152651c185d5cd95960d21b604082015260600190565b60ff8181168382160190811115610d0257610d02613edd565b6001815b60018411156136255780850481111561402157614021613edd565b600184161561402f57908102905b60019390931c928002614006565b5f8261404b57506001610d02565b8161405757505f610d02565b816001811461406d576002811461407757614093565b6001915050610d02565b60ff84111561408857614088613edd565b50506001821b610d02565b5060208310610133831016604e8410600b84101617156140b6575081810a610d02565b6140c25f198484614002565b805f1904821115613c8157613c81613edd565b5f610e9e60ff84168361403d565b6020808252600b908201526a7a65726f2061737365747360a81b604082015260600190565b6020808252600b908201526a7a65726f2073686172657360a81b604082015260600190565b634e487b7160e01b5f52603260045260245ffd5b5f60208284031215614151575f5ffd5b5051919050565b5f600160ff1b820161416c5761416c613edd565b505f0390565b634e487b7160e01b5f52601260045260245ffd5b5f60208284031215614196575f5ffd5b8151610e9e81613dd8565b8082028115828204841417610d0257610d02613edd565b5f60ff8316806141d657634e487b7160e01b5f52601260045260245ffd5b8060ff8416069150509291505056fe584f46c60af19681376031579adb04a2416e54ee5505351c2a8435e3766026ea9b779b17422d0df92223018b32b4d1fa46e071723d6817e2486d003becc55f009fafca4c9c0d5c2cbf85f49fd8ab8212430ce78c2a0cb75b51e0f9c4f9ace003a2646970667358221220965b781070399cd1a50115e8c24fbe24dac0c78444126c94c2474b8538fcea7664736f6c634300081c003360a06040525f600755348015610013575f5ffd5b50604051611e85380380611e8583398101604081905261003291610189565b3383835f6100408382610292565b50600161004d8282610292565b5050506001600160a01b03811661007d57604051631e4fbdf760e01b81525f600482015260240160405180910390fd5b6100868161009b565b506001600160a01b03166080525061034c9050565b600680546001600160a01b038381166001600160a01b0319831681179093556040519116919082907f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0905f90a35050565b634e487b7160e01b5f52604160045260245ffd5b5f82601f83011261010f575f5ffd5b81516001600160401b03811115610128576101286100ec565b604051601f8201601f19908116603f011681016001600160401b0381118282101715610156576101566100ec565b60405281815283820160200185101561016d575f5ffd5b8160208501602083015e5f918101602001919091529392505050565b5f5f5f6060848603121561019b575f5ffd5b83516001600160401b038111156101b0575f5ffd5b6101bc86828701610100565b602086015190945090506001600160401b038111156101d9575f5ffd5b6101e586828701610100565b604086015190935090506001600160a01b0381168114610203575f5ffd5b809150509250925092565b600181811c9082168061022257607f821691505b60208210810361024057634e487b7160e01b5f52602260045260245ffd5b50919050565b601f82111561028d57805f5260205f20601f840160051c8101602085101561026b5750805b601f840160051c820191505b8181101561028a575f8155600101610277565b50505b505050565b81516001600160401b038111156102ab576102ab6100ec565b6102bf816102b9845461020e565b84610246565b6020601f8211600181146102f1575f83156102da5750848201515b5f19600385901b1c1916600184901b17845561028a565b5f84815260208120601f198516915b828110156103205787850151825560209485019460019092019101610300565b508482101561033d57868401515f19600387901b60f8161c191681555b50505050600190811b01905550565b608051611b1a61036b5f395f81816101ff0152610d670152611b1a5ff3fe608060405234801561000f575f5ffd5b5060043610610132575f3560e01c806370a08231116100b457806395d89b411161007957806395d89b4114610315578063a22cb4651461031d578063b88d4fde14610330578063c87b56dd14610343578063e985e9c514610356578063f2fde38b14610369575f5ffd5b806370a0823114610247578063715018a61461025a57806380736be2146102625780638a4fb16a146102755780638da5cb5b14610304575f5ffd5b806323b872dd116100fa57806323b872dd146101d45780632972b0f0146101e757806338d52e0f146101fa57806342842e0e146102215780636352211e14610234575f5ffd5b806301ffc9a71461013657806306fdde031461015e578063081812fc14610173578063095ea7b31461019e5780631df7adc7146101b3575b5f5ffd5b61014961014436600461140e565b61037c565b60405190151581526020015b60405180910390f35b6101666103cd565b6040516101559190611457565b610186610181366004611469565b61045c565b6040516001600160a01b039091168152602001610155565b6101b16101ac36600461149b565b610483565b005b6101c66101c13660046114c3565b610492565b604051908152602001610155565b6101b16101e2366004611502565b61052f565b6101496101f536600461149b565b6105bd565b6101867f000000000000000000000000000000000000000000000000000000000000000081565b6101b161022f366004611502565b6105e6565b610186610242366004611469565b610605565b6101c661025536600461153c565b61060f565b6101b1610654565b6101b1610270366004611469565b610667565b6102d5610283366004611469565b5f9081526008602090815260409182902082516080810184528154808252600183015493820184905260028301546001600160a01b031694820185905260039092015460609091018190529093919291565b604051610155949392919093845260208401929092526001600160a01b03166040830152606082015260800190565b6006546001600160a01b0316610186565b6101666106a8565b6101b161032b366004611555565b6106b7565b6101b161033e3660046115a2565b6106c2565b610166610351366004611469565b6106da565b61014961036436600461167f565b610810565b6101b161037736600461153c565b61083d565b5f6001600160e01b031982166380ac58cd60e01b14806103ac57506001600160e01b03198216635b5e139f60e01b145b806103c757506301ffc9a760e01b6001600160e01b03198316145b92915050565b60605f80546103db906116b0565b80601f0160208091040260200160405190810160405280929190818152602001828054610407906116b0565b80156104525780601f1061042957610100808354040283529160200191610452565b820191905f5260205f20905b81548152906001019060200180831161043557829003601f168201915b5050505050905090565b5f61046682610877565b505f828152600460205260409020546001600160a01b03166103c7565b61048e8282336108af565b5050565b5f61049b6108bc565b600160075f8282546104ad91906116fc565b90915550506007546040805160808101825285815260208082018681526001600160a01b0389811684860190815242606086019081525f888152600890955295909320935184559051600184015590516002830180546001600160a01b03191691909216179055905160039091015561052686826108e9565b95945050505050565b6001600160a01b03821661055d57604051633250574960e11b81525f60048201526024015b60405180910390fd5b5f610569838333610902565b9050836001600160a01b0316816001600160a01b0316146105b7576040516364283d7b60e01b81526001600160a01b0380861660048301526024820184905282166044820152606401610554565b50505050565b5f818152600260205260408120546105df906001600160a01b031684846109f4565b9392505050565b61060083838360405180602001604052805f8152506106c2565b505050565b5f6103c782610877565b5f6001600160a01b038216610639576040516322718ad960e21b81525f6004820152602401610554565b506001600160a01b03165f9081526003602052604090205490565b61065c6108bc565b6106655f610a58565b565b61066f6108bc565b5f818152600860205260408120818155600181018290556002810180546001600160a01b0319169055600301556106a581610aa9565b50565b6060600180546103db906116b0565b61048e338383610ae1565b6106cd84848461052f565b6105b73385858585610ba8565b60606106e582610877565b505f828152600860209081526040808320815160808101835281548152600182015493810184905260028201546001600160a01b031692810192909252600301546060820152914291909110159061073b6103cd565b61074486610cd0565b845161074f90610cd0565b6107598686610d60565b865161076490610cd0565b6107718860200151610cd0565b87610799576040518060400160405280600581526020016466616c736560d81b8152506107b7565b604051806040016040528060048152602001637472756560e01b8152505b6040516020016107cd9796959493929190611726565b60405160208183030381529060405290506107e781610e2f565b6040516020016107f79190611923565b6040516020818303038152906040529350505050919050565b6001600160a01b039182165f90815260056020908152604080832093909416825291909152205460ff1690565b6108456108bc565b6001600160a01b03811661086e57604051631e4fbdf760e01b81525f6004820152602401610554565b6106a581610a58565b5f818152600260205260408120546001600160a01b0316806103c757604051637e27328960e01b815260048101849052602401610554565b6106008383836001610e3b565b6006546001600160a01b031633146106655760405163118cdaa760e01b8152336004820152602401610554565b61048e828260405180602001604052805f815250610f3f565b5f828152600260205260408120546001600160a01b039081169083161561092e5761092e818486610f56565b6001600160a01b03811615610968576109495f855f5f610e3b565b6001600160a01b0381165f90815260036020526040902080545f190190555b6001600160a01b03851615610996576001600160a01b0385165f908152600360205260409020805460010190555b5f8481526002602052604080822080546001600160a01b0319166001600160a01b0389811691821790925591518793918516917fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef91a4949350505050565b5f6001600160a01b03831615801590610a505750826001600160a01b0316846001600160a01b03161480610a2d5750610a2d8484610810565b80610a5057505f828152600460205260409020546001600160a01b038481169116145b949350505050565b600680546001600160a01b038381166001600160a01b0319831681179093556040519116919082907f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0905f90a35050565b5f610ab55f835f610902565b90506001600160a01b03811661048e57604051637e27328960e01b815260048101839052602401610554565b6001600160a01b038316610b0a5760405163a9fbf51f60e01b81525f6004820152602401610554565b6001600160a01b038216610b3c57604051630b61174360e31b81526001600160a01b0383166004820152602401610554565b6001600160a01b038381165f81815260056020908152604080832094871680845294825291829020805460ff191686151590811790915591519182527f17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c31910160405180910390a3505050565b6001600160a01b0383163b15610cc957604051630a85bd0160e11b81526001600160a01b0384169063150b7a0290610bea908890889087908790600401611954565b6020604051808303815f875af1925050508015610c24575060408051601f3d908101601f19168201909252610c2191810190611990565b60015b610c8b573d808015610c51576040519150601f19603f3d011682016040523d82523d5f602084013e610c56565b606091505b5080515f03610c8357604051633250574960e11b81526001600160a01b0385166004820152602401610554565b805160208201fd5b6001600160e01b03198116630a85bd0160e11b14610cc757604051633250574960e11b81526001600160a01b0385166004820152602401610554565b505b5050505050565b60605f610cdc83610fba565b60010190505f8167ffffffffffffffff811115610cfb57610cfb61158e565b6040519080825280601f01601f191660200182016040528015610d25576020820181803683370190505b5090508181016020015b5f19016f181899199a1a9b1b9c1cb0b131b232b360811b600a86061a8153600a8504945084610d2f57509392505050565b6060610d8b7f0000000000000000000000000000000000000000000000000000000000000000611091565b8351610d9690610cd0565b610da38560200151610cd0565b84610dcb576040518060400160405280600581526020016466616c736560d81b815250610de9565b604051806040016040528060048152602001637472756560e01b8152505b610df68760400151611091565b610e038860600151610cd0565b604051602001610e18969594939291906119ab565b604051602081830303815290604052905092915050565b60606103c7825f6110a7565b8080610e4f57506001600160a01b03821615155b15610f10575f610e5e84610877565b90506001600160a01b03831615801590610e8a5750826001600160a01b0316816001600160a01b031614155b8015610e9d5750610e9b8184610810565b155b15610ec65760405163a9fbf51f60e01b81526001600160a01b0384166004820152602401610554565b8115610f0e5783856001600160a01b0316826001600160a01b03167f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b92560405160405180910390a45b505b50505f90815260046020526040902080546001600160a01b0319166001600160a01b0392909216919091179055565b610f498383611226565b610600335f858585610ba8565b610f618383836109f4565b610600576001600160a01b038316610f8f57604051637e27328960e01b815260048101829052602401610554565b60405163177e802f60e01b81526001600160a01b038316600482015260248101829052604401610554565b5f8072184f03e93ff9f4daa797ed6e38ed64bf6a1f0160401b8310610ff85772184f03e93ff9f4daa797ed6e38ed64bf6a1f0160401b830492506040015b6d04ee2d6d415b85acef81000000008310611024576d04ee2d6d415b85acef8100000000830492506020015b662386f26fc10000831061104257662386f26fc10000830492506010015b6305f5e100831061105a576305f5e100830492506008015b612710831061106e57612710830492506004015b60648310611080576064830492506002015b600a83106103c75760010192915050565b60606103c76001600160a01b0383166014611287565b606082515f036110c5575060408051602081019091525f81526103c7565b5f826110f5576003845160026110db91906116fc565b6110e59190611a85565b6110f0906004611aa4565b61111a565b6003845160046111059190611aa4565b6111109060026116fc565b61111a9190611a85565b905060405191507f4142434445464748494a4b4c4d4e4f505152535455565758595a616263646566601f5261067083027f6768696a6b6c6d6e6f707172737475767778797a303132333435363738392b2f18603f526020820181810185865187016020810180515f82525b828410156111d8576003840193508351603f8160121c16518753600187019650603f81600c1c16518753600187019650603f8160061c16518753600187019650603f811651875350600186019550611185565b905250859050611219576003865106600181146111fc576002811461120f57611217565b603d6001840353603d6002840353611217565b603d60018403535b505b9183525060405292915050565b6001600160a01b03821661124f57604051633250574960e11b81525f6004820152602401610554565b5f61125b83835f610902565b90506001600160a01b03811615610600576040516339e3563760e11b81525f6004820152602401610554565b6060825f611296846002611aa4565b6112a19060026116fc565b67ffffffffffffffff8111156112b9576112b961158e565b6040519080825280601f01601f1916602001820160405280156112e3576020820181803683370190505b509050600360fc1b815f815181106112fd576112fd611abb565b60200101906001600160f81b03191690815f1a905350600f60fb1b8160018151811061132b5761132b611abb565b60200101906001600160f81b03191690815f1a9053505f61134d856002611aa4565b6113589060016116fc565b90505b60018111156113cf576f181899199a1a9b1b9c1cb0b131b232b360811b83600f166010811061138c5761138c611abb565b1a60f81b8282815181106113a2576113a2611abb565b60200101906001600160f81b03191690815f1a90535060049290921c916113c881611acf565b905061135b565b508115610a505760405163e22e27eb60e01b81526004810186905260248101859052604401610554565b6001600160e01b0319811681146106a5575f5ffd5b5f6020828403121561141e575f5ffd5b81356105df816113f9565b5f81518084528060208401602086015e5f602082860101526020601f19601f83011685010191505092915050565b602081525f6105df6020830184611429565b5f60208284031215611479575f5ffd5b5035919050565b80356001600160a01b0381168114611496575f5ffd5b919050565b5f5f604083850312156114ac575f5ffd5b6114b583611480565b946020939093013593505050565b5f5f5f5f608085870312156114d6575f5ffd5b6114df85611480565b93506114ed60208601611480565b93969395505050506040820135916060013590565b5f5f5f60608486031215611514575f5ffd5b61151d84611480565b925061152b60208501611480565b929592945050506040919091013590565b5f6020828403121561154c575f5ffd5b6105df82611480565b5f5f60408385031215611566575f5ffd5b61156f83611480565b915060208301358015158114611583575f5ffd5b809150509250929050565b634e487b7160e01b5f52604160045260245ffd5b5f5f5f5f608085870312156115b5575f5ffd5b6115be85611480565b93506115cc60208601611480565b925060408501359150606085013567ffffffffffffffff8111156115ee575f5ffd5b8501601f810187136115fe575f5ffd5b803567ffffffffffffffff8111156116185761161861158e565b604051601f8201601f19908116603f0116810167ffffffffffffffff811182821017156116475761164761158e565b60405281815282820160200189101561165e575f5ffd5b816020840160208301375f6020838301015280935050505092959194509250565b5f5f60408385031215611690575f5ffd5b61169983611480565b91506116a760208401611480565b90509250929050565b600181811c908216806116c457607f821691505b6020821081036116e257634e487b7160e01b5f52602260045260245ffd5b50919050565b634e487b7160e01b5f52601160045260245ffd5b808201808211156103c7576103c76116e8565b5f81518060208401855e5f93019283525090919050565b683d913730b6b2911d1160b91b81525f611743600983018a61170f565b61202360f01b8152611758600282018a61170f565b90507f222c226465736372697074696f6e223a22436c61696d206f6e20000000000000815261178a601a82018961170f565b7f20756e697473206f6620746865207374616b65642061737365742c207265646581527f656d61626c6520617420746865207661756c74206f6e6365206d6174757265646020820152620b888b60ea1b604082015290506117ee604382018861170f565b6e2c2261747472696275746573223a5b60881b815290507f7b2274726169745f74797065223a226173736574734f776564222c2264697370600f8201527f6c61795f74797065223a226e756d626572222c2276616c7565223a0000000000602f82015261185e604a82018761170f565b611f4b60f21b815290507f7b2274726169745f74797065223a22617661696c61626c654174222c2264697360028201527f706c61795f74797065223a2264617465222c2276616c7565223a00000000000060228201526118c1603c82018661170f565b611f4b60f21b815290507f7b2274726169745f74797065223a226d617475726564222c2276616c7565223a6002820152601160f91b6022820152611908602382018561170f565b63227d5d7d60e01b81526004019a9950505050505050505050565b7f646174613a6170706c69636174696f6e2f6a736f6e3b6261736536342c00000081525f6105df601d83018461170f565b6001600160a01b03858116825284166020820152604081018390526080606082018190525f9061198690830184611429565b9695505050505050565b5f602082840312156119a0575f5ffd5b81516105df816113f9565b681130b9b9b2ba111d1160b91b81525f6119c8600983018961170f565b6f11161130b9b9b2ba39a7bbb2b2111d1160811b81526119eb601082018961170f565b6f11161130bb30b4b630b13632a0ba111d60811b81529050611a10601082018861170f565b6a161136b0ba3ab932b2111d60a91b81529050611a30600b82018761170f565b6d16113932b8bab2b9ba32b9111d1160911b81529050611a53600e82018661170f565b6f1116113932b8bab2b9ba32b220ba111d60811b81529050611a78601082018561170f565b9998505050505050505050565b5f82611a9f57634e487b7160e01b5f52601260045260245ffd5b500490565b80820281158282048414176103c7576103c76116e8565b634e487b7160e01b5f52603260045260245ffd5b5f81611add57611add6116e8565b505f19019056fea2646970667358221220210300e83e5edbb7d398d42adac39eaf6443b7d624c2d8f5a1d17add0359c12d64736f6c634300081c0033";
+  readonly deployedBytecode: "0x608060405234801561000f575f5ffd5b506004361061051f575f3560e01c80637dc0d1d0116102a5578063b8dc491b1161016c578063dbd5edc7116100d5578063ef8b30f71161008f578063ef8b30f714610a84578063f0f4426014610b3e578063f2fde38b14610b51578063f420e2a814610b64578063f4a0877f14610b6d578063f590bfd314610b76575f5ffd5b8063dbd5edc714610ad9578063dc9db7f114610ae2578063dd62ed3e14610aeb578063e0b231fa14610a84578063eded3fda14610b23578063edf07f1514610b2b575f5ffd5b8063c63d75b611610126578063c63d75b614610a71578063c6e6f59214610a84578063cdbeafc414610a97578063ce96cb7714610aaa578063d5bfa4f214610abd578063d905777e14610ac6575f5ffd5b8063b8dc491b14610a14578063b9d8851514610a27578063ba08765214610a3a578063be45878914610a4d578063c048ac7114610a56578063c2c4c5c114610a69575f5ffd5b806395d89b411161020e578063ad73c7c8116101c8578063ad73c7c8146109c2578063aea70acc146109ca578063b3d7f6b9146109d2578063b460af94146109e5578063b5b0a57b146109f8578063b6b55f2514610a01575f5ffd5b806395d89b411461096e5780639ab24eb0146109765780639e55746414610989578063a15c676e1461099c578063a9059cbb146109a6578063ab4e02d4146109b9575f5ffd5b80638e539e8c1161025f5780638e539e8c146108fa5780638fc983861461090d57806391ddadf414610920578063925489a81461093f57806392dc7b7b1461095257806394bf804d1461095b575f5ffd5b80637dc0d1d01461089d5780637e108d52146108b05780637fe0c8501461056657806383453945146108c35780638a0dac4a146108d65780638da5cb5b146108e9575f5ffd5b80633a46b1a8116103e95780635f7ea0e9116103525780636e553f651161030c5780636e553f651461082157806370a0823114610834578063715018a61461085c578063787dce3d1461086457806378d7dbeb146108775780637adbf9731461088a575f5ffd5b80635f7ea0e9146107db57806361d027b3146107e4578063686006c9146107f75780636a146024146108005780636cf6d6751461080f5780636d947e4b14610818575f5ffd5b80634d207d05116103a35780634d207d05146107785780634db956651461078157806354eae3e61461078a57806359974e381461079357806359c9b305146107a65780635ac86ab7146107b9575f5ffd5b80633a46b1a8146106fe5780633ba0b9a914610711578063402d267d14610719578063452a93201461072c5780634bf5d7e91461073f5780634cdad50614610566575f5ffd5b8063249d39e91161048b5780633367dd61116104455780633367dd611461066d57806335659fb81461067657806335e856f21461067f57806336e5667e146106a7578063379607f5146106b157806338d52e0f146106c4575f5ffd5b8063249d39e914610612578063274fc72a1461061b578063301c7e5d1461062457806330e1198b146106375780633129c2751461064a578063313ce56714610653575f5ffd5b80630a28a477116104dc5780630a28a477146105a95780630bfedc8c146105bc5780630f300300146105d1578063114eaf55146105e457806318160ddd146105f757806323b872dd146105ff575f5ffd5b806301e1d1141461052357806303bbd2ed1461053e57806306fdde031461055157806307a2d13a146105665780630905f56014610579578063095ea7b314610596575b5f5ffd5b61052b610b89565b6040519081526020015b60405180910390f35b61052b61054c366004613c89565b610bc5565b610559610c67565b6040516105359190613ca0565b61052b610574366004613c89565b610cf7565b601e546105869060ff1681565b6040519015158152602001610535565b6105866105a4366004613ce9565b610d08565b61052b6105b7366004613c89565b610d1f565b6105cf6105ca366004613d13565b610d2b565b005b6105cf6105df366004613d33565b610da6565b6105cf6105f2366004613c89565b610e15565b60025461052b565b61058661060d366004613d4e565b610e80565b61052b61271081565b61052b60075481565b6105cf610632366004613d8c565b610ea5565b6105cf610645366004613daa565b610f51565b61052b600d5481565b61065b611018565b60405160ff9091168152602001610535565b61052b60155481565b61052b60125481565b61069261068d366004613c89565b611049565b60408051928352602083019190915201610535565b61052b62093a8081565b6105cf6106bf366004613c89565b6110e7565b7f00000000000000000000000000000000000000000000000000000000000000005b6040516001600160a01b039091168152602001610535565b61052b61070c366004613ce9565b611169565b61052b6111a2565b61052b610727366004613d33565b6111db565b601a546106e6906001600160a01b031681565b60408051808201909152601d81527f6d6f64653d626c6f636b6e756d6265722666726f6d3d64656661756c740000006020820152610559565b61052b60105481565b61052b61138881565b61052b60195481565b6105cf6107a1366004613c89565b611257565b61052b6107b4366004613c89565b61135d565b6105866107c7366004613d8c565b601b6020525f908152604090205460ff1681565b61052b60145481565b6013546106e6906001600160a01b031681565b61052b601f5481565b61052b670de0b6b3a764000081565b61052b60085481565b61052b6107d081565b61052b61082f366004613daa565b611381565b61052b610842366004613d33565b6001600160a01b03165f9081526020819052604090205490565b6105cf6113f0565b6105cf610872366004613c89565b611403565b6105cf610885366004613de5565b611500565b6105cf610898366004613d33565b6115c1565b600b546106e6906001600160a01b031681565b61052b6108be366004613c89565b611624565b6009546106e6906001600160a01b031681565b6105cf6108e4366004613d33565b61170e565b6005546001600160a01b03166106e6565b61052b610908366004613c89565b611771565b600a546106e6906001600160a01b031681565b610928611786565b60405165ffffffffffff9091168152602001610535565b61052b61094d366004613e01565b611790565b61052b600f5481565b61052b610969366004613daa565b61182f565b6105596118a6565b61052b610984366004613d33565b6118b5565b6105cf610997366004613d13565b6118d4565b61052b62278d0081565b6105866109b4366004613ce9565b611990565b61052b600c5481565b61052b61199d565b61065b600681565b61052b6109e0366004613c89565b6119b3565b61052b6109f3366004613e72565b6119bf565b61052b601d5481565b61052b610a0f366004613c89565b611aa2565b61052b610a22366004613eb1565b611afa565b6105cf610a35366004613c89565b611cf6565b61052b610a48366004613e72565b611da9565b61052b60165481565b61052b610a64366004613c89565b611e72565b6105cf611f0d565b61052b610a7f366004613d33565b611f15565b61052b610a92366004613c89565b611f39565b6105cf610aa5366004613c89565b611f44565b61052b610ab8366004613d33565b6121da565b61052b600e5481565b61052b610ad4366004613d33565b612224565b61052b601c5481565b61052b60185481565b61052b610af9366004613eb1565b6001600160a01b039182165f90815260016020908152604080832093909416825291909152205490565b61052b61226a565b6105cf610b39366004613d8c565b6122a4565b6105cf610b4c366004613d33565b612387565b6105cf610b5f366004613d33565b61244f565b61052b60175481565b61052b60065481565b6105cf610b84366004613c89565b612489565b5f5f610b9361226a565b600754610ba09190613ef1565b90508060065411610bb1575f610bbf565b80600654610bbf9190613f04565b91505090565b5f81815260116020526040812054808203610be257505f92915050565b600954604051634527d8b560e11b8152600481018590525f916001600160a01b031690638a4fb16a90602401608060405180830381865afa158015610c29573d5f5f3e3d5ffd5b505050506040513d601f19601f82011682018060405250810190610c4d9190613f17565b5050509050610c5f816010548461253a565b949350505050565b606060038054610c7690613f54565b80601f0160208091040260200160405190810160405280929190818152602001828054610ca290613f54565b8015610ced5780601f10610cc457610100808354040283529160200191610ced565b820191905f5260205f20905b815481529060010190602001808311610cd057829003601f168201915b5050505050905090565b5f610d02825f6125ea565b92915050565b5f33610d15818585612621565b5060019392505050565b5f610d02826001612633565b600a546001600160a01b03163314610d5e5760405162461bcd60e51b8152600401610d5590613f8c565b60405180910390fd5b601c829055601d81905560408051838152602081018390527feb9e61b721946771cec799ed6880c74ad3ed98f30f75e28897ba4dd053e481ab91015b60405180910390a15050565b610dae612664565b6001600160a01b038116610df35760405162461bcd60e51b815260206004820152600c60248201526b0676f7665726e616e63653d360a41b6044820152606401610d55565b600a80546001600160a01b0319166001600160a01b0392909216919091179055565b600a546001600160a01b03163314610e3f5760405162461bcd60e51b8152600401610d5590613f8c565b60085460408051918252602082018390527f1e87d1842527009d17fe588925d65dbeda5a9a83282ca9b691d6e4a522ae716f910160405180910390a1600855565b5f33610e8d858285612691565b610e9885858561270d565b60019150505b9392505050565b600a546001600160a01b03163314610ecf5760405162461bcd60e51b8152600401610d5590613f8c565b5f601b5f836003811115610ee557610ee5613fb5565b6003811115610ef657610ef6613fb5565b815260208101919091526040015f20805460ff1916911515919091179055806003811115610f2657610f26613fb5565b6040517fafa6a701dcf906f0e1f3c15f3744b49ab64a3ba24d8796b2d5cca5a85be58beb905f90a250565b610f5961276a565b60025f819052601b6020527f1dd2f4b94a51cfb409e6e317a497f7cfd9013960a1c723f830c49c05a25f08a55460ff1615610fa65760405162461bcd60e51b8152600401610d5590613fc9565b6001600160a01b038216610fea5760405162461bcd60e51b815260206004820152600b60248201526a0726563697069656e743d360ac1b6044820152606401610d55565b610ff48383612785565b50610ffd612aa0565b5061101460015f5160206142065f395f51905f5255565b5050565b5f61104460067f0000000000000000000000000000000000000000000000000000000000000000613fe9565b905090565b5f5f6012545f148061105b5750600254155b1561106a57505f928392509050565b6110798360125461271061253a565b91505f6016545f1461108b578261109d565b61109361226a565b61109d9085613ef1565b90506110df836110af6006600a6140d5565b6002546110bc9190613ef1565b836110c5610b89565b6110cf9190613ef1565b6110da906001613ef1565b61253a565b915050915091565b6110ef61276a565b60025f819052601b6020527f1dd2f4b94a51cfb409e6e317a497f7cfd9013960a1c723f830c49c05a25f08a55460ff161561113c5760405162461bcd60e51b8152600401610d5590613fc9565b6111468233612785565b5061114f612aa0565b5061116660015f5160206142065f395f51905f5255565b50565b5f61119261117683612ac4565b6001600160a01b0385165f908152602080526040902090612b17565b6001600160d01b03169392505050565b5f6110446111ae610b89565b6111b9906001613ef1565b670de0b6b3a76400006111ce6006600a6140d5565b6002546110da9190613ef1565b5f808052601b6020525f5160206141e65f395f51905f525460ff161561120257505f919050565b5f61120b610b89565b90505f61123561122f856001600160a01b03165f9081526020819052604090205490565b5f6125ea565b9050610c5f611246601c5484612bc7565b611252601d5484612bc7565b612bee565b61125f61276a565b60035f819052601b6020527f804a3d0621e73505f5f0c57c922f3e57d6b48e175551184eb12f80d7b4a9c7835460ff16156112ac5760405162461bcd60e51b8152600401610d5590613fc9565b5f82116112cb5760405162461bcd60e51b8152600401610d55906140e3565b6113006001600160a01b037f000000000000000000000000000000000000000000000000000000000000000016333085612bfd565b61130982612c33565b611311612aa0565b60405182815233907f0be934154273ab5bf3a024f88561955bee89ea6d9aac33477620b101ca5704d99060200160405180910390a25061116660015f5160206142065f395f51905f5255565b5f61137261136a83612ac4565b602290612b17565b6001600160d01b031692915050565b5f61138a61276a565b5f808052601b6020525f5160206141e65f395f51905f525460ff16156113c25760405162461bcd60e51b8152600401610d5590613fc9565b6113cb84611f39565b91506113d933848685612d3a565b50610d0260015f5160206142065f395f51905f5255565b6113f8612664565b6114015f612f40565b565b600a546001600160a01b0316331461142d5760405162461bcd60e51b8152600401610d5590613f8c565b6107d081111561146f5760405162461bcd60e51b815260206004820152600d60248201526c0cccaca40c2c4deecca40dac2f609b1b6044820152606401610d55565b80158061148657506013546001600160a01b031615155b6114bf5760405162461bcd60e51b815260206004820152600a602482015269074726561737572793d360b41b6044820152606401610d55565b60125460408051918252602082018390527fb404cac19fb1cbeff98d325795b08886e3cd8fe8cb1a2f193aac66f13fb239c3910160405180910390a1601255565b600a546001600160a01b0316331461152a5760405162461bcd60e51b8152600401610d5590613f8c565b6008548111156115755760405162461bcd60e51b8152602060048201526016602482015275706572696f642061626f766520756e626f6e64696e6760501b6044820152606401610d55565b601e805460ff1916831515908117909155601f82905560408051918252602082018390527fc46275f1ce9d830a53e2aed0888949a92738a487a78c693b49d1d1fa56572cf69101610d9a565b6115c9612664565b600b546040516001600160a01b038084169216907f078c3b417dadf69374a59793b829c52001247130433427049317bde56607b1b7905f90a3600b80546001600160a01b0319166001600160a01b0392909216919091179055565b5f61162d61276a565b60015f819052601b6020525f5160206142265f395f51905f525460ff16156116675760405162461bcd60e51b8152600401610d5590613fc9565b5f83116116865760405162461bcd60e51b8152600401610d5590614108565b335f908152602081905260409020548311156116da5760405162461bcd60e51b8152602060048201526013602482015272696e73756666696369656e742073686172657360681b6044820152606401610d55565b6116ef3333336116e987610cf7565b87612f91565b91505b5061170960015f5160206142065f395f51905f5255565b919050565b611716612664565b601a546040516001600160a01b038084169216907f064d28d3d3071c5cbc271a261c10c2f0f0d9e319390397101aa0eb23c6bad909905f90a3601a80546001600160a01b0319166001600160a01b0392909216919091179055565b5f61137261177e83612ac4565b602190612b17565b5f61104443613206565b5f61179961276a565b60025f819052601b6020527f1dd2f4b94a51cfb409e6e317a497f7cfd9013960a1c723f830c49c05a25f08a55460ff16156117e65760405162461bcd60e51b8152600401610d5590613fc9565b5f5b83811015611826576118128585838181106118055761180561412d565b9050602002013533612785565b61181c9084613ef1565b92506001016117e8565b506113d9612aa0565b5f61183861276a565b5f808052601b6020525f5160206141e65f395f51905f525460ff16156118705760405162461bcd60e51b8152600401610d5590613fc9565b5f841161188f5760405162461bcd60e51b8152600401610d5590614108565b611898846119b3565b91506113d933848487612d3a565b606060048054610c7690613f54565b6001600160a01b0381165f908152602080526040812061137290613238565b600a546001600160a01b031633146118fe5760405162461bcd60e51b8152600401610d5590613f8c565b611388821115801561191257506113888111155b6119505760405162461bcd60e51b815260206004820152600f60248201526e0c4deeadcc840c2c4deecca40dac2f608b1b6044820152606401610d55565b600c829055600d81905560408051838152602081018390527fe97bf3a1c75ca5ed8b391ee2d91fab83aba120adace6ee2e9527ec8bf35837a89101610d9a565b5f33610d1581858561270d565b5f6119a661226a565b6017546110449190613f04565b5f610d028260016125ea565b5f6119c861276a565b60015f819052601b6020525f5160206142265f395f51905f525460ff1615611a025760405162461bcd60e51b8152600401610d5590613fc9565b5f8511611a215760405162461bcd60e51b8152600401610d55906140e3565b611a2a836121da565b851115611a725760405162461bcd60e51b81526020600482015260166024820152750eed2e8d0c8e4c2ee40dadee4ca40e8d0c2dc40dac2f60531b6044820152606401610d55565b611a7b85610d1f565b9150611a8a3385858886612f91565b5050610e9e60015f5160206142065f395f51905f5255565b5f611aab61276a565b5f808052601b6020525f5160206141e65f395f51905f525460ff1615611ae35760405162461bcd60e51b8152600401610d5590613fc9565b611aec83611f39565b91506116f233338585612d3a565b600a545f906001600160a01b03163314611b265760405162461bcd60e51b8152600401610d5590613f8c565b611b2e61276a565b6001600160a01b038216611b725760405162461bcd60e51b815260206004820152600b60248201526a0726563697069656e743d360ac1b6044820152606401610d55565b6040516370a0823160e01b81523060048201525f906001600160a01b038516906370a0823190602401602060405180830381865afa158015611bb6573d5f5f3e3d5ffd5b505050506040513d601f19601f82011682018060405250810190611bda9190614141565b90507f00000000000000000000000000000000000000000000000000000000000000006001600160a01b0316846001600160a01b031603611c38576006548111611c24575f611c31565b600654611c319082613f04565b9150611c3c565b8091505b5f8211611c7e5760405162461bcd60e51b815260206004820152601060248201526f06e6f7468696e6720746f2073776565760841b6044820152606401610d55565b611c926001600160a01b038516848461326f565b826001600160a01b0316846001600160a01b03167f7b09c29f9106defeccc9ac3b823f3aad0b470d120e5df7aed033b5c43a4bf71884604051611cd791815260200190565b60405180910390a350610d0260015f5160206142065f395f51905f5255565b600a546001600160a01b03163314611d205760405162461bcd60e51b8152600401610d5590613f8c565b62093a80811115611d685760405162461bcd60e51b81526020600482015260126024820152710d2dce8cae4ecc2d840c2c4deecca40dac2f60731b6044820152606401610d55565b600e5460408051918252602082018390527f561d5df7c7f1cadf6500fd88ba98eb0f8d389327772389746111589a382c043c910160405180910390a1600e55565b5f611db261276a565b60015f819052601b6020525f5160206142265f395f51905f525460ff1615611dec5760405162461bcd60e51b8152600401610d5590613fc9565b5f8511611e0b5760405162461bcd60e51b8152600401610d5590614108565b611e1483612224565b851115611e5a5760405162461bcd60e51b81526020600482015260146024820152730e4cac8cacada40dadee4ca40e8d0c2dc40dac2f60631b6044820152606401610d55565b611e6385610cf7565b9150611a8a3385858589612f91565b600954604051634527d8b560e11b8152600481018390525f91829182916001600160a01b031690638a4fb16a90602401608060405180830381865afa158015611ebd573d5f5f3e3d5ffd5b505050506040513d601f19601f82011682018060405250810190611ee19190613f17565b601e5492955093505060ff16159050611f0657610c5f82601f54836112529190613ef1565b5092915050565b611401612aa0565b5f5f611f20836111db565b90505f198114610d0257611f34815f612633565b610e9e565b5f610d02825f612633565b611f4c61276a565b60035f819052601b6020527f804a3d0621e73505f5f0c57c922f3e57d6b48e175551184eb12f80d7b4a9c7835460ff1615611f995760405162461bcd60e51b8152600401610d5590613fc9565b600b546001600160a01b03163314611fe15760405162461bcd60e51b815260206004820152600b60248201526a6f6e6c79206f7261636c6560a81b6044820152606401610d55565b5f611feb60025490565b116120245760405162461bcd60e51b81526020600482015260096024820152686e6f2073686172657360b81b6044820152606401610d55565b600e54600f546120349190613ef1565b4210156120755760405162461bcd60e51b815260206004820152600f60248201526e3932b837b93a103a37b79039b7b7b760891b6044820152606401610d55565b42600f555f80831315612121578261209961208e610b89565b600c5461271061253a565b8111156120dd5760405162461bcd60e51b81526020600482015260126024820152711c995dd85c990818589bdd9948189bdd5b9960721b6044820152606401610d55565b6121126001600160a01b037f000000000000000000000000000000000000000000000000000000000000000016333084612bfd565b61211b81612c33565b50612158565b5f831215612158575f61213384614158565b905061213e816132a4565b91508060065f8282546121519190613f04565b9091555050505b612160612aa0565b337f5fe6f48b8581848b852d679e14dc37694ab0764d59c313e04ff3c638a07b6774848361218c610b89565b6007546121976111a2565b604080519586526020860194909452928401919091526060830152608082015260a00160405180910390a2505061116660015f5160206142065f395f51905f5255565b60015f908152601b6020525f5160206142265f395f51905f525460ff161561220357505f919050565b610d0261122f836001600160a01b03165f9081526020819052604090205490565b60015f908152601b6020525f5160206142265f395f51905f525460ff161561224d57505f919050565b6001600160a01b0382165f90815260208190526040902054610d02565b5f601954421061227957505f90565b6110446017544260195461228d9190613f04565b60185460195461229d9190613f04565b6001613354565b601a546001600160a01b03163314806122c75750600a546001600160a01b031633145b6123035760405162461bcd60e51b815260206004820152600d60248201526c37b7363c9033bab0b93234b0b760991b6044820152606401610d55565b6001601b5f83600381111561231a5761231a613fb5565b600381111561232b5761232b613fb5565b815260208101919091526040015f20805460ff19169115159190911790553381600381111561235c5761235c613fb5565b6040517f0116a706473db0e0938996f608b9894b96b1583d307f8c605ec7fccb6d7a8cdb905f90a350565b600a546001600160a01b031633146123b15760405162461bcd60e51b8152600401610d5590613f8c565b6001600160a01b0381166123f45760405162461bcd60e51b815260206004820152600a602482015269074726561737572793d360b41b6044820152606401610d55565b6013546040516001600160a01b038084169216907f4ab5be82436d353e61ca18726e984e561f5c1cc7c6d38b29d2553c790434705a905f90a3601380546001600160a01b0319166001600160a01b0392909216919091179055565b612457612664565b6001600160a01b03811661248057604051631e4fbdf760e01b81525f6004820152602401610d55565b61116681612f40565b600a546001600160a01b031633146124b35760405162461bcd60e51b8152600401610d5590613f8c565b62278d008111156124f95760405162461bcd60e51b815260206004820152601060248201526f0e0cae4d2dec840c2c4deecca40dac2f60831b6044820152606401610d55565b60165460408051918252602082018390527f9e777ec109d69e26c2335a38f1a89b9598b74cd10d4bcfedda1788f9dd9ba2c2910160405180910390a1601655565b5f5f5f612547868661339f565b91509150815f0361256b5783818161256157612561614172565b0492505050610e9e565b8184116125825761258260038515026011186133bb565b5f848688095f868103871696879004966002600389028118808a02820302808a02820302808a02820302808a02820302808a02820302808a02909103029181900381900460010185841190960395909502919093039390930492909217029150509392505050565b5f610e9e836125f7610b89565b612602906001613ef1565b61260e6006600a6140d5565b60025461261b9190613ef1565b85613354565b61262e83838360016133cc565b505050565b5f610e9e836126446006600a6140d5565b6002546126519190613ef1565b612659610b89565b61261b906001613ef1565b6005546001600160a01b031633146114015760405163118cdaa760e01b8152336004820152602401610d55565b6001600160a01b038381165f908152600160209081526040808320938616835292905220545f1981101561270757818110156126f957604051637dc7a0d960e11b81526001600160a01b03841660048201526024810182905260448101839052606401610d55565b61270784848484035f6133cc565b50505050565b6001600160a01b03831661273657604051634b637e8f60e11b81525f6004820152602401610d55565b6001600160a01b03821661275f5760405163ec442f0560e01b81525f6004820152602401610d55565b61262e838383613490565b6127726135b1565b60025f5160206142065f395f51905f5255565b6009546040516302972b0f60e41b8152336004820152602481018490525f916001600160a01b031690632972b0f090604401602060405180830381865afa1580156127d2573d5f5f3e3d5ffd5b505050506040513d601f19601f820116820180604052508101906127f69190614186565b61283a5760405162461bcd60e51b81526020600482015260156024820152741b9bdd081bdddb995c881bdc88185c1c1c9bdd9959605a1b6044820152606401610d55565b600954604051634527d8b560e11b8152600481018590525f916001600160a01b031690638a4fb16a90602401608060405180830381865afa158015612881573d5f5f3e3d5ffd5b505050506040513d601f19601f820116820180604052508101906128a59190613f17565b50505090506128b384611e72565b4210156128f65760405162461bcd60e51b81526020600482015260116024820152706e6f742079657420617661696c61626c6560781b6044820152606401610d55565b5f81116129345760405162461bcd60e51b815260206004820152600c60248201526b1b9bdd1a1a5b99c81bddd95960a21b6044820152606401610d55565b61293d84610bc5565b600954604051634039b5f160e11b8152600481018790529193506001600160a01b0316906380736be2906024015f604051808303815f87803b158015612981575f5ffd5b505af1158015612993573d5f5f3e3d5ffd5b5050505f85815260116020526040812055506007548211156129f05760405162461bcd60e51b81526020600482015260166024820152756c6f636b656441737365747320756e646572666c6f7760501b6044820152606401610d55565b8160075f828254612a019190613f04565b925050819055508160065f828254612a199190613f04565b90915550612a5390506001600160a01b037f000000000000000000000000000000000000000000000000000000000000000016848461326f565b60408051858152602081018490526001600160a01b0385169133917f2f6639d24651730c7bf57c95ddbf96d66d11477e4ec626876f92c22e5f365e68910160405180910390a35092915050565b611014612aab611786565b612abb612ab66111a2565b6135e0565b60229190613613565b5f612acd611786565b65ffffffffffff168210612b135760405162461bcd60e51b815260206004820152600d60248201526c0667574757265206c6f6f6b757609c1b6044820152606401610d55565b5090565b81545f9081816005811115612b73575f612b308461362d565b612b3a9085613f04565b5f8881526020902090915081015465ffffffffffff9081169087161015612b6357809150612b71565b612b6e816001613ef1565b92505b505b5f612b8087878585613785565b90508015612bba57612ba487612b97600184613f04565b5f91825260209091200190565b54600160301b90046001600160d01b0316612bbc565b5f5b979650505050505050565b5f5f198303612bd7575081610d02565b818311612be4575f610e9e565b610e9e8284613f04565b5f828218828410028218610e9e565b612c0b8484848460016137db565b61270757604051635274afe760e01b81526001600160a01b0385166004820152602401610d55565b8060065f828254612c449190613ef1565b90915550506002545f9015612c6757612c628260125461271061253a565b612c69565b5f5b9050612c7d612c788284613f04565b613848565b805f03612c88575050565b5f612c93825f612633565b9050805f03612ca157505050565b601354612cb7906001600160a01b0316826138e9565b8160145f828254612cc89190613ef1565b925050819055508060155f828254612ce09190613ef1565b909155505060135460408051858152602081018590529081018390526001600160a01b03909116907f8bfe3c7ea5ffc0d8951d20f096f55944070816210948f2f56db10b4e7cf54bee9060600160405180910390a2505050565b5f8211612d595760405162461bcd60e51b8152600401610d55906140e3565b6001600160a01b038316612d9c5760405162461bcd60e51b815260206004820152600a602482015269072656365697665723d360b41b6044820152606401610d55565b5f8111612df65760405162461bcd60e51b815260206004820152602260248201527f696e73756666696369656e742061737365747320746f206d696e742073686172604482015261657360f01b6064820152608401610d55565b612dff836111db565b821115612e425760405162461bcd60e51b815260206004820152601160248201527006465706f7369742061626f76652063617607c1b6044820152606401610d55565b612e776001600160a01b037f000000000000000000000000000000000000000000000000000000000000000016853085612bfd565b8160065f828254612e889190613ef1565b90915550612e98905083826138e9565b612ea0612aa0565b60408051838152602081018390526001600160a01b038516917f73a19dd210f1a7f902193214c0ee91dd35ee5b4d920cba8d519eca65a7b488ca910160405180910390a2826001600160a01b0316846001600160a01b03167fdcbc1c05240f31ff3ad067ef1ee35ce4997762752e3a095284754544f4c709d78484604051612f32929190918252602082015260400190565b60405180910390a350505050565b600580546001600160a01b038381166001600160a01b0319831681179093556040519116919082907f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0905f90a35050565b5f6001600160a01b038516612fd55760405162461bcd60e51b815260206004820152600a602482015269072656365697665723d360b41b6044820152606401610d55565b5f8311612ff45760405162461bcd60e51b8152600401610d55906140e3565b836001600160a01b0316866001600160a01b03161461301857613018848784612691565b613022848361391d565b8260075f8282546130339190613ef1565b9091555050600654600754111561309a5760405162461bcd60e51b815260206004820152602560248201527f696e73756666696369656e742061737365742062616c616e6365206166746572604482015264206c6f636b60d81b6064820152608401610d55565b5f600854426130a99190613ef1565b600954604051631df7adc760e01b81526001600160a01b03898116600483015288811660248301526044820188905260648201849052929350911690631df7adc7906084016020604051808303815f875af115801561310a573d5f5f3e3d5ffd5b505050506040513d601f19601f8201168201806040525081019061312e9190614141565b6010545f828152601160205260409020559150613149612aa0565b6040805184815260208101869052908101839052606081018290526001600160a01b038616907fb37300a9c17bc336bfb65a440bf0452cbacf7f3c625bf93f721405b07a7b26af9060800160405180910390a2846001600160a01b0316866001600160a01b0316886001600160a01b03167ffbde797d201c681b91056529119e0b02407c7bb96a4a2c75c01fc9667232c8db87876040516131f4929190918252602082015260400190565b60405180910390a45095945050505050565b5f65ffffffffffff821115612b13576040516306dfcc6560e41b81526030600482015260248101839052604401610d55565b80545f9080156132675761325183612b97600184613f04565b54600160301b90046001600160d01b0316610e9e565b5f9392505050565b61327c8383836001613951565b61262e57604051635274afe760e01b81526001600160a01b0384166004820152602401610d55565b6007545f9081816132b3610b89565b6132bd9190613ef1565b90506132ce81600d5461271061253a565b8411156133105760405162461bcd60e51b815260206004820152601060248201526f1b1bdcdcc818589bdd9948189bdd5b9960821b6044820152606401610d55565b815f0361332057505f9392505050565b61332b84838361253a565b92506133378383613f04565b6007819055601054613349918461253a565b601055509092915050565b5f613381613361836139b3565b801561337c57505f848061337757613377614172565b868809115b151590565b61338c86868661253a565b6133969190613ef1565b95945050505050565b5f805f1983850993909202808410938190039390930393915050565b634e487b715f52806020526024601cfd5b6001600160a01b0384166133f55760405163e602df0560e01b81525f6004820152602401610d55565b6001600160a01b03831661341e57604051634a1406b160e11b81525f6004820152602401610d55565b6001600160a01b038085165f908152600160209081526040808320938716835292905220829055801561270757826001600160a01b0316846001600160a01b03167f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b92584604051612f3291815260200190565b61349b8383836139df565b5f6134a4611786565b90506001600160a01b03841615806134c357506001600160a01b038316155b156134e4576134e1816134d8612ab660025490565b60219190613613565b50505b6001600160a01b038416156135385761353581613518612ab6876001600160a01b03165f9081526020819052604090205490565b6001600160a01b0387165f90815260208052604090209190613613565b50505b6001600160a01b038316158015906135625750836001600160a01b0316836001600160a01b031614155b15612707576135a98161358c612ab6866001600160a01b03165f9081526020819052604090205490565b6001600160a01b0386165f90815260208052604090209190613613565b505050505050565b5f5160206142065f395f51905f525460020361140157604051633ee5aeb560e01b815260040160405180910390fd5b5f6001600160d01b03821115612b13576040516306dfcc6560e41b815260d0600482015260248101839052604401610d55565b5f80613620858585613b05565b915091505b935093915050565b5f6001821161363a575090565b816001600160801b82106136535760809190911c9060401b5b68010000000000000000821061366e5760409190911c9060201b5b64010000000082106136855760209190911c9060101b5b62010000821061369a5760109190911c9060081b5b61010082106136ae5760089190911c9060041b5b601082106136c15760049190911c9060021b5b600482106136cd5760011b5b600302600190811c908185816136e5576136e5614172565b048201901c905060018185816136fd576136fd614172565b048201901c9050600181858161371557613715614172565b048201901c9050600181858161372d5761372d614172565b048201901c9050600181858161374557613745614172565b048201901c9050600181858161375d5761375d614172565b048201901c905061377c81858161377657613776614172565b04821190565b90039392505050565b5f5b818310156137d3575f85815260209020838316600285851804019081015465ffffffffffff868116911611156137bf578092506137cd565b6137ca816001613ef1565b93505b50613787565b509392505050565b6040516323b872dd60e01b5f8181526001600160a01b038781166004528616602452604485905291602083606481808c5af1925060015f5114831661383757838315161561382b573d5f823e3d81fd5b5f883b113d1516831692505b604052505f60605295945050505050565b5f61385161226a565b90506016545f0361386a57801561101457426019555050565b5f6138758383613ef1565b9050805f0361388357505050565b5f821561389d57426019546138989190613f04565b61389f565b5f5b6017839055426018556016549091506138d6906138bc90866141a1565b6138c683866141a1565b6138d09190613ef1565b83613c55565b6138e09042613ef1565b60195550505050565b6001600160a01b0382166139125760405163ec442f0560e01b81525f6004820152602401610d55565b6110145f8383613490565b6001600160a01b03821661394657604051634b637e8f60e11b81525f6004820152602401610d55565b611014825f83613490565b60405163a9059cbb60e01b5f8181526001600160a01b038616600452602485905291602083604481808b5af1925060015f511483166139a757838315161561399b573d5f823e3d81fd5b5f873b113d1516831692505b60405250949350505050565b5f60028260038111156139c8576139c8613fb5565b6139d291906141b8565b60ff166001149050919050565b6001600160a01b038316613a09578060025f8282546139fe9190613ef1565b90915550613a799050565b6001600160a01b0383165f9081526020819052604090205481811015613a5b5760405163391434e360e21b81526001600160a01b03851660048201526024810182905260448101839052606401610d55565b6001600160a01b0384165f9081526020819052604090209082900390555b6001600160a01b038216613a9557600280548290039055613ab3565b6001600160a01b0382165f9081526020819052604090208054820190555b816001600160a01b0316836001600160a01b03167fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef83604051613af891815260200190565b60405180910390a3505050565b82545f9081908015613bfb575f613b2187612b97600185613f04565b805490915065ffffffffffff80821691600160301b90046001600160d01b0316908816821115613b6457604051632520601d60e01b815260040160405180910390fd5b8765ffffffffffff168265ffffffffffff1603613b9d57825465ffffffffffff16600160301b6001600160d01b03891602178355613bed565b6040805180820190915265ffffffffffff808a1682526001600160d01b03808a1660208085019182528d54600181018f555f8f81529190912094519151909216600160301b029216919091179101555b945085935061362592505050565b50506040805180820190915265ffffffffffff80851682526001600160d01b0380851660208085019182528854600181018a555f8a815291822095519251909316600160301b029190931617920191909155905081613625565b5f815f03613c6757613c6760126133bb565b816001840381613c7957613c79614172565b046001018315155b029392505050565b5f60208284031215613c99575f5ffd5b5035919050565b602081525f82518060208401528060208501604085015e5f604082850101526040601f19601f83011684010191505092915050565b6001600160a01b0381168114611166575f5ffd5b5f5f60408385031215613cfa575f5ffd5b8235613d0581613cd5565b946020939093013593505050565b5f5f60408385031215613d24575f5ffd5b50508035926020909101359150565b5f60208284031215613d43575f5ffd5b8135610e9e81613cd5565b5f5f5f60608486031215613d60575f5ffd5b8335613d6b81613cd5565b92506020840135613d7b81613cd5565b929592945050506040919091013590565b5f60208284031215613d9c575f5ffd5b813560048110610e9e575f5ffd5b5f5f60408385031215613dbb575f5ffd5b823591506020830135613dcd81613cd5565b809150509250929050565b8015158114611166575f5ffd5b5f5f60408385031215613df6575f5ffd5b8235613d0581613dd8565b5f5f60208385031215613e12575f5ffd5b823567ffffffffffffffff811115613e28575f5ffd5b8301601f81018513613e38575f5ffd5b803567ffffffffffffffff811115613e4e575f5ffd5b8560208260051b8401011115613e62575f5ffd5b6020919091019590945092505050565b5f5f5f60608486031215613e84575f5ffd5b833592506020840135613e9681613cd5565b91506040840135613ea681613cd5565b809150509250925092565b5f5f60408385031215613ec2575f5ffd5b8235613ecd81613cd5565b91506020830135613dcd81613cd5565b634e487b7160e01b5f52601160045260245ffd5b80820180821115610d0257610d02613edd565b81810381811115610d0257610d02613edd565b5f5f5f5f60808587031215613f2a575f5ffd5b8451602086015160408701519195509350613f4481613cd5565b6060959095015193969295505050565b600181811c90821680613f6857607f821691505b602082108103613f8657634e487b7160e01b5f52602260045260245ffd5b50919050565b6020808252600f908201526e6f6e6c7920676f7665726e616e636560881b604082015260600190565b634e487b7160e01b5f52602160045260245ffd5b6020808252600690820152651c185d5cd95960d21b604082015260600190565b60ff8181168382160190811115610d0257610d02613edd565b6001815b60018411156136255780850481111561402157614021613edd565b600184161561402f57908102905b60019390931c928002614006565b5f8261404b57506001610d02565b8161405757505f610d02565b816001811461406d576002811461407757614093565b6001915050610d02565b60ff84111561408857614088613edd565b50506001821b610d02565b5060208310610133831016604e8410600b84101617156140b6575081810a610d02565b6140c25f198484614002565b805f1904821115613c8157613c81613edd565b5f610e9e60ff84168361403d565b6020808252600b908201526a7a65726f2061737365747360a81b604082015260600190565b6020808252600b908201526a7a65726f2073686172657360a81b604082015260600190565b634e487b7160e01b5f52603260045260245ffd5b5f60208284031215614151575f5ffd5b5051919050565b5f600160ff1b820161416c5761416c613edd565b505f0390565b634e487b7160e01b5f52601260045260245ffd5b5f60208284031215614196575f5ffd5b8151610e9e81613dd8565b8082028115828204841417610d0257610d02613edd565b5f60ff8316806141d657634e487b7160e01b5f52601260045260245ffd5b8060ff8416069150509291505056fe584f46c60af19681376031579adb04a2416e54ee5505351c2a8435e3766026ea9b779b17422d0df92223018b32b4d1fa46e071723d6817e2486d003becc55f009fafca4c9c0d5c2cbf85f49fd8ab8212430ce78c2a0cb75b51e0f9c4f9ace003a2646970667358221220965b781070399cd1a50115e8c24fbe24dac0c78444126c94c2474b8538fcea7664736f6c634300081c0033";
   readonly linkReferences: {};
   readonly deployedLinkReferences: {};
-  readonly immutableReferences: {"9901":[{"length":32,"start":2809},{"length":32,"start":2972},{"length":32,"start":3045},{"length":32,"start":3343},{"length":32,"start":3809},{"length":32,"start":4740}]};
+  readonly immutableReferences: {"15627":[{"length":32,"start":1734},{"length":32,"start":4824},{"length":32,"start":7134},{"length":32,"start":8426},{"length":32,"start":10796},{"length":32,"start":11855}],"15629":[{"length":32,"start":4128}]};
   readonly inputSourceName: "project/contracts/LiquidStakingVault.sol";
-  readonly buildInfoId: "solc-0_8_28-88905df3f8e07b92ca7c6c093b89d9af3b3b0c73";
+  readonly buildInfoId: "solc-0_8_28-debf001a747bb84bdab5527f26194d82188e0109";
 };
 
 export interface WithdrawalNFT$Type {
   readonly _format: "hh3-artifact-1";
   readonly contractName: "WithdrawalNFT";
   readonly sourceName: "contracts/LiquidStakingVault.sol";
-  readonly abi: [{"inputs":[{"internalType":"string","name":"name_","type":"string"},{"internalType":"string","name":"symbol_","type":"string"}],"stateMutability":"nonpayable","type":"constructor"},{"inputs":[{"internalType":"address","name":"sender","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"},{"internalType":"address","name":"owner","type":"address"}],"name":"ERC721IncorrectOwner","type":"error"},{"inputs":[{"internalType":"address","name":"operator","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"ERC721InsufficientApproval","type":"error"},{"inputs":[{"internalType":"address","name":"approver","type":"address"}],"name":"ERC721InvalidApprover","type":"error"},{"inputs":[{"internalType":"address","name":"operator","type":"address"}],"name":"ERC721InvalidOperator","type":"error"},{"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"ERC721InvalidOwner","type":"error"},{"inputs":[{"internalType":"address","name":"receiver","type":"address"}],"name":"ERC721InvalidReceiver","type":"error"},{"inputs":[{"internalType":"address","name":"sender","type":"address"}],"name":"ERC721InvalidSender","type":"error"},{"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"ERC721NonexistentToken","type":"error"},{"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"OwnableInvalidOwner","type":"error"},{"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"OwnableUnauthorizedAccount","type":"error"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":true,"internalType":"address","name":"approved","type":"address"},{"indexed":true,"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"Approval","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":true,"internalType":"address","name":"operator","type":"address"},{"indexed":false,"internalType":"bool","name":"approved","type":"bool"}],"name":"ApprovalForAll","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"from","type":"address"},{"indexed":true,"internalType":"address","name":"to","type":"address"},{"indexed":true,"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"Transfer","type":"event"},{"inputs":[{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"approve","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"balanceOf","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"id","type":"uint256"}],"name":"burnWithdrawal","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"getApproved","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"id","type":"uint256"}],"name":"getWithdrawal","outputs":[{"internalType":"uint256","name":"assetsOwed","type":"uint256"},{"internalType":"uint256","name":"availableAt","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"owner","type":"address"},{"internalType":"address","name":"operator","type":"address"}],"name":"isApprovedForAll","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"assetsOwed","type":"uint256"},{"internalType":"uint256","name":"availableAt","type":"uint256"}],"name":"mintWithdrawal","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"name","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"ownerOf","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"safeTransferFrom","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"},{"internalType":"bytes","name":"data","type":"bytes"}],"name":"safeTransferFrom","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"operator","type":"address"},{"internalType":"bool","name":"approved","type":"bool"}],"name":"setApprovalForAll","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"bytes4","name":"interfaceId","type":"bytes4"}],"name":"supportsInterface","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"symbol","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"tokenURI","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"transferFrom","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"}];
-  readonly bytecode: "0x60806040525f600755348015610013575f5ffd5b5060405161290c38038061290c833981810160405281019061003591906102f0565b338282815f90816100469190610576565b5080600190816100569190610576565b5050505f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16036100c9575f6040517f1e4fbdf70000000000000000000000000000000000000000000000000000000081526004016100c09190610684565b60405180910390fd5b6100d8816100e060201b60201c565b50505061069d565b5f60065f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1690508160065f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508173ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e060405160405180910390a35050565b5f604051905090565b5f5ffd5b5f5ffd5b5f5ffd5b5f5ffd5b5f601f19601f8301169050919050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52604160045260245ffd5b610202826101bc565b810181811067ffffffffffffffff82111715610221576102206101cc565b5b80604052505050565b5f6102336101a3565b905061023f82826101f9565b919050565b5f67ffffffffffffffff82111561025e5761025d6101cc565b5b610267826101bc565b9050602081019050919050565b8281835e5f83830152505050565b5f61029461028f84610244565b61022a565b9050828152602081018484840111156102b0576102af6101b8565b5b6102bb848285610274565b509392505050565b5f82601f8301126102d7576102d66101b4565b5b81516102e7848260208601610282565b91505092915050565b5f5f60408385031215610306576103056101ac565b5b5f83015167ffffffffffffffff811115610323576103226101b0565b5b61032f858286016102c3565b925050602083015167ffffffffffffffff8111156103505761034f6101b0565b5b61035c858286016102c3565b9150509250929050565b5f81519050919050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52602260045260245ffd5b5f60028204905060018216806103b457607f821691505b6020821081036103c7576103c6610370565b5b50919050565b5f819050815f5260205f209050919050565b5f6020601f8301049050919050565b5f82821b905092915050565b5f600883026104297fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff826103ee565b61043386836103ee565b95508019841693508086168417925050509392505050565b5f819050919050565b5f819050919050565b5f61047761047261046d8461044b565b610454565b61044b565b9050919050565b5f819050919050565b6104908361045d565b6104a461049c8261047e565b8484546103fa565b825550505050565b5f5f905090565b6104bb6104ac565b6104c6818484610487565b505050565b5b818110156104e9576104de5f826104b3565b6001810190506104cc565b5050565b601f82111561052e576104ff816103cd565b610508846103df565b81016020851015610517578190505b61052b610523856103df565b8301826104cb565b50505b505050565b5f82821c905092915050565b5f61054e5f1984600802610533565b1980831691505092915050565b5f610566838361053f565b9150826002028217905092915050565b61057f82610366565b67ffffffffffffffff811115610598576105976101cc565b5b6105a2825461039d565b6105ad8282856104ed565b5f60209050601f8311600181146105de575f84156105cc578287015190505b6105d6858261055b565b86555061063d565b601f1984166105ec866103cd565b5f5b82811015610613578489015182556001820191506020850194506020810190506105ee565b86831015610630578489015161062c601f89168261053f565b8355505b6001600288020188555050505b505050505050565b5f73ffffffffffffffffffffffffffffffffffffffff82169050919050565b5f61066e82610645565b9050919050565b61067e81610664565b82525050565b5f6020820190506106975f830184610675565b92915050565b612262806106aa5f395ff3fe608060405234801561000f575f5ffd5b506004361061011f575f3560e01c8063715018a6116100ab578063a22cb4651161006f578063a22cb46514610318578063b88d4fde14610334578063c87b56dd14610350578063e985e9c514610380578063f2fde38b146103b05761011f565b8063715018a61461028557806380736be21461028f5780638a4fb16a146102ab5780638da5cb5b146102dc57806395d89b41146102fa5761011f565b8063227f06cc116100f2578063227f06cc146101bd57806323b872dd146101ed57806342842e0e146102095780636352211e1461022557806370a08231146102555761011f565b806301ffc9a71461012357806306fdde0314610153578063081812fc14610171578063095ea7b3146101a1575b5f5ffd5b61013d60048036038101906101389190611a36565b6103cc565b60405161014a9190611a7b565b60405180910390f35b61015b6104ad565b6040516101689190611b04565b60405180910390f35b61018b60048036038101906101869190611b57565b61053c565b6040516101989190611bc1565b60405180910390f35b6101bb60048036038101906101b69190611c04565b610557565b005b6101d760048036038101906101d29190611c42565b61056d565b6040516101e49190611ca1565b60405180910390f35b61020760048036038101906102029190611cba565b6105e5565b005b610223600480360381019061021e9190611cba565b6106e4565b005b61023f600480360381019061023a9190611b57565b610703565b60405161024c9190611bc1565b60405180910390f35b61026f600480360381019061026a9190611d0a565b610714565b60405161027c9190611ca1565b60405180910390f35b61028d6107ca565b005b6102a960048036038101906102a49190611b57565b6107dd565b005b6102c560048036038101906102c09190611b57565b610812565b6040516102d3929190611d35565b60405180910390f35b6102e4610859565b6040516102f19190611bc1565b60405180910390f35b610302610881565b60405161030f9190611b04565b60405180910390f35b610332600480360381019061032d9190611d86565b610911565b005b61034e60048036038101906103499190611ef0565b610927565b005b61036a60048036038101906103659190611b57565b61094c565b6040516103779190611b04565b60405180910390f35b61039a60048036038101906103959190611f70565b6109b2565b6040516103a79190611a7b565b60405180910390f35b6103ca60048036038101906103c59190611d0a565b610a40565b005b5f7f80ac58cd000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916148061049657507f5b5e139f000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916145b806104a657506104a582610ac4565b5b9050919050565b60605f80546104bb90611fdb565b80601f01602080910402602001604051908101604052809291908181526020018280546104e790611fdb565b80156105325780601f1061050957610100808354040283529160200191610532565b820191905f5260205f20905b81548152906001019060200180831161051557829003601f168201915b5050505050905090565b5f61054682610b2d565b5061055082610bb3565b9050919050565b6105698282610564610bec565b610bf3565b5050565b5f610576610c05565b600160075f8282546105889190612038565b925050819055505f600754905060405180604001604052808581526020018481525060085f8381526020019081526020015f205f820151815f0155602082015181600101559050506105da8582610c8c565b809150509392505050565b5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603610655575f6040517f64a0ae9200000000000000000000000000000000000000000000000000000000815260040161064c9190611bc1565b60405180910390fd5b5f6106688383610663610bec565b610ca9565b90508373ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16146106de578382826040517f64283d7b0000000000000000000000000000000000000000000000000000000081526004016106d59392919061206b565b60405180910390fd5b50505050565b6106fe83838360405180602001604052805f815250610927565b505050565b5f61070d82610b2d565b9050919050565b5f5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603610785575f6040517f89c62b6400000000000000000000000000000000000000000000000000000000815260040161077c9190611bc1565b60405180910390fd5b60035f8373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f20549050919050565b6107d2610c05565b6107db5f610eb4565b565b6107e5610c05565b60085f8281526020019081526020015f205f5f82015f9055600182015f9055505061080f81610f77565b50565b5f5f5f60085f8581526020019081526020015f206040518060400160405290815f82015481526020016001820154815250509050805f015181602001519250925050915091565b5f60065f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff16905090565b60606001805461089090611fdb565b80601f01602080910402602001604051908101604052809291908181526020018280546108bc90611fdb565b80156109075780601f106108de57610100808354040283529160200191610907565b820191905f5260205f20905b8154815290600101906020018083116108ea57829003601f168201915b5050505050905090565b61092361091c610bec565b8383610ff9565b5050565b6109328484846105e5565b61094661093d610bec565b85858585611162565b50505050565b606061095782610b2d565b505f61096161130e565b90505f81511161097f5760405180602001604052805f8152506109aa565b8061098984611324565b60405160200161099a9291906120da565b6040516020818303038152906040525b915050919050565b5f60055f8473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f8373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f9054906101000a900460ff16905092915050565b610a48610c05565b5f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603610ab8575f6040517f1e4fbdf7000000000000000000000000000000000000000000000000000000008152600401610aaf9190611bc1565b60405180910390fd5b610ac181610eb4565b50565b5f7f01ffc9a7000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916149050919050565b5f5f610b38836113ee565b90505f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603610baa57826040517f7e273289000000000000000000000000000000000000000000000000000000008152600401610ba19190611ca1565b60405180910390fd5b80915050919050565b5f60045f8381526020019081526020015f205f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff169050919050565b5f33905090565b610c008383836001611427565b505050565b610c0d610bec565b73ffffffffffffffffffffffffffffffffffffffff16610c2b610859565b73ffffffffffffffffffffffffffffffffffffffff1614610c8a57610c4e610bec565b6040517f118cdaa7000000000000000000000000000000000000000000000000000000008152600401610c819190611bc1565b60405180910390fd5b565b610ca5828260405180602001604052805f8152506115e6565b5050565b5f5f610cb4846113ee565b90505f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff1614610cf557610cf4818486611609565b5b5f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1614610d8057610d345f855f5f611427565b600160035f8373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f82825403925050819055505b5f73ffffffffffffffffffffffffffffffffffffffff168573ffffffffffffffffffffffffffffffffffffffff1614610dff57600160035f8773ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f82825401925050819055505b8460025f8681526020019081526020015f205f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff160217905550838573ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff167fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef60405160405180910390a4809150509392505050565b5f60065f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1690508160065f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508173ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e060405160405180910390a35050565b5f610f835f835f610ca9565b90505f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603610ff557816040517f7e273289000000000000000000000000000000000000000000000000000000008152600401610fec9190611ca1565b60405180910390fd5b5050565b5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff160361106957816040517f5b08ba180000000000000000000000000000000000000000000000000000000081526004016110609190611bc1565b60405180910390fd5b8060055f8573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f8473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f6101000a81548160ff0219169083151502179055508173ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff167f17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c31836040516111559190611a7b565b60405180910390a3505050565b5f8373ffffffffffffffffffffffffffffffffffffffff163b1115611307578273ffffffffffffffffffffffffffffffffffffffff1663150b7a02868685856040518563ffffffff1660e01b81526004016111c0949392919061214f565b6020604051808303815f875af19250505080156111fb57506040513d601f19601f820116820180604052508101906111f891906121ad565b60015b61127c573d805f8114611229576040519150601f19603f3d011682016040523d82523d5f602084013e61122e565b606091505b505f81510361127457836040517f64a0ae9200000000000000000000000000000000000000000000000000000000815260040161126b9190611bc1565b60405180910390fd5b805160208201fd5b63150b7a0260e01b7bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916817bffffffffffffffffffffffffffffffffffffffffffffffffffffffff19161461130557836040517f64a0ae920000000000000000000000000000000000000000000000000000000081526004016112fc9190611bc1565b60405180910390fd5b505b5050505050565b606060405180602001604052805f815250905090565b60605f6001611332846116cc565b0190505f8167ffffffffffffffff8111156113505761134f611dcc565b5b6040519080825280601f01601f1916602001820160405280156113825781602001600182028036833780820191505090505b5090505f82602083010190505b6001156113e3578080600190039150507f3031323334353637383961626364656600000000000000000000000000000000600a86061a8153600a85816113d8576113d76121d8565b5b0494505f850361138f575b819350505050919050565b5f60025f8381526020019081526020015f205f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff169050919050565b808061145f57505f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1614155b15611591575f61146e84610b2d565b90505f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff16141580156114d857508273ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1614155b80156114eb57506114e981846109b2565b155b1561152d57826040517fa9fbf51f0000000000000000000000000000000000000000000000000000000081526004016115249190611bc1565b60405180910390fd5b811561158f57838573ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff167f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b92560405160405180910390a45b505b8360045f8581526020019081526020015f205f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555050505050565b6115f0838361181d565b6116046115fb610bec565b5f858585611162565b505050565b611614838383611910565b6116c7575f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff160361168857806040517f7e27328900000000000000000000000000000000000000000000000000000000815260040161167f9190611ca1565b60405180910390fd5b81816040517f177e802f0000000000000000000000000000000000000000000000000000000081526004016116be929190612205565b60405180910390fd5b505050565b5f5f5f90507a184f03e93ff9f4daa797ed6e38ed64bf6a1f0100000000000000008310611728577a184f03e93ff9f4daa797ed6e38ed64bf6a1f010000000000000000838161171e5761171d6121d8565b5b0492506040810190505b6d04ee2d6d415b85acef81000000008310611765576d04ee2d6d415b85acef8100000000838161175b5761175a6121d8565b5b0492506020810190505b662386f26fc10000831061179457662386f26fc10000838161178a576117896121d8565b5b0492506010810190505b6305f5e10083106117bd576305f5e10083816117b3576117b26121d8565b5b0492506008810190505b61271083106117e25761271083816117d8576117d76121d8565b5b0492506004810190505b6064831061180557606483816117fb576117fa6121d8565b5b0492506002810190505b600a8310611814576001810190505b80915050919050565b5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff160361188d575f6040517f64a0ae920000000000000000000000000000000000000000000000000000000081526004016118849190611bc1565b60405180910390fd5b5f61189983835f610ca9565b90505f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff161461190b575f6040517f73c6ac6e0000000000000000000000000000000000000000000000000000000081526004016119029190611bc1565b60405180910390fd5b505050565b5f5f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff16141580156119c757508273ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff161480611988575061198784846109b2565b5b806119c657508273ffffffffffffffffffffffffffffffffffffffff166119ae83610bb3565b73ffffffffffffffffffffffffffffffffffffffff16145b5b90509392505050565b5f604051905090565b5f5ffd5b5f5ffd5b5f7fffffffff0000000000000000000000000000000000000000000000000000000082169050919050565b611a15816119e1565b8114611a1f575f5ffd5b50565b5f81359050611a3081611a0c565b92915050565b5f60208284031215611a4b57611a4a6119d9565b5b5f611a5884828501611a22565b91505092915050565b5f8115159050919050565b611a7581611a61565b82525050565b5f602082019050611a8e5f830184611a6c565b92915050565b5f81519050919050565b5f82825260208201905092915050565b8281835e5f83830152505050565b5f601f19601f8301169050919050565b5f611ad682611a94565b611ae08185611a9e565b9350611af0818560208601611aae565b611af981611abc565b840191505092915050565b5f6020820190508181035f830152611b1c8184611acc565b905092915050565b5f819050919050565b611b3681611b24565b8114611b40575f5ffd5b50565b5f81359050611b5181611b2d565b92915050565b5f60208284031215611b6c57611b6b6119d9565b5b5f611b7984828501611b43565b91505092915050565b5f73ffffffffffffffffffffffffffffffffffffffff82169050919050565b5f611bab82611b82565b9050919050565b611bbb81611ba1565b82525050565b5f602082019050611bd45f830184611bb2565b92915050565b611be381611ba1565b8114611bed575f5ffd5b50565b5f81359050611bfe81611bda565b92915050565b5f5f60408385031215611c1a57611c196119d9565b5b5f611c2785828601611bf0565b9250506020611c3885828601611b43565b9150509250929050565b5f5f5f60608486031215611c5957611c586119d9565b5b5f611c6686828701611bf0565b9350506020611c7786828701611b43565b9250506040611c8886828701611b43565b9150509250925092565b611c9b81611b24565b82525050565b5f602082019050611cb45f830184611c92565b92915050565b5f5f5f60608486031215611cd157611cd06119d9565b5b5f611cde86828701611bf0565b9350506020611cef86828701611bf0565b9250506040611d0086828701611b43565b9150509250925092565b5f60208284031215611d1f57611d1e6119d9565b5b5f611d2c84828501611bf0565b91505092915050565b5f604082019050611d485f830185611c92565b611d556020830184611c92565b9392505050565b611d6581611a61565b8114611d6f575f5ffd5b50565b5f81359050611d8081611d5c565b92915050565b5f5f60408385031215611d9c57611d9b6119d9565b5b5f611da985828601611bf0565b9250506020611dba85828601611d72565b9150509250929050565b5f5ffd5b5f5ffd5b7f4e487b71000000000000000000000000000000000000000000000000000000005f52604160045260245ffd5b611e0282611abc565b810181811067ffffffffffffffff82111715611e2157611e20611dcc565b5b80604052505050565b5f611e336119d0565b9050611e3f8282611df9565b919050565b5f67ffffffffffffffff821115611e5e57611e5d611dcc565b5b611e6782611abc565b9050602081019050919050565b828183375f83830152505050565b5f611e94611e8f84611e44565b611e2a565b905082815260208101848484011115611eb057611eaf611dc8565b5b611ebb848285611e74565b509392505050565b5f82601f830112611ed757611ed6611dc4565b5b8135611ee7848260208601611e82565b91505092915050565b5f5f5f5f60808587031215611f0857611f076119d9565b5b5f611f1587828801611bf0565b9450506020611f2687828801611bf0565b9350506040611f3787828801611b43565b925050606085013567ffffffffffffffff811115611f5857611f576119dd565b5b611f6487828801611ec3565b91505092959194509250565b5f5f60408385031215611f8657611f856119d9565b5b5f611f9385828601611bf0565b9250506020611fa485828601611bf0565b9150509250929050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52602260045260245ffd5b5f6002820490506001821680611ff257607f821691505b60208210810361200557612004611fae565b5b50919050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52601160045260245ffd5b5f61204282611b24565b915061204d83611b24565b92508282019050808211156120655761206461200b565b5b92915050565b5f60608201905061207e5f830186611bb2565b61208b6020830185611c92565b6120986040830184611bb2565b949350505050565b5f81905092915050565b5f6120b482611a94565b6120be81856120a0565b93506120ce818560208601611aae565b80840191505092915050565b5f6120e582856120aa565b91506120f182846120aa565b91508190509392505050565b5f81519050919050565b5f82825260208201905092915050565b5f612121826120fd565b61212b8185612107565b935061213b818560208601611aae565b61214481611abc565b840191505092915050565b5f6080820190506121625f830187611bb2565b61216f6020830186611bb2565b61217c6040830185611c92565b818103606083015261218e8184612117565b905095945050505050565b5f815190506121a781611a0c565b92915050565b5f602082840312156121c2576121c16119d9565b5b5f6121cf84828501612199565b91505092915050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52601260045260245ffd5b5f6040820190506122185f830185611bb2565b6122256020830184611c92565b939250505056fea26469706673582212206948fad78dd7f9d58194add32b5bb68934f44c77a01429e1eaff7cc2185d660d64736f6c634300081c0033";
-  readonly deployedBytecode: "0x608060405234801561000f575f5ffd5b506004361061011f575f3560e01c8063715018a6116100ab578063a22cb4651161006f578063a22cb46514610318578063b88d4fde14610334578063c87b56dd14610350578063e985e9c514610380578063f2fde38b146103b05761011f565b8063715018a61461028557806380736be21461028f5780638a4fb16a146102ab5780638da5cb5b146102dc57806395d89b41146102fa5761011f565b8063227f06cc116100f2578063227f06cc146101bd57806323b872dd146101ed57806342842e0e146102095780636352211e1461022557806370a08231146102555761011f565b806301ffc9a71461012357806306fdde0314610153578063081812fc14610171578063095ea7b3146101a1575b5f5ffd5b61013d60048036038101906101389190611a36565b6103cc565b60405161014a9190611a7b565b60405180910390f35b61015b6104ad565b6040516101689190611b04565b60405180910390f35b61018b60048036038101906101869190611b57565b61053c565b6040516101989190611bc1565b60405180910390f35b6101bb60048036038101906101b69190611c04565b610557565b005b6101d760048036038101906101d29190611c42565b61056d565b6040516101e49190611ca1565b60405180910390f35b61020760048036038101906102029190611cba565b6105e5565b005b610223600480360381019061021e9190611cba565b6106e4565b005b61023f600480360381019061023a9190611b57565b610703565b60405161024c9190611bc1565b60405180910390f35b61026f600480360381019061026a9190611d0a565b610714565b60405161027c9190611ca1565b60405180910390f35b61028d6107ca565b005b6102a960048036038101906102a49190611b57565b6107dd565b005b6102c560048036038101906102c09190611b57565b610812565b6040516102d3929190611d35565b60405180910390f35b6102e4610859565b6040516102f19190611bc1565b60405180910390f35b610302610881565b60405161030f9190611b04565b60405180910390f35b610332600480360381019061032d9190611d86565b610911565b005b61034e60048036038101906103499190611ef0565b610927565b005b61036a60048036038101906103659190611b57565b61094c565b6040516103779190611b04565b60405180910390f35b61039a60048036038101906103959190611f70565b6109b2565b6040516103a79190611a7b565b60405180910390f35b6103ca60048036038101906103c59190611d0a565b610a40565b005b5f7f80ac58cd000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916148061049657507f5b5e139f000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916145b806104a657506104a582610ac4565b5b9050919050565b60605f80546104bb90611fdb565b80601f01602080910402602001604051908101604052809291908181526020018280546104e790611fdb565b80156105325780601f1061050957610100808354040283529160200191610532565b820191905f5260205f20905b81548152906001019060200180831161051557829003601f168201915b5050505050905090565b5f61054682610b2d565b5061055082610bb3565b9050919050565b6105698282610564610bec565b610bf3565b5050565b5f610576610c05565b600160075f8282546105889190612038565b925050819055505f600754905060405180604001604052808581526020018481525060085f8381526020019081526020015f205f820151815f0155602082015181600101559050506105da8582610c8c565b809150509392505050565b5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603610655575f6040517f64a0ae9200000000000000000000000000000000000000000000000000000000815260040161064c9190611bc1565b60405180910390fd5b5f6106688383610663610bec565b610ca9565b90508373ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16146106de578382826040517f64283d7b0000000000000000000000000000000000000000000000000000000081526004016106d59392919061206b565b60405180910390fd5b50505050565b6106fe83838360405180602001604052805f815250610927565b505050565b5f61070d82610b2d565b9050919050565b5f5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603610785575f6040517f89c62b6400000000000000000000000000000000000000000000000000000000815260040161077c9190611bc1565b60405180910390fd5b60035f8373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f20549050919050565b6107d2610c05565b6107db5f610eb4565b565b6107e5610c05565b60085f8281526020019081526020015f205f5f82015f9055600182015f9055505061080f81610f77565b50565b5f5f5f60085f8581526020019081526020015f206040518060400160405290815f82015481526020016001820154815250509050805f015181602001519250925050915091565b5f60065f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff16905090565b60606001805461089090611fdb565b80601f01602080910402602001604051908101604052809291908181526020018280546108bc90611fdb565b80156109075780601f106108de57610100808354040283529160200191610907565b820191905f5260205f20905b8154815290600101906020018083116108ea57829003601f168201915b5050505050905090565b61092361091c610bec565b8383610ff9565b5050565b6109328484846105e5565b61094661093d610bec565b85858585611162565b50505050565b606061095782610b2d565b505f61096161130e565b90505f81511161097f5760405180602001604052805f8152506109aa565b8061098984611324565b60405160200161099a9291906120da565b6040516020818303038152906040525b915050919050565b5f60055f8473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f8373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f9054906101000a900460ff16905092915050565b610a48610c05565b5f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603610ab8575f6040517f1e4fbdf7000000000000000000000000000000000000000000000000000000008152600401610aaf9190611bc1565b60405180910390fd5b610ac181610eb4565b50565b5f7f01ffc9a7000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916149050919050565b5f5f610b38836113ee565b90505f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603610baa57826040517f7e273289000000000000000000000000000000000000000000000000000000008152600401610ba19190611ca1565b60405180910390fd5b80915050919050565b5f60045f8381526020019081526020015f205f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff169050919050565b5f33905090565b610c008383836001611427565b505050565b610c0d610bec565b73ffffffffffffffffffffffffffffffffffffffff16610c2b610859565b73ffffffffffffffffffffffffffffffffffffffff1614610c8a57610c4e610bec565b6040517f118cdaa7000000000000000000000000000000000000000000000000000000008152600401610c819190611bc1565b60405180910390fd5b565b610ca5828260405180602001604052805f8152506115e6565b5050565b5f5f610cb4846113ee565b90505f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff1614610cf557610cf4818486611609565b5b5f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1614610d8057610d345f855f5f611427565b600160035f8373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f82825403925050819055505b5f73ffffffffffffffffffffffffffffffffffffffff168573ffffffffffffffffffffffffffffffffffffffff1614610dff57600160035f8773ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f82825401925050819055505b8460025f8681526020019081526020015f205f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff160217905550838573ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff167fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef60405160405180910390a4809150509392505050565b5f60065f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1690508160065f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508173ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e060405160405180910390a35050565b5f610f835f835f610ca9565b90505f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603610ff557816040517f7e273289000000000000000000000000000000000000000000000000000000008152600401610fec9190611ca1565b60405180910390fd5b5050565b5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff160361106957816040517f5b08ba180000000000000000000000000000000000000000000000000000000081526004016110609190611bc1565b60405180910390fd5b8060055f8573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f8473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f6101000a81548160ff0219169083151502179055508173ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff167f17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c31836040516111559190611a7b565b60405180910390a3505050565b5f8373ffffffffffffffffffffffffffffffffffffffff163b1115611307578273ffffffffffffffffffffffffffffffffffffffff1663150b7a02868685856040518563ffffffff1660e01b81526004016111c0949392919061214f565b6020604051808303815f875af19250505080156111fb57506040513d601f19601f820116820180604052508101906111f891906121ad565b60015b61127c573d805f8114611229576040519150601f19603f3d011682016040523d82523d5f602084013e61122e565b606091505b505f81510361127457836040517f64a0ae9200000000000000000000000000000000000000000000000000000000815260040161126b9190611bc1565b60405180910390fd5b805160208201fd5b63150b7a0260e01b7bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916817bffffffffffffffffffffffffffffffffffffffffffffffffffffffff19161461130557836040517f64a0ae920000000000000000000000000000000000000000000000000000000081526004016112fc9190611bc1565b60405180910390fd5b505b5050505050565b606060405180602001604052805f815250905090565b60605f6001611332846116cc565b0190505f8167ffffffffffffffff8111156113505761134f611dcc565b5b6040519080825280601f01601f1916602001820160405280156113825781602001600182028036833780820191505090505b5090505f82602083010190505b6001156113e3578080600190039150507f3031323334353637383961626364656600000000000000000000000000000000600a86061a8153600a85816113d8576113d76121d8565b5b0494505f850361138f575b819350505050919050565b5f60025f8381526020019081526020015f205f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff169050919050565b808061145f57505f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1614155b15611591575f61146e84610b2d565b90505f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff16141580156114d857508273ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1614155b80156114eb57506114e981846109b2565b155b1561152d57826040517fa9fbf51f0000000000000000000000000000000000000000000000000000000081526004016115249190611bc1565b60405180910390fd5b811561158f57838573ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff167f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b92560405160405180910390a45b505b8360045f8581526020019081526020015f205f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555050505050565b6115f0838361181d565b6116046115fb610bec565b5f858585611162565b505050565b611614838383611910565b6116c7575f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff160361168857806040517f7e27328900000000000000000000000000000000000000000000000000000000815260040161167f9190611ca1565b60405180910390fd5b81816040517f177e802f0000000000000000000000000000000000000000000000000000000081526004016116be929190612205565b60405180910390fd5b505050565b5f5f5f90507a184f03e93ff9f4daa797ed6e38ed64bf6a1f0100000000000000008310611728577a184f03e93ff9f4daa797ed6e38ed64bf6a1f010000000000000000838161171e5761171d6121d8565b5b0492506040810190505b6d04ee2d6d415b85acef81000000008310611765576d04ee2d6d415b85acef8100000000838161175b5761175a6121d8565b5b0492506020810190505b662386f26fc10000831061179457662386f26fc10000838161178a576117896121d8565b5b0492506010810190505b6305f5e10083106117bd576305f5e10083816117b3576117b26121d8565b5b0492506008810190505b61271083106117e25761271083816117d8576117d76121d8565b5b0492506004810190505b6064831061180557606483816117fb576117fa6121d8565b5b0492506002810190505b600a8310611814576001810190505b80915050919050565b5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff160361188d575f6040517f64a0ae920000000000000000000000000000000000000000000000000000000081526004016118849190611bc1565b60405180910390fd5b5f61189983835f610ca9565b90505f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff161461190b575f6040517f73c6ac6e0000000000000000000000000000000000000000000000000000000081526004016119029190611bc1565b60405180910390fd5b505050565b5f5f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff16141580156119c757508273ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff161480611988575061198784846109b2565b5b806119c657508273ffffffffffffffffffffffffffffffffffffffff166119ae83610bb3565b73ffffffffffffffffffffffffffffffffffffffff16145b5b90509392505050565b5f604051905090565b5f5ffd5b5f5ffd5b5f7fffffffff0000000000000000000000000000000000000000000000000000000082169050919050565b611a15816119e1565b8114611a1f575f5ffd5b50565b5f81359050611a3081611a0c565b92915050565b5f60208284031215611a4b57611a4a6119d9565b5b5f611a5884828501611a22565b91505092915050565b5f8115159050919050565b611a7581611a61565b82525050565b5f602082019050611a8e5f830184611a6c565b92915050565b5f81519050919050565b5f82825260208201905092915050565b8281835e5f83830152505050565b5f601f19601f8301169050919050565b5f611ad682611a94565b611ae08185611a9e565b9350611af0818560208601611aae565b611af981611abc565b840191505092915050565b5f6020820190508181035f830152611b1c8184611acc565b905092915050565b5f819050919050565b611b3681611b24565b8114611b40575f5ffd5b50565b5f81359050611b5181611b2d565b92915050565b5f60208284031215611b6c57611b6b6119d9565b5b5f611b7984828501611b43565b91505092915050565b5f73ffffffffffffffffffffffffffffffffffffffff82169050919050565b5f611bab82611b82565b9050919050565b611bbb81611ba1565b82525050565b5f602082019050611bd45f830184611bb2565b92915050565b611be381611ba1565b8114611bed575f5ffd5b50565b5f81359050611bfe81611bda565b92915050565b5f5f60408385031215611c1a57611c196119d9565b5b5f611c2785828601611bf0565b9250506020611c3885828601611b43565b9150509250929050565b5f5f5f60608486031215611c5957611c586119d9565b5b5f611c6686828701611bf0565b9350506020611c7786828701611b43565b9250506040611c8886828701611b43565b9150509250925092565b611c9b81611b24565b82525050565b5f602082019050611cb45f830184611c92565b92915050565b5f5f5f60608486031215611cd157611cd06119d9565b5b5f611cde86828701611bf0565b9350506020611cef86828701611bf0565b9250506040611d0086828701611b43565b9150509250925092565b5f60208284031215611d1f57611d1e6119d9565b5b5f611d2c84828501611bf0565b91505092915050565b5f604082019050611d485f830185611c92565b611d556020830184611c92565b9392505050565b611d6581611a61565b8114611d6f575f5ffd5b50565b5f81359050611d8081611d5c565b92915050565b5f5f60408385031215611d9c57611d9b6119d9565b5b5f611da985828601611bf0565b9250506020611dba85828601611d72565b9150509250929050565b5f5ffd5b5f5ffd5b7f4e487b71000000000000000000000000000000000000000000000000000000005f52604160045260245ffd5b611e0282611abc565b810181811067ffffffffffffffff82111715611e2157611e20611dcc565b5b80604052505050565b5f611e336119d0565b9050611e3f8282611df9565b919050565b5f67ffffffffffffffff821115611e5e57611e5d611dcc565b5b611e6782611abc565b9050602081019050919050565b828183375f83830152505050565b5f611e94611e8f84611e44565b611e2a565b905082815260208101848484011115611eb057611eaf611dc8565b5b611ebb848285611e74565b509392505050565b5f82601f830112611ed757611ed6611dc4565b5b8135611ee7848260208601611e82565b91505092915050565b5f5f5f5f60808587031215611f0857611f076119d9565b5b5f611f1587828801611bf0565b9450506020611f2687828801611bf0565b9350506040611f3787828801611b43565b925050606085013567ffffffffffffffff811115611f5857611f576119dd565b5b611f6487828801611ec3565b91505092959194509250565b5f5f60408385031215611f8657611f856119d9565b5b5f611f9385828601611bf0565b9250506020611fa485828601611bf0565b9150509250929050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52602260045260245ffd5b5f6002820490506001821680611ff257607f821691505b60208210810361200557612004611fae565b5b50919050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52601160045260245ffd5b5f61204282611b24565b915061204d83611b24565b92508282019050808211156120655761206461200b565b5b92915050565b5f60608201905061207e5f830186611bb2565b61208b6020830185611c92565b6120986040830184611bb2565b949350505050565b5f81905092915050565b5f6120b482611a94565b6120be81856120a0565b93506120ce818560208601611aae565b80840191505092915050565b5f6120e582856120aa565b91506120f182846120aa565b91508190509392505050565b5f81519050919050565b5f82825260208201905092915050565b5f612121826120fd565b61212b8185612107565b935061213b818560208601611aae565b61214481611abc565b840191505092915050565b5f6080820190506121625f830187611bb2565b61216f6020830186611bb2565b61217c6040830185611c92565b818103606083015261218e8184612117565b905095945050505050565b5f815190506121a781611a0c565b92915050565b5f602082840312156121c2576121c16119d9565b5b5f6121cf84828501612199565b91505092915050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52601260045260245ffd5b5f6040820190506122185f830185611bb2565b6122256020830184611c92565b939250505056fea26469706673582212206948fad78dd7f9d58194add32b5bb68934f44c77a01429e1eaff7cc2185d660d64736f6c634300081c0033";
+  readonly abi: [{"inputs":[{"internalType":"string","name":"name_","type":"string"},{"internalType":"string","name":"symbol_","type":"string"},{"internalType":"address","name":"asset_","type":"address"}],"stateMutability":"nonpayable","type":"constructor"},{"inputs":[{"internalType":"address","name":"sender","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"},{"internalType":"address","name":"owner","type":"address"}],"name":"ERC721IncorrectOwner","type":"error"},{"inputs":[{"internalType":"address","name":"operator","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"ERC721InsufficientApproval","type":"error"},{"inputs":[{"internalType":"address","name":"approver","type":"address"}],"name":"ERC721InvalidApprover","type":"error"},{"inputs":[{"internalType":"address","name":"operator","type":"address"}],"name":"ERC721InvalidOperator","type":"error"},{"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"ERC721InvalidOwner","type":"error"},{"inputs":[{"internalType":"address","name":"receiver","type":"address"}],"name":"ERC721InvalidReceiver","type":"error"},{"inputs":[{"internalType":"address","name":"sender","type":"address"}],"name":"ERC721InvalidSender","type":"error"},{"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"ERC721NonexistentToken","type":"error"},{"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"OwnableInvalidOwner","type":"error"},{"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"OwnableUnauthorizedAccount","type":"error"},{"inputs":[{"internalType":"uint256","name":"value","type":"uint256"},{"internalType":"uint256","name":"length","type":"uint256"}],"name":"StringsInsufficientHexLength","type":"error"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":true,"internalType":"address","name":"approved","type":"address"},{"indexed":true,"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"Approval","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":true,"internalType":"address","name":"operator","type":"address"},{"indexed":false,"internalType":"bool","name":"approved","type":"bool"}],"name":"ApprovalForAll","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"from","type":"address"},{"indexed":true,"internalType":"address","name":"to","type":"address"},{"indexed":true,"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"Transfer","type":"event"},{"inputs":[{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"approve","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"asset","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"balanceOf","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"id","type":"uint256"}],"name":"burnWithdrawal","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"getApproved","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"id","type":"uint256"}],"name":"getWithdrawal","outputs":[{"internalType":"uint256","name":"assetsOwed","type":"uint256"},{"internalType":"uint256","name":"availableAt","type":"uint256"},{"internalType":"address","name":"requester","type":"address"},{"internalType":"uint256","name":"requestedAt","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"owner","type":"address"},{"internalType":"address","name":"operator","type":"address"}],"name":"isApprovedForAll","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"spender","type":"address"},{"internalType":"uint256","name":"id","type":"uint256"}],"name":"isAuthorized","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"to","type":"address"},{"internalType":"address","name":"requester","type":"address"},{"internalType":"uint256","name":"assetsOwed","type":"uint256"},{"internalType":"uint256","name":"availableAt","type":"uint256"}],"name":"mintWithdrawal","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"name","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"ownerOf","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"safeTransferFrom","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"},{"internalType":"bytes","name":"data","type":"bytes"}],"name":"safeTransferFrom","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"operator","type":"address"},{"internalType":"bool","name":"approved","type":"bool"}],"name":"setApprovalForAll","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"bytes4","name":"interfaceId","type":"bytes4"}],"name":"supportsInterface","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"symbol","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"id","type":"uint256"}],"name":"tokenURI","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"transferFrom","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"}];
+  readonly bytecode: "0x60a06040525f600755348015610013575f5ffd5b50604051611e85380380611e8583398101604081905261003291610189565b3383835f6100408382610292565b50600161004d8282610292565b5050506001600160a01b03811661007d57604051631e4fbdf760e01b81525f600482015260240160405180910390fd5b6100868161009b565b506001600160a01b03166080525061034c9050565b600680546001600160a01b038381166001600160a01b0319831681179093556040519116919082907f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0905f90a35050565b634e487b7160e01b5f52604160045260245ffd5b5f82601f83011261010f575f5ffd5b81516001600160401b03811115610128576101286100ec565b604051601f8201601f19908116603f011681016001600160401b0381118282101715610156576101566100ec565b60405281815283820160200185101561016d575f5ffd5b8160208501602083015e5f918101602001919091529392505050565b5f5f5f6060848603121561019b575f5ffd5b83516001600160401b038111156101b0575f5ffd5b6101bc86828701610100565b602086015190945090506001600160401b038111156101d9575f5ffd5b6101e586828701610100565b604086015190935090506001600160a01b0381168114610203575f5ffd5b809150509250925092565b600181811c9082168061022257607f821691505b60208210810361024057634e487b7160e01b5f52602260045260245ffd5b50919050565b601f82111561028d57805f5260205f20601f840160051c8101602085101561026b5750805b601f840160051c820191505b8181101561028a575f8155600101610277565b50505b505050565b81516001600160401b038111156102ab576102ab6100ec565b6102bf816102b9845461020e565b84610246565b6020601f8211600181146102f1575f83156102da5750848201515b5f19600385901b1c1916600184901b17845561028a565b5f84815260208120601f198516915b828110156103205787850151825560209485019460019092019101610300565b508482101561033d57868401515f19600387901b60f8161c191681555b50505050600190811b01905550565b608051611b1a61036b5f395f81816101ff0152610d670152611b1a5ff3fe608060405234801561000f575f5ffd5b5060043610610132575f3560e01c806370a08231116100b457806395d89b411161007957806395d89b4114610315578063a22cb4651461031d578063b88d4fde14610330578063c87b56dd14610343578063e985e9c514610356578063f2fde38b14610369575f5ffd5b806370a0823114610247578063715018a61461025a57806380736be2146102625780638a4fb16a146102755780638da5cb5b14610304575f5ffd5b806323b872dd116100fa57806323b872dd146101d45780632972b0f0146101e757806338d52e0f146101fa57806342842e0e146102215780636352211e14610234575f5ffd5b806301ffc9a71461013657806306fdde031461015e578063081812fc14610173578063095ea7b31461019e5780631df7adc7146101b3575b5f5ffd5b61014961014436600461140e565b61037c565b60405190151581526020015b60405180910390f35b6101666103cd565b6040516101559190611457565b610186610181366004611469565b61045c565b6040516001600160a01b039091168152602001610155565b6101b16101ac36600461149b565b610483565b005b6101c66101c13660046114c3565b610492565b604051908152602001610155565b6101b16101e2366004611502565b61052f565b6101496101f536600461149b565b6105bd565b6101867f000000000000000000000000000000000000000000000000000000000000000081565b6101b161022f366004611502565b6105e6565b610186610242366004611469565b610605565b6101c661025536600461153c565b61060f565b6101b1610654565b6101b1610270366004611469565b610667565b6102d5610283366004611469565b5f9081526008602090815260409182902082516080810184528154808252600183015493820184905260028301546001600160a01b031694820185905260039092015460609091018190529093919291565b604051610155949392919093845260208401929092526001600160a01b03166040830152606082015260800190565b6006546001600160a01b0316610186565b6101666106a8565b6101b161032b366004611555565b6106b7565b6101b161033e3660046115a2565b6106c2565b610166610351366004611469565b6106da565b61014961036436600461167f565b610810565b6101b161037736600461153c565b61083d565b5f6001600160e01b031982166380ac58cd60e01b14806103ac57506001600160e01b03198216635b5e139f60e01b145b806103c757506301ffc9a760e01b6001600160e01b03198316145b92915050565b60605f80546103db906116b0565b80601f0160208091040260200160405190810160405280929190818152602001828054610407906116b0565b80156104525780601f1061042957610100808354040283529160200191610452565b820191905f5260205f20905b81548152906001019060200180831161043557829003601f168201915b5050505050905090565b5f61046682610877565b505f828152600460205260409020546001600160a01b03166103c7565b61048e8282336108af565b5050565b5f61049b6108bc565b600160075f8282546104ad91906116fc565b90915550506007546040805160808101825285815260208082018681526001600160a01b0389811684860190815242606086019081525f888152600890955295909320935184559051600184015590516002830180546001600160a01b03191691909216179055905160039091015561052686826108e9565b95945050505050565b6001600160a01b03821661055d57604051633250574960e11b81525f60048201526024015b60405180910390fd5b5f610569838333610902565b9050836001600160a01b0316816001600160a01b0316146105b7576040516364283d7b60e01b81526001600160a01b0380861660048301526024820184905282166044820152606401610554565b50505050565b5f818152600260205260408120546105df906001600160a01b031684846109f4565b9392505050565b61060083838360405180602001604052805f8152506106c2565b505050565b5f6103c782610877565b5f6001600160a01b038216610639576040516322718ad960e21b81525f6004820152602401610554565b506001600160a01b03165f9081526003602052604090205490565b61065c6108bc565b6106655f610a58565b565b61066f6108bc565b5f818152600860205260408120818155600181018290556002810180546001600160a01b0319169055600301556106a581610aa9565b50565b6060600180546103db906116b0565b61048e338383610ae1565b6106cd84848461052f565b6105b73385858585610ba8565b60606106e582610877565b505f828152600860209081526040808320815160808101835281548152600182015493810184905260028201546001600160a01b031692810192909252600301546060820152914291909110159061073b6103cd565b61074486610cd0565b845161074f90610cd0565b6107598686610d60565b865161076490610cd0565b6107718860200151610cd0565b87610799576040518060400160405280600581526020016466616c736560d81b8152506107b7565b604051806040016040528060048152602001637472756560e01b8152505b6040516020016107cd9796959493929190611726565b60405160208183030381529060405290506107e781610e2f565b6040516020016107f79190611923565b6040516020818303038152906040529350505050919050565b6001600160a01b039182165f90815260056020908152604080832093909416825291909152205460ff1690565b6108456108bc565b6001600160a01b03811661086e57604051631e4fbdf760e01b81525f6004820152602401610554565b6106a581610a58565b5f818152600260205260408120546001600160a01b0316806103c757604051637e27328960e01b815260048101849052602401610554565b6106008383836001610e3b565b6006546001600160a01b031633146106655760405163118cdaa760e01b8152336004820152602401610554565b61048e828260405180602001604052805f815250610f3f565b5f828152600260205260408120546001600160a01b039081169083161561092e5761092e818486610f56565b6001600160a01b03811615610968576109495f855f5f610e3b565b6001600160a01b0381165f90815260036020526040902080545f190190555b6001600160a01b03851615610996576001600160a01b0385165f908152600360205260409020805460010190555b5f8481526002602052604080822080546001600160a01b0319166001600160a01b0389811691821790925591518793918516917fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef91a4949350505050565b5f6001600160a01b03831615801590610a505750826001600160a01b0316846001600160a01b03161480610a2d5750610a2d8484610810565b80610a5057505f828152600460205260409020546001600160a01b038481169116145b949350505050565b600680546001600160a01b038381166001600160a01b0319831681179093556040519116919082907f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0905f90a35050565b5f610ab55f835f610902565b90506001600160a01b03811661048e57604051637e27328960e01b815260048101839052602401610554565b6001600160a01b038316610b0a5760405163a9fbf51f60e01b81525f6004820152602401610554565b6001600160a01b038216610b3c57604051630b61174360e31b81526001600160a01b0383166004820152602401610554565b6001600160a01b038381165f81815260056020908152604080832094871680845294825291829020805460ff191686151590811790915591519182527f17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c31910160405180910390a3505050565b6001600160a01b0383163b15610cc957604051630a85bd0160e11b81526001600160a01b0384169063150b7a0290610bea908890889087908790600401611954565b6020604051808303815f875af1925050508015610c24575060408051601f3d908101601f19168201909252610c2191810190611990565b60015b610c8b573d808015610c51576040519150601f19603f3d011682016040523d82523d5f602084013e610c56565b606091505b5080515f03610c8357604051633250574960e11b81526001600160a01b0385166004820152602401610554565b805160208201fd5b6001600160e01b03198116630a85bd0160e11b14610cc757604051633250574960e11b81526001600160a01b0385166004820152602401610554565b505b5050505050565b60605f610cdc83610fba565b60010190505f8167ffffffffffffffff811115610cfb57610cfb61158e565b6040519080825280601f01601f191660200182016040528015610d25576020820181803683370190505b5090508181016020015b5f19016f181899199a1a9b1b9c1cb0b131b232b360811b600a86061a8153600a8504945084610d2f57509392505050565b6060610d8b7f0000000000000000000000000000000000000000000000000000000000000000611091565b8351610d9690610cd0565b610da38560200151610cd0565b84610dcb576040518060400160405280600581526020016466616c736560d81b815250610de9565b604051806040016040528060048152602001637472756560e01b8152505b610df68760400151611091565b610e038860600151610cd0565b604051602001610e18969594939291906119ab565b604051602081830303815290604052905092915050565b60606103c7825f6110a7565b8080610e4f57506001600160a01b03821615155b15610f10575f610e5e84610877565b90506001600160a01b03831615801590610e8a5750826001600160a01b0316816001600160a01b031614155b8015610e9d5750610e9b8184610810565b155b15610ec65760405163a9fbf51f60e01b81526001600160a01b0384166004820152602401610554565b8115610f0e5783856001600160a01b0316826001600160a01b03167f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b92560405160405180910390a45b505b50505f90815260046020526040902080546001600160a01b0319166001600160a01b0392909216919091179055565b610f498383611226565b610600335f858585610ba8565b610f618383836109f4565b610600576001600160a01b038316610f8f57604051637e27328960e01b815260048101829052602401610554565b60405163177e802f60e01b81526001600160a01b038316600482015260248101829052604401610554565b5f8072184f03e93ff9f4daa797ed6e38ed64bf6a1f0160401b8310610ff85772184f03e93ff9f4daa797ed6e38ed64bf6a1f0160401b830492506040015b6d04ee2d6d415b85acef81000000008310611024576d04ee2d6d415b85acef8100000000830492506020015b662386f26fc10000831061104257662386f26fc10000830492506010015b6305f5e100831061105a576305f5e100830492506008015b612710831061106e57612710830492506004015b60648310611080576064830492506002015b600a83106103c75760010192915050565b60606103c76001600160a01b0383166014611287565b606082515f036110c5575060408051602081019091525f81526103c7565b5f826110f5576003845160026110db91906116fc565b6110e59190611a85565b6110f0906004611aa4565b61111a565b6003845160046111059190611aa4565b6111109060026116fc565b61111a9190611a85565b905060405191507f4142434445464748494a4b4c4d4e4f505152535455565758595a616263646566601f5261067083027f6768696a6b6c6d6e6f707172737475767778797a303132333435363738392b2f18603f526020820181810185865187016020810180515f82525b828410156111d8576003840193508351603f8160121c16518753600187019650603f81600c1c16518753600187019650603f8160061c16518753600187019650603f811651875350600186019550611185565b905250859050611219576003865106600181146111fc576002811461120f57611217565b603d6001840353603d6002840353611217565b603d60018403535b505b9183525060405292915050565b6001600160a01b03821661124f57604051633250574960e11b81525f6004820152602401610554565b5f61125b83835f610902565b90506001600160a01b03811615610600576040516339e3563760e11b81525f6004820152602401610554565b6060825f611296846002611aa4565b6112a19060026116fc565b67ffffffffffffffff8111156112b9576112b961158e565b6040519080825280601f01601f1916602001820160405280156112e3576020820181803683370190505b509050600360fc1b815f815181106112fd576112fd611abb565b60200101906001600160f81b03191690815f1a905350600f60fb1b8160018151811061132b5761132b611abb565b60200101906001600160f81b03191690815f1a9053505f61134d856002611aa4565b6113589060016116fc565b90505b60018111156113cf576f181899199a1a9b1b9c1cb0b131b232b360811b83600f166010811061138c5761138c611abb565b1a60f81b8282815181106113a2576113a2611abb565b60200101906001600160f81b03191690815f1a90535060049290921c916113c881611acf565b905061135b565b508115610a505760405163e22e27eb60e01b81526004810186905260248101859052604401610554565b6001600160e01b0319811681146106a5575f5ffd5b5f6020828403121561141e575f5ffd5b81356105df816113f9565b5f81518084528060208401602086015e5f602082860101526020601f19601f83011685010191505092915050565b602081525f6105df6020830184611429565b5f60208284031215611479575f5ffd5b5035919050565b80356001600160a01b0381168114611496575f5ffd5b919050565b5f5f604083850312156114ac575f5ffd5b6114b583611480565b946020939093013593505050565b5f5f5f5f608085870312156114d6575f5ffd5b6114df85611480565b93506114ed60208601611480565b93969395505050506040820135916060013590565b5f5f5f60608486031215611514575f5ffd5b61151d84611480565b925061152b60208501611480565b929592945050506040919091013590565b5f6020828403121561154c575f5ffd5b6105df82611480565b5f5f60408385031215611566575f5ffd5b61156f83611480565b915060208301358015158114611583575f5ffd5b809150509250929050565b634e487b7160e01b5f52604160045260245ffd5b5f5f5f5f608085870312156115b5575f5ffd5b6115be85611480565b93506115cc60208601611480565b925060408501359150606085013567ffffffffffffffff8111156115ee575f5ffd5b8501601f810187136115fe575f5ffd5b803567ffffffffffffffff8111156116185761161861158e565b604051601f8201601f19908116603f0116810167ffffffffffffffff811182821017156116475761164761158e565b60405281815282820160200189101561165e575f5ffd5b816020840160208301375f6020838301015280935050505092959194509250565b5f5f60408385031215611690575f5ffd5b61169983611480565b91506116a760208401611480565b90509250929050565b600181811c908216806116c457607f821691505b6020821081036116e257634e487b7160e01b5f52602260045260245ffd5b50919050565b634e487b7160e01b5f52601160045260245ffd5b808201808211156103c7576103c76116e8565b5f81518060208401855e5f93019283525090919050565b683d913730b6b2911d1160b91b81525f611743600983018a61170f565b61202360f01b8152611758600282018a61170f565b90507f222c226465736372697074696f6e223a22436c61696d206f6e20000000000000815261178a601a82018961170f565b7f20756e697473206f6620746865207374616b65642061737365742c207265646581527f656d61626c6520617420746865207661756c74206f6e6365206d6174757265646020820152620b888b60ea1b604082015290506117ee604382018861170f565b6e2c2261747472696275746573223a5b60881b815290507f7b2274726169745f74797065223a226173736574734f776564222c2264697370600f8201527f6c61795f74797065223a226e756d626572222c2276616c7565223a0000000000602f82015261185e604a82018761170f565b611f4b60f21b815290507f7b2274726169745f74797065223a22617661696c61626c654174222c2264697360028201527f706c61795f74797065223a2264617465222c2276616c7565223a00000000000060228201526118c1603c82018661170f565b611f4b60f21b815290507f7b2274726169745f74797065223a226d617475726564222c2276616c7565223a6002820152601160f91b6022820152611908602382018561170f565b63227d5d7d60e01b81526004019a9950505050505050505050565b7f646174613a6170706c69636174696f6e2f6a736f6e3b6261736536342c00000081525f6105df601d83018461170f565b6001600160a01b03858116825284166020820152604081018390526080606082018190525f9061198690830184611429565b9695505050505050565b5f602082840312156119a0575f5ffd5b81516105df816113f9565b681130b9b9b2ba111d1160b91b81525f6119c8600983018961170f565b6f11161130b9b9b2ba39a7bbb2b2111d1160811b81526119eb601082018961170f565b6f11161130bb30b4b630b13632a0ba111d60811b81529050611a10601082018861170f565b6a161136b0ba3ab932b2111d60a91b81529050611a30600b82018761170f565b6d16113932b8bab2b9ba32b9111d1160911b81529050611a53600e82018661170f565b6f1116113932b8bab2b9ba32b220ba111d60811b81529050611a78601082018561170f565b9998505050505050505050565b5f82611a9f57634e487b7160e01b5f52601260045260245ffd5b500490565b80820281158282048414176103c7576103c76116e8565b634e487b7160e01b5f52603260045260245ffd5b5f81611add57611add6116e8565b505f19019056fea2646970667358221220210300e83e5edbb7d398d42adac39eaf6443b7d624c2d8f5a1d17add0359c12d64736f6c634300081c0033";
+  readonly deployedBytecode: "0x608060405234801561000f575f5ffd5b5060043610610132575f3560e01c806370a08231116100b457806395d89b411161007957806395d89b4114610315578063a22cb4651461031d578063b88d4fde14610330578063c87b56dd14610343578063e985e9c514610356578063f2fde38b14610369575f5ffd5b806370a0823114610247578063715018a61461025a57806380736be2146102625780638a4fb16a146102755780638da5cb5b14610304575f5ffd5b806323b872dd116100fa57806323b872dd146101d45780632972b0f0146101e757806338d52e0f146101fa57806342842e0e146102215780636352211e14610234575f5ffd5b806301ffc9a71461013657806306fdde031461015e578063081812fc14610173578063095ea7b31461019e5780631df7adc7146101b3575b5f5ffd5b61014961014436600461140e565b61037c565b60405190151581526020015b60405180910390f35b6101666103cd565b6040516101559190611457565b610186610181366004611469565b61045c565b6040516001600160a01b039091168152602001610155565b6101b16101ac36600461149b565b610483565b005b6101c66101c13660046114c3565b610492565b604051908152602001610155565b6101b16101e2366004611502565b61052f565b6101496101f536600461149b565b6105bd565b6101867f000000000000000000000000000000000000000000000000000000000000000081565b6101b161022f366004611502565b6105e6565b610186610242366004611469565b610605565b6101c661025536600461153c565b61060f565b6101b1610654565b6101b1610270366004611469565b610667565b6102d5610283366004611469565b5f9081526008602090815260409182902082516080810184528154808252600183015493820184905260028301546001600160a01b031694820185905260039092015460609091018190529093919291565b604051610155949392919093845260208401929092526001600160a01b03166040830152606082015260800190565b6006546001600160a01b0316610186565b6101666106a8565b6101b161032b366004611555565b6106b7565b6101b161033e3660046115a2565b6106c2565b610166610351366004611469565b6106da565b61014961036436600461167f565b610810565b6101b161037736600461153c565b61083d565b5f6001600160e01b031982166380ac58cd60e01b14806103ac57506001600160e01b03198216635b5e139f60e01b145b806103c757506301ffc9a760e01b6001600160e01b03198316145b92915050565b60605f80546103db906116b0565b80601f0160208091040260200160405190810160405280929190818152602001828054610407906116b0565b80156104525780601f1061042957610100808354040283529160200191610452565b820191905f5260205f20905b81548152906001019060200180831161043557829003601f168201915b5050505050905090565b5f61046682610877565b505f828152600460205260409020546001600160a01b03166103c7565b61048e8282336108af565b5050565b5f61049b6108bc565b600160075f8282546104ad91906116fc565b90915550506007546040805160808101825285815260208082018681526001600160a01b0389811684860190815242606086019081525f888152600890955295909320935184559051600184015590516002830180546001600160a01b03191691909216179055905160039091015561052686826108e9565b95945050505050565b6001600160a01b03821661055d57604051633250574960e11b81525f60048201526024015b60405180910390fd5b5f610569838333610902565b9050836001600160a01b0316816001600160a01b0316146105b7576040516364283d7b60e01b81526001600160a01b0380861660048301526024820184905282166044820152606401610554565b50505050565b5f818152600260205260408120546105df906001600160a01b031684846109f4565b9392505050565b61060083838360405180602001604052805f8152506106c2565b505050565b5f6103c782610877565b5f6001600160a01b038216610639576040516322718ad960e21b81525f6004820152602401610554565b506001600160a01b03165f9081526003602052604090205490565b61065c6108bc565b6106655f610a58565b565b61066f6108bc565b5f818152600860205260408120818155600181018290556002810180546001600160a01b0319169055600301556106a581610aa9565b50565b6060600180546103db906116b0565b61048e338383610ae1565b6106cd84848461052f565b6105b73385858585610ba8565b60606106e582610877565b505f828152600860209081526040808320815160808101835281548152600182015493810184905260028201546001600160a01b031692810192909252600301546060820152914291909110159061073b6103cd565b61074486610cd0565b845161074f90610cd0565b6107598686610d60565b865161076490610cd0565b6107718860200151610cd0565b87610799576040518060400160405280600581526020016466616c736560d81b8152506107b7565b604051806040016040528060048152602001637472756560e01b8152505b6040516020016107cd9796959493929190611726565b60405160208183030381529060405290506107e781610e2f565b6040516020016107f79190611923565b6040516020818303038152906040529350505050919050565b6001600160a01b039182165f90815260056020908152604080832093909416825291909152205460ff1690565b6108456108bc565b6001600160a01b03811661086e57604051631e4fbdf760e01b81525f6004820152602401610554565b6106a581610a58565b5f818152600260205260408120546001600160a01b0316806103c757604051637e27328960e01b815260048101849052602401610554565b6106008383836001610e3b565b6006546001600160a01b031633146106655760405163118cdaa760e01b8152336004820152602401610554565b61048e828260405180602001604052805f815250610f3f565b5f828152600260205260408120546001600160a01b039081169083161561092e5761092e818486610f56565b6001600160a01b03811615610968576109495f855f5f610e3b565b6001600160a01b0381165f90815260036020526040902080545f190190555b6001600160a01b03851615610996576001600160a01b0385165f908152600360205260409020805460010190555b5f8481526002602052604080822080546001600160a01b0319166001600160a01b0389811691821790925591518793918516917fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef91a4949350505050565b5f6001600160a01b03831615801590610a505750826001600160a01b0316846001600160a01b03161480610a2d5750610a2d8484610810565b80610a5057505f828152600460205260409020546001600160a01b038481169116145b949350505050565b600680546001600160a01b038381166001600160a01b0319831681179093556040519116919082907f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0905f90a35050565b5f610ab55f835f610902565b90506001600160a01b03811661048e57604051637e27328960e01b815260048101839052602401610554565b6001600160a01b038316610b0a5760405163a9fbf51f60e01b81525f6004820152602401610554565b6001600160a01b038216610b3c57604051630b61174360e31b81526001600160a01b0383166004820152602401610554565b6001600160a01b038381165f81815260056020908152604080832094871680845294825291829020805460ff191686151590811790915591519182527f17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c31910160405180910390a3505050565b6001600160a01b0383163b15610cc957604051630a85bd0160e11b81526001600160a01b0384169063150b7a0290610bea908890889087908790600401611954565b6020604051808303815f875af1925050508015610c24575060408051601f3d908101601f19168201909252610c2191810190611990565b60015b610c8b573d808015610c51576040519150601f19603f3d011682016040523d82523d5f602084013e610c56565b606091505b5080515f03610c8357604051633250574960e11b81526001600160a01b0385166004820152602401610554565b805160208201fd5b6001600160e01b03198116630a85bd0160e11b14610cc757604051633250574960e11b81526001600160a01b0385166004820152602401610554565b505b5050505050565b60605f610cdc83610fba565b60010190505f8167ffffffffffffffff811115610cfb57610cfb61158e565b6040519080825280601f01601f191660200182016040528015610d25576020820181803683370190505b5090508181016020015b5f19016f181899199a1a9b1b9c1cb0b131b232b360811b600a86061a8153600a8504945084610d2f57509392505050565b6060610d8b7f0000000000000000000000000000000000000000000000000000000000000000611091565b8351610d9690610cd0565b610da38560200151610cd0565b84610dcb576040518060400160405280600581526020016466616c736560d81b815250610de9565b604051806040016040528060048152602001637472756560e01b8152505b610df68760400151611091565b610e038860600151610cd0565b604051602001610e18969594939291906119ab565b604051602081830303815290604052905092915050565b60606103c7825f6110a7565b8080610e4f57506001600160a01b03821615155b15610f10575f610e5e84610877565b90506001600160a01b03831615801590610e8a5750826001600160a01b0316816001600160a01b031614155b8015610e9d5750610e9b8184610810565b155b15610ec65760405163a9fbf51f60e01b81526001600160a01b0384166004820152602401610554565b8115610f0e5783856001600160a01b0316826001600160a01b03167f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b92560405160405180910390a45b505b50505f90815260046020526040902080546001600160a01b0319166001600160a01b0392909216919091179055565b610f498383611226565b610600335f858585610ba8565b610f618383836109f4565b610600576001600160a01b038316610f8f57604051637e27328960e01b815260048101829052602401610554565b60405163177e802f60e01b81526001600160a01b038316600482015260248101829052604401610554565b5f8072184f03e93ff9f4daa797ed6e38ed64bf6a1f0160401b8310610ff85772184f03e93ff9f4daa797ed6e38ed64bf6a1f0160401b830492506040015b6d04ee2d6d415b85acef81000000008310611024576d04ee2d6d415b85acef8100000000830492506020015b662386f26fc10000831061104257662386f26fc10000830492506010015b6305f5e100831061105a576305f5e100830492506008015b612710831061106e57612710830492506004015b60648310611080576064830492506002015b600a83106103c75760010192915050565b60606103c76001600160a01b0383166014611287565b606082515f036110c5575060408051602081019091525f81526103c7565b5f826110f5576003845160026110db91906116fc565b6110e59190611a85565b6110f0906004611aa4565b61111a565b6003845160046111059190611aa4565b6111109060026116fc565b61111a9190611a85565b905060405191507f4142434445464748494a4b4c4d4e4f505152535455565758595a616263646566601f5261067083027f6768696a6b6c6d6e6f707172737475767778797a303132333435363738392b2f18603f526020820181810185865187016020810180515f82525b828410156111d8576003840193508351603f8160121c16518753600187019650603f81600c1c16518753600187019650603f8160061c16518753600187019650603f811651875350600186019550611185565b905250859050611219576003865106600181146111fc576002811461120f57611217565b603d6001840353603d6002840353611217565b603d60018403535b505b9183525060405292915050565b6001600160a01b03821661124f57604051633250574960e11b81525f6004820152602401610554565b5f61125b83835f610902565b90506001600160a01b03811615610600576040516339e3563760e11b81525f6004820152602401610554565b6060825f611296846002611aa4565b6112a19060026116fc565b67ffffffffffffffff8111156112b9576112b961158e565b6040519080825280601f01601f1916602001820160405280156112e3576020820181803683370190505b509050600360fc1b815f815181106112fd576112fd611abb565b60200101906001600160f81b03191690815f1a905350600f60fb1b8160018151811061132b5761132b611abb565b60200101906001600160f81b03191690815f1a9053505f61134d856002611aa4565b6113589060016116fc565b90505b60018111156113cf576f181899199a1a9b1b9c1cb0b131b232b360811b83600f166010811061138c5761138c611abb565b1a60f81b8282815181106113a2576113a2611abb565b60200101906001600160f81b03191690815f1a90535060049290921c916113c881611acf565b905061135b565b508115610a505760405163e22e27eb60e01b81526004810186905260248101859052604401610554565b6001600160e01b0319811681146106a5575f5ffd5b5f6020828403121561141e575f5ffd5b81356105df816113f9565b5f81518084528060208401602086015e5f602082860101526020601f19601f83011685010191505092915050565b602081525f6105df6020830184611429565b5f60208284031215611479575f5ffd5b5035919050565b80356001600160a01b0381168114611496575f5ffd5b919050565b5f5f604083850312156114ac575f5ffd5b6114b583611480565b946020939093013593505050565b5f5f5f5f608085870312156114d6575f5ffd5b6114df85611480565b93506114ed60208601611480565b93969395505050506040820135916060013590565b5f5f5f60608486031215611514575f5ffd5b61151d84611480565b925061152b60208501611480565b929592945050506040919091013590565b5f6020828403121561154c575f5ffd5b6105df82611480565b5f5f60408385031215611566575f5ffd5b61156f83611480565b915060208301358015158114611583575f5ffd5b809150509250929050565b634e487b7160e01b5f52604160045260245ffd5b5f5f5f5f608085870312156115b5575f5ffd5b6115be85611480565b93506115cc60208601611480565b925060408501359150606085013567ffffffffffffffff8111156115ee575f5ffd5b8501601f810187136115fe575f5ffd5b803567ffffffffffffffff8111156116185761161861158e565b604051601f8201601f19908116603f0116810167ffffffffffffffff811182821017156116475761164761158e565b60405281815282820160200189101561165e575f5ffd5b816020840160208301375f6020838301015280935050505092959194509250565b5f5f60408385031215611690575f5ffd5b61169983611480565b91506116a760208401611480565b90509250929050565b600181811c908216806116c457607f821691505b6020821081036116e257634e487b7160e01b5f52602260045260245ffd5b50919050565b634e487b7160e01b5f52601160045260245ffd5b808201808211156103c7576103c76116e8565b5f81518060208401855e5f93019283525090919050565b683d913730b6b2911d1160b91b81525f611743600983018a61170f565b61202360f01b8152611758600282018a61170f565b90507f222c226465736372697074696f6e223a22436c61696d206f6e20000000000000815261178a601a82018961170f565b7f20756e697473206f6620746865207374616b65642061737365742c207265646581527f656d61626c6520617420746865207661756c74206f6e6365206d6174757265646020820152620b888b60ea1b604082015290506117ee604382018861170f565b6e2c2261747472696275746573223a5b60881b815290507f7b2274726169745f74797065223a226173736574734f776564222c2264697370600f8201527f6c61795f74797065223a226e756d626572222c2276616c7565223a0000000000602f82015261185e604a82018761170f565b611f4b60f21b815290507f7b2274726169745f74797065223a22617661696c61626c654174222c2264697360028201527f706c61795f74797065223a2264617465222c2276616c7565223a00000000000060228201526118c1603c82018661170f565b611f4b60f21b815290507f7b2274726169745f74797065223a226d617475726564222c2276616c7565223a6002820152601160f91b6022820152611908602382018561170f565b63227d5d7d60e01b81526004019a9950505050505050505050565b7f646174613a6170706c69636174696f6e2f6a736f6e3b6261736536342c00000081525f6105df601d83018461170f565b6001600160a01b03858116825284166020820152604081018390526080606082018190525f9061198690830184611429565b9695505050505050565b5f602082840312156119a0575f5ffd5b81516105df816113f9565b681130b9b9b2ba111d1160b91b81525f6119c8600983018961170f565b6f11161130b9b9b2ba39a7bbb2b2111d1160811b81526119eb601082018961170f565b6f11161130bb30b4b630b13632a0ba111d60811b81529050611a10601082018861170f565b6a161136b0ba3ab932b2111d60a91b81529050611a30600b82018761170f565b6d16113932b8bab2b9ba32b9111d1160911b81529050611a53600e82018661170f565b6f1116113932b8bab2b9ba32b220ba111d60811b81529050611a78601082018561170f565b9998505050505050505050565b5f82611a9f57634e487b7160e01b5f52601260045260245ffd5b500490565b80820281158282048414176103c7576103c76116e8565b634e487b7160e01b5f52603260045260245ffd5b5f81611add57611add6116e8565b505f19019056fea2646970667358221220210300e83e5edbb7d398d42adac39eaf6443b7d624c2d8f5a1d17add0359c12d64736f6c634300081c0033";
   readonly linkReferences: {};
   readonly deployedLinkReferences: {};
-  readonly immutableReferences: {};
+  readonly immutableReferences: {"18234":[{"length":32,"start":511},{"length":32,"start":3431}]};
   readonly inputSourceName: "project/contracts/LiquidStakingVault.sol";
-  readonly buildInfoId: "solc-0_8_28-88905df3f8e07b92ca7c6c093b89d9af3b3b0c73";
+  readonly buildInfoId: "solc-0_8_28-debf001a747bb84bdab5527f26194d82188e0109";
 };
 
 import "hardhat/types/artifacts";
@@ -0,0 +1,27 @@
+// This file was autogenerated by Hardhat, do not edit it.
+// prettier-ignore
+// tslint:disable
+// eslint-disable
+// biome-ignore format: see above
+
+export interface MockMessenger$Type {
+  readonly _format: "hh3-artifact-1";
+  readonly contractName: "MockMessenger";
+  readonly sourceName: "contracts/MockMessenger.sol";
+  readonly abi: [{"inputs":[{"internalType":"address","name":"_relayer","type":"address"}],"stateMutability":"nonpayable","type":"constructor"},{"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"OwnableInvalidOwner","type":"error"},{"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"OwnableUnauthorizedAccount","type":"error"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"messageId","type":"bytes32"},{"indexed":true,"internalType":"uint256","name":"sourceChainId","type":"uint256"},{"indexed":true,"internalType":"address","name":"target","type":"address"}],"name":"MessageRelayed","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"messageId","type":"bytes32"},{"indexed":true,"internalType":"uint256","name":"destinationChainId","type":"uint256"},{"indexed":true,"internalType":"address","name":"sender","type":"address"},{"indexed":false,"internalType":"address","name":"target","type":"address"},{"indexed":false,"internalType":"bytes","name":"message","type":"bytes"},{"indexed":false,"internalType":"uint256","name":"nonce","type":"uint256"}],"name":"MessageSent","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"oldRelayer","type":"address"},{"indexed":true,"internalType":"address","name":"newRelayer","type":"address"}],"name":"RelayerUpdated","type":"event"},{"inputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"name":"delivered","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"nonce","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"bytes32","name":"messageId","type":"bytes32"},{"internalType":"uint256","name":"sourceChainId","type":"uint256"},{"internalType":"address","name":"sender","type":"address"},{"internalType":"address","name":"target","type":"address"},{"internalType":"bytes","name":"message","type":"bytes"}],"name":"relayMessage","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"relayer","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"destinationChainId","type":"uint256"},{"internalType":"address","name":"target","type":"address"},{"internalType":"bytes","name":"message","type":"bytes"}],"name":"sendMessage","outputs":[{"internalType":"bytes32","name":"messageId","type":"bytes32"}],"stateMutability":"payable","type":"function"},{"inputs":[{"internalType":"address","name":"_relayer","type":"address"}],"name":"setRelayer","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"}];
+  readonly bytecode: "0x608060405234801561000f575f5ffd5b5060405161083538038061083583398101604081905261002e916100d1565b338061005357604051631e4fbdf760e01b81525f600482015260240160405180910390fd5b61005c81610082565b50600180546001600160a01b0319166001600160a01b03929092169190911790556100fe565b5f80546001600160a01b038381166001600160a01b0319831681178455604051919092169283917f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e09190a35050565b5f602082840312156100e1575f5ffd5b81516001600160a01b03811681146100f7575f5ffd5b9392505050565b61072a8061010b5f395ff3fe608060405260043610610084575f3560e01c80638da5cb5b116100575780638da5cb5b1461011a578063affed0e014610136578063c7b792a21461014b578063e495f1d41461016a578063f2fde38b146101a8575f5ffd5b80636548e9bc146100885780637056f41f146100a9578063715018a6146100cf5780638406c079146100e3575b5f5ffd5b348015610093575f5ffd5b506100a76100a23660046104fa565b6101c7565b005b6100bc6100b736600461055f565b61022a565b6040519081526020015b60405180910390f35b3480156100da575f5ffd5b506100a76102bd565b3480156100ee575f5ffd5b50600154610102906001600160a01b031681565b6040516001600160a01b0390911681526020016100c6565b348015610125575f5ffd5b505f546001600160a01b0316610102565b348015610141575f5ffd5b506100bc60025481565b348015610156575f5ffd5b506100a76101653660046105b5565b6102d0565b348015610175575f5ffd5b50610198610184366004610628565b60036020525f908152604090205460ff1681565b60405190151581526020016100c6565b3480156101b3575f5ffd5b506100a76101c23660046104fa565b610427565b6101cf610464565b6001546040516001600160a01b038084169216907f605ca4e43489fb38b91aa63dd9147cd3847957694b080b9285ec898b34269f0c905f90a3600180546001600160a01b0319166001600160a01b0392909216919091179055565b600254604080514660208083019190915230828401526060808301859052835180840390910181526080909201928390528151910120913391879184917f9646e77afa4fda0ea32211a98300e120596319123043b38d3c0851e9115853ea91610299918a918a918a9190610667565b60405180910390a460028054905f6102b08361069c565b9190505550949350505050565b6102c5610464565b6102ce5f610490565b565b6001546001600160a01b0316331461031e5760405162461bcd60e51b815260206004820152600c60248201526b37b7363c903932b630bcb2b960a11b60448201526064015b60405180910390fd5b5f8681526003602052604090205460ff16156103705760405162461bcd60e51b8152602060048201526011602482015270185b1c9958591e4819195b1a5d995c9959607a1b6044820152606401610315565b5f8681526003602052604090819020805460ff1916600117905551631885c2f960e01b81526001600160a01b03841690631885c2f9906103ba9088908890879087906004016106c0565b5f604051808303815f87803b1580156103d1575f5ffd5b505af11580156103e3573d5f5f3e3d5ffd5b50505050826001600160a01b031685877f6d1109756b3d9cfd2f1186786477158011feb2a079b4f08ae9c38b811046fc0760405160405180910390a4505050505050565b61042f610464565b6001600160a01b03811661045857604051631e4fbdf760e01b81525f6004820152602401610315565b61046181610490565b50565b5f546001600160a01b031633146102ce5760405163118cdaa760e01b8152336004820152602401610315565b5f80546001600160a01b038381166001600160a01b0319831681178455604051919092169283917f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e09190a35050565b80356001600160a01b03811681146104f5575f5ffd5b919050565b5f6020828403121561050a575f5ffd5b610513826104df565b9392505050565b5f5f83601f84011261052a575f5ffd5b50813567ffffffffffffffff811115610541575f5ffd5b602083019150836020828501011115610558575f5ffd5b9250929050565b5f5f5f5f60608587031215610572575f5ffd5b84359350610582602086016104df565b9250604085013567ffffffffffffffff81111561059d575f5ffd5b6105a98782880161051a565b95989497509550505050565b5f5f5f5f5f5f60a087890312156105ca575f5ffd5b86359550602087013594506105e1604088016104df565b93506105ef606088016104df565b9250608087013567ffffffffffffffff81111561060a575f5ffd5b61061689828a0161051a565b979a9699509497509295939492505050565b5f60208284031215610638575f5ffd5b5035919050565b81835281816020850137505f828201602090810191909152601f909101601f19169091010190565b6001600160a01b03851681526060602082018190525f9061068b908301858761063f565b905082604083015295945050505050565b5f600182016106b957634e487b7160e01b5f52601160045260245ffd5b5060010190565b8481526001600160a01b03841660208201526060604082018190525f906106ea908301848661063f565b969550505050505056fea26469706673582212206862368057682f4ccff8f367d764eaaf241490c8656878ec45f5134722b3ebe464736f6c634300081c0033";
+  readonly deployedBytecode: "0x608060405260043610610084575f3560e01c80638da5cb5b116100575780638da5cb5b1461011a578063affed0e014610136578063c7b792a21461014b578063e495f1d41461016a578063f2fde38b146101a8575f5ffd5b80636548e9bc146100885780637056f41f146100a9578063715018a6146100cf5780638406c079146100e3575b5f5ffd5b348015610093575f5ffd5b506100a76100a23660046104fa565b6101c7565b005b6100bc6100b736600461055f565b61022a565b6040519081526020015b60405180910390f35b3480156100da575f5ffd5b506100a76102bd565b3480156100ee575f5ffd5b50600154610102906001600160a01b031681565b6040516001600160a01b0390911681526020016100c6565b348015610125575f5ffd5b505f546001600160a01b0316610102565b348015610141575f5ffd5b506100bc60025481565b348015610156575f5ffd5b506100a76101653660046105b5565b6102d0565b348015610175575f5ffd5b50610198610184366004610628565b60036020525f908152604090205460ff1681565b60405190151581526020016100c6565b3480156101b3575f5ffd5b506100a76101c23660046104fa565b610427565b6101cf610464565b6001546040516001600160a01b038084169216907f605ca4e43489fb38b91aa63dd9147cd3847957694b080b9285ec898b34269f0c905f90a3600180546001600160a01b0319166001600160a01b0392909216919091179055565b600254604080514660208083019190915230828401526060808301859052835180840390910181526080909201928390528151910120913391879184917f9646e77afa4fda0ea32211a98300e120596319123043b38d3c0851e9115853ea91610299918a918a918a9190610667565b60405180910390a460028054905f6102b08361069c565b9190505550949350505050565b6102c5610464565b6102ce5f610490565b565b6001546001600160a01b0316331461031e5760405162461bcd60e51b815260206004820152600c60248201526b37b7363c903932b630bcb2b960a11b60448201526064015b60405180910390fd5b5f8681526003602052604090205460ff16156103705760405162461bcd60e51b8152602060048201526011602482015270185b1c9958591e4819195b1a5d995c9959607a1b6044820152606401610315565b5f8681526003602052604090819020805460ff1916600117905551631885c2f960e01b81526001600160a01b03841690631885c2f9906103ba9088908890879087906004016106c0565b5f604051808303815f87803b1580156103d1575f5ffd5b505af11580156103e3573d5f5f3e3d5ffd5b50505050826001600160a01b031685877f6d1109756b3d9cfd2f1186786477158011feb2a079b4f08ae9c38b811046fc0760405160405180910390a4505050505050565b61042f610464565b6001600160a01b03811661045857604051631e4fbdf760e01b81525f6004820152602401610315565b61046181610490565b50565b5f546001600160a01b031633146102ce5760405163118cdaa760e01b8152336004820152602401610315565b5f80546001600160a01b038381166001600160a01b0319831681178455604051919092169283917f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e09190a35050565b80356001600160a01b03811681146104f5575f5ffd5b919050565b5f6020828403121561050a575f5ffd5b610513826104df565b9392505050565b5f5f83601f84011261052a575f5ffd5b50813567ffffffffffffffff811115610541575f5ffd5b602083019150836020828501011115610558575f5ffd5b9250929050565b5f5f5f5f60608587031215610572575f5ffd5b84359350610582602086016104df565b9250604085013567ffffffffffffffff81111561059d575f5ffd5b6105a98782880161051a565b95989497509550505050565b5f5f5f5f5f5f60a087890312156105ca575f5ffd5b86359550602087013594506105e1604088016104df565b93506105ef606088016104df565b9250608087013567ffffffffffffffff81111561060a575f5ffd5b61061689828a0161051a565b979a9699509497509295939492505050565b5f60208284031215610638575f5ffd5b5035919050565b81835281816020850137505f828201602090810191909152601f909101601f19169091010190565b6001600160a01b03851681526060602082018190525f9061068b908301858761063f565b905082604083015295945050505050565b5f600182016106b957634e487b7160e01b5f52601160045260245ffd5b5060010190565b8481526001600160a01b03841660208201526060604082018190525f906106ea908301848661063f565b969550505050505056fea26469706673582212206862368057682f4ccff8f367d764eaaf241490c8656878ec45f5134722b3ebe464736f6c634300081c0033";
+  readonly linkReferences: {};
+  readonly deployedLinkReferences: {};
+  readonly immutableReferences: {};
+  readonly inputSourceName: "project/contracts/MockMessenger.sol";
+  readonly buildInfoId: "solc-0_8_28-debf001a747bb84bdab5527f26194d82188e0109";
+};
+
+import "hardhat/types/artifacts";
+declare module "hardhat/types/artifacts" {
+  interface ArtifactMap {
+    ["MockMessenger"]: MockMessenger$Type;
+    ["contracts/MockMessenger.sol:MockMessenger"]: MockMessenger$Type;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,27 @@
+// This file was autogenerated by Hardhat, do not edit it.
+// prettier-ignore
+// tslint:disable
+// eslint-disable
+// biome-ignore format: see above
+
+export interface RelayerSet$Type {
+  readonly _format: "hh3-artifact-1";
+  readonly contractName: "RelayerSet";
+  readonly sourceName: "contracts/RelayerSet.sol";
+  readonly abi: [{"anonymous":false,"inputs":[{"indexed":false,"internalType":"address[]","name":"relayers","type":"address[]"},{"indexed":false,"internalType":"uint256","name":"threshold","type":"uint256"}],"name":"RelayerSetUpdated","type":"event"},{"inputs":[],"name":"getRelayers","outputs":[{"internalType":"address[]","name":"","type":"address[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"isRelayer","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"threshold","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"}];
+  readonly bytecode: "0x";
+  readonly deployedBytecode: "0x";
+  readonly linkReferences: {};
+  readonly deployedLinkReferences: {};
+  readonly immutableReferences: {};
+  readonly inputSourceName: "project/contracts/RelayerSet.sol";
+  readonly buildInfoId: "solc-0_8_28-debf001a747bb84bdab5527f26194d82188e0109";
+};
+
+import "hardhat/types/artifacts";
+declare module "hardhat/types/artifacts" {
+  interface ArtifactMap {
+    ["RelayerSet"]: RelayerSet$Type;
+    ["contracts/RelayerSet.sol:RelayerSet"]: RelayerSet$Type;
+  }
+}
\ No newline at end of file
@@ -5,21 +5,37 @@ pragma solidity ^0.8.28;
 GovernanceExecutor.sol
 
 Responsibilities:
-- Accept a relayer attestation that a proposal passed on the verifier chain (markProposalPassed).
+- Accept an M-of-N relayer attestation that a proposal passed on the verifier chain (markProposalPassed)
+  and queue it with eta = now + minDelay.
+  Each relayer signs an EIP-712 ProposalOutcome(proposalId, actionDataHash, sourceChainId, verifier) off-chain;
+  anyone can submit `threshold` of those signatures, so a single leaked relayer key cannot attest on its own.
+- Alternatively accept the outcome from a configured cross-chain messenger (receiveMessage), sent by the
+  VoteVerifier's messenger hook. Both paths queue the proposal the same way.
+  The messenger is set at deployment; afterwards it, the publisher, the relayer set, the delay and the guardian
+  only change through an executed proposal, so no admin key can attest outcomes, swap the actionDataHash source
+  or skip the timelock. The executor has no owner.
+- Let the guardian cancel a queued proposal before it runs.
 - Execute the action committed earlier on GovernanceRootPublisher if:
-  1) the relayer attested the proposal passed,
-  2) the provided actionData matches the previously published actionDataHash,
-  3) the proposal hasn't been executed before.
+  1) the relayers attested the proposal passed and it was not canceled,
+  2) eta has been reached and eta + GRACE_PERIOD has not passed,
+  3) the provided actionData matches the previously published actionDataHash,
+  4) the proposal hasn't been executed before.
+
+Lifecycle: None -> Queued -> Ready -> Executed, or -> Canceled (guardian) / Expired (grace period over).
+The delay gives the guardian time to veto a bad attestation from compromised relayers.
 
 ActionData format:
-abi.encode(address target, bytes data)
+abi.encode(Call[] calls) with Call = (address target, uint256 value, bytes data)
 
-This allows executing arbitrary encoded calls on the `target` contract (for example, vault.setUnbondingPeriod(...)).
-Use with caution — ensure actions are safe and the relayer is trusted (or replaced with stronger attestation).
+The calls run in order and atomically: if any call reverts, its revert reason is bubbled up and nothing is executed.
+ETH for `value` comes from msg.value or from the executor's balance.
+This allows executing arbitrary encoded calls (for example, vault.setUnbondingPeriod(...)).
 */
 
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./ICrossChainMessenger.sol";
+import "./RelayerSet.sol";
 
 interface IGovernanceRootPublisher {
     // getProposalCore returns:
@@ -38,91 +54,262 @@ interface IGovernanceRootPublisher {
         );
 }
 
-contract GovernanceExecutor is Ownable, ReentrancyGuard {
+contract GovernanceExecutor is IMessageReceiver, RelayerSet, ReentrancyGuard {
+    enum ExecutionState {
+        None,
+        Queued,
+        Ready,
+        Executed,
+        Canceled,
+        Expired
+    }
+
+    struct Call {
+        address target;
+        uint256 value;
+        bytes data;
+    }
+
+    // EIP-712 domain (Chain A)
+    string public constant NAME = "LST Governance Executor";
+    string public constant VERSION = "1";
+    bytes32 public immutable DOMAIN_SEPARATOR;
+
+    bytes32 public constant PROPOSAL_OUTCOME_TYPEHASH =
+        keccak256("ProposalOutcome(uint256 proposalId,bytes32 actionDataHash,uint256 sourceChainId,address verifier)");
+
     IGovernanceRootPublisher public governancePublisher;
 
-    // Authorized relayer address (off-chain service)
-    address public relayer;
+    // VoteVerifier whose outcomes relayers attest to (Chain B)
+    uint256 public immutable sourceChainId;
+    address public immutable verifier;
+
+    // Destination messenger allowed to deliver outcomes from `verifier` (zero = relayer signatures only)
+    address public messenger;
 
-    // proposalId => attested (true if relayer observed ProposalPassed and called markProposalPassed)
+    // proposalId => attested (true once threshold relayers signed its ProposalPassed outcome
+    // or the messenger delivered it)
     mapping(uint256 => bool) public attestedPassed;
 
     // proposalId => executed
     mapping(uint256 => bool) public executed;
 
-    event RelayerUpdated(address indexed oldRelayer, address indexed newRelayer);
+    // proposalId => earliest execution timestamp (0 if never queued)
+    mapping(uint256 => uint256) public eta;
+
+    // proposalId => canceled by the guardian
+    mapping(uint256 => bool) public canceled;
+
+    // proposalId => expiry recorded via expire()
+    mapping(uint256 => bool) public expired;
+
+    // A queued proposal must be executed within GRACE_PERIOD after its eta
+    uint256 public constant GRACE_PERIOD = 14 days;
+    uint256 public constant MAXIMUM_DELAY = 30 days;
+
+    // Delay between attestation and earliest execution
+    uint256 public minDelay;
+
+    // Can cancel queued proposals
+    address public guardian;
+
     event GovernancePublisherUpdated(address indexed oldPub, address indexed newPub);
-    event ProposalAttested(uint256 indexed proposalId, bytes32 actionDataHash, address indexed attestedBy);
-    event Executed(uint256 indexed proposalId, address indexed target, bytes result);
+    event ProposalAttested(uint256 indexed proposalId, bytes32 actionDataHash, address indexed submittedBy);
+    event MessengerUpdated(address indexed oldMessenger, address indexed newMessenger);
+    event ProposalQueued(uint256 indexed proposalId, uint256 eta);
+    event ProposalCanceled(uint256 indexed proposalId, address indexed canceledBy);
+    event ProposalExpired(uint256 indexed proposalId);
+    event MinDelayUpdated(uint256 oldDelay, uint256 newDelay);
+    event GuardianUpdated(address indexed oldGuardian, address indexed newGuardian);
+    /// @notice Emitted once per call of an executed proposal, in order (`index` = position in the Call array).
+    event Executed(uint256 indexed proposalId, uint256 indexed index, address indexed target, uint256 value, bytes result);
+
+    /// @dev The executor itself, i.e. an executed proposal that calls back into it.
+    modifier onlyGovernance() {
+        require(msg.sender == address(this), "only governance");
+        _;
+    }
 
-    constructor(address _governancePublisher, address _relayer) Ownable(msg.sender) {
+    /// @param _sourceChainId chain id of the verifier chain (Chain B)
+    /// @param _verifier VoteVerifier on the verifier chain
+    /// @param _relayersInit initial relayer set
+    /// @param _threshold signatures needed per attestation
+    /// @param _messenger destination messenger delivering outcomes from `_verifier` (zero = relayer signatures only)
+    constructor(
+        address _governancePublisher,
+        uint256 _sourceChainId,
+        address _verifier,
+        address[] memory _relayersInit,
+        uint256 _threshold,
+        address _guardian,
+        uint256 _minDelay,
+        address _messenger
+    ) {
         require(_governancePublisher != address(0), "publisher=0");
+        require(_verifier != address(0), "verifier=0");
+        require(_minDelay <= MAXIMUM_DELAY, "delay too long");
         governancePublisher = IGovernanceRootPublisher(_governancePublisher);
-        relayer = _relayer;
+        sourceChainId = _sourceChainId;
+        verifier = _verifier;
+        guardian = _guardian;
+        minDelay = _minDelay;
+        messenger = _messenger;
+        _setRelayers(_relayersInit, _threshold);
+
+        DOMAIN_SEPARATOR = keccak256(
+            abi.encode(
+                keccak256(
+                    "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+                ),
+                keccak256(bytes(NAME)),
+                keccak256(bytes(VERSION)),
+                block.chainid,
+                address(this)
+            )
+        );
     }
 
-    /// @notice Owner can update the relayer address
-    function setRelayer(address _relayer) external onlyOwner {
-        emit RelayerUpdated(relayer, _relayer);
-        relayer = _relayer;
+    /// @notice Replace the relayer set and threshold (a governance proposal targeting the executor).
+    function setRelayers(address[] calldata newRelayers, uint256 newThreshold) external onlyGovernance {
+        _setRelayers(newRelayers, newThreshold);
     }
 
-    /// @notice Owner can update the governance publisher address (emergency/admin)
-    function setGovernancePublisher(address _publisher) external onlyOwner {
+    /// @notice Accept outcomes delivered by `_messenger` (a governance proposal). address(0) disables it.
+    function setMessenger(address _messenger) external onlyGovernance {
+        emit MessengerUpdated(messenger, _messenger);
+        messenger = _messenger;
+    }
+
+    /// @notice Replace the publisher whose actionDataHash proposals execute against. Only through an executed proposal.
+    function setGovernancePublisher(address _publisher) external onlyGovernance {
         require(_publisher != address(0), "publisher=0");
         emit GovernancePublisherUpdated(address(governancePublisher), _publisher);
         governancePublisher = IGovernanceRootPublisher(_publisher);
     }
 
-    /// @notice Called by the relayer after observing ProposalPassed on the verifier chain.
+    /// @notice Replace the guardian. Only through an executed proposal, so the timelock cannot be bypassed.
+    function setGuardian(address _guardian) external onlyGovernance {
+        emit GuardianUpdated(guardian, _guardian);
+        guardian = _guardian;
+    }
+
+    /// @notice Delay applied to proposals queued from now on. Only through an executed proposal.
+    function setMinDelay(uint256 _minDelay) external onlyGovernance {
+        require(_minDelay <= MAXIMUM_DELAY, "delay too long");
+        emit MinDelayUpdated(minDelay, _minDelay);
+        minDelay = _minDelay;
+    }
+
+    /// @notice EIP-712 digest a relayer signs to attest that `proposalId` passed on the verifier chain.
+    function proposalOutcomeDigest(uint256 proposalId, bytes32 actionDataHash) public view returns (bytes32) {
+        bytes32 structHash = keccak256(
+            abi.encode(PROPOSAL_OUTCOME_TYPEHASH, proposalId, actionDataHash, sourceChainId, verifier)
+        );
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash));
+    }
+
+    /// @notice Submit relayer signatures over the ProposalOutcome observed on the verifier chain. Callable by anyone.
+    /// Queues the proposal; it becomes executable after minDelay.
     /// @param proposalId Proposal identifier.
     /// @param actionDataHash The actionDataHash observed in the ProposalPassed event (for safety/consistency).
-    function markProposalPassed(uint256 proposalId, bytes32 actionDataHash) external {
-        require(msg.sender == relayer, "only relayer");
+    /// @param signatures At least `threshold` relayer signatures, ordered by strictly ascending signer address.
+    function markProposalPassed(uint256 proposalId, bytes32 actionDataHash, bytes[] calldata signatures) external {
         require(!attestedPassed[proposalId], "already attested");
+        _checkSignatures(proposalOutcomeDigest(proposalId, actionDataHash), signatures);
+        _queue(proposalId, actionDataHash);
+    }
+
+    /// @notice Messenger path: `message` = abi.encode(proposalId, actionDataHash) sent by the VoteVerifier.
+    function receiveMessage(uint256 _sourceChainId, address sender, bytes calldata message) external override {
+        require(messenger != address(0) && msg.sender == messenger, "only messenger");
+        require(_sourceChainId == sourceChainId && sender == verifier, "unknown message sender");
+        (uint256 proposalId, bytes32 actionDataHash) = abi.decode(message, (uint256, bytes32));
+        // Relayers may have attested first; a late delivery is not an error for the bridge
+        if (attestedPassed[proposalId]) return;
+        _queue(proposalId, actionDataHash);
+    }
 
+    /// @dev Record an attested outcome and queue the proposal behind the timelock.
+    function _queue(uint256 proposalId, bytes32 actionDataHash) internal {
         // Optionally, sanity-check: the stored actionDataHash in GovernanceRootPublisher should match provided hash.
         // We call governancePublisher.getProposalCore, which reverts if proposal not published.
         (, bytes32 storedHash, , , , , ) = governancePublisher.getProposalCore(proposalId);
         require(storedHash == actionDataHash, "actionDataHash mismatch with publisher");
 
         attestedPassed[proposalId] = true;
+        uint256 proposalEta = block.timestamp + minDelay;
+        eta[proposalId] = proposalEta;
         emit ProposalAttested(proposalId, actionDataHash, msg.sender);
+        emit ProposalQueued(proposalId, proposalEta);
+    }
+
+    /// @notice Guardian veto: cancel a queued proposal that has not been executed.
+    function cancel(uint256 proposalId) external {
+        require(msg.sender == guardian, "only guardian");
+        ExecutionState s = state(proposalId);
+        require(s == ExecutionState.Queued || s == ExecutionState.Ready, "not queued");
+        canceled[proposalId] = true;
+        emit ProposalCanceled(proposalId, msg.sender);
+    }
+
+    /// @notice Record that a proposal missed its grace period. Permissionless; only emits ProposalExpired once.
+    function expire(uint256 proposalId) external {
+        require(state(proposalId) == ExecutionState.Expired, "not expired");
+        require(!expired[proposalId], "already expired");
+        expired[proposalId] = true;
+        emit ProposalExpired(proposalId);
+    }
+
+    /// @notice Current timelock state of a proposal.
+    function state(uint256 proposalId) public view returns (ExecutionState) {
+        if (!attestedPassed[proposalId]) return ExecutionState.None;
+        if (executed[proposalId]) return ExecutionState.Executed;
+        if (canceled[proposalId]) return ExecutionState.Canceled;
+        uint256 proposalEta = eta[proposalId];
+        if (block.timestamp < proposalEta) return ExecutionState.Queued;
+        if (block.timestamp > proposalEta + GRACE_PERIOD) return ExecutionState.Expired;
+        return ExecutionState.Ready;
     }
 
     /// @notice Execute the action if the proposal was attested as passed and actionData matches the committed hash.
     /// @param proposalId Proposal identifier
-    /// @param actionData abi.encode(address target, bytes data)
-    function executeIfAuthorized(uint256 proposalId, bytes calldata actionData) external nonReentrant returns (bytes memory) {
-        require(attestedPassed[proposalId], "proposal not attested as passed");
-        require(!executed[proposalId], "already executed");
+    /// @param actionData abi.encode(Call[] calls)
+    /// @return results Return data of each call, in order.
+    function executeIfAuthorized(uint256 proposalId, bytes calldata actionData)
+        external
+        payable
+        nonReentrant
+        returns (bytes[] memory results)
+    {
+        ExecutionState s = state(proposalId);
+        require(s != ExecutionState.None, "proposal not attested as passed");
+        require(s != ExecutionState.Executed, "already executed");
+        require(s != ExecutionState.Canceled, "proposal canceled");
+        require(s != ExecutionState.Queued, "timelock not elapsed");
+        require(s != ExecutionState.Expired, "proposal expired");
 
         // Fetch committed action data hash from publisher
         (, bytes32 storedHash, , , , , ) = governancePublisher.getProposalCore(proposalId);
         bytes32 providedHash = keccak256(actionData);
         require(storedHash == providedHash, "actionData hash mismatch");
 
-        // Decode actionData: (address target, bytes data)
-        (address target, bytes memory data) = abi.decode(actionData, (address, bytes));
-
-        require(target != address(0), "invalid target");
-
-        // Execute low-level call
-        (bool ok, bytes memory result) = target.call(data);
-        require(ok, "execution failed");
+        Call[] memory calls = abi.decode(actionData, (Call[]));
+        require(calls.length > 0, "no calls");
 
         executed[proposalId] = true;
 
-        emit Executed(proposalId, target, result);
-        return result;
+        // Execute calls in order; Address bubbles up the callee's revert reason
+        results = new bytes[](calls.length);
+        for (uint256 i = 0; i < calls.length; ++i) {
+            Call memory c = calls[i];
+            require(c.target != address(0), "invalid target");
+            // raw call rather than functionCallWithValue so plain ETH transfers to EOAs are allowed
+            (bool success, bytes memory returndata) = c.target.call{value: c.value}(c.data);
+            results[i] = Address.verifyCallResult(success, returndata);
+            emit Executed(proposalId, i, c.target, c.value, results[i]);
+        }
     }
 
-    /// @notice Emergency: owner can mark executed or attested flags (only for admin/testing).
-    function adminSetAttested(uint256 proposalId, bool val) external onlyOwner {
-        attestedPassed[proposalId] = val;
-    }
-
-    function adminSetExecuted(uint256 proposalId, bool val) external onlyOwner {
-        executed[proposalId] = val;
-    }
+    /// @notice Accept ETH so proposals can spend from the executor's balance.
+    receive() external payable {}
 }
@@ -5,12 +5,32 @@ pragma solidity ^0.8.28;
 /// @notice Publishes governance proposals on Chain A by storing:
 ///  - actionDataHash (keccak256 of the actionData to be executed later)
 ///  - snapshotBlock (block number used to sample balances)
-///  - ER_snapshot  (exchange rate at snapshot, WAD scaled = 1e18)
+///  - ER_snapshot  (exchange rate at snapshot, WAD scaled = 1e18, read from the vault's checkpoints)
+///  - snapshotStake (assets staked in the vault at snapshot = share supply * ER_snapshot, read from checkpoints)
 ///  - powerRoot    (Merkle root containing per-account voting power for snapshot)
-///  -  metadata ()
-
+///  - metadataHash (keccak256 of the canonical proposal-metadata JSON, see scripts/metadata.js)
+///  - metadata     (where the document is found: an IPFS/HTTP URI, or the JSON document itself)
+/// VoteVerifier on Chain B mirrors published proposals from ProposalCreated (relayer signatures or the
+/// optional messenger hook below) and derives the quorum from snapshotStake. Publishing never calls the
+/// messenger: sendProposal carries a published proposal across and pays the bridge fee, and can be retried.
+///
+/// Only the owner and the proposers it approves (setProposer) may publish: relayers and the messenger carry
+/// whatever powerRoot is published, so an arbitrary caller must not be able to freeze a root of its choosing.
+///
+/// Metadata revisions: the proposer may replace the document with updateMetadata. Every revision is kept in
+/// metadataHistory and announced with the hash it replaces, so the description read at publish time stays
+/// provable and later edits are visible to voters.
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./ICrossChainMessenger.sol";
+
+/// @notice Checkpoints exposed by LiquidStakingVault.
+interface IExchangeRateCheckpoints {
+    function exchangeRateAt(uint256 timepoint) external view returns (uint256);
+    function getPastTotalSupply(uint256 timepoint) external view returns (uint256);
+}
 
-contract GovernanceRootPublisher{
+contract GovernanceRootPublisher is Ownable {
 
     enum ProposalState { Unknown, Published }
 
@@ -19,15 +39,31 @@ contract GovernanceRootPublisher{
         bytes32 actionDataHash; // keccak256(actionData)
         uint256 snapshotBlock; // block number for snapshot
         uint256 ER_snapshot;   // exchange rate at snapshot (WAD-scaled)
+        uint256 snapshotStake; // assets staked in the vault at snapshot
         bytes32 powerRoot;     // merkle root of (account, power, nonce) leaves
-        string metadata;       // optional IPFS/metadata URI
+        string metadata;       // metadata URI or inline JSON document
         uint256 createdAt;     // timestamp of publish
         ProposalState state;
+        bytes32 metadataHash;  // keccak256 of the current metadata document
     }
 
     /// @notice proposalId => Proposal
     mapping(uint256 => Proposal) public proposals;
 
+    // proposalId => metadata hashes, the publish-time one first
+    mapping(uint256 => bytes32[]) private _metadataHistory;
+
+    /// @notice Vault whose exchange-rate checkpoints provide ER_snapshot
+    IExchangeRateCheckpoints public immutable vault;
+
+    /// @notice Accounts allowed to publish proposals besides the owner
+    mapping(address => bool) public isProposer;
+
+    /// @notice Optional messenger that carries new proposals to the VoteVerifier (zero = relayers only)
+    ICrossChainMessenger public messenger;
+    uint256 public destinationChainId;
+    address public destinationVerifier;
+
     /// @notice Emitted when a proposal is published and frozen on-chain.
     event ProposalCreated(
         uint256 indexed proposalId,
@@ -35,36 +71,63 @@ contract GovernanceRootPublisher{
         bytes32 indexed actionDataHash,
         uint256 snapshotBlock,
         uint256 ER_snapshot,
+        uint256 snapshotStake,
         bytes32 powerRoot,
         string metadata,
+        bytes32 metadataHash,
         uint256 createdAt
     );
 
-    /// @notice Emitted when proposer updates metadata (non critical)
-    event ProposalMetadataUpdated(uint256 indexed proposalId, string metadata);
+    /// @notice Emitted when the proposer publishes metadata revision `revision` (1 = first update).
+    event ProposalMetadataUpdated(
+        uint256 indexed proposalId,
+        uint256 revision,
+        bytes32 indexed metadataHash,
+        bytes32 previousHash,
+        string metadata
+    );
+
+    event ProposerUpdated(address indexed account, bool allowed);
+    event MessengerUpdated(address indexed messenger, uint256 destinationChainId, address destinationVerifier);
+    event ProposalSent(uint256 indexed proposalId, bytes32 indexed messageId);
+
+    constructor(address _vault) Ownable(msg.sender) {
+        require(_vault != address(0), "vault=0");
+        vault = IExchangeRateCheckpoints(_vault);
+    }
 
-    constructor() {}
+    /// @notice Allow or disallow `account` to publish proposals.
+    function setProposer(address account, bool allowed) external onlyOwner {
+        require(account != address(0), "proposer=0");
+        isProposer[account] = allowed;
+        emit ProposerUpdated(account, allowed);
+    }
 
-    /// @notice Publish (freeze) a proposal.
+    /// @notice Publish (freeze) a proposal. Only the owner or an approved proposer.
     /// @param proposalId Unique ID for the proposal (must not be used before).
     /// @param actionDataHash keccak256(actionData) - commitment to the execution payload
-    /// @param snapshotBlock Block number at which balances were sampled for the Merkle leaves
-    /// @param ER_snapshot Exchange rate at snapshot (WAD scaled, 1e18). Caller should read from vault at snapshot (off-chain).
+    /// @param snapshotBlock Block number at which balances were sampled for the Merkle leaves (must be a past block).
+    ///        ER_snapshot and snapshotStake are read from the vault's checkpoints at snapshotBlock.
     /// @param powerRoot Merkle root of (account, uint256 power, uint256 nonce) leaves representing voting power.
-    /// @param metadata Optional metadata URI (IPFS link or JSON).
+    /// @param metadataHash keccak256 of the canonical proposal-metadata document - commitment to the description
+    /// @param metadata Where the document is found (IPFS/HTTP URI) or the document itself.
     function publishProposal(
         uint256 proposalId,
         bytes32 actionDataHash,
         uint256 snapshotBlock,
-        uint256 ER_snapshot,
         bytes32 powerRoot,
+        bytes32 metadataHash,
         string calldata metadata
     ) external {
+        require(msg.sender == owner() || isProposer[msg.sender], "not a proposer");
         require(proposalId != 0, "proposalId=0");
         require(actionDataHash != bytes32(0), "actionDataHash=0");
         require(powerRoot != bytes32(0), "powerRoot=0");
-        // snapshotBlock should reference a real block (allow equal to current block, or past block)
-        require(snapshotBlock <= block.number, "snapshotBlock must be <= current block");
+        require(metadataHash != bytes32(0), "metadataHash=0");
+        // snapshotBlock must be a past block so its checkpoints are final
+        require(snapshotBlock < block.number, "snapshotBlock must be < current block");
+        uint256 ER_snapshot = vault.exchangeRateAt(snapshotBlock);
+        uint256 snapshotStake = (vault.getPastTotalSupply(snapshotBlock) * ER_snapshot) / 1e18;
 
         Proposal storage p = proposals[proposalId];
         require(p.state == ProposalState.Unknown, "proposal exists");
@@ -72,11 +135,14 @@ contract GovernanceRootPublisher{
         p.proposer = msg.sender;
         p.actionDataHash = actionDataHash;
         p.snapshotBlock = snapshotBlock;
-        p.ER_snapshot = ER_snapshot; // expected to be WAD scaled (1e18)
+        p.ER_snapshot = ER_snapshot; // WAD scaled (1e18)
+        p.snapshotStake = snapshotStake;
         p.powerRoot = powerRoot;
         p.metadata = metadata;
+        p.metadataHash = metadataHash;
         p.createdAt = block.timestamp;
         p.state = ProposalState.Published;
+        _metadataHistory[proposalId].push(metadataHash);
 
         emit ProposalCreated(
             proposalId,
@@ -84,12 +150,39 @@ contract GovernanceRootPublisher{
             actionDataHash,
             snapshotBlock,
             ER_snapshot,
+            snapshotStake,
             powerRoot,
             metadata,
+            metadataHash,
             block.timestamp
         );
     }
 
+    /// @notice Route new proposals through `_messenger` to `_verifier` on `_destinationChainId`.
+    /// Pass address(0) as messenger to turn the hook off.
+    function setMessenger(address _messenger, uint256 _destinationChainId, address _verifier) external onlyOwner {
+        require(_messenger == address(0) || _verifier != address(0), "verifier=0");
+        messenger = ICrossChainMessenger(_messenger);
+        destinationChainId = _destinationChainId;
+        destinationVerifier = _verifier;
+        emit MessengerUpdated(_messenger, _destinationChainId, _verifier);
+    }
+
+    /// @notice Send a published proposal through the messenger; msg.value pays the bridge fee if any. Permissionless,
+    /// and may be called again after a failed send or a messenger change (the verifier ignores repeats).
+    /// message = abi.encode(proposalId, actionDataHash, powerRoot, snapshotStake)
+    function sendProposal(uint256 proposalId) external payable returns (bytes32 messageId) {
+        require(address(messenger) != address(0), "no messenger");
+        Proposal storage p = proposals[proposalId];
+        require(p.state == ProposalState.Published, "proposal not published");
+        messageId = messenger.sendMessage{value: msg.value}(
+            destinationChainId,
+            destinationVerifier,
+            abi.encode(proposalId, p.actionDataHash, p.powerRoot, p.snapshotStake)
+        );
+        emit ProposalSent(proposalId, messageId);
+    }
+
     /// @notice Returns whether a proposal is published.
     function isPublished(uint256 proposalId) external view returns (bool) {
         return proposals[proposalId].state == ProposalState.Published;
@@ -122,14 +215,32 @@ contract GovernanceRootPublisher{
         );
     }
 
-    /// @notice Allow the proposer to update non-critical metadata (e.g., point to IPFS JSON).
+    /// @notice Metadata hashes of a proposal in order: index 0 is the publish-time document, the last one is current.
+    function metadataHistory(uint256 proposalId) external view returns (bytes32[] memory) {
+        return _metadataHistory[proposalId];
+    }
+
+    /// @notice Publish a new revision of the proposal metadata (proposer only).
+    /// The revision is appended to metadataHistory; the document should name the hash it replaces (`previous`).
     /// Does not allow changing snapshot/ER/action hash/power root.
-    function updateMetadata(uint256 proposalId, string calldata metadata) external {
+    function updateMetadata(uint256 proposalId, bytes32 metadataHash, string calldata metadata) external {
         Proposal storage p = proposals[proposalId];
         require(p.state == ProposalState.Published, "proposal not published");
         require(p.proposer == msg.sender, "only proposer");
+        require(metadataHash != bytes32(0), "metadataHash=0");
+        bytes32 previousHash = p.metadataHash;
+        require(metadataHash != previousHash, "metadata unchanged");
+
+        p.metadataHash = metadataHash;
         p.metadata = metadata;
-        emit ProposalMetadataUpdated(proposalId, metadata);
+        _metadataHistory[proposalId].push(metadataHash);
+        emit ProposalMetadataUpdated(
+            proposalId,
+            _metadataHistory[proposalId].length - 1,
+            metadataHash,
+            previousHash,
+            metadata
+        );
     }
 
 }
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/*
+ICrossChainMessenger.sol
+
+Messaging adapter between the verifier chain (Chain B) and the stake chain (Chain A).
+
+- On the source chain a contract calls sendMessage(destinationChainId, target, message).
+- On the destination chain the messenger calls target.receiveMessage(sourceChainId, sender, message),
+  where `sender` is the contract that called sendMessage on the source chain.
+
+VoteVerifier and GovernanceExecutor only talk to these two interfaces. A real bridge is plugged in
+by deploying an adapter that implements them on top of the bridge's own messenger; MockMessenger
+is the local implementation used by the demo and tests.
+*/
+
+interface ICrossChainMessenger {
+    /// @return messageId identifier of the message on the source chain
+    function sendMessage(uint256 destinationChainId, address target, bytes calldata message)
+        external
+        payable
+        returns (bytes32 messageId);
+}
+
+interface IMessageReceiver {
+    /// @notice Called by the destination messenger for every delivered message.
+    function receiveMessage(uint256 sourceChainId, address sender, bytes calldata message) external;
+}
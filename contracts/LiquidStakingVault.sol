@@ -6,27 +6,116 @@ LiquidStakingVault.sol
 
 Features:
 - ERC20 shares token (no rebasing). Shares represent claim on underlying assets.
-- exchangeRate = (totalAssetsAvailable * WAD) / totalShares  (WAD = 1e18)
+- exchangeRate = ((totalAssetsAvailable + 1) * WAD) / (totalShares + 10^DECIMALS_OFFSET)  (WAD = 1e18), see Accounting
 - deposit: user transfers underlying asset -> mints shares
-- mint: user supplies shares -> receives assets (optional; not implemented separately to avoid confusion)
-- distributeRewards: pushes assets into vault (increases exchange rate)
+- distributeRewards: pushes assets into vault (increases exchange rate as they unlock, see reward streaming)
 - initiateWithdraw: burns shares, computes assetsOwed (floor), mints Withdrawal NFT with availableAt = now + unbondingPeriod
 - claim: after availableAt, owner claims assetsOwed, NFT burned
+- claimTo / claimMany: pay another recipient / settle several NFTs in one call. Every claim accepts the NFT owner
+  or an ERC-721 approved address / operator as caller.
 - lockedAssets tracks assets reserved for pending withdrawals (excluded from exchangeRate)
+
+ERC-4626:
+- totalAssets = managedAssets - lockedAssets - pendingRewards(); convertTo* / preview* use the ratio behind
+  exchangeRate, (totalAssets + 1) / (totalShares + 10^DECIMALS_OFFSET), rounded once: down for what the caller
+  receives (previewDeposit, previewRedeem), up for what it pays (previewMint, previewWithdraw).
+- deposit(assets, receiver) / mint(shares, receiver) are synchronous.
+- withdraw(assets, receiver, owner) / redeem(shares, receiver, owner) are delayed: they burn `owner`'s shares
+  (spending the caller's share allowance when caller != owner) and mint a Withdrawal NFT for the assets to
+  `receiver`, who claims them after the unbonding period. The Withdraw event is emitted when the NFT is minted,
+  and the withdrawal id is in the InitiatedWithdraw event emitted alongside it.
+- deposit(uint256) is kept for existing callers and behaves like deposit(assets, msg.sender).
+
+Checkpoints (block-number clock, ERC-6372):
+- every share balance change checkpoints the account's balance and the total supply (getPastVotes / getPastTotalSupply).
+  There is no delegation: an account's votes are its own shares.
+- every vault operation checkpoints the resulting exchangeRate (exchangeRateAt). While rewards stream, the rate also
+  rises between operations; anyone can record it with checkpoint().
+- the publisher reads ER_snapshot from exchangeRateAt, so snapshots need no historical vault state.
+
+Oracle reports:
+- the oracle (set by the owner) reports the net change of the staked balance since its last report with
+  report(balanceChange). The vault balance stands in for the validators' stake: a positive change pulls the
+  rewards from the oracle, a negative one (slashing, penalties) only writes the loss off managedAssets. No assets
+  leave the vault on a loss; the written-off tokens stay unaccounted until governance sweeps them.
+- each report is bounded: rewards by maxRewardBps of totalAssets, losses by maxLossBps of the pooled assets
+  (totalAssets + lockedAssets). The bounds are set through governance, up to MAX_REPORT_BPS.
+- reports are at least minReportInterval apart (12 hours by default, set through governance up to
+  MAX_MIN_REPORT_INTERVAL), so the per-report bounds also bound how fast the rate can move.
+- a loss is shared pro rata between share holders and pending withdrawals: the holders' part lowers totalAssets
+  (and so exchangeRate), the withdrawals' part lowers lockedAssets and scales withdrawalIndex by the same factor.
+  Every unclaimed Withdrawal NFT, matured or not, pays assetsOwed * withdrawalIndex / (withdrawalIndex at mint),
+  see claimableAssets. Withdrawals requested after a loss are not affected by it.
+- every report emits Reported with the resulting exchangeRate, which scripts/exchange-rate.js charts.
+
+Protocol fee:
+- on every reward event (distributeRewards, positive report) protocolFeeBps of the rewards is taken as a fee:
+  feeAssets converted to shares (rounded down) at the post-reward rate, the rate with the rewards included, are
+  minted to the treasury.
+- with reward streaming on, only the rewards net of the fee are streamed: the fee assets count at once, so the fee
+  shares are minted at the rate with the fee (and the rewards unlocked so far) included.
+- the fee (up to MAX_PROTOCOL_FEE_BPS) and the treasury are set through governance only. totalFeeAssets /
+  totalFeeShares and the FeeAccrued event record what the treasury has received.
+
+Reward streaming:
+- rewards (distributeRewards, positive report) unlock linearly over rewardsStreamingPeriod seconds instead of
+  raising exchangeRate at once, so depositing just before a reward and withdrawing just after earns nothing.
+  pendingRewards() is excluded from totalAssets, and with it from exchangeRate, deposits and withdrawals.
+- new rewards join the stream: what is still pending and the new rewards unlock together until an end weighted by
+  amount between the current end and a full period from now. A dust reward barely moves the end, so it cannot be
+  used to hold back the unlock of the others.
+- the period is 7 days by default and is set through governance, up to MAX_REWARDS_STREAMING_PERIOD; 0 unlocks
+  rewards at once. A new period applies from the next reward.
+
+Accounting:
+- the vault counts its assets itself (managedAssets) instead of reading asset.balanceOf(this): deposits and rewards
+  add to it, reported losses and claims take from it. Tokens sent with a plain transfer change neither totalAssets
+  nor exchangeRate; governance can return them with sweep.
+- conversions add one virtual asset and 10^DECIMALS_OFFSET virtual shares (ERC-4626 inflation-attack mitigation):
+  inflating the rate before someone else's deposit costs the attacker about 10^DECIMALS_OFFSET times what the
+  victim loses to rounding. decimals() is the asset's decimals plus DECIMALS_OFFSET (6): a vault at 1:1 mints
+  10^6 shares per asset unit, and exchangeRate, per share unit, starts at WAD / 10^6. Voting power,
+  shares * exchangeRate / WAD, stays in assets.
+
+Circuit breakers:
+- the guardian (set by the owner) or governance can pause each Action on its own: Deposit (deposit / mint),
+  Withdraw (initiateWithdraw / withdraw / redeem), Claim (claim / claimTo / claimMany) and Rewards
+  (distributeRewards / report). Only the GovernanceExecutor can unpause. maxDeposit / maxMint / maxWithdraw /
+  maxRedeem return 0 while their action is paused.
+- deposits are capped through governance: depositCap bounds totalAssets and accountDepositCap the value of the
+  receiver's shares after the deposit. Both are unlimited by default.
+- emergency mode (governance) lets every Withdrawal NFT, existing or new, be claimed emergencyUnbondingPeriod after
+  it was requested if that is earlier than its availableAt, see claimableAt.
 */
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/interfaces/IERC4626.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import "@openzeppelin/contracts/interfaces/IERC6372.sol";
 
-contract LiquidStakingVault is ERC20, ReentrancyGuard, Ownable {
+contract LiquidStakingVault is ERC20, IERC4626, IERC6372, ReentrancyGuard, Ownable {
     using SafeERC20 for IERC20;
+    using Checkpoints for Checkpoints.Trace208;
 
     // Underlying asset (staked token)
-    IERC20 public immutable asset;
+    IERC20 private immutable _asset;
+    uint8 private immutable _underlyingDecimals;
+
+    // Extra share decimals; the conversions use 10^DECIMALS_OFFSET virtual shares and one virtual asset
+    uint8 public constant DECIMALS_OFFSET = 6;
+
+    // Assets the vault accounts for: backing the shares, locked for withdrawals or streaming as rewards.
+    // Tokens transferred in directly are not included.
+    uint256 public managedAssets;
 
     // WAD fixed point scaling for exchange rate calculations
     uint256 public constant WAD = 1e18;
@@ -42,23 +131,106 @@ contract LiquidStakingVault is ERC20, ReentrancyGuard, Ownable {
 
     address public governanceExecutor;
 
+    // Reports staking rewards and losses (report)
+    address public oracle;
+
+    // Per-report bounds on the reported balance change, in basis points
+    uint256 public constant BPS = 10_000;
+    uint256 public constant MAX_REPORT_BPS = 5_000;
+    uint256 public maxRewardBps = 1_000; // of totalAssets
+    uint256 public maxLossBps = 1_000; // of totalAssets + lockedAssets
+
+    // Minimum time between two reports, and when the last one was made
+    uint256 public constant MAX_MIN_REPORT_INTERVAL = 7 days;
+    uint256 public minReportInterval = 12 hours;
+    uint256 public lastReportAt;
+
+    // Fraction (WAD) of their nominal assetsOwed that Withdrawal NFTs keep after loss reports,
+    // relative to the index recorded when each NFT was minted
+    uint256 public withdrawalIndex = WAD;
+    mapping(uint256 => uint256) private _withdrawalIndexAtMint;
+
+    // Protocol fee on rewards, paid in shares to the treasury
+    uint256 public constant MAX_PROTOCOL_FEE_BPS = 2_000;
+    uint256 public protocolFeeBps;
+    address public treasury;
+
+    // Fees accrued since deployment: their asset value at accrual and the shares minted for them
+    uint256 public totalFeeAssets;
+    uint256 public totalFeeShares;
+
+    // Reward streaming: streamedRewards unlock linearly from streamStart to streamEnd
+    uint256 public constant MAX_REWARDS_STREAMING_PERIOD = 30 days;
+    uint256 public rewardsStreamingPeriod = 7 days;
+    uint256 public streamedRewards;
+    uint256 public streamStart;
+    uint256 public streamEnd;
+
+    // Actions the guardian can pause one by one
+    enum Action {
+        Deposit,
+        Withdraw,
+        Claim,
+        Rewards
+    }
+
+    // Can pause actions; only governance unpauses
+    address public guardian;
+    mapping(Action => bool) public paused;
+
+    // Deposit caps (assets): on totalAssets and on the value of one account's shares
+    uint256 public depositCap = type(uint256).max;
+    uint256 public accountDepositCap = type(uint256).max;
+
+    // While on, withdrawals are claimable emergencyUnbondingPeriod after their request if that is earlier
+    bool public emergencyMode;
+    uint256 public emergencyUnbondingPeriod;
+
+    // Share balance / total supply / exchange rate checkpoints keyed by block number
+    mapping(address => Checkpoints.Trace208) private _shareCheckpoints;
+    Checkpoints.Trace208 private _totalSupplyCheckpoints;
+    Checkpoints.Trace208 private _exchangeRateCheckpoints;
+
     // Events
     event Deposited(address indexed user, uint256 assets, uint256 shares);
     event DistributedRewards(address indexed by, uint256 assets);
     event InitiatedWithdraw(address indexed user, uint256 sharesBurned, uint256 assetsOwed, uint256 withdrawalId, uint256 availableAt);
-    event Claimed(address indexed user, uint256 withdrawalId, uint256 assetsPaid);
+    event Claimed(address indexed caller, address indexed recipient, uint256 withdrawalId, uint256 assetsPaid);
     event UnbondingPeriodUpdated(uint256 oldPeriod, uint256 newPeriod);
+    event Reported(
+        address indexed oracle,
+        int256 balanceChange,
+        uint256 withdrawalLoss,
+        uint256 totalAssets,
+        uint256 lockedAssets,
+        uint256 exchangeRate
+    );
+    event OracleUpdated(address indexed oldOracle, address indexed newOracle);
+    event ReportBoundsUpdated(uint256 maxRewardBps, uint256 maxLossBps);
+    event MinReportIntervalUpdated(uint256 oldInterval, uint256 newInterval);
+    event FeeAccrued(address indexed treasury, uint256 rewards, uint256 feeAssets, uint256 feeShares);
+    event ProtocolFeeUpdated(uint256 oldFeeBps, uint256 newFeeBps);
+    event TreasuryUpdated(address indexed oldTreasury, address indexed newTreasury);
+    event RewardsStreamingPeriodUpdated(uint256 oldPeriod, uint256 newPeriod);
+    event Swept(address indexed token, address indexed to, uint256 amount);
+    event GuardianUpdated(address indexed oldGuardian, address indexed newGuardian);
+    event Paused(Action indexed action, address indexed by);
+    event Unpaused(Action indexed action);
+    event DepositCapsUpdated(uint256 depositCap, uint256 accountDepositCap);
+    event EmergencyModeUpdated(bool enabled, uint256 emergencyUnbondingPeriod);
 
     constructor(
-        address _asset,
+        address asset_,
         string memory _sharesName,
         string memory _sharesSymbol,
         uint256 _unbondingPeriod
     ) ERC20(_sharesName, _sharesSymbol) Ownable(msg.sender){
-        require(_asset != address(0), "asset=0");
-        asset = IERC20(_asset);
+        require(asset_ != address(0), "asset=0");
+        _asset = IERC20(asset_);
+        _underlyingDecimals = _tryGetAssetDecimals(asset_);
         unbondingPeriod = _unbondingPeriod;
-        withdrawalNFT = new WithdrawalNFT("LST-Withdraw", "LSTW");
+        withdrawalNFT = new WithdrawalNFT("LST-Withdraw", "LSTW", asset_);
+        _checkpointExchangeRate();
     }
 
     modifier onlyGovernanceExecutor() {
@@ -66,6 +238,11 @@ contract LiquidStakingVault is ERC20, ReentrancyGuard, Ownable {
         _;
     }
 
+    modifier whenNotPaused(Action action) {
+        require(!paused[action], "paused");
+        _;
+    }
+
     // ---------------------
     // Public / External API
     // ---------------------
@@ -73,122 +250,304 @@ contract LiquidStakingVault is ERC20, ReentrancyGuard, Ownable {
     /// @notice Deposit underlying assets and receive shares.
     /// @param assets Amount of underlying token to deposit.
     /// @return shares Minted shares.
-    function deposit(uint256 assets) external nonReentrant returns (uint256 shares) {
-        require(assets > 0, "zero assets");
-        // Transfer assets in
-        asset.safeTransferFrom(msg.sender, address(this), assets);
-
-        uint256 _sharesTotal = totalSupply();
-        uint256 sharesToMint;
-        if (_sharesTotal == 0) {
-            // initial deposit: 1:1 => shares = assets (shares decimals same as ERC20 decimals)
-            // We will treat both token decimals as consistent in tests (commonly 18).
-            sharesToMint = assets;
-        } else {
-            // shares = floor(assets * WAD / exchangeRate)
-            uint256 er = exchangeRate(); // WAD scaled
-            // shares = floor( assets * WAD / er )
-            sharesToMint = Math.mulDiv(assets, WAD, er);
-            require(sharesToMint > 0, "insufficient assets to mint shares");
-        }
+    function deposit(uint256 assets) external nonReentrant whenNotPaused(Action.Deposit) returns (uint256 shares) {
+        shares = previewDeposit(assets);
+        _deposit(msg.sender, msg.sender, assets, shares);
+    }
+
+    /// @notice ERC-4626 deposit: pull `assets` from the caller and mint shares to `receiver`.
+    function deposit(uint256 assets, address receiver)
+        external
+        nonReentrant
+        whenNotPaused(Action.Deposit)
+        returns (uint256 shares)
+    {
+        shares = previewDeposit(assets);
+        _deposit(msg.sender, receiver, assets, shares);
+    }
 
-        _mint(msg.sender, sharesToMint);
-        emit Deposited(msg.sender, assets, sharesToMint);
-        return sharesToMint;
+    /// @notice ERC-4626 mint: mint exactly `shares` to `receiver`, pulling the assets they cost (rounded up).
+    function mint(uint256 shares, address receiver)
+        external
+        nonReentrant
+        whenNotPaused(Action.Deposit)
+        returns (uint256 assets)
+    {
+        require(shares > 0, "zero shares");
+        assets = previewMint(shares);
+        _deposit(msg.sender, receiver, assets, shares);
     }
 
     /// @notice Push rewards into the vault. Caller must approve asset transfer beforehand.
-    /// This increases the assets available to share holders and therefore increases exchangeRate.
-    function distributeRewards(uint256 assets) external nonReentrant {
+    /// This increases the assets available to share holders, and therefore exchangeRate, as the rewards unlock.
+    /// The protocol fee on them is minted to the treasury.
+    function distributeRewards(uint256 assets) external nonReentrant whenNotPaused(Action.Rewards) {
         require(assets > 0, "zero assets");
-        asset.safeTransferFrom(msg.sender, address(this), assets);
+        _asset.safeTransferFrom(msg.sender, address(this), assets);
+        _addRewards(assets);
+        _checkpointExchangeRate();
         emit DistributedRewards(msg.sender, assets);
     }
 
+    /// @notice Report the net change of the staked balance since the last report. Only the oracle, at most
+    /// once per minReportInterval. A positive change pulls the rewards from the oracle (approve them first); a
+    /// negative change is written off managedAssets and shared between share holders and pending withdrawals.
+    /// @param balanceChange Rewards (> 0) or losses (< 0); 0 records the current exchange rate.
+    function report(int256 balanceChange) external nonReentrant whenNotPaused(Action.Rewards) {
+        require(msg.sender == oracle, "only oracle");
+        require(totalSupply() > 0, "no shares");
+        require(block.timestamp >= lastReportAt + minReportInterval, "report too soon");
+        lastReportAt = block.timestamp;
+
+        uint256 withdrawalLoss;
+        if (balanceChange > 0) {
+            uint256 rewards = uint256(balanceChange);
+            require(rewards <= Math.mulDiv(totalAssets(), maxRewardBps, BPS), "reward above bound");
+            _asset.safeTransferFrom(msg.sender, address(this), rewards);
+            _addRewards(rewards);
+        } else if (balanceChange < 0) {
+            uint256 loss = uint256(-balanceChange);
+            withdrawalLoss = _socializeLoss(loss);
+            managedAssets -= loss;
+        }
+        _checkpointExchangeRate();
+
+        emit Reported(msg.sender, balanceChange, withdrawalLoss, totalAssets(), lockedAssets, exchangeRate());
+    }
+
+    /// @notice Checkpoint the current exchange rate, e.g. to record the rewards unlocked since the last operation.
+    function checkpoint() external {
+        _checkpointExchangeRate();
+    }
+
     /// @notice Initiate a withdrawal by burning shares and receiving a Withdrawal NFT.
     /// The NFT contains `assetsOwed` and `availableAt = now + unbondingPeriod`.
     /// @param shares Amount of shares to redeem.
     /// @return withdrawalId NFT id minted for the withdrawal.
-    function initiateWithdraw(uint256 shares) external nonReentrant returns (uint256) {
+    function initiateWithdraw(uint256 shares) external nonReentrant whenNotPaused(Action.Withdraw) returns (uint256) {
         require(shares > 0, "zero shares");
-        uint256 senderBalance = balanceOf(msg.sender);
-        require(senderBalance >= shares, "insufficient shares");
+        require(balanceOf(msg.sender) >= shares, "insufficient shares");
 
         // Compute assetsOwed at current exchange rate (floor)
-        uint256 assetsOwed = sharesToAssets(shares);
-
-        // Burn shares
-        _burn(msg.sender, shares);
+        return _withdraw(msg.sender, msg.sender, msg.sender, previewRedeem(shares), shares);
+    }
 
-        // Reserve the assets -- they belong to the withdrawal and shouldn't be counted in ER
-        lockedAssets += assetsOwed;
-        require(lockedAssets <= asset.balanceOf(address(this)), "insufficient asset balance after lock"); 
-        // Mint withdrawal NFT to caller recording assetsOwed and availableAt
-        uint256 availableAt = block.timestamp + unbondingPeriod;
-        uint256 withdrawalId = withdrawalNFT.mintWithdrawal(msg.sender, assetsOwed, availableAt);
+    /// @notice ERC-4626 withdraw: burn the shares worth `assets` (rounded up) from `owner` and mint a
+    /// Withdrawal NFT for exactly `assets` to `receiver`. Assets are claimable after the unbonding period.
+    /// @return shares Shares burned.
+    function withdraw(uint256 assets, address receiver, address owner)
+        external
+        nonReentrant
+        whenNotPaused(Action.Withdraw)
+        returns (uint256 shares)
+    {
+        require(assets > 0, "zero assets");
+        require(assets <= maxWithdraw(owner), "withdraw more than max");
+        shares = previewWithdraw(assets);
+        _withdraw(msg.sender, receiver, owner, assets, shares);
+    }
 
-        emit InitiatedWithdraw(msg.sender, shares, assetsOwed, withdrawalId, availableAt);
-        return withdrawalId;
+    /// @notice ERC-4626 redeem: burn `shares` from `owner` and mint a Withdrawal NFT for their value
+    /// (rounded down) to `receiver`. Assets are claimable after the unbonding period.
+    /// @return assets Assets recorded in the Withdrawal NFT.
+    function redeem(uint256 shares, address receiver, address owner)
+        external
+        nonReentrant
+        whenNotPaused(Action.Withdraw)
+        returns (uint256 assets)
+    {
+        require(shares > 0, "zero shares");
+        require(shares <= maxRedeem(owner), "redeem more than max");
+        assets = previewRedeem(shares);
+        _withdraw(msg.sender, receiver, owner, assets, shares);
     }
 
     /// @notice Claim a matured withdrawal after its unbonding period.
-    /// Burns the Withdrawal NFT and transfers assets to the owner.
+    /// Burns the Withdrawal NFT and transfers assets to the caller (owner or approved).
     /// @param withdrawalId NFT id.
-    function claim(uint256 withdrawalId) external nonReentrant {
-        require(withdrawalNFT.ownerOf(withdrawalId) == msg.sender, "not owner");
-        (uint256 assetsOwed, uint256 availableAt) = withdrawalNFT.getWithdrawal(withdrawalId);
-        require(block.timestamp >= availableAt, "not yet available");
-        require(assetsOwed > 0, "nothing owed");
-
-        // Mark as paid by burning NFT and updating lockedAssets
-        withdrawalNFT.burnWithdrawal(withdrawalId);
+    function claim(uint256 withdrawalId) external nonReentrant whenNotPaused(Action.Claim) {
+        _claim(withdrawalId, msg.sender);
+        _checkpointExchangeRate();
+    }
 
-        // Decrease locked assets and transfer
-        require(lockedAssets >= assetsOwed, "lockedAssets underflow");
-        lockedAssets -= assetsOwed;
+    /// @notice Claim a matured withdrawal and send the assets to `recipient`.
+    function claimTo(uint256 withdrawalId, address recipient) external nonReentrant whenNotPaused(Action.Claim) {
+        require(recipient != address(0), "recipient=0");
+        _claim(withdrawalId, recipient);
+        _checkpointExchangeRate();
+    }
 
-        asset.safeTransfer(msg.sender, assetsOwed);
-        emit Claimed(msg.sender, withdrawalId, assetsOwed);
+    /// @notice Claim several matured withdrawals to the caller. Reverts if any of them cannot be claimed.
+    /// @return total Assets paid.
+    function claimMany(uint256[] calldata withdrawalIds)
+        external
+        nonReentrant
+        whenNotPaused(Action.Claim)
+        returns (uint256 total)
+    {
+        for (uint256 i = 0; i < withdrawalIds.length; ++i) {
+            total += _claim(withdrawalIds[i], msg.sender);
+        }
+        _checkpointExchangeRate();
     }
 
     // ---------------------
     // Views & Conversions
     // ---------------------
 
-    /// @notice Returns the exchange rate as WAD (1e18). ER = totalAssetsAvailable * WAD / totalShares.
-    /// totalAssetsAvailable = asset.balanceOf(this) - lockedAssets
+    /// @notice Returns the exchange rate as WAD (1e18).
+    /// ER = (totalAssets + 1) * WAD / (totalShares + 10^DECIMALS_OFFSET), 1:1 (WAD) for an empty vault.
     function exchangeRate() public view returns (uint256) {
-        uint256 totalShares_ = totalSupply();
-        if (totalShares_ == 0) {
-            return WAD; // 1:1 if no shares exist
-        }
-        uint256 totalAssetsAvailable = asset.balanceOf(address(this));
-        if (totalAssetsAvailable <= lockedAssets) {
-            // If all assets are locked (rare), ER should be 0? To be safe we'll return 0 to avoid division by zero.
-            return 0;
-        }
-        uint256 available = totalAssetsAvailable - lockedAssets;
-        // ER = available * WAD / totalShares
-        return Math.mulDiv(available, WAD, totalShares_);
+        return Math.mulDiv(totalAssets() + 1, WAD, totalSupply() + 10 ** DECIMALS_OFFSET);
     }
 
     /// @notice Convert shares to assets using current exchange rate (floor).
     function sharesToAssets(uint256 shares) public view returns (uint256) {
-        uint256 er = exchangeRate(); // WAD
-        if (er == 0) return 0;
-        return Math.mulDiv(shares, er, WAD);
+        return _convertToAssets(shares, Math.Rounding.Floor);
     }
 
     /// @notice Convert assets to shares using current exchange rate (floor).
     function assetsToShares(uint256 assets) public view returns (uint256) {
-        uint256 totalShares_ = totalSupply();
-        if (totalShares_ == 0) {
-            // initial deposit: 1:1
-            return assets;
-        }
-        uint256 er = exchangeRate(); // WAD
-        if (er == 0) return 0;
-        return Math.mulDiv(assets, WAD, er);
+        return _convertToShares(assets, Math.Rounding.Floor);
+    }
+
+    /// @notice Time from which a withdrawal can be claimed: its availableAt, or emergencyUnbondingPeriod after
+    /// the request if that is earlier and emergency mode is on.
+    function claimableAt(uint256 withdrawalId) public view returns (uint256) {
+        (, uint256 availableAt, , uint256 requestedAt) = withdrawalNFT.getWithdrawal(withdrawalId);
+        if (emergencyMode) return Math.min(availableAt, requestedAt + emergencyUnbondingPeriod);
+        return availableAt;
+    }
+
+    /// @notice Assets a Withdrawal NFT pays when claimed: its assetsOwed less its share of later losses.
+    /// 0 for claimed or unknown ids.
+    function claimableAssets(uint256 withdrawalId) public view returns (uint256) {
+        uint256 indexAtMint = _withdrawalIndexAtMint[withdrawalId];
+        if (indexAtMint == 0) return 0;
+        (uint256 assetsOwed, , , ) = withdrawalNFT.getWithdrawal(withdrawalId);
+        return Math.mulDiv(assetsOwed, withdrawalIndex, indexAtMint);
+    }
+
+    /// @notice Fee taken from `rewards` if they were distributed now: its asset value and the shares minted for it.
+    function previewFee(uint256 rewards) public view returns (uint256 feeAssets, uint256 feeShares) {
+        if (protocolFeeBps == 0 || totalSupply() == 0) return (0, 0);
+        feeAssets = Math.mulDiv(rewards, protocolFeeBps, BPS);
+        // post-reward exchange rate: the rewards are not in the vault yet, and only the fee
+        // unlocks at once while streaming is on (turning it off unlocks the pending rewards too)
+        uint256 unlocked = rewardsStreamingPeriod == 0 ? rewards + pendingRewards() : feeAssets;
+        feeShares = Math.mulDiv(feeAssets, totalSupply() + 10 ** DECIMALS_OFFSET, totalAssets() + unlocked + 1);
+    }
+
+    /// @notice Rewards of the current stream not unlocked yet. Not part of totalAssets.
+    function pendingRewards() public view returns (uint256) {
+        if (block.timestamp >= streamEnd) return 0;
+        // rounded up, so assets are never counted before they unlock
+        return Math.mulDiv(streamedRewards, streamEnd - block.timestamp, streamEnd - streamStart, Math.Rounding.Ceil);
+    }
+
+    /// @notice Rewards of the current stream unlocked so far. Already part of totalAssets.
+    function unlockedRewards() external view returns (uint256) {
+        return streamedRewards - pendingRewards();
+    }
+
+    // ---------------------
+    // ERC-4626 views
+    // ---------------------
+
+    function asset() public view returns (address) {
+        return address(_asset);
+    }
+
+    /// @notice Assets backing the shares: managedAssets minus assets locked for pending withdrawals and
+    /// rewards not unlocked yet.
+    function totalAssets() public view returns (uint256) {
+        uint256 excluded = lockedAssets + pendingRewards();
+        return managedAssets > excluded ? managedAssets - excluded : 0;
+    }
+
+    /// @notice Asset decimals plus DECIMALS_OFFSET.
+    function decimals() public view override(ERC20, IERC20Metadata) returns (uint8) {
+        return _underlyingDecimals + DECIMALS_OFFSET;
+    }
+
+    function convertToShares(uint256 assets) public view returns (uint256) {
+        return _convertToShares(assets, Math.Rounding.Floor);
+    }
+
+    function convertToAssets(uint256 shares) public view returns (uint256) {
+        return _convertToAssets(shares, Math.Rounding.Floor);
+    }
+
+    /// @notice Room left under depositCap and under accountDepositCap for `receiver`; 0 while deposits are paused.
+    function maxDeposit(address receiver) public view returns (uint256) {
+        if (paused[Action.Deposit]) return 0;
+        uint256 total = totalAssets();
+        uint256 held = _convertToAssets(balanceOf(receiver), Math.Rounding.Floor);
+        return Math.min(_capRoom(depositCap, total), _capRoom(accountDepositCap, held));
+    }
+
+    function maxMint(address receiver) public view returns (uint256) {
+        uint256 assets = maxDeposit(receiver);
+        return assets == type(uint256).max ? assets : _convertToShares(assets, Math.Rounding.Floor);
+    }
+
+    function maxWithdraw(address owner) public view returns (uint256) {
+        if (paused[Action.Withdraw]) return 0;
+        return _convertToAssets(balanceOf(owner), Math.Rounding.Floor);
+    }
+
+    function maxRedeem(address owner) public view returns (uint256) {
+        if (paused[Action.Withdraw]) return 0;
+        return balanceOf(owner);
+    }
+
+    function previewDeposit(uint256 assets) public view returns (uint256) {
+        return _convertToShares(assets, Math.Rounding.Floor);
+    }
+
+    function previewMint(uint256 shares) public view returns (uint256) {
+        return _convertToAssets(shares, Math.Rounding.Ceil);
+    }
+
+    function previewWithdraw(uint256 assets) public view returns (uint256) {
+        return _convertToShares(assets, Math.Rounding.Ceil);
+    }
+
+    function previewRedeem(uint256 shares) public view returns (uint256) {
+        return _convertToAssets(shares, Math.Rounding.Floor);
+    }
+
+    // ---------------------
+    // Checkpoints
+    // ---------------------
+
+    function clock() public view returns (uint48) {
+        return SafeCast.toUint48(block.number);
+    }
+
+    // solhint-disable-next-line func-name-mixedcase
+    function CLOCK_MODE() public pure returns (string memory) {
+        return "mode=blocknumber&from=default";
+    }
+
+    /// @notice Current voting weight of `account` (its share balance).
+    function getVotes(address account) external view returns (uint256) {
+        return _shareCheckpoints[account].latest();
+    }
+
+    /// @notice Share balance of `account` at the end of block `timepoint`. Must be a past block.
+    function getPastVotes(address account, uint256 timepoint) external view returns (uint256) {
+        return _shareCheckpoints[account].upperLookupRecent(_validatePastTimepoint(timepoint));
+    }
+
+    /// @notice Total share supply at the end of block `timepoint`. Must be a past block.
+    function getPastTotalSupply(uint256 timepoint) external view returns (uint256) {
+        return _totalSupplyCheckpoints.upperLookupRecent(_validatePastTimepoint(timepoint));
+    }
+
+    /// @notice Exchange rate (WAD) at the end of block `timepoint`. Must be a past block; 0 before the vault existed.
+    function exchangeRateAt(uint256 timepoint) external view returns (uint256) {
+        return _exchangeRateCheckpoints.upperLookupRecent(_validatePastTimepoint(timepoint));
     }
 
     // ---------------------
@@ -206,44 +565,332 @@ contract LiquidStakingVault is ERC20, ReentrancyGuard, Ownable {
         unbondingPeriod = newPeriod;
     }
 
+    function setOracle(address newOracle) external onlyOwner {
+        emit OracleUpdated(oracle, newOracle);
+        oracle = newOracle;
+    }
+
+    /// @notice Per-report bounds in basis points: rewards of totalAssets, losses of totalAssets + lockedAssets.
+    function setReportBounds(uint256 newMaxRewardBps, uint256 newMaxLossBps) external onlyGovernanceExecutor {
+        require(newMaxRewardBps <= MAX_REPORT_BPS && newMaxLossBps <= MAX_REPORT_BPS, "bound above max");
+        maxRewardBps = newMaxRewardBps;
+        maxLossBps = newMaxLossBps;
+        emit ReportBoundsUpdated(newMaxRewardBps, newMaxLossBps);
+    }
+
+    /// @notice Minimum seconds between two reports, up to MAX_MIN_REPORT_INTERVAL.
+    function setMinReportInterval(uint256 newInterval) external onlyGovernanceExecutor {
+        require(newInterval <= MAX_MIN_REPORT_INTERVAL, "interval above max");
+        emit MinReportIntervalUpdated(minReportInterval, newInterval);
+        minReportInterval = newInterval;
+    }
+
+    /// @notice Protocol fee on rewards in basis points, up to MAX_PROTOCOL_FEE_BPS. Needs a treasury unless 0.
+    function setProtocolFee(uint256 newFeeBps) external onlyGovernanceExecutor {
+        require(newFeeBps <= MAX_PROTOCOL_FEE_BPS, "fee above max");
+        require(newFeeBps == 0 || treasury != address(0), "treasury=0");
+        emit ProtocolFeeUpdated(protocolFeeBps, newFeeBps);
+        protocolFeeBps = newFeeBps;
+    }
+
+    /// @notice Receiver of the protocol fee shares.
+    function setTreasury(address newTreasury) external onlyGovernanceExecutor {
+        require(newTreasury != address(0), "treasury=0");
+        emit TreasuryUpdated(treasury, newTreasury);
+        treasury = newTreasury;
+    }
+
+    /// @notice Seconds over which new rewards unlock, up to MAX_REWARDS_STREAMING_PERIOD. 0 unlocks them at once.
+    function setRewardsStreamingPeriod(uint256 newPeriod) external onlyGovernanceExecutor {
+        require(newPeriod <= MAX_REWARDS_STREAMING_PERIOD, "period above max");
+        emit RewardsStreamingPeriodUpdated(rewardsStreamingPeriod, newPeriod);
+        rewardsStreamingPeriod = newPeriod;
+    }
+
+    /// @notice Send tokens the vault holds but does not account for to `to`: the asset balance above
+    /// managedAssets (e.g. a plain transfer by mistake) or the whole balance of any other token.
+    function sweep(address token, address to) external onlyGovernanceExecutor nonReentrant returns (uint256 amount) {
+        require(to != address(0), "recipient=0");
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        if (token == address(_asset)) {
+            amount = balance > managedAssets ? balance - managedAssets : 0;
+        } else {
+            amount = balance;
+        }
+        require(amount > 0, "nothing to sweep");
+        IERC20(token).safeTransfer(to, amount);
+        emit Swept(token, to, amount);
+    }
+
+    /// @notice Owner can update the guardian address
+    function setGuardian(address newGuardian) external onlyOwner {
+        emit GuardianUpdated(guardian, newGuardian);
+        guardian = newGuardian;
+    }
+
+    /// @notice Pause `action`. Guardian or governance.
+    function pause(Action action) external {
+        require(msg.sender == guardian || msg.sender == governanceExecutor, "only guardian");
+        paused[action] = true;
+        emit Paused(action, msg.sender);
+    }
+
+    function unpause(Action action) external onlyGovernanceExecutor {
+        paused[action] = false;
+        emit Unpaused(action);
+    }
+
+    /// @notice Caps in assets: `newDepositCap` on totalAssets, `newAccountDepositCap` on the value of one
+    /// receiver's shares. type(uint256).max for no cap.
+    function setDepositCaps(uint256 newDepositCap, uint256 newAccountDepositCap) external onlyGovernanceExecutor {
+        depositCap = newDepositCap;
+        accountDepositCap = newAccountDepositCap;
+        emit DepositCapsUpdated(newDepositCap, newAccountDepositCap);
+    }
+
+    /// @notice Turn emergency mode on or off; while on, withdrawals unbond in at most `newEmergencyUnbondingPeriod`.
+    function setEmergencyMode(bool enabled, uint256 newEmergencyUnbondingPeriod) external onlyGovernanceExecutor {
+        require(newEmergencyUnbondingPeriod <= unbondingPeriod, "period above unbonding");
+        emergencyMode = enabled;
+        emergencyUnbondingPeriod = newEmergencyUnbondingPeriod;
+        emit EmergencyModeUpdated(enabled, newEmergencyUnbondingPeriod);
+    }
+
+    // ---------------------
+    // Internal
+    // ---------------------
+
+    function _validatePastTimepoint(uint256 timepoint) internal view returns (uint48) {
+        require(timepoint < clock(), "future lookup");
+        return uint48(timepoint);
+    }
+
+    function _checkpointExchangeRate() internal {
+        _exchangeRateCheckpoints.push(clock(), SafeCast.toUint208(exchangeRate()));
+    }
+
+    /// @dev Checkpoints share balances and total supply on every mint, burn and transfer.
+    function _update(address from, address to, uint256 value) internal override {
+        super._update(from, to, value);
+        uint48 timepoint = clock();
+        if (from == address(0) || to == address(0)) {
+            _totalSupplyCheckpoints.push(timepoint, SafeCast.toUint208(totalSupply()));
+        }
+        if (from != address(0)) {
+            _shareCheckpoints[from].push(timepoint, SafeCast.toUint208(balanceOf(from)));
+        }
+        if (to != address(0) && to != from) {
+            _shareCheckpoints[to].push(timepoint, SafeCast.toUint208(balanceOf(to)));
+        }
+    }
+
+    /// @dev Burns a matured Withdrawal NFT the caller owns or is approved for and pays `recipient`.
+    function _claim(uint256 withdrawalId, address recipient) internal returns (uint256 assetsPaid) {
+        require(withdrawalNFT.isAuthorized(msg.sender, withdrawalId), "not owner or approved");
+        (uint256 assetsOwed, , , ) = withdrawalNFT.getWithdrawal(withdrawalId);
+        require(block.timestamp >= claimableAt(withdrawalId), "not yet available");
+        require(assetsOwed > 0, "nothing owed");
+        assetsPaid = claimableAssets(withdrawalId);
+
+        // Mark as paid by burning NFT and updating lockedAssets
+        withdrawalNFT.burnWithdrawal(withdrawalId);
+        delete _withdrawalIndexAtMint[withdrawalId];
+
+        // Decrease locked assets and transfer
+        require(lockedAssets >= assetsPaid, "lockedAssets underflow");
+        lockedAssets -= assetsPaid;
+        managedAssets -= assetsPaid;
+
+        _asset.safeTransfer(recipient, assetsPaid);
+        emit Claimed(msg.sender, recipient, withdrawalId, assetsPaid);
+    }
+
+    /// @dev Books `rewards`, already in the vault: streams them to share holders and mints the protocol fee
+    /// on them to the treasury.
+    function _addRewards(uint256 rewards) internal {
+        managedAssets += rewards;
+        // with no shares the rewards go to the first depositor, fee included
+        uint256 feeAssets = totalSupply() == 0 ? 0 : Math.mulDiv(rewards, protocolFeeBps, BPS);
+        _streamRewards(rewards - feeAssets);
+        if (feeAssets == 0) return;
+
+        uint256 feeShares = _convertToShares(feeAssets, Math.Rounding.Floor);
+        if (feeShares == 0) return;
+
+        _mint(treasury, feeShares);
+        totalFeeAssets += feeAssets;
+        totalFeeShares += feeShares;
+        emit FeeAccrued(treasury, rewards, feeAssets, feeShares);
+    }
+
+    /// @dev Restarts the stream with `rewards` plus what is still pending. It ends at the average of the current
+    /// end (for the pending rewards) and a full rewardsStreamingPeriod from now (for `rewards`), weighted by amount.
+    function _streamRewards(uint256 rewards) internal {
+        uint256 pending = pendingRewards();
+        if (rewardsStreamingPeriod == 0) {
+            // unlock everything now, including a stream started under a previous period
+            if (pending > 0) streamEnd = block.timestamp;
+            return;
+        }
+        uint256 total = pending + rewards;
+        if (total == 0) return;
+        // pending > 0 implies streamEnd > block.timestamp
+        uint256 remaining = pending == 0 ? 0 : streamEnd - block.timestamp;
+        streamedRewards = total;
+        streamStart = block.timestamp;
+        streamEnd = block.timestamp + Math.ceilDiv(pending * remaining + rewards * rewardsStreamingPeriod, total);
+    }
+
+    /// @dev Splits `loss` between share holders and pending withdrawals in proportion to totalAssets and
+    /// lockedAssets. Returns the withdrawals' part, taken from lockedAssets and withdrawalIndex.
+    function _socializeLoss(uint256 loss) internal returns (uint256 withdrawalLoss) {
+        uint256 locked = lockedAssets;
+        uint256 pooled = totalAssets() + locked;
+        require(loss <= Math.mulDiv(pooled, maxLossBps, BPS), "loss above bound");
+        if (locked == 0) return 0;
+
+        // Rounded down: holders absorb the dust, and the index never pays out more than lockedAssets
+        withdrawalLoss = Math.mulDiv(loss, locked, pooled);
+        lockedAssets = locked - withdrawalLoss;
+        withdrawalIndex = Math.mulDiv(withdrawalIndex, lockedAssets, locked);
+    }
+
+    // Room left under `cap` once `used` is counted; an unlimited cap stays unlimited
+    function _capRoom(uint256 cap, uint256 used) private pure returns (uint256) {
+        if (cap == type(uint256).max) return cap;
+        return cap > used ? cap - used : 0;
+    }
+
+    function _tryGetAssetDecimals(address asset_) private view returns (uint8) {
+        (bool success, bytes memory encoded) = asset_.staticcall(abi.encodeCall(IERC20Metadata.decimals, ()));
+        if (success && encoded.length >= 32) {
+            uint256 returned = abi.decode(encoded, (uint256));
+            if (returned <= type(uint8).max) return uint8(returned);
+        }
+        return 18;
+    }
+
+    // shares = assets * (totalShares + 10^DECIMALS_OFFSET) / (totalAssets + 1). Not through exchangeRate(): the
+    // rate is already floored to WAD, so rounding it again could round in the caller's favour.
+    function _convertToShares(uint256 assets, Math.Rounding rounding) internal view returns (uint256) {
+        return Math.mulDiv(assets, totalSupply() + 10 ** DECIMALS_OFFSET, totalAssets() + 1, rounding);
+    }
+
+    // assets = shares * (totalAssets + 1) / (totalShares + 10^DECIMALS_OFFSET)
+    function _convertToAssets(uint256 shares, Math.Rounding rounding) internal view returns (uint256) {
+        return Math.mulDiv(shares, totalAssets() + 1, totalSupply() + 10 ** DECIMALS_OFFSET, rounding);
+    }
+
+    function _deposit(address caller, address receiver, uint256 assets, uint256 shares) internal {
+        require(assets > 0, "zero assets");
+        require(receiver != address(0), "receiver=0");
+        require(shares > 0, "insufficient assets to mint shares");
+        require(assets <= maxDeposit(receiver), "deposit above cap");
+
+        _asset.safeTransferFrom(caller, address(this), assets);
+        managedAssets += assets;
+        _mint(receiver, shares);
+
+        _checkpointExchangeRate();
+
+        emit Deposited(receiver, assets, shares);
+        emit Deposit(caller, receiver, assets, shares);
+    }
+
+    /// @dev Burns `shares` from `owner`, locks `assets` and mints the Withdrawal NFT to `receiver`.
+    function _withdraw(address caller, address receiver, address owner, uint256 assets, uint256 shares)
+        internal
+        returns (uint256 withdrawalId)
+    {
+        require(receiver != address(0), "receiver=0");
+        // Dust shares worth less than one asset unit would mint a withdrawal nothing can be claimed from
+        require(assets > 0, "zero assets");
+        if (caller != owner) {
+            _spendAllowance(owner, caller, shares);
+        }
+
+        // Burn shares
+        _burn(owner, shares);
+
+        // Reserve the assets -- they belong to the withdrawal and shouldn't be counted in ER
+        lockedAssets += assets;
+        require(lockedAssets <= managedAssets, "insufficient asset balance after lock");
+        // Mint withdrawal NFT to receiver recording assetsOwed and availableAt
+        uint256 availableAt = block.timestamp + unbondingPeriod;
+        withdrawalId = withdrawalNFT.mintWithdrawal(receiver, owner, assets, availableAt);
+        _withdrawalIndexAtMint[withdrawalId] = withdrawalIndex;
+        _checkpointExchangeRate();
+
+        emit InitiatedWithdraw(owner, shares, assets, withdrawalId, availableAt);
+        emit Withdraw(caller, receiver, owner, assets, shares);
+    }
 }
 
 /*
 WithdrawalNFT contract - minimal ERC721 to record withdrawals.
 
 It provides:
-- mintWithdrawal(owner, assetsOwed, availableAt) -> returns id
-- getWithdrawal(id) -> (assetsOwed, availableAt)
+- mintWithdrawal(owner, requester, assetsOwed, availableAt) -> returns id
+- getWithdrawal(id) -> (assetsOwed, availableAt, requester, requestedAt)
+- isAuthorized(spender, id): owner, approved address or operator (ERC-721 rules)
 - burnWithdrawal(id)
+- tokenURI(id): on-chain JSON (base64 data URI) with assetsOwed, availableAt, matured, requester, requestedAt
 - ownerOf from ERC721
 
-Note: NFT ownership controls claim permission.
+Note: NFT ownership (or ERC-721 approval) controls claim permission. assetsOwed is nominal: after an oracle-reported
+loss the vault pays less, see LiquidStakingVault.claimableAssets. Likewise availableAt (and `matured`) is the normal date;
+in emergency mode the vault pays earlier, see LiquidStakingVault.claimableAt.
 */
 contract WithdrawalNFT is ERC721, Ownable {
     uint256 tokenId = 0;
 
+    // Asset the withdrawals are paid in (shown in tokenURI)
+    address public immutable asset;
+
     struct Withdrawal {
         uint256 assetsOwed;
         uint256 availableAt;
+        address requester; // share owner that requested the withdrawal
+        uint256 requestedAt;
     }
 
     mapping(uint256 => Withdrawal) private _withdrawals;
 
-    constructor(string memory name_, string memory symbol_) ERC721(name_, symbol_) Ownable(msg.sender) {}
+    constructor(string memory name_, string memory symbol_, address asset_) ERC721(name_, symbol_) Ownable(msg.sender) {
+        asset = asset_;
+    }
 
     /// @notice Only vault (owner) can mint a withdrawal NFT to `to`.
-    function mintWithdrawal(address to, uint256 assetsOwed, uint256 availableAt) external onlyOwner returns (uint256) {
+    function mintWithdrawal(address to, address requester, uint256 assetsOwed, uint256 availableAt)
+        external
+        onlyOwner
+        returns (uint256)
+    {
         tokenId += 1;
         uint256 id = tokenId;
-        _withdrawals[id] = Withdrawal({assetsOwed: assetsOwed, availableAt: availableAt});
+        _withdrawals[id] = Withdrawal({
+            assetsOwed: assetsOwed,
+            availableAt: availableAt,
+            requester: requester,
+            requestedAt: block.timestamp
+        });
         _safeMint(to, id);
         return id;
     }
 
-    /// @notice Returns (assetsOwed, availableAt) for withdrawal id.
-    function getWithdrawal(uint256 id) external view returns (uint256 assetsOwed, uint256 availableAt) {
+    /// @notice Returns (assetsOwed, availableAt, requester, requestedAt) for withdrawal id.
+    function getWithdrawal(uint256 id)
+        external
+        view
+        returns (uint256 assetsOwed, uint256 availableAt, address requester, uint256 requestedAt)
+    {
         Withdrawal memory w = _withdrawals[id];
-        return (w.assetsOwed, w.availableAt);
+        return (w.assetsOwed, w.availableAt, w.requester, w.requestedAt);
+    }
+
+    /// @notice True if `spender` is the owner of `id`, approved for it, or an operator of its owner.
+    function isAuthorized(address spender, uint256 id) external view returns (bool) {
+        return _isAuthorized(_ownerOf(id), spender, id);
     }
 
     /// @notice Burn withdrawal. Only owner (vault) may burn entries on successful claim.
@@ -253,6 +900,36 @@ contract WithdrawalNFT is ERC721, Ownable {
         _burn(id);
     }
 
+    /// @notice On-chain metadata: data:application/json;base64 URI. `matured` reflects the current block.
+    function tokenURI(uint256 id) public view override returns (string memory) {
+        _requireOwned(id);
+        Withdrawal memory w = _withdrawals[id];
+        bool matured = block.timestamp >= w.availableAt;
+
+        string memory json = string.concat(
+            '{"name":"', name(), " #", Strings.toString(id),
+            '","description":"Claim on ', Strings.toString(w.assetsOwed),
+            ' units of the staked asset, redeemable at the vault once matured.",',
+            _fieldsJson(w, matured),
+            ',"attributes":[',
+            '{"trait_type":"assetsOwed","display_type":"number","value":', Strings.toString(w.assetsOwed), "},",
+            '{"trait_type":"availableAt","display_type":"date","value":', Strings.toString(w.availableAt), "},",
+            '{"trait_type":"matured","value":"', matured ? "true" : "false", '"}]}'
+        );
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    function _fieldsJson(Withdrawal memory w, bool matured) internal view returns (string memory) {
+        return string.concat(
+            '"asset":"', Strings.toHexString(asset),
+            '","assetsOwed":"', Strings.toString(w.assetsOwed),
+            '","availableAt":', Strings.toString(w.availableAt),
+            ',"matured":', matured ? "true" : "false",
+            ',"requester":"', Strings.toHexString(w.requester),
+            '","requestedAt":', Strings.toString(w.requestedAt)
+        );
+    }
+
     // The vault (LiquidStakingVault) should be set as owner of this contract upon deployment.
     // In our design, LiquidStakingVault deploys WithdrawalNFT in its constructor and is therefore owner.
 }
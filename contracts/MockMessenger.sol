@@ -0,0 +1,74 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/*
+MockMessenger.sol
+
+Local stand-in for a cross-chain bridge. Deploy one per chain:
+- sendMessage emits MessageSent on the source chain;
+- an off-chain relay (scripts/bridge-relay.js) calls relayMessage on the destination chain's
+  MockMessenger, which delivers the message to the target exactly once.
+
+relayMessage trusts its relayer to report source-chain messages faithfully. That is fine for two
+local nodes but provides none of the security of a real bridge.
+*/
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./ICrossChainMessenger.sol";
+
+contract MockMessenger is ICrossChainMessenger, Ownable {
+    // Allowed to call relayMessage
+    address public relayer;
+
+    // Messages sent from this chain
+    uint256 public nonce;
+
+    // messageId => delivered on this chain
+    mapping(bytes32 => bool) public delivered;
+
+    event MessageSent(
+        bytes32 indexed messageId,
+        uint256 indexed destinationChainId,
+        address indexed sender,
+        address target,
+        bytes message,
+        uint256 nonce
+    );
+    event MessageRelayed(bytes32 indexed messageId, uint256 indexed sourceChainId, address indexed target);
+    event RelayerUpdated(address indexed oldRelayer, address indexed newRelayer);
+
+    constructor(address _relayer) Ownable(msg.sender) {
+        relayer = _relayer;
+    }
+
+    function setRelayer(address _relayer) external onlyOwner {
+        emit RelayerUpdated(relayer, _relayer);
+        relayer = _relayer;
+    }
+
+    function sendMessage(uint256 destinationChainId, address target, bytes calldata message)
+        external
+        payable
+        override
+        returns (bytes32 messageId)
+    {
+        messageId = keccak256(abi.encode(block.chainid, address(this), nonce));
+        emit MessageSent(messageId, destinationChainId, msg.sender, target, message, nonce);
+        nonce++;
+    }
+
+    /// @notice Deliver a message emitted by the MockMessenger on `sourceChainId`.
+    function relayMessage(
+        bytes32 messageId,
+        uint256 sourceChainId,
+        address sender,
+        address target,
+        bytes calldata message
+    ) external {
+        require(msg.sender == relayer, "only relayer");
+        require(!delivered[messageId], "already delivered");
+        delivered[messageId] = true;
+        IMessageReceiver(target).receiveMessage(sourceChainId, sender, message);
+        emit MessageRelayed(messageId, sourceChainId, target);
+    }
+}
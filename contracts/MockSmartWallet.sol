@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/*
+MockSmartWallet.sol
+
+Minimal ERC-1271 smart-contract wallet for tests and the demo: one owner key, arbitrary calls
+(e.g. approve + deposit into the vault) and isValidSignature accepting the owner's ECDSA signatures.
+Real multisigs and smart accounts check their own signature schemes behind the same interface.
+*/
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+contract MockSmartWallet is IERC1271, Ownable {
+    constructor(address _owner) Ownable(_owner) {}
+
+    function execute(address target, uint256 value, bytes calldata data) external onlyOwner returns (bytes memory) {
+        return Address.functionCallWithValue(target, data, value);
+    }
+
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view override returns (bytes4) {
+        (address signer, ECDSA.RecoverError err, ) = ECDSA.tryRecoverCalldata(hash, signature);
+        if (err == ECDSA.RecoverError.NoError && signer == owner()) {
+            return IERC1271.isValidSignature.selector;
+        }
+        return 0xffffffff;
+    }
+
+    receive() external payable {}
+}
@@ -0,0 +1,59 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/*
+RelayerSet.sol
+
+M-of-N relayer attestations shared by GovernanceExecutor (proposal outcomes from Chain B) and
+VoteVerifier (proposal registrations from Chain A). Each relayer signs an EIP-712 digest off-chain;
+anyone submits at least `threshold` signatures, ordered by strictly ascending signer address so a
+relayer cannot be counted twice. The inheriting contract decides who may rotate the set.
+*/
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+abstract contract RelayerSet {
+    address[] private _relayers;
+    mapping(address => bool) public isRelayer;
+
+    // Signatures needed per attestation
+    uint256 public threshold;
+
+    event RelayerSetUpdated(address[] relayers, uint256 threshold);
+
+    /// @notice Current relayer set.
+    function getRelayers() external view returns (address[] memory) {
+        return _relayers;
+    }
+
+    function _setRelayers(address[] memory newRelayers, uint256 newThreshold) internal {
+        require(newThreshold > 0 && newThreshold <= newRelayers.length, "invalid threshold");
+        for (uint256 i = 0; i < _relayers.length; ++i) {
+            isRelayer[_relayers[i]] = false;
+        }
+        for (uint256 i = 0; i < newRelayers.length; ++i) {
+            address r = newRelayers[i];
+            require(r != address(0), "relayer=0");
+            require(!isRelayer[r], "duplicate relayer");
+            isRelayer[r] = true;
+        }
+        _relayers = newRelayers;
+        threshold = newThreshold;
+        emit RelayerSetUpdated(newRelayers, newThreshold);
+    }
+
+    /// @dev Reverts unless `signatures` hold at least `threshold` distinct relayer signatures over `digest`.
+    function _checkSignatures(bytes32 digest, bytes[] calldata signatures) internal view {
+        require(threshold > 0, "no relayers");
+        require(signatures.length >= threshold, "not enough signatures");
+
+        // Ascending signer order rules out counting one relayer twice
+        address last = address(0);
+        for (uint256 i = 0; i < signatures.length; ++i) {
+            address signer = ECDSA.recover(digest, signatures[i]);
+            require(isRelayer[signer], "signer not a relayer");
+            require(signer > last, "signers not ascending");
+            last = signer;
+        }
+    }
+}
@@ -7,23 +7,52 @@ VoteVerifier.sol
 ✔ EIP-712 typed vote verification
 ✔ Merkle proof verification of (account, power, nonce) leaf
 ✔ Batch submission via array of VoteData structs 
-✔ Emits ProposalPassed when forVotes >= threshold
+✔ Batch submission with a single OpenZeppelin multiproof for all voters (submitVotesMultiProof)
+✔ Voting window [voteStart, voteEnd] (timestamps); votes are only counted while Active
+✔ finalize (permissionless, after voteEnd): Succeeded if forVotes + againstVotes + abstainVotes >= quorum
+  and forVotes > againstVotes, Defeated otherwise. Emits ProposalFinalized and, on success, ProposalPassed
+  (which the relayers forward to Chain A).
+✔ Optional messenger hook: when a messenger is configured, anyone sends a passed outcome
+  abi.encode(proposalId, actionDataHash) to the GovernanceExecutor on Chain A with sendOutcome, paying the
+  bridge fee if any (see ICrossChainMessenger.sol). finalize only records the outcome, so a failing or
+  fee-charging messenger cannot block it, and a failed send can be retried.
+✔ Proposal mirroring (permissionless): a proposal published on Chain A's GovernanceRootPublisher is registered
+  from its ProposalCreated fields, attested by `threshold` relayer signatures over the EIP-712
+  ProposalCreated(proposalId, actionDataHash, powerRoot, snapshotStake, sourceChainId, publisher) (mirrorProposal)
+  or delivered by the messenger (receiveMessage). The voting window and quorum come from the governance
+  parameters: voteStart = now + votingDelay, voteEnd = voteStart + votingPeriod, quorum = snapshotStake * quorumBps / 10000.
+✔ Split votes (submitSplitVotes): a voter divides its leaf power across For/Against/Abstain (custodians and LST
+  aggregators voting for many users) and adds a reason. Each SplitVote carries a version; a split vote with a
+  higher version than the voter's previous vote replaces it while voting is open, and the tally is adjusted.
+✔ Smart-contract wallet voters: every vote names its voter, and the voter is part of the signed message, so one
+  signature cannot be replayed for another leaf (e.g. an owner's EOA and the ERC-1271 wallet it controls).
+  A contract voter's signature is checked with ERC-1271 isValidSignature, an EOA's with ECDSA.
+  Contract voters must be deployed at their snapshot address on this chain.
+✔ Vote submission failures revert with custom errors (InvalidSignature, InvalidMerkleProof, AlreadyVoted, ...).
+✔ state(proposalId): Pending -> Active -> Succeeded | Defeated
 
 Each vote struct includes:
     - support: 0 = Against, 1 = For, 2 = Abstain
     - nonce: unique value used in both leaf and EIP712 message
     - deadline: timestamp until which vote is valid
     - power: voting weight proven in the Merkle leaf
-    - signature: EIP-712 signature over Vote(proposalId,support,nonce,deadline)
+    - voter: account that votes (its leaf is used)
+    - signature: EIP-712 signature over Vote(proposalId,voter,support,nonce,deadline)
     - merkleProof: proof showing (account,power,nonce) is in Merkle tree rooted at powerRoot
+
+A split vote instead signs SplitVote(proposalId,voter,forVotes,againstVotes,abstainVotes,nonce,version,deadline,reason),
+where forVotes + againstVotes + abstainVotes <= power.
 */
 
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
 import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./ICrossChainMessenger.sol";
+import "./RelayerSet.sol";
 
-contract VoteVerifier is Ownable, ReentrancyGuard {
+contract VoteVerifier is IMessageReceiver, RelayerSet, Ownable, ReentrancyGuard {
     using ECDSA for bytes32;
 
     // -------------------------------
@@ -33,7 +62,17 @@ contract VoteVerifier is Ownable, ReentrancyGuard {
     string public constant VERSION = "1";
     bytes32 public immutable DOMAIN_SEPARATOR;
     bytes32 public constant VOTE_TYPEHASH =
-        keccak256("Vote(uint256 proposalId,uint8 support,uint256 nonce,uint256 deadline)");
+        keccak256("Vote(uint256 proposalId,address voter,uint8 support,uint256 nonce,uint256 deadline)");
+    bytes32 public constant SPLIT_VOTE_TYPEHASH =
+        keccak256(
+            "SplitVote(uint256 proposalId,address voter,uint256 forVotes,uint256 againstVotes,uint256 abstainVotes,uint256 nonce,uint256 version,uint256 deadline,string reason)"
+        );
+    bytes32 public constant PROPOSAL_CREATED_TYPEHASH =
+        keccak256(
+            "ProposalCreated(uint256 proposalId,bytes32 actionDataHash,bytes32 powerRoot,uint256 snapshotStake,uint256 sourceChainId,address publisher)"
+        );
+
+    uint256 public constant BPS = 10_000;
 
     enum Support {
         Against,
@@ -41,12 +80,23 @@ contract VoteVerifier is Ownable, ReentrancyGuard {
         Abstain
     }
 
+    enum ProposalState {
+        Pending,
+        Active,
+        Succeeded,
+        Defeated
+    }
+
     struct ProposalInfo {
         bytes32 powerRoot; // Merkle root of (account,power,nonce)
         bytes32 actionDataHash; // keccak256(actionData)
-        uint256 threshold; // forVotes threshold to consider passed
+        uint256 quorum; // minimum participating power (for + against + abstain)
+        uint64 voteStart; // first timestamp votes are counted
+        uint64 voteEnd; // last timestamp votes are counted
         bool exists;
-        bool passed;
+        bool finalized;
+        bool passed; // Succeeded (set by finalize)
+        uint256 snapshotStake; // Chain A snapshot stake the quorum was derived from (0 if registered manually)
     }
 
     struct VoteData {
@@ -54,32 +104,113 @@ contract VoteVerifier is Ownable, ReentrancyGuard {
         uint256 nonce;
         uint256 deadline;
         uint256 power;
+        address voter; // voting account, part of the signed message
+        bytes signature;
+        bytes32[] merkleProof;
+    }
+
+    /// @dev VoteData without a per-vote proof; used with submitVotesMultiProof.
+    struct BatchVoteData {
+        uint8 support;
+        uint256 nonce;
+        uint256 deadline;
+        uint256 power;
+        address voter; // voting account, part of the signed message
+        bytes signature;
+    }
+
+    /// @dev Split vote: weights per support value plus a reason; replaces an earlier vote with a lower version.
+    struct SplitVoteData {
+        uint256 forVotes;
+        uint256 againstVotes;
+        uint256 abstainVotes;
+        uint256 nonce;
+        uint256 version;
+        uint256 deadline;
+        uint256 power;
+        string reason;
+        address voter; // voting account, part of the signed message
         bytes signature;
         bytes32[] merkleProof;
     }
 
+    /// @dev A voter's counted vote on a proposal (a single-support vote has version 0).
+    struct VoteReceipt {
+        uint256 forVotes;
+        uint256 againstVotes;
+        uint256 abstainVotes;
+        uint256 version;
+    }
+
     mapping(uint256 => ProposalInfo) public proposals;
     mapping(uint256 => mapping(uint8 => uint256)) public proposalVotes; // proposalId -> support -> power
     mapping(uint256 => mapping(address => bool)) public hasVoted;
+    mapping(uint256 => mapping(address => VoteReceipt)) public voteReceipts;
+
+    // Cross-chain messenger that carries passed outcomes to the executor and delivers
+    // mirrored proposals from the publisher (zero = relayers only)
+    ICrossChainMessenger public messenger;
+    uint256 public destinationChainId;
+    address public destinationExecutor;
+
+    // GovernanceRootPublisher whose proposals are mirrored (Chain A)
+    uint256 public proposalSourceChainId;
+    address public proposalPublisher;
+
+    // Governance parameters applied to mirrored proposals
+    uint64 public votingDelay; // seconds between registration and voteStart
+    uint64 public votingPeriod; // seconds between voteStart and voteEnd
+    uint256 public quorumBps; // quorum as basis points of the snapshot stake
 
     event ProposalRegistered(
         uint256 indexed proposalId,
         bytes32 powerRoot,
         bytes32 actionDataHash,
-        uint256 threshold
+        uint256 quorum,
+        uint64 voteStart,
+        uint64 voteEnd
     );
     event VoteCounted(
         uint256 indexed proposalId,
         address indexed voter,
-        uint8 support,
-        uint256 power
+        uint256 forVotes,
+        uint256 againstVotes,
+        uint256 abstainVotes,
+        uint256 version,
+        string reason
     );
     event ProposalPassed(
         uint256 indexed proposalId,
         bytes32 actionDataHash,
         uint256 forVotes,
-        uint256 threshold
+        uint256 quorum
     );
+    event ProposalFinalized(
+        uint256 indexed proposalId,
+        ProposalState state,
+        uint256 forVotes,
+        uint256 againstVotes,
+        uint256 abstainVotes
+    );
+    event MessengerUpdated(address indexed messenger, uint256 destinationChainId, address destinationExecutor);
+    event OutcomeSent(uint256 indexed proposalId, bytes32 indexed messageId);
+    event ProposalSourceUpdated(uint256 sourceChainId, address indexed publisher);
+    event GovernanceParamsUpdated(uint64 votingDelay, uint64 votingPeriod, uint256 quorumBps);
+    event ProposalMirrored(uint256 indexed proposalId, uint256 snapshotStake, address indexed submittedBy);
+
+    // Vote submission errors
+    error ProposalNotRegistered(uint256 proposalId);
+    error VotingNotStarted(uint256 proposalId, uint64 voteStart);
+    error VotingClosed(uint256 proposalId);
+    error VoteExpired(uint256 deadline);
+    error InvalidSignature(); // malformed or unrecoverable ECDSA signature
+    error InvalidVoterSignature(address voter); // rejected by the named voter (ERC-1271 or ECDSA)
+    error InvalidMerkleProof(address voter);
+    error InvalidMerkleMultiproof();
+    error InvalidSupport(uint8 support);
+    error AlreadyVoted(address voter);
+    error StaleVoteVersion(address voter, uint256 version);
+    error VoteWeightsExceedPower(address voter, uint256 weights, uint256 power);
 
     constructor(uint256 chainId) Ownable(msg.sender) {
         DOMAIN_SEPARATOR = keccak256(
@@ -99,25 +230,134 @@ contract VoteVerifier is Ownable, ReentrancyGuard {
     //  Governance proposal registration
     // -----------------------------------------------------------------------
 
+    /// @notice Manual registration by the owner with explicit quorum and window. Published proposals are
+    /// normally mirrored instead (mirrorProposal / receiveMessage), so the fields cannot diverge from Chain A.
+    /// @param quorum Minimum total participating power (for + against + abstain) for the proposal to succeed.
+    /// @param voteStart First timestamp at which votes are counted.
+    /// @param voteEnd Last timestamp at which votes are counted; finalize is possible afterwards.
     function registerProposal(
         uint256 proposalId,
         bytes32 powerRoot,
         bytes32 actionDataHash,
-        uint256 threshold
+        uint256 quorum,
+        uint64 voteStart,
+        uint64 voteEnd
     ) external onlyOwner {
+        _register(proposalId, powerRoot, actionDataHash, quorum, voteStart, voteEnd);
+    }
+
+    function _register(
+        uint256 proposalId,
+        bytes32 powerRoot,
+        bytes32 actionDataHash,
+        uint256 quorum,
+        uint64 voteStart,
+        uint64 voteEnd
+    ) internal {
         require(proposalId != 0, "proposalId=0");
         require(powerRoot != bytes32(0), "powerRoot=0");
         require(actionDataHash != bytes32(0), "actionDataHash=0");
+        require(voteStart <= voteEnd, "invalid voting window");
+        require(voteEnd >= block.timestamp, "voteEnd in the past");
         ProposalInfo storage p = proposals[proposalId];
         require(!p.exists, "proposal exists");
 
         p.powerRoot = powerRoot;
         p.actionDataHash = actionDataHash;
-        p.threshold = threshold;
+        p.quorum = quorum;
+        p.voteStart = voteStart;
+        p.voteEnd = voteEnd;
         p.exists = true;
-        p.passed = false;
 
-        emit ProposalRegistered(proposalId, powerRoot, actionDataHash, threshold);
+        emit ProposalRegistered(proposalId, powerRoot, actionDataHash, quorum, voteStart, voteEnd);
+    }
+
+    // -----------------------------------------------------------------------
+    //  Proposal mirroring from Chain A
+    // -----------------------------------------------------------------------
+
+    /// @notice Mirror proposals published by `_publisher` on `_sourceChainId`.
+    function setProposalSource(uint256 _sourceChainId, address _publisher) external onlyOwner {
+        require(_publisher != address(0), "publisher=0");
+        proposalSourceChainId = _sourceChainId;
+        proposalPublisher = _publisher;
+        emit ProposalSourceUpdated(_sourceChainId, _publisher);
+    }
+
+    /// @notice Voting window and quorum applied to mirrored proposals from now on.
+    function setGovernanceParams(uint64 _votingDelay, uint64 _votingPeriod, uint256 _quorumBps) external onlyOwner {
+        require(_votingPeriod > 0, "votingPeriod=0");
+        require(_quorumBps <= BPS, "quorumBps > 10000");
+        votingDelay = _votingDelay;
+        votingPeriod = _votingPeriod;
+        quorumBps = _quorumBps;
+        emit GovernanceParamsUpdated(_votingDelay, _votingPeriod, _quorumBps);
+    }
+
+    /// @notice Replace the relayer set that attests mirrored proposals.
+    function setRelayers(address[] calldata newRelayers, uint256 newThreshold) external onlyOwner {
+        _setRelayers(newRelayers, newThreshold);
+    }
+
+    /// @notice EIP-712 digest a relayer signs to attest the ProposalCreated fields of `proposalId` on Chain A.
+    function proposalCreatedDigest(
+        uint256 proposalId,
+        bytes32 actionDataHash,
+        bytes32 powerRoot,
+        uint256 snapshotStake
+    ) public view returns (bytes32) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                PROPOSAL_CREATED_TYPEHASH,
+                proposalId,
+                actionDataHash,
+                powerRoot,
+                snapshotStake,
+                proposalSourceChainId,
+                proposalPublisher
+            )
+        );
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash));
+    }
+
+    /// @notice Register a published proposal from relayer signatures over its ProposalCreated fields. Callable by anyone.
+    /// @param signatures At least `threshold` relayer signatures, ordered by strictly ascending signer address.
+    function mirrorProposal(
+        uint256 proposalId,
+        bytes32 actionDataHash,
+        bytes32 powerRoot,
+        uint256 snapshotStake,
+        bytes[] calldata signatures
+    ) external {
+        require(proposalPublisher != address(0), "no proposal source");
+        _checkSignatures(proposalCreatedDigest(proposalId, actionDataHash, powerRoot, snapshotStake), signatures);
+        _registerMirrored(proposalId, actionDataHash, powerRoot, snapshotStake);
+    }
+
+    /// @notice Messenger path: `message` = abi.encode(proposalId, actionDataHash, powerRoot, snapshotStake)
+    /// sent by the publisher.
+    function receiveMessage(uint256 sourceChainId, address sender, bytes calldata message) external override {
+        require(address(messenger) != address(0) && msg.sender == address(messenger), "only messenger");
+        require(
+            proposalPublisher != address(0) && sourceChainId == proposalSourceChainId && sender == proposalPublisher,
+            "unknown message sender"
+        );
+        (uint256 proposalId, bytes32 actionDataHash, bytes32 powerRoot, uint256 snapshotStake) =
+            abi.decode(message, (uint256, bytes32, bytes32, uint256));
+        // Relayers may have mirrored it first; a late delivery is not an error for the bridge
+        if (proposals[proposalId].exists) return;
+        _registerMirrored(proposalId, actionDataHash, powerRoot, snapshotStake);
+    }
+
+    function _registerMirrored(uint256 proposalId, bytes32 actionDataHash, bytes32 powerRoot, uint256 snapshotStake)
+        internal
+    {
+        require(votingPeriod > 0, "governance params not set");
+        uint64 voteStart = uint64(block.timestamp) + votingDelay;
+        uint256 quorum = (snapshotStake * quorumBps) / BPS;
+        _register(proposalId, powerRoot, actionDataHash, quorum, voteStart, voteStart + votingPeriod);
+        proposals[proposalId].snapshotStake = snapshotStake;
+        emit ProposalMirrored(proposalId, snapshotStake, msg.sender);
     }
 
     // -----------------------------------------------------------------------
@@ -134,61 +374,271 @@ contract VoteVerifier is Ownable, ReentrancyGuard {
      *   - nonce: unique per-snapshot value matching the leaf
      *   - deadline: timestamp until which this vote is valid
      *   - power: voting weight at snapshot
-     *   - signature: EIP-712 signature for Vote(proposalId,support,nonce,deadline)
-     *   - merkleProof: proof showing leaf (signer,power,nonce) is in Merkle tree with root powerRoot
+     *   - voter: the voting account
+     *   - signature: EIP-712 signature for Vote(proposalId,voter,support,nonce,deadline)
+     *   - merkleProof: proof showing leaf (voter,power,nonce) is in Merkle tree with root powerRoot
      */
     function submitVotes(uint256 proposalId, VoteData[] calldata votes)
         external
         nonReentrant
     {
-        ProposalInfo storage p = proposals[proposalId];
-        require(p.exists, "proposal not registered");
-        require(!p.passed, "proposal already passed");
+        ProposalInfo storage p = _activeProposal(proposalId);
 
         uint256 len = votes.length;
         for (uint256 i = 0; i < len; ++i) {
             VoteData calldata v = votes[i];
-            require(block.timestamp <= v.deadline, "vote expired");
+            address voter = _verifyVote(proposalId, v.support, v.nonce, v.deadline, v.voter, v.signature);
 
-            // Compute EIP-712 hash
-            bytes32 structHash = keccak256(
-                abi.encode(VOTE_TYPEHASH, proposalId, v.support, v.nonce, v.deadline)
-            );
-            bytes32 digest = keccak256(
-                abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash)
-            );
+            // Verify Merkle proof of (voter,power,nonce)
+            bytes32 leaf = keccak256(abi.encodePacked(voter, v.power, v.nonce));
+            if (!MerkleProof.verify(v.merkleProof, p.powerRoot, leaf)) revert InvalidMerkleProof(voter);
+
+            _countVote(proposalId, voter, v.support, v.power);
+        }
+    }
+
+    /**
+     * @notice Submit a batch of votes whose leaves are proven together with one OpenZeppelin multiproof.
+     * @param proposalId The ID of the proposal being voted on.
+     * @param votes Votes ordered by their leaf position in the power tree (ascending).
+     * @param proof Multiproof sibling hashes (see MerkleProof.multiProofVerify).
+     * @param proofFlags Multiproof flags (see MerkleProof.multiProofVerify).
+     *
+     * All leaves (voter,power,nonce) are checked against powerRoot at once, which is cheaper in
+     * calldata and gas than one full proof per vote for large batches.
+     */
+    function submitVotesMultiProof(
+        uint256 proposalId,
+        BatchVoteData[] calldata votes,
+        bytes32[] calldata proof,
+        bool[] calldata proofFlags
+    ) external nonReentrant {
+        ProposalInfo storage p = _activeProposal(proposalId);
+
+        uint256 len = votes.length;
+        address[] memory voters = new address[](len);
+        bytes32[] memory leaves = new bytes32[](len);
+        for (uint256 i = 0; i < len; ++i) {
+            BatchVoteData calldata v = votes[i];
+            voters[i] = _verifyVote(proposalId, v.support, v.nonce, v.deadline, v.voter, v.signature);
+            leaves[i] = keccak256(abi.encodePacked(voters[i], v.power, v.nonce));
+        }
 
-            address signer = ECDSA.recover(digest, v.signature);
-            require(signer != address(0), "invalid signature"); 
+        if (!MerkleProof.multiProofVerifyCalldata(proof, proofFlags, p.powerRoot, leaves)) {
+            revert InvalidMerkleMultiproof();
+        }
+
+        for (uint256 i = 0; i < len; ++i) {
+            _countVote(proposalId, voters[i], votes[i].support, votes[i].power);
+        }
+    }
 
-            // Verify Merkle proof of (signer,power,nonce)
-            bytes32 leaf = keccak256(abi.encodePacked(signer, v.power, v.nonce));
-            require(
-                MerkleProof.verify(v.merkleProof, p.powerRoot, leaf),
-                "invalid merkle proof"
+    /**
+     * @notice Submit split votes for a proposal. A voter's latest split vote (highest version) replaces
+     * its earlier vote while voting is open; the previous weights are taken out of the tally.
+     * @param proposalId The ID of the proposal being voted on.
+     * @param votes Each element carries the weights, reason, version, deadline, leaf power, the EIP-712
+     * SplitVote signature and the Merkle proof of (voter,power,nonce).
+     */
+    function submitSplitVotes(uint256 proposalId, SplitVoteData[] calldata votes) external nonReentrant {
+        ProposalInfo storage p = _activeProposal(proposalId);
+
+        uint256 len = votes.length;
+        for (uint256 i = 0; i < len; ++i) {
+            SplitVoteData calldata v = votes[i];
+            address voter = _verifySplitVote(proposalId, v);
+
+            bytes32 leaf = keccak256(abi.encodePacked(voter, v.power, v.nonce));
+            if (!MerkleProof.verify(v.merkleProof, p.powerRoot, leaf)) revert InvalidMerkleProof(voter);
+            uint256 weights = v.forVotes + v.againstVotes + v.abstainVotes;
+            if (weights > v.power) revert VoteWeightsExceedPower(voter, weights, v.power);
+
+            _applyVote(
+                proposalId,
+                voter,
+                VoteReceipt(v.forVotes, v.againstVotes, v.abstainVotes, v.version),
+                v.reason
             );
+        }
+    }
+
+    // -----------------------------------------------------------------------
+    //  Outcome
+    // -----------------------------------------------------------------------
+
+    /**
+     * @notice Close voting on a proposal once voteEnd has passed. Callable by anyone.
+     * Emits ProposalFinalized, plus ProposalPassed when the proposal Succeeded.
+     */
+    function finalize(uint256 proposalId) external returns (ProposalState outcome) {
+        ProposalInfo storage p = proposals[proposalId];
+        require(p.exists, "proposal not registered");
+        require(!p.finalized, "already finalized");
+        require(block.timestamp > p.voteEnd, "voting not ended");
+
+        outcome = _outcome(proposalId, p);
+        p.finalized = true;
+        p.passed = outcome == ProposalState.Succeeded;
+
+        uint256 forVotes = proposalVotes[proposalId][uint8(Support.For)];
+        emit ProposalFinalized(
+            proposalId,
+            outcome,
+            forVotes,
+            proposalVotes[proposalId][uint8(Support.Against)],
+            proposalVotes[proposalId][uint8(Support.Abstain)]
+        );
+        if (p.passed) {
+            emit ProposalPassed(proposalId, p.actionDataHash, forVotes, p.quorum);
+        }
+    }
+
+    // -----------------------------------------------------------------------
+    //  Cross-chain messaging
+    // -----------------------------------------------------------------------
+
+    /// @notice Route passed outcomes through `_messenger` to `_executor` on `_destinationChainId`.
+    /// Pass address(0) as messenger to turn the hook off.
+    function setMessenger(address _messenger, uint256 _destinationChainId, address _executor) external onlyOwner {
+        require(_messenger == address(0) || _executor != address(0), "executor=0");
+        messenger = ICrossChainMessenger(_messenger);
+        destinationChainId = _destinationChainId;
+        destinationExecutor = _executor;
+        emit MessengerUpdated(_messenger, _destinationChainId, _executor);
+    }
+
+    /// @notice Send a passed outcome through the messenger; msg.value pays the bridge fee if any. Permissionless,
+    /// and may be called again after a failed send or a messenger change (the executor ignores repeats).
+    function sendOutcome(uint256 proposalId) external payable returns (bytes32 messageId) {
+        require(address(messenger) != address(0), "no messenger");
+        ProposalInfo storage p = proposals[proposalId];
+        require(p.passed, "proposal not passed");
+        messageId = messenger.sendMessage{value: msg.value}(
+            destinationChainId,
+            destinationExecutor,
+            abi.encode(proposalId, p.actionDataHash)
+        );
+        emit OutcomeSent(proposalId, messageId);
+    }
 
-            require(!hasVoted[proposalId][signer], "already voted");
-            hasVoted[proposalId][signer] = true;
-
-            // Tally votes
-            proposalVotes[proposalId][v.support] += v.power;
-            emit VoteCounted(proposalId, signer, v.support, v.power);
-
-            // Check threshold
-            if (
-                proposalVotes[proposalId][uint8(Support.For)] >= p.threshold
-            ) {
-                p.passed = true;
-                emit ProposalPassed(
-                    proposalId,
-                    p.actionDataHash,
-                    proposalVotes[proposalId][uint8(Support.For)],
-                    p.threshold
-                );
-                return; // stop early once threshold reached
+    /// @dev Checks the deadline and the voter's signature over Vote(proposalId,voter,support,nonce,deadline);
+    /// returns the voter.
+    function _verifyVote(
+        uint256 proposalId,
+        uint8 support,
+        uint256 nonce,
+        uint256 deadline,
+        address voter,
+        bytes calldata signature
+    ) internal view returns (address) {
+        if (block.timestamp > deadline) revert VoteExpired(deadline);
+
+        // Compute EIP-712 hash
+        bytes32 structHash = keccak256(
+            abi.encode(VOTE_TYPEHASH, proposalId, voter, support, nonce, deadline)
+        );
+        return _checkVoteSignature(structHash, voter, signature);
+    }
+
+    /// @dev Checks the deadline and the voter's signature over a SplitVote; returns the voter.
+    function _verifySplitVote(uint256 proposalId, SplitVoteData calldata v) internal view returns (address) {
+        if (block.timestamp > v.deadline) revert VoteExpired(v.deadline);
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                SPLIT_VOTE_TYPEHASH,
+                proposalId,
+                v.voter,
+                v.forVotes,
+                v.againstVotes,
+                v.abstainVotes,
+                v.nonce,
+                v.version,
+                v.deadline,
+                keccak256(bytes(v.reason))
+            )
+        );
+        return _checkVoteSignature(structHash, v.voter, v.signature);
+    }
+
+    /// @dev Contract voters are checked with ERC-1271, EOAs with ECDSA. Malformed ECDSA signatures
+    /// revert with InvalidSignature, valid signatures of another account with InvalidVoterSignature.
+    function _checkVoteSignature(bytes32 structHash, address voter, bytes calldata signature)
+        internal
+        view
+        returns (address)
+    {
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash));
+        if (voter.code.length != 0) {
+            if (!SignatureChecker.isValidERC1271SignatureNowCalldata(voter, digest, signature)) {
+                revert InvalidVoterSignature(voter);
             }
+            return voter;
         }
+        (address signer, ECDSA.RecoverError err, ) = ECDSA.tryRecoverCalldata(digest, signature);
+        if (err != ECDSA.RecoverError.NoError) revert InvalidSignature();
+        if (signer != voter) revert InvalidVoterSignature(voter);
+        return voter;
+    }
+
+    /// @dev Loads a proposal that is accepting votes.
+    function _activeProposal(uint256 proposalId) internal view returns (ProposalInfo storage p) {
+        p = proposals[proposalId];
+        if (!p.exists) revert ProposalNotRegistered(proposalId);
+        if (block.timestamp < p.voteStart) revert VotingNotStarted(proposalId, p.voteStart);
+        if (block.timestamp > p.voteEnd || p.finalized) revert VotingClosed(proposalId);
+    }
+
+    /// @dev Records a proven single-support vote; it cannot replace an earlier vote.
+    function _countVote(uint256 proposalId, address voter, uint8 support, uint256 power) internal {
+        if (support > uint8(Support.Abstain)) revert InvalidSupport(support);
+        if (hasVoted[proposalId][voter]) revert AlreadyVoted(voter);
+
+        VoteReceipt memory receipt;
+        if (support == uint8(Support.For)) receipt.forVotes = power;
+        else if (support == uint8(Support.Against)) receipt.againstVotes = power;
+        else receipt.abstainVotes = power;
+        _applyVote(proposalId, voter, receipt, "");
+    }
+
+    /// @dev Records a proven vote, replacing the voter's previous one if `receipt` has a higher version.
+    function _applyVote(uint256 proposalId, address voter, VoteReceipt memory receipt, string memory reason) internal {
+        mapping(uint8 => uint256) storage tally = proposalVotes[proposalId];
+        VoteReceipt storage previous = voteReceipts[proposalId][voter];
+        if (hasVoted[proposalId][voter]) {
+            if (receipt.version <= previous.version) revert StaleVoteVersion(voter, receipt.version);
+            tally[uint8(Support.For)] -= previous.forVotes;
+            tally[uint8(Support.Against)] -= previous.againstVotes;
+            tally[uint8(Support.Abstain)] -= previous.abstainVotes;
+        } else {
+            hasVoted[proposalId][voter] = true;
+        }
+
+        // Tally votes
+        tally[uint8(Support.For)] += receipt.forVotes;
+        tally[uint8(Support.Against)] += receipt.againstVotes;
+        tally[uint8(Support.Abstain)] += receipt.abstainVotes;
+        voteReceipts[proposalId][voter] = receipt;
+        emit VoteCounted(
+            proposalId,
+            voter,
+            receipt.forVotes,
+            receipt.againstVotes,
+            receipt.abstainVotes,
+            receipt.version,
+            reason
+        );
+    }
+
+    /// @dev Succeeded if quorum is reached and For beats Against, Defeated otherwise.
+    function _outcome(uint256 proposalId, ProposalInfo storage p) internal view returns (ProposalState) {
+        uint256 forVotes = proposalVotes[proposalId][uint8(Support.For)];
+        uint256 againstVotes = proposalVotes[proposalId][uint8(Support.Against)];
+        uint256 participating = forVotes + againstVotes + proposalVotes[proposalId][uint8(Support.Abstain)];
+        if (participating >= p.quorum && forVotes > againstVotes) {
+            return ProposalState.Succeeded;
+        }
+        return ProposalState.Defeated;
     }
 
     // -----------------------------------------------------------------------
@@ -201,7 +651,11 @@ contract VoteVerifier is Ownable, ReentrancyGuard {
         returns (
             uint256 forVotes,
             uint256 againstVotes,
-            uint256 abstainVotes
+            uint256 abstainVotes,
+            uint256 quorum,
+            uint64 voteStart,
+            uint64 voteEnd,
+            ProposalState currentState
         )
     {
         ProposalInfo storage p = proposals[proposalId];
@@ -209,6 +663,23 @@ contract VoteVerifier is Ownable, ReentrancyGuard {
         forVotes = proposalVotes[proposalId][uint8(Support.For)];
         againstVotes = proposalVotes[proposalId][uint8(Support.Against)];
         abstainVotes = proposalVotes[proposalId][uint8(Support.Abstain)];
+        quorum = p.quorum;
+        voteStart = p.voteStart;
+        voteEnd = p.voteEnd;
+        currentState = state(proposalId);
+    }
+
+    /// @notice Lifecycle state. After voteEnd the outcome is reported even before finalize is called;
+    /// only finalize (or adminMarkPassed) emits the events the relayer forwards.
+    function state(uint256 proposalId) public view returns (ProposalState) {
+        ProposalInfo storage p = proposals[proposalId];
+        require(p.exists, "proposal not registered");
+        if (p.finalized) {
+            return p.passed ? ProposalState.Succeeded : ProposalState.Defeated;
+        }
+        if (block.timestamp < p.voteStart) return ProposalState.Pending;
+        if (block.timestamp <= p.voteEnd) return ProposalState.Active;
+        return _outcome(proposalId, p);
     }
 
     function isPassed(uint256 proposalId) external view returns (bool) {
@@ -220,12 +691,13 @@ contract VoteVerifier is Ownable, ReentrancyGuard {
         ProposalInfo storage p = proposals[proposalId];
         require(p.exists, "proposal not registered");
         require(!p.passed, "already passed");
+        p.finalized = true;
         p.passed = true;
         emit ProposalPassed(
             proposalId,
             p.actionDataHash,
             proposalVotes[proposalId][uint8(Support.For)],
-            p.threshold
+            p.quorum
         );
     }
 }
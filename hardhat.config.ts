@@ -9,6 +9,13 @@ const config: HardhatUserConfig = {
     profiles: {
       default: {
         version: "0.8.28",
+        // VoteVerifier exceeds the 24 KiB code size limit without the optimizer
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
+        },
       },
       production: {
         version: "0.8.28",
@@ -30,6 +37,17 @@ const config: HardhatUserConfig = {
       type: "edr-simulated",
       chainType: "op",
     },
+    // Local two-chain setup (scripts/run_demo.sh); scripts/deploy.js deploys the Ignition modules to these
+    chainA: {
+      type: "http",
+      chainType: "l1",
+      url: process.env.CHAIN_A_RPC ?? "http://127.0.0.1:8545",
+    },
+    chainB: {
+      type: "http",
+      chainType: "l1",
+      url: process.env.CHAIN_B_RPC ?? "http://127.0.0.1:8546",
+    },
     sepolia: {
       type: "http",
       chainType: "l1",
@@ -0,0 +1,27 @@
+// ignition/modules/ChainA.js
+// Chain A (stake chain): the staked asset, LiquidStakingVault, GovernanceRootPublisher and GovernanceExecutor,
+// with the executor installed as the vault's governance.
+// Parameters `verifier` and `verifierChainId` come from the ChainB deployment; `messenger` is the Chain A
+// MockMessenger of the bridge path (MockMessenger.js), fixed at deployment since only governance can change it.
+
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+
+export default buildModule("ChainA", m => {
+  const asset = m.contract("MockERC20", ["Mock Asset", "MCK"]);
+  const vault = m.contract("LiquidStakingVault", [asset, "LST Shares", "LSTS", m.getParameter("unbondingPeriod", 86400)]);
+  const publisher = m.contract("GovernanceRootPublisher", [vault]);
+
+  const executor = m.contract("GovernanceExecutor", [
+    publisher,
+    m.getParameter("verifierChainId"),
+    m.getParameter("verifier"),
+    m.getParameter("relayers"),
+    m.getParameter("relayerThreshold", 2),
+    m.getParameter("guardian"),
+    m.getParameter("timelockDelay", 3600), // seconds between attestation and execution
+    m.getParameter("messenger", "0x0000000000000000000000000000000000000000"), // none: relayer signatures only
+  ]);
+  m.call(vault, "setGovernanceExecutor", [executor]);
+
+  return { asset, vault, publisher, executor };
+});
@@ -0,0 +1,16 @@
+// ignition/modules/ChainABridge.js
+// Bridge path on Chain A: a MockMessenger that carries new proposals to Chain B and delivers outcomes
+// to the executor. Pairs with ChainBBridge on Chain B.
+// The executor takes its messenger as a constructor argument (ChainA's `messenger` parameter), so deploy
+// MockMessenger.js first and pass its address; this module only wires the publisher.
+
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+import ChainA from "./ChainA.js";
+import MockMessenger from "./MockMessenger.js";
+
+export default buildModule("ChainABridge", m => {
+  const { publisher, executor } = m.useModule(ChainA);
+  const { messenger } = m.useModule(MockMessenger);
+  m.call(publisher, "setMessenger", [messenger, m.getParameter("verifierChainId"), m.getParameter("verifier")]);
+  return { messenger, publisher, executor };
+});
@@ -0,0 +1,21 @@
+// ignition/modules/ChainB.js
+// Chain B (verify chain): the VoteVerifier with its relayer set and governance parameters.
+// Deploy it before ChainA: the executor on Chain A is constructed with the verifier's address.
+// Once ChainA is deployed, ProposalSource points the verifier at its publisher.
+
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+
+export default buildModule("ChainB", m => {
+  // EIP-712 domain chain id of the verifier: Chain B's own
+  const verifier = m.contract("VoteVerifier", [m.getParameter("chainId")]);
+
+  // mirrored proposals: voting opens after votingDelay, lasts votingPeriod, quorum = quorumBps of the snapshot stake
+  m.call(verifier, "setGovernanceParams", [
+    m.getParameter("votingDelay", 0),
+    m.getParameter("votingPeriod", 86400),
+    m.getParameter("quorumBps", 5000),
+  ]);
+  m.call(verifier, "setRelayers", [m.getParameter("relayers"), m.getParameter("relayerThreshold", 2)]);
+
+  return { verifier };
+});
@@ -0,0 +1,14 @@
+// ignition/modules/ChainBBridge.js
+// Bridge path on Chain B: a MockMessenger that delivers proposals to the verifier and carries outcomes
+// to the executor on Chain A. Pairs with ChainABridge on Chain A.
+
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+import ChainB from "./ChainB.js";
+import MockMessenger from "./MockMessenger.js";
+
+export default buildModule("ChainBBridge", m => {
+  const { verifier } = m.useModule(ChainB);
+  const { messenger } = m.useModule(MockMessenger);
+  m.call(verifier, "setMessenger", [messenger, m.getParameter("sourceChainId"), m.getParameter("executor")]);
+  return { messenger, verifier };
+});
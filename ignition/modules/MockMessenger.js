@@ -0,0 +1,10 @@
+// ignition/modules/MockMessenger.js
+// A MockMessenger for the bridge path; ChainABridge and ChainBBridge deploy one per chain and wire it up.
+
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+
+export default buildModule("MockMessenger", m => {
+  // the account allowed to relay messages: the operator of scripts/bridge-relay.js
+  const messenger = m.contract("MockMessenger", [m.getParameter("relayer")]);
+  return { messenger };
+});
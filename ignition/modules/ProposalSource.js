@@ -0,0 +1,12 @@
+// ignition/modules/ProposalSource.js
+// Second Chain B step: lets the verifier mirror proposals from the ChainA publisher.
+// Deployed to Chain B after ChainA; it reuses the verifier from the ChainB deployment.
+
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+import ChainB from "./ChainB.js";
+
+export default buildModule("ProposalSource", m => {
+  const { verifier } = m.useModule(ChainB);
+  m.call(verifier, "setProposalSource", [m.getParameter("sourceChainId"), m.getParameter("publisher")]);
+  return { verifier };
+});
@@ -0,0 +1,37 @@
+// scripts/actions.js
+// actionData helpers for GovernanceExecutor.
+// ActionData format: abi.encode(Call[] calls) with Call = (address target, uint256 value, bytes data)
+
+import { ethers } from "ethers";
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+// GovernanceExecutor.ExecutionState, indexed by its on-chain value
+export const EXECUTION_STATES = ["None", "Queued", "Ready", "Executed", "Canceled", "Expired"];
+
+export const CALLS_TYPE = "tuple(address target, uint256 value, bytes data)[]";
+
+/**
+ * Calldata for `signature` (e.g. "setUnbondingPeriod(uint256)") called with `args`.
+ */
+export function encodeCall(signature, args = []) {
+  const iface = new ethers.Interface([`function ${signature}`]);
+  return iface.encodeFunctionData(iface.fragments[0], args);
+}
+
+/**
+ * @param {{target: string, value?: bigint|number|string, data: string}[]} calls executed in order
+ */
+export function encodeActionData(calls) {
+  if (!Array.isArray(calls) || calls.length === 0) throw new Error("actionData needs at least one call");
+  return coder.encode([CALLS_TYPE], [calls.map(c => [c.target, c.value ?? 0n, c.data ?? "0x"])]);
+}
+
+export function decodeActionData(actionData) {
+  const [calls] = coder.decode([CALLS_TYPE], actionData);
+  return calls.map(c => ({ target: c.target, value: c.value, data: c.data }));
+}
+
+export function actionDataHash(actionData) {
+  return ethers.keccak256(actionData);
+}
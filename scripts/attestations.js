@@ -0,0 +1,129 @@
+// scripts/attestations.js
+// EIP-712 relayer attestations:
+// - GovernanceExecutor: ProposalOutcome(proposalId,actionDataHash,sourceChainId,verifier)
+// - VoteVerifier:       ProposalCreated(proposalId,actionDataHash,powerRoot,snapshotStake,sourceChainId,publisher)
+//   (signed under the verifier's own domain, see voteDomain in votes.js)
+//
+// Each relayer signs what it observed on the other chain and drops the signature into a shared
+// signature store; once `threshold` relayers have signed, anyone can submit them
+// (markProposalPassed / mirrorProposal).
+
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+import { readJson, writeJson } from "./utils.js";
+
+export const OUTCOME_TYPES = {
+  ProposalOutcome: [
+    { name: "proposalId", type: "uint256" },
+    { name: "actionDataHash", type: "bytes32" },
+    { name: "sourceChainId", type: "uint256" },
+    { name: "verifier", type: "address" },
+  ],
+};
+
+export const PROPOSAL_CREATED_TYPES = {
+  ProposalCreated: [
+    { name: "proposalId", type: "uint256" },
+    { name: "actionDataHash", type: "bytes32" },
+    { name: "powerRoot", type: "bytes32" },
+    { name: "snapshotStake", type: "uint256" },
+    { name: "sourceChainId", type: "uint256" },
+    { name: "publisher", type: "address" },
+  ],
+};
+
+/**
+ * EIP-712 domain of a deployed GovernanceExecutor, checked against its DOMAIN_SEPARATOR.
+ * @param {ethers.Contract} executor GovernanceExecutor contract
+ */
+export async function outcomeDomain(executor) {
+  const provider = executor.runner.provider ?? executor.runner;
+  const { chainId } = await provider.getNetwork();
+  const domain = {
+    name: await executor.NAME(),
+    version: await executor.VERSION(),
+    chainId,
+    verifyingContract: await executor.getAddress(),
+  };
+  const expected = await executor.DOMAIN_SEPARATOR();
+  if (ethers.TypedDataEncoder.hashDomain(domain) !== expected) {
+    throw new Error(`EIP-712 domain mismatch for GovernanceExecutor ${domain.verifyingContract}`);
+  }
+  return domain;
+}
+
+export async function signOutcome(signer, domain, { proposalId, actionDataHash, sourceChainId, verifier }) {
+  return signer.signTypedData(domain, OUTCOME_TYPES, { proposalId, actionDataHash, sourceChainId, verifier });
+}
+
+export async function signProposalCreated(signer, domain, fields) {
+  const { proposalId, actionDataHash, powerRoot, snapshotStake, sourceChainId, publisher } = fields;
+  const message = { proposalId, actionDataHash, powerRoot, snapshotStake, sourceChainId, publisher };
+  return signer.signTypedData(domain, PROPOSAL_CREATED_TYPES, message);
+}
+
+/**
+ * Keep one valid signature per signer from `relayers` and order them as the contracts expect
+ * (ascending signer address). Signatures over a different message or from outsiders are dropped.
+ * @param {object} domain EIP-712 domain of the contract that checks the signatures
+ * @param {object} message signed message (ProposalOutcome by default)
+ * @param {string[]} signatures
+ * @param {string[]} relayers current relayer set of that contract
+ * @param {object} [types] OUTCOME_TYPES or PROPOSAL_CREATED_TYPES
+ * @returns {{signer: string, signature: string}[]}
+ */
+export function collectSignatures(domain, message, signatures, relayers, types = OUTCOME_TYPES) {
+  const allowed = new Set(relayers.map(r => ethers.getAddress(r)));
+  const bySigner = new Map();
+  for (const signature of signatures) {
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(domain, types, message, signature);
+    } catch {
+      continue;
+    }
+    if (allowed.has(signer) && !bySigner.has(signer)) bySigner.set(signer, signature);
+  }
+  return [...bySigner.entries()]
+    .map(([signer, signature]) => ({ signer, signature }))
+    .sort((a, b) => (BigInt(a.signer) < BigInt(b.signer) ? -1 : 1));
+}
+
+/**
+ * Signature store shared by the relayers of one deployment, keyed by attestation:
+ * the proposalId for outcomes, `created-<proposalId>` for mirrored proposals.
+ * With a directory each signature is its own file (<dir>/<key>/<signer>.json), so relayer
+ * processes sharing the directory never overwrite each other; without one it is kept in memory.
+ * @param {string} [dir]
+ */
+export function createSignatureStore(dir) {
+  const memory = new Map();
+
+  function add(key, signer, signature) {
+    const id = String(key);
+    if (!dir) {
+      if (!memory.has(id)) memory.set(id, new Map());
+      memory.get(id).set(signer, signature);
+      return;
+    }
+    const file = path.join(dir, id, `${signer.toLowerCase()}.json`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    writeJson(tmp, { signer, signature });
+    fs.renameSync(tmp, file);
+  }
+
+  function list(key) {
+    const id = String(key);
+    if (!dir) return [...(memory.get(id)?.values() ?? [])];
+    const keyDir = path.join(dir, id);
+    if (!fs.existsSync(keyDir)) return [];
+    return fs
+      .readdirSync(keyDir)
+      .filter(f => f.endsWith(".json"))
+      .map(f => readJson(path.join(keyDir, f)).signature);
+  }
+
+  return { add, list };
+}
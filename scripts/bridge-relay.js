@@ -0,0 +1,213 @@
+// scripts/bridge-relay.js
+// Delivery process for the local mock bridge: watches MockMessenger.MessageSent on the source chain,
+// waits for confirmations and calls relayMessage on the destination chain's MockMessenger.
+// A message its target rejects is kept in a pending file next to the cursor and retried on every poll until it is
+// delivered, or for at most --pending-ttl seconds; the cursor moves on so later messages are not held up.
+//
+// With a real bridge this process is replaced by the bridge's own infrastructure; VoteVerifier and
+// GovernanceExecutor only see the ICrossChainMessenger / IMessageReceiver interfaces.
+//
+// Usage (against the nodes started by scripts/run_demo.sh, Chain B -> Chain A by default):
+//   node scripts/bridge-relay.js --source <MockMessenger on B> --destination <MockMessenger on A> [--once]
+//                                [--pending-ttl <seconds>]
+
+import fs from "fs";
+import path from "path";
+import minimist from "minimist";
+import {
+  CHAIN_A_RPC,
+  CHAIN_B_RPC,
+  STATE_DIR,
+  getProvider,
+  getWallet,
+  getMnemonicWallet,
+  getContract,
+  loadCursor,
+  saveCursor,
+  getHeadBlock,
+  readJson,
+  writeJson,
+  sleep,
+  isMain,
+} from "./utils.js";
+
+const DEFAULTS = {
+  confirmations: 2,
+  pollIntervalMs: 4000,
+  maxBlockRange: 2000,
+  pendingTtlMs: 7 * 86400 * 1000, // how long a rejected message is retried
+};
+
+/**
+ * Create a bridge relay between two MockMessenger deployments.
+ * @param {object} opts
+ * @param {ethers.Contract} opts.source MockMessenger on the source chain (read only)
+ * @param {ethers.Contract} opts.destination MockMessenger on the destination chain, connected to its relayer signer
+ * @param {string} opts.cursorPath JSON file holding the last processed source block
+ * @param {number} [opts.startBlock] first source block to scan when no cursor exists
+ * @param {string} [opts.pendingPath] JSON file of the rejected messages being retried (default: next to cursorPath)
+ * @param {number} [opts.pendingTtlMs] how long a rejected message is retried (default 7 days)
+ */
+export function createBridgeRelay(opts) {
+  const cfg = { ...DEFAULTS };
+  for (const [k, v] of Object.entries(opts)) if (v !== undefined) cfg[k] = v;
+  const { source, destination, cursorPath } = cfg;
+  const log = cfg.log || ((...args) => console.log("[bridge]", ...args));
+  const sourceProvider = source.runner.provider ?? source.runner;
+  const pendingPath = cfg.pendingPath ?? cursorPath.replace(/\.json$/, "") + "-pending.json";
+  let chains;
+  let stopped = false;
+  // messages the destination rejected, retried every poll: { [messageId]: { blockNumber, sender, target, message, since } }
+  const pending = fs.existsSync(pendingPath) ? readJson(pendingPath) : {};
+
+  function savePending() {
+    fs.mkdirSync(path.dirname(pendingPath), { recursive: true });
+    writeJson(pendingPath, pending);
+  }
+
+  // Forget a message that no longer needs retrying
+  function settle(messageId, status) {
+    if (pending[messageId]) {
+      delete pending[messageId];
+      savePending();
+    }
+    return status;
+  }
+
+  async function getChains() {
+    if (!chains) {
+      const destinationProvider = destination.runner.provider ?? destination.runner;
+      chains = {
+        source: (await sourceProvider.getNetwork()).chainId,
+        destination: (await destinationProvider.getNetwork()).chainId,
+      };
+    }
+    return chains;
+  }
+
+  // Deliver one MessageSent event. Returns a short status string; a message the target rejects is kept for retry.
+  async function deliver(ev) {
+    const { messageId, sender, target, message } = ev.args;
+    if (await destination.delivered(messageId)) return settle(messageId, "already delivered");
+
+    const args = [messageId, (await getChains()).source, sender, target, message];
+    try {
+      await destination.relayMessage.staticCall(...args);
+    } catch (err) {
+      // anything but a revert (e.g. the RPC is down) fails the poll, which leaves the cursor before this message;
+      // ethers reports reverts as CALL_EXCEPTION, an in-process Hardhat node with JSON-RPC's "execution reverted" (3)
+      if (err.code !== "CALL_EXCEPTION" && err.code !== 3) throw err;
+      // the target may accept it later, e.g. once governance configures its messenger
+      pending[messageId] ??= { blockNumber: ev.blockNumber, sender, target, message, since: Date.now() };
+      savePending();
+      return `rejected by ${target}, will retry: ${err.shortMessage || err.message}`;
+    }
+    const receipt = await (await destination.relayMessage(...args)).wait();
+    return settle(messageId, `delivered in tx ${receipt.hash}`);
+  }
+
+  // Retry the messages rejected by earlier polls
+  async function retryPending() {
+    for (const [messageId, { blockNumber, sender, target, message, since }] of Object.entries(pending)) {
+      if (Date.now() - since > cfg.pendingTtlMs) {
+        log(`message ${messageId} (block ${blockNumber}): gave up retrying`);
+        settle(messageId);
+        continue;
+      }
+      const status = await deliver({ blockNumber, args: { messageId, sender, target, message } });
+      log(`pending message ${messageId} (block ${blockNumber}): ${status}`);
+    }
+  }
+
+  /**
+   * Retry the rejected messages, then process every confirmed source block after the cursor.
+   * @returns {Promise<number>} number of messages for the destination chain seen
+   */
+  async function pollOnce() {
+    await retryPending();
+
+    const head = await getHeadBlock(sourceProvider);
+    const safeBlock = head - cfg.confirmations;
+
+    let cursor = loadCursor(cursorPath);
+    if (cursor === null) cursor = (cfg.startBlock ?? 0) - 1;
+    if (safeBlock <= cursor) return 0;
+
+    const filter = source.filters.MessageSent(null, (await getChains()).destination);
+    let seen = 0;
+    for (let from = cursor + 1; from <= safeBlock; from += cfg.maxBlockRange) {
+      const to = Math.min(from + cfg.maxBlockRange - 1, safeBlock);
+      for (const ev of await source.queryFilter(filter, from, to)) {
+        // a failure here leaves the cursor before this range so the message is retried next poll
+        const status = await deliver(ev);
+        log(`message ${ev.args.messageId} (block ${ev.blockNumber}): ${status}`);
+        seen++;
+      }
+      saveCursor(cursorPath, to);
+    }
+    return seen;
+  }
+
+  async function run() {
+    const { source: from, destination: to } = await getChains();
+    log(`relaying MockMessenger ${await source.getAddress()} (chain ${from}) -> chain ${to}`);
+    while (!stopped) {
+      try {
+        await pollOnce();
+      } catch (err) {
+        log("poll failed:", err.shortMessage || err.message);
+      }
+      if (!stopped) await sleep(cfg.pollIntervalMs);
+    }
+  }
+
+  function stop() {
+    stopped = true;
+  }
+
+  return { pollOnce, deliver, run, stop };
+}
+
+async function main() {
+  const argv = minimist(process.argv.slice(2), {
+    string: ["source", "destination", "key", "cursor", "source-rpc", "destination-rpc"],
+    boolean: ["once"],
+  });
+  if (!argv.source || !argv.destination) {
+    throw new Error("usage: bridge-relay.js --source <MockMessenger> --destination <MockMessenger> [--once]");
+  }
+
+  const sourceProvider = getProvider(argv["source-rpc"] || CHAIN_B_RPC);
+  const destinationProvider = getProvider(argv["destination-rpc"] || CHAIN_A_RPC);
+
+  // Local default: mnemonic account #4 (the demo's bridge operator)
+  const key = argv.key || process.env.BRIDGE_PRIVATE_KEY;
+  const signer = key ? getWallet(key, destinationProvider) : getMnemonicWallet(4, destinationProvider);
+
+  const { chainId } = await sourceProvider.getNetwork();
+  const relay = createBridgeRelay({
+    source: getContract("MockMessenger", argv.source, sourceProvider),
+    destination: getContract("MockMessenger", argv.destination, signer),
+    cursorPath: argv.cursor || path.join(STATE_DIR, `bridge-${chainId}-${argv.source.toLowerCase()}.json`),
+    startBlock: argv["from-block"] !== undefined ? Number(argv["from-block"]) : undefined,
+    confirmations: argv.confirmations !== undefined ? Number(argv.confirmations) : undefined,
+    pollIntervalMs: argv.interval !== undefined ? Number(argv.interval) : undefined,
+    pendingTtlMs: argv["pending-ttl"] !== undefined ? Number(argv["pending-ttl"]) * 1000 : undefined,
+  });
+
+  console.log(`[bridge] signer ${signer.address}`);
+  if (argv.once) {
+    await relay.pollOnce();
+    return;
+  }
+  process.on("SIGINT", relay.stop);
+  process.on("SIGTERM", relay.stop);
+  await relay.run();
+}
+
+if (isMain(import.meta.url)) {
+  main().catch(err => {
+    console.error("Bridge relay error:", err);
+    process.exit(1);
+  });
+}
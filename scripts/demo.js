@@ -1,90 +1,29 @@
 // scripts/demo.js
-// Demo script that deploys on two local Hardhat nodes (ChainA @ 8545, ChainB @ 8546)
-// and runs the entire flow: stake -> publish proposal -> snapshot & Merkle -> off-chain signing -> verify votes -> relay -> execute.
-
-import fs from "fs";
-import { fileURLToPath } from "url";
-import path,{dirname} from "path";
+// Demo script for two local Hardhat nodes (ChainA @ 8545, ChainB @ 8546): runs one governance round against the
+// contracts scripts/deploy.js deployed (deployments/<chainId>.json):
+// stake -> publish proposal -> snapshot & Merkle -> off-chain signing -> verify votes -> relay -> execute.
+// Run it again for another round on the same deployment.
+// `--bridge` carries the proposal to Chain B and the outcome back to Chain A through MockMessenger and
+// scripts/bridge-relay.js instead of relayer signatures.
+
+import path from "path";
 import { ethers,NonceManager } from "ethers";
+import { CHAIN_A_RPC, CHAIN_B_RPC, STATE_DIR, getContract, getMnemonicWallet, getHeadBlock } from "./utils.js";
+import { loadDeployment, deploymentPath } from "./deployments.js";
+import { encodeCall, encodeActionData, actionDataHash as hashActionData } from "./actions.js";
+import { createRelayer } from "./relayer.js";
+import { createSignatureStore } from "./attestations.js";
+import { createBridgeRelay } from "./bridge-relay.js";
+import { buildSnapshot } from "./snapshot.js";
+import { buildMetadata, hashMetadata, canonicalJson, checkPublishedMetadata } from "./metadata.js";
+import { createDecoder } from "./simulate.js";
+import { SUPPORT, PROPOSAL_STATES, voteDomain, signVote } from "./votes.js";
+import { createVoteService, createVoteStore } from "./vote-server.js";
 
 const WAD = ethers.parseEther("1");
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// --- Configuration ---
-const CHAIN_A_RPC = "http://127.0.0.1:8545"; // Chain A (stake chain)
-const CHAIN_B_RPC = "http://127.0.0.1:8546"; // Chain B (verify chain)
-
-// Default Hardhat mnemonic (used by local nodes) - ensures same addresses on both chains
-const MNEMONIC = "test test test test test test test test test test test junk";
 
 const NUM_USERS = 4; // number of demo users to create / use
-
-// Helper paths to compiled artifacts (Hardhat outputs)
-function artifactPath(contractName) {
-  return path.join(__dirname, "..", "artifacts", "contracts", `${contractName}.sol`, `${contractName}.json`);
-}
-
-// --- Merkle helpers (same logic as tests) ---
-function keccak256Bytes(hex) {
-  return ethers.keccak256(hex);
-}
-
-function leafHash(address, powerBN, nonce) {
-  // abi.encodePacked(address, uint256 power, uint256 nonce)
-  return keccak256Bytes(
-    ethers.solidityPacked(["address", "uint256", "uint256"], [address, powerBN.toString(), nonce.toString()])
-  );
-}
-
-// Lexicographic pair sort (OpenZeppelin MerkleProof._hashPair behaviour)
-function hashPair(a, b) {
-  if (a === b) {
-    return keccak256Bytes(ethers.concat([a, b]));
-  }
-  const aBytes = ethers.getBytes(a);
-  const bBytes = ethers.getBytes(b);
-  const len = Math.min(aBytes.length, bBytes.length);
-  for (let i = 0; i < len; i++) {
-    if (aBytes[i] < bBytes[i]) {
-      return keccak256Bytes(ethers.concat([a, b]));
-    } else if (aBytes[i] > bBytes[i]) {
-      return keccak256Bytes(ethers.concat([b, a]));
-    }
-  }
-  return keccak256Bytes(ethers.concat([a, b]));
-}
-
-function buildMerkleTree(leaves) {
-  if (leaves.length === 0) return { root: ethers.ZeroHash, layers: [leaves] };
-  const layers = [leaves];
-  while (layers[layers.length - 1].length > 1) {
-    const cur = layers[layers.length - 1];
-    const next = [];
-    for (let i = 0; i < cur.length; i += 2) {
-      if (i + 1 === cur.length) {
-        next.push(hashPair(cur[i], cur[i]));
-      } else {
-        next.push(hashPair(cur[i], cur[i + 1]));
-      }
-    }
-    layers.push(next);
-  }
-  return { root: layers[layers.length - 1][0], layers };
-}
-
-function getProof(layers, index) {
-  const proof = [];
-  let idx = index;
-  for (let i = 0; i < layers.length - 1; i++) {
-    const layer = layers[i];
-    const pairIndex = idx ^ 1;
-    if (pairIndex < layer.length) proof.push(layer[pairIndex]);
-    else proof.push(layer[idx]); // duplicated sibling
-    idx = Math.floor(idx / 2);
-  }
-  return proof;
-}
+const USE_BRIDGE = process.argv.includes("--bridge");
 
 // --- Main flow ---
 async function main() {
@@ -101,7 +40,7 @@ async function main() {
   // Create wallets from mnemonic: keep same set of addresses for both chains
   const wallets = [];
   for (let i = 0; i < NUM_USERS; i++) {
-    const wallet = ethers.HDNodeWallet.fromPhrase(MNEMONIC, undefined, `m/44'/60'/0'/0/${i}`);
+    const wallet = getMnemonicWallet(i);
     wallets.push({
       index: i,
       address: wallet.address,
@@ -110,75 +49,64 @@ async function main() {
     });
   }
 
-  // Also set deployer and relayer as wallets[0] and wallets[1] (for demo)
+  // wallets[0] deployed the contracts (owner and guardian); wallets[1..3] are the relayer set scripts/deploy.js installs
   const deployer = wallets[0];
-  const relayer = wallets[1];
 
   console.log("Demo accounts:");
   wallets.forEach(w => console.log(`  [${w.index}] ${w.address}`));
   console.log("");
 
-  // Load artifacts
-  const MockERC20Artifact = JSON.parse(fs.readFileSync(artifactPath("MockERC20")));
-  const VaultArtifact = JSON.parse(fs.readFileSync(artifactPath("LiquidStakingVault")));
-  const PublisherArtifact = JSON.parse(fs.readFileSync(artifactPath("GovernanceRootPublisher")));
-  const VerifierArtifact = JSON.parse(fs.readFileSync(artifactPath("VoteVerifier")));
-  const ExecutorArtifact = JSON.parse(fs.readFileSync(artifactPath("GovernanceExecutor")));
-
-  // Deploy contracts on Chain A: MockERC20, Vault, Publisher, Executor
-  console.log("Deploying contracts on Chain A (stake chain)...");
-  const MockFactory = new ethers.ContractFactory(MockERC20Artifact.abi, MockERC20Artifact.bytecode, deployer.walletA);
-  const mockAsset = await MockFactory.deploy("Mock Asset", "MCK");
-  await mockAsset.waitForDeployment();
-  console.log("  MockERC20:", await mockAsset.getAddress());
+  // Contracts come from the manifests scripts/deploy.js writes (deployments/<chainId>.json); every run of the
+  // demo is one more governance round against the same deployment
+  const deployHint = `run scripts/deploy.js${USE_BRIDGE ? " --bridge" : ""} first`;
+  const [deploymentA, deploymentB] = [await loadDeployment(providerA), await loadDeployment(providerB)];
+  if (!deploymentA || !deploymentB) throw new Error(`no deployment on chain ${deploymentA ? networkB.chainId : networkA.chainId}; ${deployHint}`);
+  if (USE_BRIDGE && !(deploymentA.contracts.messenger && deploymentB.contracts.messenger)) {
+    throw new Error(`the deployment has no MockMessenger pair; ${deployHint}`);
+  }
+  const addresses = { ...deploymentA.contracts, ...deploymentB.contracts };
+  console.log(`Using deployment ${deploymentPath(networkA.chainId)} / ${deploymentPath(networkB.chainId)}:`);
+  console.log("  Chain A:", Object.entries(deploymentA.contracts).map(([role, a]) => `${role} ${a}`).join(", "));
+  console.log("  Chain B:", Object.entries(deploymentB.contracts).map(([role, a]) => `${role} ${a}`).join(", "));
+
+  const mockAsset = getContract("MockERC20", addresses.asset, deployer.walletA);
+  const vault = getContract("LiquidStakingVault", addresses.vault, deployer.walletA);
+  const publisher = getContract("GovernanceRootPublisher", addresses.publisher, deployer.walletA);
+  const executor = getContract("GovernanceExecutor", addresses.executor, deployer.walletA);
+  const verifier = getContract("VoteVerifier", addresses.verifier, deployer.walletB);
+  const messengerA = USE_BRIDGE ? getContract("MockMessenger", deploymentA.contracts.messenger, providerA) : undefined;
+  const messengerB = USE_BRIDGE ? getContract("MockMessenger", deploymentB.contracts.messenger, providerB) : undefined;
+
+  // Governance parameters as deployed
+  const relayerSet = await executor.getRelayers();
+  const relayers = wallets.filter(w => relayerSet.includes(w.address));
+  const RELAYER_THRESHOLD = Number(await executor.threshold());
+  if (relayers.length < RELAYER_THRESHOLD) throw new Error("the demo accounts are not the deployment's relayers");
+  const VOTING_PERIOD = Number(await verifier.votingPeriod());
+  const QUORUM_BPS = Number(await verifier.quorumBps());
+  const TIMELOCK_DELAY = Number(await executor.minDelay());
 
   // Mint some tokens to users on Chain A
   const mintAmount = ethers.parseEther("10000");
-  for (let i = 0; i < wallets.length; i++) {
-    const w = wallets[i];
-    const tx = await mockAsset.connect(deployer.walletA).mint(w.address, mintAmount);
-    await tx.wait(); // ensure nonce increments before next send
-
+  for (const w of wallets) {
+    await (await mockAsset.mint(w.address, mintAmount)).wait(); // ensure nonce increments before next send
   }
   console.log("  Minted tokens to demo users on Chain A");
 
-  // Deploy Vault
-  const VaultFactory = new ethers.ContractFactory(VaultArtifact.abi, VaultArtifact.bytecode, deployer.walletA);
-  const UNBONDING_PERIOD = 86400; // 1 day
-  const vault = await VaultFactory.deploy(await mockAsset.getAddress(), "LST Shares", "LSTS", UNBONDING_PERIOD);
-  await vault.waitForDeployment();
-  console.log("  LiquidStakingVault:", await vault.getAddress());
-
-  // Deploy GovernanceRootPublisher
-  const PubFactory = new ethers.ContractFactory(PublisherArtifact.abi, PublisherArtifact.bytecode, deployer.walletA);
-  const publisher = await PubFactory.deploy();
-  await publisher.waitForDeployment();
-  console.log("  GovernanceRootPublisher:", await publisher.getAddress());
-
-  // Deploy GovernanceExecutor with relayer address
-  const ExecFactory = new ethers.ContractFactory(ExecutorArtifact.abi, ExecutorArtifact.bytecode, deployer.walletA);
-  const executor = await ExecFactory.deploy(await publisher.getAddress(), relayer.address);
-  await executor.waitForDeployment();
-  console.log("  GovernanceExecutor:", await executor.getAddress());
-
-  // Set governanceExecutor in vault
-  await vault.connect(deployer.walletA).setGovernanceExecutor(await executor.getAddress());
-
-  // Deploy VoteVerifier on Chain B
-  console.log("\nDeploying VoteVerifier on Chain B (verify chain)...");
-  const VerifierFactory = new ethers.ContractFactory(VerifierArtifact.abi, VerifierArtifact.bytecode, deployer.walletB);
-  const verifier = await VerifierFactory.deploy(networkB.chainId);
-  await verifier.waitForDeployment();
-  console.log("  VoteVerifier:", await verifier.getAddress());
-
   console.log("\n--- staking step ---");
   // Users approve and deposit stakes into the Vault (on Chain A)
   const depositAmount = ethers.parseEther("1000");
   for (let i = 0; i < wallets.length; i++) {
     const w = wallets[i];
-    console.log(`  User[${i}] approving & depositing ${ethers.formatEther(depositAmount)} tokens`);
-    await mockAsset.connect(w.walletA).approve(await vault.getAddress(), depositAmount);
-    const tx = await vault.connect(w.walletA).deposit(depositAmount);
+    // the deposit caps of an earlier round's proposal apply from then on
+    const amount = [depositAmount, await vault.maxDeposit(w.address)].reduce((a, b) => (a < b ? a : b));
+    if (amount === 0n) {
+      console.log(`  User[${i}] is at the deposit cap`);
+      continue;
+    }
+    console.log(`  User[${i}] approving & depositing ${ethers.formatEther(amount)} tokens`);
+    await mockAsset.connect(w.walletA).approve(await vault.getAddress(), amount);
+    const tx = await vault.connect(w.walletA).deposit(amount);
     await tx.wait();
   }
   console.log("  All users deposited into LST.");
@@ -187,11 +115,12 @@ async function main() {
   const reward = ethers.parseEther("2000");
   await mockAsset.connect(deployer.walletA).approve(await vault.getAddress(), reward);
   await vault.connect(deployer.walletA).distributeRewards(reward);
-  console.log("  Distributed rewards to vault to cause LST appreciation.");
+  console.log(`  Distributed rewards to vault; they raise the LST rate over ${await vault.rewardsStreamingPeriod()} seconds.`);
 
-  // Snapshot: read block number and exchange rate at that block
-  const snapshotBlock = await providerA.getBlockNumber();
-  const ER_snapshot = await vault.exchangeRate({ blockTag: snapshotBlock });
+  // Snapshot: read block number, then mine one block so its checkpoints are final
+  const snapshotBlock = await getHeadBlock(providerA);
+  await providerA.send("evm_mine", []);
+  const ER_snapshot = await vault.exchangeRateAt(snapshotBlock);
 
   console.log("");
   console.log("Snapshot taken:");
@@ -199,142 +128,190 @@ async function main() {
   console.log(`  ER_snapshot (wad) = ${ER_snapshot.toString()}`);
   console.log("");
 
-  // Compute voting power for each user at snapshot: ASSET_balance + floor(LST_shares * ER_snapshot / 1e18)
+  // Compute voting power for every holder at snapshot: ASSET_balance + floor(LST_shares * ER_snapshot / 1e18)
+  // (same builder as scripts/snapshot.js: discovers holders from Transfer/Deposited events)
   console.log("--- computing voting powers and building Merkle tree ---");
+  const snapshot = await buildSnapshot({
+    provider: providerA,
+    vault: await vault.getAddress(),
+    snapshotBlock,
+  });
+  const powerRoot = snapshot.powerRoot;
   const voters = wallets.map(w => w.address);
-  const nonces = Array(voters.length).fill(0);
-  const leaves = [];
-  const powers = [];
+  const shareDecimals = await vault.decimals(); // the asset's plus the vault's DECIMALS_OFFSET
   for (let i = 0; i < voters.length; i++) {
-    const addr = voters[i];
-    // Read balances at snapshot block
-    const assetBal = await mockAsset.balanceOf(addr, { blockTag: snapshotBlock }); // bigint
-    const sharesBal = await vault.balanceOf(addr, { blockTag: snapshotBlock });    // bigint
-
-    // LST equivalent assets = floor(sharesBal * ER_snapshot / 1e18)
-    const lstEquivalent = (sharesBal * ER_snapshot) / WAD;
-    const power = assetBal + lstEquivalent;
-    powers.push(power);
-    const leaf = leafHash(addr, power, 0);
-    leaves.push(leaf);
-
+    const h = snapshot.holders[voters[i]];
+    const lstEquivalent = (BigInt(h.shares) * ER_snapshot) / WAD;
     console.log(
-      `  voter ${i} ${addr} -> assetBal=${ethers.formatEther(assetBal)}, shares=${ethers.formatEther(
-        sharesBal
-      )}, lstEq=${ethers.formatEther(lstEquivalent)}, power=${ethers.formatEther(power)}`
+      `  voter ${i} ${voters[i]} -> assetBal=${ethers.formatEther(h.assetBalance)}, shares=${ethers.formatUnits(
+        h.shares,
+        shareDecimals
+      )}, lstEq=${ethers.formatEther(lstEquivalent)}, power=${ethers.formatEther(h.power)}`
     );
   }
-
-  const { root: powerRoot, layers } = buildMerkleTree(leaves);
   console.log("\n  Built Merkle root for snapshot (powerRoot):", powerRoot);
 
-  // Prepare proposal: update unbonding period to 2 days
+  // Prepare proposal: update unbonding period to 2 days, turn on a 10% protocol fee and cap deposits
   const newUnbonding = 2 * 86400; // 2 days
-  const vaultIface = new ethers.Interface(["function setUnbondingPeriod(uint256)"]);
-  const vaultCalldata = vaultIface.encodeFunctionData("setUnbondingPeriod", [newUnbonding]);
-
-  const coder = ethers.AbiCoder.defaultAbiCoder();
-  const actionData = coder.encode(["address", "bytes"], [await vault.getAddress(), vaultCalldata]);
-  const actionDataHash = ethers.keccak256(actionData);
-  const proposalId = 777n;
+  const newFeeBps = 1000n;
+  const [newDepositCap, newAccountDepositCap] = [ethers.parseEther("50000"), ethers.parseEther("5000")];
+  const treasury = getMnemonicWallet(NUM_USERS).address; // not a depositor, so its shares are all fees
+  const vaultAddress = await vault.getAddress();
+  const actionData = encodeActionData([
+    { target: vaultAddress, data: encodeCall("setUnbondingPeriod(uint256)", [newUnbonding]) },
+    { target: vaultAddress, data: encodeCall("setTreasury(address)", [treasury]) },
+    { target: vaultAddress, data: encodeCall("setProtocolFee(uint256)", [newFeeBps]) },
+    { target: vaultAddress, data: encodeCall("setDepositCaps(uint256,uint256)", [newDepositCap, newAccountDepositCap]) },
+  ]);
+  const actionDataHash = hashActionData(actionData);
+  // next free proposal id, so repeated runs do not collide
+  let proposalId = 777n;
+  while (await publisher.isPublished(proposalId)) proposalId++;
+
+  // Metadata document with the decoded calls, committed by its hash and stored inline
+  const metadataDoc = await buildMetadata({
+    proposalId,
+    title: "Two-day unbonding, 10% protocol fee and deposit caps",
+    description: "Sets the unbonding period to 2 days, sends a 10% fee on rewards to the treasury and caps deposits.",
+    actionData,
+    snapshot,
+    decoder: createDecoder({ provider: providerA }),
+  });
+  const metadataHash = hashMetadata(metadataDoc);
+  metadataDoc.actions.forEach((a, i) => console.log(`  call ${i}: ${a.summary}`));
 
   console.log("\nPublishing proposal on Chain A (GovernanceRootPublisher)...");
-  // publishProposal(proposalId, actionDataHash, snapshotBlock, ER_snapshot, powerRoot, metadata)
+  // publishProposal(proposalId, actionDataHash, snapshotBlock, powerRoot, metadataHash, metadata); ER_snapshot is read from the vault
   const pubTx = await publisher
     .connect(deployer.walletA)
-    .publishProposal(proposalId, actionDataHash, snapshotBlock, ER_snapshot, powerRoot, "ipfs://demo-proposal");
-  await pubTx.wait();
+    .publishProposal(proposalId, actionDataHash, snapshotBlock, powerRoot, metadataHash, canonicalJson(metadataDoc));
+  const pubR = await pubTx.wait();
   console.log("  Proposal published (id:", proposalId.toString(), ") actionDataHash:", actionDataHash);
+  const metadataCheck = await checkPublishedMetadata({ publisher: publisher.connect(providerA), proposalId });
+  console.log(`  metadataHash: ${metadataHash} (${metadataCheck.ok ? "matches the document" : metadataCheck.errors.join("; ")})`);
+
+  // Relayer services are created per relayer and reused for both directions (same cursors and signature store)
+  const signatureStore = createSignatureStore(path.join(STATE_DIR, `demo-attestations-${(await executor.getAddress()).toLowerCase()}`));
+  const chainBStart = await getHeadBlock(providerB);
+  const relayerServices = [];
+  for (const relayer of relayers.slice(0, RELAYER_THRESHOLD)) {
+    relayerServices.push(
+      createRelayer({
+        verifier: verifier.connect(relayer.walletB),
+        executor: executor.connect(relayer.walletA),
+        publisher: publisher.connect(providerA),
+        signatureStore,
+        cursorPath: path.join(STATE_DIR, `demo-relayer-${(await verifier.getAddress()).toLowerCase()}-${relayer.index}.json`),
+        startBlock: chainBStart,
+        mirrorStartBlock: pubR.blockNumber,
+        confirmations: 0,
+      })
+    );
+  }
 
-  // Register proposal on Chain B (VoteVerifier) with threshold small enough to pass with all votes (sum/2)
-  console.log("\nRegistering proposal on Chain B (VoteVerifier)...");
-  const totalPower = powers.reduce((acc, p) => acc + p, 0n);
-  const threshold = totalPower / 2n;
-  await (await verifier.connect(deployer.walletB).registerProposal(proposalId, powerRoot, actionDataHash, threshold)).wait();
-  console.log("  Registered on verifier with threshold:", ethers.formatEther(threshold));
-
-  // Off-chain signing: EIP-712 Vote typed data with domain (verifier contract, chainId)
-  console.log("\nCollecting EIP-712 signatures off-chain (simulated)...");
-  const networkB2 = await providerB.getNetwork();
-  const domain = {
-    name: "LST Governance",
-    version: "1",
-    chainId: Number(networkB2.chainId),
-    verifyingContract: await verifier.getAddress(),
-  };
-  const types = {
-    Vote: [
-      { name: "proposalId", type: "uint256" },
-      { name: "support", type: "uint8" },
-      { name: "nonce", type: "uint256" },
-      { name: "deadline", type: "uint256" },
-    ],
-  };
-
-  // Both/All users vote FOR (1)
-  const supports = [];
-  const noncesArr = [];
-  const deadlines = [];
-  const sigs = [];
-  const proofList = [];
-
-  const deadline = Math.floor(Date.now() / 1000) + 3600; // 1 hour from now
+  if (USE_BRIDGE) {
+    // Bridge: sendProposal hands the published proposal to MockMessenger on Chain A (anyone may send it;
+    // msg.value would pay a real bridge's fee), and one pass of the bridge relay delivers it to the verifier
+    console.log("\nDelivering the proposal through the mock bridge (Chain A -> Chain B)");
+    const sendProposalR = await (await publisher.sendProposal(proposalId)).wait();
+    const proposalRelay = createBridgeRelay({
+      source: messengerA.connect(providerA),
+      destination: messengerB.connect(deployer.walletB),
+      cursorPath: path.join(STATE_DIR, `demo-bridge-${(await messengerA.getAddress()).toLowerCase()}.json`),
+      startBlock: sendProposalR.blockNumber,
+      confirmations: 0,
+    });
+    await proposalRelay.pollOnce();
+  } else {
+    // Relay: each relayer picks up ProposalCreated on Chain A and signs it; the relayer that completes the
+    // threshold calls verifier.mirrorProposal on Chain B
+    console.log(`\nMirroring ProposalCreated -> mirrorProposal on Chain B (${RELAYER_THRESHOLD}-of-${relayers.length} relayers)`);
+    for (const relayerService of relayerServices) await relayerService.pollOnce();
+  }
+  const mirrored = await verifier.proposals(proposalId);
+  if (!mirrored.exists) {
+    console.log("  Chain B did not register the proposal. Exiting.");
+    process.exit(1);
+  }
+  const voteStart = Number(mirrored.voteStart);
+  console.log(
+    "  Registered on verifier with quorum:", ethers.formatEther(mirrored.quorum),
+    `(${QUORUM_BPS / 100}% of snapshot stake ${ethers.formatEther(mirrored.snapshotStake)}), voting period (s):`, VOTING_PERIOD
+  );
 
+  // Off-chain signing: each voter signs EIP-712 Vote typed data and hands it to the vote collection
+  // service (scripts/vote-server.js), which checks it against the snapshot and pays Chain B gas.
+  console.log("\nCollecting EIP-712 signatures off-chain via the vote collection service...");
+  const voteService = createVoteService({
+    verifier: verifier.connect(deployer.walletB),
+    snapshots: [snapshot],
+    store: createVoteStore(), // in-memory for the demo
+    log: () => {},
+  });
+  const domain = await voteDomain(verifier);
+  const deadline = voteStart + 3600; // 1 hour into the voting window
+
+  // All users vote FOR (1)
   for (let i = 0; i < wallets.length; i++) {
-    supports.push(1);
-    noncesArr.push(0);
-    deadlines.push(deadline);
-
-    const signerWallet = wallets[i].walletB;
-    const value = {
-      proposalId, // bigint OK
-      support: 1,
-      nonce: 0,
+    const vote = {
+      proposalId,
+      voter: wallets[i].address,
+      support: SUPPORT.For,
+      nonce: snapshot.holders[wallets[i].address].nonce,
       deadline,
     };
-    const signature = await signerWallet.signTypedData(domain, types, value);
-    sigs.push(signature);
-
-    // Build proof for this leaf
-    const proof = getProof(layers, i);
-    proofList.push(proof);
+    const signature = await signVote(wallets[i].walletB, domain, vote);
+    const { power } = await voteService.submitVote({ ...vote, signature });
+    console.log(`  accepted vote from ${wallets[i].address} (power ${ethers.formatEther(power)})`);
   }
 
-   const voteDatas = [];
-        for (let i = 0; i < wallets.length; i++) {
-            voteDatas.push({
-                support: supports[i],
-                nonce: noncesArr[i],
-                deadline: deadlines[i],
-                power: powers[i],            // BigInt (or BigNumber) is fine for ethers v6
-                signature: sigs[i],    // hex string
-                merkleProof: proofList[i]       // array of hex32 strings
-            });
-        }
-
-  console.log("  Collected signatures and proofs for votes.");
-
   // Submit votes to VoteVerifier on Chain B
   console.log("\nSubmitting votes to VoteVerifier (Chain B)...");
-  const submitTx = await verifier.connect(deployer.walletB).submitVotes(
-    proposalId,
-    voteDatas
-  );
-  const submitR = await submitTx.wait();
-  console.log("  submitVotes transaction mined. Gas used:", submitR.gasUsed.toString());
-
-  // Check proposal passed
-  const passed = await verifier.isPassed(proposalId);
-  console.log("  Proposal passed on Chain B?:", passed);
-  if (!passed) {
-    console.log("  Something went wrong: proposal not passed. Exiting.");
+  const flushed = await voteService.flush(proposalId);
+  const submitR = await providerB.getTransactionReceipt(flushed.txs[flushed.txs.length - 1]);
+  console.log(`  submitVotes: ${flushed.submitted} vote(s) counted in ${flushed.txs.length} tx(s). Gas used:`, submitR.gasUsed.toString());
+
+  // Close the voting window (local node: fast-forward time) and finalize; Succeeded emits ProposalPassed
+  console.log("\nFast-forwarding Chain B past voteEnd and finalizing...");
+  await providerB.send("evm_increaseTime", [VOTING_PERIOD + 1]);
+  await providerB.send("evm_mine", []);
+  await (await verifier.connect(deployer.walletB).finalize(proposalId)).wait();
+  const state = PROPOSAL_STATES[Number(await verifier.state(proposalId))];
+  console.log("  Proposal state on Chain B:", state);
+  if (state !== "Succeeded") {
+    console.log("  Something went wrong: proposal did not succeed. Exiting.");
+    process.exit(1);
+  }
+
+  if (USE_BRIDGE) {
+    // Bridge: sendOutcome hands the passed outcome to MockMessenger on Chain B; one pass of the bridge relay
+    // (scripts/bridge-relay.js) delivers it to the executor on Chain A
+    console.log("\nDelivering the outcome through the mock bridge (Chain B -> Chain A)");
+    const sendOutcomeR = await (await verifier.connect(deployer.walletB).sendOutcome(proposalId)).wait();
+    const bridgeRelay = createBridgeRelay({
+      source: messengerB.connect(providerB),
+      destination: messengerA.connect(deployer.walletA),
+      cursorPath: path.join(STATE_DIR, `demo-bridge-${(await messengerB.getAddress()).toLowerCase()}.json`),
+      startBlock: sendOutcomeR.blockNumber,
+      confirmations: 0,
+    });
+    await bridgeRelay.pollOnce();
+  } else {
+    // Relay: one more pass of each relayer service (scripts/relayer.js) picks up ProposalPassed on Chain B
+    // and signs the outcome into the shared signature store; the relayer that completes the threshold
+    // calls executor.markProposalPassed on Chain A
+    console.log(`\nRelaying ProposalPassed -> markProposalPassed on Chain A (${RELAYER_THRESHOLD}-of-${relayers.length} relayers)`);
+    for (const relayerService of relayerServices) await relayerService.pollOnce();
+  }
+  if (!(await executor.attestedPassed(proposalId))) {
+    console.log("  Chain A did not attest the proposal. Exiting.");
     process.exit(1);
   }
+  console.log("  Proposal attested; queued until", (await executor.eta(proposalId)).toString());
 
-  // Relay: relayer observes ProposalPassed event (simulated here) and calls executor.markProposalPassed on Chain A
-  console.log("\nRelaying ProposalPassed -> markProposalPassed on Chain A by relayer:", relayer.address);
-  await (await executor.connect(relayer.walletA).markProposalPassed(proposalId, actionDataHash)).wait();
-  console.log("  markProposalPassed called.");
+  // Timelock: the guardian could cancel during this window. Fast-forward Chain A past the eta.
+  await providerA.send("evm_increaseTime", [TIMELOCK_DELAY]);
+  await providerA.send("evm_mine", []);
 
   // Execute authorized action on Chain A: executor.executeIfAuthorized(proposalId, actionData)
   console.log("\nExecuting authorized action on Chain A via GovernanceExecutor...");
@@ -342,13 +319,36 @@ async function main() {
   const execR = await execTx.wait();
   console.log("  executeIfAuthorized mined. Gas:", execR.gasUsed.toString());
 
-  // Confirm the vault's unbonding period changed
+  // Confirm the vault's unbonding period and protocol fee changed
   const newUnbondingValue = await vault.unbondingPeriod();
+  const feeBps = await vault.protocolFeeBps();
   console.log("\nFinal check: vault.unbondingPeriod =", newUnbondingValue.toString(), "(expected", newUnbonding, ")");
-  if (newUnbondingValue.toString() === newUnbonding.toString()) {
+  console.log(`  vault.protocolFeeBps = ${feeBps} (expected ${newFeeBps}), treasury = ${await vault.treasury()}`);
+
+  // The next rewards pay the fee to the treasury
+  const feeBefore = [await vault.totalFeeAssets(), await vault.totalFeeShares(), await vault.balanceOf(treasury)];
+  await mockAsset.connect(deployer.walletA).approve(vaultAddress, reward);
+  await (await vault.connect(deployer.walletA).distributeRewards(reward)).wait();
+  const feeAssets = (await vault.totalFeeAssets()) - feeBefore[0];
+  const feeShares = (await vault.totalFeeShares()) - feeBefore[1];
+  console.log(
+    `  Distributed ${ethers.formatEther(reward)} more rewards: fee ${ethers.formatEther(feeAssets)} assets` +
+      ` -> ${ethers.formatUnits(feeShares, await vault.decimals())} shares minted to the treasury`
+  );
+
+  const feeApplied = feeBps === newFeeBps && (await vault.balanceOf(treasury)) - feeBefore[2] === feeShares && feeShares > 0n;
+
+  const [depositCap, accountDepositCap] = [await vault.depositCap(), await vault.accountDepositCap()];
+  console.log(
+    `  vault.depositCap = ${ethers.formatEther(depositCap)}, accountDepositCap = ${ethers.formatEther(accountDepositCap)};` +
+      ` user[1] can deposit up to ${ethers.formatEther(await vault.maxDeposit(wallets[1].address))} more`
+  );
+  const capsApplied = depositCap === newDepositCap && accountDepositCap === newAccountDepositCap;
+
+  if (newUnbondingValue.toString() === newUnbonding.toString() && feeApplied && capsApplied && metadataCheck.ok) {
     console.log("\nSUCCESS: End-to-end governance flow completed and executed on Chain A.");
   } else {
-    console.log("\nERROR: final unbonding period did not update correctly.");
+    console.log("\nERROR: proposal metadata, or the final unbonding period, protocol fee or deposit caps, did not check out.");
   }
 
   console.log("\n--- demo.js finished ---\n");
@@ -0,0 +1,187 @@
+// scripts/deploy.js
+// Deploys the governance stack with Hardhat Ignition and writes deployments/<chainId>.json for each chain:
+//   Chain B: ignition/modules/ChainB.js (VoteVerifier), then ProposalSource.js once the publisher exists
+//   Chain A: ignition/modules/ChainA.js (asset, vault, publisher, executor)
+//   --bridge: ChainABridge.js / ChainBBridge.js (a MockMessenger per chain, wired into the contracts)
+//
+// Ignition keeps a journal per chain in ignition/deployments/chain-<chainId>, so running this again
+// deploys nothing new and only completes what is missing. The executor takes its messenger in the constructor
+// (only governance changes it later), so --bridge has to be given when Chain A is first deployed.
+// A journal whose contracts have no code is discarded on the local chains (a restarted node); on any other chain
+// deploy.js stops, since that usually means a wrong RPC endpoint, unless --reset is given.
+//
+// Usage (against the nodes started by scripts/run_demo.sh, networks chainA / chainB in hardhat.config.ts):
+//   node scripts/deploy.js [--bridge] [--reset] [--relayers <addr,addr,..>] [--threshold 2] [--guardian <addr>]
+
+import fs from "fs";
+import path, { dirname } from "path";
+import { fileURLToPath } from "url";
+import minimist from "minimist";
+import { ethers } from "ethers";
+import { network } from "hardhat";
+import { getContract, getMnemonicWallet, isMain } from "./utils.js";
+import { writeDeployment } from "./deployments.js";
+import ChainA from "../ignition/modules/ChainA.js";
+import ChainB from "../ignition/modules/ChainB.js";
+import ProposalSource from "../ignition/modules/ProposalSource.js";
+import ChainABridge from "../ignition/modules/ChainABridge.js";
+import ChainBBridge from "../ignition/modules/ChainBBridge.js";
+import MockMessenger from "../ignition/modules/MockMessenger.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const IGNITION_DIR = path.join(__dirname, "..", "ignition", "deployments");
+
+// chains of the local nodes (scripts/run_demo.sh), which lose their contracts when restarted
+const LOCAL_CHAIN_IDS = [31337, 31338];
+
+// Ignition future id -> manifest role
+const ROLES = {
+  "ChainA#MockERC20": "asset",
+  "ChainA#LiquidStakingVault": "vault",
+  "ChainA#GovernanceRootPublisher": "publisher",
+  "ChainA#GovernanceExecutor": "executor",
+  "ChainB#VoteVerifier": "verifier",
+  "MockMessenger#MockMessenger": "messenger",
+};
+
+function deployedAddresses(deploymentId) {
+  const file = path.join(IGNITION_DIR, deploymentId, "deployed_addresses.json");
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+}
+
+// Ignition deployment of a chain; a journal whose contracts are gone is set aside on a local chain or with `reset`
+async function deploymentIdFor(provider, { reset, log }) {
+  const { chainId } = await provider.getNetwork();
+  const deploymentId = `chain-${chainId}`;
+  const codes = await Promise.all(Object.values(deployedAddresses(deploymentId)).map(a => provider.getCode(a)));
+  if (codes.some(code => code === "0x")) {
+    if (!reset && !LOCAL_CHAIN_IDS.includes(Number(chainId))) {
+      throw new Error(
+        `chain ${chainId} has no code at contracts of ${deploymentId}; check the RPC endpoint, or give --reset ` +
+          `to discard ${path.join(IGNITION_DIR, deploymentId)} and deploy again`
+      );
+    }
+    log(`  chain ${chainId} no longer has the contracts of ${deploymentId}; starting a new deployment`);
+    fs.rmSync(path.join(IGNITION_DIR, deploymentId), { recursive: true, force: true });
+  }
+  return deploymentId;
+}
+
+/**
+ * Deploy (or complete) the governance stack on the chainA / chainB networks and write both manifests.
+ * @param {object} [opts]
+ * @param {boolean} [opts.bridge] also deploy and wire the MockMessenger pair
+ * @param {string[]} [opts.relayers] relayer set of the verifier and executor (default: mnemonic accounts 1-3)
+ * @param {number} [opts.threshold] relayer signatures needed (default 2)
+ * @param {string} [opts.guardian] executor guardian (default: the deployer)
+ * @param {boolean} [opts.reset] discard a journal whose contracts have no code on any chain, not only local ones
+ * @param {(msg: string) => void} [opts.log]
+ * @returns {Promise<{A: object, B: object}>} the manifests
+ */
+export async function deployGovernance({
+  bridge = false,
+  relayers,
+  threshold = 2,
+  guardian,
+  reset = false,
+  log = console.log,
+} = {}) {
+  const connectionA = await network.create("chainA");
+  const connectionB = await network.create("chainB");
+  try {
+    const [chainIdA, chainIdB] = await Promise.all([
+      connectionA.ethers.provider.getNetwork().then(n => Number(n.chainId)),
+      connectionB.ethers.provider.getNetwork().then(n => Number(n.chainId)),
+    ]);
+    if (chainIdA === chainIdB) throw new Error(`chainA and chainB are both chain ${chainIdA}`);
+    const [deployer] = await connectionA.ethers.getSigners();
+
+    const deploymentIdA = await deploymentIdFor(connectionA.ethers.provider, { reset, log });
+    const deploymentIdB = await deploymentIdFor(connectionB.ethers.provider, { reset, log });
+    // shared by every module; the Chain A addresses are filled in once they exist
+    const parameters = {
+      $global: {
+        relayers: relayers ?? [1, 2, 3].map(i => getMnemonicWallet(i).address),
+        relayerThreshold: threshold,
+        guardian: guardian ?? deployer.address,
+        relayer: deployer.address, // MockMessenger operator
+        chainId: chainIdB,
+        verifierChainId: chainIdB,
+        sourceChainId: chainIdA,
+      },
+    };
+    const deployA = module => connectionA.ignition.deploy(module, { parameters, deploymentId: deploymentIdA });
+    const deployB = module => connectionB.ignition.deploy(module, { parameters, deploymentId: deploymentIdB });
+
+    log(`Chain B (${chainIdB}): VoteVerifier`);
+    const { verifier } = await deployB(ChainB);
+    parameters.$global.verifier = await verifier.getAddress();
+
+    // the executor's messenger is a constructor argument: keep the deployed one, else deploy the bridge's first
+    const deployedExecutor = deployedAddresses(deploymentIdA)["ChainA#GovernanceExecutor"];
+    if (deployedExecutor) {
+      const executorMessenger = await getContract("GovernanceExecutor", deployedExecutor, connectionA.ethers.provider).messenger();
+      if (bridge && executorMessenger === ethers.ZeroAddress) {
+        throw new Error(
+          `executor ${deployedExecutor} on chain ${chainIdA} has no messenger; install one through a governance ` +
+            "proposal (setMessenger) or deploy --bridge on fresh chains"
+        );
+      }
+      parameters.$global.messenger = executorMessenger;
+    } else if (bridge) {
+      log(`Chain A (${chainIdA}): MockMessenger`);
+      const { messenger } = await deployA(MockMessenger);
+      parameters.$global.messenger = await messenger.getAddress();
+    }
+
+    log(`Chain A (${chainIdA}): asset, vault, publisher, executor`);
+    const { publisher, executor } = await deployA(ChainA);
+    parameters.$global.publisher = await publisher.getAddress();
+    parameters.$global.executor = await executor.getAddress();
+    await deployB(ProposalSource);
+
+    if (bridge) {
+      log("Bridge: MockMessenger on both chains");
+      await deployA(ChainABridge);
+      await deployB(ChainBBridge);
+    }
+
+    // the manifests list everything in the two Ignition deployments, including a bridge deployed earlier
+    const manifest = (chain, deploymentId) => ({
+      chain,
+      deploymentId,
+      contracts: Object.fromEntries(
+        Object.entries(deployedAddresses(deploymentId)).filter(([id]) => ROLES[id]).map(([id, address]) => [ROLES[id], address])
+      ),
+    });
+    const manifests = { A: manifest("A", deploymentIdA), B: manifest("B", deploymentIdB) };
+    writeDeployment(chainIdA, manifests.A);
+    writeDeployment(chainIdB, manifests.B);
+    return manifests;
+  } finally {
+    await connectionA.close();
+    await connectionB.close();
+  }
+}
+
+async function main() {
+  const argv = minimist(process.argv.slice(2), { string: ["relayers", "guardian"], boolean: ["bridge", "reset"] });
+  const manifests = await deployGovernance({
+    bridge: argv.bridge,
+    relayers: argv.relayers ? argv.relayers.split(",").map(a => ethers.getAddress(a.trim())) : undefined,
+    threshold: argv.threshold !== undefined ? Number(argv.threshold) : undefined,
+    guardian: argv.guardian,
+    reset: argv.reset,
+  });
+  for (const manifest of Object.values(manifests)) {
+    console.log(`Chain ${manifest.chain}:`);
+    for (const [role, address] of Object.entries(manifest.contracts)) console.log(`  ${role}: ${address}`);
+  }
+}
+
+if (isMain(import.meta.url)) {
+  main().catch(err => {
+    console.error("Deploy error:", err);
+    process.exit(1);
+  });
+}
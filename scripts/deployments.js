@@ -0,0 +1,68 @@
+// scripts/deployments.js
+// Deployment manifests: deployments/<chainId>.json records what scripts/deploy.js deployed on one chain,
+// keyed by role (the CLI option names: vault, publisher, executor, verifier, ...).
+// The demo, gov CLI, relayer and indexer read their contract addresses from here instead of redeploying.
+
+import fs from "fs";
+import path, { dirname } from "path";
+import { fileURLToPath } from "url";
+import { readJson, writeJson } from "./utils.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DEPLOYMENTS_DIR = process.env.DEPLOYMENTS_DIR || path.join(__dirname, "..", "deployments");
+
+// Roles each chain's manifest provides to the CLIs (messengers exist on both chains, so they are not shared)
+export const CHAIN_A_ROLES = ["asset", "vault", "publisher", "executor"];
+export const CHAIN_B_ROLES = ["verifier"];
+
+export function deploymentPath(chainId) {
+  return path.join(DEPLOYMENTS_DIR, `${chainId}.json`);
+}
+
+/** The manifest of `chainId`, or null when nothing was deployed there. */
+export function readDeployment(chainId) {
+  const file = deploymentPath(chainId);
+  return fs.existsSync(file) ? readJson(file) : null;
+}
+
+/**
+ * Write the manifest of `chainId`.
+ * @param {bigint|number} chainId
+ * @param {{chain: string, deploymentId: string, contracts: Object<string, string>}} manifest
+ *   chain: "A" or "B"; deploymentId: the Ignition deployment (ignition/deployments/<id>) the contracts belong to
+ */
+export function writeDeployment(chainId, manifest) {
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  writeJson(deploymentPath(chainId), { chainId: Number(chainId), ...manifest, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * The manifest of the chain behind `provider`, checked against the chain: null when there is none,
+ * an error when a recorded contract has no code (typically a local node that was restarted).
+ */
+export async function loadDeployment(provider) {
+  const { chainId } = await provider.getNetwork();
+  const manifest = readDeployment(chainId);
+  if (!manifest) return null;
+  for (const [role, address] of Object.entries(manifest.contracts)) {
+    if ((await provider.getCode(address)) === "0x") {
+      throw new Error(`${role} ${address} in ${deploymentPath(chainId)} has no code on chain ${chainId}; run scripts/deploy.js`);
+    }
+  }
+  return manifest;
+}
+
+/**
+ * Default contract addresses for the CLIs: the Chain A roles from Chain A's manifest and the verifier from
+ * Chain B's. A chain without a manifest contributes nothing, so explicit options still work; a manifest whose
+ * contracts are gone fails (see loadDeployment) rather than being silently ignored.
+ * @returns {Promise<Object<string, string>>}
+ */
+export async function deployedAddresses(providerA, providerB) {
+  const pick = async (provider, roles) => {
+    const manifest = await loadDeployment(provider);
+    return Object.fromEntries(roles.filter(r => manifest?.contracts[r]).map(r => [r, manifest.contracts[r]]));
+  };
+  return { ...(await pick(providerA, CHAIN_A_ROLES)), ...(await pick(providerB, CHAIN_B_ROLES)) };
+}
@@ -0,0 +1,109 @@
+// scripts/exchange-rate.js
+// Exchange-rate history of a LiquidStakingVault from its oracle reports.
+//
+// Every LiquidStakingVault.report emits Reported with the balance change, the part of a loss borne by
+// pending withdrawals and the resulting exchangeRate. This script reads them and prints one row per
+// report with a bar scaled between the lowest and highest rate, or the rows as JSON.
+//
+// Usage:
+//   node scripts/exchange-rate.js --vault <addr> [--from-block <n>] [--to-block <n>] [--json]
+
+import minimist from "minimist";
+import { ethers } from "ethers";
+import { CHAIN_A_RPC, getProvider, getContract, getHeadBlock, toJson, isMain } from "./utils.js";
+
+const MAX_BLOCK_RANGE = 2000;
+const BAR_WIDTH = 40;
+
+/**
+ * Reported events of `vault` in [fromBlock, toBlock], oldest first.
+ * @param {object} opts
+ * @param {ethers.Contract} opts.vault LiquidStakingVault
+ * @param {number} [opts.fromBlock]
+ * @param {number} [opts.toBlock] defaults to the head block
+ * @returns {Promise<{blockNumber: number, timestamp: number, oracle: string, balanceChange: bigint,
+ *   withdrawalLoss: bigint, totalAssets: bigint, lockedAssets: bigint, exchangeRate: bigint}[]>}
+ */
+export async function exchangeRateHistory({ vault, fromBlock = 0, toBlock }) {
+  const provider = vault.runner.provider ?? vault.runner;
+  const head = toBlock ?? (await getHeadBlock(provider));
+
+  const events = [];
+  for (let from = fromBlock; from <= head; from += MAX_BLOCK_RANGE) {
+    const to = Math.min(from + MAX_BLOCK_RANGE - 1, head);
+    events.push(...(await vault.queryFilter(vault.filters.Reported(), from, to)));
+  }
+
+  const timestamps = new Map();
+  const rows = [];
+  for (const ev of events) {
+    if (!timestamps.has(ev.blockNumber)) {
+      timestamps.set(ev.blockNumber, (await provider.getBlock(ev.blockNumber)).timestamp);
+    }
+    const { oracle, balanceChange, withdrawalLoss, totalAssets, lockedAssets, exchangeRate } = ev.args;
+    rows.push({
+      blockNumber: ev.blockNumber,
+      timestamp: timestamps.get(ev.blockNumber),
+      oracle,
+      balanceChange,
+      withdrawalLoss,
+      totalAssets,
+      lockedAssets,
+      exchangeRate,
+    });
+  }
+  return rows;
+}
+
+/**
+ * Text chart of an exchange-rate history: one line per report, bar length relative to the rate range.
+ * @param {{blockNumber: number, timestamp: number, balanceChange: bigint, exchangeRate: bigint}[]} rows
+ * @param {number} [width] bar width of the highest rate
+ * @returns {string}
+ */
+export function renderChart(rows, width = BAR_WIDTH) {
+  if (rows.length === 0) return "no reports";
+  const rates = rows.map(r => r.exchangeRate);
+  const min = rates.reduce((a, b) => (b < a ? b : a));
+  const max = rates.reduce((a, b) => (b > a ? b : a));
+  const span = max - min;
+
+  return rows
+    .map(r => {
+      // a flat history gets full bars; otherwise the lowest rate gets one character
+      const len = span === 0n ? width : 1 + Number(((r.exchangeRate - min) * BigInt(width - 1)) / span);
+      const time = new Date(r.timestamp * 1000).toISOString().replace(".000Z", "Z");
+      const change = (r.balanceChange >= 0n ? "+" : "") + ethers.formatEther(r.balanceChange);
+      return [
+        String(r.blockNumber).padStart(8),
+        time,
+        ethers.formatEther(r.exchangeRate).padEnd(22),
+        change.padStart(14),
+        "#".repeat(len),
+      ].join("  ");
+    })
+    .join("\n");
+}
+
+async function main() {
+  const argv = minimist(process.argv.slice(2), { string: ["vault", "rpc"], boolean: ["json"] });
+  if (!argv.vault) {
+    throw new Error("usage: exchange-rate.js --vault <addr> [--from-block <n>] [--to-block <n>] [--json]");
+  }
+
+  const provider = getProvider(argv.rpc || CHAIN_A_RPC);
+  const rows = await exchangeRateHistory({
+    vault: getContract("LiquidStakingVault", argv.vault, provider),
+    fromBlock: Number(argv["from-block"] || 0),
+    toBlock: argv["to-block"] !== undefined ? Number(argv["to-block"]) : undefined,
+  });
+
+  console.log(argv.json ? toJson(rows, 2) : renderChart(rows));
+}
+
+if (isMain(import.meta.url)) {
+  main().catch(err => {
+    console.error("Exchange rate error:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,491 @@
+// scripts/gov.js
+// Governance lifecycle CLI for already deployed contracts. Every subcommand prints one JSON object.
+//
+//   node scripts/gov.js encode   --target <addr> --sig "setUnbondingPeriod(uint256)" --args 172800 [--value <wei>]
+//   node scripts/gov.js decode   (--action-data 0x.. | --target .. --sig .. --args ..)
+//   node scripts/gov.js simulate --executor <addr> (--action-data 0x.. | --target .. --sig .. --args ..) [--fork-block <n>] [--no-fork]
+//                                [--msg-value <wei>]   (sent with executeIfAuthorized)
+//   node scripts/gov.js propose  --publisher <addr> --id 1 --snapshot snapshot.json (--action-data 0x.. | --target .. --sig .. --args ..)
+//                                [--title ".."] [--description ".."] [--metadata ipfs://..] [--metadata-out doc.json]
+//   node scripts/gov.js metadata --id 1 --snapshot snapshot.json (--action-data 0x.. | --target ..) [--title ..] [--description ..] [--previous 0x..]
+//   node scripts/gov.js update-metadata --publisher <addr> --id 1 --file doc.json [--metadata ipfs://..]   (proposer)
+//   node scripts/gov.js check-metadata  --publisher <addr> --id 1 [--file doc.json]
+//   node scripts/gov.js send-proposal --publisher <addr> --id 1 [--msg-value <wei>]   (bridge path; the value pays the fee)
+//   node scripts/gov.js register --verifier <addr> --publisher <addr> --id 1 (--quorum <wei> | --quorum-bps 2000 --snapshot snapshot.json)
+//                                [--start <unix ts>] [--voting-period <seconds>]   (verifier owner)
+//   node scripts/gov.js mirror   --publisher <addr> --verifier <addr> --id 1 [--signatures-dir <dir>]   (relayer)
+//   node scripts/gov.js check    --publisher <addr> --verifier <addr> --id 1
+//   node scripts/gov.js vote     --verifier <addr> --id 1 --support for --snapshot snapshot.json [--server http://127.0.0.1:8600]
+//   node scripts/gov.js vote     --verifier <addr> --id 1 (--support for | --for <wei> --against <wei> --abstain <wei>)
+//                                --snapshot snapshot.json [--reason ".."] [--version <n>]   (split vote, replaces an earlier one)
+//                                add --voter <wallet> to sign for an ERC-1271 contract wallet the signer controls
+//   node scripts/gov.js finalize --verifier <addr> --id 1
+//   node scripts/gov.js send-outcome --verifier <addr> --id 1 [--msg-value <wei>]   (bridge path; the value pays the fee)
+//   node scripts/gov.js status   --id 1 [--publisher <addr>] [--verifier <addr>] [--executor <addr>]
+//   node scripts/gov.js attest   --verifier <addr> --executor <addr> --id 1 [--signatures-dir <dir>]   (relayer)
+//   node scripts/gov.js execute  --executor <addr> --id 1 --action-data 0x.. [--msg-value <wei>]
+//   node scripts/gov.js cancel   --executor <addr> --id 1   (guardian)
+//
+// Repeat --target/--sig/--args/--value to build a multi-call action; the n-th of each belongs to the n-th call
+// (pass --args "" for a call without arguments).
+//
+// Chain A (publisher, executor) = --chain-a / CHAIN_A_RPC, Chain B (verifier) = --chain-b / CHAIN_B_RPC.
+// --vault/--publisher/--executor/--verifier default to deployments/<chainId>.json of each chain (scripts/deploy.js).
+// Signer: --key / PRIVATE_KEY, else Hardhat mnemonic account --account (default 0).
+
+import minimist from "minimist";
+import { ethers } from "ethers";
+import {
+  CHAIN_A_RPC,
+  CHAIN_B_RPC,
+  getProvider,
+  getWallet,
+  getMnemonicWallet,
+  getContract,
+  readJson,
+  writeJson,
+  toJson,
+  isMain,
+} from "./utils.js";
+import { EXECUTION_STATES, encodeCall, encodeActionData, decodeActionData, actionDataHash } from "./actions.js";
+import { SUPPORT, PROPOSAL_STATES, voteDomain, signVote, signSplitVote } from "./votes.js";
+import { createRelayer, compareProposal } from "./relayer.js";
+import { createSignatureStore } from "./attestations.js";
+import { createDecoder, describeAction, simulateAction, forkChain } from "./simulate.js";
+import { buildMetadata, validateMetadata, hashMetadata, canonicalJson, checkPublishedMetadata } from "./metadata.js";
+import { deployedAddresses } from "./deployments.js";
+
+const STRING_OPTS = [
+  "publisher", "verifier", "executor", "target", "sig", "args", "action-data", "id", "snapshot",
+  "metadata", "key", "server", "support", "quorum", "quorum-bps", "chain-a", "chain-b", "value", "msg-value",
+  "signatures-dir", "for", "against", "abstain", "reason", "version", "voter", "fork-block",
+  "title", "description", "metadata-out", "file", "previous",
+];
+
+// commands that never talk to a node
+const OFFLINE_COMMANDS = ["encode", "decode"];
+
+const SPLIT_OPTS = ["for", "against", "abstain", "reason", "version"];
+
+const DEFAULT_VOTING_PERIOD = 3 * 86400;
+
+function required(argv, ...names) {
+  for (const name of names) {
+    if (argv[name] === undefined || argv[name] === "") throw new Error(`missing --${name}`);
+  }
+}
+
+// --args accepts a JSON array ('[1,"0x.."]') or a comma separated list
+function parseArgs(raw) {
+  if (raw === undefined || raw === "") return [];
+  const trimmed = String(raw).trim();
+  if (trimmed.startsWith("[")) return JSON.parse(trimmed);
+  return trimmed.split(",").map(a => a.trim());
+}
+
+function parseSupport(raw) {
+  const key = Object.keys(SUPPORT).find(k => k.toLowerCase() === String(raw).toLowerCase());
+  const support = key !== undefined ? SUPPORT[key] : Number(raw);
+  if (![0, 1, 2].includes(support)) throw new Error(`invalid --support ${raw} (for|against|abstain)`);
+  return support;
+}
+
+// minimist yields a string for one occurrence of an option and an array for several
+function list(value) {
+  if (value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function actionFromArgs(argv) {
+  if (argv["action-data"]) {
+    const actionData = argv["action-data"];
+    return { calls: decodeActionData(actionData), actionData, actionDataHash: actionDataHash(actionData) };
+  }
+  required(argv, "target", "sig");
+  const [targets, sigs, args, values] = [list(argv.target), list(argv.sig), list(argv.args), list(argv.value)];
+  if (sigs.length !== targets.length) throw new Error("every --target needs its own --sig");
+  const calls = targets.map((target, i) => ({
+    target: ethers.getAddress(target),
+    value: BigInt(values[i] || 0),
+    data: encodeCall(sigs[i], parseArgs(args[i])),
+  }));
+  const actionData = encodeActionData(calls);
+  return { calls, actionData, actionDataHash: actionDataHash(actionData) };
+}
+
+// Validated metadata document for the proposal in argv; targets are identified on Chain A when it is reachable
+async function metadataFromArgs(argv, ctx, action, snapshot) {
+  const document = await buildMetadata({
+    proposalId: argv.id,
+    title: argv.title || `Proposal ${argv.id}`,
+    description: argv.description || "",
+    actionData: action.actionData,
+    snapshot,
+    previous: argv.previous || null,
+    decoder: createDecoder({ provider: ctx.signerA.provider }),
+  });
+  return checkedMetadata(argv, document);
+}
+
+// Hash of a document, and the string published with it: --metadata (a URI) or the document inline
+function checkedMetadata(argv, document) {
+  const errors = validateMetadata(document);
+  if (errors.length) throw new Error(`invalid metadata: ${errors.join("; ")}`);
+  if (argv["metadata-out"]) writeJson(argv["metadata-out"], document);
+  return { document, metadataHash: hashMetadata(document), metadata: argv.metadata || canonicalJson(document) };
+}
+
+const COMMANDS = {
+  async encode(argv) {
+    return actionFromArgs(argv);
+  },
+
+  // offline: contracts are told apart by function selector only
+  async decode(argv) {
+    return describeAction(actionFromArgs(argv).actionData, createDecoder());
+  },
+
+  async simulate(argv, ctx) {
+    required(argv, "executor");
+    const { actionData } = actionFromArgs(argv);
+    // --no-fork runs on the connected node itself (a development node) and reverts afterwards
+    const fork = argv.fork === false ? null : await forkChain(argv["chain-a"] || CHAIN_A_RPC, argv["fork-block"]);
+    const provider = fork ? fork.provider : ctx.signerA.provider;
+    try {
+      const value = BigInt(argv["msg-value"] || 0);
+      const result = await simulateAction({ provider, executor: argv.executor, actionData, value });
+      return { forked: Boolean(fork), ...result };
+    } finally {
+      await fork?.close();
+    }
+  },
+
+  async propose(argv, ctx) {
+    required(argv, "publisher", "id", "snapshot");
+    const snapshot = readJson(argv.snapshot);
+    const action = actionFromArgs(argv);
+    const { document, metadataHash, metadata } = await metadataFromArgs(argv, ctx, action, snapshot);
+    const publisher = getContract("GovernanceRootPublisher", argv.publisher, ctx.signerA);
+    // the publisher stores the vault's exchangeRateAt(snapshotBlock) as ER_snapshot; a mismatch means the snapshot
+    // file was built against another vault, so it is checked before anything is published
+    const vault = getContract("LiquidStakingVault", await publisher.vault(), ctx.signerA);
+    const ER_snapshot = await vault.exchangeRateAt(snapshot.snapshotBlock);
+    if (ER_snapshot.toString() !== String(snapshot.ER_snapshot)) {
+      throw new Error(`vault ER_snapshot ${ER_snapshot} differs from snapshot file ${snapshot.ER_snapshot}; nothing was published`);
+    }
+    const tx = await publisher.publishProposal(
+      argv.id,
+      action.actionDataHash,
+      snapshot.snapshotBlock,
+      snapshot.powerRoot,
+      metadataHash,
+      metadata
+    );
+    const receipt = await tx.wait();
+    return {
+      proposalId: argv.id,
+      ...action,
+      metadataHash,
+      metadata,
+      document,
+      powerRoot: snapshot.powerRoot,
+      snapshotBlock: snapshot.snapshotBlock,
+      tx: receipt.hash,
+    };
+  },
+
+  async metadata(argv, ctx) {
+    required(argv, "id", "snapshot");
+    const { document, metadataHash } = await metadataFromArgs(argv, ctx, actionFromArgs(argv), readJson(argv.snapshot));
+    return { metadataHash, document };
+  },
+
+  async "update-metadata"(argv, ctx) {
+    required(argv, "publisher", "id", "file");
+    const publisher = getContract("GovernanceRootPublisher", argv.publisher, ctx.signerA);
+    const previousHash = (await publisher.proposals(argv.id)).metadataHash;
+    // the revision links to the document it replaces
+    const { document, metadataHash, metadata } = checkedMetadata(argv, { ...readJson(argv.file), previous: previousHash });
+    const receipt = await (await publisher.updateMetadata(argv.id, metadataHash, metadata)).wait();
+    const revision = (await publisher.metadataHistory(argv.id)).length - 1;
+    return { proposalId: argv.id, revision, previousHash, metadataHash, metadata, document, tx: receipt.hash };
+  },
+
+  async "check-metadata"(argv, ctx) {
+    required(argv, "publisher", "id");
+    const publisher = getContract("GovernanceRootPublisher", argv.publisher, ctx.signerA.provider ?? ctx.signerA);
+    const document = argv.file ? readJson(argv.file) : undefined;
+    return { proposalId: argv.id, ...(await checkPublishedMetadata({ publisher, proposalId: argv.id, document })) };
+  },
+
+  async "send-proposal"(argv, ctx) {
+    required(argv, "publisher", "id");
+    const publisher = getContract("GovernanceRootPublisher", argv.publisher, ctx.signerA);
+    const receipt = await (await publisher.sendProposal(argv.id, { value: BigInt(argv["msg-value"] || 0) })).wait();
+    return { proposalId: argv.id, tx: receipt.hash };
+  },
+
+  async register(argv, ctx) {
+    required(argv, "verifier", "publisher", "id");
+    // powerRoot and actionDataHash come from the published proposal so they cannot be mistyped
+    const publisher = getContract("GovernanceRootPublisher", argv.publisher, ctx.signerA.provider ?? ctx.signerA);
+    const [, storedHash, , , powerRoot] = await publisher.getProposalCore(argv.id);
+
+    let quorum;
+    if (argv.quorum !== undefined) {
+      quorum = BigInt(argv.quorum);
+    } else {
+      required(argv, "quorum-bps", "snapshot");
+      const snapshot = readJson(argv.snapshot);
+      if (snapshot.powerRoot !== powerRoot) throw new Error("snapshot powerRoot does not match the published proposal");
+      quorum = (BigInt(snapshot.totalPower) * BigInt(argv["quorum-bps"])) / 10000n;
+    }
+
+    const now = (await ctx.signerB.provider.getBlock("latest")).timestamp;
+    const voteStart = argv.start !== undefined ? Number(argv.start) : now;
+    const voteEnd = voteStart + Number(argv["voting-period"] ?? DEFAULT_VOTING_PERIOD);
+
+    const verifier = getContract("VoteVerifier", argv.verifier, ctx.signerB);
+    const receipt = await (
+      await verifier.registerProposal(argv.id, powerRoot, storedHash, quorum, voteStart, voteEnd)
+    ).wait();
+    return { proposalId: argv.id, powerRoot, actionDataHash: storedHash, quorum, voteStart, voteEnd, tx: receipt.hash };
+  },
+
+  async vote(argv, ctx) {
+    const split = SPLIT_OPTS.some(k => argv[k] !== undefined);
+    required(argv, "verifier", "id", "snapshot", ...(split ? [] : ["support"]));
+    const snapshot = readJson(argv.snapshot);
+    const verifier = getContract("VoteVerifier", argv.verifier, ctx.signerB);
+    // a contract wallet votes with its own leaf; the signer signs for it (checked with ERC-1271)
+    const voter = argv.voter ? ethers.getAddress(argv.voter) : await ctx.signerB.getAddress();
+    const leaf = snapshot.holders[voter];
+    if (!leaf) throw new Error(`${voter} has no voting power in this snapshot`);
+
+    const provider = ctx.signerB.provider;
+    const now = (await provider.getBlock("latest")).timestamp;
+    if (split) return splitVote(argv, ctx, verifier, { voter, leaf, now });
+
+    const vote = {
+      proposalId: argv.id,
+      voter,
+      support: parseSupport(argv.support),
+      nonce: leaf.nonce,
+      deadline: now + Number(argv.ttl || 3600),
+    };
+    const signature = await signVote(ctx.signerB, await voteDomain(verifier), vote);
+    const out = { ...vote, power: leaf.power, signature };
+
+    if (argv.server) {
+      // hand the signed vote to the collection service (scripts/vote-server.js)
+      const res = await fetch(`${argv.server.replace(/\/$/, "")}/votes`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: toJson({ ...vote, signature }),
+      });
+      const body = await res.json();
+      if (!res.ok) throw new Error(`vote server rejected vote (${res.status}): ${body.error}`);
+      return { ...out, server: body };
+    }
+
+    const receipt = await (
+      await verifier.submitVotes(argv.id, [{ ...vote, power: leaf.power, signature, merkleProof: leaf.proof }])
+    ).wait();
+    return { ...out, tx: receipt.hash };
+  },
+
+  async finalize(argv, ctx) {
+    required(argv, "verifier", "id");
+    const verifier = getContract("VoteVerifier", argv.verifier, ctx.signerB);
+    const receipt = await (await verifier.finalize(argv.id)).wait();
+    const state = PROPOSAL_STATES[Number(await verifier.state(argv.id))];
+    return { proposalId: argv.id, state, tx: receipt.hash };
+  },
+
+  async "send-outcome"(argv, ctx) {
+    required(argv, "verifier", "id");
+    const verifier = getContract("VoteVerifier", argv.verifier, ctx.signerB);
+    const receipt = await (await verifier.sendOutcome(argv.id, { value: BigInt(argv["msg-value"] || 0) })).wait();
+    return { proposalId: argv.id, tx: receipt.hash };
+  },
+
+  async status(argv, ctx) {
+    required(argv, "id");
+    const out = { proposalId: argv.id };
+    const readerA = ctx.signerA.provider ?? ctx.signerA;
+    const readerB = ctx.signerB.provider ?? ctx.signerB;
+
+    if (argv.publisher) {
+      const publisher = getContract("GovernanceRootPublisher", argv.publisher, readerA);
+      out.published = await publisher.isPublished(argv.id);
+      if (out.published) {
+        const [proposer, hash, snapshotBlock, ER_snapshot, powerRoot, metadata, createdAt] = await publisher.getProposalCore(argv.id);
+        const { snapshotStake, metadataHash } = await publisher.proposals(argv.id);
+        const metadataRevision = (await publisher.metadataHistory(argv.id)).length - 1;
+        out.publisher = {
+          proposer, actionDataHash: hash, snapshotBlock, ER_snapshot, snapshotStake, powerRoot,
+          metadata, metadataHash, metadataRevision, createdAt,
+        };
+      }
+    }
+    if (argv.verifier) {
+      const verifier = getContract("VoteVerifier", argv.verifier, readerB);
+      const p = await verifier.proposals(argv.id);
+      out.registered = p.exists;
+      if (p.exists) {
+        const [forVotes, againstVotes, abstainVotes, quorum, voteStart, voteEnd, state] = await verifier.getTally(argv.id);
+        out.tally = { for: forVotes, against: againstVotes, abstain: abstainVotes };
+        Object.assign(out, { quorum, voteStart, voteEnd, state: PROPOSAL_STATES[Number(state)] });
+        out.snapshotStake = p.snapshotStake;
+        out.finalized = p.finalized;
+        out.passed = p.passed;
+      }
+    }
+    if (argv.executor) {
+      const executor = getContract("GovernanceExecutor", argv.executor, readerA);
+      out.attested = await executor.attestedPassed(argv.id);
+      out.executed = await executor.executed(argv.id);
+      out.eta = await executor.eta(argv.id);
+      out.executionState = EXECUTION_STATES[Number(await executor.state(argv.id))];
+    }
+    return out;
+  },
+
+  async mirror(argv, ctx) {
+    required(argv, "publisher", "verifier", "id");
+    const relayer = createRelayer({
+      verifier: getContract("VoteVerifier", argv.verifier, ctx.signerB),
+      publisher: getContract("GovernanceRootPublisher", argv.publisher, ctx.signerA.provider ?? ctx.signerA),
+      // signs with this relayer and submits once the shared store holds enough signatures
+      signatureStore: createSignatureStore(argv["signatures-dir"]),
+      cursorPath: null, // single relay, no event scanning
+      log: () => {},
+    });
+    const status = await relayer.mirrorCreated(BigInt(argv.id));
+    return { proposalId: argv.id, status };
+  },
+
+  async check(argv, ctx) {
+    required(argv, "publisher", "verifier", "id");
+    const result = await compareProposal({
+      publisher: getContract("GovernanceRootPublisher", argv.publisher, ctx.signerA.provider ?? ctx.signerA),
+      verifier: getContract("VoteVerifier", argv.verifier, ctx.signerB.provider ?? ctx.signerB),
+      proposalId: argv.id,
+    });
+    return { proposalId: argv.id, ...result };
+  },
+
+  async attest(argv, ctx) {
+    required(argv, "verifier", "executor", "id");
+    const verifier = getContract("VoteVerifier", argv.verifier, ctx.signerB.provider ?? ctx.signerB);
+    const p = await verifier.proposals(argv.id);
+    if (!p.passed) throw new Error(`proposal ${argv.id} has not been finalized as Succeeded on the verifier chain`);
+
+    const relayer = createRelayer({
+      verifier,
+      executor: getContract("GovernanceExecutor", argv.executor, ctx.signerA),
+      // signs with this relayer and submits once the shared store holds enough signatures
+      signatureStore: createSignatureStore(argv["signatures-dir"]),
+      cursorPath: null, // single relay, no event scanning
+      log: () => {},
+    });
+    const status = await relayer.relayPassed(BigInt(argv.id), p.actionDataHash);
+    return { proposalId: argv.id, actionDataHash: p.actionDataHash, status };
+  },
+
+  async execute(argv, ctx) {
+    required(argv, "executor", "id", "action-data");
+    const executor = getContract("GovernanceExecutor", argv.executor, ctx.signerA);
+    const tx = await executor.executeIfAuthorized(argv.id, argv["action-data"], { value: BigInt(argv["msg-value"] || 0) });
+    const receipt = await tx.wait();
+    const executorAddr = ethers.getAddress(await executor.getAddress());
+    const calls = receipt.logs
+      .filter(log => log.address === executorAddr)
+      .map(log => executor.interface.parseLog(log))
+      .filter(ev => ev && ev.name === "Executed")
+      .map(ev => ({ index: ev.args.index, target: ev.args.target, value: ev.args.value, result: ev.args.result }));
+    return { proposalId: argv.id, tx: receipt.hash, gasUsed: receipt.gasUsed, calls };
+  },
+
+  async cancel(argv, ctx) {
+    required(argv, "executor", "id");
+    const executor = getContract("GovernanceExecutor", argv.executor, ctx.signerA);
+    const receipt = await (await executor.cancel(argv.id)).wait();
+    return { proposalId: argv.id, tx: receipt.hash, executionState: "Canceled" };
+  },
+};
+
+// vote with a reason and/or weights per support value, signed as a SplitVote and submitted directly
+async function splitVote(argv, ctx, verifier, { voter, leaf, now }) {
+  if (argv.server) throw new Error("the vote server only accepts single-support votes; submit split votes without --server");
+  const power = BigInt(leaf.power);
+  const weights = [0n, 0n, 0n]; // indexed by SUPPORT
+  if (argv.support !== undefined) {
+    weights[parseSupport(argv.support)] = power;
+  } else {
+    weights[SUPPORT.For] = BigInt(argv.for || 0);
+    weights[SUPPORT.Against] = BigInt(argv.against || 0);
+    weights[SUPPORT.Abstain] = BigInt(argv.abstain || 0);
+  }
+  if (weights.reduce((a, b) => a + b) > power) throw new Error(`vote weights exceed power ${power}`);
+
+  // default version: one above the voter's current vote, so the new vote replaces it
+  let version = argv.version;
+  if (version === undefined) {
+    const voted = await verifier.hasVoted(argv.id, voter);
+    version = voted ? (await verifier.voteReceipts(argv.id, voter)).version + 1n : 0n;
+  }
+  const vote = {
+    proposalId: argv.id,
+    voter,
+    forVotes: weights[SUPPORT.For],
+    againstVotes: weights[SUPPORT.Against],
+    abstainVotes: weights[SUPPORT.Abstain],
+    nonce: leaf.nonce,
+    version: BigInt(version),
+    deadline: now + Number(argv.ttl || 3600),
+    reason: argv.reason || "",
+  };
+  const signature = await signSplitVote(ctx.signerB, await voteDomain(verifier), vote);
+  const receipt = await (
+    await verifier.submitSplitVotes(argv.id, [{ ...vote, power: leaf.power, signature, merkleProof: leaf.proof }])
+  ).wait();
+  return { ...vote, power: leaf.power, signature, tx: receipt.hash };
+}
+
+/**
+ * Run one gov subcommand.
+ * @param {string[]} args raw CLI arguments (subcommand first)
+ * @param {{signerA: ethers.Signer, signerB: ethers.Signer, addresses?: Object<string, string>}} ctx signers
+ *   connected to Chain A and Chain B; `addresses` are defaults for --vault/--publisher/--executor/--verifier
+ * @returns {Promise<object>} the JSON-serialisable result
+ */
+export async function runGov(args, ctx) {
+  const argv = minimist(args, { string: STRING_OPTS, default: ctx.addresses });
+  const cmd = argv._[0];
+  const handler = COMMANDS[cmd];
+  if (!handler) throw new Error(`unknown command ${cmd ?? ""} (${Object.keys(COMMANDS).join("|")})`);
+  return handler(argv, ctx);
+}
+
+async function main() {
+  const argv = minimist(process.argv.slice(2), { string: STRING_OPTS });
+  const providerA = getProvider(argv["chain-a"] || CHAIN_A_RPC);
+  const providerB = getProvider(argv["chain-b"] || CHAIN_B_RPC);
+  const key = argv.key || process.env.PRIVATE_KEY;
+  const account = Number(argv.account || 0);
+  const ctx = {
+    signerA: key ? getWallet(key, providerA) : getMnemonicWallet(account, providerA),
+    signerB: key ? getWallet(key, providerB) : getMnemonicWallet(account, providerB),
+    // contracts not named on the command line come from the deployment manifests (scripts/deploy.js)
+    addresses: OFFLINE_COMMANDS.includes(argv._[0]) ? {} : await deployedAddresses(providerA, providerB),
+  };
+  console.log(toJson(await runGov(process.argv.slice(2), ctx)));
+}
+
+if (isMain(import.meta.url)) {
+  main().catch(err => {
+    console.error(toJson({ error: err.shortMessage || err.message }));
+    process.exit(1);
+  });
+}
@@ -0,0 +1,459 @@
+// scripts/indexer.js
+// Event indexer for both chains with a local JSON query API.
+//
+// Follows Chain A (LiquidStakingVault, GovernanceRootPublisher, GovernanceExecutor) and Chain B (VoteVerifier),
+// stores the events listed in INDEXED_EVENTS in a directory database and answers per-account and
+// per-proposal queries, in-process or over HTTP.
+//
+// - Storage: each chain's events are appended to their own JSON-lines segment; only the small per-chain state
+//   (cursor, recent block hashes) is rewritten on every poll. Every event is also held in memory for the queries,
+//   and nothing is ever pruned, so memory and disk grow with the indexed history (see createIndexDb).
+// - Resumable: the database holds the last indexed block per chain, so a restart continues from there.
+// - Reorgs: the database also keeps the hashes of recently indexed blocks. Before every poll the indexer checks
+//   the newest of them against the node; if it changed, it walks back to the newest block whose hash still
+//   matches, drops the events above it and indexes forward again.
+//
+// Usage (against the nodes started by scripts/run_demo.sh):
+//   node scripts/indexer.js --vault <addr> --publisher <addr> --executor <addr> --verifier <addr> [--port 8700] [--once]
+//                           [--db <dir>] [--from-block <n>]
+// Without the contract options the addresses come from deployments/<chainId>.json (scripts/deploy.js).
+//
+// API:
+//   GET /status                              indexed block per chain, event count
+//   GET /accounts/:address                   deposits, withdrawals (open or claimed), rewards distributed, votes
+//   GET /accounts/:address/withdrawals       add ?open=true for unclaimed ones only
+//   GET /proposals                           every proposal seen, with its latest stage: created, registered,
+//                                            defeated, passed, attested, canceled, expired or executed
+//   GET /proposals/:id                       created, registered, votes, finalized, passed, attested, canceled,
+//                                            expired, executed
+//   GET /proposals/:id/votes
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+import minimist from "minimist";
+import { ethers } from "ethers";
+import {
+  CHAIN_A_RPC,
+  CHAIN_B_RPC,
+  STATE_DIR,
+  getProvider,
+  getContract,
+  getHeadBlock,
+  readJson,
+  writeJson,
+  toJson,
+  sleep,
+  isMain,
+} from "./utils.js";
+import { deployedAddresses } from "./deployments.js";
+import { PROPOSAL_STATES } from "./votes.js";
+
+// Contract role -> events ingested from it
+export const INDEXED_EVENTS = {
+  vault: ["Deposited", "InitiatedWithdraw", "Claimed", "DistributedRewards"],
+  publisher: ["ProposalCreated", "ProposalMetadataUpdated"],
+  executor: ["ProposalAttested", "ProposalCanceled", "ProposalExpired", "Executed"],
+  verifier: ["ProposalRegistered", "VoteCounted", "ProposalFinalized", "ProposalPassed"],
+};
+
+const DEFAULTS = {
+  confirmations: 0,
+  pollIntervalMs: 4000,
+  maxBlockRange: 2000,
+  reorgDepth: 128, // block hashes kept per chain
+};
+
+/**
+ * Event database in the directory `dbPath`, loaded as { chains: { [name]: { cursor, hashes: { [block]: hash } } },
+ * events: [...] }. chains.json holds the chains' state and is rewritten on every save; events-<name>.jsonl holds
+ * a chain's events, one per line, appended in block order and only rewritten when a reorg drops some of them.
+ * Without a path it is kept in memory.
+ *
+ * Limit: every event is loaded into memory and the segments are never pruned, so the database grows with the
+ * indexed history. For a long-lived deployment, start a fresh one with --from-block to index a recent range only.
+ * @param {string} [dbPath]
+ */
+export function createIndexDb(dbPath) {
+  const chainsPath = dbPath && path.join(dbPath, "chains.json");
+  const segmentPath = name => path.join(dbPath, `events-${name}.jsonl`);
+  const data = { chains: chainsPath && fs.existsSync(chainsPath) ? readJson(chainsPath) : {}, events: [] };
+
+  function writeSegment(name) {
+    const tmp = `${segmentPath(name)}.tmp`;
+    fs.writeFileSync(tmp, data.events.filter(e => e.chain === name).map(e => toJson(e) + "\n").join(""));
+    fs.renameSync(tmp, segmentPath(name));
+  }
+
+  if (dbPath && fs.existsSync(dbPath)) {
+    for (const file of fs.readdirSync(dbPath)) {
+      const name = file.match(/^events-(.+)\.jsonl$/)?.[1];
+      if (!name) continue;
+      // a poll interrupted between appending its events and saving its cursor leaves events past the cursor
+      // (and maybe a torn last line): they are dropped and indexed again
+      const lines = fs.readFileSync(segmentPath(name), "utf8").split("\n");
+      const complete = lines.pop() === "";
+      const cursor = data.chains[name]?.cursor ?? -1;
+      const events = lines.map(line => JSON.parse(line));
+      const kept = events.filter(e => e.blockNumber <= cursor);
+      data.events.push(...kept);
+      if (!complete || kept.length < events.length) writeSegment(name);
+    }
+  }
+
+  return {
+    data,
+    chain(name) {
+      data.chains[name] ??= { cursor: null, hashes: {} };
+      return data.chains[name];
+    },
+    /** Add events of chain `name`, newer than any it has, and append them to its segment. */
+    append(name, events) {
+      data.events.push(...events);
+      if (!dbPath || events.length === 0) return;
+      fs.mkdirSync(dbPath, { recursive: true });
+      fs.appendFileSync(segmentPath(name), events.map(e => toJson(e) + "\n").join(""));
+    },
+    /** Drop the events of chain `name` above `block`. */
+    dropAbove(name, block) {
+      const count = data.events.length;
+      data.events = data.events.filter(e => e.chain !== name || e.blockNumber <= block);
+      if (dbPath && data.events.length < count) writeSegment(name);
+    },
+    /** Persist the chains' state (cursors and block hashes). */
+    save() {
+      if (!dbPath) return;
+      fs.mkdirSync(dbPath, { recursive: true });
+      const tmp = `${chainsPath}.tmp`;
+      writeJson(tmp, data.chains);
+      fs.renameSync(tmp, chainsPath);
+    },
+  };
+}
+
+// Event args as a plain object: named fields, integers as decimal strings
+function plainArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const value = parsed.args[i];
+    args[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return args;
+}
+
+/**
+ * Create an indexer over one or more chains.
+ * @param {object} opts
+ * @param {{name: string, contracts: Object<string, ethers.Contract>}[]} opts.chains contracts keyed by their
+ *   INDEXED_EVENTS role (vault, publisher, executor, verifier), all on the chain's provider
+ * @param {object} opts.db event database (createIndexDb)
+ * @param {number} [opts.startBlock] first block to index on every chain when no cursor exists
+ * @param {number} [opts.confirmations] blocks behind head to stay (reorgs are handled either way)
+ */
+export function createIndexer(opts) {
+  const cfg = { ...DEFAULTS };
+  for (const [k, v] of Object.entries(opts)) if (v !== undefined) cfg[k] = v;
+  const { chains, db } = cfg;
+  const log = cfg.log || ((...args) => console.log("[indexer]", ...args));
+  let stopped = false;
+
+  function providerOf(chain) {
+    const contract = Object.values(chain.contracts)[0];
+    return contract.runner.provider ?? contract.runner;
+  }
+
+  // Rewind the chain's cursor to the newest recorded block that is still canonical. Returns the blocks dropped.
+  async function handleReorg(chain, state) {
+    const provider = providerOf(chain);
+    const recorded = Object.keys(state.hashes).map(Number).sort((a, b) => b - a);
+    if (recorded.length === 0 || (await provider.getBlock(recorded[0]))?.hash === state.hashes[recorded[0]]) return 0;
+
+    // a block hash commits to all its ancestors, so the newest matching one is a common ancestor
+    let ancestor = (cfg.startBlock ?? 0) - 1;
+    for (const block of recorded) {
+      if ((await provider.getBlock(block))?.hash === state.hashes[block]) {
+        ancestor = block;
+        break;
+      }
+      delete state.hashes[block];
+    }
+    const dropped = state.cursor - ancestor;
+    db.dropAbove(chain.name, ancestor);
+    state.cursor = ancestor;
+    db.save();
+    log(`chain ${chain.name}: reorg, rewound ${dropped} block(s) to ${ancestor}`);
+    return dropped;
+  }
+
+  async function fetchEvents(chain, from, to) {
+    const events = [];
+    for (const [role, contract] of Object.entries(chain.contracts)) {
+      const names = new Set(INDEXED_EVENTS[role] ?? []);
+      for (const ev of await contract.queryFilter("*", from, to)) {
+        if (!ev.fragment || !names.has(ev.fragment.name)) continue;
+        events.push({
+          chain: chain.name,
+          contract: role,
+          address: ev.address,
+          event: ev.fragment.name,
+          blockNumber: ev.blockNumber,
+          blockHash: ev.blockHash,
+          transactionHash: ev.transactionHash,
+          logIndex: ev.index,
+          args: plainArgs(ev),
+        });
+      }
+    }
+    return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  /**
+   * Index one chain up to head - confirmations.
+   * @returns {Promise<number>} events added
+   */
+  async function syncChain(chain) {
+    const provider = providerOf(chain);
+    const state = db.chain(chain.name);
+    if (state.cursor === null) state.cursor = (cfg.startBlock ?? 0) - 1;
+    await handleReorg(chain, state);
+
+    const target = (await getHeadBlock(provider)) - cfg.confirmations;
+    let added = 0;
+    for (let from = state.cursor + 1; from <= target; from += cfg.maxBlockRange) {
+      const to = Math.min(from + cfg.maxBlockRange - 1, target);
+      const events = await fetchEvents(chain, from, to);
+      const tip = await provider.getBlock(to);
+
+      db.append(chain.name, events);
+      for (const e of events) state.hashes[e.blockNumber] = e.blockHash;
+      state.hashes[to] = tip.hash;
+      state.cursor = to;
+      for (const block of Object.keys(state.hashes)) {
+        if (Number(block) <= to - cfg.reorgDepth) delete state.hashes[block];
+      }
+      db.save();
+      added += events.length;
+    }
+    return added;
+  }
+
+  /** Index every chain once. @returns {Promise<number>} events added */
+  async function pollOnce() {
+    let added = 0;
+    for (const chain of chains) {
+      const n = await syncChain(chain);
+      if (n > 0) log(`chain ${chain.name}: ${n} event(s) up to block ${db.chain(chain.name).cursor}`);
+      added += n;
+    }
+    return added;
+  }
+
+  async function run() {
+    log(`indexing chains ${chains.map(c => c.name).join(", ")}`);
+    while (!stopped) {
+      try {
+        await pollOnce();
+      } catch (err) {
+        log("poll failed:", err.shortMessage || err.message);
+      }
+      if (!stopped) await sleep(cfg.pollIntervalMs);
+    }
+  }
+
+  function stop() {
+    stopped = true;
+  }
+
+  return { pollOnce, run, stop, ...createQueries(db) };
+}
+
+/**
+ * Read-only queries over an event database.
+ * @param {object} db event database (createIndexDb)
+ */
+export function createQueries(db) {
+  const find = (event, match = () => true) => db.data.events.filter(e => e.event === event && match(e.args));
+  const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+  const sameId = (a, b) => BigInt(a) === BigInt(b);
+
+  function status() {
+    const chains = {};
+    for (const [name, state] of Object.entries(db.data.chains)) chains[name] = { indexedBlock: state.cursor };
+    return { chains, events: db.data.events.length };
+  }
+
+  /** Withdrawals requested by `address`, each with its Claimed event once paid. */
+  function withdrawals(address, { open } = {}) {
+    const claims = new Map(find("Claimed").map(e => [e.args.withdrawalId, e]));
+    const list = find("InitiatedWithdraw", a => sameAddress(a.user, address)).map(e => {
+      const claim = claims.get(e.args.withdrawalId);
+      return {
+        ...e.args,
+        requestedAtBlock: e.blockNumber,
+        transactionHash: e.transactionHash,
+        open: !claim,
+        claim: claim ? { ...claim.args, blockNumber: claim.blockNumber, transactionHash: claim.transactionHash } : null,
+      };
+    });
+    return open ? list.filter(w => w.open) : list;
+  }
+
+  function account(address) {
+    return {
+      address: ethers.getAddress(address),
+      deposits: find("Deposited", a => sameAddress(a.user, address)),
+      withdrawals: withdrawals(address),
+      rewardsDistributed: find("DistributedRewards", a => sameAddress(a.by, address)),
+      votes: find("VoteCounted", a => sameAddress(a.voter, address)),
+    };
+  }
+
+  function votes(proposalId) {
+    return find("VoteCounted", a => sameId(a.proposalId, proposalId));
+  }
+
+  function proposal(proposalId) {
+    const one = name => find(name, a => sameId(a.proposalId, proposalId)).at(-1) ?? null;
+    const all = votes(proposalId);
+    // a voter's later version replaces the earlier one, as on-chain
+    const latest = new Map(all.map(v => [v.args.voter, v.args]));
+    const tally = { forVotes: 0n, againstVotes: 0n, abstainVotes: 0n };
+    for (const v of latest.values()) for (const k of Object.keys(tally)) tally[k] += BigInt(v[k]);
+
+    const result = {
+      proposalId: BigInt(proposalId).toString(),
+      created: one("ProposalCreated"),
+      metadataRevisions: find("ProposalMetadataUpdated", a => sameId(a.proposalId, proposalId)),
+      registered: one("ProposalRegistered"),
+      votes: all,
+      voters: latest.size,
+      tally: Object.fromEntries(Object.entries(tally).map(([k, v]) => [k, v.toString()])),
+      finalized: one("ProposalFinalized"),
+      passed: one("ProposalPassed"),
+      attested: one("ProposalAttested"),
+      canceled: one("ProposalCanceled"),
+      expired: one("ProposalExpired"),
+      executed: find("Executed", a => sameId(a.proposalId, proposalId)),
+    };
+    if (!result.created && !result.registered && all.length === 0) return null;
+    return result;
+  }
+
+  function stageOf(p) {
+    if (p.executed.length) return "executed";
+    // the guardian's veto, or a grace period that ran out (only once someone calls expire)
+    if (p.canceled) return "canceled";
+    if (p.expired) return "expired";
+    if (p.attested) return "attested";
+    if (p.passed) return "passed";
+    if (p.finalized && PROPOSAL_STATES[Number(p.finalized.args.state)] === "Defeated") return "defeated";
+    if (p.registered) return "registered";
+    return "created";
+  }
+
+  function proposals() {
+    const ids = new Set(
+      db.data.events.filter(e => e.args.proposalId !== undefined).map(e => BigInt(e.args.proposalId).toString())
+    );
+    return [...ids].map(id => {
+      const p = proposal(id);
+      return { proposalId: id, stage: stageOf(p), voters: p.voters, tally: p.tally };
+    });
+  }
+
+  return { status, account, withdrawals, votes, proposal, proposals };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/** HTTP front-end for the indexer queries (createIndexer or createQueries). */
+export function createIndexerServer(queries) {
+  return http.createServer((req, res) => {
+    try {
+      const url = new URL(req.url, "http://localhost");
+      const parts = url.pathname.split("/").filter(Boolean);
+      if (req.method !== "GET") return sendJson(res, 405, { error: "method not allowed" });
+
+      if (url.pathname === "/status") return sendJson(res, 200, queries.status());
+      if (parts[0] === "accounts" && parts.length >= 2 && ethers.isAddress(parts[1])) {
+        if (parts.length === 2) return sendJson(res, 200, queries.account(parts[1]));
+        if (parts.length === 3 && parts[2] === "withdrawals") {
+          return sendJson(res, 200, queries.withdrawals(parts[1], { open: url.searchParams.get("open") === "true" }));
+        }
+      }
+      if (parts[0] === "proposals") {
+        if (parts.length === 1) return sendJson(res, 200, queries.proposals());
+        if (!/^\d+$/.test(parts[1])) return sendJson(res, 400, { error: "invalid proposal id" });
+        if (parts.length === 2) {
+          const p = queries.proposal(parts[1]);
+          return p ? sendJson(res, 200, p) : sendJson(res, 404, { error: "unknown proposal" });
+        }
+        if (parts.length === 3 && parts[2] === "votes") return sendJson(res, 200, queries.votes(parts[1]));
+      }
+      sendJson(res, 404, { error: "not found" });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+  });
+}
+
+async function main() {
+  const argv = minimist(process.argv.slice(2), {
+    string: ["vault", "publisher", "executor", "verifier", "db", "rpc-a", "rpc-b"],
+    boolean: ["once"],
+  });
+  const providerA = getProvider(argv["rpc-a"] || CHAIN_A_RPC);
+  const providerB = getProvider(argv["rpc-b"] || CHAIN_B_RPC);
+  // contracts not named on the command line come from the deployment manifests (scripts/deploy.js)
+  const { vault, publisher, executor, verifier } = { ...(await deployedAddresses(providerA, providerB)), ...argv };
+  if (!vault || !publisher || !executor || !verifier) {
+    throw new Error(
+      "usage: indexer.js --vault <addr> --publisher <addr> --executor <addr> --verifier <addr> [--port 8700] [--once]"
+    );
+  }
+  const indexer = createIndexer({
+    chains: [
+      {
+        name: "A",
+        contracts: {
+          vault: getContract("LiquidStakingVault", vault, providerA),
+          publisher: getContract("GovernanceRootPublisher", publisher, providerA),
+          executor: getContract("GovernanceExecutor", executor, providerA),
+        },
+      },
+      { name: "B", contracts: { verifier: getContract("VoteVerifier", verifier, providerB) } },
+    ],
+    db: createIndexDb(argv.db || path.join(STATE_DIR, `index-${vault.toLowerCase()}`)),
+    startBlock: argv["from-block"] !== undefined ? Number(argv["from-block"]) : undefined,
+    confirmations: argv.confirmations !== undefined ? Number(argv.confirmations) : undefined,
+    pollIntervalMs: argv.interval !== undefined ? Number(argv.interval) : undefined,
+  });
+
+  if (argv.once) {
+    await indexer.pollOnce();
+    console.log(JSON.stringify(indexer.status()));
+    return;
+  }
+
+  const port = Number(argv.port || 8700);
+  const server = createIndexerServer(indexer).listen(port, "127.0.0.1", () => {
+    console.log(`[indexer] listening on http://127.0.0.1:${port}`);
+  });
+  const shutdown = () => {
+    indexer.stop();
+    server.close();
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+  await indexer.run();
+}
+
+if (isMain(import.meta.url)) {
+  main().catch(err => {
+    console.error("Indexer error:", err);
+    process.exit(1);
+  });
+}
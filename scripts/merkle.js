@@ -0,0 +1,127 @@
+// scripts/merkle.js
+// Merkle helpers compatible with OpenZeppelin's MerkleProof (sorted pairs), shared by scripts and tests.
+// Leaves are keccak256(abi.encodePacked(address account, uint256 power, uint256 nonce)),
+// exactly what VoteVerifier recomputes on-chain.
+// Supports single-leaf proofs (MerkleProof.verify) and multiproofs (MerkleProof.multiProofVerify).
+
+import { ethers } from "ethers";
+
+function keccak256Bytes(hex) {
+  return ethers.keccak256(hex);
+}
+
+export function leafHash(address, powerBN, nonce) {
+  // abi.encodePacked(address, uint256 power, uint256 nonce)
+  return keccak256Bytes(
+    ethers.solidityPacked(["address", "uint256", "uint256"], [address, powerBN.toString(), nonce.toString()])
+  );
+}
+
+// Lexicographic pair sort (OpenZeppelin MerkleProof._hashPair behaviour)
+export function hashPair(a, b) {
+  if (a === b) {
+    return keccak256Bytes(ethers.concat([a, b]));
+  }
+  const aBytes = ethers.getBytes(a);
+  const bBytes = ethers.getBytes(b);
+  const len = Math.min(aBytes.length, bBytes.length);
+  for (let i = 0; i < len; i++) {
+    if (aBytes[i] < bBytes[i]) {
+      return keccak256Bytes(ethers.concat([a, b]));
+    } else if (aBytes[i] > bBytes[i]) {
+      return keccak256Bytes(ethers.concat([b, a]));
+    }
+  }
+  return keccak256Bytes(ethers.concat([a, b]));
+}
+
+// Build merkle tree layers and return {root, layers}, where layers[0] = leaves.
+// An odd node at the end of a layer is paired with itself.
+export function buildMerkleTree(leaves) {
+  if (leaves.length === 0) return { root: ethers.ZeroHash, layers: [leaves] };
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const cur = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < cur.length; i += 2) {
+      if (i + 1 === cur.length) {
+        next.push(hashPair(cur[i], cur[i]));
+      } else {
+        next.push(hashPair(cur[i], cur[i + 1]));
+      }
+    }
+    layers.push(next);
+  }
+  return { root: layers[layers.length - 1][0], layers };
+}
+
+// Proof for leaf `index`, usable with MerkleProof.verify
+export function getProof(layers, index) {
+  const proof = [];
+  let idx = index;
+  for (let i = 0; i < layers.length - 1; i++) {
+    const layer = layers[i];
+    const pairIndex = idx ^ 1;
+    if (pairIndex < layer.length) proof.push(layer[pairIndex]);
+    else proof.push(layer[idx]); // duplicated sibling
+    idx = Math.floor(idx / 2);
+  }
+  return proof;
+}
+
+/**
+ * OpenZeppelin multiproof (MerkleProof.multiProofVerify) for several leaves of a tree built by buildMerkleTree.
+ * Leaves must be passed to the contract in the returned `indices` order (ascending tree position).
+ * @param {string[][]} layers tree layers from buildMerkleTree
+ * @param {number[]} indices leaf positions to prove
+ * @returns {{indices: number[], leaves: string[], proof: string[], proofFlags: boolean[]}}
+ */
+export function getMultiProof(layers, indices) {
+  const sorted = [...new Set(indices)].sort((a, b) => a - b);
+  for (const i of sorted) {
+    if (i < 0 || i >= layers[0].length) throw new Error(`leaf index ${i} out of range`);
+  }
+
+  const proof = [];
+  const proofFlags = [];
+  // Walk the tree layer by layer; the contract consumes known nodes in the same FIFO order
+  let known = sorted;
+  for (let level = 0; level < layers.length - 1; level++) {
+    const layer = layers[level];
+    const next = [];
+    for (let i = 0; i < known.length; i++) {
+      const idx = known[i];
+      const sibling = idx ^ 1;
+      if (known[i + 1] === sibling) {
+        proofFlags.push(true); // sibling is also being proven
+        i++;
+      } else {
+        proofFlags.push(false);
+        proof.push(sibling < layer.length ? layer[sibling] : layer[idx]); // duplicated sibling
+      }
+      next.push(idx >> 1);
+    }
+    known = next;
+  }
+
+  return { indices: sorted, leaves: sorted.map(i => layers[0][i]), proof, proofFlags };
+}
+
+// JS port of MerkleProof.processMultiProof, returns the reconstructed root
+export function processMultiProof(leaves, proof, proofFlags) {
+  if (leaves.length + proof.length !== proofFlags.length + 1) throw new Error("invalid multiproof");
+  const queue = [...leaves];
+  let proofPos = 0;
+  for (const flag of proofFlags) {
+    const a = queue.shift();
+    const b = flag ? queue.shift() : proof[proofPos++];
+    queue.push(hashPair(a, b));
+  }
+  if (proofFlags.length > 0) return queue[queue.length - 1];
+  return leaves.length > 0 ? leaves[0] : proof[0];
+}
+
+// Fold a single-leaf proof back to a root (MerkleProof.processProof)
+export function processProof(leaf, proof) {
+  return proof.reduce((node, sibling) => hashPair(node, sibling), leaf);
+}
@@ -0,0 +1,225 @@
+// scripts/metadata.js
+// Content-addressed proposal metadata.
+//
+// A proposal's metadata is a JSON document (METADATA_SCHEMA) with its title, description, the decoded calls of
+// its actionData and the snapshot parameters. GovernanceRootPublisher stores metadataHash = keccak256 of the
+// document's canonical JSON (keys sorted, no whitespace) next to the `metadata` string, which is either a URI
+// where the document is published or the document itself.
+//
+// Revisions: a new document names the hash it replaces in `previous`, and updateMetadata appends its hash
+// to the publisher's metadataHistory. checkPublishedMetadata verifies a document against all of that.
+
+import { ethers } from "ethers";
+import { encodeActionData, actionDataHash } from "./actions.js";
+import { createDecoder, describeAction } from "./simulate.js";
+
+export const METADATA_SCHEMA_ID = "lst-governance/proposal-metadata/v1";
+
+const BYTES32 = { type: "string", pattern: "^0x[0-9a-fA-F]{64}$" };
+const ADDRESS = { type: "string", pattern: "^0x[0-9a-fA-F]{40}$" };
+const UINT = { type: "string", pattern: "^(0|[1-9][0-9]*)$" }; // decimal string: JSON numbers lose precision
+
+/** JSON Schema (draft 2020-12) of a proposal-metadata document. */
+export const METADATA_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: METADATA_SCHEMA_ID,
+  type: "object",
+  required: ["schema", "proposalId", "title", "description", "actionDataHash", "actions", "snapshot", "previous"],
+  additionalProperties: false,
+  properties: {
+    schema: { const: METADATA_SCHEMA_ID },
+    proposalId: UINT,
+    title: { type: "string", minLength: 1, maxLength: 200 },
+    description: { type: "string" },
+    actionDataHash: BYTES32,
+    actions: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["target", "value", "data", "contract", "signature", "summary"],
+        additionalProperties: false,
+        properties: {
+          target: ADDRESS,
+          value: UINT,
+          data: { type: "string", pattern: "^0x([0-9a-fA-F]{2})*$" },
+          contract: { type: ["string", "null"] },
+          signature: { type: ["string", "null"] },
+          summary: { type: "string" },
+        },
+      },
+    },
+    snapshot: {
+      type: "object",
+      required: ["snapshotBlock", "powerRoot", "ER_snapshot", "totalPower"],
+      additionalProperties: false,
+      properties: {
+        snapshotBlock: { type: "integer", minimum: 0 },
+        powerRoot: BYTES32,
+        ER_snapshot: UINT,
+        totalPower: UINT,
+      },
+    },
+    previous: { type: ["string", "null"], pattern: BYTES32.pattern },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+// The JSON Schema keywords METADATA_SCHEMA uses; returns "<path>: <problem>" strings
+function validateSchema(schema, value, at = "$") {
+  if (schema.const !== undefined) return value === schema.const ? [] : [`${at}: must be ${JSON.stringify(schema.const)}`];
+  const types = [schema.type].flat();
+  const type = typeOf(value);
+  if (!types.includes(type) && !(type === "integer" && types.includes("number"))) {
+    return [`${at}: must be ${types.join(" or ")}`];
+  }
+
+  const errors = [];
+  if (type === "string") {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: does not match ${schema.pattern}`);
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: too short`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: too long`);
+  }
+  if (type === "integer" && schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: below ${schema.minimum}`);
+  if (type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: needs ${schema.minItems}+ items`);
+    value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${at}[${i}]`)));
+  }
+  if (type === "object") {
+    for (const key of schema.required ?? []) if (!(key in value)) errors.push(`${at}.${key}: missing`);
+    for (const [key, v] of Object.entries(value)) {
+      if (schema.properties?.[key]) errors.push(...validateSchema(schema.properties[key], v, `${at}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${at}.${key}: not allowed`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * JSON with object keys sorted at every level and no whitespace; bigints become decimal strings.
+ * The metadata hash is taken over this form, so key order and formatting of a stored copy do not matter.
+ */
+export function canonicalJson(value) {
+  if (typeof value === "bigint") return JSON.stringify(value.toString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value !== null && typeof value === "object") {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/** keccak256 of the document's canonical JSON: the publisher's metadataHash. */
+export function hashMetadata(document) {
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalJson(document)));
+}
+
+/**
+ * Build a metadata document.
+ * @param {object} opts
+ * @param {bigint|number|string} opts.proposalId
+ * @param {string} opts.title
+ * @param {string} [opts.description]
+ * @param {string} opts.actionData abi.encode(Call[])
+ * @param {{snapshotBlock: number, powerRoot: string, ER_snapshot: string, totalPower: string}} opts.snapshot
+ *   snapshot file (scripts/snapshot.js) the proposal is published with
+ * @param {string|null} [opts.previous] metadataHash this document replaces
+ * @param {object} [opts.decoder] createDecoder() by default
+ */
+export async function buildMetadata({ proposalId, title, description = "", actionData, snapshot, previous = null, decoder }) {
+  const { calls } = await describeAction(actionData, decoder ?? createDecoder());
+  return {
+    schema: METADATA_SCHEMA_ID,
+    proposalId: BigInt(proposalId).toString(),
+    title,
+    description,
+    actionDataHash: actionDataHash(actionData),
+    actions: calls.map(c => ({
+      target: c.target,
+      value: c.value.toString(),
+      data: c.data,
+      contract: c.contract,
+      signature: c.signature,
+      summary: c.summary,
+    })),
+    snapshot: {
+      snapshotBlock: Number(snapshot.snapshotBlock),
+      powerRoot: snapshot.powerRoot,
+      ER_snapshot: String(snapshot.ER_snapshot),
+      totalPower: String(snapshot.totalPower),
+    },
+    previous,
+  };
+}
+
+/**
+ * Problems with a document: schema violations, and actions that do not encode to its actionDataHash.
+ * @returns {string[]} empty when valid
+ */
+export function validateMetadata(document) {
+  const errors = validateSchema(METADATA_SCHEMA, document);
+  if (errors.length) return errors;
+  const encoded = encodeActionData(document.actions.map(a => ({ target: a.target, value: BigInt(a.value), data: a.data })));
+  if (actionDataHash(encoded) !== document.actionDataHash.toLowerCase()) {
+    errors.push("$.actions: do not encode to actionDataHash");
+  }
+  return errors;
+}
+
+/** The document held inline in a publisher `metadata` string, or null when it is a URI. */
+export function parseInlineMetadata(metadata) {
+  if (!metadata.trim().startsWith("{")) return null;
+  try {
+    return JSON.parse(metadata);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a proposal's metadata against the publisher's commitment.
+ * @param {object} opts
+ * @param {ethers.Contract} opts.publisher GovernanceRootPublisher
+ * @param {bigint|number|string} opts.proposalId
+ * @param {object} [opts.document] the document; defaults to the inline one on-chain (needed when metadata is a URI)
+ * @returns {Promise<{ok: boolean, errors: string[], metadataHash: string, documentHash: string|null,
+ *   revision: number, history: string[]}>}
+ */
+export async function checkPublishedMetadata({ publisher, proposalId, document }) {
+  const p = await publisher.proposals(proposalId);
+  if (!p.metadataHash || p.metadataHash === ethers.ZeroHash) throw new Error(`proposal ${proposalId} is not published`);
+  const history = [...(await publisher.metadataHistory(proposalId))];
+  const result = { ok: false, errors: [], metadataHash: p.metadataHash, documentHash: null, revision: history.length - 1, history };
+
+  const doc = document ?? parseInlineMetadata(p.metadata);
+  if (!doc) {
+    result.errors.push(`metadata is stored at ${p.metadata}; pass the document to check it`);
+    return result;
+  }
+  result.documentHash = hashMetadata(doc);
+  if (result.documentHash !== p.metadataHash) result.errors.push("document hash differs from the published metadataHash");
+  result.errors.push(...validateMetadata(doc));
+
+  if (result.errors.length === 0) {
+    const mismatch = (field, onChain, inDoc) => {
+      if (String(onChain).toLowerCase() !== String(inDoc).toLowerCase()) {
+        result.errors.push(`${field}: document has ${inDoc}, publisher has ${onChain}`);
+      }
+    };
+    mismatch("proposalId", BigInt(proposalId), doc.proposalId);
+    mismatch("actionDataHash", p.actionDataHash, doc.actionDataHash);
+    mismatch("snapshotBlock", p.snapshotBlock, doc.snapshot.snapshotBlock);
+    mismatch("powerRoot", p.powerRoot, doc.snapshot.powerRoot);
+    mismatch("ER_snapshot", p.ER_snapshot, doc.snapshot.ER_snapshot);
+    // a revision names the hash it replaced, the publish-time document none
+    mismatch("previous", history.length > 1 ? history.at(-2) : null, doc.previous);
+  }
+  result.ok = result.errors.length === 0;
+  return result;
+}
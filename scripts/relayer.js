@@ -0,0 +1,425 @@
+// scripts/relayer.js
+// Long-running relayer: watches VoteVerifier.ProposalPassed on Chain B, waits for confirmations,
+// checks the actionDataHash against GovernanceRootPublisher, signs the ProposalOutcome and,
+// once the executor's threshold of relayer signatures is gathered, calls
+// GovernanceExecutor.markProposalPassed on Chain A.
+// In the other direction it mirrors GovernanceRootPublisher.ProposalCreated from Chain A into
+// VoteVerifier.mirrorProposal on Chain B the same way (when the verifier has a proposal source set).
+// Before signing a proposal it rebuilds the voting-power snapshot at its snapshotBlock (scripts/snapshot.js)
+// and refuses a powerRoot it cannot reproduce.
+//
+// Relayers share signatures through a signature store directory (--signatures-dir); every relayer
+// of a deployment must point at the same one.
+// The last processed block of each chain is saved to a cursor file so the relayer resumes after a restart.
+// Proposals still short of the threshold when their block is passed are kept in a pending file next to the
+// cursor and retried on every poll until they are attested or mirrored, or for at most --pending-ttl seconds.
+//
+// Usage (against the nodes started by scripts/run_demo.sh):
+//   node scripts/relayer.js --verifier <addr> --executor <addr> [--confirmations 2] [--signatures-dir <dir>] [--once]
+//                           [--pending-ttl <seconds>]
+//                           [--snapshot-from-block <n>] [--snapshot-nonce <n>]   (how proposers build their snapshots)
+// Without --verifier/--executor/--publisher the addresses come from deployments/<chainId>.json (scripts/deploy.js).
+
+import fs from "fs";
+import path from "path";
+import minimist from "minimist";
+import { ethers } from "ethers";
+import {
+  CHAIN_A_RPC,
+  CHAIN_B_RPC,
+  STATE_DIR,
+  getProvider,
+  getWallet,
+  getMnemonicWallet,
+  getContract,
+  loadCursor,
+  saveCursor,
+  getHeadBlock,
+  readJson,
+  writeJson,
+  sleep,
+  isMain,
+} from "./utils.js";
+import {
+  PROPOSAL_CREATED_TYPES,
+  outcomeDomain,
+  signOutcome,
+  signProposalCreated,
+  collectSignatures,
+  createSignatureStore,
+} from "./attestations.js";
+import { voteDomain } from "./votes.js";
+import { buildSnapshot } from "./snapshot.js";
+import { deployedAddresses } from "./deployments.js";
+
+const DEFAULTS = {
+  confirmations: 2,
+  pollIntervalMs: 4000,
+  maxBlockRange: 2000,
+  maxRetries: 3,
+  retryDelayMs: 2000,
+  snapshotFromBlock: 0,
+  snapshotNonce: 0,
+  pendingTtlMs: 7 * 86400 * 1000, // how long a proposal short of signatures is retried
+};
+
+// Status of a proposal this relayer signed that still lacks signatures from the others
+const awaitingSignatures = (count, threshold) => `signed, ${count}/${threshold} signatures`;
+const isAwaitingSignatures = status => status.startsWith("signed, ");
+
+/**
+ * Compare a proposal registered on the VoteVerifier with the one published on Chain A.
+ * @param {object} opts
+ * @param {ethers.Contract} opts.publisher GovernanceRootPublisher on Chain A
+ * @param {ethers.Contract} opts.verifier VoteVerifier on Chain B
+ * @param {bigint|number|string} opts.proposalId
+ * @returns {Promise<{match: boolean, mismatches: string[]}>} names of the fields that differ
+ */
+export async function compareProposal({ publisher, verifier, proposalId }) {
+  const [published, registered] = await Promise.all([publisher.proposals(proposalId), verifier.proposals(proposalId)]);
+  if (published.proposer === ethers.ZeroAddress) throw new Error(`proposal ${proposalId} not published on Chain A`);
+  if (!registered.exists) throw new Error(`proposal ${proposalId} not registered on the VoteVerifier`);
+
+  const mismatches = ["actionDataHash", "powerRoot", "snapshotStake"].filter(f => published[f] !== registered[f]);
+  return { match: mismatches.length === 0, mismatches };
+}
+
+/**
+ * Create a relayer bound to already deployed contracts.
+ * @param {object} opts
+ * @param {ethers.Contract} opts.verifier VoteVerifier on Chain B, connected to the relayer signer on Chain B
+ *        (read only is enough when the verifier does not mirror proposals)
+ * @param {ethers.Contract} opts.executor GovernanceExecutor on Chain A, connected to the relayer signer
+ *        (may be omitted together with opts.publisher when only mirrorCreated is used)
+ * @param {ethers.Contract} [opts.publisher] GovernanceRootPublisher on Chain A (defaults to executor.governancePublisher())
+ * @param {object} [opts.signatureStore] createSignatureStore() shared with the other relayers (default: in memory)
+ * @param {string} opts.cursorPath JSON file holding the last processed Chain B block
+ * @param {number} [opts.startBlock] first Chain B block to scan when no cursor exists
+ * @param {string} [opts.mirrorCursorPath] JSON file holding the last processed Chain A block (default: next to cursorPath)
+ * @param {number} [opts.mirrorStartBlock] first Chain A block to scan when no mirror cursor exists
+ * @param {number} [opts.snapshotFromBlock] first Chain A block scanned for holders when rebuilding a snapshot (default 0)
+ * @param {number} [opts.snapshotNonce] leaf nonce of the snapshots (default 0)
+ * @param {string} [opts.pendingPath] JSON file of the proposals awaiting signatures (default: next to cursorPath;
+ *        in memory without a cursorPath)
+ * @param {number} [opts.pendingTtlMs] how long such a proposal is retried (default 7 days)
+ */
+export function createRelayer(opts) {
+  const cfg = { ...DEFAULTS };
+  for (const [k, v] of Object.entries(opts)) if (v !== undefined) cfg[k] = v;
+  const { verifier, executor, cursorPath } = cfg;
+  const mirrorCursorPath = cfg.mirrorCursorPath ?? (cursorPath ? cursorPath.replace(/\.json$/, "") + "-mirror.json" : null);
+  const pendingPath = cfg.pendingPath ?? (cursorPath ? cursorPath.replace(/\.json$/, "") + "-pending.json" : null);
+  const log = cfg.log || ((...args) => console.log("[relayer]", ...args));
+  let publisher = cfg.publisher;
+  let stopped = false;
+  let attestation, mirrorSource;
+  const store = cfg.signatureStore ?? createSignatureStore();
+  // proposals short of the threshold, retried every poll: { passed: {id: {actionDataHash, since}}, created: {id: {since}} }
+  const pending = pendingPath && fs.existsSync(pendingPath) ? readJson(pendingPath) : { passed: {}, created: {} };
+
+  function savePending() {
+    if (!pendingPath) return;
+    fs.mkdirSync(path.dirname(pendingPath), { recursive: true });
+    writeJson(pendingPath, pending);
+  }
+
+  async function getPublisher() {
+    if (!publisher) {
+      const addr = await executor.governancePublisher();
+      publisher = getContract("GovernanceRootPublisher", addr, executor.runner);
+    }
+    return publisher;
+  }
+
+  // EIP-712 domain plus the outcome fields that are fixed per deployment
+  async function getAttestation() {
+    if (!attestation) {
+      const verifierAddr = await verifier.getAddress();
+      const { chainId } = await (verifier.runner.provider ?? verifier.runner).getNetwork();
+      const [sourceChainId, expectedVerifier] = await Promise.all([executor.sourceChainId(), executor.verifier()]);
+      if (sourceChainId !== chainId || expectedVerifier !== verifierAddr) {
+        throw new Error(`executor attests VoteVerifier ${expectedVerifier} on chain ${sourceChainId}, not ${verifierAddr} on ${chainId}`);
+      }
+      attestation = { domain: await outcomeDomain(executor), sourceChainId, verifier: verifierAddr };
+    }
+    return attestation;
+  }
+
+  // Verifier domain plus the ProposalCreated fields fixed per deployment; null while mirroring is off
+  async function getMirrorSource() {
+    if (!mirrorSource) {
+      const publisherAddr = await verifier.proposalPublisher();
+      if (publisherAddr === ethers.ZeroAddress) return null;
+      const pub = await getPublisher();
+      const { chainId } = await (pub.runner.provider ?? pub.runner).getNetwork();
+      const sourceChainId = await verifier.proposalSourceChainId();
+      if (sourceChainId !== chainId || publisherAddr !== (await pub.getAddress())) {
+        throw new Error(`verifier mirrors publisher ${publisherAddr} on chain ${sourceChainId}, not ${await pub.getAddress()} on ${chainId}`);
+      }
+      mirrorSource = { domain: await voteDomain(verifier), sourceChainId, publisher: publisherAddr };
+    }
+    return mirrorSource;
+  }
+
+  async function withRetries(label, fn) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn();
+      } catch (err) {
+        if (attempt >= cfg.maxRetries) throw err;
+        log(`${label} failed (attempt ${attempt}/${cfg.maxRetries}): ${err.shortMessage || err.message}`);
+        await sleep(cfg.retryDelayMs * attempt);
+      }
+    }
+  }
+
+  // Relay a single ProposalPassed event. Returns a short status string.
+  async function relayPassed(proposalId, actionDataHash) {
+    if (await executor.attestedPassed(proposalId)) {
+      return "already attested";
+    }
+
+    const pub = await getPublisher();
+    let storedHash;
+    try {
+      [, storedHash] = await pub.getProposalCore(proposalId);
+    } catch (err) {
+      return "not published on Chain A";
+    }
+    if (storedHash !== actionDataHash) {
+      return `actionDataHash mismatch (publisher ${storedHash})`;
+    }
+
+    const { domain, sourceChainId, verifier: verifierAddr } = await getAttestation();
+    const outcome = { proposalId, actionDataHash, sourceChainId, verifier: verifierAddr };
+    const signer = executor.runner;
+    const signerAddr = await signer.getAddress();
+    if (await executor.isRelayer(signerAddr)) {
+      store.add(proposalId, signerAddr, await signOutcome(signer, domain, outcome));
+    }
+
+    const [relayers, threshold] = await Promise.all([executor.getRelayers(), executor.threshold()]);
+    const signatures = collectSignatures(domain, outcome, store.list(proposalId), relayers);
+    if (BigInt(signatures.length) < threshold) {
+      return awaitingSignatures(signatures.length, threshold);
+    }
+
+    const receipt = await withRetries(`markProposalPassed(${proposalId})`, async () => {
+      // another relayer (or an earlier attempt) may have landed in the meantime
+      if (await executor.attestedPassed(proposalId)) return null;
+      const tx = await executor.markProposalPassed(proposalId, actionDataHash, signatures.map(s => s.signature));
+      return tx.wait();
+    });
+    if (!receipt) return "already attested";
+    return `attested in tx ${receipt.hash}, executable from ${await executor.eta(proposalId)}`;
+  }
+
+  // Mirror a single published proposal to the verifier. Returns a short status string.
+  async function mirrorCreated(proposalId) {
+    const source = await getMirrorSource();
+    if (!source) return "mirroring disabled on the verifier";
+    if ((await verifier.proposals(proposalId)).exists) return "already registered";
+
+    // sign what Chain A stores, not what the event said
+    const pub = await getPublisher();
+    const p = await pub.proposals(proposalId);
+    // the powerRoot decides who votes with how much, so only vouch for one this relayer can reproduce
+    const { powerRoot } = await buildSnapshot({
+      provider: pub.runner.provider ?? pub.runner,
+      vault: await pub.vault(),
+      snapshotBlock: Number(p.snapshotBlock),
+      fromBlock: cfg.snapshotFromBlock,
+      nonce: cfg.snapshotNonce,
+    });
+    if (powerRoot !== p.powerRoot) {
+      return `powerRoot mismatch (snapshot at block ${p.snapshotBlock} rebuilds to ${powerRoot})`;
+    }
+    const fields = {
+      proposalId,
+      actionDataHash: p.actionDataHash,
+      powerRoot: p.powerRoot,
+      snapshotStake: p.snapshotStake,
+      sourceChainId: source.sourceChainId,
+      publisher: source.publisher,
+    };
+    const key = `created-${proposalId}`;
+    const signer = verifier.runner;
+    const signerAddr = await signer.getAddress();
+    if (await verifier.isRelayer(signerAddr)) {
+      store.add(key, signerAddr, await signProposalCreated(signer, source.domain, fields));
+    }
+
+    const [relayers, threshold] = await Promise.all([verifier.getRelayers(), verifier.threshold()]);
+    const signatures = collectSignatures(source.domain, fields, store.list(key), relayers, PROPOSAL_CREATED_TYPES);
+    if (BigInt(signatures.length) < threshold) {
+      return awaitingSignatures(signatures.length, threshold);
+    }
+
+    const receipt = await withRetries(`mirrorProposal(${proposalId})`, async () => {
+      if ((await verifier.proposals(proposalId)).exists) return null;
+      const tx = await verifier.mirrorProposal(
+        proposalId,
+        fields.actionDataHash,
+        fields.powerRoot,
+        fields.snapshotStake,
+        signatures.map(s => s.signature)
+      );
+      return tx.wait();
+    });
+    return receipt ? `mirrored in tx ${receipt.hash}` : "already registered";
+  }
+
+  // Scan confirmed blocks of `contract`'s chain after the cursor for `filter`, handling each event with `handle`
+  async function scan(contract, filter, cursor, startBlock, handle) {
+    const provider = contract.runner.provider ?? contract.runner;
+    const head = await getHeadBlock(provider);
+    const safeBlock = head - cfg.confirmations;
+
+    let last = loadCursor(cursor);
+    if (last === null) last = (startBlock ?? 0) - 1;
+    if (safeBlock <= last) return 0;
+
+    let seen = 0;
+    for (let from = last + 1; from <= safeBlock; from += cfg.maxBlockRange) {
+      const to = Math.min(from + cfg.maxBlockRange - 1, safeBlock);
+      for (const ev of await contract.queryFilter(filter, from, to)) {
+        // a failure here leaves the cursor before this range so the event is retried next poll
+        await handle(ev);
+        seen++;
+      }
+      saveCursor(cursor, to);
+    }
+    return seen;
+  }
+
+  // Keep a proposal that still lacks signatures for the next polls, or forget it once it is settled
+  function track(kind, proposalId, status, entry) {
+    const id = proposalId.toString();
+    if (isAwaitingSignatures(status)) {
+      pending[kind][id] = { since: Date.now(), ...pending[kind][id], ...entry };
+    } else if (pending[kind][id]) {
+      delete pending[kind][id];
+    } else {
+      return;
+    }
+    savePending();
+  }
+
+  // Retry the pending proposals: other relayers may have added their signatures since the last poll
+  async function retryPending() {
+    const retries = [
+      ["passed", (id, entry) => relayPassed(BigInt(id), entry.actionDataHash)],
+      ["created", id => mirrorCreated(BigInt(id))],
+    ];
+    for (const [kind, retry] of retries) {
+      for (const [id, entry] of Object.entries(pending[kind])) {
+        if (Date.now() - entry.since > cfg.pendingTtlMs) {
+          log(`proposal ${id}: gave up waiting for relayer signatures`);
+          delete pending[kind][id];
+          savePending();
+          continue;
+        }
+        const status = await retry(id, entry);
+        track(kind, id, status);
+        log(`pending proposal ${id}: ${status}`);
+      }
+    }
+  }
+
+  /**
+   * Retry the proposals awaiting signatures, then process every confirmed Chain B block (outcomes) and,
+   * when the verifier mirrors proposals, every confirmed Chain A block (new proposals) after their cursors.
+   * @returns {Promise<number>} number of ProposalPassed and ProposalCreated events seen
+   */
+  async function pollOnce() {
+    await retryPending();
+
+    let seen = await scan(verifier, verifier.filters.ProposalPassed(), cursorPath, cfg.startBlock, async ev => {
+      const { proposalId, actionDataHash } = ev.args;
+      const status = await relayPassed(proposalId, actionDataHash);
+      track("passed", proposalId, status, { actionDataHash });
+      log(`proposal ${proposalId} (block ${ev.blockNumber}): ${status}`);
+    });
+
+    if (await getMirrorSource()) {
+      const pub = await getPublisher();
+      seen += await scan(pub, pub.filters.ProposalCreated(), mirrorCursorPath, cfg.mirrorStartBlock, async ev => {
+        const status = await mirrorCreated(ev.args.proposalId);
+        track("created", ev.args.proposalId, status);
+        log(`new proposal ${ev.args.proposalId} (Chain A block ${ev.blockNumber}): ${status}`);
+      });
+    }
+    return seen;
+  }
+
+  async function run() {
+    log(`watching VoteVerifier ${await verifier.getAddress()} (confirmations=${cfg.confirmations})`);
+    while (!stopped) {
+      try {
+        await pollOnce();
+      } catch (err) {
+        log("poll failed:", err.shortMessage || err.message);
+      }
+      if (!stopped) await sleep(cfg.pollIntervalMs);
+    }
+  }
+
+  function stop() {
+    stopped = true;
+  }
+
+  return { pollOnce, relayPassed, mirrorCreated, run, stop };
+}
+
+async function main() {
+  const argv = minimist(process.argv.slice(2), {
+    string: ["verifier", "executor", "publisher", "key", "cursor", "signatures-dir"],
+    boolean: ["once"],
+  });
+  const providerA = getProvider(argv["chain-a"] || CHAIN_A_RPC);
+  const providerB = getProvider(argv["chain-b"] || CHAIN_B_RPC);
+  // contracts not named on the command line come from the deployment manifests (scripts/deploy.js)
+  const { verifier, executor, publisher } = { ...(await deployedAddresses(providerA, providerB)), ...argv };
+  if (!verifier || !executor) {
+    throw new Error("usage: relayer.js --verifier <addr> --executor <addr> [--publisher <addr>] [--signatures-dir <dir>] [--once]");
+  }
+
+  // Local default: the demo relayer (mnemonic account #1)
+  const key = argv.key || process.env.RELAYER_PRIVATE_KEY;
+  const signer = key ? getWallet(key, providerA) : getMnemonicWallet(1, providerA);
+  // same key on Chain B, used to submit mirrorProposal
+  const signerB = signer.connect(providerB);
+
+  const { chainId } = await providerB.getNetwork();
+  const signaturesDir = argv["signatures-dir"] || path.join(STATE_DIR, `attestations-${executor.toLowerCase()}`);
+  const relayer = createRelayer({
+    verifier: getContract("VoteVerifier", verifier, signerB),
+    executor: getContract("GovernanceExecutor", executor, signer),
+    publisher: publisher ? getContract("GovernanceRootPublisher", publisher, providerA) : undefined,
+    signatureStore: createSignatureStore(signaturesDir),
+    cursorPath: argv.cursor || path.join(STATE_DIR, `relayer-${chainId}-${verifier.toLowerCase()}-${signer.address.toLowerCase()}.json`),
+    startBlock: argv["from-block"] !== undefined ? Number(argv["from-block"]) : undefined,
+    confirmations: argv.confirmations !== undefined ? Number(argv.confirmations) : undefined,
+    pollIntervalMs: argv.interval !== undefined ? Number(argv.interval) : undefined,
+    maxRetries: argv["max-retries"] !== undefined ? Number(argv["max-retries"]) : undefined,
+    snapshotFromBlock: argv["snapshot-from-block"] !== undefined ? Number(argv["snapshot-from-block"]) : undefined,
+    snapshotNonce: argv["snapshot-nonce"] !== undefined ? Number(argv["snapshot-nonce"]) : undefined,
+    pendingTtlMs: argv["pending-ttl"] !== undefined ? Number(argv["pending-ttl"]) * 1000 : undefined,
+  });
+
+  console.log(`[relayer] signer ${signer.address}, signatures in ${signaturesDir}`);
+  if (argv.once) {
+    await relayer.pollOnce();
+    return;
+  }
+  process.on("SIGINT", relayer.stop);
+  process.on("SIGTERM", relayer.stop);
+  await relayer.run();
+}
+
+if (isMain(import.meta.url)) {
+  main().catch(err => {
+    console.error("Relayer error:", err);
+    process.exit(1);
+  });
+}
@@ -2,8 +2,9 @@
 #
 # Single command demo runner:
 # 1) launches ChainA & ChainB nodes
-# 2) runs demo.js automatically
-# 3) auto-kills child processes on exit
+# 2) deploys the contracts with Ignition (scripts/deploy.js)
+# 3) runs demo.js automatically (arguments are passed through to both, e.g. --bridge)
+# 4) auto-kills child processes on exit
 #
 
 set -e
@@ -28,6 +29,19 @@ cleanup() {
 }
 trap cleanup EXIT
 
+# Wait until a node answers JSON-RPC (node startup can take longer than a fixed sleep)
+wait_for_rpc() {
+  for _ in $(seq 1 60); do
+    if curl -s -X POST -H "Content-Type: application/json" \
+      --data '{"jsonrpc":"2.0","id":1,"method":"eth_chainId","params":[]}' "$1" > /dev/null 2>&1; then
+      return 0
+    fi
+    sleep 1
+  done
+  echo "❌ Node at $1 did not start"
+  exit 1
+}
+
 ########################################
 # 1️⃣ Start Two Hardhat Nodes
 ########################################
@@ -35,12 +49,12 @@ trap cleanup EXIT
 echo "👉 Starting Chain A (stake chain) on port $CHAINA_PORT... with chain id $CHAIN_ID_1"
 npx hardhat node --port $CHAINA_PORT --chain-id $CHAIN_ID_1 > nodeA.log 2>&1 &
 PID_A=$!
-sleep 2
+wait_for_rpc http://127.0.0.1:$CHAINA_PORT
 
 echo "👉 Starting Chain B (verify chain) on port $CHAINB_PORT... with chain id $CHAIN_ID_2"
 npx hardhat node --port $CHAINB_PORT --chain-id $CHAIN_ID_2 > nodeB.log 2>&1 &
 PID_B=$!
-sleep 2
+wait_for_rpc http://127.0.0.1:$CHAINB_PORT
 
 echo "✅ Local networks running:"
 echo "  🔹 ChainA (Stake):      http://127.0.0.1:$CHAINA_PORT"
@@ -48,14 +62,25 @@ echo "  🔹 ChainB (Verifier):   http://127.0.0.1:$CHAINB_PORT"
 echo ""
 
 ########################################
-# 2️⃣ Run Governance Demo Script
+# 2️⃣ Deploy Contracts (Ignition)
+########################################
+
+echo "▶ Deploying contracts..."
+node scripts/deploy.js "$@" || {
+  echo "❌ Deployment failed!"
+  exit 1
+}
+echo ""
+
+########################################
+# 3️⃣ Run Governance Demo Script
 ########################################
 
 echo "▶ Running demo script..."
 echo "------------------------------------"
 echo ""
 
-node scripts/demo.js || {
+node scripts/demo.js "$@" || {
   echo "❌ Demo failed!"
   exit 1
 }
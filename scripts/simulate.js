@@ -0,0 +1,325 @@
+// scripts/simulate.js
+// Human-readable actionData and proposal dry runs.
+//
+// - Decoding: every call of an actionData is matched against the ABIs in artifacts/. With a provider the target's
+//   deployed code is compared with the artifacts' deployedBytecode (immutables masked), which names the contract even
+//   when several ABIs share a selector; without one the function selector alone decides.
+// - Simulation: the calls are sent one by one from the GovernanceExecutor address (impersonated) on a Hardhat fork
+//   of Chain A, the way executeIfAuthorized runs them. The calls' value comes from the executor's real balance plus
+//   the msg.value sent with executeIfAuthorized, and their gas is free, so a call the balance cannot pay for fails
+//   as it would on chain. It stops at the first revert, as the real execution would revert as a whole.
+//   Reported: success or the decoded revert, decoded events per call, and state diffs of the touched contracts
+//   (every argument-free view getter, e.g. unbondingPeriod, read before and after).
+//
+// The gov CLI exposes this as `gov.js decode` and `gov.js simulate`; proposal metadata (scripts/metadata.js)
+// embeds the decoded calls.
+
+import fs from "fs";
+import path, { dirname } from "path";
+import { fileURLToPath } from "url";
+import { ethers } from "ethers";
+import { decodeActionData, actionDataHash } from "./actions.js";
+import { getHeadBlock } from "./utils.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const ARTIFACTS_DIR = path.join(__dirname, "..", "artifacts", "contracts");
+
+const ERROR_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Contract artifacts under `dir`, as { contractName, iface, deployedBytecode, immutableReferences }.
+ * @param {string} [dir]
+ */
+export function loadArtifacts(dir = ARTIFACTS_DIR) {
+  const artifacts = [];
+  if (!fs.existsSync(dir)) return artifacts;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true, recursive: true })) {
+    if (!entry.isFile() || !entry.name.endsWith(".json") || entry.name.endsWith(".dbg.json")) continue;
+    const json = JSON.parse(fs.readFileSync(path.join(entry.parentPath, entry.name), "utf8"));
+    if (!Array.isArray(json.abi) || json.abi.length === 0) continue;
+    artifacts.push({
+      contractName: json.contractName,
+      iface: new ethers.Interface(json.abi),
+      deployedBytecode: json.deployedBytecode ?? "0x",
+      immutableReferences: json.immutableReferences ?? {},
+    });
+  }
+  return artifacts;
+}
+
+// Deployed code with the immutable slots zeroed, so it can be compared with the artifact's deployedBytecode
+function maskImmutables(code, immutableReferences) {
+  const bytes = ethers.getBytes(code);
+  for (const refs of Object.values(immutableReferences)) {
+    for (const { start, length } of refs) bytes.fill(0, start, start + length);
+  }
+  return ethers.hexlify(bytes);
+}
+
+// Decoded values as JSON-friendly plain data (Results become arrays, bigints stay bigints for toJson)
+function plain(value) {
+  if (value instanceof ethers.Result) return value.toArray().map(plain);
+  return value;
+}
+
+function namedArgs(inputs, values) {
+  const args = {};
+  inputs.forEach((input, i) => {
+    args[input.name || `arg${i}`] = plain(values[i]);
+  });
+  return args;
+}
+
+function formatArg(value) {
+  if (Array.isArray(value)) return `[${value.map(formatArg).join(", ")}]`;
+  return typeof value === "string" ? value : String(value);
+}
+
+/**
+ * Decoder over a set of artifacts.
+ * @param {object} [opts]
+ * @param {object[]} [opts.artifacts] loadArtifacts() by default
+ * @param {ethers.Provider} [opts.provider] lets targets be identified by their deployed code
+ * @param {Object<string, string>} [opts.labels] address -> contract name, for addresses known up front
+ */
+export function createDecoder({ artifacts = loadArtifacts(), provider, labels = {} } = {}) {
+  const byName = new Map(artifacts.map(a => [a.contractName, a]));
+  const resolved = new Map(Object.entries(labels).map(([addr, name]) => [ethers.getAddress(addr), byName.get(name)]));
+
+  /** Artifact deployed at `address`, or undefined when it cannot be told. */
+  async function contractAt(address) {
+    const addr = ethers.getAddress(address);
+    if (resolved.has(addr)) return resolved.get(addr);
+    let match;
+    if (provider) {
+      const code = await provider.getCode(addr);
+      if (code !== "0x") {
+        match = artifacts.find(
+          a => a.deployedBytecode.length === code.length && maskImmutables(code, a.immutableReferences) === a.deployedBytecode
+        );
+      }
+    }
+    resolved.set(addr, match);
+    return match;
+  }
+
+  /**
+   * @param {{target: string, value: bigint, data: string}} call
+   * @returns {Promise<object>} call with contract, signature, args and a one-line summary
+   */
+  async function decodeCall(call) {
+    const target = ethers.getAddress(call.target);
+    const value = BigInt(call.value ?? 0);
+    const out = { target, value, data: call.data, contract: null, signature: null, args: null };
+    const selector = call.data.slice(0, 10);
+
+    const known = await contractAt(target);
+    const candidates = known ? [known] : artifacts.filter(a => a.iface.getFunction(selector) !== null);
+    const fn = candidates.length ? candidates[0].iface.getFunction(selector) : null;
+    if (call.data === "0x") {
+      out.contract = known?.contractName ?? null;
+      out.summary = `send ${ethers.formatEther(value)} ETH to ${target}`;
+      return out;
+    }
+    if (!fn) {
+      out.contract = known?.contractName ?? null;
+      out.summary = `${out.contract ?? target}: unknown function ${selector}`;
+      return out;
+    }
+
+    // same selector means same argument types, so any candidate decodes the arguments
+    out.contract = [...new Set(candidates.map(a => a.contractName))].join("|");
+    out.signature = fn.format("sighash");
+    out.args = namedArgs(fn.inputs, candidates[0].iface.decodeFunctionData(fn, call.data));
+    const args = Object.entries(out.args).map(([k, v]) => `${k}=${formatArg(v)}`).join(", ");
+    const withValue = value > 0n ? ` {value: ${ethers.formatEther(value)} ETH}` : "";
+    out.summary = `${out.contract}(${target}).${fn.name}(${args})${withValue}`;
+    return out;
+  }
+
+  /** Decode a log with the emitter's ABI, or any artifact's when the emitter is unknown. */
+  async function decodeLog(log) {
+    const known = await contractAt(log.address);
+    for (const a of known ? [known] : artifacts) {
+      let parsed;
+      try {
+        parsed = a.iface.parseLog(log);
+      } catch {
+        continue; // same topic, different indexed layout (ERC-20 vs ERC-721 Transfer)
+      }
+      if (parsed) {
+        return { address: log.address, contract: a.contractName, event: parsed.name, args: namedArgs(parsed.fragment.inputs, parsed.args) };
+      }
+    }
+    return { address: log.address, contract: null, event: null, topics: log.topics, data: log.data };
+  }
+
+  /** Human-readable revert reason for `data` (Error(string), Panic(uint256) or a custom error of any artifact). */
+  function decodeRevert(data) {
+    if (!data || data === "0x") return "reverted without a reason";
+    if (data.startsWith(ERROR_SELECTOR)) return coder.decode(["string"], ethers.dataSlice(data, 4))[0];
+    if (data.startsWith(PANIC_SELECTOR)) return `panic ${coder.decode(["uint256"], ethers.dataSlice(data, 4))[0]}`;
+    for (const a of artifacts) {
+      const err = a.iface.parseError(data);
+      if (err) return `${err.name}(${err.args.map(v => formatArg(plain(v))).join(", ")})`;
+    }
+    return `reverted with ${data}`;
+  }
+
+  return { contractAt, decodeCall, decodeLog, decodeRevert };
+}
+
+/**
+ * Decoded view of an actionData.
+ * @param {string} actionData abi.encode(Call[])
+ * @param {object} decoder createDecoder()
+ */
+export async function describeAction(actionData, decoder) {
+  const calls = [];
+  for (const [index, call] of decodeActionData(actionData).entries()) {
+    calls.push({ index, ...(await decoder.decodeCall(call)) });
+  }
+  return { actionDataHash: actionDataHash(actionData), calls, summary: calls.map(c => `${c.index}: ${c.summary}`) };
+}
+
+// Getters that change with every block rather than with a proposal
+const BLOCK_GETTERS = new Set(["clock"]); // ERC-6372: the block number
+
+// Argument-free views returning one plain value: the state compared before and after a simulation
+function stateGetters(iface) {
+  const simple = /^(u?int\d*|bool|address|bytes\d+|string)$/;
+  return iface.fragments.filter(
+    f =>
+      f.type === "function" &&
+      f.constant &&
+      f.inputs.length === 0 &&
+      f.outputs.length === 1 &&
+      simple.test(f.outputs[0].type) &&
+      !BLOCK_GETTERS.has(f.name)
+  );
+}
+
+async function readState(provider, address, artifact) {
+  const state = {};
+  const contract = new ethers.Contract(address, artifact.iface, provider);
+  for (const fn of stateGetters(artifact.iface)) {
+    try {
+      state[fn.name] = await contract[fn.format("sighash")]();
+    } catch {
+      // getters that revert in the current state (e.g. nothing to compute yet) are left out
+    }
+  }
+  state["ETH balance"] = await provider.getBalance(address);
+  return state;
+}
+
+function revertData(err) {
+  return err.data ?? err.error?.data ?? err.info?.error?.data;
+}
+
+/**
+ * Run the calls of `actionData` as GovernanceExecutor would, on a development node or fork, and undo them afterwards.
+ * The node must support evm_snapshot / evm_revert, hardhat_impersonateAccount / hardhat_setBalance and
+ * hardhat_setNextBlockBaseFeePerGas.
+ * @param {object} opts
+ * @param {ethers.JsonRpcApiProvider} opts.provider provider of the fork
+ * @param {string} opts.executor GovernanceExecutor address the calls are sent from
+ * @param {string} opts.actionData
+ * @param {bigint} [opts.value] msg.value sent with executeIfAuthorized, spendable on top of the executor's balance (default 0)
+ * @param {object} [opts.decoder] createDecoder({ provider }) by default
+ * @returns {Promise<{success: boolean, revertedAt: number|null, error: string|null, blockNumber: number,
+ *   calls: object[], stateDiffs: object[]}>}
+ */
+export async function simulateAction({ provider, executor, actionData, value = 0n, decoder = createDecoder({ provider }) }) {
+  const from = ethers.getAddress(executor);
+  const { calls } = await describeAction(actionData, decoder);
+  const blockNumber = await provider.getBlockNumber();
+  const snapshot = await provider.send("evm_snapshot", []);
+  try {
+    await provider.send("hardhat_impersonateAccount", [from]);
+    // executeIfAuthorized credits its msg.value before the calls run
+    if (BigInt(value) > 0n) {
+      const balance = await provider.getBalance(from);
+      await provider.send("hardhat_setBalance", [from, ethers.toQuantity(balance + BigInt(value))]);
+    }
+
+    // contracts whose state is compared: every call target identified by its code
+    const watched = new Map();
+    const watch = async address => {
+      const addr = ethers.getAddress(address);
+      if (watched.has(addr)) return;
+      const artifact = await decoder.contractAt(addr);
+      watched.set(addr, artifact ? { artifact, before: await readState(provider, addr, artifact) } : null);
+    };
+    for (const c of calls) await watch(c.target);
+
+    const results = [];
+    const fail = (c, error) => {
+      results.push({ index: c.index, summary: c.summary, success: false, error });
+      return { success: false, revertedAt: c.index, error, blockNumber, calls: results, stateDiffs: [] };
+    };
+    for (const c of calls) {
+      const balance = await provider.getBalance(from);
+      if (balance < c.value) {
+        return fail(
+          c,
+          `executor balance ${ethers.formatEther(balance)} ETH cannot pay the call's ${ethers.formatEther(c.value)} ETH ` +
+            "(fund the executor or send the difference with executeIfAuthorized)"
+        );
+      }
+      const tx = { from, to: c.target, value: c.value, data: c.data };
+      try {
+        await provider.call(tx);
+      } catch (err) {
+        return fail(c, decoder.decodeRevert(revertData(err)));
+      }
+      // eth_sendTransaction: the node signs for the impersonated executor (automine). The caller of
+      // executeIfAuthorized pays the real execution's gas, so the simulated transactions cost the executor nothing.
+      await provider.send("hardhat_setNextBlockBaseFeePerGas", ["0x0"]);
+      const hash = await provider.send("eth_sendTransaction", [
+        { from, to: c.target, value: ethers.toQuantity(c.value), data: c.data, gasPrice: "0x0" },
+      ]);
+      const receipt = await provider.getTransactionReceipt(hash);
+      const events = [];
+      for (const log of receipt.logs) events.push(await decoder.decodeLog(log));
+      results.push({ index: c.index, summary: c.summary, success: true, gasUsed: receipt.gasUsed, events });
+    }
+
+    const stateDiffs = [];
+    for (const [address, entry] of watched) {
+      if (!entry) continue;
+      const after = await readState(provider, address, entry.artifact);
+      for (const [field, before] of Object.entries(entry.before)) {
+        if (after[field] !== before) stateDiffs.push({ address, contract: entry.artifact.contractName, field, before, after: after[field] });
+      }
+    }
+    return { success: true, revertedAt: null, error: null, blockNumber, calls: results, stateDiffs };
+  } finally {
+    await provider.send("evm_revert", [snapshot]);
+    await provider.send("hardhat_stopImpersonatingAccount", [from]);
+  }
+}
+
+/**
+ * In-process Hardhat fork of the chain at `url`, at `blockNumber` (default: its current head).
+ * @returns {Promise<{provider: ethers.JsonRpcApiProvider, close: () => Promise<void>}>}
+ */
+export async function forkChain(url, blockNumber) {
+  const remote = new ethers.JsonRpcProvider(url);
+  const { chainId } = await remote.getNetwork();
+  // without a block number EDR forks a reorg-safe distance behind the head of chains it does not know
+  const forkBlock = blockNumber !== undefined ? Number(blockNumber) : await getHeadBlock(remote);
+  remote.destroy();
+  // loaded on demand so decoding works without the Hardhat runtime
+  const { network } = await import("hardhat");
+  const connection = await network.create({
+    override: { chainId: Number(chainId), forking: { url, blockNumber: forkBlock } },
+  });
+  const provider = connection.ethers.provider;
+  // calls against the fork block itself need the remote chain's hardfork history, which a local chain id lacks;
+  // on a block mined on top of it the fork's own hardfork applies
+  await provider.send("evm_mine", []);
+  return { provider, close: () => connection.close() };
+}
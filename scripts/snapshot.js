@@ -0,0 +1,164 @@
+// scripts/snapshot.js
+// Voting-power snapshot builder.
+//
+// Discovers every holder of the asset and of the LiquidStakingVault share token by scanning
+// Transfer / Deposited events up to `snapshotBlock`, computes
+//   power = assetBal + floor(shares * ER_snapshot / WAD)
+// for each of them and builds the sorted-pair Merkle tree VoteVerifier checks against powerRoot.
+//
+// No archive node is needed: shares and ER_snapshot come from the vault's checkpoints
+// (getPastVotes / exchangeRateAt), and asset balances are rolled back from the head block
+// by undoing the asset Transfers after snapshotBlock.
+//
+// Usage:
+//   node scripts/snapshot.js --vault <addr> [--block <snapshotBlock>] [--from-block <n>] [--out snapshot.json]
+
+import path from "path";
+import minimist from "minimist";
+import { ethers } from "ethers";
+import { CHAIN_A_RPC, getProvider, getContract, getHeadBlock, writeJson, isMain } from "./utils.js";
+import { leafHash, buildMerkleTree, getProof } from "./merkle.js";
+
+const WAD = ethers.parseEther("1");
+
+const ERC20_ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "function balanceOf(address) view returns (uint256)",
+];
+
+// Run queryFilter over [fromBlock, toBlock] in chunks (public RPCs cap the log range)
+async function queryInChunks(contract, filter, fromBlock, toBlock, maxRange) {
+  const events = [];
+  for (let from = fromBlock; from <= toBlock; from += maxRange) {
+    const to = Math.min(from + maxRange - 1, toBlock);
+    events.push(...(await contract.queryFilter(filter, from, to)));
+  }
+  return events;
+}
+
+/**
+ * Build a voting-power snapshot.
+ * @param {object} opts
+ * @param {ethers.Provider} opts.provider Chain A provider (only recent state is read)
+ * @param {string} opts.vault LiquidStakingVault address
+ * @param {string} [opts.asset] asset address (defaults to vault.asset())
+ * @param {number} opts.snapshotBlock past block at which balances and ER are sampled
+ * @param {number} [opts.fromBlock] first block to scan for holders (e.g. the vault deployment block)
+ * @param {number} [opts.nonce] leaf nonce shared by every holder in this snapshot
+ * @returns {Promise<object>} JSON-serialisable snapshot (bigints as decimal strings)
+ */
+export async function buildSnapshot({ provider, vault, asset, snapshotBlock, fromBlock = 0, nonce = 0, maxBlockRange = 5000 }) {
+  const vaultContract = getContract("LiquidStakingVault", vault, provider);
+  const assetAddr = asset || (await vaultContract.asset());
+  const assetContract = new ethers.Contract(assetAddr, ERC20_ABI, provider);
+  const vaultAddr = await vaultContract.getAddress();
+
+  // Every read is pinned to one head block; checkpoints only answer for blocks before it
+  const head = await getHeadBlock(provider);
+  if (snapshotBlock >= head) throw new Error(`snapshotBlock ${snapshotBlock} must be a past block (head is ${head})`);
+  const blockTag = head;
+
+  // --- discover holders ---
+  const holders = new Set();
+  const add = addr => holders.add(ethers.getAddress(addr));
+  const assetTransfers = await queryInChunks(assetContract, assetContract.filters.Transfer(), fromBlock, head, maxBlockRange);
+  const shareTransfers = await queryInChunks(vaultContract, vaultContract.filters.Transfer(), fromBlock, snapshotBlock, maxBlockRange);
+  const deposits = await queryInChunks(vaultContract, vaultContract.filters.Deposited(), fromBlock, snapshotBlock, maxBlockRange);
+  for (const ev of [...assetTransfers.filter(ev => ev.blockNumber <= snapshotBlock), ...shareTransfers]) {
+    add(ev.args.from);
+    add(ev.args.to);
+  }
+  for (const ev of deposits) add(ev.args.user);
+
+  // The zero address is mint/burn, and the vault's own asset balance backs the shares (counting it would double count)
+  holders.delete(ethers.ZeroAddress);
+  holders.delete(vaultAddr);
+
+  // asset balance at snapshotBlock = balance at head - received after snapshotBlock + sent after snapshotBlock
+  const assetDelta = new Map();
+  for (const ev of assetTransfers.filter(ev => ev.blockNumber > snapshotBlock)) {
+    const from = ethers.getAddress(ev.args.from);
+    const to = ethers.getAddress(ev.args.to);
+    assetDelta.set(from, (assetDelta.get(from) ?? 0n) + ev.args.value);
+    assetDelta.set(to, (assetDelta.get(to) ?? 0n) - ev.args.value);
+  }
+
+  // --- compute power ---
+  const ER_snapshot = await vaultContract.exchangeRateAt(snapshotBlock, { blockTag });
+  const entries = [];
+  for (const addr of [...holders].sort((a, b) => (a.toLowerCase() < b.toLowerCase() ? -1 : 1))) {
+    const assetBal = (await assetContract.balanceOf(addr, { blockTag })) + (assetDelta.get(addr) ?? 0n);
+    const shares = await vaultContract.getPastVotes(addr, snapshotBlock, { blockTag });
+    const power = assetBal + (shares * ER_snapshot) / WAD;
+    if (power === 0n) continue;
+    entries.push({ address: addr, assetBal, shares, power });
+  }
+
+  // --- Merkle tree (leaf order = sorted address order) ---
+  const leaves = entries.map(e => leafHash(e.address, e.power, nonce));
+  const { root, layers } = buildMerkleTree(leaves);
+  const totalPower = entries.reduce((acc, e) => acc + e.power, 0n);
+
+  const { chainId } = await provider.getNetwork();
+  const out = {
+    chainId: chainId.toString(),
+    vault: vaultAddr,
+    asset: ethers.getAddress(assetAddr),
+    snapshotBlock,
+    ER_snapshot: ER_snapshot.toString(),
+    totalPower: totalPower.toString(),
+    powerRoot: root,
+    holders: {},
+  };
+  entries.forEach((e, i) => {
+    out.holders[e.address] = {
+      power: e.power.toString(),
+      nonce,
+      index: i,
+      assetBalance: e.assetBal.toString(),
+      shares: e.shares.toString(),
+      proof: getProof(layers, i),
+    };
+  });
+  return out;
+}
+
+async function main() {
+  const argv = minimist(process.argv.slice(2), { string: ["vault", "asset", "out", "rpc"] });
+  if (!argv.vault) {
+    throw new Error("usage: snapshot.js --vault <addr> [--asset <addr>] [--block <n>] [--from-block <n>] [--nonce <n>] [--out <file>]");
+  }
+
+  const provider = getProvider(argv.rpc || CHAIN_A_RPC);
+  // checkpoints are only final for past blocks, so default to the block before head
+  const snapshotBlock = argv.block !== undefined ? Number(argv.block) : (await getHeadBlock(provider)) - 1;
+
+  const snapshot = await buildSnapshot({
+    provider,
+    vault: argv.vault,
+    asset: argv.asset,
+    snapshotBlock,
+    fromBlock: Number(argv["from-block"] || 0),
+    nonce: Number(argv.nonce || 0),
+  });
+
+  const outPath = path.resolve(argv.out || `snapshot-${snapshotBlock}.json`);
+  writeJson(outPath, snapshot);
+  console.log(
+    JSON.stringify({
+      out: outPath,
+      snapshotBlock,
+      ER_snapshot: snapshot.ER_snapshot,
+      totalPower: snapshot.totalPower,
+      powerRoot: snapshot.powerRoot,
+      holders: Object.keys(snapshot.holders).length,
+    })
+  );
+}
+
+if (isMain(import.meta.url)) {
+  main().catch(err => {
+    console.error("Snapshot error:", err);
+    process.exit(1);
+  });
+}
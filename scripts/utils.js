@@ -1,38 +1,104 @@
 // scripts/utils.js
 import fs from "fs";
+import path, { dirname } from "path";
+import { fileURLToPath } from "url";
 import { ethers } from "ethers";
 import keccak256 from "keccak256";
 import dotenv from "dotenv";
-dotenv.config();
+dotenv.config({ quiet: true });
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
 
 export const RPC = process.env.RPC_URL || "http://127.0.0.1:8545";
 export const CHAIN_ID = Number(process.env.CHAIN_ID || 31337);
 
+// Local two-chain setup started by scripts/run_demo.sh
+export const CHAIN_A_RPC = process.env.CHAIN_A_RPC || "http://127.0.0.1:8545"; // stake chain
+export const CHAIN_B_RPC = process.env.CHAIN_B_RPC || "http://127.0.0.1:8546"; // verify chain
+
+// Default Hardhat mnemonic (used by local nodes) - same addresses on both chains
+export const MNEMONIC = process.env.MNEMONIC || "test test test test test test test test test test test junk";
+
+// Directory for local runtime state (cursors, stores). Git-ignored.
+export const STATE_DIR = process.env.STATE_DIR || path.join(__dirname, "..", ".state");
+
 export function getProvider(rpc = RPC) {
   return new ethers.JsonRpcProvider(rpc);
 }
 
-export function getWallet(privateKey) {
+export function getWallet(privateKey, provider = getProvider()) {
   const pk = privateKey || process.env.PRIVATE_KEY;
   if (!pk) throw new Error("No private key provided (env PRIVATE_KEY)");
-  return new ethers.Wallet(pk, getProvider());
+  return new ethers.Wallet(pk, provider);
+}
+
+// Wallet derived from MNEMONIC at m/44'/60'/0'/0/<index>
+export function getMnemonicWallet(index, provider) {
+  const wallet = ethers.HDNodeWallet.fromPhrase(MNEMONIC, undefined, `m/44'/60'/0'/0/${index}`);
+  return provider ? wallet.connect(provider) : wallet;
 }
 
-// load artifact JSON created by Hardhat 
+// Path to the artifact JSON Hardhat writes for contracts/<contractName>.sol
+export function artifactPath(contractName, sourceName = contractName) {
+  return path.join(__dirname, "..", "artifacts", "contracts", `${sourceName}.sol`, `${contractName}.json`);
+}
+
+// load artifact JSON created by Hardhat
 export function loadContractAbi(artifactPath) {
   const json = JSON.parse(fs.readFileSync(artifactPath, "utf8"));
   return json.abi;
 }
 
+// ethers.Contract for an already deployed contract, using its Hardhat artifact ABI
+export function getContract(contractName, address, runner) {
+  return new ethers.Contract(address, loadContractAbi(artifactPath(contractName)), runner);
+}
+
 export function keccak(data) {
   // data: Buffer|string
   return Buffer.from(keccak256(data));
 }
 
+// JSON.stringify with BigInt values written as decimal strings
+export function toJson(data, space) {
+  return JSON.stringify(data, (_, v) => (typeof v === "bigint" ? v.toString() : v), space);
+}
+
 export function writeJson(path, data) {
-  fs.writeFileSync(path, JSON.stringify(data, null, 2));
+  fs.writeFileSync(path, toJson(data, 2));
 }
 
 export function readJson(path) {
   return JSON.parse(fs.readFileSync(path, "utf8"));
 }
+
+// Block cursors of the polling services (relayer, bridge relay): last fully processed block
+export function loadCursor(cursorPath) {
+  if (!fs.existsSync(cursorPath)) return null;
+  return readJson(cursorPath).lastBlock;
+}
+
+export function saveCursor(cursorPath, lastBlock) {
+  fs.mkdirSync(path.dirname(cursorPath), { recursive: true });
+  // write + rename so a crash never leaves a truncated cursor behind
+  const tmp = `${cursorPath}.tmp`;
+  writeJson(tmp, { lastBlock, updatedAt: new Date().toISOString() });
+  fs.renameSync(tmp, cursorPath);
+}
+
+// Latest block number straight from the node (ethers caches getBlockNumber between polls)
+export async function getHeadBlock(provider) {
+  if (typeof provider.send === "function") {
+    return Number(await provider.send("eth_blockNumber", []));
+  }
+  return provider.getBlockNumber();
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// True when `importMetaUrl` belongs to the script node was started with
+export function isMain(importMetaUrl) {
+  return process.argv[1] !== undefined && path.resolve(process.argv[1]) === fileURLToPath(importMetaUrl);
+}
@@ -0,0 +1,369 @@
+// scripts/vote-server.js
+// Off-chain vote collection service.
+//
+// Voters POST signed EIP-712 Vote(proposalId,voter,support,nonce,deadline) payloads. Each vote is checked
+// against VoteVerifier's domain and the voter's Merkle leaf from a snapshot file (scripts/snapshot.js),
+// contract voters (multisigs, smart accounts) are checked with ERC-1271 and EOAs with ECDSA,
+// duplicates and expired deadlines are rejected, and accepted votes are stored on disk.
+// A submitter flushes stored votes to VoteVerifier.submitVotes in gas-bounded batches, so voters
+// never pay Chain B gas or handle proofs themselves.
+//
+// Usage:
+//   node scripts/vote-server.js --verifier <addr> --snapshot snapshot.json [--snapshot other.json] [--port 8600]
+//
+// API:
+//   POST /votes            { proposalId, voter, support, nonce, deadline, signature } -> 202 { accepted, voter, power }
+//   GET  /votes/:id        stored votes for a proposal
+//   POST /flush/:id        submit pending votes for a proposal now
+//   GET  /health
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+import minimist from "minimist";
+import { ethers } from "ethers";
+import {
+  CHAIN_B_RPC,
+  STATE_DIR,
+  getProvider,
+  getWallet,
+  getMnemonicWallet,
+  getContract,
+  readJson,
+  writeJson,
+  isMain,
+} from "./utils.js";
+import { VOTE_TYPES, voteDomain, resolveVoter } from "./votes.js";
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+function rejectVote(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  throw err;
+}
+
+// proposalId from a payload or URL as a decimal string; anything else is a 400, not a BigInt() crash
+function parseProposalId(value) {
+  const id = String(value ?? "").trim();
+  if (!/^\d+$/.test(id)) rejectVote(400, "proposalId must be a non-negative integer");
+  return BigInt(id).toString();
+}
+
+/**
+ * JSON-file vote store: { [proposalId]: { [voter]: vote } }.
+ * Every vote has a `status`: "pending" -> "submitted" | "failed" | "skipped" | "expired".
+ */
+export function createVoteStore(storePath) {
+  const data = storePath && fs.existsSync(storePath) ? readJson(storePath) : {};
+
+  function save() {
+    if (!storePath) return;
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    const tmp = `${storePath}.tmp`;
+    writeJson(tmp, data);
+    fs.renameSync(tmp, storePath);
+  }
+
+  return {
+    get(proposalId, voter) {
+      return data[proposalId]?.[voter];
+    },
+    list(proposalId) {
+      return Object.values(data[proposalId] || {});
+    },
+    proposals() {
+      return Object.keys(data);
+    },
+    put(vote) {
+      data[vote.proposalId] ??= {};
+      data[vote.proposalId][vote.voter] = vote;
+      save();
+    },
+    update(votes, fields) {
+      for (const v of votes) Object.assign(data[v.proposalId][v.voter], fields);
+      save();
+    },
+  };
+}
+
+/**
+ * Vote collection + submission logic, independent of HTTP.
+ * @param {object} opts
+ * @param {ethers.Contract} opts.verifier VoteVerifier connected to the submitter wallet
+ * @param {object[]} opts.snapshots parsed snapshot files (scripts/snapshot.js output)
+ * @param {object} opts.store vote store (createVoteStore)
+ * @param {bigint} [opts.maxBatchGas] gas bound for a single submitVotes transaction
+ * @param {number} [opts.maxBatchSize] max votes per submitVotes transaction
+ */
+export function createVoteService({ verifier, snapshots, store, maxBatchGas = 8_000_000n, maxBatchSize = 100, log }) {
+  log = log || ((...args) => console.log("[votes]", ...args));
+  const byRoot = new Map(snapshots.map(s => [s.powerRoot, s]));
+  const inFlight = new Map();
+  let domainPromise;
+
+  function domain() {
+    domainPromise ??= voteDomain(verifier);
+    return domainPromise;
+  }
+
+  function provider() {
+    return verifier.runner.provider ?? verifier.runner;
+  }
+
+  async function now() {
+    return (await provider().getBlock("latest")).timestamp;
+  }
+
+  /**
+   * Validate and store a signed vote. Throws an Error with an HTTP `status` when rejected.
+   */
+  async function submitVote(payload) {
+    const proposalId = parseProposalId(payload.proposalId);
+    let vote;
+    try {
+      vote = {
+        proposalId,
+        voter: ethers.getAddress(payload.voter),
+        support: Number(payload.support),
+        nonce: BigInt(payload.nonce).toString(),
+        deadline: BigInt(payload.deadline).toString(),
+        signature: ethers.hexlify(payload.signature),
+      };
+    } catch (err) {
+      rejectVote(400, "malformed vote payload");
+    }
+    if (![0, 1, 2].includes(vote.support)) rejectVote(400, "support must be 0, 1 or 2");
+
+    let voter;
+    try {
+      const { proposalId, support, nonce, deadline } = vote;
+      const message = { proposalId, voter: vote.voter, support, nonce, deadline };
+      voter = await resolveVoter(provider(), await domain(), VOTE_TYPES, message, vote.signature);
+    } catch (err) {
+      rejectVote(400, "invalid signature");
+    }
+
+    if (BigInt(vote.deadline) <= BigInt(await now())) rejectVote(400, "vote expired");
+
+    const proposal = await verifier.proposals(vote.proposalId);
+    if (!proposal.exists) rejectVote(404, "proposal not registered");
+    // votes for a Pending proposal are held until its window opens
+    if (proposal.finalized || BigInt(await now()) > proposal.voteEnd) rejectVote(409, "voting closed");
+
+    const snapshot = byRoot.get(proposal.powerRoot);
+    if (!snapshot) rejectVote(404, `no snapshot loaded for powerRoot ${proposal.powerRoot}`);
+    const leaf = snapshot.holders[voter];
+    if (!leaf) rejectVote(403, `${voter} has no voting power in this snapshot`);
+    if (String(leaf.nonce) !== vote.nonce) rejectVote(400, `nonce must be ${leaf.nonce}`);
+
+    if (store.get(vote.proposalId, voter)) rejectVote(409, "duplicate vote");
+    if (await verifier.hasVoted(vote.proposalId, voter)) rejectVote(409, "already voted on-chain");
+
+    // Check again with no await before the write: a concurrent request for the same voter may have been
+    // stored while this one waited on the chain.
+    if (store.get(vote.proposalId, voter)) rejectVote(409, "duplicate vote");
+    const stored = {
+      ...vote,
+      voter,
+      power: leaf.power,
+      merkleProof: leaf.proof,
+      status: "pending",
+      receivedAt: new Date().toISOString(),
+    };
+    store.put(stored);
+    log(`accepted vote ${voter} on ${vote.proposalId} (support=${vote.support})`);
+    return { accepted: true, voter, power: leaf.power };
+  }
+
+  function toVoteData(v) {
+    return {
+      support: v.support,
+      nonce: v.nonce,
+      deadline: v.deadline,
+      power: v.power,
+      voter: v.voter,
+      signature: v.signature,
+      merkleProof: v.merkleProof,
+    };
+  }
+
+  // Send one batch, splitting it while it reverts in estimation or exceeds maxBatchGas.
+  async function submitBatch(proposalId, votes, results) {
+    const data = votes.map(toVoteData);
+    let gas;
+    try {
+      gas = await verifier.submitVotes.estimateGas(proposalId, data);
+    } catch (err) {
+      if (votes.length === 1) {
+        const reason = err.shortMessage || err.message;
+        store.update(votes, { status: "failed", error: reason });
+        results.failed += 1;
+        log(`vote ${votes[0].voter} on ${proposalId} failed: ${reason}`);
+        return;
+      }
+      gas = null; // isolate the bad vote(s) below
+    }
+
+    if (gas === null || (gas > maxBatchGas && votes.length > 1)) {
+      const mid = Math.ceil(votes.length / 2);
+      await submitBatch(proposalId, votes.slice(0, mid), results);
+      await submitBatch(proposalId, votes.slice(mid), results);
+      return;
+    }
+
+    const tx = await verifier.submitVotes(proposalId, data);
+    const receipt = await tx.wait();
+    results.txs.push(receipt.hash);
+
+    store.update(votes, { status: "submitted", txHash: receipt.hash });
+    results.submitted += votes.length;
+    log(`submitted ${votes.length} vote(s) on ${proposalId} in ${receipt.hash} (gas ${receipt.gasUsed})`);
+  }
+
+  /**
+   * Submit every pending vote of a proposal. Concurrent calls for the same proposal share one run.
+   * @returns {Promise<{submitted: number, failed: number, skipped: number, expired: number, txs: string[]}>}
+   */
+  function flush(proposalId) {
+    proposalId = parseProposalId(proposalId);
+    if (!inFlight.has(proposalId)) {
+      inFlight.set(proposalId, doFlush(proposalId).finally(() => inFlight.delete(proposalId)));
+    }
+    return inFlight.get(proposalId);
+  }
+
+  async function doFlush(proposalId) {
+    const results = { submitted: 0, failed: 0, skipped: 0, expired: 0, txs: [] };
+    const ts = BigInt(await now());
+
+    let pending = store.list(proposalId).filter(v => v.status === "pending");
+    const expired = pending.filter(v => BigInt(v.deadline) <= ts);
+    if (expired.length) store.update(expired, { status: "expired" });
+    results.expired = expired.length;
+    pending = pending.filter(v => BigInt(v.deadline) > ts);
+
+    const proposal = await verifier.proposals(proposalId);
+    if (ts < proposal.voteStart) return results; // Pending: keep the votes until the window opens
+    if (proposal.finalized || ts > proposal.voteEnd) {
+      store.update(pending, { status: "skipped", error: "voting closed" });
+      results.skipped = pending.length;
+      return results;
+    }
+
+    for (let i = 0; i < pending.length; i += maxBatchSize) {
+      await submitBatch(proposalId, pending.slice(i, i + maxBatchSize), results);
+    }
+    return results;
+  }
+
+  async function flushAll() {
+    const out = {};
+    for (const id of store.proposals()) {
+      if (store.list(id).some(v => v.status === "pending")) out[id] = await flush(id);
+    }
+    return out;
+  }
+
+  return { submitVote, flush, flushAll, list: proposalId => store.list(parseProposalId(proposalId)) };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("payload too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch (err) {
+        reject(Object.assign(new Error("invalid JSON"), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/** HTTP front-end for a vote service. */
+export function createVoteServer(service) {
+  return http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, "http://localhost");
+      const parts = url.pathname.split("/").filter(Boolean);
+
+      if (req.method === "GET" && url.pathname === "/health") {
+        return sendJson(res, 200, { ok: true });
+      }
+      if (req.method === "POST" && url.pathname === "/votes") {
+        return sendJson(res, 202, await service.submitVote(await readBody(req)));
+      }
+      if (req.method === "GET" && parts[0] === "votes" && parts.length === 2) {
+        return sendJson(res, 200, service.list(parseProposalId(parts[1])));
+      }
+      if (req.method === "POST" && parts[0] === "flush" && parts.length === 2) {
+        return sendJson(res, 200, await service.flush(parts[1]));
+      }
+      sendJson(res, 404, { error: "not found" });
+    } catch (err) {
+      sendJson(res, err.status || 500, { error: err.message });
+    }
+  });
+}
+
+async function main() {
+  const argv = minimist(process.argv.slice(2), { string: ["verifier", "snapshot", "key", "store"] });
+  const snapshotFiles = [].concat(argv.snapshot || []);
+  if (!argv.verifier || snapshotFiles.length === 0) {
+    throw new Error("usage: vote-server.js --verifier <addr> --snapshot <file> [--snapshot <file>] [--port 8600]");
+  }
+
+  const provider = getProvider(argv.rpc || CHAIN_B_RPC);
+  const key = argv.key || process.env.SUBMITTER_PRIVATE_KEY;
+  const submitter = key ? getWallet(key, provider) : getMnemonicWallet(0, provider);
+  const { chainId } = await provider.getNetwork();
+
+  const service = createVoteService({
+    verifier: getContract("VoteVerifier", argv.verifier, submitter),
+    snapshots: snapshotFiles.map(f => readJson(f)),
+    store: createVoteStore(argv.store || path.join(STATE_DIR, `votes-${chainId}-${argv.verifier.toLowerCase()}.json`)),
+    maxBatchGas: argv["max-batch-gas"] !== undefined ? BigInt(argv["max-batch-gas"]) : undefined,
+    maxBatchSize: argv["max-batch-size"] !== undefined ? Number(argv["max-batch-size"]) : undefined,
+  });
+
+  const port = Number(argv.port || 8600);
+  createVoteServer(service).listen(port, "127.0.0.1", () => {
+    console.log(`[votes] listening on http://127.0.0.1:${port} (submitter ${submitter.address})`);
+  });
+
+  // Periodic flush of pending votes
+  const interval = Number(argv["flush-interval"] || 30000);
+  const timer = setInterval(() => {
+    service.flushAll().catch(err => console.error("[votes] flush failed:", err.shortMessage || err.message));
+  }, interval);
+  const shutdown = () => {
+    clearInterval(timer);
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+if (isMain(import.meta.url)) {
+  main().catch(err => {
+    console.error("Vote server error:", err);
+    process.exit(1);
+  });
+}
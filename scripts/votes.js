@@ -0,0 +1,111 @@
+// scripts/votes.js
+// EIP-712 helpers for VoteVerifier votes:
+// - Vote(proposalId,voter,support,nonce,deadline): all of the leaf's power on one support value, final
+// - SplitVote(proposalId,voter,forVotes,againstVotes,abstainVotes,nonce,version,deadline,reason): power split across
+//   support values; replaces the voter's earlier vote when its version is higher
+//
+// The voter (whose leaf is used) is part of the signed message, so a signature only counts for that leaf.
+// VoteVerifier checks it with ERC-1271 isValidSignature when the voter is a contract (multisigs, smart accounts),
+// or ECDSA otherwise.
+
+import { ethers } from "ethers";
+
+export const SUPPORT = { Against: 0, For: 1, Abstain: 2 };
+
+// VoteVerifier.ProposalState, indexed by its on-chain value
+export const PROPOSAL_STATES = ["Pending", "Active", "Succeeded", "Defeated"];
+
+export const VOTE_TYPES = {
+  Vote: [
+    { name: "proposalId", type: "uint256" },
+    { name: "voter", type: "address" },
+    { name: "support", type: "uint8" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// IERC1271.isValidSignature.selector, returned for an accepted signature
+export const ERC1271_MAGIC_VALUE = "0x1626ba7e";
+const ERC1271_ABI = ["function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)"];
+
+export const SPLIT_VOTE_TYPES = {
+  SplitVote: [
+    { name: "proposalId", type: "uint256" },
+    { name: "voter", type: "address" },
+    { name: "forVotes", type: "uint256" },
+    { name: "againstVotes", type: "uint256" },
+    { name: "abstainVotes", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "version", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "reason", type: "string" },
+  ],
+};
+
+/**
+ * EIP-712 domain of a deployed VoteVerifier. Checked against the contract's DOMAIN_SEPARATOR
+ * so a wrong chainId/address fails here instead of as an "invalid merkle proof" on-chain.
+ * @param {ethers.Contract} verifier VoteVerifier contract
+ */
+export async function voteDomain(verifier) {
+  const provider = verifier.runner.provider ?? verifier.runner;
+  const { chainId } = await provider.getNetwork();
+  const domain = {
+    name: await verifier.NAME(),
+    version: await verifier.VERSION(),
+    chainId,
+    verifyingContract: await verifier.getAddress(),
+  };
+  const expected = await verifier.DOMAIN_SEPARATOR();
+  if (ethers.TypedDataEncoder.hashDomain(domain) !== expected) {
+    throw new Error(`EIP-712 domain mismatch for VoteVerifier ${domain.verifyingContract}`);
+  }
+  return domain;
+}
+
+/** Sign a Vote; `voter` defaults to the signer (pass the wallet address to vote for an ERC-1271 wallet). */
+export async function signVote(signer, domain, { proposalId, voter, support, nonce, deadline }) {
+  voter = voter ?? (await signer.getAddress());
+  return signer.signTypedData(domain, VOTE_TYPES, { proposalId, voter, support, nonce, deadline });
+}
+
+function splitVoteMessage(vote) {
+  const { proposalId, voter, forVotes, againstVotes, abstainVotes, nonce, version, deadline, reason = "" } = vote;
+  return { proposalId, voter, forVotes, againstVotes, abstainVotes, nonce, version, deadline, reason };
+}
+
+/** Sign a SplitVote; `voter` defaults to the signer like in signVote. */
+export async function signSplitVote(signer, domain, vote) {
+  const voter = vote.voter ?? (await signer.getAddress());
+  return signer.signTypedData(domain, SPLIT_VOTE_TYPES, splitVoteMessage({ ...vote, voter }));
+}
+
+/**
+ * Check a signed vote the way VoteVerifier does it: `message.voter` must accept the signature
+ * (ERC-1271 when it has code on `provider`'s chain, ECDSA otherwise). Throws when the signature is
+ * rejected or malformed.
+ * @param {ethers.Provider} provider Chain B provider (where VoteVerifier calls the wallet)
+ * @param {object} domain EIP-712 domain (voteDomain)
+ * @param {object} types VOTE_TYPES or SPLIT_VOTE_TYPES
+ * @param {object} message signed vote, including its voter
+ * @param {string} signature
+ * @returns {Promise<string>} checksummed voter address
+ */
+export async function resolveVoter(provider, domain, types, message, signature) {
+  if (!message.voter) throw new Error("vote has no voter");
+  const voter = ethers.getAddress(message.voter);
+  const digest = ethers.TypedDataEncoder.hash(domain, types, { ...message, voter });
+  if ((await provider.getCode(voter)) === "0x") {
+    if (ethers.recoverAddress(digest, signature) !== voter) throw new Error(`signature is not from ${voter}`);
+    return voter;
+  }
+  let result;
+  try {
+    result = await new ethers.Contract(voter, ERC1271_ABI, provider).isValidSignature(digest, signature);
+  } catch {
+    result = null;
+  }
+  if (result !== ERC1271_MAGIC_VALUE) throw new Error(`signature rejected by contract voter ${voter}`);
+  return voter;
+}
@@ -0,0 +1,181 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { network } from "hardhat";
+import { createBridgeRelay } from "../scripts/bridge-relay.js";
+import { outcomeDomain, signOutcome } from "../scripts/attestations.js";
+
+const { ethers } = await network.connect();
+
+// Source and destination are the same in-process chain here; MockMessenger does not care.
+describe("Cross-chain messenger path", function () {
+  let deployer, operator, outsider;
+  let messenger, mockAsset, vault, publisher, verifier, executor;
+  let cursorDir;
+
+  const proposalId = 5;
+  const actionDataHash = ethers.keccak256(ethers.toUtf8Bytes("action"));
+  const powerRoot = ethers.keccak256(ethers.toUtf8Bytes("root"));
+  const metadataHash = ethers.keccak256(ethers.toUtf8Bytes("metadata"));
+
+  function newBridgeRelay() {
+    return createBridgeRelay({
+      source: messenger,
+      destination: messenger.connect(operator),
+      cursorPath: path.join(cursorDir, "bridge.json"),
+      confirmations: 0,
+      log: () => {},
+    });
+  }
+
+  // Mark the proposal passed on the verifier and send its outcome through the messenger
+  async function passAndSend(hash = actionDataHash) {
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    await verifier.registerProposal(proposalId, powerRoot, hash, 1, now, now + 3600);
+    await verifier.adminMarkPassed(proposalId);
+    await verifier.sendOutcome(proposalId);
+  }
+
+  async function deployExecutor(messengerAddress) {
+    const { chainId } = await ethers.provider.getNetwork();
+    return ethers.deployContract("GovernanceExecutor", [
+      await publisher.getAddress(),
+      chainId,
+      await verifier.getAddress(),
+      [await operator.getAddress()],
+      1,
+      await deployer.getAddress(),
+      3600,
+      messengerAddress,
+    ]);
+  }
+
+  beforeEach(async function () {
+    [deployer, operator, outsider] = await ethers.getSigners();
+    const { chainId } = await ethers.provider.getNetwork();
+
+    messenger = await ethers.deployContract("MockMessenger", [await operator.getAddress()]);
+    mockAsset = await ethers.deployContract("MockERC20", ["Mock Asset", "MCK"]);
+    vault = await ethers.deployContract("LiquidStakingVault", [await mockAsset.getAddress(), "LST Shares", "LSTS", 86400]);
+    publisher = await ethers.deployContract("GovernanceRootPublisher", [await vault.getAddress()]);
+    verifier = await ethers.deployContract("VoteVerifier", [chainId]);
+    executor = await deployExecutor(await messenger.getAddress());
+    await verifier.setMessenger(await messenger.getAddress(), chainId, await executor.getAddress());
+
+    const snapshotBlock = await ethers.provider.getBlockNumber();
+    await ethers.provider.send("evm_mine");
+    await publisher.publishProposal(proposalId, actionDataHash, snapshotBlock, powerRoot, metadataHash, "");
+
+    cursorDir = fs.mkdtempSync(path.join(os.tmpdir(), "bridge-test-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(cursorDir, { recursive: true, force: true });
+  });
+
+  it("delivers the outcome to the executor, which queues the proposal", async function () {
+    await passAndSend();
+
+    expect(await newBridgeRelay().pollOnce()).to.equal(1);
+    expect(await executor.attestedPassed(proposalId)).to.equal(true);
+    expect(await executor.state(proposalId)).to.equal(1n); // Queued
+
+    // the cursor moved past the message and a fresh relay does not deliver it again
+    expect(await newBridgeRelay().pollOnce()).to.equal(0);
+  });
+
+  it("delivers each message once", async function () {
+    await passAndSend();
+    const [ev] = await messenger.queryFilter(messenger.filters.MessageSent());
+    const relay = newBridgeRelay();
+
+    expect(await relay.deliver(ev)).to.match(/^delivered/);
+    expect(await relay.deliver(ev)).to.equal("already delivered");
+    await expect(
+      messenger.connect(outsider).relayMessage(ev.args.messageId, 1, ev.args.sender, ev.args.target, ev.args.message)
+    ).to.be.revertedWith("only relayer");
+  });
+
+  it("ignores a late delivery for a proposal the relayers already attested", async function () {
+    await passAndSend();
+    const { chainId } = await ethers.provider.getNetwork();
+    const signature = await signOutcome(operator, await outcomeDomain(executor), {
+      proposalId,
+      actionDataHash,
+      sourceChainId: chainId,
+      verifier: await verifier.getAddress(),
+    });
+    await executor.markProposalPassed(proposalId, actionDataHash, [signature]);
+    const eta = await executor.eta(proposalId);
+
+    await ethers.provider.send("evm_increaseTime", [60]); // a re-queue would move the eta
+    expect(await newBridgeRelay().pollOnce()).to.equal(1);
+    const [sent] = await messenger.queryFilter(messenger.filters.MessageSent());
+    expect(await messenger.delivered(sent.args.messageId)).to.equal(true);
+    expect(await executor.eta(proposalId)).to.equal(eta);
+  });
+
+  it("retries messages the executor rejects without blocking the relay", async function () {
+    // an executor deployed without the messenger
+    const { chainId } = await ethers.provider.getNetwork();
+    executor = await deployExecutor(ethers.ZeroAddress);
+    await verifier.setMessenger(await messenger.getAddress(), chainId, await executor.getAddress());
+    await passAndSend();
+
+    expect(await newBridgeRelay().pollOnce()).to.equal(1);
+    expect(await executor.attestedPassed(proposalId)).to.equal(false);
+    const pendingPath = path.join(cursorDir, "bridge-pending.json");
+    expect(Object.keys(JSON.parse(fs.readFileSync(pendingPath)))).to.have.length(1);
+
+    // a proposal enables the messenger; the next poll delivers the message although the cursor moved past it
+    const governance = await ethers.getImpersonatedSigner(await executor.getAddress());
+    await ethers.provider.send("hardhat_setBalance", [governance.address, ethers.toQuantity(ethers.parseEther("1"))]);
+    await executor.connect(governance).setMessenger(await messenger.getAddress());
+
+    expect(await newBridgeRelay().pollOnce()).to.equal(0);
+    expect(await executor.attestedPassed(proposalId)).to.equal(true);
+    expect(JSON.parse(fs.readFileSync(pendingPath))).to.deep.equal({});
+  });
+
+  it("only accepts outcomes from the messenger on behalf of the configured verifier", async function () {
+    const { chainId } = await ethers.provider.getNetwork();
+    const message = ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "bytes32"], [proposalId, actionDataHash]);
+
+    await expect(
+      executor.connect(outsider).receiveMessage(chainId, await verifier.getAddress(), message)
+    ).to.be.revertedWith("only messenger");
+
+    // a message from another contract on the source chain is rejected on delivery
+    await messenger.connect(outsider).sendMessage(chainId, await executor.getAddress(), message);
+    const [ev] = await messenger.queryFilter(messenger.filters.MessageSent());
+    expect(await newBridgeRelay().deliver(ev)).to.match(/unknown message sender/);
+    expect(await executor.attestedPassed(proposalId)).to.equal(false);
+  });
+
+  it("carries a published proposal and its snapshot stake to the verifier", async function () {
+    const { chainId } = await ethers.provider.getNetwork();
+    await publisher.setMessenger(await messenger.getAddress(), chainId, await verifier.getAddress());
+    await verifier.setProposalSource(chainId, await publisher.getAddress());
+    await verifier.setGovernanceParams(0, 3600, 5000);
+
+    const stake = ethers.parseEther("300");
+    await mockAsset.mint(await deployer.getAddress(), stake);
+    await mockAsset.approve(await vault.getAddress(), stake);
+    await vault.deposit(stake);
+    const snapshotBlock = await ethers.provider.getBlockNumber();
+    await ethers.provider.send("evm_mine");
+    await expect(publisher.publishProposal(6, actionDataHash, snapshotBlock, powerRoot, metadataHash, "")).to.not.emit(
+      publisher,
+      "ProposalSent"
+    );
+    expect((await publisher.proposals(6)).snapshotStake).to.equal(stake);
+    await expect(publisher.sendProposal(6)).to.emit(publisher, "ProposalSent");
+
+    expect(await newBridgeRelay().pollOnce()).to.equal(1);
+    const p = await verifier.proposals(6);
+    expect(p.exists).to.equal(true);
+    expect(p.snapshotStake).to.equal(stake);
+    expect(p.quorum).to.equal(stake / 2n);
+  });
+});
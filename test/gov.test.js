@@ -0,0 +1,210 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { network } from "hardhat";
+import { runGov } from "../scripts/gov.js";
+import { buildSnapshot } from "../scripts/snapshot.js";
+import { writeJson } from "../scripts/utils.js";
+
+const { ethers } = await network.connect();
+
+// Both "chains" are the in-process Hardhat network here.
+describe("gov CLI", function () {
+  let deployer, alice, bob, relayer;
+  let mockAsset, vault, publisher, verifier, executor;
+  let addrs, tmpDir, snapshotPath;
+
+  function gov(signer, ...args) {
+    return runGov(args, { signerA: signer, signerB: signer });
+  }
+
+  beforeEach(async function () {
+    [deployer, alice, bob, relayer] = await ethers.getSigners();
+
+    mockAsset = await ethers.deployContract("MockERC20", ["Mock Asset", "MCK"]);
+    await mockAsset.mint(await alice.getAddress(), ethers.parseEther("1000"));
+    await mockAsset.mint(await bob.getAddress(), ethers.parseEther("1000"));
+    vault = await ethers.deployContract("LiquidStakingVault", [await mockAsset.getAddress(), "LST Shares", "LSTS", 86400]);
+    publisher = await ethers.deployContract("GovernanceRootPublisher", [await vault.getAddress()]);
+    const net = await ethers.provider.getNetwork();
+    verifier = await ethers.deployContract("VoteVerifier", [net.chainId]);
+    executor = await ethers.deployContract("GovernanceExecutor", [
+      await publisher.getAddress(),
+      net.chainId,
+      await verifier.getAddress(),
+      [await relayer.getAddress()],
+      1,
+      await deployer.getAddress(),
+      3600,
+      ethers.ZeroAddress,
+    ]);
+    await vault.setGovernanceExecutor(await executor.getAddress());
+
+    await mockAsset.connect(alice).approve(await vault.getAddress(), ethers.parseEther("500"));
+    await vault.connect(alice).deposit(ethers.parseEther("500"));
+
+    addrs = {
+      vault: await vault.getAddress(),
+      publisher: await publisher.getAddress(),
+      verifier: await verifier.getAddress(),
+      executor: await executor.getAddress(),
+    };
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gov-test-"));
+    snapshotPath = path.join(tmpDir, "snapshot.json");
+    const snapshotBlock = await ethers.provider.getBlockNumber();
+    await ethers.provider.send("evm_mine");
+    writeJson(snapshotPath, await buildSnapshot({ provider: ethers.provider, vault: addrs.vault, snapshotBlock }));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("encodes actionData for a target call", async function () {
+    const out = await gov(deployer, "encode", "--target", addrs.vault, "--sig", "setUnbondingPeriod(uint256)", "--args", "172800");
+    const iface = new ethers.Interface(["function setUnbondingPeriod(uint256)"]);
+    expect(out.calls).to.have.length(1);
+    expect(out.calls[0].data).to.equal(iface.encodeFunctionData("setUnbondingPeriod", [172800]));
+    expect(out.calls[0].value).to.equal(0n);
+    expect(out.actionDataHash).to.equal(ethers.keccak256(out.actionData));
+  });
+
+  it("encodes one call per repeated --target/--sig/--args/--value", async function () {
+    const out = await gov(
+      deployer, "encode",
+      "--target", addrs.vault, "--sig", "setUnbondingPeriod(uint256)", "--args", "172800", "--value", "0",
+      "--target", addrs.executor, "--sig", "relayer()", "--args", "", "--value", "5"
+    );
+    expect(out.calls.map(c => c.target)).to.deep.equal([addrs.vault, addrs.executor]);
+    expect(out.calls[1]).to.include({ value: 5n, data: new ethers.Interface(["function relayer()"]).encodeFunctionData("relayer") });
+
+    const again = await gov(deployer, "encode", "--action-data", out.actionData);
+    expect(again.calls[1].value).to.equal(5n);
+  });
+
+  it("drives a proposal from publish to execution", async function () {
+    const id = "5";
+    const action = ["--target", addrs.vault, "--sig", "setUnbondingPeriod(uint256)", "--args", "[172800]"];
+
+    const proposed = await gov(deployer, "propose", "--publisher", addrs.publisher, "--id", id, "--snapshot", snapshotPath, ...action);
+    expect(await publisher.isPublished(id)).to.equal(true);
+
+    const registered = await gov(
+      deployer, "register", "--verifier", addrs.verifier, "--publisher", addrs.publisher,
+      "--id", id, "--quorum-bps", "7500", "--snapshot", snapshotPath
+    );
+    expect(registered.actionDataHash).to.equal(proposed.actionDataHash);
+
+    await gov(alice, "vote", "--verifier", addrs.verifier, "--id", id, "--support", "for", "--snapshot", snapshotPath);
+    await gov(bob, "vote", "--verifier", addrs.verifier, "--id", id, "--support", "for", "--snapshot", snapshotPath);
+    await expect(gov(deployer, "finalize", "--verifier", addrs.verifier, "--id", id)).to.be.rejectedWith("voting not ended");
+
+    await ethers.provider.send("evm_increaseTime", [registered.voteEnd - registered.voteStart + 1]);
+    await ethers.provider.send("evm_mine");
+    const finalized = await gov(deployer, "finalize", "--verifier", addrs.verifier, "--id", id);
+    expect(finalized.state).to.equal("Succeeded");
+
+    const attested = await gov(relayer, "attest", "--verifier", addrs.verifier, "--executor", addrs.executor, "--id", id);
+    expect(attested.status).to.match(/^attested/);
+
+    const queued = await gov(deployer, "status", "--id", id, "--executor", addrs.executor);
+    expect(queued.executionState).to.equal("Queued");
+    await ethers.provider.send("evm_increaseTime", [3600]);
+    await ethers.provider.send("evm_mine");
+
+    await gov(deployer, "execute", "--executor", addrs.executor, "--id", id, "--action-data", proposed.actionData);
+    expect(await vault.unbondingPeriod()).to.equal(172800n);
+
+    const status = await gov(deployer, "status", "--id", id, "--publisher", addrs.publisher, "--verifier", addrs.verifier, "--executor", addrs.executor);
+    expect(status).to.include({ published: true, registered: true, state: "Succeeded", attested: true, executed: true, executionState: "Executed" });
+    expect(status.tally.for).to.equal(ethers.parseEther("2000"));
+  });
+
+  it("refuses to publish a snapshot file built against another exchange rate", async function () {
+    const action = ["--target", addrs.vault, "--sig", "setUnbondingPeriod(uint256)", "--args", "[172800]"];
+    const snapshot = JSON.parse(fs.readFileSync(snapshotPath, "utf8"));
+    writeJson(snapshotPath, { ...snapshot, ER_snapshot: "1" });
+
+    await expect(
+      gov(deployer, "propose", "--publisher", addrs.publisher, "--id", "6", "--snapshot", snapshotPath, ...action)
+    ).to.be.rejectedWith(`vault ER_snapshot ${snapshot.ER_snapshot} differs from snapshot file 1; nothing was published`);
+    expect(await publisher.isPublished("6")).to.equal(false);
+  });
+
+  it("publishes a metadata document with the decoded actions and revises it", async function () {
+    const id = "8";
+    const action = ["--target", addrs.vault, "--sig", "setUnbondingPeriod(uint256)", "--args", "[172800]"];
+    const docPath = path.join(tmpDir, "doc.json");
+    const proposed = await gov(
+      deployer, "propose", "--publisher", addrs.publisher, "--id", id, "--snapshot", snapshotPath,
+      "--title", "Two-day unbonding", "--metadata-out", docPath, ...action
+    );
+
+    const { metadataHash, metadata } = await publisher.proposals(id);
+    expect(metadataHash).to.equal(proposed.metadataHash);
+    expect(JSON.parse(metadata)).to.deep.equal(proposed.document);
+    expect(proposed.document.actions[0]).to.include({ contract: "LiquidStakingVault", signature: "setUnbondingPeriod(uint256)" });
+    expect(proposed.document.actions[0].summary).to.equal(`LiquidStakingVault(${addrs.vault}).setUnbondingPeriod(newPeriod=172800)`);
+    expect(await gov(deployer, "check-metadata", "--publisher", addrs.publisher, "--id", id)).to.include({ ok: true, revision: 0 });
+
+    const doc = JSON.parse(fs.readFileSync(docPath, "utf8"));
+    writeJson(docPath, { ...doc, description: "Gives validators two days to exit." });
+    await expect(
+      gov(alice, "update-metadata", "--publisher", addrs.publisher, "--id", id, "--file", docPath)
+    ).to.be.rejectedWith("only proposer");
+    const updated = await gov(deployer, "update-metadata", "--publisher", addrs.publisher, "--id", id, "--file", docPath);
+    expect(updated).to.include({ revision: 1, previousHash: proposed.metadataHash });
+    expect(updated.document.previous).to.equal(proposed.metadataHash);
+
+    const checked = await gov(deployer, "check-metadata", "--publisher", addrs.publisher, "--id", id);
+    expect(checked).to.include({ ok: true, revision: 1, metadataHash: updated.metadataHash });
+    expect(checked.history).to.deep.equal([proposed.metadataHash, updated.metadataHash]);
+    const status = await gov(deployer, "status", "--id", id, "--publisher", addrs.publisher);
+    expect(status.publisher).to.include({ metadataHash: updated.metadataHash, metadataRevision: 1 });
+  });
+
+  it("mirrors a published proposal as a relayer and checks it against Chain A", async function () {
+    const id = "6";
+    const { chainId } = await ethers.provider.getNetwork();
+    await verifier.setProposalSource(chainId, addrs.publisher);
+    await verifier.setGovernanceParams(0, 3600, 5000);
+    await verifier.setRelayers([await relayer.getAddress()], 1);
+    const action = ["--target", addrs.vault, "--sig", "setUnbondingPeriod(uint256)", "--args", "[172800]"];
+    await gov(deployer, "propose", "--publisher", addrs.publisher, "--id", id, "--snapshot", snapshotPath, ...action);
+
+    const mirrored = await gov(relayer, "mirror", "--publisher", addrs.publisher, "--verifier", addrs.verifier, "--id", id);
+    expect(mirrored.status).to.match(/^mirrored/);
+
+    const checked = await gov(deployer, "check", "--publisher", addrs.publisher, "--verifier", addrs.verifier, "--id", id);
+    expect(checked).to.include({ match: true });
+    const status = await gov(deployer, "status", "--id", id, "--publisher", addrs.publisher, "--verifier", addrs.verifier);
+    expect(status.snapshotStake).to.equal(ethers.parseEther("500"));
+    expect(status.quorum).to.equal(ethers.parseEther("250"));
+  });
+
+  it("casts a split vote with a reason and replaces it with a later one", async function () {
+    const id = "7";
+    const action = ["--target", addrs.vault, "--sig", "setUnbondingPeriod(uint256)", "--args", "[172800]"];
+    await gov(deployer, "propose", "--publisher", addrs.publisher, "--id", id, "--snapshot", snapshotPath, ...action);
+    await gov(deployer, "register", "--verifier", addrs.verifier, "--publisher", addrs.publisher, "--id", id, "--quorum", "1", "--snapshot", snapshotPath);
+    const voteArgs = ["vote", "--verifier", addrs.verifier, "--id", id, "--snapshot", snapshotPath];
+    const aliceAddr = await alice.getAddress();
+
+    const first = await gov(alice, ...voteArgs, "--for", ethers.parseEther("600").toString(), "--against", ethers.parseEther("400").toString(), "--reason", "split");
+    expect(first.version).to.equal(0n);
+    const second = await gov(alice, ...voteArgs, "--support", "against", "--reason", "changed my mind");
+    expect(second.version).to.equal(1n);
+
+    const receipt = await verifier.voteReceipts(id, aliceAddr);
+    expect(receipt.againstVotes).to.equal(ethers.parseEther("1000"));
+    expect(receipt.forVotes).to.equal(0n);
+    await expect(gov(alice, ...voteArgs, "--for", ethers.parseEther("1001").toString())).to.be.rejectedWith("vote weights exceed power");
+  });
+
+  it("rejects unknown commands and missing options", async function () {
+    await expect(gov(deployer, "nope")).to.be.rejectedWith("unknown command");
+    await expect(gov(deployer, "execute", "--executor", addrs.executor)).to.be.rejectedWith("missing --id");
+  });
+});
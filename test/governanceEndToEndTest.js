@@ -1,85 +1,12 @@
 import { expect } from "chai";
 import { network } from "hardhat";
+import { leafHash, buildMerkleTree, getProof } from "../scripts/merkle.js";
+import { outcomeDomain, signOutcome } from "../scripts/attestations.js";
 
 const { ethers } = await network.connect();
 
 const WAD = ethers.parseEther("1"); // BigInt 1e18
 
-// --- Helper: Merkle tree builder compatible with OpenZeppelin's MerkleProof (sorted pairs) ---
-function keccak256Bytes(data) {
-    return ethers.keccak256(data);
-}
-
-function hashPacked(address, power, nonce) {
-    // abi.encodePacked(address,uint256,uint256)
-    const packed = ethers.solidityPacked(
-        ["address", "uint256", "uint256"],
-        [address, power.toString(), nonce.toString()]
-    );
-    return keccak256Bytes(packed);
-}
-
-// sort pair as OpenZeppelin's _hashPair does: keccak256(a < b ? a|b : b|a)
-function hashPair(a, b) {
-    // a, b are hex strings (0x...)
-    if (a === b) {
-        return keccak256Bytes(ethers.concat([a, b]));
-    }
-    const aBytes = ethers.getBytes(a);
-    const bBytes = ethers.getBytes(b);
-    for (let i = 0; i < Math.min(aBytes.length, bBytes.length); i++) {
-        if (aBytes[i] < bBytes[i]) {
-            return keccak256Bytes(ethers.concat([a, b]));
-        } else if (aBytes[i] > bBytes[i]) {
-            return keccak256Bytes(ethers.concat([b, a]));
-        }
-    }
-    return keccak256Bytes(ethers.concat([a, b]));
-}
-
-// Build merkle tree layers and return {root, layers}, where layers[0] = leaves
-function buildMerkleTree(leaves) {
-    if (leaves.length === 0) {
-        return { root: ethers.HashZero, layers: [leaves] };
-    }
-    let layers = [];
-    layers.push(leaves);
-
-    while (layers[layers.length - 1].length > 1) {
-        const cur = layers[layers.length - 1];
-        const next = [];
-        for (let i = 0; i < cur.length; i += 2) {
-            if (i + 1 === cur.length) {
-                // duplicate last element (common)
-                next.push(hashPair(cur[i], cur[i]));
-            } else {
-                next.push(hashPair(cur[i], cur[i + 1]));
-            }
-        }
-        layers.push(next);
-    }
-    const root = layers[layers.length - 1][0];
-    return { root, layers };
-}
-
-// generate proof for leafIndex given layers as above
-function getProofForIndex(layers, index) {
-    const proof = [];
-    let idx = index;
-    for (let i = 0; i < layers.length - 1; i++) {
-        const layer = layers[i];
-        const pairIndex = idx ^ 1; // sibling
-        if (pairIndex < layer.length) {
-            proof.push(layer[pairIndex]);
-        } else {
-            proof.push(layer[idx]);
-        }
-        idx = Math.floor(idx / 2);
-    }
-    return proof;
-}
-// --- End helpers ---
-
 describe("Governance end-to-end flow ", function () {
     let deployer, alice, bob, relayer;
     let MockERC20, Vault, Publisher, Verifier, Executor;
@@ -110,7 +37,7 @@ describe("Governance end-to-end flow ", function () {
 
         // Deploy GovernanceRootPublisher
         Publisher = await ethers.getContractFactory("GovernanceRootPublisher");
-        publisher = await Publisher.deploy();
+        publisher = await Publisher.deploy(await vault.getAddress());
         await publisher.waitForDeployment();
 
         // Deploy VoteVerifier (needs chainId)
@@ -122,9 +49,19 @@ describe("Governance end-to-end flow ", function () {
         verifier = await Verifier.deploy(net.chainId);
         await verifier.waitForDeployment();
 
-        // Deploy GovernanceExecutor with publisher address and relayer initial
+        // Deploy GovernanceExecutor with publisher address, the verifier it trusts, a 1-of-1 relayer set,
+        // guardian, a 1 day timelock and no messenger
         Executor = await ethers.getContractFactory("GovernanceExecutor");
-        executor = await Executor.deploy(await publisher.getAddress(), relayerAddr);
+        executor = await Executor.deploy(
+            await publisher.getAddress(),
+            net.chainId,
+            await verifier.getAddress(),
+            [relayerAddr],
+            1,
+            deployerAddr,
+            86400,
+            ethers.ZeroAddress
+        );
         await executor.waitForDeployment();
 
         // Set governanceExecutor in vault
@@ -155,7 +92,7 @@ describe("Governance end-to-end flow ", function () {
         // Voters
         const voters = [aliceAddr, bobAddr];
         const nonces = [0, 0];
-        const deadline = Math.floor(Date.now() / 1000) + 3600;
+        const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
         const proposalId = 123;
 
         // Get balances at snapshot block (returns BigInt)
@@ -181,7 +118,7 @@ describe("Governance end-to-end flow ", function () {
         // Build leaves (hex strings)
         const leaves = [];
         for (let i = 0; i < voters.length; i++) {
-            const leaf = hashPacked(voters[i], powers[i], nonces[i]);
+            const leaf = leafHash(voters[i], powers[i], nonces[i]);
             leaves.push(leaf);
         }
 
@@ -193,9 +130,10 @@ describe("Governance end-to-end flow ", function () {
         const vaultCalldata = ifaceVault.encodeFunctionData("setUnbondingPeriod", [newUnbonding]);
         const abiCoder = new ethers.AbiCoder();
 
+        // actionData = abi.encode(Call[] calls), Call = (target, value, data)
         const actionData = abiCoder.encode(
-            ["address", "bytes"],
-            [await vault.getAddress(), vaultCalldata]
+            ["tuple(address target, uint256 value, bytes data)[]"],
+            [[[await vault.getAddress(), 0, vaultCalldata]]]
         );
         const actionDataHash = ethers.keccak256(actionData);
 
@@ -204,17 +142,23 @@ describe("Governance end-to-end flow ", function () {
                 proposalId,
                 actionDataHash,
                 snapshotBlock,
-                ER_snapshot,
                 powerRoot,
+                ethers.keccak256(ethers.toUtf8Bytes("proposal-meta")),
                 "ipfs://proposal-meta"
             )
         ).to.emit(publisher, "ProposalCreated");
 
+        // ER_snapshot is read from the vault's checkpoints, matching the historical exchangeRate
+        const [, , , storedER] = await publisher.getProposalCore(proposalId);
+        expect(storedER).to.equal(ER_snapshot);
+
         // Register proposal on Chain B (VoteVerifier)
         const totalPower = powers[0] + powers[1];
-        const threshold = totalPower / 2n;
+        const quorum = totalPower / 2n;
+        const voteStart = (await ethers.provider.getBlock("latest")).timestamp;
+        const votingPeriod = 3 * 86400;
         await expect(
-            verifier.connect(deployer).registerProposal(proposalId, powerRoot, actionDataHash, threshold)
+            verifier.connect(deployer).registerProposal(proposalId, powerRoot, actionDataHash, quorum, voteStart, voteStart + votingPeriod)
         ).to.emit(verifier, "ProposalRegistered");
 
         // EIP-712 domain and types
@@ -229,6 +173,7 @@ describe("Governance end-to-end flow ", function () {
         const types = {
             Vote: [
                 { name: "proposalId", type: "uint256" },
+                { name: "voter", type: "address" },
                 { name: "support", type: "uint8" },
                 { name: "nonce", type: "uint256" },
                 { name: "deadline", type: "uint256" }
@@ -246,6 +191,7 @@ describe("Governance end-to-end flow ", function () {
             const signer = i === 0 ? alice : bob;
             const value = {
                 proposalId: proposalId,
+                voter: voters[i],
                 support: supports[i],
                 nonce: noncesArr[i],
                 deadline: deadlinesArr[i]
@@ -257,7 +203,7 @@ describe("Governance end-to-end flow ", function () {
         // Build Merkle proofs for each voter
         const proofs = [];
         for (let i = 0; i < voters.length; i++) {
-            const proof = getProofForIndex(layers, i);
+            const proof = getProof(layers, i);
             proofs.push(proof);
         }
 
@@ -268,6 +214,7 @@ describe("Governance end-to-end flow ", function () {
                 nonce: noncesArr[i],
                 deadline: deadlinesArr[i],
                 power: powers[i],            // BigInt (or BigNumber) is fine for ethers v6
+                voter: voters[i],            // the signed voter, whose leaf is proven
                 signature: signatures[i],    // hex string
                 merkleProof: proofs[i]       // array of hex32 strings
             });
@@ -276,19 +223,33 @@ describe("Governance end-to-end flow ", function () {
         // Submit votes to verifier
         await expect(
             verifier.connect(deployer).submitVotes(proposalId, voteDatas)
-        ).to.emit(verifier, "ProposalPassed");
+        ).to.emit(verifier, "VoteCounted");
+
+        // Close the voting window and finalize
+        await ethers.provider.send("evm_increaseTime", [votingPeriod + 1]);
+        await ethers.provider.send("evm_mine");
+        await expect(verifier.finalize(proposalId)).to.emit(verifier, "ProposalPassed");
 
         // Confirm proposal is passed
         const passed = await verifier.isPassed(proposalId);
         expect(passed).to.equal(true);
 
-        // Relay: relayer marks proposal passed on chain A
-        await expect(executor.connect(relayer).markProposalPassed(proposalId, actionDataHash)).to.emit(
+        // Relay: the relayer signs the outcome; anyone submits the signature on chain A
+        const outcomeSig = await signOutcome(relayer, await outcomeDomain(executor), {
+            proposalId,
+            actionDataHash,
+            sourceChainId: network.chainId,
+            verifier: await verifier.getAddress(),
+        });
+        await expect(executor.markProposalPassed(proposalId, actionDataHash, [outcomeSig])).to.emit(
             executor,
-            "ProposalAttested"
+            "ProposalQueued"
         );
 
-        // Execute
+        // Wait out the timelock, then execute
+        await expect(executor.executeIfAuthorized(proposalId, actionData)).to.be.revertedWith("timelock not elapsed");
+        await ethers.provider.send("evm_increaseTime", [86400]);
+        await ethers.provider.send("evm_mine");
         await expect(executor.connect(deployer).executeIfAuthorized(proposalId, actionData)).to.emit(
             executor,
             "Executed"
@@ -0,0 +1,354 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+import { encodeCall, encodeActionData, actionDataHash } from "../scripts/actions.js";
+import { outcomeDomain, signOutcome } from "../scripts/attestations.js";
+
+const { ethers } = await network.connect();
+
+const DELAY = 3600;
+const GRACE_PERIOD = 14 * 86400;
+// The verifier chain is not deployed here; the executor only needs its identity for the EIP-712 outcome
+const SOURCE_CHAIN_ID = 31338n;
+const VERIFIER = "0x2222222222222222222222222222222222222222";
+
+describe("GovernanceExecutor", function () {
+  let deployer, payee, guardian, outsider, relayers;
+  let mockAsset, vault, publisher, executor;
+  let nextId = 1;
+
+  const powerRoot = ethers.keccak256(ethers.toUtf8Bytes("root"));
+  const metadataHash = ethers.keccak256(ethers.toUtf8Bytes("metadata"));
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  // ProposalOutcome signatures of `signers`, ordered by signer address as markProposalPassed expects
+  async function sign(proposalId, hash, signers = relayers.slice(0, 2), outcome = {}) {
+    const domain = await outcomeDomain(executor);
+    const message = { proposalId, actionDataHash: hash, sourceChainId: SOURCE_CHAIN_ID, verifier: VERIFIER, ...outcome };
+    const signed = await Promise.all(
+      signers.map(async s => ({ signer: BigInt(await s.getAddress()), signature: await signOutcome(s, domain, message) }))
+    );
+    return signed.sort((a, b) => (a.signer < b.signer ? -1 : 1)).map(s => s.signature);
+  }
+
+  async function published(calls) {
+    const proposalId = nextId++;
+    const actionData = encodeActionData(calls);
+    const snapshotBlock = await ethers.provider.getBlockNumber();
+    await ethers.provider.send("evm_mine");
+    await publisher.publishProposal(proposalId, actionDataHash(actionData), snapshotBlock, powerRoot, metadataHash, "");
+    return { proposalId, actionData, hash: actionDataHash(actionData) };
+  }
+
+  // Publish and attest (queue) a proposal whose actionData runs `calls`
+  async function queued(calls) {
+    const { proposalId, actionData, hash } = await published(calls);
+    await executor.markProposalPassed(proposalId, hash, await sign(proposalId, hash));
+    return { proposalId, actionData };
+  }
+
+  // Queue and wait out the timelock
+  async function attested(calls) {
+    const proposal = await queued(calls);
+    await increaseTime(DELAY);
+    return proposal;
+  }
+
+  beforeEach(async function () {
+    const signers = await ethers.getSigners();
+    [deployer, payee, guardian, outsider] = signers;
+    relayers = signers.slice(4, 7);
+    mockAsset = await ethers.deployContract("MockERC20", ["Mock Asset", "MCK"]);
+    vault = await ethers.deployContract("LiquidStakingVault", [await mockAsset.getAddress(), "LST Shares", "LSTS", 86400]);
+    publisher = await ethers.deployContract("GovernanceRootPublisher", [await vault.getAddress()]);
+    executor = await ethers.deployContract("GovernanceExecutor", [
+      await publisher.getAddress(),
+      SOURCE_CHAIN_ID,
+      VERIFIER,
+      await Promise.all(relayers.map(r => r.getAddress())),
+      2,
+      await guardian.getAddress(),
+      DELAY,
+      ethers.ZeroAddress,
+    ]);
+    await vault.setGovernanceExecutor(await executor.getAddress());
+  });
+
+  it("runs every call in order with value and emits Executed per call", async function () {
+    const payeeAddr = await payee.getAddress();
+    const vaultAddr = await vault.getAddress();
+    const { proposalId, actionData } = await attested([
+      { target: vaultAddr, value: 0n, data: encodeCall("setUnbondingPeriod(uint256)", [7200]) },
+      { target: vaultAddr, value: 0n, data: encodeCall("setUnbondingPeriod(uint256)", [3600]) },
+      { target: payeeAddr, value: ethers.parseEther("1"), data: "0x" },
+    ]);
+
+    const before = await ethers.provider.getBalance(payeeAddr);
+    const tx = executor.executeIfAuthorized(proposalId, actionData, { value: ethers.parseEther("1") });
+    await expect(tx).to.emit(executor, "Executed").withArgs(proposalId, 0, vaultAddr, 0, "0x");
+    await expect(tx).to.emit(executor, "Executed").withArgs(proposalId, 2, payeeAddr, ethers.parseEther("1"), "0x");
+
+    expect(await vault.unbondingPeriod()).to.equal(3600n); // second call ran after the first
+    expect((await ethers.provider.getBalance(payeeAddr)) - before).to.equal(ethers.parseEther("1"));
+    expect(await executor.executed(proposalId)).to.equal(true);
+  });
+
+  it("spends ETH held by the executor", async function () {
+    await deployer.sendTransaction({ to: await executor.getAddress(), value: ethers.parseEther("2") });
+    const { proposalId, actionData } = await attested([
+      { target: await payee.getAddress(), value: ethers.parseEther("2"), data: "0x" },
+    ]);
+    await executor.executeIfAuthorized(proposalId, actionData);
+    expect(await ethers.provider.getBalance(await executor.getAddress())).to.equal(0n);
+  });
+
+  it("reverts atomically and bubbles the failing call's reason", async function () {
+    const { proposalId, actionData } = await attested([
+      { target: await vault.getAddress(), data: encodeCall("setUnbondingPeriod(uint256)", [7200]) },
+      // the executor holds no tokens
+      { target: await mockAsset.getAddress(), data: encodeCall("transfer(address,uint256)", [await payee.getAddress(), 1]) },
+    ]);
+
+    await expect(executor.executeIfAuthorized(proposalId, actionData)).to.be.revertedWithCustomError(
+      mockAsset,
+      "ERC20InsufficientBalance"
+    );
+    expect(await vault.unbondingPeriod()).to.equal(86400n);
+    expect(await executor.executed(proposalId)).to.equal(false);
+  });
+
+  it("bubbles require messages from the target", async function () {
+    const other = await ethers.deployContract("LiquidStakingVault", [await mockAsset.getAddress(), "Other", "OTH", 1]);
+    const { proposalId, actionData } = await attested([
+      { target: await other.getAddress(), data: encodeCall("setUnbondingPeriod(uint256)", [7200]) },
+    ]);
+    await expect(executor.executeIfAuthorized(proposalId, actionData)).to.be.revertedWith("only governance");
+  });
+
+  it("rejects actionData that does not match the published hash", async function () {
+    const { proposalId } = await attested([
+      { target: await vault.getAddress(), data: encodeCall("setUnbondingPeriod(uint256)", [7200]) },
+    ]);
+    const tampered = encodeActionData([
+      { target: await vault.getAddress(), data: encodeCall("setUnbondingPeriod(uint256)", [1]) },
+    ]);
+    await expect(executor.executeIfAuthorized(proposalId, tampered)).to.be.revertedWith("actionData hash mismatch");
+  });
+
+  describe("timelock", function () {
+    async function setPeriod(seconds) {
+      return { target: await vault.getAddress(), data: encodeCall("setUnbondingPeriod(uint256)", [seconds]) };
+    }
+
+    async function queuedSetPeriod(seconds) {
+      return queued([await setPeriod(seconds)]);
+    }
+
+    it("queues attested proposals with an eta and only executes once it is reached", async function () {
+      const { proposalId, actionData } = await queuedSetPeriod(7200);
+      const attestedAt = (await ethers.provider.getBlock("latest")).timestamp;
+
+      expect(await executor.eta(proposalId)).to.equal(BigInt(attestedAt + DELAY));
+      expect(await executor.state(proposalId)).to.equal(1n); // Queued
+      await expect(executor.executeIfAuthorized(proposalId, actionData)).to.be.revertedWith("timelock not elapsed");
+
+      await increaseTime(DELAY);
+      expect(await executor.state(proposalId)).to.equal(2n); // Ready
+      await executor.executeIfAuthorized(proposalId, actionData);
+      expect(await executor.state(proposalId)).to.equal(3n); // Executed
+      expect(await vault.unbondingPeriod()).to.equal(7200n);
+    });
+
+    it("emits ProposalQueued on attestation", async function () {
+      const { proposalId, hash } = await published([await setPeriod(7200)]);
+      const tx = executor.markProposalPassed(proposalId, hash, await sign(proposalId, hash));
+      await expect(tx).to.emit(executor, "ProposalQueued");
+      await expect(tx).to.emit(executor, "ProposalAttested").withArgs(proposalId, hash, await deployer.getAddress());
+    });
+
+    it("lets the guardian cancel a queued proposal", async function () {
+      const { proposalId, actionData } = await queuedSetPeriod(7200);
+
+      await expect(executor.connect(outsider).cancel(proposalId)).to.be.revertedWith("only guardian");
+      await expect(executor.connect(guardian).cancel(proposalId))
+        .to.emit(executor, "ProposalCanceled")
+        .withArgs(proposalId, await guardian.getAddress());
+      expect(await executor.state(proposalId)).to.equal(4n); // Canceled
+
+      await increaseTime(DELAY);
+      await expect(executor.executeIfAuthorized(proposalId, actionData)).to.be.revertedWith("proposal canceled");
+      await expect(executor.connect(guardian).cancel(proposalId)).to.be.revertedWith("not queued");
+      // the relayers cannot re-queue a canceled proposal
+      const hash = actionDataHash(actionData);
+      await expect(executor.markProposalPassed(proposalId, hash, await sign(proposalId, hash))).to.be.revertedWith(
+        "already attested"
+      );
+    });
+
+    it("does not cancel executed or unknown proposals", async function () {
+      const { proposalId, actionData } = await attested([await setPeriod(7200)]);
+      await executor.executeIfAuthorized(proposalId, actionData);
+      await expect(executor.connect(guardian).cancel(proposalId)).to.be.revertedWith("not queued");
+      await expect(executor.connect(guardian).cancel(12345)).to.be.revertedWith("not queued");
+    });
+
+    it("expires proposals not executed within the grace period", async function () {
+      const { proposalId, actionData } = await queuedSetPeriod(7200);
+      await expect(executor.expire(proposalId)).to.be.revertedWith("not expired");
+
+      await increaseTime(DELAY + GRACE_PERIOD + 1);
+      expect(await executor.state(proposalId)).to.equal(5n); // Expired
+      await expect(executor.executeIfAuthorized(proposalId, actionData)).to.be.revertedWith("proposal expired");
+
+      await expect(executor.connect(payee).expire(proposalId)).to.emit(executor, "ProposalExpired").withArgs(proposalId);
+      await expect(executor.expire(proposalId)).to.be.revertedWith("already expired");
+    });
+
+    // Executor calls that only an executed proposal may make
+    async function selfCall(signature, args) {
+      return { target: await executor.getAddress(), data: encodeCall(signature, args) };
+    }
+
+    it("applies a new minimum delay, set through a proposal, to proposals queued afterwards", async function () {
+      await expect(executor.setMinDelay(0)).to.be.revertedWith("only governance");
+      await expect(executor.connect(guardian).setMinDelay(0)).to.be.revertedWith("only governance");
+
+      const tooLong = await attested([await selfCall("setMinDelay(uint256)", [31 * 86400])]);
+      await expect(executor.executeIfAuthorized(tooLong.proposalId, tooLong.actionData)).to.be.revertedWith(
+        "delay too long"
+      );
+      const update = await attested([await selfCall("setMinDelay(uint256)", [2 * DELAY])]);
+      await expect(executor.executeIfAuthorized(update.proposalId, update.actionData))
+        .to.emit(executor, "MinDelayUpdated")
+        .withArgs(DELAY, 2 * DELAY);
+
+      const { proposalId, actionData } = await queuedSetPeriod(7200);
+      await increaseTime(DELAY);
+      await expect(executor.executeIfAuthorized(proposalId, actionData)).to.be.revertedWith("timelock not elapsed");
+      await increaseTime(DELAY);
+      await executor.executeIfAuthorized(proposalId, actionData);
+    });
+
+    it("replaces the publisher only through a proposal", async function () {
+      const other = await ethers.deployContract("GovernanceRootPublisher", [await vault.getAddress()]);
+      const otherAddr = await other.getAddress();
+      await expect(executor.setGovernancePublisher(otherAddr)).to.be.revertedWith("only governance");
+      await expect(executor.connect(guardian).setGovernancePublisher(otherAddr)).to.be.revertedWith("only governance");
+
+      const { proposalId, actionData } = await attested([await selfCall("setGovernancePublisher(address)", [otherAddr])]);
+      await expect(executor.executeIfAuthorized(proposalId, actionData))
+        .to.emit(executor, "GovernancePublisherUpdated")
+        .withArgs(await publisher.getAddress(), otherAddr);
+      expect(await executor.governancePublisher()).to.equal(otherAddr);
+    });
+
+    it("replaces the guardian only through a proposal", async function () {
+      const outsiderAddr = await outsider.getAddress();
+      await expect(executor.setGuardian(outsiderAddr)).to.be.revertedWith("only governance");
+
+      const { proposalId, actionData } = await attested([await selfCall("setGuardian(address)", [outsiderAddr])]);
+      await expect(executor.executeIfAuthorized(proposalId, actionData))
+        .to.emit(executor, "GuardianUpdated")
+        .withArgs(await guardian.getAddress(), outsiderAddr);
+
+      const queuedProposal = await queuedSetPeriod(7200);
+      await expect(executor.connect(guardian).cancel(queuedProposal.proposalId)).to.be.revertedWith("only guardian");
+      await executor.connect(outsider).cancel(queuedProposal.proposalId);
+    });
+  });
+
+  describe("relayer attestations", function () {
+    async function setPeriodProposal() {
+      return published([{ target: await vault.getAddress(), data: encodeCall("setUnbondingPeriod(uint256)", [7200]) }]);
+    }
+
+    it("needs threshold distinct relayer signatures in ascending signer order", async function () {
+      const { proposalId, hash } = await setPeriodProposal();
+      const [first, second] = await sign(proposalId, hash);
+
+      await expect(executor.markProposalPassed(proposalId, hash, [first])).to.be.revertedWith("not enough signatures");
+      await expect(executor.markProposalPassed(proposalId, hash, [first, first])).to.be.revertedWith(
+        "signers not ascending"
+      );
+      await expect(executor.markProposalPassed(proposalId, hash, [second, first])).to.be.revertedWith(
+        "signers not ascending"
+      );
+
+      await executor.connect(outsider).markProposalPassed(proposalId, hash, [first, second]);
+      expect(await executor.attestedPassed(proposalId)).to.equal(true);
+    });
+
+    it("rejects signatures from outsiders or over a different outcome", async function () {
+      const { proposalId, hash } = await setPeriodProposal();
+
+      const withOutsider = await sign(proposalId, hash, [relayers[0], outsider]);
+      await expect(executor.markProposalPassed(proposalId, hash, withOutsider)).to.be.revertedWith(
+        "signer not a relayer"
+      );
+
+      const otherChain = await sign(proposalId, hash, relayers.slice(0, 2), { sourceChainId: 1n });
+      await expect(executor.markProposalPassed(proposalId, hash, otherChain)).to.be.revertedWith("signer not a relayer");
+
+      const otherHash = ethers.keccak256(ethers.toUtf8Bytes("other"));
+      const signedOther = await sign(proposalId, otherHash);
+      await expect(executor.markProposalPassed(proposalId, hash, signedOther)).to.be.revertedWith("signer not a relayer");
+      await expect(executor.markProposalPassed(proposalId, otherHash, signedOther)).to.be.revertedWith(
+        "actionDataHash mismatch with publisher"
+      );
+    });
+
+    // Execute a proposal that calls back into the executor
+    async function governed(signature, args) {
+      const { proposalId, actionData } = await attested([
+        { target: await executor.getAddress(), data: encodeCall(signature, args) },
+      ]);
+      return executor.executeIfAuthorized(proposalId, actionData);
+    }
+
+    it("lets governance rotate the relayer set and threshold", async function () {
+      const rotated = [await outsider.getAddress(), await relayers[2].getAddress()];
+      await expect(executor.setRelayers(rotated, 1)).to.be.revertedWith("only governance");
+      await expect(executor.connect(outsider).setRelayers(rotated, 1)).to.be.revertedWith("only governance");
+      await expect(governed("setRelayers(address[],uint256)", [rotated, 3])).to.be.revertedWith("invalid threshold");
+      await expect(governed("setRelayers(address[],uint256)", [rotated, 0])).to.be.revertedWith("invalid threshold");
+      await expect(governed("setRelayers(address[],uint256)", [[rotated[0], rotated[0]], 1])).to.be.revertedWith(
+        "duplicate relayer"
+      );
+
+      await expect(governed("setRelayers(address[],uint256)", [rotated, 1]))
+        .to.emit(executor, "RelayerSetUpdated")
+        .withArgs(rotated, 1);
+      expect(await executor.getRelayers()).to.deep.equal(rotated);
+      expect(await executor.isRelayer(await relayers[0].getAddress())).to.equal(false);
+
+      const { proposalId, hash } = await setPeriodProposal();
+      await expect(
+        executor.markProposalPassed(proposalId, hash, await sign(proposalId, hash, [relayers[0]]))
+      ).to.be.revertedWith("signer not a relayer");
+      await executor.markProposalPassed(proposalId, hash, await sign(proposalId, hash, [outsider]));
+    });
+
+    it("installs the messenger at deployment and only lets governance change it", async function () {
+      const messenger = await outsider.getAddress();
+      await expect(executor.setMessenger(messenger)).to.be.revertedWith("only governance");
+      await expect(governed("setMessenger(address)", [messenger]))
+        .to.emit(executor, "MessengerUpdated")
+        .withArgs(ethers.ZeroAddress, messenger);
+
+      const bridged = await ethers.deployContract("GovernanceExecutor", [
+        await publisher.getAddress(),
+        SOURCE_CHAIN_ID,
+        VERIFIER,
+        [await relayers[0].getAddress()],
+        1,
+        await guardian.getAddress(),
+        DELAY,
+        messenger,
+      ]);
+      expect(await bridged.messenger()).to.equal(messenger);
+    });
+  });
+});
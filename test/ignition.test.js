@@ -0,0 +1,110 @@
+import { expect } from "chai";
+import fs from "fs";
+import { network } from "hardhat";
+import ChainA from "../ignition/modules/ChainA.js";
+import ChainB from "../ignition/modules/ChainB.js";
+import ProposalSource from "../ignition/modules/ProposalSource.js";
+import ChainABridge from "../ignition/modules/ChainABridge.js";
+import ChainBBridge from "../ignition/modules/ChainBBridge.js";
+import MockMessenger from "../ignition/modules/MockMessenger.js";
+import { runGov } from "../scripts/gov.js";
+import { deployedAddresses, deploymentPath, writeDeployment } from "../scripts/deployments.js";
+
+const { ethers, ignition } = await network.connect();
+
+// Both "chains" are the in-process Hardhat network here; scripts/deploy.js runs the same modules on two nodes.
+// In-process deployments are not journaled, so a module deploys the modules it uses again: the checks
+// look at the contracts each module returns.
+describe("Ignition modules", function () {
+  let deployer, relayers, parameters;
+
+  beforeEach(async function () {
+    let others;
+    [deployer, ...others] = await ethers.getSigners();
+    relayers = others.slice(0, 3).map(s => s.address);
+    const { chainId } = await ethers.provider.getNetwork();
+    parameters = {
+      $global: {
+        relayers,
+        relayerThreshold: 2,
+        guardian: deployer.address,
+        relayer: deployer.address,
+        chainId: Number(chainId),
+        verifierChainId: Number(chainId),
+        sourceChainId: Number(chainId),
+      },
+    };
+  });
+
+  async function deployStack() {
+    const { verifier } = await ignition.deploy(ChainB, { parameters });
+    parameters.$global.verifier = await verifier.getAddress();
+    return { verifier, ...(await ignition.deploy(ChainA, { parameters })) };
+  }
+
+  it("deploys the two chains' contracts wired to each other", async function () {
+    const { asset, vault, publisher, executor, verifier } = await deployStack();
+
+    expect(await vault.asset()).to.equal(await asset.getAddress());
+    expect(await vault.unbondingPeriod()).to.equal(86400n);
+    expect(await vault.governanceExecutor()).to.equal(await executor.getAddress());
+    expect(await publisher.vault()).to.equal(await vault.getAddress());
+    expect(await executor.verifier()).to.equal(await verifier.getAddress());
+    expect(await executor.getRelayers()).to.deep.equal(relayers);
+    expect(await executor.minDelay()).to.equal(3600n);
+
+    expect(await verifier.getRelayers()).to.deep.equal(relayers);
+    expect(await verifier.threshold()).to.equal(2n);
+    expect(await verifier.quorumBps()).to.equal(5000n);
+
+    parameters.$global.publisher = await publisher.getAddress();
+    const source = await ignition.deploy(ProposalSource, { parameters });
+    expect(await source.verifier.proposalPublisher()).to.equal(await publisher.getAddress());
+  });
+
+  it("wires a MockMessenger pair for the bridge path", async function () {
+    // the executor gets its messenger at deployment, as scripts/deploy.js --bridge does
+    const { messenger } = await ignition.deploy(MockMessenger, { parameters });
+    parameters.$global.messenger = await messenger.getAddress();
+    const { verifier, executor } = await deployStack();
+    expect(await executor.messenger()).to.equal(await messenger.getAddress());
+    parameters.$global.executor = await executor.getAddress();
+
+    const chainA = await ignition.deploy(ChainABridge, { parameters });
+    expect(await chainA.publisher.messenger()).to.equal(await chainA.messenger.getAddress());
+    expect(await chainA.publisher.destinationVerifier()).to.equal(await verifier.getAddress());
+
+    const chainB = await ignition.deploy(ChainBBridge, { parameters });
+    expect(await chainB.verifier.messenger()).to.equal(await chainB.messenger.getAddress());
+    expect(await chainB.verifier.destinationExecutor()).to.equal(await executor.getAddress());
+  });
+
+  it("gives the gov CLI its contract addresses", async function () {
+    const { publisher, executor, verifier } = await deployStack();
+    const addresses = {
+      publisher: await publisher.getAddress(),
+      executor: await executor.getAddress(),
+      verifier: await verifier.getAddress(),
+    };
+
+    const status = await runGov(["status", "--id", "1"], { signerA: deployer, signerB: deployer, addresses });
+    expect(status).to.include({ published: false, registered: false, executionState: "None" });
+  });
+
+  it("reports a manifest whose contracts are gone instead of ignoring it", async function () {
+    const { publisher } = await deployStack();
+    // a chain id no real manifest uses, so the test does not touch the local chains' files
+    const chainId = 987654321;
+    const provider = { getNetwork: async () => ({ chainId: BigInt(chainId) }), getCode: a => ethers.provider.getCode(a) };
+    const missing = { getNetwork: async () => ({ chainId: 987654322n }) };
+    try {
+      writeDeployment(chainId, { chain: "A", deploymentId: "chain-a", contracts: { publisher: await publisher.getAddress() } });
+      expect(await deployedAddresses(provider, missing)).to.deep.equal({ publisher: await publisher.getAddress() });
+
+      writeDeployment(chainId, { chain: "A", deploymentId: "chain-a", contracts: { publisher: deployer.address } });
+      await expect(deployedAddresses(provider, missing)).to.be.rejectedWith(/publisher .* has no code on chain 987654321/);
+    } finally {
+      fs.rmSync(deploymentPath(chainId), { force: true });
+    }
+  });
+});
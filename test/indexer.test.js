@@ -0,0 +1,285 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { network } from "hardhat";
+import { createIndexer, createIndexDb, createIndexerServer } from "../scripts/indexer.js";
+import { encodeActionData, encodeCall, actionDataHash } from "../scripts/actions.js";
+import { outcomeDomain, signOutcome } from "../scripts/attestations.js";
+import { voteDomain, signVote } from "../scripts/votes.js";
+import { leafHash, buildMerkleTree, getProof } from "../scripts/merkle.js";
+
+const { ethers } = await network.connect();
+
+// Both "chains" are the in-process Hardhat network here; the indexer only needs contract handles.
+describe("Indexer", function () {
+  let deployer, user, relayer, voter2;
+  let mockAsset, vault, publisher, verifier, executor;
+  let dbDir, dbPath;
+
+  const proposalId = 7;
+  const DELAY = 3600;
+  let actionData, hash;
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  function newIndexer(db = createIndexDb(dbPath)) {
+    return createIndexer({
+      chains: [
+        { name: "A", contracts: { vault, publisher, executor } },
+        { name: "B", contracts: { verifier } },
+      ],
+      db,
+      log: () => {},
+    });
+  }
+
+  async function deposit(signer, amount) {
+    await mockAsset.mint(await signer.getAddress(), amount);
+    await mockAsset.connect(signer).approve(await vault.getAddress(), amount);
+    await vault.connect(signer)["deposit(uint256)"](amount);
+  }
+
+  // Publish on A, register and vote on B, mark passed, attest and execute on A
+  async function runProposal() {
+    const snapshotBlock = await ethers.provider.getBlockNumber();
+    await ethers.provider.send("evm_mine");
+    const voters = [user, voter2];
+    const powers = [ethers.parseEther("100"), ethers.parseEther("50")];
+    const leaves = await Promise.all(voters.map(async (v, i) => leafHash(await v.getAddress(), powers[i], 0)));
+    const { root, layers } = buildMerkleTree(leaves);
+    await publisher.publishProposal(proposalId, hash, snapshotBlock, root, ethers.keccak256(ethers.toUtf8Bytes("metadata")), "");
+
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    await verifier.registerProposal(proposalId, root, hash, 1, now, now + 86400);
+    const domain = await voteDomain(verifier);
+    const deadline = now + 86400;
+    const votes = await Promise.all(
+      voters.map(async (v, i) => ({
+        support: i === 0 ? 1 : 0,
+        nonce: 0,
+        deadline,
+        power: powers[i],
+        voter: await v.getAddress(),
+        signature: await signVote(v, domain, { proposalId, support: i === 0 ? 1 : 0, nonce: 0, deadline }),
+        merkleProof: getProof(layers, i),
+      }))
+    );
+    await verifier.submitVotes(proposalId, votes);
+    await verifier.adminMarkPassed(proposalId);
+
+    const net = await ethers.provider.getNetwork();
+    const message = { proposalId, actionDataHash: hash, sourceChainId: net.chainId, verifier: await verifier.getAddress() };
+    const signature = await signOutcome(relayer, await outcomeDomain(executor), message);
+    await executor.markProposalPassed(proposalId, hash, [signature]);
+    await increaseTime(DELAY);
+    await executor.executeIfAuthorized(proposalId, actionData);
+  }
+
+  // Publish on A and attest as passed, without a vote: enough for the executor to queue it
+  async function attest(id) {
+    const snapshotBlock = await ethers.provider.getBlockNumber();
+    await ethers.provider.send("evm_mine");
+    const root = ethers.keccak256(ethers.toUtf8Bytes("root"));
+    await publisher.publishProposal(id, hash, snapshotBlock, root, ethers.keccak256(ethers.toUtf8Bytes("metadata")), "");
+    const net = await ethers.provider.getNetwork();
+    const message = { proposalId: id, actionDataHash: hash, sourceChainId: net.chainId, verifier: await verifier.getAddress() };
+    await executor.markProposalPassed(id, hash, [await signOutcome(relayer, await outcomeDomain(executor), message)]);
+  }
+
+  beforeEach(async function () {
+    [deployer, user, relayer, voter2] = await ethers.getSigners();
+
+    mockAsset = await ethers.deployContract("MockERC20", ["Mock Asset", "MCK"]);
+    vault = await ethers.deployContract("LiquidStakingVault", [await mockAsset.getAddress(), "LST Shares", "LSTS", 86400]);
+    publisher = await ethers.deployContract("GovernanceRootPublisher", [await vault.getAddress()]);
+    const net = await ethers.provider.getNetwork();
+    verifier = await ethers.deployContract("VoteVerifier", [net.chainId]);
+    executor = await ethers.deployContract("GovernanceExecutor", [
+      await publisher.getAddress(),
+      net.chainId,
+      await verifier.getAddress(),
+      [await relayer.getAddress()],
+      1,
+      await deployer.getAddress(),
+      DELAY,
+      ethers.ZeroAddress,
+    ]);
+    await vault.setGovernanceExecutor(await executor.getAddress());
+
+    actionData = encodeActionData([
+      { target: await vault.getAddress(), data: encodeCall("setUnbondingPeriod(uint256)", [7200]) },
+    ]);
+    hash = actionDataHash(actionData);
+
+    dbDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-test-"));
+    dbPath = path.join(dbDir, "index");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dbDir, { recursive: true, force: true });
+  });
+
+  it("indexes vault activity per account", async function () {
+    await deposit(user, ethers.parseEther("10"));
+    // shares have 24 decimals (6 more than the asset) and are still 1:1 here
+    await vault.connect(user).initiateWithdraw(ethers.parseUnits("4", 24));
+    await vault.connect(user).initiateWithdraw(ethers.parseUnits("1", 24));
+    await increaseTime(86400);
+    await vault.connect(user).claim(1);
+    await deposit(deployer, ethers.parseEther("1"));
+    await mockAsset.mint(await deployer.getAddress(), ethers.parseEther("2"));
+    await mockAsset.approve(await vault.getAddress(), ethers.parseEther("2"));
+    await vault.distributeRewards(ethers.parseEther("2"));
+
+    const indexer = newIndexer();
+    expect(await indexer.pollOnce()).to.equal(6);
+
+    const account = indexer.account(await user.getAddress());
+    expect(account.deposits).to.have.length(1);
+    expect(account.deposits[0].args.assets).to.equal(ethers.parseEther("10").toString());
+    expect(account.withdrawals.map(w => [w.withdrawalId, w.open])).to.deep.equal([
+      ["1", false],
+      ["2", true],
+    ]);
+    expect(account.withdrawals[0].claim.assetsPaid).to.equal(ethers.parseEther("4").toString());
+    expect(indexer.withdrawals(await user.getAddress(), { open: true })).to.have.length(1);
+    expect(indexer.account(await deployer.getAddress()).rewardsDistributed).to.have.length(1);
+  });
+
+  it("follows a proposal across both chains", async function () {
+    await runProposal();
+    const indexer = newIndexer();
+    await indexer.pollOnce();
+
+    const p = indexer.proposal(proposalId);
+    expect(p.created.args.actionDataHash).to.equal(hash);
+    expect(p.registered.args.powerRoot).to.equal(p.created.args.powerRoot);
+    expect(p.voters).to.equal(2);
+    expect(p.tally).to.deep.equal({
+      forVotes: ethers.parseEther("100").toString(),
+      againstVotes: ethers.parseEther("50").toString(),
+      abstainVotes: "0",
+    });
+    expect(p.passed).to.not.equal(null);
+    expect(p.metadataRevisions).to.deep.equal([]);
+    expect(p.attested.args.submittedBy).to.equal(await deployer.getAddress());
+    expect(p.executed).to.have.length(1);
+
+    expect(indexer.proposals()).to.deep.equal([{ proposalId: "7", stage: "executed", voters: 2, tally: p.tally }]);
+    expect(indexer.account(await voter2.getAddress()).votes).to.have.length(1);
+    expect(indexer.proposal(999)).to.equal(null);
+  });
+
+  it("stages defeated, canceled and expired proposals", async function () {
+    // 8: voting ends without a vote, so finalize defeats it
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    await verifier.registerProposal(8, ethers.keccak256(ethers.toUtf8Bytes("root")), hash, 1, now, now + 60);
+    await increaseTime(61);
+    await verifier.finalize(8);
+    // 9: vetoed by the guardian; 10: never executed within the grace period
+    await attest(9);
+    await executor.cancel(9);
+    await attest(10);
+    await increaseTime(DELAY + Number(await executor.GRACE_PERIOD()) + 1);
+    await executor.expire(10);
+
+    const indexer = newIndexer();
+    await indexer.pollOnce();
+    expect(indexer.proposals().map(p => [p.proposalId, p.stage])).to.have.deep.members([
+      ["8", "defeated"],
+      ["9", "canceled"],
+      ["10", "expired"],
+    ]);
+    expect(indexer.proposal(8).finalized.args.againstVotes).to.equal("0");
+    expect(indexer.proposal(9).canceled.args.canceledBy).to.equal(await deployer.getAddress());
+    expect(indexer.proposal(10).attested).to.not.equal(null);
+  });
+
+  it("resumes from the database after a restart", async function () {
+    await deposit(user, ethers.parseEther("1"));
+    expect(await newIndexer().pollOnce()).to.equal(1);
+
+    await deposit(user, ethers.parseEther("2"));
+    const restarted = newIndexer();
+    expect(await restarted.pollOnce()).to.equal(1);
+    expect(restarted.account(await user.getAddress()).deposits).to.have.length(2);
+    expect(restarted.status().chains.A.indexedBlock).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("appends each chain's events to its own segment", async function () {
+    await deposit(user, ethers.parseEther("1"));
+    const indexer = newIndexer();
+    await indexer.pollOnce();
+    const segment = path.join(dbPath, "events-A.jsonl");
+    const first = fs.readFileSync(segment, "utf8");
+
+    await deposit(user, ethers.parseEther("2"));
+    await indexer.pollOnce();
+    const lines = fs.readFileSync(segment, "utf8");
+    expect(lines.startsWith(first)).to.equal(true);
+    expect(lines.trim().split("\n").map(l => JSON.parse(l).event)).to.deep.equal(["Deposited", "Deposited"]);
+    expect(fs.existsSync(path.join(dbPath, "events-B.jsonl"))).to.equal(false);
+
+    // a poll interrupted after appending, before saving its cursor: the events past the cursor are indexed again
+    const { cursor } = JSON.parse(fs.readFileSync(path.join(dbPath, "chains.json"), "utf8")).A;
+    await deposit(user, ethers.parseEther("3"));
+    fs.appendFileSync(segment, JSON.stringify({ chain: "A", event: "Deposited", blockNumber: cursor + 1, args: {} }) + "\n{\"torn");
+    const restarted = newIndexer();
+    expect(restarted.account(await user.getAddress()).deposits).to.have.length(2);
+    expect(await restarted.pollOnce()).to.equal(1);
+    expect(restarted.account(await user.getAddress()).deposits.map(d => d.args.assets)).to.deep.equal(
+      ["1", "2", "3"].map(n => ethers.parseEther(n).toString())
+    );
+  });
+
+  it("drops events of blocks that were reorged out", async function () {
+    await deposit(user, ethers.parseEther("1"));
+    const snapshot = await ethers.provider.send("evm_snapshot");
+    await deposit(user, ethers.parseEther("2"));
+
+    const indexer = newIndexer();
+    await indexer.pollOnce();
+    expect(indexer.account(await user.getAddress()).deposits).to.have.length(2);
+
+    // replace the last blocks with a different history of the same height
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await deposit(user, ethers.parseEther("3"));
+
+    await indexer.pollOnce();
+    const amounts = indexer.account(await user.getAddress()).deposits.map(d => d.args.assets);
+    expect(amounts).to.deep.equal([ethers.parseEther("1").toString(), ethers.parseEther("3").toString()]);
+    // the reorged events are gone from the chain's segment too
+    expect(newIndexer().account(await user.getAddress()).deposits.map(d => d.args.assets)).to.deep.equal(amounts);
+  });
+
+  it("serves accounts and proposals over HTTP", async function () {
+    await deposit(user, ethers.parseEther("1"));
+    await runProposal();
+    const indexer = newIndexer();
+    await indexer.pollOnce();
+
+    const server = createIndexerServer(indexer).listen(0, "127.0.0.1");
+    await new Promise(resolve => server.once("listening", resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+      const account = await (await fetch(`${base}/accounts/${await user.getAddress()}`)).json();
+      expect(account.deposits).to.have.length(1);
+      expect(account.votes).to.have.length(1);
+
+      const proposal = await (await fetch(`${base}/proposals/${proposalId}`)).json();
+      expect(proposal.executed).to.have.length(1);
+      expect(await (await fetch(`${base}/proposals/${proposalId}/votes`)).json()).to.have.length(2);
+      expect((await (await fetch(`${base}/status`)).json()).chains).to.have.keys("A", "B");
+
+      expect((await fetch(`${base}/proposals/999`)).status).to.equal(404);
+      expect((await fetch(`${base}/proposals/abc`)).status).to.equal(400);
+      expect((await fetch(`${base}/accounts/0x1234`)).status).to.equal(404);
+    } finally {
+      server.close();
+    }
+  });
+});
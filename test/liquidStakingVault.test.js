@@ -1,21 +1,36 @@
 import { expect } from "chai";
 import { network } from "hardhat";
+import { exchangeRateHistory, renderChart } from "../scripts/exchange-rate.js";
 
 const { ethers } = await network.connect();
 const WAD = ethers.parseEther("1"); // BigInt for 1e18
 
+// Shares have DECIMALS_OFFSET = 6 more decimals than the asset: at 1:1 an asset unit buys 1e6 share units,
+// and the conversions use 1e6 virtual shares
+const OFFSET = 10n ** 6n;
+const parseShares = amount => ethers.parseEther(amount) * OFFSET;
+const INITIAL_RATE = WAD / OFFSET; // exchangeRate (assets per share unit, WAD-scaled) at 1:1
+
+// exchangeRate for `assets` backing `shares`, with the vault's virtual shares and asset
+const rateOf = (assets, shares) => ((assets + 1n) * WAD) / (shares + OFFSET);
+
+// ERC-4626 conversions with the vault's virtual shares and asset, rounded down or (up = true) up
+const mulDiv = (x, y, d, up = false) => (x * y + (up ? d - 1n : 0n)) / d;
+const toShares = (assets, totalAssets, supply, up) => mulDiv(assets, supply + OFFSET, totalAssets + 1n, up);
+const toAssets = (shares, totalAssets, supply, up) => mulDiv(shares, totalAssets + 1n, supply + OFFSET, up);
+
 describe("LiquidStakingVault", function () {
   let MockERC20;
   let VaultFactory;
   let mockAsset;
   let vault;
-  let owner, alice, bob, relayer;
+  let owner, alice, bob, relayer, governance;
   let vaultAddr;
 
   const initialSupply = ethers.parseEther("1000000"); // 1,000,000 tokens
 
   beforeEach(async function () {
-    [owner, alice, bob, relayer] = await ethers.getSigners();
+    [owner, alice, bob, relayer, governance] = await ethers.getSigners();
 
     // Deploy MockERC20
     MockERC20 = await ethers.getContractFactory("MockERC20");
@@ -35,22 +50,27 @@ describe("LiquidStakingVault", function () {
 
     // cache address (ethers v6 uses getAddress())
     vaultAddr = await vault.getAddress();
+
+    // rewards unlock at once here; "reward streaming" turns the default period back on
+    await vault.connect(owner).setGovernanceExecutor(await governance.getAddress());
+    await vault.connect(governance).setRewardsStreamingPeriod(0);
   });
 
-  it("initial deposit mints shares 1:1 and exchangeRate = 1e18", async function () {
+  it("initial deposit mints shares 1:1 and exchangeRate = 1e18 / 1e6", async function () {
     // Alice approves and deposits 1000 tokens
     const depositAmount = ethers.parseEther("1000");
     await mockAsset.connect(alice).approve(vaultAddr, depositAmount);
     const tx = await vault.connect(alice).deposit(depositAmount);
     await tx.wait();
 
-    // Shares minted to Alice equal deposit (initial deposit 1:1)
+    // Shares minted to Alice equal deposit (initial deposit 1:1, with 6 more decimals)
     const aliceShares = await vault.balanceOf(await alice.getAddress());
-    expect(aliceShares).to.equal(depositAmount);
+    expect(aliceShares).to.equal(depositAmount * OFFSET);
+    expect(await vault.decimals()).to.equal(24n);
 
-    // Exchange rate should be 1e18 (WAD)
+    // Exchange rate per share unit: 1e18 (WAD) / 1e6
     const er = await vault.exchangeRate();
-    expect(er).to.equal(WAD);
+    expect(er).to.equal(INITIAL_RATE);
   });
 
   it("distributeRewards increases exchange rate (LST appreciates)", async function () {
@@ -61,7 +81,7 @@ describe("LiquidStakingVault", function () {
 
     // Check initial ER
     const er0 = await vault.exchangeRate();
-    expect(er0).to.equal(WAD);
+    expect(er0).to.equal(INITIAL_RATE);
 
     // Owner transfers 100 reward tokens to vault and calls distributeRewards
     const reward = ethers.parseEther("100");
@@ -71,11 +91,10 @@ describe("LiquidStakingVault", function () {
 
 
     // After rewards, exchangeRate should increase: available = 1000 + 100 = 1100
-    // ER = available * WAD / totalShares = 1100 * WAD / 1000 = 1.1 * WAD
+    // ER = (available + 1) * WAD / (totalShares + 1e6) ~= 1100 * WAD / 1000e6 = 1.1 * WAD / 1e6
     const er1 = await vault.exchangeRate();
-
-    // Expected ER using BigInt arithmetic
-    const expected = (1100n * WAD) / 1000n;
+    // Expected ER using BigInt arithmetic (the virtual shares and asset take it just below 1.1 / 1e6)
+    const expected = rateOf(ethers.parseEther("1100"), depositAmount * OFFSET);
     expect(er1).to.equal(expected);
 
     // sharesToAssets for 1 share should increase:
@@ -102,7 +121,7 @@ describe("LiquidStakingVault", function () {
     expect(lockedBefore).to.equal(0n);
 
     // Alice initiates withdraw of 500 shares
-    const sharesToBurn = ethers.parseEther("500");
+    const sharesToBurn = parseShares("500");
     const tx = await vault.connect(alice).initiateWithdraw(sharesToBurn);
     const rcpt = await tx.wait();
 
@@ -154,7 +173,7 @@ describe("LiquidStakingVault", function () {
     await vault.connect(alice).deposit(depositAmount);
 
     // Record assets per share for 1 share initially
-    const initialAssetsPerShare = await vault.sharesToAssets(1n);
+    const initialAssetsPerShare = await vault.sharesToAssets(parseShares("1"));
 
 
     // Do repeated reward distributions and ensure assetsPerShare increases each time
@@ -166,7 +185,7 @@ describe("LiquidStakingVault", function () {
       await mockAsset.connect(owner).approve(vaultAddr, reward);
       await vault.connect(owner).distributeRewards(reward);
 
-      const current = await vault.sharesToAssets(1n);
+      const current = await vault.sharesToAssets(parseShares("1"));
       
       // current must be >= prev (monotonic non-decreasing)
       expect(current >= prev).to.be.true;
@@ -206,4 +225,755 @@ describe("LiquidStakingVault", function () {
     expect(assetsOwed).to.equal(expectedAssets);
     
   });
+
+  describe("ERC-4626", function () {
+    async function depositAndReward(depositAmount, reward) {
+      await mockAsset.connect(alice).approve(vaultAddr, depositAmount);
+      await vault.connect(alice)["deposit(uint256)"](depositAmount);
+      await mockAsset.connect(owner).approve(vaultAddr, reward);
+      await vault.connect(owner).distributeRewards(reward);
+    }
+
+    async function withdrawalIdFrom(tx) {
+      const rcpt = await tx.wait();
+      for (const log of rcpt.logs.filter(l => l.address === vaultAddr)) {
+        const parsed = vault.interface.parseLog(log);
+        if (parsed && parsed.name === "InitiatedWithdraw") return parsed.args.withdrawalId;
+      }
+      throw new Error("no InitiatedWithdraw event");
+    }
+
+    it("exposes asset, totalAssets and conversions consistent with exchangeRate", async function () {
+      await depositAndReward(ethers.parseEther("1000"), ethers.parseEther("234"));
+
+      expect(await vault.asset()).to.equal(await mockAsset.getAddress());
+      expect(await vault.totalAssets()).to.equal(ethers.parseEther("1234"));
+      expect(await vault.convertToAssets(3n)).to.equal(await vault.sharesToAssets(3n));
+      expect(await vault.convertToShares(ethers.parseEther("10"))).to.equal(await vault.assetsToShares(ethers.parseEther("10")));
+      expect(await vault.maxDeposit(await bob.getAddress())).to.equal(ethers.MaxUint256);
+      expect(await vault.maxRedeem(await alice.getAddress())).to.equal(parseShares("1000"));
+      const [totalAssets, supply] = [ethers.parseEther("1234"), parseShares("1000")];
+      expect(await vault.maxWithdraw(await alice.getAddress())).to.equal(toAssets(supply, totalAssets, supply));
+    });
+
+    it("deposit(assets, receiver) and mint(shares, receiver) credit the receiver", async function () {
+      await depositAndReward(ethers.parseEther("1000"), ethers.parseEther("234"));
+      const bobAddr = await bob.getAddress();
+
+      const assets = ethers.parseEther("100");
+      const expectedShares = await vault.previewDeposit(assets);
+      await mockAsset.connect(alice).approve(vaultAddr, assets);
+      await expect(vault.connect(alice)["deposit(uint256,address)"](assets, bobAddr))
+        .to.emit(vault, "Deposit")
+        .withArgs(await alice.getAddress(), bobAddr, assets, expectedShares);
+      expect(await vault.balanceOf(bobAddr)).to.equal(expectedShares);
+
+      // mint rounds the assets pulled up, so depositing them back would buy at least `shares`
+      const shares = 3n;
+      const cost = await vault.previewMint(shares);
+      expect(cost).to.equal(toAssets(shares, await vault.totalAssets(), await vault.totalSupply(), true));
+      await mockAsset.connect(bob).approve(vaultAddr, cost);
+      const before = await mockAsset.balanceOf(bobAddr);
+      await vault.connect(bob).mint(shares, bobAddr);
+      expect(before - (await mockAsset.balanceOf(bobAddr))).to.equal(cost);
+      expect(await vault.balanceOf(bobAddr)).to.equal(expectedShares + shares);
+    });
+
+    it("redeem spends the caller's allowance and sends the Withdrawal NFT to the receiver", async function () {
+      await depositAndReward(ethers.parseEther("1000"), ethers.parseEther("100"));
+      const [aliceAddr, bobAddr] = [await alice.getAddress(), await bob.getAddress()];
+      const shares = parseShares("500");
+
+      await expect(vault.connect(bob).redeem(shares, bobAddr, aliceAddr)).to.be.revertedWithCustomError(
+        vault,
+        "ERC20InsufficientAllowance"
+      );
+
+      await vault.connect(alice).approve(bobAddr, shares);
+      const assets = await vault.previewRedeem(shares);
+      const tx = vault.connect(bob).redeem(shares, bobAddr, aliceAddr);
+      await expect(tx).to.emit(vault, "Withdraw").withArgs(bobAddr, bobAddr, aliceAddr, assets, shares);
+      const withdrawalId = await withdrawalIdFrom(await tx);
+
+      expect(await vault.allowance(aliceAddr, bobAddr)).to.equal(0n);
+      expect(await vault.balanceOf(aliceAddr)).to.equal(parseShares("500"));
+      expect(await vault.lockedAssets()).to.equal(assets);
+
+      const nft = await ethers.getContractAt("WithdrawalNFT", await vault.withdrawalNFT());
+      expect(await nft.ownerOf(withdrawalId)).to.equal(bobAddr);
+
+      await ethers.provider.send("evm_increaseTime", [86400 + 1]);
+      await ethers.provider.send("evm_mine");
+      const before = await mockAsset.balanceOf(bobAddr);
+      await vault.connect(bob).claim(withdrawalId);
+      expect((await mockAsset.balanceOf(bobAddr)) - before).to.equal(assets);
+    });
+
+    it("withdraw locks exactly the requested assets and burns shares rounded up", async function () {
+      await depositAndReward(ethers.parseEther("1000"), ethers.parseEther("234"));
+      const aliceAddr = await alice.getAddress();
+
+      const assets = ethers.parseEther("10");
+      const shares = await vault.previewWithdraw(assets);
+      expect(shares).to.equal(toShares(assets, await vault.totalAssets(), await vault.totalSupply(), true));
+
+      const withdrawalId = await withdrawalIdFrom(await vault.connect(alice).withdraw(assets, aliceAddr, aliceAddr));
+      const nft = await ethers.getContractAt("WithdrawalNFT", await vault.withdrawalNFT());
+      const [assetsOwed] = await nft.getWithdrawal(withdrawalId);
+      expect(assetsOwed).to.equal(assets);
+      expect(await vault.balanceOf(aliceAddr)).to.equal(parseShares("1000") - shares);
+
+      const max = await vault.maxWithdraw(aliceAddr);
+      await expect(vault.connect(alice).withdraw(max + 1n, aliceAddr, aliceAddr)).to.be.revertedWith("withdraw more than max");
+    });
+
+    it("refuses to redeem dust shares worth zero assets", async function () {
+      await depositAndReward(ethers.parseEther("1000"), ethers.parseEther("100"));
+      const aliceAddr = await alice.getAddress();
+      // a share unit is worth 1.1e-6 asset units: it would mint a withdrawal owing nothing
+      expect(await vault.previewRedeem(1n)).to.equal(0n);
+
+      await expect(vault.connect(alice).redeem(1n, aliceAddr, aliceAddr)).to.be.revertedWith("zero assets");
+      await expect(vault.connect(alice).initiateWithdraw(1n)).to.be.revertedWith("zero assets");
+      expect(await vault.balanceOf(aliceAddr)).to.equal(parseShares("1000"));
+      expect(await vault.lockedAssets()).to.equal(0n);
+    });
+
+    it("rounds previews against the caller at a fractional exchange rate", async function () {
+      // 3 assets for 2 shares: the ratio is not a whole number of wei per WAD, so exchangeRate() is truncated
+      await depositAndReward(2n, 1n);
+      const [totalAssets, supply] = [await vault.totalAssets(), await vault.totalSupply()];
+      expect((await vault.exchangeRate()) * (supply + OFFSET)).to.be.lessThan((totalAssets + 1n) * WAD);
+
+      for (const amount of [1n, 5n, WAD, 3n * WAD, 7n * WAD + 1n]) {
+        expect(await vault.previewDeposit(amount)).to.equal(toShares(amount, totalAssets, supply));
+        expect(await vault.previewRedeem(amount)).to.equal(toAssets(amount, totalAssets, supply));
+        const cost = await vault.previewMint(amount);
+        const burned = await vault.previewWithdraw(amount);
+        expect(cost).to.equal(toAssets(amount, totalAssets, supply, true));
+        expect(burned).to.equal(toShares(amount, totalAssets, supply, true));
+        // what the caller pays is worth at least what it gets
+        expect(cost * (supply + OFFSET) >= amount * (totalAssets + 1n)).to.equal(true);
+        expect(burned * (totalAssets + 1n) >= amount * (supply + OFFSET)).to.equal(true);
+      }
+    });
+  });
+
+  describe("checkpoints", function () {
+    // returns the current block after mining on top of it, so it can be looked up
+    async function mine() {
+      const block = await ethers.provider.getBlockNumber();
+      await ethers.provider.send("evm_mine");
+      return block;
+    }
+
+    it("records share balances and total supply per block", async function () {
+      const [aliceAddr, bobAddr] = [await alice.getAddress(), await bob.getAddress()];
+      await mockAsset.connect(alice).approve(vaultAddr, ethers.parseEther("1000"));
+      await vault.connect(alice)["deposit(uint256)"](ethers.parseEther("1000"));
+      const afterDeposit = await mine();
+
+      await vault.connect(alice).transfer(bobAddr, parseShares("300"));
+      const afterTransfer = await mine();
+      await vault.connect(bob).initiateWithdraw(parseShares("100"));
+      await mine();
+
+      expect(await vault.getPastVotes(aliceAddr, afterDeposit)).to.equal(parseShares("1000"));
+      expect(await vault.getPastVotes(bobAddr, afterDeposit)).to.equal(0n);
+      expect(await vault.getPastVotes(aliceAddr, afterTransfer)).to.equal(parseShares("700"));
+      expect(await vault.getPastVotes(bobAddr, afterTransfer)).to.equal(parseShares("300"));
+      expect(await vault.getPastTotalSupply(afterTransfer)).to.equal(parseShares("1000"));
+      expect(await vault.getVotes(bobAddr)).to.equal(parseShares("200"));
+      expect(await vault.getPastTotalSupply((await ethers.provider.getBlockNumber()) - 1)).to.equal(parseShares("900"));
+    });
+
+    it("records the exchange rate after every vault operation", async function () {
+      const deployBlock = await ethers.provider.getBlockNumber();
+      await mockAsset.connect(alice).approve(vaultAddr, ethers.parseEther("1000"));
+      await vault.connect(alice)["deposit(uint256)"](ethers.parseEther("1000"));
+      const beforeReward = await mine();
+
+      await mockAsset.connect(owner).approve(vaultAddr, ethers.parseEther("234"));
+      await vault.connect(owner).distributeRewards(ethers.parseEther("234"));
+      const afterReward = await mine();
+
+      expect(await vault.exchangeRateAt(deployBlock)).to.equal(INITIAL_RATE);
+      expect(await vault.exchangeRateAt(beforeReward)).to.equal(INITIAL_RATE);
+      expect(await vault.exchangeRateAt(afterReward)).to.equal(await vault.exchangeRate());
+      expect(await vault.exchangeRateAt(afterReward)).to.equal(rateOf(ethers.parseEther("1234"), parseShares("1000")));
+    });
+
+    it("rejects lookups of the current or future blocks", async function () {
+      const current = await vault.clock();
+      await expect(vault.getPastVotes(await alice.getAddress(), current)).to.be.revertedWith("future lookup");
+      await expect(vault.exchangeRateAt(current + 1n)).to.be.revertedWith("future lookup");
+      expect(await vault.CLOCK_MODE()).to.equal("mode=blocknumber&from=default");
+    });
+  });
+
+  describe("withdrawal claims", function () {
+    let nft;
+
+    async function nextReportWindow() {
+      await ethers.provider.send("evm_increaseTime", [Number(await vault.minReportInterval())]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    async function requestWithdrawal(signer, shares) {
+      const rcpt = await (await vault.connect(signer).initiateWithdraw(shares)).wait();
+      for (const log of rcpt.logs.filter(l => l.address === vaultAddr)) {
+        const parsed = vault.interface.parseLog(log);
+        if (parsed && parsed.name === "InitiatedWithdraw") return parsed.args.withdrawalId;
+      }
+      throw new Error("no InitiatedWithdraw event");
+    }
+
+    async function mature() {
+      await ethers.provider.send("evm_increaseTime", [86400 + 1]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+      await mockAsset.connect(alice).approve(vaultAddr, ethers.parseEther("1000"));
+      await vault.connect(alice)["deposit(uint256)"](ethers.parseEther("1000"));
+      nft = await ethers.getContractAt("WithdrawalNFT", await vault.withdrawalNFT());
+    });
+
+    it("records the requester and request time", async function () {
+      const id = await requestWithdrawal(alice, parseShares("100"));
+      const requestedAt = (await ethers.provider.getBlock("latest")).timestamp;
+
+      const [assetsOwed, availableAt, requester, recordedAt] = await nft.getWithdrawal(id);
+      expect(assetsOwed).to.equal(ethers.parseEther("100"));
+      expect(availableAt).to.equal(BigInt(requestedAt + 86400));
+      expect(requester).to.equal(await alice.getAddress());
+      expect(recordedAt).to.equal(BigInt(requestedAt));
+    });
+
+    it("claimMany settles several matured withdrawals in one call", async function () {
+      const ids = [];
+      for (const shares of ["100", "200", "300"]) ids.push(await requestWithdrawal(alice, parseShares(shares)));
+      await expect(vault.connect(alice).claimMany(ids)).to.be.revertedWith("not yet available");
+
+      await mature();
+      const before = await mockAsset.balanceOf(await alice.getAddress());
+      await vault.connect(alice).claimMany(ids);
+      expect((await mockAsset.balanceOf(await alice.getAddress())) - before).to.equal(ethers.parseEther("600"));
+      expect(await vault.lockedAssets()).to.equal(0n);
+      expect(await nft.balanceOf(await alice.getAddress())).to.equal(0n);
+    });
+
+    it("claimTo pays the recipient and emits Claimed", async function () {
+      const id = await requestWithdrawal(alice, parseShares("100"));
+      await mature();
+
+      const [aliceAddr, bobAddr] = [await alice.getAddress(), await bob.getAddress()];
+      await expect(vault.connect(alice).claimTo(id, bobAddr))
+        .to.emit(vault, "Claimed")
+        .withArgs(aliceAddr, bobAddr, id, ethers.parseEther("100"));
+      expect(await mockAsset.balanceOf(bobAddr)).to.equal(ethers.parseEther("10100"));
+    });
+
+    it("lets approved addresses and operators claim, and nobody else", async function () {
+      const [first, second] = [
+        await requestWithdrawal(alice, parseShares("100")),
+        await requestWithdrawal(alice, parseShares("100")),
+      ];
+      await mature();
+
+      await expect(vault.connect(bob).claim(first)).to.be.revertedWith("not owner or approved");
+
+      await nft.connect(alice).approve(await bob.getAddress(), first);
+      await vault.connect(bob).claimTo(first, await alice.getAddress());
+      await expect(vault.connect(bob).claim(second)).to.be.revertedWith("not owner or approved");
+
+      await nft.connect(alice).setApprovalForAll(await relayer.getAddress(), true);
+      await vault.connect(relayer).claimMany([second]);
+      expect(await mockAsset.balanceOf(await relayer.getAddress())).to.equal(ethers.parseEther("100"));
+    });
+
+    it("serves on-chain JSON metadata that tracks maturity", async function () {
+      const id = await requestWithdrawal(alice, parseShares("100"));
+      const decode = uri => {
+        expect(uri.startsWith("data:application/json;base64,")).to.equal(true);
+        return JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString("utf8"));
+      };
+
+      const pending = decode(await nft.tokenURI(id));
+      const [, availableAt] = await nft.getWithdrawal(id);
+      expect(pending.name).to.equal(`LST-Withdraw #${id}`);
+      expect(pending.assetsOwed).to.equal(ethers.parseEther("100").toString());
+      expect(pending.availableAt).to.equal(Number(availableAt));
+      expect(pending.matured).to.equal(false);
+      expect(pending.requester.toLowerCase()).to.equal((await alice.getAddress()).toLowerCase());
+      expect(pending.asset.toLowerCase()).to.equal((await mockAsset.getAddress()).toLowerCase());
+
+      await mature();
+      const matured = decode(await nft.tokenURI(id));
+      expect(matured.matured).to.equal(true);
+      expect(matured.attributes.find(a => a.trait_type === "matured").value).to.equal("true");
+
+      await vault.connect(alice).claim(id);
+      await expect(nft.tokenURI(id)).to.be.revertedWithCustomError(nft, "ERC721NonexistentToken");
+    });
+  });
+
+  describe("oracle reports", function () {
+    let oracle;
+
+    async function nextReportWindow() {
+      await ethers.provider.send("evm_increaseTime", [Number(await vault.minReportInterval())]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    async function requestWithdrawal(signer, shares) {
+      const rcpt = await (await vault.connect(signer).initiateWithdraw(shares)).wait();
+      const ev = rcpt.logs
+        .filter(l => l.address === vaultAddr)
+        .map(l => vault.interface.parseLog(l))
+        .find(e => e && e.name === "InitiatedWithdraw");
+      return ev.args.withdrawalId;
+    }
+
+    beforeEach(async function () {
+      oracle = relayer;
+      await vault.connect(owner).setOracle(await oracle.getAddress());
+      await mockAsset.mint(await oracle.getAddress(), ethers.parseEther("1000"));
+      await mockAsset.connect(oracle).approve(vaultAddr, ethers.MaxUint256);
+
+      await mockAsset.connect(alice).approve(vaultAddr, ethers.parseEther("1000"));
+      await vault.connect(alice)["deposit(uint256)"](ethers.parseEther("1000"));
+    });
+
+    it("pulls reported rewards from the oracle and emits Reported", async function () {
+      await expect(vault.connect(alice).report(1n)).to.be.revertedWith("only oracle");
+
+      const rewards = ethers.parseEther("50");
+      await expect(vault.connect(oracle).report(rewards))
+        .to.emit(vault, "Reported")
+        .withArgs(await oracle.getAddress(), rewards, 0n, ethers.parseEther("1050"), 0n, rateOf(ethers.parseEther("1050"), parseShares("1000")));
+      expect(await mockAsset.balanceOf(await oracle.getAddress())).to.equal(ethers.parseEther("950"));
+
+      const block = await ethers.provider.getBlockNumber();
+      await ethers.provider.send("evm_mine");
+      expect(await vault.exchangeRateAt(block)).to.equal(rateOf(ethers.parseEther("1050"), parseShares("1000")));
+    });
+
+    it("shares a loss pro rata between share holders and pending withdrawals", async function () {
+      const nft = await ethers.getContractAt("WithdrawalNFT", await vault.withdrawalNFT());
+      const before = await requestWithdrawal(alice, parseShares("200"));
+
+      // 100 lost out of 1000 pooled: 20 from the 200 locked, 80 from the 800 backing shares
+      await expect(vault.connect(oracle).report(-ethers.parseEther("100")))
+        .to.emit(vault, "Reported")
+        .withArgs(
+          await oracle.getAddress(),
+          -ethers.parseEther("100"),
+          ethers.parseEther("20"),
+          ethers.parseEther("720"),
+          ethers.parseEther("180"),
+          rateOf(ethers.parseEther("720"), parseShares("800"))
+        );
+      expect(await vault.withdrawalIndex()).to.equal(ethers.parseEther("0.9"));
+      // the loss is only written off: nothing is sent to the oracle
+      expect(await mockAsset.balanceOf(await oracle.getAddress())).to.equal(ethers.parseEther("1000"));
+      expect(await mockAsset.balanceOf(vaultAddr)).to.equal(ethers.parseEther("1000"));
+      expect(await vault.managedAssets()).to.equal(ethers.parseEther("900"));
+
+      // the NFT keeps its nominal amount; withdrawals requested after the loss are not cut again
+      expect((await nft.getWithdrawal(before))[0]).to.equal(ethers.parseEther("200"));
+      expect(await vault.claimableAssets(before)).to.equal(ethers.parseEther("180"));
+      const after = await requestWithdrawal(alice, parseShares("100"));
+      expect(await vault.claimableAssets(after)).to.equal(ethers.parseEther("90"));
+
+      await ethers.provider.send("evm_increaseTime", [86400 + 1]);
+      await ethers.provider.send("evm_mine");
+      const aliceAddr = await alice.getAddress();
+      const balance = await mockAsset.balanceOf(aliceAddr);
+      await expect(vault.connect(alice).claim(before))
+        .to.emit(vault, "Claimed")
+        .withArgs(aliceAddr, aliceAddr, before, ethers.parseEther("180"));
+      await vault.connect(alice).claim(after);
+      expect((await mockAsset.balanceOf(aliceAddr)) - balance).to.equal(ethers.parseEther("270"));
+      expect(await vault.lockedAssets()).to.equal(0n);
+      expect(await vault.totalAssets()).to.equal(ethers.parseEther("630"));
+      expect(await vault.claimableAssets(before)).to.equal(0n);
+    });
+
+    it("bounds each report, with bounds set through governance", async function () {
+      await requestWithdrawal(alice, parseShares("500"));
+      // rewards: 10% of the 500 totalAssets; losses: 10% of the 1000 pooled
+      await expect(vault.connect(oracle).report(ethers.parseEther("50") + 1n)).to.be.revertedWith("reward above bound");
+      await expect(vault.connect(oracle).report(-ethers.parseEther("100") - 1n)).to.be.revertedWith("loss above bound");
+      await vault.connect(oracle).report(-ethers.parseEther("100"));
+
+      await expect(vault.connect(owner).setReportBounds(100, 100)).to.be.revertedWith("only governance");
+      await vault.connect(owner).setGovernanceExecutor(await owner.getAddress());
+      await expect(vault.connect(owner).setReportBounds(5001, 100)).to.be.revertedWith("bound above max");
+      await expect(vault.connect(owner).setReportBounds(100, 0)).to.emit(vault, "ReportBoundsUpdated").withArgs(100, 0);
+      await nextReportWindow();
+      await expect(vault.connect(oracle).report(-1n)).to.be.revertedWith("loss above bound");
+    });
+
+    it("spaces reports at least minReportInterval apart", async function () {
+      await vault.connect(oracle).report(-ethers.parseEther("10"));
+      const interval = await vault.minReportInterval();
+      expect(interval).to.equal(12n * 3600n);
+      await expect(vault.connect(oracle).report(-ethers.parseEther("10"))).to.be.revertedWith("report too soon");
+
+      await ethers.provider.send("evm_increaseTime", [Number(interval) / 2]);
+      await ethers.provider.send("evm_mine");
+      await expect(vault.connect(oracle).report(1n)).to.be.revertedWith("report too soon");
+      await nextReportWindow();
+      await vault.connect(oracle).report(1n);
+
+      await expect(vault.connect(owner).setMinReportInterval(0)).to.be.revertedWith("only governance");
+      await vault.connect(owner).setGovernanceExecutor(await owner.getAddress());
+      await expect(vault.connect(owner).setMinReportInterval(7 * 86400 + 1)).to.be.revertedWith("interval above max");
+      await expect(vault.connect(owner).setMinReportInterval(0))
+        .to.emit(vault, "MinReportIntervalUpdated")
+        .withArgs(interval, 0n);
+      await vault.connect(oracle).report(0n);
+    });
+
+    it("exchangeRateHistory lists the reports for charting", async function () {
+      const fromBlock = await ethers.provider.getBlockNumber();
+      await vault.connect(oracle).report(ethers.parseEther("100"));
+      await nextReportWindow();
+      await vault.connect(oracle).report(-ethers.parseEther("55"));
+      await nextReportWindow();
+      await vault.connect(oracle).report(0n);
+
+      const rows = await exchangeRateHistory({ vault, fromBlock });
+      expect(rows.map(r => r.exchangeRate)).to.deep.equal([
+        rateOf(ethers.parseEther("1100"), parseShares("1000")),
+        rateOf(ethers.parseEther("1045"), parseShares("1000")),
+        rateOf(ethers.parseEther("1045"), parseShares("1000")),
+      ]);
+      expect(rows[1].balanceChange).to.equal(-ethers.parseEther("55"));
+      expect(rows[0].timestamp).to.equal((await ethers.provider.getBlock(rows[0].blockNumber)).timestamp);
+
+      const lines = renderChart(rows, 10).split("\n");
+      expect(lines).to.have.length(3);
+      expect(lines[0].endsWith("#".repeat(10))).to.equal(true);
+      expect(lines[1].endsWith("  #")).to.equal(true);
+    });
+  });
+
+  describe("protocol fee", function () {
+    let treasury;
+
+    beforeEach(async function () {
+      treasury = await bob.getAddress();
+      await vault.connect(owner).setGovernanceExecutor(await owner.getAddress());
+      await mockAsset.connect(alice).approve(vaultAddr, ethers.parseEther("1000"));
+      await vault.connect(alice)["deposit(uint256)"](ethers.parseEther("1000"));
+      await mockAsset.connect(owner).approve(vaultAddr, ethers.MaxUint256);
+    });
+
+    it("is set through governance only, with a cap and a treasury", async function () {
+      await expect(vault.connect(alice).setProtocolFee(100)).to.be.revertedWith("only governance");
+      await expect(vault.connect(alice).setTreasury(treasury)).to.be.revertedWith("only governance");
+      await expect(vault.connect(owner).setProtocolFee(100)).to.be.revertedWith("treasury=0");
+
+      await expect(vault.connect(owner).setTreasury(treasury))
+        .to.emit(vault, "TreasuryUpdated")
+        .withArgs(ethers.ZeroAddress, treasury);
+      await expect(vault.connect(owner).setProtocolFee(2001)).to.be.revertedWith("fee above max");
+      await expect(vault.connect(owner).setProtocolFee(2000)).to.emit(vault, "ProtocolFeeUpdated").withArgs(0, 2000);
+    });
+
+    it("mints the fee on rewards to the treasury at the post-reward exchange rate", async function () {
+      await vault.connect(owner).setTreasury(treasury);
+      await vault.connect(owner).setProtocolFee(1000);
+
+      // 100 rewards on 1000 assets / 1000 shares: fee 10 assets at ER 1.1
+      const rewards = ethers.parseEther("100");
+      const feeAssets = ethers.parseEther("10");
+      const feeShares = toShares(feeAssets, ethers.parseEther("1100"), parseShares("1000"));
+      expect(await vault.previewFee(rewards)).to.deep.equal([feeAssets, feeShares]);
+
+      await expect(vault.connect(owner).distributeRewards(rewards))
+        .to.emit(vault, "FeeAccrued")
+        .withArgs(treasury, rewards, feeAssets, feeShares);
+      expect(await vault.balanceOf(treasury)).to.equal(feeShares);
+      expect(await vault.totalFeeAssets()).to.equal(feeAssets);
+      expect(await vault.totalFeeShares()).to.equal(feeShares);
+      // alice's 1000 shares and the fee shares split the 1100 assets
+      expect(await vault.totalSupply()).to.equal(parseShares("1000") + feeShares);
+
+      // positive oracle reports are reward events too; plain transfers are not
+      await vault.connect(owner).setOracle(await owner.getAddress());
+      const [reportFee] = await vault.previewFee(ethers.parseEther("50"));
+      await expect(vault.connect(owner).report(ethers.parseEther("50"))).to.emit(vault, "FeeAccrued");
+      await mockAsset.connect(owner).transfer(vaultAddr, ethers.parseEther("50"));
+      expect(await vault.totalFeeAssets()).to.equal(feeAssets + reportFee);
+    });
+  });
+
+  describe("reward streaming", function () {
+    const PERIOD = 86400;
+
+    async function increaseTimeTo(timestamp) {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+      await vault.connect(owner).setGovernanceExecutor(await owner.getAddress());
+      await vault.connect(owner).setRewardsStreamingPeriod(PERIOD);
+      await mockAsset.connect(alice).approve(vaultAddr, ethers.parseEther("1000"));
+      await vault.connect(alice)["deposit(uint256)"](ethers.parseEther("1000"));
+      await mockAsset.connect(owner).approve(vaultAddr, ethers.MaxUint256);
+    });
+
+    it("is set through governance only, with a cap", async function () {
+      const fresh = await VaultFactory.deploy(await mockAsset.getAddress(), "LST Shares", "LSTS", 86400);
+      expect(await fresh.rewardsStreamingPeriod()).to.equal(7n * 86400n);
+
+      await expect(vault.connect(alice).setRewardsStreamingPeriod(1)).to.be.revertedWith("only governance");
+      await expect(vault.connect(owner).setRewardsStreamingPeriod(30 * 86400 + 1)).to.be.revertedWith("period above max");
+      await expect(vault.connect(owner).setRewardsStreamingPeriod(0))
+        .to.emit(vault, "RewardsStreamingPeriodUpdated")
+        .withArgs(PERIOD, 0);
+    });
+
+    it("unlocks rewards linearly and rolls pending rewards into the next stream", async function () {
+      await vault.connect(owner).distributeRewards(ethers.parseEther("100"));
+      const start = (await ethers.provider.getBlock("latest")).timestamp;
+      expect(await vault.streamEnd()).to.equal(BigInt(start + PERIOD));
+      expect(await vault.pendingRewards()).to.equal(ethers.parseEther("100"));
+      expect(await vault.exchangeRate()).to.equal(INITIAL_RATE);
+
+      await increaseTimeTo(start + PERIOD / 4);
+      expect(await vault.pendingRewards()).to.equal(ethers.parseEther("75"));
+      expect(await vault.unlockedRewards()).to.equal(ethers.parseEther("25"));
+      expect(await vault.totalAssets()).to.equal(ethers.parseEther("1025"));
+      expect(await vault.exchangeRate()).to.equal(rateOf(ethers.parseEther("1025"), parseShares("1000")));
+
+      // halfway: 50 still pending (half a period left) + 50 new (a full period) end in three quarters of a period
+      await ethers.provider.send("evm_setNextBlockTimestamp", [start + PERIOD / 2]);
+      await vault.connect(owner).distributeRewards(ethers.parseEther("50"));
+      expect(await vault.streamedRewards()).to.equal(ethers.parseEther("100"));
+      expect(await vault.streamEnd()).to.equal(BigInt(start + PERIOD / 2 + (PERIOD * 3) / 4));
+      expect(await vault.totalAssets()).to.equal(ethers.parseEther("1050"));
+
+      await increaseTimeTo(start + PERIOD / 2 + (PERIOD * 3) / 4);
+      expect(await vault.pendingRewards()).to.equal(0n);
+      expect(await vault.totalAssets()).to.equal(ethers.parseEther("1150"));
+
+      // the checkpointed rate only moves when someone records it
+      const block = await ethers.provider.getBlockNumber();
+      await ethers.provider.send("evm_mine");
+      expect(await vault.exchangeRateAt(block)).to.equal(rateOf(ethers.parseEther("1050"), parseShares("1000")));
+      await vault.checkpoint();
+      await ethers.provider.send("evm_mine");
+      expect(await vault.exchangeRateAt(block + 2)).to.equal(rateOf(ethers.parseEther("1150"), parseShares("1000")));
+    });
+
+    it("barely moves the end of the stream for a dust reward", async function () {
+      await vault.connect(owner).distributeRewards(ethers.parseEther("100"));
+      const start = (await ethers.provider.getBlock("latest")).timestamp;
+
+      // a wei every hour used to restart the full period; now each one moves the end by at most a second
+      for (let i = 1; i <= 10; i++) {
+        await ethers.provider.send("evm_setNextBlockTimestamp", [start + i * 3600]);
+        await vault.connect(owner).distributeRewards(1n);
+      }
+      expect(await vault.streamEnd()).to.be.at.most(BigInt(start + PERIOD + 10));
+
+      await increaseTimeTo(start + PERIOD + 10);
+      expect(await vault.pendingRewards()).to.equal(0n);
+      expect(await vault.totalAssets()).to.equal(ethers.parseEther("1100") + 10n);
+    });
+
+    it("takes the protocol fee at once and streams the rest", async function () {
+      await vault.connect(owner).setTreasury(await bob.getAddress());
+      await vault.connect(owner).setProtocolFee(1000);
+
+      // 10 of the 100 unlock at once as fee; the fee shares are minted at 1010 assets / 1000 shares
+      const feeShares = toShares(ethers.parseEther("10"), ethers.parseEther("1010"), parseShares("1000"));
+      expect(await vault.previewFee(ethers.parseEther("100"))).to.deep.equal([ethers.parseEther("10"), feeShares]);
+      await vault.connect(owner).distributeRewards(ethers.parseEther("100"));
+      expect(await vault.balanceOf(await bob.getAddress())).to.equal(feeShares);
+      expect(await vault.pendingRewards()).to.equal(ethers.parseEther("90"));
+      expect(await vault.totalAssets()).to.equal(ethers.parseEther("1010"));
+    });
+
+    it("gives a same-block deposit / reward / withdraw sandwich nothing", async function () {
+      const bobAddr = await bob.getAddress();
+      const deposit = ethers.parseEther("5000");
+      await mockAsset.connect(bob).approve(vaultAddr, deposit);
+      const shares = await vault.previewDeposit(deposit);
+
+      // all three in one block; bob's shares only exist once the deposit is mined, so gas limits are fixed
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        await vault.connect(bob)["deposit(uint256)"](deposit, { gasLimit: 500_000 });
+        await vault.connect(owner).distributeRewards(ethers.parseEther("600"), { gasLimit: 500_000 });
+        await vault.connect(bob).initiateWithdraw(shares, { gasLimit: 800_000 });
+        await ethers.provider.send("evm_mine");
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+
+      const nft = await ethers.getContractAt("WithdrawalNFT", await vault.withdrawalNFT());
+      const [id] = await nft.queryFilter(nft.filters.Transfer(ethers.ZeroAddress, bobAddr));
+      expect(await vault.balanceOf(bobAddr)).to.equal(0n);
+      expect(await vault.claimableAssets(id.args.tokenId)).to.equal(deposit);
+      // the rewards stay with alice, who was staked before them
+      expect(await vault.pendingRewards()).to.equal(ethers.parseEther("600"));
+      expect(await vault.totalAssets()).to.equal(ethers.parseEther("1000"));
+    });
+  });
+
+  describe("inflation attack", function () {
+    const aliceDeposit = ethers.parseEther("1000");
+
+    beforeEach(async function () {
+      await mockAsset.connect(alice).approve(vaultAddr, aliceDeposit);
+      await mockAsset.connect(bob).approve(vaultAddr, ethers.MaxUint256);
+      // the attacker front-runs the first real deposit with 1 wei
+      await vault.connect(bob)["deposit(uint256)"](1n);
+    });
+
+    it("ignores assets donated with a plain transfer", async function () {
+      // With balanceOf-based accounting this donation took the rate to ~5000e18 * WAD per share and
+      // alice's deposit rounded down to 0 shares ("insufficient assets to mint shares").
+      await mockAsset.connect(bob).transfer(vaultAddr, ethers.parseEther("5000"));
+      expect(await vault.totalAssets()).to.equal(1n);
+      expect(await vault.exchangeRate()).to.equal(INITIAL_RATE);
+
+      await vault.connect(alice)["deposit(uint256)"](aliceDeposit);
+      expect(await vault.balanceOf(await alice.getAddress())).to.equal(aliceDeposit * OFFSET);
+      expect(await vault.maxWithdraw(await alice.getAddress())).to.equal(aliceDeposit);
+      expect(await vault.managedAssets()).to.equal(aliceDeposit + 1n);
+    });
+
+    it("makes inflating the rate through rewards cost the attacker far more than the victim loses", async function () {
+      // rewards are accounted, so they still raise the rate; without virtual shares alice got 0 shares here,
+      // with a single virtual share she lost a third of her deposit
+      await vault.connect(bob).distributeRewards(aliceDeposit);
+      await vault.connect(alice)["deposit(uint256)"](aliceDeposit);
+
+      const aliceValue = await vault.maxWithdraw(await alice.getAddress());
+      const bobValue = await vault.maxWithdraw(await bob.getAddress());
+      const victimLoss = aliceDeposit - aliceValue;
+      const attackerLoss = aliceDeposit + 1n - bobValue;
+      expect(victimLoss > 0n).to.equal(true);
+      // the 1e6 virtual shares keep the victim's loss under a millionth of the deposit
+      expect(victimLoss < aliceDeposit / OFFSET).to.equal(true);
+      expect(attackerLoss > victimLoss * OFFSET).to.equal(true);
+    });
+
+    it("lets governance sweep donated tokens but not the managed assets", async function () {
+      await mockAsset.connect(bob).transfer(vaultAddr, ethers.parseEther("5000"));
+      const other = await (await ethers.getContractFactory("MockERC20")).deploy("Other", "OTH");
+      await other.mint(vaultAddr, 42n);
+
+      const to = await relayer.getAddress();
+      await expect(vault.connect(owner).sweep(await mockAsset.getAddress(), to)).to.be.revertedWith("only governance");
+      await vault.connect(owner).setGovernanceExecutor(await owner.getAddress());
+
+      await expect(vault.connect(owner).sweep(await mockAsset.getAddress(), to))
+        .to.emit(vault, "Swept")
+        .withArgs(await mockAsset.getAddress(), to, ethers.parseEther("5000"));
+      await vault.connect(owner).sweep(await other.getAddress(), to);
+      expect(await other.balanceOf(to)).to.equal(42n);
+      expect(await mockAsset.balanceOf(vaultAddr)).to.equal(await vault.managedAssets());
+      await expect(vault.connect(owner).sweep(await mockAsset.getAddress(), to)).to.be.revertedWith("nothing to sweep");
+    });
+  });
+
+  describe("circuit breakers", function () {
+    const Action = { Deposit: 0, Withdraw: 1, Claim: 2, Rewards: 3 };
+    let guardian, aliceAddr;
+
+    beforeEach(async function () {
+      guardian = relayer;
+      aliceAddr = await alice.getAddress();
+      await vault.connect(owner).setGovernanceExecutor(await owner.getAddress());
+      await vault.connect(owner).setGuardian(await guardian.getAddress());
+      await mockAsset.connect(alice).approve(vaultAddr, ethers.MaxUint256);
+      await vault.connect(alice)["deposit(uint256)"](ethers.parseEther("1000"));
+    });
+
+    it("lets the guardian pause each action and only governance unpause it", async function () {
+      await expect(vault.connect(alice).pause(Action.Deposit)).to.be.revertedWith("only guardian");
+      await expect(vault.connect(guardian).pause(Action.Deposit))
+        .to.emit(vault, "Paused")
+        .withArgs(Action.Deposit, await guardian.getAddress());
+
+      await expect(vault.connect(alice)["deposit(uint256)"](1n)).to.be.revertedWith("paused");
+      await expect(vault.connect(alice).mint(1n, aliceAddr)).to.be.revertedWith("paused");
+      expect(await vault.maxDeposit(aliceAddr)).to.equal(0n);
+      expect(await vault.maxMint(aliceAddr)).to.equal(0n);
+      // the other actions keep working
+      await vault.connect(alice).initiateWithdraw(parseShares("100"));
+
+      await vault.connect(guardian).pause(Action.Withdraw);
+      await expect(vault.connect(alice).initiateWithdraw(1n)).to.be.revertedWith("paused");
+      await expect(vault.connect(alice).redeem(1n, aliceAddr, aliceAddr)).to.be.revertedWith("paused");
+      expect(await vault.maxRedeem(aliceAddr)).to.equal(0n);
+
+      await vault.connect(guardian).pause(Action.Claim);
+      await expect(vault.connect(alice).claimMany([1n])).to.be.revertedWith("paused");
+      await vault.connect(guardian).pause(Action.Rewards);
+      await expect(vault.connect(owner).distributeRewards(1n)).to.be.revertedWith("paused");
+
+      await expect(vault.connect(guardian).unpause(Action.Deposit)).to.be.revertedWith("only governance");
+      await expect(vault.connect(owner).unpause(Action.Deposit)).to.emit(vault, "Unpaused").withArgs(Action.Deposit);
+      await vault.connect(alice)["deposit(uint256)"](1n);
+      expect(await vault.paused(Action.Withdraw)).to.equal(true);
+    });
+
+    it("caps total deposits and each account's position", async function () {
+      const bobAddr = await bob.getAddress();
+      await expect(vault.connect(alice).setDepositCaps(0, 0)).to.be.revertedWith("only governance");
+      await expect(vault.connect(owner).setDepositCaps(ethers.parseEther("1500"), ethers.parseEther("1200")))
+        .to.emit(vault, "DepositCapsUpdated")
+        .withArgs(ethers.parseEther("1500"), ethers.parseEther("1200"));
+
+      // alice holds 1000 of her 1200; 500 left under the total cap
+      expect(await vault.maxDeposit(aliceAddr)).to.equal(ethers.parseEther("200"));
+      expect(await vault.maxDeposit(bobAddr)).to.equal(ethers.parseEther("500"));
+      await expect(vault.connect(alice)["deposit(uint256)"](ethers.parseEther("200") + 1n)).to.be.revertedWith(
+        "deposit above cap"
+      );
+      await vault.connect(alice)["deposit(uint256)"](ethers.parseEther("200"));
+
+      // the account cap follows the receiver, not the caller
+      await expect(vault.connect(alice)["deposit(uint256,address)"](ethers.parseEther("301"), bobAddr)).to.be.revertedWith(
+        "deposit above cap"
+      );
+      await vault.connect(alice)["deposit(uint256,address)"](ethers.parseEther("300"), bobAddr);
+      expect(await vault.maxDeposit(bobAddr)).to.equal(0n);
+    });
+
+    it("shortens unbonding for existing withdrawals in emergency mode", async function () {
+      const nft = await ethers.getContractAt("WithdrawalNFT", await vault.withdrawalNFT());
+      await vault.connect(alice).initiateWithdraw(parseShares("100"));
+      const requestedAt = (await ethers.provider.getBlock("latest")).timestamp;
+      const [, availableAt] = await nft.getWithdrawal(1n);
+      expect(await vault.claimableAt(1n)).to.equal(availableAt);
+      await expect(vault.connect(alice).claim(1n)).to.be.revertedWith("not yet available");
+
+      await expect(vault.connect(guardian).setEmergencyMode(true, 3600)).to.be.revertedWith("only governance");
+      await expect(vault.connect(owner).setEmergencyMode(true, 86400 + 1)).to.be.revertedWith("period above unbonding");
+      await expect(vault.connect(owner).setEmergencyMode(true, 3600))
+        .to.emit(vault, "EmergencyModeUpdated")
+        .withArgs(true, 3600);
+      expect(await vault.claimableAt(1n)).to.equal(BigInt(requestedAt + 3600));
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [requestedAt + 3600]);
+      await expect(vault.connect(alice).claim(1n))
+        .to.emit(vault, "Claimed")
+        .withArgs(aliceAddr, aliceAddr, 1n, ethers.parseEther("100"));
+
+      // turning it off restores the normal date
+      await vault.connect(alice).initiateWithdraw(parseShares("100"));
+      await vault.connect(owner).setEmergencyMode(false, 0);
+      expect(await vault.claimableAt(2n)).to.equal((await nft.getWithdrawal(2n))[1]);
+    });
+  });
 });
@@ -0,0 +1,134 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+import { encodeActionData, encodeCall } from "../scripts/actions.js";
+import {
+  buildMetadata,
+  canonicalJson,
+  checkPublishedMetadata,
+  hashMetadata,
+  validateMetadata,
+} from "../scripts/metadata.js";
+import { createDecoder } from "../scripts/simulate.js";
+
+const { ethers } = await network.connect();
+
+describe("Proposal metadata", function () {
+  let deployer, alice;
+  let vault, publisher;
+  let actionData, snapshot;
+
+  async function build(overrides = {}) {
+    return buildMetadata({
+      proposalId: 1,
+      title: "Two-hour unbonding",
+      actionData,
+      snapshot,
+      decoder: createDecoder({ provider: ethers.provider }),
+      ...overrides,
+    });
+  }
+
+  async function publish(document, metadata = canonicalJson(document)) {
+    await publisher.publishProposal(
+      document.proposalId,
+      document.actionDataHash,
+      document.snapshot.snapshotBlock,
+      document.snapshot.powerRoot,
+      hashMetadata(document),
+      metadata
+    );
+  }
+
+  beforeEach(async function () {
+    [deployer, alice] = await ethers.getSigners();
+    const mockAsset = await ethers.deployContract("MockERC20", ["Mock Asset", "MCK"]);
+    vault = await ethers.deployContract("LiquidStakingVault", [await mockAsset.getAddress(), "LST Shares", "LSTS", 86400]);
+    publisher = await ethers.deployContract("GovernanceRootPublisher", [await vault.getAddress()]);
+
+    actionData = encodeActionData([{ target: await vault.getAddress(), data: encodeCall("setUnbondingPeriod(uint256)", [7200]) }]);
+    const snapshotBlock = await ethers.provider.getBlockNumber();
+    await ethers.provider.send("evm_mine");
+    snapshot = {
+      snapshotBlock,
+      powerRoot: ethers.keccak256(ethers.toUtf8Bytes("root")),
+      ER_snapshot: (10n ** 12n).toString(), // 1:1, per share unit of 24 decimals
+      totalPower: "0",
+    };
+  });
+
+  it("builds a valid document whose hash ignores key order", async function () {
+    const doc = await build();
+    expect(validateMetadata(doc)).to.deep.equal([]);
+    expect(doc.actions[0].summary).to.equal(`LiquidStakingVault(${await vault.getAddress()}).setUnbondingPeriod(newPeriod=7200)`);
+
+    const reordered = Object.fromEntries(Object.entries(doc).reverse());
+    expect(hashMetadata(reordered)).to.equal(hashMetadata(doc));
+    expect(hashMetadata({ ...doc, title: "Other" })).to.not.equal(hashMetadata(doc));
+  });
+
+  it("reports schema violations and actions that do not match actionDataHash", async function () {
+    const doc = await build();
+    expect(validateMetadata({ ...doc, title: "", extra: 1 })).to.deep.equal(["$.title: too short", "$.extra: not allowed"]);
+    expect(validateMetadata({ ...doc, snapshot: { ...doc.snapshot, powerRoot: "0x12" } })[0]).to.match(/^\$\.snapshot\.powerRoot/);
+
+    const tampered = { ...doc, actions: [{ ...doc.actions[0], value: "1" }] };
+    expect(validateMetadata(tampered)).to.deep.equal(["$.actions: do not encode to actionDataHash"]);
+  });
+
+  it("only lets the owner and approved proposers publish", async function () {
+    const doc = await build();
+    const args = [1, doc.actionDataHash, snapshot.snapshotBlock, snapshot.powerRoot, hashMetadata(doc), ""];
+    await expect(publisher.connect(alice).publishProposal(...args)).to.be.revertedWith("not a proposer");
+    await expect(publisher.connect(alice).setProposer(alice.address, true)).to.be.revertedWithCustomError(
+      publisher,
+      "OwnableUnauthorizedAccount"
+    );
+
+    await expect(publisher.setProposer(alice.address, true)).to.emit(publisher, "ProposerUpdated").withArgs(alice.address, true);
+    await expect(publisher.connect(alice).publishProposal(...args)).to.emit(publisher, "ProposalCreated");
+    expect((await publisher.proposals(1)).proposer).to.equal(alice.address);
+
+    await publisher.setProposer(alice.address, false);
+    await expect(publisher.connect(alice).publishProposal(2, ...args.slice(1))).to.be.revertedWith("not a proposer");
+  });
+
+  it("records revisions as a hash-linked history", async function () {
+    const doc = await build();
+    await expect(
+      publisher.publishProposal(1, doc.actionDataHash, snapshot.snapshotBlock, snapshot.powerRoot, ethers.ZeroHash, "")
+    ).to.be.revertedWith("metadataHash=0");
+    await publish(doc);
+    const first = hashMetadata(doc);
+
+    const revised = await build({ description: "Shorter exits.", previous: first });
+    const second = hashMetadata(revised);
+    await expect(publisher.connect(alice).updateMetadata(1, second, "ipfs://rev1")).to.be.revertedWith("only proposer");
+    await expect(publisher.updateMetadata(1, first, "ipfs://rev0")).to.be.revertedWith("metadata unchanged");
+    await expect(publisher.updateMetadata(2, second, "ipfs://rev1")).to.be.revertedWith("proposal not published");
+
+    await expect(publisher.updateMetadata(1, second, "ipfs://rev1"))
+      .to.emit(publisher, "ProposalMetadataUpdated")
+      .withArgs(1, 1, second, first, "ipfs://rev1");
+    expect(await publisher.metadataHistory(1)).to.deep.equal([first, second]);
+    expect((await publisher.proposals(1)).metadataHash).to.equal(second);
+  });
+
+  it("checks published metadata against the commitment", async function () {
+    const doc = await build();
+    await publish(doc);
+    const inline = await checkPublishedMetadata({ publisher, proposalId: 1 });
+    expect(inline).to.include({ ok: true, revision: 0, documentHash: hashMetadata(doc) });
+
+    const edited = await checkPublishedMetadata({ publisher, proposalId: 1, document: { ...doc, title: "Edited" } });
+    expect(edited.ok).to.equal(false);
+    expect(edited.errors).to.deep.equal(["document hash differs from the published metadataHash"]);
+
+    // a document that hashes right but describes another snapshot is still rejected
+    const other = await build({ proposalId: 2, snapshot: { ...snapshot, ER_snapshot: "1" } });
+    await publish(other, "ipfs://other");
+    expect((await checkPublishedMetadata({ publisher, proposalId: 2 })).errors[0]).to.match(/^metadata is stored at ipfs:\/\/other/);
+    const offChain = await checkPublishedMetadata({ publisher, proposalId: 2, document: other });
+    const { ER_snapshot } = await publisher.proposals(2);
+    expect(offChain.errors).to.deep.equal([`ER_snapshot: document has 1, publisher has ${ER_snapshot}`]);
+  });
+});
@@ -0,0 +1,191 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { network } from "hardhat";
+import { createRelayer, compareProposal } from "../scripts/relayer.js";
+import { createSignatureStore } from "../scripts/attestations.js";
+import { buildSnapshot } from "../scripts/snapshot.js";
+
+const { ethers } = await network.connect();
+
+// Both "chains" are the in-process Hardhat network here; the relayer only needs contract handles.
+describe("Relayer service", function () {
+  let deployer, relayer, relayer2, relayer3;
+  let publisher, verifier, executor;
+  let cursorDir, cursorPath, snapshot;
+
+  const proposalId = 777;
+  const actionDataHash = ethers.keccak256(ethers.toUtf8Bytes("action"));
+  const forgedRoot = ethers.keccak256(ethers.toUtf8Bytes("root"));
+  const metadataHash = ethers.keccak256(ethers.toUtf8Bytes("metadata"));
+
+  function newRelayer(signer = relayer, signatureStore = undefined) {
+    return createRelayer({
+      verifier: verifier.connect(signer),
+      executor: executor.connect(signer),
+      signatureStore,
+      cursorPath,
+      confirmations: 0,
+      retryDelayMs: 10,
+      log: () => {},
+    });
+  }
+
+  async function deployExecutor(relayers, threshold) {
+    const net = await ethers.provider.getNetwork();
+    return ethers.deployContract("GovernanceExecutor", [
+      await publisher.getAddress(),
+      net.chainId,
+      await verifier.getAddress(),
+      await Promise.all(relayers.map(r => r.getAddress())),
+      threshold,
+      await deployer.getAddress(),
+      3600,
+      ethers.ZeroAddress,
+    ]);
+  }
+
+  async function registerPassed(hash) {
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    await verifier.registerProposal(proposalId, snapshot.powerRoot, hash, 1, now, now + 3600);
+    await verifier.adminMarkPassed(proposalId);
+  }
+
+  beforeEach(async function () {
+    [deployer, relayer, relayer2, relayer3] = await ethers.getSigners();
+
+    const mockAsset = await ethers.deployContract("MockERC20", ["Mock Asset", "MCK"]);
+    const vault = await ethers.deployContract("LiquidStakingVault", [await mockAsset.getAddress(), "LST Shares", "LSTS", 86400]);
+    publisher = await ethers.deployContract("GovernanceRootPublisher", [await vault.getAddress()]);
+    const net = await ethers.provider.getNetwork();
+    verifier = await ethers.deployContract("VoteVerifier", [net.chainId]);
+    executor = await deployExecutor([relayer], 1);
+
+    const stake = ethers.parseEther("100");
+    await mockAsset.mint(await deployer.getAddress(), stake);
+    await mockAsset.approve(await vault.getAddress(), stake);
+    await vault.deposit(stake);
+    const snapshotBlock = await ethers.provider.getBlockNumber();
+    await ethers.provider.send("evm_mine");
+    snapshot = await buildSnapshot({ provider: ethers.provider, vault: await vault.getAddress(), snapshotBlock });
+    await publisher.publishProposal(proposalId, actionDataHash, snapshotBlock, snapshot.powerRoot, metadataHash, "");
+
+    cursorDir = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-test-"));
+    cursorPath = path.join(cursorDir, "cursor.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(cursorDir, { recursive: true, force: true });
+  });
+
+  it("relays ProposalPassed to markProposalPassed and saves its cursor", async function () {
+    await registerPassed(actionDataHash);
+
+    expect(await newRelayer().pollOnce()).to.equal(1);
+    expect(await executor.attestedPassed(proposalId)).to.equal(true);
+
+    const head = await ethers.provider.getBlockNumber();
+    expect(JSON.parse(fs.readFileSync(cursorPath, "utf8")).lastBlock).to.be.at.least(head - 1);
+  });
+
+  it("resumes from the cursor after a restart", async function () {
+    await registerPassed(actionDataHash);
+    await newRelayer().pollOnce();
+
+    // a fresh instance reads the same cursor and does not see the event again
+    expect(await newRelayer().pollOnce()).to.equal(0);
+  });
+
+  it("skips proposals that are already attested", async function () {
+    await registerPassed(actionDataHash);
+    expect(await newRelayer().relayPassed(proposalId, actionDataHash)).to.match(/^attested/);
+
+    expect(await newRelayer().relayPassed(proposalId, actionDataHash)).to.equal("already attested");
+  });
+
+  it("does not attest when the hash differs from the publisher", async function () {
+    const otherHash = ethers.keccak256(ethers.toUtf8Bytes("other action"));
+    await registerPassed(otherHash);
+
+    expect(await newRelayer().pollOnce()).to.equal(1);
+    expect(await executor.attestedPassed(proposalId)).to.equal(false);
+  });
+
+  it("waits for the threshold of relayer signatures before attesting", async function () {
+    executor = await deployExecutor([relayer, relayer2, relayer3], 2);
+    await registerPassed(actionDataHash);
+    const store = createSignatureStore(path.join(cursorDir, "signatures"));
+
+    expect(await newRelayer(relayer, store).relayPassed(proposalId, actionDataHash)).to.equal("signed, 1/2 signatures");
+    expect(await executor.attestedPassed(proposalId)).to.equal(false);
+
+    // a second relayer sharing the signature store completes the attestation
+    expect(await newRelayer(relayer3, store).relayPassed(proposalId, actionDataHash)).to.match(/^attested/);
+    expect(await executor.attestedPassed(proposalId)).to.equal(true);
+    expect(store.list(proposalId)).to.have.length(2);
+  });
+
+  it("retries a proposal short of signatures on the next polls", async function () {
+    executor = await deployExecutor([relayer, relayer2, relayer3], 2);
+    await registerPassed(actionDataHash);
+    const store = createSignatureStore(path.join(cursorDir, "signatures"));
+    const first = newRelayer(relayer, store);
+
+    // the second relayer signs in its own pass, before the first signature reached it
+    expect(await first.pollOnce()).to.equal(1);
+    const lateStore = createSignatureStore();
+    expect(await newRelayer(relayer3, lateStore).relayPassed(proposalId, actionDataHash)).to.equal("signed, 1/2 signatures");
+    expect(await executor.attestedPassed(proposalId)).to.equal(false);
+    const pendingPath = path.join(cursorDir, "cursor-pending.json");
+    expect(Object.keys(JSON.parse(fs.readFileSync(pendingPath)).passed)).to.deep.equal([String(proposalId)]);
+
+    // its signature shows up after the first relayer's cursor moved past the ProposalPassed block
+    store.add(proposalId, await relayer3.getAddress(), lateStore.list(proposalId)[0]);
+    expect(await first.pollOnce()).to.equal(0);
+    expect(await executor.attestedPassed(proposalId)).to.equal(true);
+    expect(JSON.parse(fs.readFileSync(pendingPath)).passed).to.deep.equal({});
+  });
+
+  it("mirrors ProposalCreated to the verifier once enough relayers signed", async function () {
+    const { chainId } = await ethers.provider.getNetwork();
+    await verifier.setProposalSource(chainId, await publisher.getAddress());
+    await verifier.setGovernanceParams(0, 3600, 2000);
+    await verifier.setRelayers([await relayer.getAddress(), await relayer3.getAddress()], 2);
+    const store = createSignatureStore();
+
+    expect(await newRelayer(relayer, store).pollOnce()).to.equal(1);
+    expect((await verifier.proposals(proposalId)).exists).to.equal(false);
+    expect(fs.existsSync(path.join(cursorDir, "cursor-mirror.json"))).to.equal(true);
+
+    expect(await newRelayer(relayer3, store).mirrorCreated(proposalId)).to.match(/^mirrored/);
+    expect(await compareProposal({ publisher, verifier, proposalId })).to.deep.equal({ match: true, mismatches: [] });
+    expect(await newRelayer(relayer, store).mirrorCreated(proposalId)).to.equal("already registered");
+  });
+
+  it("does not sign a published powerRoot that the snapshot does not rebuild to", async function () {
+    const { chainId } = await ethers.provider.getNetwork();
+    await verifier.setProposalSource(chainId, await publisher.getAddress());
+    await verifier.setGovernanceParams(0, 3600, 2000);
+    await verifier.setRelayers([await relayer.getAddress()], 1);
+    await publisher.publishProposal(proposalId + 1, actionDataHash, snapshot.snapshotBlock, forgedRoot, metadataHash, "");
+    const store = createSignatureStore();
+
+    expect(await newRelayer(relayer, store).mirrorCreated(proposalId + 1)).to.equal(
+      `powerRoot mismatch (snapshot at block ${snapshot.snapshotBlock} rebuilds to ${snapshot.powerRoot})`
+    );
+    expect(store.list(`created-${proposalId + 1}`)).to.deep.equal([]);
+    expect((await verifier.proposals(proposalId + 1)).exists).to.equal(false);
+  });
+
+  it("reports the fields where the verifier differs from the publisher", async function () {
+    await registerPassed(ethers.keccak256(ethers.toUtf8Bytes("other action")));
+
+    // a hand-registered proposal also lacks the snapshot stake the publisher recorded
+    expect(await compareProposal({ publisher, verifier, proposalId })).to.deep.equal({
+      match: false,
+      mismatches: ["actionDataHash", "snapshotStake"],
+    });
+    await expect(compareProposal({ publisher, verifier, proposalId: 1 })).to.be.rejectedWith("not published");
+  });
+});
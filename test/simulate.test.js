@@ -0,0 +1,121 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+import { createDecoder, describeAction, simulateAction } from "../scripts/simulate.js";
+import { encodeActionData, encodeCall } from "../scripts/actions.js";
+import { runGov } from "../scripts/gov.js";
+
+const { ethers } = await network.connect();
+
+// The in-process Hardhat network stands in for the Chain A fork; simulateAction reverts it afterwards.
+describe("Proposal simulator", function () {
+  let deployer, payee, governance;
+  let mockAsset, vault;
+  let vaultAddr, executorAddr;
+
+  beforeEach(async function () {
+    [deployer, payee, governance] = await ethers.getSigners();
+    mockAsset = await ethers.deployContract("MockERC20", ["Mock Asset", "MCK"]);
+    vault = await ethers.deployContract("LiquidStakingVault", [await mockAsset.getAddress(), "LST Shares", "LSTS", 86400]);
+    vaultAddr = await vault.getAddress();
+    // any account works as the executor; the simulator impersonates it
+    executorAddr = await governance.getAddress();
+    await vault.setGovernanceExecutor(executorAddr);
+  });
+
+  it("decodes every call against the artifacts", async function () {
+    const actionData = encodeActionData([
+      { target: vaultAddr, data: encodeCall("setUnbondingPeriod(uint256)", [7200]) },
+      { target: vaultAddr, data: encodeCall("setDepositCaps(uint256,uint256)", [1000n, 100n]) },
+      { target: await payee.getAddress(), value: ethers.parseEther("1"), data: "0x" },
+      { target: vaultAddr, data: "0xdeadbeef" },
+    ]);
+
+    const { calls, summary } = await describeAction(actionData, createDecoder({ provider: ethers.provider }));
+    expect(calls[0]).to.include({ contract: "LiquidStakingVault", signature: "setUnbondingPeriod(uint256)" });
+    expect(calls[0].args).to.deep.equal({ newPeriod: 7200n });
+    expect(summary[1]).to.equal(`1: LiquidStakingVault(${vaultAddr}).setDepositCaps(newDepositCap=1000, newAccountDepositCap=100)`);
+    expect(summary[2]).to.equal(`2: send 1.0 ETH to ${await payee.getAddress()}`);
+    expect(summary[3]).to.equal("3: LiquidStakingVault: unknown function 0xdeadbeef");
+
+    // without a provider the selector alone names the contract
+    const offline = await describeAction(actionData, createDecoder());
+    expect(offline.calls[0].contract).to.equal("LiquidStakingVault");
+    const owned = await describeAction(
+      encodeActionData([{ target: vaultAddr, data: encodeCall("transferOwnership(address)", [vaultAddr]) }]),
+      createDecoder()
+    );
+    expect(owned.calls[0].contract.split("|")).to.include.members(["LiquidStakingVault", "VoteVerifier"]);
+  });
+
+  it("reports events and state diffs of a successful run and leaves the chain unchanged", async function () {
+    const actionData = encodeActionData([
+      { target: vaultAddr, data: encodeCall("setUnbondingPeriod(uint256)", [7200]) },
+      { target: vaultAddr, data: encodeCall("setDepositCaps(uint256,uint256)", [1000n, 100n]) },
+    ]);
+    const head = await ethers.provider.getBlockNumber();
+
+    const result = await simulateAction({ provider: ethers.provider, executor: executorAddr, actionData });
+    expect(result.success).to.equal(true);
+    expect(result.calls[0].events.map(e => e.event)).to.deep.equal(["UnbondingPeriodUpdated"]);
+    expect(result.calls[0].events[0].args).to.deep.equal({ oldPeriod: 86400n, newPeriod: 7200n });
+
+    const diff = Object.fromEntries(result.stateDiffs.map(d => [d.field, [d.before, d.after]]));
+    expect(diff.unbondingPeriod).to.deep.equal([86400n, 7200n]);
+    expect(diff.depositCap).to.deep.equal([ethers.MaxUint256, 1000n]);
+    expect(diff).to.not.have.property("protocolFeeBps");
+
+    expect(await vault.unbondingPeriod()).to.equal(86400n);
+    expect(await ethers.provider.getBlockNumber()).to.equal(head);
+  });
+
+  it("stops at the first reverting call with its decoded reason", async function () {
+    const actionData = encodeActionData([
+      { target: vaultAddr, data: encodeCall("setUnbondingPeriod(uint256)", [7200]) },
+      { target: vaultAddr, data: encodeCall("setProtocolFee(uint256)", [5000]) },
+      { target: vaultAddr, data: encodeCall("setUnbondingPeriod(uint256)", [3600]) },
+    ]);
+
+    const result = await simulateAction({ provider: ethers.provider, executor: executorAddr, actionData });
+    expect(result).to.include({ success: false, revertedAt: 1, error: "fee above max" });
+    expect(result.calls.map(c => c.success)).to.deep.equal([true, false]);
+    expect(result.stateDiffs).to.deep.equal([]);
+    expect(await vault.unbondingPeriod()).to.equal(86400n);
+  });
+
+  it("spends the executor's real balance plus the msg.value sent with the execution", async function () {
+    const executor = ethers.Wallet.createRandom().address;
+    const payeeAddr = await payee.getAddress();
+    await deployer.sendTransaction({ to: executor, value: ethers.parseEther("1") });
+    const actionData = encodeActionData([
+      { target: payeeAddr, value: ethers.parseEther("1"), data: "0x" },
+      { target: payeeAddr, value: ethers.parseEther("0.5"), data: "0x" },
+    ]);
+
+    const result = await simulateAction({ provider: ethers.provider, executor, actionData });
+    expect(result).to.include({
+      success: false,
+      revertedAt: 1,
+      error:
+        "executor balance 0.0 ETH cannot pay the call's 0.5 ETH (fund the executor or send the difference with executeIfAuthorized)",
+    });
+    expect(result.calls[0].success).to.equal(true);
+
+    const funded = await simulateAction({ provider: ethers.provider, executor, actionData, value: ethers.parseEther("0.5") });
+    expect(funded.success).to.equal(true);
+    expect(await ethers.provider.getBalance(executor)).to.equal(ethers.parseEther("1"));
+  });
+
+  it("runs from the gov CLI", async function () {
+    const action = ["--target", vaultAddr, "--sig", "setUnbondingPeriod(uint256)", "--args", "7200"];
+    const ctx = { signerA: deployer, signerB: deployer };
+
+    const decoded = await runGov(["decode", ...action], ctx);
+    expect(decoded.summary).to.deep.equal([`0: LiquidStakingVault(${vaultAddr}).setUnbondingPeriod(newPeriod=7200)`]);
+
+    const simulated = await runGov(["simulate", "--executor", executorAddr, "--no-fork", ...action], ctx);
+    expect(simulated).to.include({ forked: false, success: true });
+
+    const unauthorized = await runGov(["simulate", "--executor", await payee.getAddress(), "--no-fork", ...action], ctx);
+    expect(unauthorized).to.include({ success: false, error: "only governance" });
+  });
+});
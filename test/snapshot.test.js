@@ -0,0 +1,104 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+import { buildSnapshot } from "../scripts/snapshot.js";
+import { leafHash, processProof } from "../scripts/merkle.js";
+
+const { ethers } = await network.connect();
+const WAD = ethers.parseEther("1");
+
+describe("Voting-power snapshot builder", function () {
+  let owner, alice, bob, carol;
+  let mockAsset, vault, vaultAddr;
+
+  beforeEach(async function () {
+    [owner, alice, bob, carol] = await ethers.getSigners();
+
+    mockAsset = await ethers.deployContract("MockERC20", ["Mock Asset", "MCK"]);
+    await mockAsset.mint(await owner.getAddress(), ethers.parseEther("100000"));
+    await mockAsset.mint(await alice.getAddress(), ethers.parseEther("1000"));
+    await mockAsset.mint(await bob.getAddress(), ethers.parseEther("1000"));
+
+    vault = await ethers.deployContract("LiquidStakingVault", [await mockAsset.getAddress(), "LST Shares", "LSTS", 86400]);
+    vaultAddr = await vault.getAddress();
+    // rewards unlock at once, so they show up in ER_snapshot
+    await vault.setGovernanceExecutor(await owner.getAddress());
+    await vault.setRewardsStreamingPeriod(0);
+
+    await mockAsset.connect(alice).approve(vaultAddr, ethers.parseEther("600"));
+    await vault.connect(alice).deposit(ethers.parseEther("600"));
+    // carol only ever receives shares (24 decimals: the asset's 18 plus the vault's offset), never touches the asset
+    await vault.connect(alice).transfer(await carol.getAddress(), ethers.parseUnits("100", 24));
+
+    await mockAsset.connect(owner).approve(vaultAddr, ethers.parseEther("300"));
+    await vault.connect(owner).distributeRewards(ethers.parseEther("300"));
+  });
+
+  async function pastBlock() {
+    const snapshotBlock = await ethers.provider.getBlockNumber();
+    await ethers.provider.send("evm_mine");
+    return snapshotBlock;
+  }
+
+  it("discovers asset and share holders and computes power with ER_snapshot", async function () {
+    const snapshotBlock = await pastBlock();
+    const snapshot = await buildSnapshot({ provider: ethers.provider, vault: vaultAddr, snapshotBlock });
+
+    const er = await vault.exchangeRate();
+    expect(snapshot.ER_snapshot).to.equal(er.toString());
+
+    const holders = Object.keys(snapshot.holders);
+    expect(holders).to.include.members([
+      await owner.getAddress(),
+      await alice.getAddress(),
+      await bob.getAddress(),
+      await carol.getAddress(),
+    ]);
+    // the vault's own asset balance backs the shares and is not a voter
+    expect(holders).to.not.include(vaultAddr);
+
+    const aliceEntry = snapshot.holders[await alice.getAddress()];
+    const expected = ethers.parseEther("400") + (ethers.parseUnits("500", 24) * er) / WAD;
+    expect(aliceEntry.power).to.equal(expected.toString());
+
+    const carolEntry = snapshot.holders[await carol.getAddress()];
+    expect(carolEntry.power).to.equal(((ethers.parseUnits("100", 24) * er) / WAD).toString());
+
+    const total = Object.values(snapshot.holders).reduce((acc, h) => acc + BigInt(h.power), 0n);
+    expect(snapshot.totalPower).to.equal(total.toString());
+  });
+
+  it("emits proofs that fold back to powerRoot", async function () {
+    const snapshotBlock = await pastBlock();
+    const snapshot = await buildSnapshot({ provider: ethers.provider, vault: vaultAddr, snapshotBlock });
+
+    for (const [addr, h] of Object.entries(snapshot.holders)) {
+      expect(processProof(leafHash(addr, h.power, h.nonce), h.proof)).to.equal(snapshot.powerRoot);
+    }
+  });
+
+  it("ignores activity after snapshotBlock", async function () {
+    const snapshotBlock = await ethers.provider.getBlockNumber();
+    await mockAsset.mint("0x000000000000000000000000000000000000dEaD", ethers.parseEther("5"));
+
+    const aliceAddr = await alice.getAddress();
+    await mockAsset.connect(alice).transfer(await bob.getAddress(), ethers.parseEther("50"));
+    await vault.connect(alice).transfer(await carol.getAddress(), ethers.parseUnits("20", 24));
+    await mockAsset.connect(owner).approve(vaultAddr, ethers.parseEther("300"));
+    await vault.connect(owner).distributeRewards(ethers.parseEther("300"));
+
+    const snapshot = await buildSnapshot({ provider: ethers.provider, vault: vaultAddr, snapshotBlock });
+    expect(Object.keys(snapshot.holders)).to.not.include("0x000000000000000000000000000000000000dEaD");
+
+    const er = await vault.exchangeRate({ blockTag: snapshotBlock });
+    expect(snapshot.ER_snapshot).to.equal(er.toString());
+    expect(snapshot.holders[aliceAddr].assetBalance).to.equal(ethers.parseEther("400").toString());
+    expect(snapshot.holders[aliceAddr].shares).to.equal(ethers.parseUnits("500", 24).toString());
+  });
+
+  it("rejects a snapshotBlock that is not in the past", async function () {
+    const head = await ethers.provider.getBlockNumber();
+    await expect(buildSnapshot({ provider: ethers.provider, vault: vaultAddr, snapshotBlock: head })).to.be.rejectedWith(
+      "must be a past block"
+    );
+  });
+});
@@ -0,0 +1,197 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+import { leafHash, buildMerkleTree, getProof } from "../scripts/merkle.js";
+import { voteDomain, signVote } from "../scripts/votes.js";
+import { createVoteService, createVoteStore, createVoteServer } from "../scripts/vote-server.js";
+
+const { ethers } = await network.connect();
+
+describe("Vote collection service", function () {
+  let submitter, voters, outsider;
+  let verifier, wallet, snapshot, domain, service;
+
+  const proposalId = 7;
+  const actionDataHash = ethers.keccak256(ethers.toUtf8Bytes("action"));
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function signedVote(signer, overrides = {}) {
+    const vote = {
+      proposalId,
+      voter: await signer.getAddress(),
+      support: 1,
+      nonce: 0,
+      deadline: (await latestTimestamp()) + 3600,
+      ...overrides,
+    };
+    return { ...vote, signature: await signVote(signer, domain, vote) };
+  }
+
+  beforeEach(async function () {
+    const signers = await ethers.getSigners();
+    [submitter, outsider] = signers;
+    voters = signers.slice(2, 8);
+
+    const net = await ethers.provider.getNetwork();
+    verifier = await ethers.deployContract("VoteVerifier", [net.chainId]);
+
+    // a smart-contract wallet owned by voters[0] is the last holder
+    wallet = await ethers.deployContract("MockSmartWallet", [await voters[0].getAddress()]);
+
+    // snapshot file shape produced by scripts/snapshot.js
+    const addrs = await Promise.all([...voters, wallet].map(v => v.getAddress()));
+    const powers = addrs.map(() => ethers.parseEther("100"));
+    const { root, layers } = buildMerkleTree(addrs.map((a, i) => leafHash(a, powers[i], 0)));
+    snapshot = { powerRoot: root, holders: {} };
+    addrs.forEach((a, i) => {
+      snapshot.holders[a] = { power: powers[i].toString(), nonce: 0, proof: getProof(layers, i) };
+    });
+
+    const now = await latestTimestamp();
+    await verifier.registerProposal(proposalId, root, actionDataHash, ethers.parseEther("600"), now, now + 86400);
+
+    domain = await voteDomain(verifier);
+    service = createVoteService({
+      verifier: verifier.connect(submitter),
+      snapshots: [snapshot],
+      store: createVoteStore(),
+      log: () => {},
+    });
+  });
+
+  it("accepts a valid vote and stores it as pending", async function () {
+    const res = await service.submitVote(await signedVote(voters[0]));
+    expect(res.voter).to.equal(await voters[0].getAddress());
+    expect(res.power).to.equal(ethers.parseEther("100").toString());
+
+    const stored = service.list(String(proposalId));
+    expect(stored).to.have.length(1);
+    expect(stored[0].status).to.equal("pending");
+  });
+
+  it("rejects duplicates, expired deadlines, wrong nonces and unknown voters", async function () {
+    await service.submitVote(await signedVote(voters[0]));
+
+    const cases = [
+      [await signedVote(voters[0], { support: 0 }), 409, "duplicate vote"],
+      [await signedVote(voters[1], { deadline: (await latestTimestamp()) - 1 }), 400, "vote expired"],
+      [await signedVote(voters[1], { nonce: 1 }), 400, "nonce must be 0"],
+      [await signedVote(outsider), 403, "no voting power"],
+      [{ ...(await signedVote(voters[1])), signature: "0x1234" }, 400, "invalid signature"],
+      [await signedVote(voters[1], { proposalId: 8 }), 404, "proposal not registered"],
+    ];
+    for (const [payload, status, message] of cases) {
+      try {
+        await service.submitVote(payload);
+        expect.fail(`expected rejection: ${message}`);
+      } catch (err) {
+        expect(err.status, message).to.equal(status);
+        expect(err.message).to.contain(message);
+      }
+    }
+  });
+
+  it("accepts only one of two concurrent votes by the same voter", async function () {
+    const results = await Promise.allSettled([
+      service.submitVote(await signedVote(voters[0])),
+      service.submitVote(await signedVote(voters[0], { support: 0 })),
+    ]);
+    expect(results.map(r => r.status).sort()).to.deep.equal(["fulfilled", "rejected"]);
+    expect(results.find(r => r.status === "rejected").reason.status).to.equal(409);
+    expect(service.list(String(proposalId))).to.have.length(1);
+  });
+
+  it("accepts votes signed for a contract voter that its ERC-1271 check accepts", async function () {
+    const walletAddr = await wallet.getAddress();
+    // an outsider's signature, and the owner's signature for its own leaf, do not count for the wallet
+    for (const payload of [
+      await signedVote(outsider, { voter: walletAddr }),
+      { ...(await signedVote(voters[0])), voter: walletAddr },
+    ]) {
+      try {
+        await service.submitVote(payload);
+        expect.fail("expected rejection");
+      } catch (err) {
+        expect(err.status).to.equal(400);
+        expect(err.message).to.equal("invalid signature");
+      }
+    }
+
+    const res = await service.submitVote(await signedVote(voters[0], { voter: walletAddr }));
+    expect(res.voter).to.equal(walletAddr);
+
+    // voters[0] still votes with its own leaf
+    await service.submitVote(await signedVote(voters[0], { support: 0 }));
+    const result = await service.flush(proposalId);
+    expect(result.submitted).to.equal(2);
+    const [forVotes, againstVotes] = await verifier.getTally(proposalId);
+    expect([forVotes, againstVotes]).to.deep.equal([ethers.parseEther("100"), ethers.parseEther("100")]);
+  });
+
+  it("flushes pending votes to submitVotes in gas-bounded batches", async function () {
+    const batched = createVoteService({
+      verifier: verifier.connect(submitter),
+      snapshots: [snapshot],
+      store: createVoteStore(),
+      maxBatchGas: 150_000n, // roughly two votes per transaction
+      log: () => {},
+    });
+    for (const v of voters) await batched.submitVote(await signedVote(v));
+    const result = await batched.flush(proposalId);
+
+    expect(result.submitted).to.equal(voters.length);
+    expect(result.txs.length).to.be.greaterThan(1);
+    const [forVotes] = await verifier.getTally(proposalId);
+    expect(forVotes).to.equal(ethers.parseEther("600"));
+    expect(batched.list(String(proposalId)).every(v => v.status === "submitted")).to.equal(true);
+  });
+
+  it("rejects new votes and skips pending ones once voting has closed", async function () {
+    const deadline = (await latestTimestamp()) + 3 * 86400;
+    await service.submitVote(await signedVote(voters[0], { deadline }));
+    const late = await signedVote(voters[1], { deadline });
+
+    await ethers.provider.send("evm_increaseTime", [86400 + 1]);
+    await ethers.provider.send("evm_mine");
+
+    const result = await service.flush(proposalId);
+    expect(result.skipped).to.equal(1);
+    expect(service.list(String(proposalId))[0].status).to.equal("skipped");
+    await expect(service.submitVote(late)).to.be.rejectedWith("voting closed");
+  });
+
+  it("serves the API over HTTP", async function () {
+    const server = createVoteServer(service);
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+      const payload = await signedVote(voters[0]);
+      const res = await fetch(`${base}/votes`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...payload, proposalId: String(proposalId) }),
+      });
+      expect(res.status).to.equal(202);
+
+      const dup = await fetch(`${base}/votes`, { method: "POST", body: JSON.stringify(payload) });
+      expect(dup.status).to.equal(409);
+
+      const flushed = await (await fetch(`${base}/flush/${proposalId}`, { method: "POST" })).json();
+      expect(flushed.submitted).to.equal(1);
+
+      const list = await (await fetch(`${base}/votes/${proposalId}`)).json();
+      expect(list[0].status).to.equal("submitted");
+
+      for (const [method, url] of [["GET", "/votes/abc"], ["POST", "/flush/0x7"], ["POST", "/flush/-1"]]) {
+        const bad = await fetch(`${base}${url}`, { method });
+        expect(bad.status, url).to.equal(400);
+      }
+      const badVote = await fetch(`${base}/votes`, { method: "POST", body: JSON.stringify({ ...payload, proposalId: "seven" }) });
+      expect(badVote.status).to.equal(400);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,567 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+import {
+  leafHash,
+  buildMerkleTree,
+  getProof,
+  getMultiProof,
+  processMultiProof,
+} from "../scripts/merkle.js";
+import { signProposalCreated, collectSignatures, PROPOSAL_CREATED_TYPES } from "../scripts/attestations.js";
+import { signSplitVote } from "../scripts/votes.js";
+
+const { ethers } = await network.connect();
+
+describe("VoteVerifier", function () {
+  let voters;
+  let verifier;
+  let powers, layers, powerRoot;
+  let domain;
+
+  const proposalId = 42;
+  const actionDataHash = ethers.keccak256(ethers.toUtf8Bytes("action"));
+  const types = {
+    Vote: [
+      { name: "proposalId", type: "uint256" },
+      { name: "voter", type: "address" },
+      { name: "support", type: "uint8" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+
+  const State = { Pending: 0n, Active: 1n, Succeeded: 2n, Defeated: 3n };
+  const VOTING_PERIOD = 3 * 86400;
+
+  // signs for the signer's own leaf unless `voter` names another one
+  async function signVote(signer, support, deadline, voter) {
+    voter = voter ?? (await signer.getAddress());
+    return signer.signTypedData(domain, types, { proposalId, voter, support, nonce: 0, deadline });
+  }
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  // voting opens `delay` seconds from now and lasts VOTING_PERIOD
+  async function register(quorum, delay = 0) {
+    const voteStart = (await latestTimestamp()) + delay;
+    await verifier.registerProposal(proposalId, powerRoot, actionDataHash, quorum, voteStart, voteStart + VOTING_PERIOD);
+    return { voteStart, voteEnd: voteStart + VOTING_PERIOD };
+  }
+
+  beforeEach(async function () {
+    voters = (await ethers.getSigners()).slice(0, 5);
+    const net = await ethers.provider.getNetwork();
+    verifier = await ethers.deployContract("VoteVerifier", [net.chainId]);
+
+    powers = voters.map((_, i) => ethers.parseEther(String(100 * (i + 1))));
+    const leaves = await Promise.all(voters.map(async (v, i) => leafHash(await v.getAddress(), powers[i], 0)));
+    ({ root: powerRoot, layers } = buildMerkleTree(leaves));
+
+    domain = {
+      name: "LST Governance",
+      version: "1",
+      chainId: net.chainId,
+      verifyingContract: await verifier.getAddress(),
+    };
+  });
+
+  describe("Merkle multiproofs", function () {
+    it("reconstructs the root for any subset of leaves", function () {
+      const subsets = [[0], [4], [0, 1], [1, 2], [3, 4], [0, 2, 4], [1, 3], [0, 1, 2, 3, 4]];
+      for (const indices of subsets) {
+        const { leaves, proof, proofFlags } = getMultiProof(layers, indices);
+        expect(processMultiProof(leaves, proof, proofFlags)).to.equal(powerRoot);
+      }
+    });
+
+    it("returns leaves in ascending tree order", function () {
+      const { indices, leaves } = getMultiProof(layers, [3, 0, 3]);
+      expect(indices).to.deep.equal([0, 3]);
+      expect(leaves).to.deep.equal([layers[0][0], layers[0][3]]);
+    });
+  });
+
+  describe("submitVotesMultiProof", function () {
+    async function buildBatch(indices, support = 1) {
+      const deadline = (await latestTimestamp()) + VOTING_PERIOD + 3600;
+      const multi = getMultiProof(layers, indices);
+      const votes = [];
+      for (const i of multi.indices) {
+        votes.push({
+          support,
+          nonce: 0,
+          deadline,
+          power: powers[i],
+          voter: await voters[i].getAddress(),
+          signature: await signVote(voters[i], support, deadline),
+        });
+      }
+      return { votes, proof: multi.proof, proofFlags: multi.proofFlags };
+    }
+
+    it("counts every vote in the batch with a single multiproof", async function () {
+      await register(ethers.parseEther("100000"));
+      const { votes, proof, proofFlags } = await buildBatch([4, 1, 2]);
+
+      await expect(verifier.submitVotesMultiProof(proposalId, votes, proof, proofFlags))
+        .to.emit(verifier, "VoteCounted")
+        .withArgs(proposalId, await voters[1].getAddress(), powers[1], 0n, 0n, 0n, "");
+
+      const [forVotes] = await verifier.getTally(proposalId);
+      expect(forVotes).to.equal(powers[1] + powers[2] + powers[4]);
+      for (const i of [1, 2, 4]) {
+        expect(await verifier.hasVoted(proposalId, await voters[i].getAddress())).to.equal(true);
+      }
+    });
+
+    it("rejects a batch with a tampered power", async function () {
+      await register(ethers.parseEther("100000"));
+      const { votes, proof, proofFlags } = await buildBatch([0, 2]);
+      votes[1] = { ...votes[1], power: votes[1].power + 1n };
+
+      await expect(verifier.submitVotesMultiProof(proposalId, votes, proof, proofFlags)).to.be.revertedWithCustomError(
+        verifier,
+        "InvalidMerkleMultiproof"
+      );
+    });
+
+    it("rejects votes that are not in tree order", async function () {
+      await register(ethers.parseEther("100000"));
+      const { votes, proof, proofFlags } = await buildBatch([0, 3]);
+
+      await expect(
+        verifier.submitVotesMultiProof(proposalId, [votes[1], votes[0]], proof, proofFlags)
+      ).to.be.revertedWithCustomError(verifier, "InvalidMerkleMultiproof");
+    });
+
+    it("uses less gas than one proof per vote", async function () {
+      await register(ethers.parseEther("100000"));
+      const indices = [0, 1, 2, 3, 4];
+      const { votes, proof, proofFlags } = await buildBatch(indices);
+      const single = votes.map((v, i) => ({ ...v, merkleProof: getProof(layers, i) }));
+
+      const multiGas = await verifier.submitVotesMultiProof.estimateGas(proposalId, votes, proof, proofFlags);
+      const singleGas = await verifier.submitVotes.estimateGas(proposalId, single);
+      expect(multiGas < singleGas).to.equal(true);
+    });
+  });
+
+  describe("voting window and outcome", function () {
+    async function vote(indices, support) {
+      const deadline = (await latestTimestamp()) + 3600;
+      const multi = getMultiProof(layers, indices);
+      const votes = [];
+      for (const i of multi.indices) {
+        const signature = await signVote(voters[i], support, deadline);
+        votes.push({ support, nonce: 0, deadline, power: powers[i], voter: await voters[i].getAddress(), signature });
+      }
+      return verifier.submitVotesMultiProof(proposalId, votes, multi.proof, multi.proofFlags);
+    }
+
+    it("only counts votes while Active", async function () {
+      await register(0, 3600);
+      expect(await verifier.state(proposalId)).to.equal(State.Pending);
+      await expect(vote([0], 1)).to.be.revertedWithCustomError(verifier, "VotingNotStarted");
+
+      await increaseTime(3600);
+      expect(await verifier.state(proposalId)).to.equal(State.Active);
+      await vote([0], 1);
+
+      await increaseTime(VOTING_PERIOD + 1);
+      await expect(vote([1], 1)).to.be.revertedWithCustomError(verifier, "VotingClosed").withArgs(proposalId);
+    });
+
+    it("finalizes a proposal with quorum and For > Against as Succeeded", async function () {
+      await register(powers[0] + powers[3] + powers[4]);
+      await vote([3, 4], 1); // 400 + 500 For
+      await vote([0], 2); // 100 Abstain counts towards quorum
+      await vote([2], 0); // 300 Against
+
+      await expect(verifier.finalize(proposalId)).to.be.revertedWith("voting not ended");
+      await increaseTime(VOTING_PERIOD + 1);
+      expect(await verifier.state(proposalId)).to.equal(State.Succeeded);
+
+      await expect(verifier.connect(voters[1]).finalize(proposalId))
+        .to.emit(verifier, "ProposalFinalized")
+        .withArgs(proposalId, State.Succeeded, powers[3] + powers[4], powers[2], powers[0])
+        .and.to.emit(verifier, "ProposalPassed");
+      expect(await verifier.isPassed(proposalId)).to.equal(true);
+      await expect(verifier.finalize(proposalId)).to.be.revertedWith("already finalized");
+    });
+
+    it("defeats a proposal when Against wins even if For is above quorum", async function () {
+      await register(powers[0]);
+      await vote([1], 1); // 200 For
+      await vote([2], 0); // 300 Against
+      await increaseTime(VOTING_PERIOD + 1);
+
+      await expect(verifier.finalize(proposalId))
+        .to.emit(verifier, "ProposalFinalized")
+        .withArgs(proposalId, State.Defeated, powers[1], powers[2], 0n)
+        .and.not.to.emit(verifier, "ProposalPassed");
+      expect(await verifier.state(proposalId)).to.equal(State.Defeated);
+      expect(await verifier.isPassed(proposalId)).to.equal(false);
+    });
+
+    it("defeats a proposal that misses quorum", async function () {
+      await register(ethers.parseEther("1000"));
+      await vote([4], 1); // 500 For, no Against
+      await increaseTime(VOTING_PERIOD + 1);
+
+      await verifier.finalize(proposalId);
+      expect(await verifier.state(proposalId)).to.equal(State.Defeated);
+    });
+
+    it("reports tally, quorum, window and state from getTally", async function () {
+      const { voteStart, voteEnd } = await register(powers[4]);
+      await vote([4], 1);
+
+      const tally = await verifier.getTally(proposalId);
+      expect(tally.forVotes).to.equal(powers[4]);
+      expect(tally.quorum).to.equal(powers[4]);
+      expect(tally.voteStart).to.equal(BigInt(voteStart));
+      expect(tally.voteEnd).to.equal(BigInt(voteEnd));
+      expect(tally.currentState).to.equal(State.Active);
+    });
+
+    it("sends the passed outcome through the configured messenger", async function () {
+      const messenger = await ethers.deployContract("MockMessenger", [await voters[0].getAddress()]);
+      const executorAddr = await voters[4].getAddress(); // any destination address will do here
+      await expect(verifier.sendOutcome(proposalId)).to.be.revertedWith("no messenger");
+      await verifier.setMessenger(await messenger.getAddress(), 10, executorAddr);
+
+      await register(powers[4]);
+      await expect(verifier.sendOutcome(proposalId)).to.be.revertedWith("proposal not passed");
+      await vote([4], 1);
+      await increaseTime(VOTING_PERIOD + 1);
+
+      const coder = ethers.AbiCoder.defaultAbiCoder();
+      const message = coder.encode(["uint256", "bytes32"], [proposalId, actionDataHash]);
+      const { chainId } = await ethers.provider.getNetwork();
+      const messageId = ethers.keccak256(coder.encode(["uint256", "address", "uint256"], [chainId, await messenger.getAddress(), 0]));
+      // finalize only records the outcome; sending it is a separate call
+      await expect(verifier.finalize(proposalId)).to.not.emit(messenger, "MessageSent");
+      const tx = verifier.connect(voters[2]).sendOutcome(proposalId, { value: 5n });
+      await expect(tx).to.emit(verifier, "OutcomeSent").withArgs(proposalId, messageId);
+      await expect(tx)
+        .to.emit(messenger, "MessageSent")
+        .withArgs(messageId, 10, await verifier.getAddress(), executorAddr, message, 0);
+      expect(await ethers.provider.getBalance(await messenger.getAddress())).to.equal(5n); // the fee reaches the bridge
+
+      // anyone can resend, e.g. after the messenger changed
+      await expect(verifier.connect(voters[3]).sendOutcome(proposalId)).to.emit(messenger, "MessageSent");
+    });
+
+    it("finalizes even when the messenger cannot send", async function () {
+      // an account without code makes every sendMessage call revert
+      await verifier.setMessenger(await voters[3].getAddress(), 10, await voters[4].getAddress());
+      await register(powers[4]);
+      await vote([4], 1);
+      await increaseTime(VOTING_PERIOD + 1);
+
+      await expect(verifier.finalize(proposalId)).to.emit(verifier, "ProposalPassed");
+      expect(await verifier.isPassed(proposalId)).to.equal(true);
+      await expect(verifier.sendOutcome(proposalId)).to.revert(ethers);
+    });
+
+    it("rejects an invalid voting window", async function () {
+      const now = await latestTimestamp();
+      await expect(
+        verifier.registerProposal(proposalId, powerRoot, actionDataHash, 0, now + 10, now + 5)
+      ).to.be.revertedWith("invalid voting window");
+      await expect(
+        verifier.registerProposal(proposalId, powerRoot, actionDataHash, 0, now - 10, now - 5)
+      ).to.be.revertedWith("voteEnd in the past");
+    });
+  });
+
+  describe("split votes", function () {
+    async function splitVote(i, { forVotes = 0n, againstVotes = 0n, abstainVotes = 0n, version = 0n, reason = "" }) {
+      const voter = await voters[i].getAddress();
+      const deadline = (await latestTimestamp()) + 3600;
+      const vote = { proposalId, voter, forVotes, againstVotes, abstainVotes, nonce: 0, version, deadline, reason };
+      const signature = await signSplitVote(voters[i], domain, vote);
+      return { ...vote, power: powers[i], signature, merkleProof: getProof(layers, i) };
+    }
+
+    async function singleVote(i, support) {
+      const deadline = (await latestTimestamp()) + 3600;
+      const signature = await signVote(voters[i], support, deadline);
+      const voter = await voters[i].getAddress();
+      return { support, nonce: 0, deadline, power: powers[i], voter, signature, merkleProof: getProof(layers, i) };
+    }
+
+    beforeEach(async function () {
+      await register(0);
+    });
+
+    it("splits a voter's power across support values with a reason", async function () {
+      const weights = { forVotes: ethers.parseEther("300"), againstVotes: ethers.parseEther("100"), abstainVotes: ethers.parseEther("50") };
+      const vote = await splitVote(4, { ...weights, version: 1n, reason: "custodian: 3 of 5 clients for" });
+
+      await expect(verifier.submitSplitVotes(proposalId, [vote]))
+        .to.emit(verifier, "VoteCounted")
+        .withArgs(proposalId, await voters[4].getAddress(), weights.forVotes, weights.againstVotes, weights.abstainVotes, 1n, vote.reason);
+
+      const [forVotes, againstVotes, abstainVotes] = await verifier.getTally(proposalId);
+      expect([forVotes, againstVotes, abstainVotes]).to.deep.equal([weights.forVotes, weights.againstVotes, weights.abstainVotes]);
+      const receipt = await verifier.voteReceipts(proposalId, await voters[4].getAddress());
+      expect(receipt.version).to.equal(1n);
+      expect(receipt.forVotes).to.equal(weights.forVotes);
+    });
+
+    it("replaces an earlier vote with a higher version and adjusts the tally", async function () {
+      await verifier.submitVotes(proposalId, [await singleVote(2, 1)]); // 300 For, version 0
+
+      const changed = await splitVote(2, { againstVotes: powers[2], version: 1n, reason: "changed my mind" });
+      await expect(verifier.submitSplitVotes(proposalId, [changed]))
+        .to.emit(verifier, "VoteCounted")
+        .withArgs(proposalId, await voters[2].getAddress(), 0n, powers[2], 0n, 1n, "changed my mind");
+      const [forVotes, againstVotes] = await verifier.getTally(proposalId);
+      expect(forVotes).to.equal(0n);
+      expect(againstVotes).to.equal(powers[2]);
+
+      const voter = await voters[2].getAddress();
+      await expect(verifier.submitSplitVotes(proposalId, [changed]))
+        .to.be.revertedWithCustomError(verifier, "StaleVoteVersion")
+        .withArgs(voter, 1n);
+      const older = await splitVote(2, { forVotes: powers[2], version: 0n });
+      await expect(verifier.submitSplitVotes(proposalId, [older])).to.be.revertedWithCustomError(verifier, "StaleVoteVersion");
+      await expect(verifier.submitVotes(proposalId, [await singleVote(2, 1)]))
+        .to.be.revertedWithCustomError(verifier, "AlreadyVoted")
+        .withArgs(voter);
+    });
+
+    it("rejects weights above the leaf power, a tampered reason and votes after voteEnd", async function () {
+      const tooMuch = await splitVote(1, { forVotes: powers[1], abstainVotes: 1n });
+      await expect(verifier.submitSplitVotes(proposalId, [tooMuch]))
+        .to.be.revertedWithCustomError(verifier, "VoteWeightsExceedPower")
+        .withArgs(await voters[1].getAddress(), powers[1] + 1n, powers[1]);
+
+      // the reason is signed: changing it invalidates the voter's signature
+      const vote = await splitVote(1, { forVotes: powers[1], reason: "for" });
+      await expect(verifier.submitSplitVotes(proposalId, [{ ...vote, reason: "against" }]))
+        .to.be.revertedWithCustomError(verifier, "InvalidVoterSignature")
+        .withArgs(await voters[1].getAddress());
+
+      await increaseTime(VOTING_PERIOD + 1);
+      await expect(verifier.submitSplitVotes(proposalId, [vote])).to.be.revertedWithCustomError(verifier, "VotingClosed");
+    });
+  });
+
+  describe("contract voters and vote errors", function () {
+    let wallet, walletAddr;
+    const walletPower = ethers.parseEther("700");
+
+    async function signedVote(signer, { voter, support = 1, leafIndex, power }) {
+      voter = voter ?? (await signer.getAddress());
+      const deadline = (await latestTimestamp()) + 3600;
+      const signature = await signVote(signer, support, deadline, voter);
+      return { support, nonce: 0, deadline, power, voter, signature, merkleProof: getProof(layers, leafIndex) };
+    }
+
+    beforeEach(async function () {
+      // a smart-contract wallet owned by voters[0] holds the sixth leaf
+      wallet = await ethers.deployContract("MockSmartWallet", [await voters[0].getAddress()]);
+      walletAddr = await wallet.getAddress();
+      const leaves = await Promise.all(voters.map(async (v, i) => leafHash(await v.getAddress(), powers[i], 0)));
+      leaves.push(leafHash(walletAddr, walletPower, 0));
+      ({ root: powerRoot, layers } = buildMerkleTree(leaves));
+      await register(0);
+    });
+
+    it("counts a vote signed for an ERC-1271 wallet by its owner", async function () {
+      const vote = await signedVote(voters[0], { voter: walletAddr, leafIndex: 5, power: walletPower });
+
+      await expect(verifier.submitVotes(proposalId, [vote]))
+        .to.emit(verifier, "VoteCounted")
+        .withArgs(proposalId, walletAddr, walletPower, 0n, 0n, 0n, "");
+      expect(await verifier.hasVoted(proposalId, walletAddr)).to.equal(true);
+      expect(await verifier.hasVoted(proposalId, await voters[0].getAddress())).to.equal(false);
+    });
+
+    it("does not replay one signature across the owner's leaf and its wallet's leaf", async function () {
+      const owner = await voters[0].getAddress();
+      const ownVote = await signedVote(voters[0], { leafIndex: 0, power: powers[0] });
+      const walletVote = await signedVote(voters[0], { voter: walletAddr, leafIndex: 5, power: walletPower });
+
+      // the wallet accepts any signature of its owner, but the signed voter is the owner's EOA
+      const replayed = { ...walletVote, signature: ownVote.signature };
+      await expect(verifier.submitVotes(proposalId, [replayed]))
+        .to.be.revertedWithCustomError(verifier, "InvalidVoterSignature")
+        .withArgs(walletAddr);
+      // and the other way round
+      await expect(verifier.submitVotes(proposalId, [{ ...ownVote, signature: walletVote.signature }]))
+        .to.be.revertedWithCustomError(verifier, "InvalidVoterSignature")
+        .withArgs(owner);
+
+      await verifier.submitVotes(proposalId, [ownVote, walletVote]);
+      expect(await verifier.hasVoted(proposalId, owner)).to.equal(true);
+      expect(await verifier.hasVoted(proposalId, walletAddr)).to.equal(true);
+    });
+
+    it("rejects signatures the named voter does not accept", async function () {
+      const byOutsider = await signedVote(voters[1], { voter: walletAddr, leafIndex: 5, power: walletPower });
+      await expect(verifier.submitVotes(proposalId, [byOutsider]))
+        .to.be.revertedWithCustomError(verifier, "InvalidVoterSignature")
+        .withArgs(walletAddr);
+
+      // a named EOA must be the ECDSA signer
+      const eoa = await voters[2].getAddress();
+      const forged = await signedVote(voters[1], { voter: eoa, leafIndex: 2, power: powers[2] });
+      await expect(verifier.submitVotes(proposalId, [forged]))
+        .to.be.revertedWithCustomError(verifier, "InvalidVoterSignature")
+        .withArgs(eoa);
+    });
+
+    it("reverts with a specific error for each kind of bad vote", async function () {
+      const vote = await signedVote(voters[1], { leafIndex: 1, power: powers[1] });
+
+      await expect(verifier.submitVotes(proposalId, [{ ...vote, signature: "0x1234" }])).to.be.revertedWithCustomError(
+        verifier,
+        "InvalidSignature"
+      );
+      await expect(verifier.submitVotes(proposalId, [{ ...vote, power: powers[1] + 1n }]))
+        .to.be.revertedWithCustomError(verifier, "InvalidMerkleProof")
+        .withArgs(await voters[1].getAddress());
+      await expect(verifier.submitVotes(7, [vote])).to.be.revertedWithCustomError(verifier, "ProposalNotRegistered").withArgs(7);
+
+      const invalidSupport = await signedVote(voters[1], { support: 3, leafIndex: 1, power: powers[1] });
+      await expect(verifier.submitVotes(proposalId, [invalidSupport]))
+        .to.be.revertedWithCustomError(verifier, "InvalidSupport")
+        .withArgs(3);
+
+      await increaseTime(3601);
+      await expect(verifier.submitVotes(proposalId, [vote]))
+        .to.be.revertedWithCustomError(verifier, "VoteExpired")
+        .withArgs(vote.deadline);
+    });
+  });
+
+  describe("proposal mirroring", function () {
+    const SOURCE_CHAIN_ID = 31337n;
+    const PUBLISHER = "0x1111111111111111111111111111111111111111";
+    const snapshotStake = ethers.parseEther("1000");
+    let relayers;
+
+    function fields(overrides = {}) {
+      return {
+        proposalId,
+        actionDataHash,
+        powerRoot,
+        snapshotStake,
+        sourceChainId: SOURCE_CHAIN_ID,
+        publisher: PUBLISHER,
+        ...overrides,
+      };
+    }
+
+    async function signatures(signers, message = fields()) {
+      const sigs = await Promise.all(signers.map(s => signProposalCreated(s, domain, message)));
+      const addrs = await Promise.all(relayers.map(r => r.getAddress()));
+      return collectSignatures(domain, message, sigs, addrs, PROPOSAL_CREATED_TYPES).map(s => s.signature);
+    }
+
+    function mirror(sigs, message = fields()) {
+      return verifier.mirrorProposal(message.proposalId, message.actionDataHash, message.powerRoot, message.snapshotStake, sigs);
+    }
+
+    beforeEach(async function () {
+      relayers = (await ethers.getSigners()).slice(5, 8);
+      await verifier.setProposalSource(SOURCE_CHAIN_ID, PUBLISHER);
+      await verifier.setGovernanceParams(60, VOTING_PERIOD, 2000);
+      await verifier.setRelayers(await Promise.all(relayers.map(r => r.getAddress())), 2);
+    });
+
+    it("registers a proposal from threshold relayer signatures with quorum and window from the params", async function () {
+      const tx = mirror(await signatures(relayers.slice(0, 2)));
+      await expect(tx)
+        .to.emit(verifier, "ProposalMirrored")
+        .withArgs(proposalId, snapshotStake, await voters[0].getAddress());
+
+      const start = BigInt(await latestTimestamp()) + 60n;
+      const p = await verifier.proposals(proposalId);
+      expect(p.snapshotStake).to.equal(snapshotStake);
+      expect(p.quorum).to.equal((snapshotStake * 2000n) / 10000n);
+      expect(p.voteStart).to.equal(start);
+      expect(p.voteEnd).to.equal(start + BigInt(VOTING_PERIOD));
+      expect(await verifier.state(proposalId)).to.equal(State.Pending);
+
+      await expect(mirror(await signatures(relayers))).to.be.revertedWith("proposal exists");
+    });
+
+    it("rejects missing, foreign or mismatched signatures", async function () {
+      await expect(mirror(await signatures(relayers.slice(0, 1)))).to.be.revertedWith("not enough signatures");
+
+      const outsider = voters[1];
+      const foreign = await Promise.all([relayers[0], outsider].map(s => signProposalCreated(s, domain, fields())));
+      await expect(mirror(foreign)).to.be.revertedWith("signer not a relayer");
+
+      const [a, b] = await signatures(relayers.slice(0, 2));
+      await expect(mirror([b, a])).to.be.revertedWith("signers not ascending");
+
+      // signed for another stake than the one submitted
+      await expect(mirror([a, b], fields({ snapshotStake: 1n }))).to.be.revertedWith("signer not a relayer");
+    });
+
+    it("requires a proposal source and governance params", async function () {
+      const net = await ethers.provider.getNetwork();
+      const fresh = await ethers.deployContract("VoteVerifier", [net.chainId]);
+      await expect(fresh.mirrorProposal(proposalId, actionDataHash, powerRoot, snapshotStake, [])).to.be.revertedWith(
+        "no proposal source"
+      );
+      await fresh.setProposalSource(SOURCE_CHAIN_ID, PUBLISHER);
+      await fresh.setRelayers([await relayers[0].getAddress()], 1);
+      const freshDomain = { ...domain, verifyingContract: await fresh.getAddress() };
+      const sig = await signProposalCreated(relayers[0], freshDomain, fields());
+      await expect(fresh.mirrorProposal(proposalId, actionDataHash, powerRoot, snapshotStake, [sig])).to.be.revertedWith(
+        "governance params not set"
+      );
+
+      await expect(verifier.setGovernanceParams(0, 0, 2000)).to.be.revertedWith("votingPeriod=0");
+      await expect(verifier.setGovernanceParams(0, 1, 10001)).to.be.revertedWith("quorumBps > 10000");
+      await expect(verifier.connect(voters[1]).setProposalSource(1, PUBLISHER)).to.be.revertedWithCustomError(
+        verifier,
+        "OwnableUnauthorizedAccount"
+      );
+    });
+
+    it("registers proposals delivered by the messenger on behalf of the publisher", async function () {
+      const operator = voters[0];
+      const messenger = await ethers.deployContract("MockMessenger", [await operator.getAddress()]);
+      await verifier.setMessenger(await messenger.getAddress(), SOURCE_CHAIN_ID, await voters[4].getAddress());
+      const message = ethers.AbiCoder.defaultAbiCoder().encode(
+        ["uint256", "bytes32", "bytes32", "uint256"],
+        [proposalId, actionDataHash, powerRoot, snapshotStake]
+      );
+      const target = await verifier.getAddress();
+
+      await expect(verifier.receiveMessage(SOURCE_CHAIN_ID, PUBLISHER, message)).to.be.revertedWith("only messenger");
+      await expect(
+        messenger.relayMessage(ethers.ZeroHash, SOURCE_CHAIN_ID, await voters[1].getAddress(), target, message)
+      ).to.be.revertedWith("unknown message sender");
+      await expect(messenger.relayMessage(ethers.ZeroHash, 1, PUBLISHER, target, message)).to.be.revertedWith(
+        "unknown message sender"
+      );
+
+      await expect(messenger.relayMessage(ethers.ZeroHash, SOURCE_CHAIN_ID, PUBLISHER, target, message))
+        .to.emit(verifier, "ProposalMirrored")
+        .withArgs(proposalId, snapshotStake, await messenger.getAddress());
+      expect((await verifier.proposals(proposalId)).quorum).to.equal((snapshotStake * 2000n) / 10000n);
+
+      // a second copy (e.g. relayers mirrored it first) is ignored
+      const id = ethers.id("second");
+      await expect(messenger.relayMessage(id, SOURCE_CHAIN_ID, PUBLISHER, target, message)).not.to.emit(
+        verifier,
+        "ProposalMirrored"
+      );
+    });
+  });
+});
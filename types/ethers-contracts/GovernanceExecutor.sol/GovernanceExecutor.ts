@@ -6,44 +6,82 @@ import type { TypedContractEvent, TypedDeferredTopicFilter, TypedEventLog, Typed
   
 
   export interface GovernanceExecutorInterface extends Interface {
-    getFunction(nameOrSignature: "adminSetAttested" | "adminSetExecuted" | "attestedPassed" | "executeIfAuthorized" | "executed" | "governancePublisher" | "markProposalPassed" | "owner" | "relayer" | "renounceOwnership" | "setGovernancePublisher" | "setRelayer" | "transferOwnership"): FunctionFragment;
+    getFunction(nameOrSignature: "DOMAIN_SEPARATOR" | "GRACE_PERIOD" | "MAXIMUM_DELAY" | "NAME" | "PROPOSAL_OUTCOME_TYPEHASH" | "VERSION" | "attestedPassed" | "cancel" | "canceled" | "eta" | "executeIfAuthorized" | "executed" | "expire" | "expired" | "getRelayers" | "governancePublisher" | "guardian" | "isRelayer" | "markProposalPassed" | "messenger" | "minDelay" | "proposalOutcomeDigest" | "receiveMessage" | "setGovernancePublisher" | "setGuardian" | "setMessenger" | "setMinDelay" | "setRelayers" | "sourceChainId" | "state" | "threshold" | "verifier"): FunctionFragment;
 
-    getEvent(nameOrSignatureOrTopic: "Executed" | "GovernancePublisherUpdated" | "OwnershipTransferred" | "ProposalAttested" | "RelayerUpdated"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "Executed" | "GovernancePublisherUpdated" | "GuardianUpdated" | "MessengerUpdated" | "MinDelayUpdated" | "ProposalAttested" | "ProposalCanceled" | "ProposalExpired" | "ProposalQueued" | "RelayerSetUpdated"): EventFragment;
 
-    encodeFunctionData(functionFragment: 'adminSetAttested', values: [BigNumberish, boolean]): string;
-encodeFunctionData(functionFragment: 'adminSetExecuted', values: [BigNumberish, boolean]): string;
+    encodeFunctionData(functionFragment: 'DOMAIN_SEPARATOR', values?: undefined): string;
+encodeFunctionData(functionFragment: 'GRACE_PERIOD', values?: undefined): string;
+encodeFunctionData(functionFragment: 'MAXIMUM_DELAY', values?: undefined): string;
+encodeFunctionData(functionFragment: 'NAME', values?: undefined): string;
+encodeFunctionData(functionFragment: 'PROPOSAL_OUTCOME_TYPEHASH', values?: undefined): string;
+encodeFunctionData(functionFragment: 'VERSION', values?: undefined): string;
 encodeFunctionData(functionFragment: 'attestedPassed', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'cancel', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'canceled', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'eta', values: [BigNumberish]): string;
 encodeFunctionData(functionFragment: 'executeIfAuthorized', values: [BigNumberish, BytesLike]): string;
 encodeFunctionData(functionFragment: 'executed', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'expire', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'expired', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'getRelayers', values?: undefined): string;
 encodeFunctionData(functionFragment: 'governancePublisher', values?: undefined): string;
-encodeFunctionData(functionFragment: 'markProposalPassed', values: [BigNumberish, BytesLike]): string;
-encodeFunctionData(functionFragment: 'owner', values?: undefined): string;
-encodeFunctionData(functionFragment: 'relayer', values?: undefined): string;
-encodeFunctionData(functionFragment: 'renounceOwnership', values?: undefined): string;
+encodeFunctionData(functionFragment: 'guardian', values?: undefined): string;
+encodeFunctionData(functionFragment: 'isRelayer', values: [AddressLike]): string;
+encodeFunctionData(functionFragment: 'markProposalPassed', values: [BigNumberish, BytesLike, BytesLike[]]): string;
+encodeFunctionData(functionFragment: 'messenger', values?: undefined): string;
+encodeFunctionData(functionFragment: 'minDelay', values?: undefined): string;
+encodeFunctionData(functionFragment: 'proposalOutcomeDigest', values: [BigNumberish, BytesLike]): string;
+encodeFunctionData(functionFragment: 'receiveMessage', values: [BigNumberish, AddressLike, BytesLike]): string;
 encodeFunctionData(functionFragment: 'setGovernancePublisher', values: [AddressLike]): string;
-encodeFunctionData(functionFragment: 'setRelayer', values: [AddressLike]): string;
-encodeFunctionData(functionFragment: 'transferOwnership', values: [AddressLike]): string;
-
-    decodeFunctionResult(functionFragment: 'adminSetAttested', data: BytesLike): Result;
-decodeFunctionResult(functionFragment: 'adminSetExecuted', data: BytesLike): Result;
+encodeFunctionData(functionFragment: 'setGuardian', values: [AddressLike]): string;
+encodeFunctionData(functionFragment: 'setMessenger', values: [AddressLike]): string;
+encodeFunctionData(functionFragment: 'setMinDelay', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'setRelayers', values: [AddressLike[], BigNumberish]): string;
+encodeFunctionData(functionFragment: 'sourceChainId', values?: undefined): string;
+encodeFunctionData(functionFragment: 'state', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'threshold', values?: undefined): string;
+encodeFunctionData(functionFragment: 'verifier', values?: undefined): string;
+
+    decodeFunctionResult(functionFragment: 'DOMAIN_SEPARATOR', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'GRACE_PERIOD', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'MAXIMUM_DELAY', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'NAME', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'PROPOSAL_OUTCOME_TYPEHASH', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'VERSION', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'attestedPassed', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'cancel', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'canceled', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'eta', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'executeIfAuthorized', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'executed', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'expire', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'expired', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'getRelayers', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'governancePublisher', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'guardian', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'isRelayer', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'markProposalPassed', data: BytesLike): Result;
-decodeFunctionResult(functionFragment: 'owner', data: BytesLike): Result;
-decodeFunctionResult(functionFragment: 'relayer', data: BytesLike): Result;
-decodeFunctionResult(functionFragment: 'renounceOwnership', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'messenger', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'minDelay', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'proposalOutcomeDigest', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'receiveMessage', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'setGovernancePublisher', data: BytesLike): Result;
-decodeFunctionResult(functionFragment: 'setRelayer', data: BytesLike): Result;
-decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'setGuardian', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'setMessenger', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'setMinDelay', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'setRelayers', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'sourceChainId', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'state', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'threshold', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'verifier', data: BytesLike): Result;
   }
 
   
     export namespace ExecutedEvent {
-      export type InputTuple = [proposalId: BigNumberish, target: AddressLike, result: BytesLike];
-      export type OutputTuple = [proposalId: bigint, target: string, result: string];
-      export interface OutputObject {proposalId: bigint, target: string, result: string };
+      export type InputTuple = [proposalId: BigNumberish, index: BigNumberish, target: AddressLike, value: BigNumberish, result: BytesLike];
+      export type OutputTuple = [proposalId: bigint, index: bigint, target: string, value: bigint, result: string];
+      export interface OutputObject {proposalId: bigint, index: bigint, target: string, value: bigint, result: string };
       export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
       export type Filter = TypedDeferredTopicFilter<Event>
       export type Log = TypedEventLog<Event>
@@ -64,10 +102,34 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
 
   
 
-    export namespace OwnershipTransferredEvent {
-      export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
-      export type OutputTuple = [previousOwner: string, newOwner: string];
-      export interface OutputObject {previousOwner: string, newOwner: string };
+    export namespace GuardianUpdatedEvent {
+      export type InputTuple = [oldGuardian: AddressLike, newGuardian: AddressLike];
+      export type OutputTuple = [oldGuardian: string, newGuardian: string];
+      export interface OutputObject {oldGuardian: string, newGuardian: string };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace MessengerUpdatedEvent {
+      export type InputTuple = [oldMessenger: AddressLike, newMessenger: AddressLike];
+      export type OutputTuple = [oldMessenger: string, newMessenger: string];
+      export interface OutputObject {oldMessenger: string, newMessenger: string };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace MinDelayUpdatedEvent {
+      export type InputTuple = [oldDelay: BigNumberish, newDelay: BigNumberish];
+      export type OutputTuple = [oldDelay: bigint, newDelay: bigint];
+      export interface OutputObject {oldDelay: bigint, newDelay: bigint };
       export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
       export type Filter = TypedDeferredTopicFilter<Event>
       export type Log = TypedEventLog<Event>
@@ -77,9 +139,45 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
   
 
     export namespace ProposalAttestedEvent {
-      export type InputTuple = [proposalId: BigNumberish, actionDataHash: BytesLike, attestedBy: AddressLike];
-      export type OutputTuple = [proposalId: bigint, actionDataHash: string, attestedBy: string];
-      export interface OutputObject {proposalId: bigint, actionDataHash: string, attestedBy: string };
+      export type InputTuple = [proposalId: BigNumberish, actionDataHash: BytesLike, submittedBy: AddressLike];
+      export type OutputTuple = [proposalId: bigint, actionDataHash: string, submittedBy: string];
+      export interface OutputObject {proposalId: bigint, actionDataHash: string, submittedBy: string };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace ProposalCanceledEvent {
+      export type InputTuple = [proposalId: BigNumberish, canceledBy: AddressLike];
+      export type OutputTuple = [proposalId: bigint, canceledBy: string];
+      export interface OutputObject {proposalId: bigint, canceledBy: string };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace ProposalExpiredEvent {
+      export type InputTuple = [proposalId: BigNumberish];
+      export type OutputTuple = [proposalId: bigint];
+      export interface OutputObject {proposalId: bigint };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace ProposalQueuedEvent {
+      export type InputTuple = [proposalId: BigNumberish, eta: BigNumberish];
+      export type OutputTuple = [proposalId: bigint, eta: bigint];
+      export interface OutputObject {proposalId: bigint, eta: bigint };
       export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
       export type Filter = TypedDeferredTopicFilter<Event>
       export type Log = TypedEventLog<Event>
@@ -88,10 +186,10 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
 
   
 
-    export namespace RelayerUpdatedEvent {
-      export type InputTuple = [oldRelayer: AddressLike, newRelayer: AddressLike];
-      export type OutputTuple = [oldRelayer: string, newRelayer: string];
-      export interface OutputObject {oldRelayer: string, newRelayer: string };
+    export namespace RelayerSetUpdatedEvent {
+      export type InputTuple = [relayers: AddressLike[], threshold: BigNumberish];
+      export type OutputTuple = [relayers: string[], threshold: bigint];
+      export interface OutputObject {relayers: string[], threshold: bigint };
       export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
       export type Filter = TypedDeferredTopicFilter<Event>
       export type Log = TypedEventLog<Event>
@@ -134,23 +232,71 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
 
     
     
-    adminSetAttested: TypedContractMethod<
-      [proposalId: BigNumberish, val: boolean, ],
-      [void],
-      'nonpayable'
+    DOMAIN_SEPARATOR: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    GRACE_PERIOD: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    MAXIMUM_DELAY: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    NAME: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    PROPOSAL_OUTCOME_TYPEHASH: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    VERSION: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    attestedPassed: TypedContractMethod<
+      [arg0: BigNumberish, ],
+      [boolean],
+      'view'
     >
     
 
     
-    adminSetExecuted: TypedContractMethod<
-      [proposalId: BigNumberish, val: boolean, ],
+    cancel: TypedContractMethod<
+      [proposalId: BigNumberish, ],
       [void],
       'nonpayable'
     >
     
 
     
-    attestedPassed: TypedContractMethod<
+    canceled: TypedContractMethod<
       [arg0: BigNumberish, ],
       [boolean],
       'view'
@@ -158,10 +304,18 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
     
 
     
+    eta: TypedContractMethod<
+      [arg0: BigNumberish, ],
+      [bigint],
+      'view'
+    >
+    
+
+    
     executeIfAuthorized: TypedContractMethod<
       [proposalId: BigNumberish, actionData: BytesLike, ],
-      [string],
-      'nonpayable'
+      [string[]],
+      'payable'
     >
     
 
@@ -174,6 +328,30 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
     
 
     
+    expire: TypedContractMethod<
+      [proposalId: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    expired: TypedContractMethod<
+      [arg0: BigNumberish, ],
+      [boolean],
+      'view'
+    >
+    
+
+    
+    getRelayers: TypedContractMethod<
+      [],
+      [string[]],
+      'view'
+    >
+    
+
+    
     governancePublisher: TypedContractMethod<
       [],
       [string],
@@ -182,15 +360,31 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
     
 
     
+    guardian: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    isRelayer: TypedContractMethod<
+      [arg0: AddressLike, ],
+      [boolean],
+      'view'
+    >
+    
+
+    
     markProposalPassed: TypedContractMethod<
-      [proposalId: BigNumberish, actionDataHash: BytesLike, ],
+      [proposalId: BigNumberish, actionDataHash: BytesLike, signatures: BytesLike[], ],
       [void],
       'nonpayable'
     >
     
 
     
-    owner: TypedContractMethod<
+    messenger: TypedContractMethod<
       [],
       [string],
       'view'
@@ -198,16 +392,24 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
     
 
     
-    relayer: TypedContractMethod<
+    minDelay: TypedContractMethod<
       [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    proposalOutcomeDigest: TypedContractMethod<
+      [proposalId: BigNumberish, actionDataHash: BytesLike, ],
       [string],
       'view'
     >
     
 
     
-    renounceOwnership: TypedContractMethod<
-      [],
+    receiveMessage: TypedContractMethod<
+      [_sourceChainId: BigNumberish, sender: AddressLike, message: BytesLike, ],
       [void],
       'nonpayable'
     >
@@ -222,71 +424,184 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
     
 
     
-    setRelayer: TypedContractMethod<
-      [_relayer: AddressLike, ],
+    setGuardian: TypedContractMethod<
+      [_guardian: AddressLike, ],
       [void],
       'nonpayable'
     >
     
 
     
-    transferOwnership: TypedContractMethod<
-      [newOwner: AddressLike, ],
+    setMessenger: TypedContractMethod<
+      [_messenger: AddressLike, ],
       [void],
       'nonpayable'
     >
     
 
+    
+    setMinDelay: TypedContractMethod<
+      [_minDelay: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >
+    
 
-    getFunction<T extends ContractMethod = ContractMethod>(key: string | FunctionFragment): T;
-
-    getFunction(nameOrSignature: 'adminSetAttested'): TypedContractMethod<
-      [proposalId: BigNumberish, val: boolean, ],
+    
+    setRelayers: TypedContractMethod<
+      [newRelayers: AddressLike[], newThreshold: BigNumberish, ],
       [void],
       'nonpayable'
+    >
+    
+
+    
+    sourceChainId: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    state: TypedContractMethod<
+      [proposalId: BigNumberish, ],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    threshold: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    verifier: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+
+    getFunction<T extends ContractMethod = ContractMethod>(key: string | FunctionFragment): T;
+
+    getFunction(nameOrSignature: 'DOMAIN_SEPARATOR'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
+getFunction(nameOrSignature: 'GRACE_PERIOD'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'MAXIMUM_DELAY'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'NAME'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
+getFunction(nameOrSignature: 'PROPOSAL_OUTCOME_TYPEHASH'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
+getFunction(nameOrSignature: 'VERSION'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
+getFunction(nameOrSignature: 'attestedPassed'): TypedContractMethod<
+      [arg0: BigNumberish, ],
+      [boolean],
+      'view'
     >;
-getFunction(nameOrSignature: 'adminSetExecuted'): TypedContractMethod<
-      [proposalId: BigNumberish, val: boolean, ],
+getFunction(nameOrSignature: 'cancel'): TypedContractMethod<
+      [proposalId: BigNumberish, ],
       [void],
       'nonpayable'
     >;
-getFunction(nameOrSignature: 'attestedPassed'): TypedContractMethod<
+getFunction(nameOrSignature: 'canceled'): TypedContractMethod<
       [arg0: BigNumberish, ],
       [boolean],
       'view'
     >;
+getFunction(nameOrSignature: 'eta'): TypedContractMethod<
+      [arg0: BigNumberish, ],
+      [bigint],
+      'view'
+    >;
 getFunction(nameOrSignature: 'executeIfAuthorized'): TypedContractMethod<
       [proposalId: BigNumberish, actionData: BytesLike, ],
-      [string],
-      'nonpayable'
+      [string[]],
+      'payable'
     >;
 getFunction(nameOrSignature: 'executed'): TypedContractMethod<
       [arg0: BigNumberish, ],
       [boolean],
       'view'
     >;
+getFunction(nameOrSignature: 'expire'): TypedContractMethod<
+      [proposalId: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'expired'): TypedContractMethod<
+      [arg0: BigNumberish, ],
+      [boolean],
+      'view'
+    >;
+getFunction(nameOrSignature: 'getRelayers'): TypedContractMethod<
+      [],
+      [string[]],
+      'view'
+    >;
 getFunction(nameOrSignature: 'governancePublisher'): TypedContractMethod<
       [],
       [string],
       'view'
     >;
+getFunction(nameOrSignature: 'guardian'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
+getFunction(nameOrSignature: 'isRelayer'): TypedContractMethod<
+      [arg0: AddressLike, ],
+      [boolean],
+      'view'
+    >;
 getFunction(nameOrSignature: 'markProposalPassed'): TypedContractMethod<
-      [proposalId: BigNumberish, actionDataHash: BytesLike, ],
+      [proposalId: BigNumberish, actionDataHash: BytesLike, signatures: BytesLike[], ],
       [void],
       'nonpayable'
     >;
-getFunction(nameOrSignature: 'owner'): TypedContractMethod<
+getFunction(nameOrSignature: 'messenger'): TypedContractMethod<
       [],
       [string],
       'view'
     >;
-getFunction(nameOrSignature: 'relayer'): TypedContractMethod<
+getFunction(nameOrSignature: 'minDelay'): TypedContractMethod<
       [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'proposalOutcomeDigest'): TypedContractMethod<
+      [proposalId: BigNumberish, actionDataHash: BytesLike, ],
       [string],
       'view'
     >;
-getFunction(nameOrSignature: 'renounceOwnership'): TypedContractMethod<
-      [],
+getFunction(nameOrSignature: 'receiveMessage'): TypedContractMethod<
+      [_sourceChainId: BigNumberish, sender: AddressLike, message: BytesLike, ],
       [void],
       'nonpayable'
     >;
@@ -295,26 +610,61 @@ getFunction(nameOrSignature: 'setGovernancePublisher'): TypedContractMethod<
       [void],
       'nonpayable'
     >;
-getFunction(nameOrSignature: 'setRelayer'): TypedContractMethod<
-      [_relayer: AddressLike, ],
+getFunction(nameOrSignature: 'setGuardian'): TypedContractMethod<
+      [_guardian: AddressLike, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'setMessenger'): TypedContractMethod<
+      [_messenger: AddressLike, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'setMinDelay'): TypedContractMethod<
+      [_minDelay: BigNumberish, ],
       [void],
       'nonpayable'
     >;
-getFunction(nameOrSignature: 'transferOwnership'): TypedContractMethod<
-      [newOwner: AddressLike, ],
+getFunction(nameOrSignature: 'setRelayers'): TypedContractMethod<
+      [newRelayers: AddressLike[], newThreshold: BigNumberish, ],
       [void],
       'nonpayable'
     >;
+getFunction(nameOrSignature: 'sourceChainId'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'state'): TypedContractMethod<
+      [proposalId: BigNumberish, ],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'threshold'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'verifier'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
 
     getEvent(key: 'Executed'): TypedContractEvent<ExecutedEvent.InputTuple, ExecutedEvent.OutputTuple, ExecutedEvent.OutputObject>;
 getEvent(key: 'GovernancePublisherUpdated'): TypedContractEvent<GovernancePublisherUpdatedEvent.InputTuple, GovernancePublisherUpdatedEvent.OutputTuple, GovernancePublisherUpdatedEvent.OutputObject>;
-getEvent(key: 'OwnershipTransferred'): TypedContractEvent<OwnershipTransferredEvent.InputTuple, OwnershipTransferredEvent.OutputTuple, OwnershipTransferredEvent.OutputObject>;
+getEvent(key: 'GuardianUpdated'): TypedContractEvent<GuardianUpdatedEvent.InputTuple, GuardianUpdatedEvent.OutputTuple, GuardianUpdatedEvent.OutputObject>;
+getEvent(key: 'MessengerUpdated'): TypedContractEvent<MessengerUpdatedEvent.InputTuple, MessengerUpdatedEvent.OutputTuple, MessengerUpdatedEvent.OutputObject>;
+getEvent(key: 'MinDelayUpdated'): TypedContractEvent<MinDelayUpdatedEvent.InputTuple, MinDelayUpdatedEvent.OutputTuple, MinDelayUpdatedEvent.OutputObject>;
 getEvent(key: 'ProposalAttested'): TypedContractEvent<ProposalAttestedEvent.InputTuple, ProposalAttestedEvent.OutputTuple, ProposalAttestedEvent.OutputObject>;
-getEvent(key: 'RelayerUpdated'): TypedContractEvent<RelayerUpdatedEvent.InputTuple, RelayerUpdatedEvent.OutputTuple, RelayerUpdatedEvent.OutputObject>;
+getEvent(key: 'ProposalCanceled'): TypedContractEvent<ProposalCanceledEvent.InputTuple, ProposalCanceledEvent.OutputTuple, ProposalCanceledEvent.OutputObject>;
+getEvent(key: 'ProposalExpired'): TypedContractEvent<ProposalExpiredEvent.InputTuple, ProposalExpiredEvent.OutputTuple, ProposalExpiredEvent.OutputObject>;
+getEvent(key: 'ProposalQueued'): TypedContractEvent<ProposalQueuedEvent.InputTuple, ProposalQueuedEvent.OutputTuple, ProposalQueuedEvent.OutputObject>;
+getEvent(key: 'RelayerSetUpdated'): TypedContractEvent<RelayerSetUpdatedEvent.InputTuple, RelayerSetUpdatedEvent.OutputTuple, RelayerSetUpdatedEvent.OutputObject>;
 
     filters: {
       
-      'Executed(uint256,address,bytes)': TypedContractEvent<ExecutedEvent.InputTuple, ExecutedEvent.OutputTuple, ExecutedEvent.OutputObject>;
+      'Executed(uint256,uint256,address,uint256,bytes)': TypedContractEvent<ExecutedEvent.InputTuple, ExecutedEvent.OutputTuple, ExecutedEvent.OutputObject>;
       Executed: TypedContractEvent<ExecutedEvent.InputTuple, ExecutedEvent.OutputTuple, ExecutedEvent.OutputObject>;
     
 
@@ -322,16 +672,36 @@ getEvent(key: 'RelayerUpdated'): TypedContractEvent<RelayerUpdatedEvent.InputTup
       GovernancePublisherUpdated: TypedContractEvent<GovernancePublisherUpdatedEvent.InputTuple, GovernancePublisherUpdatedEvent.OutputTuple, GovernancePublisherUpdatedEvent.OutputObject>;
     
 
-      'OwnershipTransferred(address,address)': TypedContractEvent<OwnershipTransferredEvent.InputTuple, OwnershipTransferredEvent.OutputTuple, OwnershipTransferredEvent.OutputObject>;
-      OwnershipTransferred: TypedContractEvent<OwnershipTransferredEvent.InputTuple, OwnershipTransferredEvent.OutputTuple, OwnershipTransferredEvent.OutputObject>;
+      'GuardianUpdated(address,address)': TypedContractEvent<GuardianUpdatedEvent.InputTuple, GuardianUpdatedEvent.OutputTuple, GuardianUpdatedEvent.OutputObject>;
+      GuardianUpdated: TypedContractEvent<GuardianUpdatedEvent.InputTuple, GuardianUpdatedEvent.OutputTuple, GuardianUpdatedEvent.OutputObject>;
+    
+
+      'MessengerUpdated(address,address)': TypedContractEvent<MessengerUpdatedEvent.InputTuple, MessengerUpdatedEvent.OutputTuple, MessengerUpdatedEvent.OutputObject>;
+      MessengerUpdated: TypedContractEvent<MessengerUpdatedEvent.InputTuple, MessengerUpdatedEvent.OutputTuple, MessengerUpdatedEvent.OutputObject>;
+    
+
+      'MinDelayUpdated(uint256,uint256)': TypedContractEvent<MinDelayUpdatedEvent.InputTuple, MinDelayUpdatedEvent.OutputTuple, MinDelayUpdatedEvent.OutputObject>;
+      MinDelayUpdated: TypedContractEvent<MinDelayUpdatedEvent.InputTuple, MinDelayUpdatedEvent.OutputTuple, MinDelayUpdatedEvent.OutputObject>;
     
 
       'ProposalAttested(uint256,bytes32,address)': TypedContractEvent<ProposalAttestedEvent.InputTuple, ProposalAttestedEvent.OutputTuple, ProposalAttestedEvent.OutputObject>;
       ProposalAttested: TypedContractEvent<ProposalAttestedEvent.InputTuple, ProposalAttestedEvent.OutputTuple, ProposalAttestedEvent.OutputObject>;
     
 
-      'RelayerUpdated(address,address)': TypedContractEvent<RelayerUpdatedEvent.InputTuple, RelayerUpdatedEvent.OutputTuple, RelayerUpdatedEvent.OutputObject>;
-      RelayerUpdated: TypedContractEvent<RelayerUpdatedEvent.InputTuple, RelayerUpdatedEvent.OutputTuple, RelayerUpdatedEvent.OutputObject>;
+      'ProposalCanceled(uint256,address)': TypedContractEvent<ProposalCanceledEvent.InputTuple, ProposalCanceledEvent.OutputTuple, ProposalCanceledEvent.OutputObject>;
+      ProposalCanceled: TypedContractEvent<ProposalCanceledEvent.InputTuple, ProposalCanceledEvent.OutputTuple, ProposalCanceledEvent.OutputObject>;
+    
+
+      'ProposalExpired(uint256)': TypedContractEvent<ProposalExpiredEvent.InputTuple, ProposalExpiredEvent.OutputTuple, ProposalExpiredEvent.OutputObject>;
+      ProposalExpired: TypedContractEvent<ProposalExpiredEvent.InputTuple, ProposalExpiredEvent.OutputTuple, ProposalExpiredEvent.OutputObject>;
+    
+
+      'ProposalQueued(uint256,uint256)': TypedContractEvent<ProposalQueuedEvent.InputTuple, ProposalQueuedEvent.OutputTuple, ProposalQueuedEvent.OutputObject>;
+      ProposalQueued: TypedContractEvent<ProposalQueuedEvent.InputTuple, ProposalQueuedEvent.OutputTuple, ProposalQueuedEvent.OutputObject>;
+    
+
+      'RelayerSetUpdated(address[],uint256)': TypedContractEvent<RelayerSetUpdatedEvent.InputTuple, RelayerSetUpdatedEvent.OutputTuple, RelayerSetUpdatedEvent.OutputObject>;
+      RelayerSetUpdated: TypedContractEvent<RelayerSetUpdatedEvent.InputTuple, RelayerSetUpdatedEvent.OutputTuple, RelayerSetUpdatedEvent.OutputObject>;
     
     };
   }
\ No newline at end of file
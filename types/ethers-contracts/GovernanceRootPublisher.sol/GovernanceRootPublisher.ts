@@ -0,0 +1,414 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type { BaseContract, BigNumberish, BytesLike, FunctionFragment, Result, Interface, EventFragment, AddressLike, ContractRunner, ContractMethod, Listener } from "ethers"
+import type { TypedContractEvent, TypedDeferredTopicFilter, TypedEventLog, TypedLogDescription, TypedListener, TypedContractMethod } from "../common.js"
+  
+
+  export interface GovernanceRootPublisherInterface extends Interface {
+    getFunction(nameOrSignature: "destinationChainId" | "destinationVerifier" | "getProposalCore" | "isProposer" | "isPublished" | "messenger" | "metadataHistory" | "owner" | "proposals" | "publishProposal" | "renounceOwnership" | "sendProposal" | "setMessenger" | "setProposer" | "transferOwnership" | "updateMetadata" | "vault"): FunctionFragment;
+
+    getEvent(nameOrSignatureOrTopic: "MessengerUpdated" | "OwnershipTransferred" | "ProposalCreated" | "ProposalMetadataUpdated" | "ProposalSent" | "ProposerUpdated"): EventFragment;
+
+    encodeFunctionData(functionFragment: 'destinationChainId', values?: undefined): string;
+encodeFunctionData(functionFragment: 'destinationVerifier', values?: undefined): string;
+encodeFunctionData(functionFragment: 'getProposalCore', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'isProposer', values: [AddressLike]): string;
+encodeFunctionData(functionFragment: 'isPublished', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'messenger', values?: undefined): string;
+encodeFunctionData(functionFragment: 'metadataHistory', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'owner', values?: undefined): string;
+encodeFunctionData(functionFragment: 'proposals', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'publishProposal', values: [BigNumberish, BytesLike, BigNumberish, BytesLike, BytesLike, string]): string;
+encodeFunctionData(functionFragment: 'renounceOwnership', values?: undefined): string;
+encodeFunctionData(functionFragment: 'sendProposal', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'setMessenger', values: [AddressLike, BigNumberish, AddressLike]): string;
+encodeFunctionData(functionFragment: 'setProposer', values: [AddressLike, boolean]): string;
+encodeFunctionData(functionFragment: 'transferOwnership', values: [AddressLike]): string;
+encodeFunctionData(functionFragment: 'updateMetadata', values: [BigNumberish, BytesLike, string]): string;
+encodeFunctionData(functionFragment: 'vault', values?: undefined): string;
+
+    decodeFunctionResult(functionFragment: 'destinationChainId', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'destinationVerifier', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'getProposalCore', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'isProposer', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'isPublished', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'messenger', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'metadataHistory', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'owner', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'proposals', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'publishProposal', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'renounceOwnership', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'sendProposal', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'setMessenger', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'setProposer', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'updateMetadata', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'vault', data: BytesLike): Result;
+  }
+
+  
+    export namespace MessengerUpdatedEvent {
+      export type InputTuple = [messenger: AddressLike, destinationChainId: BigNumberish, destinationVerifier: AddressLike];
+      export type OutputTuple = [messenger: string, destinationChainId: bigint, destinationVerifier: string];
+      export interface OutputObject {messenger: string, destinationChainId: bigint, destinationVerifier: string };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace OwnershipTransferredEvent {
+      export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
+      export type OutputTuple = [previousOwner: string, newOwner: string];
+      export interface OutputObject {previousOwner: string, newOwner: string };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace ProposalCreatedEvent {
+      export type InputTuple = [proposalId: BigNumberish, proposer: AddressLike, actionDataHash: BytesLike, snapshotBlock: BigNumberish, ER_snapshot: BigNumberish, snapshotStake: BigNumberish, powerRoot: BytesLike, metadata: string, metadataHash: BytesLike, createdAt: BigNumberish];
+      export type OutputTuple = [proposalId: bigint, proposer: string, actionDataHash: string, snapshotBlock: bigint, ER_snapshot: bigint, snapshotStake: bigint, powerRoot: string, metadata: string, metadataHash: string, createdAt: bigint];
+      export interface OutputObject {proposalId: bigint, proposer: string, actionDataHash: string, snapshotBlock: bigint, ER_snapshot: bigint, snapshotStake: bigint, powerRoot: string, metadata: string, metadataHash: string, createdAt: bigint };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace ProposalMetadataUpdatedEvent {
+      export type InputTuple = [proposalId: BigNumberish, revision: BigNumberish, metadataHash: BytesLike, previousHash: BytesLike, metadata: string];
+      export type OutputTuple = [proposalId: bigint, revision: bigint, metadataHash: string, previousHash: string, metadata: string];
+      export interface OutputObject {proposalId: bigint, revision: bigint, metadataHash: string, previousHash: string, metadata: string };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace ProposalSentEvent {
+      export type InputTuple = [proposalId: BigNumberish, messageId: BytesLike];
+      export type OutputTuple = [proposalId: bigint, messageId: string];
+      export interface OutputObject {proposalId: bigint, messageId: string };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace ProposerUpdatedEvent {
+      export type InputTuple = [account: AddressLike, allowed: boolean];
+      export type OutputTuple = [account: string, allowed: boolean];
+      export interface OutputObject {account: string, allowed: boolean };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+  export interface GovernanceRootPublisher extends BaseContract {
+    
+    connect(runner?: ContractRunner | null): GovernanceRootPublisher;
+    waitForDeployment(): Promise<this>;
+
+    interface: GovernanceRootPublisherInterface;
+
+    
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined,
+  ): Promise<Array<TypedEventLog<TCEvent>>>
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(event: TCEvent, listener: TypedListener<TCEvent>): Promise<this>
+  on<TCEvent extends TypedContractEvent>(filter: TypedDeferredTopicFilter<TCEvent>, listener: TypedListener<TCEvent>): Promise<this>
+  
+  once<TCEvent extends TypedContractEvent>(event: TCEvent, listener: TypedListener<TCEvent>): Promise<this>
+  once<TCEvent extends TypedContractEvent>(filter: TypedDeferredTopicFilter<TCEvent>, listener: TypedListener<TCEvent>): Promise<this>
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>
+  removeAllListeners<TCEvent extends TypedContractEvent>(event?: TCEvent): Promise<this>
+
+
+    
+    
+    destinationChainId: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    destinationVerifier: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    getProposalCore: TypedContractMethod<
+      [proposalId: BigNumberish, ],
+      [[string, string, bigint, bigint, string, string, bigint] & {proposer: string, actionDataHash: string, snapshotBlock: bigint, ER_snapshot: bigint, powerRoot: string, metadata: string, createdAt: bigint }],
+      'view'
+    >
+    
+
+    
+    isProposer: TypedContractMethod<
+      [arg0: AddressLike, ],
+      [boolean],
+      'view'
+    >
+    
+
+    
+    isPublished: TypedContractMethod<
+      [proposalId: BigNumberish, ],
+      [boolean],
+      'view'
+    >
+    
+
+    
+    messenger: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    metadataHistory: TypedContractMethod<
+      [proposalId: BigNumberish, ],
+      [string[]],
+      'view'
+    >
+    
+
+    
+    owner: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    proposals: TypedContractMethod<
+      [arg0: BigNumberish, ],
+      [[string, string, bigint, bigint, bigint, string, string, bigint, bigint, string] & {proposer: string, actionDataHash: string, snapshotBlock: bigint, ER_snapshot: bigint, snapshotStake: bigint, powerRoot: string, metadata: string, createdAt: bigint, state: bigint, metadataHash: string }],
+      'view'
+    >
+    
+
+    
+    publishProposal: TypedContractMethod<
+      [proposalId: BigNumberish, actionDataHash: BytesLike, snapshotBlock: BigNumberish, powerRoot: BytesLike, metadataHash: BytesLike, metadata: string, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    renounceOwnership: TypedContractMethod<
+      [],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    sendProposal: TypedContractMethod<
+      [proposalId: BigNumberish, ],
+      [string],
+      'payable'
+    >
+    
+
+    
+    setMessenger: TypedContractMethod<
+      [_messenger: AddressLike, _destinationChainId: BigNumberish, _verifier: AddressLike, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    setProposer: TypedContractMethod<
+      [account: AddressLike, allowed: boolean, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    transferOwnership: TypedContractMethod<
+      [newOwner: AddressLike, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    updateMetadata: TypedContractMethod<
+      [proposalId: BigNumberish, metadataHash: BytesLike, metadata: string, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    vault: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+
+    getFunction<T extends ContractMethod = ContractMethod>(key: string | FunctionFragment): T;
+
+    getFunction(nameOrSignature: 'destinationChainId'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'destinationVerifier'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
+getFunction(nameOrSignature: 'getProposalCore'): TypedContractMethod<
+      [proposalId: BigNumberish, ],
+      [[string, string, bigint, bigint, string, string, bigint] & {proposer: string, actionDataHash: string, snapshotBlock: bigint, ER_snapshot: bigint, powerRoot: string, metadata: string, createdAt: bigint }],
+      'view'
+    >;
+getFunction(nameOrSignature: 'isProposer'): TypedContractMethod<
+      [arg0: AddressLike, ],
+      [boolean],
+      'view'
+    >;
+getFunction(nameOrSignature: 'isPublished'): TypedContractMethod<
+      [proposalId: BigNumberish, ],
+      [boolean],
+      'view'
+    >;
+getFunction(nameOrSignature: 'messenger'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
+getFunction(nameOrSignature: 'metadataHistory'): TypedContractMethod<
+      [proposalId: BigNumberish, ],
+      [string[]],
+      'view'
+    >;
+getFunction(nameOrSignature: 'owner'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
+getFunction(nameOrSignature: 'proposals'): TypedContractMethod<
+      [arg0: BigNumberish, ],
+      [[string, string, bigint, bigint, bigint, string, string, bigint, bigint, string] & {proposer: string, actionDataHash: string, snapshotBlock: bigint, ER_snapshot: bigint, snapshotStake: bigint, powerRoot: string, metadata: string, createdAt: bigint, state: bigint, metadataHash: string }],
+      'view'
+    >;
+getFunction(nameOrSignature: 'publishProposal'): TypedContractMethod<
+      [proposalId: BigNumberish, actionDataHash: BytesLike, snapshotBlock: BigNumberish, powerRoot: BytesLike, metadataHash: BytesLike, metadata: string, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'renounceOwnership'): TypedContractMethod<
+      [],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'sendProposal'): TypedContractMethod<
+      [proposalId: BigNumberish, ],
+      [string],
+      'payable'
+    >;
+getFunction(nameOrSignature: 'setMessenger'): TypedContractMethod<
+      [_messenger: AddressLike, _destinationChainId: BigNumberish, _verifier: AddressLike, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'setProposer'): TypedContractMethod<
+      [account: AddressLike, allowed: boolean, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'transferOwnership'): TypedContractMethod<
+      [newOwner: AddressLike, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'updateMetadata'): TypedContractMethod<
+      [proposalId: BigNumberish, metadataHash: BytesLike, metadata: string, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'vault'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
+
+    getEvent(key: 'MessengerUpdated'): TypedContractEvent<MessengerUpdatedEvent.InputTuple, MessengerUpdatedEvent.OutputTuple, MessengerUpdatedEvent.OutputObject>;
+getEvent(key: 'OwnershipTransferred'): TypedContractEvent<OwnershipTransferredEvent.InputTuple, OwnershipTransferredEvent.OutputTuple, OwnershipTransferredEvent.OutputObject>;
+getEvent(key: 'ProposalCreated'): TypedContractEvent<ProposalCreatedEvent.InputTuple, ProposalCreatedEvent.OutputTuple, ProposalCreatedEvent.OutputObject>;
+getEvent(key: 'ProposalMetadataUpdated'): TypedContractEvent<ProposalMetadataUpdatedEvent.InputTuple, ProposalMetadataUpdatedEvent.OutputTuple, ProposalMetadataUpdatedEvent.OutputObject>;
+getEvent(key: 'ProposalSent'): TypedContractEvent<ProposalSentEvent.InputTuple, ProposalSentEvent.OutputTuple, ProposalSentEvent.OutputObject>;
+getEvent(key: 'ProposerUpdated'): TypedContractEvent<ProposerUpdatedEvent.InputTuple, ProposerUpdatedEvent.OutputTuple, ProposerUpdatedEvent.OutputObject>;
+
+    filters: {
+      
+      'MessengerUpdated(address,uint256,address)': TypedContractEvent<MessengerUpdatedEvent.InputTuple, MessengerUpdatedEvent.OutputTuple, MessengerUpdatedEvent.OutputObject>;
+      MessengerUpdated: TypedContractEvent<MessengerUpdatedEvent.InputTuple, MessengerUpdatedEvent.OutputTuple, MessengerUpdatedEvent.OutputObject>;
+    
+
+      'OwnershipTransferred(address,address)': TypedContractEvent<OwnershipTransferredEvent.InputTuple, OwnershipTransferredEvent.OutputTuple, OwnershipTransferredEvent.OutputObject>;
+      OwnershipTransferred: TypedContractEvent<OwnershipTransferredEvent.InputTuple, OwnershipTransferredEvent.OutputTuple, OwnershipTransferredEvent.OutputObject>;
+    
+
+      'ProposalCreated(uint256,address,bytes32,uint256,uint256,uint256,bytes32,string,bytes32,uint256)': TypedContractEvent<ProposalCreatedEvent.InputTuple, ProposalCreatedEvent.OutputTuple, ProposalCreatedEvent.OutputObject>;
+      ProposalCreated: TypedContractEvent<ProposalCreatedEvent.InputTuple, ProposalCreatedEvent.OutputTuple, ProposalCreatedEvent.OutputObject>;
+    
+
+      'ProposalMetadataUpdated(uint256,uint256,bytes32,bytes32,string)': TypedContractEvent<ProposalMetadataUpdatedEvent.InputTuple, ProposalMetadataUpdatedEvent.OutputTuple, ProposalMetadataUpdatedEvent.OutputObject>;
+      ProposalMetadataUpdated: TypedContractEvent<ProposalMetadataUpdatedEvent.InputTuple, ProposalMetadataUpdatedEvent.OutputTuple, ProposalMetadataUpdatedEvent.OutputObject>;
+    
+
+      'ProposalSent(uint256,bytes32)': TypedContractEvent<ProposalSentEvent.InputTuple, ProposalSentEvent.OutputTuple, ProposalSentEvent.OutputObject>;
+      ProposalSent: TypedContractEvent<ProposalSentEvent.InputTuple, ProposalSentEvent.OutputTuple, ProposalSentEvent.OutputObject>;
+    
+
+      'ProposerUpdated(address,bool)': TypedContractEvent<ProposerUpdatedEvent.InputTuple, ProposerUpdatedEvent.OutputTuple, ProposerUpdatedEvent.OutputObject>;
+      ProposerUpdated: TypedContractEvent<ProposerUpdatedEvent.InputTuple, ProposerUpdatedEvent.OutputTuple, ProposerUpdatedEvent.OutputObject>;
+    
+    };
+  }
\ No newline at end of file
@@ -0,0 +1,5 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+export type { GovernanceRootPublisher } from './GovernanceRootPublisher.js';
+export type { IExchangeRateCheckpoints } from './IExchangeRateCheckpoints.js';
\ No newline at end of file
@@ -0,0 +1,75 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type { BaseContract, BigNumberish, BytesLike, FunctionFragment, Result, Interface, AddressLike, ContractRunner, ContractMethod, Listener } from "ethers"
+import type { TypedContractEvent, TypedDeferredTopicFilter, TypedEventLog, TypedListener, TypedContractMethod } from "../common.js"
+  
+
+  export interface ICrossChainMessengerInterface extends Interface {
+    getFunction(nameOrSignature: "sendMessage"): FunctionFragment;
+
+    
+
+    encodeFunctionData(functionFragment: 'sendMessage', values: [BigNumberish, AddressLike, BytesLike]): string;
+
+    decodeFunctionResult(functionFragment: 'sendMessage', data: BytesLike): Result;
+  }
+
+  
+
+  export interface ICrossChainMessenger extends BaseContract {
+    
+    connect(runner?: ContractRunner | null): ICrossChainMessenger;
+    waitForDeployment(): Promise<this>;
+
+    interface: ICrossChainMessengerInterface;
+
+    
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined,
+  ): Promise<Array<TypedEventLog<TCEvent>>>
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(event: TCEvent, listener: TypedListener<TCEvent>): Promise<this>
+  on<TCEvent extends TypedContractEvent>(filter: TypedDeferredTopicFilter<TCEvent>, listener: TypedListener<TCEvent>): Promise<this>
+  
+  once<TCEvent extends TypedContractEvent>(event: TCEvent, listener: TypedListener<TCEvent>): Promise<this>
+  once<TCEvent extends TypedContractEvent>(filter: TypedDeferredTopicFilter<TCEvent>, listener: TypedListener<TCEvent>): Promise<this>
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>
+  removeAllListeners<TCEvent extends TypedContractEvent>(event?: TCEvent): Promise<this>
+
+
+    
+    
+    sendMessage: TypedContractMethod<
+      [destinationChainId: BigNumberish, target: AddressLike, message: BytesLike, ],
+      [string],
+      'payable'
+    >
+    
+
+
+    getFunction<T extends ContractMethod = ContractMethod>(key: string | FunctionFragment): T;
+
+    getFunction(nameOrSignature: 'sendMessage'): TypedContractMethod<
+      [destinationChainId: BigNumberish, target: AddressLike, message: BytesLike, ],
+      [string],
+      'payable'
+    >;
+
+    
+
+    filters: {
+      
+    };
+  }
\ No newline at end of file
@@ -0,0 +1,75 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type { BaseContract, BigNumberish, BytesLike, FunctionFragment, Result, Interface, AddressLike, ContractRunner, ContractMethod, Listener } from "ethers"
+import type { TypedContractEvent, TypedDeferredTopicFilter, TypedEventLog, TypedListener, TypedContractMethod } from "../common.js"
+  
+
+  export interface IMessageReceiverInterface extends Interface {
+    getFunction(nameOrSignature: "receiveMessage"): FunctionFragment;
+
+    
+
+    encodeFunctionData(functionFragment: 'receiveMessage', values: [BigNumberish, AddressLike, BytesLike]): string;
+
+    decodeFunctionResult(functionFragment: 'receiveMessage', data: BytesLike): Result;
+  }
+
+  
+
+  export interface IMessageReceiver extends BaseContract {
+    
+    connect(runner?: ContractRunner | null): IMessageReceiver;
+    waitForDeployment(): Promise<this>;
+
+    interface: IMessageReceiverInterface;
+
+    
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined,
+  ): Promise<Array<TypedEventLog<TCEvent>>>
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(event: TCEvent, listener: TypedListener<TCEvent>): Promise<this>
+  on<TCEvent extends TypedContractEvent>(filter: TypedDeferredTopicFilter<TCEvent>, listener: TypedListener<TCEvent>): Promise<this>
+  
+  once<TCEvent extends TypedContractEvent>(event: TCEvent, listener: TypedListener<TCEvent>): Promise<this>
+  once<TCEvent extends TypedContractEvent>(filter: TypedDeferredTopicFilter<TCEvent>, listener: TypedListener<TCEvent>): Promise<this>
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>
+  removeAllListeners<TCEvent extends TypedContractEvent>(event?: TCEvent): Promise<this>
+
+
+    
+    
+    receiveMessage: TypedContractMethod<
+      [sourceChainId: BigNumberish, sender: AddressLike, message: BytesLike, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+
+    getFunction<T extends ContractMethod = ContractMethod>(key: string | FunctionFragment): T;
+
+    getFunction(nameOrSignature: 'receiveMessage'): TypedContractMethod<
+      [sourceChainId: BigNumberish, sender: AddressLike, message: BytesLike, ],
+      [void],
+      'nonpayable'
+    >;
+
+    
+
+    filters: {
+      
+    };
+  }
\ No newline at end of file
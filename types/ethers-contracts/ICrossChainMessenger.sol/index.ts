@@ -0,0 +1,5 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+export type { ICrossChainMessenger } from './ICrossChainMessenger.js';
+export type { IMessageReceiver } from './IMessageReceiver.js';
\ No newline at end of file
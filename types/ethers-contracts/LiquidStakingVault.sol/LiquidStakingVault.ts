@@ -6,64 +6,202 @@ import type { TypedContractEvent, TypedDeferredTopicFilter, TypedEventLog, Typed
   
 
   export interface LiquidStakingVaultInterface extends Interface {
-    getFunction(nameOrSignature: "WAD" | "allowance" | "approve" | "asset" | "assetsToShares" | "balanceOf" | "claim" | "decimals" | "deposit" | "distributeRewards" | "exchangeRate" | "governanceExecutor" | "initiateWithdraw" | "lockedAssets" | "name" | "owner" | "renounceOwnership" | "setGovernanceExecutor" | "setUnbondingPeriod" | "sharesToAssets" | "symbol" | "totalSupply" | "transfer" | "transferFrom" | "transferOwnership" | "unbondingPeriod" | "withdrawalNFT"): FunctionFragment;
-
-    getEvent(nameOrSignatureOrTopic: "Approval" | "Claimed" | "Deposited" | "DistributedRewards" | "InitiatedWithdraw" | "OwnershipTransferred" | "Transfer" | "UnbondingPeriodUpdated"): EventFragment;
-
-    encodeFunctionData(functionFragment: 'WAD', values?: undefined): string;
+    getFunction(nameOrSignature: "BPS" | "CLOCK_MODE" | "DECIMALS_OFFSET" | "MAX_MIN_REPORT_INTERVAL" | "MAX_PROTOCOL_FEE_BPS" | "MAX_REPORT_BPS" | "MAX_REWARDS_STREAMING_PERIOD" | "WAD" | "accountDepositCap" | "allowance" | "approve" | "asset" | "assetsToShares" | "balanceOf" | "checkpoint" | "claim" | "claimMany" | "claimTo" | "claimableAssets" | "claimableAt" | "clock" | "convertToAssets" | "convertToShares" | "decimals" | "deposit(uint256,address)" | "deposit(uint256)" | "depositCap" | "distributeRewards" | "emergencyMode" | "emergencyUnbondingPeriod" | "exchangeRate" | "exchangeRateAt" | "getPastTotalSupply" | "getPastVotes" | "getVotes" | "governanceExecutor" | "guardian" | "initiateWithdraw" | "lastReportAt" | "lockedAssets" | "managedAssets" | "maxDeposit" | "maxLossBps" | "maxMint" | "maxRedeem" | "maxRewardBps" | "maxWithdraw" | "minReportInterval" | "mint" | "name" | "oracle" | "owner" | "pause" | "paused" | "pendingRewards" | "previewDeposit" | "previewFee" | "previewMint" | "previewRedeem" | "previewWithdraw" | "protocolFeeBps" | "redeem" | "renounceOwnership" | "report" | "rewardsStreamingPeriod" | "setDepositCaps" | "setEmergencyMode" | "setGovernanceExecutor" | "setGuardian" | "setMinReportInterval" | "setOracle" | "setProtocolFee" | "setReportBounds" | "setRewardsStreamingPeriod" | "setTreasury" | "setUnbondingPeriod" | "sharesToAssets" | "streamEnd" | "streamStart" | "streamedRewards" | "sweep" | "symbol" | "totalAssets" | "totalFeeAssets" | "totalFeeShares" | "totalSupply" | "transfer" | "transferFrom" | "transferOwnership" | "treasury" | "unbondingPeriod" | "unlockedRewards" | "unpause" | "withdraw" | "withdrawalIndex" | "withdrawalNFT"): FunctionFragment;
+
+    getEvent(nameOrSignatureOrTopic: "Approval" | "Claimed" | "Deposit" | "DepositCapsUpdated" | "Deposited" | "DistributedRewards" | "EmergencyModeUpdated" | "FeeAccrued" | "GuardianUpdated" | "InitiatedWithdraw" | "MinReportIntervalUpdated" | "OracleUpdated" | "OwnershipTransferred" | "Paused" | "ProtocolFeeUpdated" | "ReportBoundsUpdated" | "Reported" | "RewardsStreamingPeriodUpdated" | "Swept" | "Transfer" | "TreasuryUpdated" | "UnbondingPeriodUpdated" | "Unpaused" | "Withdraw"): EventFragment;
+
+    encodeFunctionData(functionFragment: 'BPS', values?: undefined): string;
+encodeFunctionData(functionFragment: 'CLOCK_MODE', values?: undefined): string;
+encodeFunctionData(functionFragment: 'DECIMALS_OFFSET', values?: undefined): string;
+encodeFunctionData(functionFragment: 'MAX_MIN_REPORT_INTERVAL', values?: undefined): string;
+encodeFunctionData(functionFragment: 'MAX_PROTOCOL_FEE_BPS', values?: undefined): string;
+encodeFunctionData(functionFragment: 'MAX_REPORT_BPS', values?: undefined): string;
+encodeFunctionData(functionFragment: 'MAX_REWARDS_STREAMING_PERIOD', values?: undefined): string;
+encodeFunctionData(functionFragment: 'WAD', values?: undefined): string;
+encodeFunctionData(functionFragment: 'accountDepositCap', values?: undefined): string;
 encodeFunctionData(functionFragment: 'allowance', values: [AddressLike, AddressLike]): string;
 encodeFunctionData(functionFragment: 'approve', values: [AddressLike, BigNumberish]): string;
 encodeFunctionData(functionFragment: 'asset', values?: undefined): string;
 encodeFunctionData(functionFragment: 'assetsToShares', values: [BigNumberish]): string;
 encodeFunctionData(functionFragment: 'balanceOf', values: [AddressLike]): string;
+encodeFunctionData(functionFragment: 'checkpoint', values?: undefined): string;
 encodeFunctionData(functionFragment: 'claim', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'claimMany', values: [BigNumberish[]]): string;
+encodeFunctionData(functionFragment: 'claimTo', values: [BigNumberish, AddressLike]): string;
+encodeFunctionData(functionFragment: 'claimableAssets', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'claimableAt', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'clock', values?: undefined): string;
+encodeFunctionData(functionFragment: 'convertToAssets', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'convertToShares', values: [BigNumberish]): string;
 encodeFunctionData(functionFragment: 'decimals', values?: undefined): string;
-encodeFunctionData(functionFragment: 'deposit', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'deposit(uint256,address)', values: [BigNumberish, AddressLike]): string;
+encodeFunctionData(functionFragment: 'deposit(uint256)', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'depositCap', values?: undefined): string;
 encodeFunctionData(functionFragment: 'distributeRewards', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'emergencyMode', values?: undefined): string;
+encodeFunctionData(functionFragment: 'emergencyUnbondingPeriod', values?: undefined): string;
 encodeFunctionData(functionFragment: 'exchangeRate', values?: undefined): string;
+encodeFunctionData(functionFragment: 'exchangeRateAt', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'getPastTotalSupply', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'getPastVotes', values: [AddressLike, BigNumberish]): string;
+encodeFunctionData(functionFragment: 'getVotes', values: [AddressLike]): string;
 encodeFunctionData(functionFragment: 'governanceExecutor', values?: undefined): string;
+encodeFunctionData(functionFragment: 'guardian', values?: undefined): string;
 encodeFunctionData(functionFragment: 'initiateWithdraw', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'lastReportAt', values?: undefined): string;
 encodeFunctionData(functionFragment: 'lockedAssets', values?: undefined): string;
+encodeFunctionData(functionFragment: 'managedAssets', values?: undefined): string;
+encodeFunctionData(functionFragment: 'maxDeposit', values: [AddressLike]): string;
+encodeFunctionData(functionFragment: 'maxLossBps', values?: undefined): string;
+encodeFunctionData(functionFragment: 'maxMint', values: [AddressLike]): string;
+encodeFunctionData(functionFragment: 'maxRedeem', values: [AddressLike]): string;
+encodeFunctionData(functionFragment: 'maxRewardBps', values?: undefined): string;
+encodeFunctionData(functionFragment: 'maxWithdraw', values: [AddressLike]): string;
+encodeFunctionData(functionFragment: 'minReportInterval', values?: undefined): string;
+encodeFunctionData(functionFragment: 'mint', values: [BigNumberish, AddressLike]): string;
 encodeFunctionData(functionFragment: 'name', values?: undefined): string;
+encodeFunctionData(functionFragment: 'oracle', values?: undefined): string;
 encodeFunctionData(functionFragment: 'owner', values?: undefined): string;
+encodeFunctionData(functionFragment: 'pause', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'paused', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'pendingRewards', values?: undefined): string;
+encodeFunctionData(functionFragment: 'previewDeposit', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'previewFee', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'previewMint', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'previewRedeem', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'previewWithdraw', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'protocolFeeBps', values?: undefined): string;
+encodeFunctionData(functionFragment: 'redeem', values: [BigNumberish, AddressLike, AddressLike]): string;
 encodeFunctionData(functionFragment: 'renounceOwnership', values?: undefined): string;
+encodeFunctionData(functionFragment: 'report', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'rewardsStreamingPeriod', values?: undefined): string;
+encodeFunctionData(functionFragment: 'setDepositCaps', values: [BigNumberish, BigNumberish]): string;
+encodeFunctionData(functionFragment: 'setEmergencyMode', values: [boolean, BigNumberish]): string;
 encodeFunctionData(functionFragment: 'setGovernanceExecutor', values: [AddressLike]): string;
+encodeFunctionData(functionFragment: 'setGuardian', values: [AddressLike]): string;
+encodeFunctionData(functionFragment: 'setMinReportInterval', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'setOracle', values: [AddressLike]): string;
+encodeFunctionData(functionFragment: 'setProtocolFee', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'setReportBounds', values: [BigNumberish, BigNumberish]): string;
+encodeFunctionData(functionFragment: 'setRewardsStreamingPeriod', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'setTreasury', values: [AddressLike]): string;
 encodeFunctionData(functionFragment: 'setUnbondingPeriod', values: [BigNumberish]): string;
 encodeFunctionData(functionFragment: 'sharesToAssets', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'streamEnd', values?: undefined): string;
+encodeFunctionData(functionFragment: 'streamStart', values?: undefined): string;
+encodeFunctionData(functionFragment: 'streamedRewards', values?: undefined): string;
+encodeFunctionData(functionFragment: 'sweep', values: [AddressLike, AddressLike]): string;
 encodeFunctionData(functionFragment: 'symbol', values?: undefined): string;
+encodeFunctionData(functionFragment: 'totalAssets', values?: undefined): string;
+encodeFunctionData(functionFragment: 'totalFeeAssets', values?: undefined): string;
+encodeFunctionData(functionFragment: 'totalFeeShares', values?: undefined): string;
 encodeFunctionData(functionFragment: 'totalSupply', values?: undefined): string;
 encodeFunctionData(functionFragment: 'transfer', values: [AddressLike, BigNumberish]): string;
 encodeFunctionData(functionFragment: 'transferFrom', values: [AddressLike, AddressLike, BigNumberish]): string;
 encodeFunctionData(functionFragment: 'transferOwnership', values: [AddressLike]): string;
+encodeFunctionData(functionFragment: 'treasury', values?: undefined): string;
 encodeFunctionData(functionFragment: 'unbondingPeriod', values?: undefined): string;
+encodeFunctionData(functionFragment: 'unlockedRewards', values?: undefined): string;
+encodeFunctionData(functionFragment: 'unpause', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'withdraw', values: [BigNumberish, AddressLike, AddressLike]): string;
+encodeFunctionData(functionFragment: 'withdrawalIndex', values?: undefined): string;
 encodeFunctionData(functionFragment: 'withdrawalNFT', values?: undefined): string;
 
-    decodeFunctionResult(functionFragment: 'WAD', data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: 'BPS', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'CLOCK_MODE', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'DECIMALS_OFFSET', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'MAX_MIN_REPORT_INTERVAL', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'MAX_PROTOCOL_FEE_BPS', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'MAX_REPORT_BPS', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'MAX_REWARDS_STREAMING_PERIOD', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'WAD', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'accountDepositCap', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'allowance', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'approve', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'asset', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'assetsToShares', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'balanceOf', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'checkpoint', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'claim', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'claimMany', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'claimTo', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'claimableAssets', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'claimableAt', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'clock', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'convertToAssets', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'convertToShares', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'decimals', data: BytesLike): Result;
-decodeFunctionResult(functionFragment: 'deposit', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'deposit(uint256,address)', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'deposit(uint256)', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'depositCap', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'distributeRewards', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'emergencyMode', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'emergencyUnbondingPeriod', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'exchangeRate', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'exchangeRateAt', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'getPastTotalSupply', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'getPastVotes', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'getVotes', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'governanceExecutor', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'guardian', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'initiateWithdraw', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'lastReportAt', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'lockedAssets', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'managedAssets', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'maxDeposit', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'maxLossBps', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'maxMint', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'maxRedeem', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'maxRewardBps', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'maxWithdraw', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'minReportInterval', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'mint', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'name', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'oracle', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'owner', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'pause', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'paused', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'pendingRewards', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'previewDeposit', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'previewFee', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'previewMint', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'previewRedeem', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'previewWithdraw', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'protocolFeeBps', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'redeem', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'renounceOwnership', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'report', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'rewardsStreamingPeriod', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'setDepositCaps', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'setEmergencyMode', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'setGovernanceExecutor', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'setGuardian', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'setMinReportInterval', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'setOracle', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'setProtocolFee', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'setReportBounds', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'setRewardsStreamingPeriod', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'setTreasury', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'setUnbondingPeriod', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'sharesToAssets', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'streamEnd', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'streamStart', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'streamedRewards', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'sweep', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'symbol', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'totalAssets', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'totalFeeAssets', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'totalFeeShares', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'totalSupply', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'transfer', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'transferFrom', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'treasury', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'unbondingPeriod', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'unlockedRewards', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'unpause', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'withdraw', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'withdrawalIndex', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'withdrawalNFT', data: BytesLike): Result;
   }
 
@@ -81,9 +219,33 @@ decodeFunctionResult(functionFragment: 'withdrawalNFT', data: BytesLike): Result
   
 
     export namespace ClaimedEvent {
-      export type InputTuple = [user: AddressLike, withdrawalId: BigNumberish, assetsPaid: BigNumberish];
-      export type OutputTuple = [user: string, withdrawalId: bigint, assetsPaid: bigint];
-      export interface OutputObject {user: string, withdrawalId: bigint, assetsPaid: bigint };
+      export type InputTuple = [caller: AddressLike, recipient: AddressLike, withdrawalId: BigNumberish, assetsPaid: BigNumberish];
+      export type OutputTuple = [caller: string, recipient: string, withdrawalId: bigint, assetsPaid: bigint];
+      export interface OutputObject {caller: string, recipient: string, withdrawalId: bigint, assetsPaid: bigint };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace DepositEvent {
+      export type InputTuple = [sender: AddressLike, owner: AddressLike, assets: BigNumberish, shares: BigNumberish];
+      export type OutputTuple = [sender: string, owner: string, assets: bigint, shares: bigint];
+      export interface OutputObject {sender: string, owner: string, assets: bigint, shares: bigint };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace DepositCapsUpdatedEvent {
+      export type InputTuple = [depositCap: BigNumberish, accountDepositCap: BigNumberish];
+      export type OutputTuple = [depositCap: bigint, accountDepositCap: bigint];
+      export interface OutputObject {depositCap: bigint, accountDepositCap: bigint };
       export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
       export type Filter = TypedDeferredTopicFilter<Event>
       export type Log = TypedEventLog<Event>
@@ -116,6 +278,42 @@ decodeFunctionResult(functionFragment: 'withdrawalNFT', data: BytesLike): Result
 
   
 
+    export namespace EmergencyModeUpdatedEvent {
+      export type InputTuple = [enabled: boolean, emergencyUnbondingPeriod: BigNumberish];
+      export type OutputTuple = [enabled: boolean, emergencyUnbondingPeriod: bigint];
+      export interface OutputObject {enabled: boolean, emergencyUnbondingPeriod: bigint };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace FeeAccruedEvent {
+      export type InputTuple = [treasury: AddressLike, rewards: BigNumberish, feeAssets: BigNumberish, feeShares: BigNumberish];
+      export type OutputTuple = [treasury: string, rewards: bigint, feeAssets: bigint, feeShares: bigint];
+      export interface OutputObject {treasury: string, rewards: bigint, feeAssets: bigint, feeShares: bigint };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace GuardianUpdatedEvent {
+      export type InputTuple = [oldGuardian: AddressLike, newGuardian: AddressLike];
+      export type OutputTuple = [oldGuardian: string, newGuardian: string];
+      export interface OutputObject {oldGuardian: string, newGuardian: string };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
     export namespace InitiatedWithdrawEvent {
       export type InputTuple = [user: AddressLike, sharesBurned: BigNumberish, assetsOwed: BigNumberish, withdrawalId: BigNumberish, availableAt: BigNumberish];
       export type OutputTuple = [user: string, sharesBurned: bigint, assetsOwed: bigint, withdrawalId: bigint, availableAt: bigint];
@@ -128,6 +326,30 @@ decodeFunctionResult(functionFragment: 'withdrawalNFT', data: BytesLike): Result
 
   
 
+    export namespace MinReportIntervalUpdatedEvent {
+      export type InputTuple = [oldInterval: BigNumberish, newInterval: BigNumberish];
+      export type OutputTuple = [oldInterval: bigint, newInterval: bigint];
+      export interface OutputObject {oldInterval: bigint, newInterval: bigint };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace OracleUpdatedEvent {
+      export type InputTuple = [oldOracle: AddressLike, newOracle: AddressLike];
+      export type OutputTuple = [oldOracle: string, newOracle: string];
+      export interface OutputObject {oldOracle: string, newOracle: string };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
     export namespace OwnershipTransferredEvent {
       export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
       export type OutputTuple = [previousOwner: string, newOwner: string];
@@ -140,6 +362,78 @@ decodeFunctionResult(functionFragment: 'withdrawalNFT', data: BytesLike): Result
 
   
 
+    export namespace PausedEvent {
+      export type InputTuple = [action: BigNumberish, by: AddressLike];
+      export type OutputTuple = [action: bigint, by: string];
+      export interface OutputObject {action: bigint, by: string };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace ProtocolFeeUpdatedEvent {
+      export type InputTuple = [oldFeeBps: BigNumberish, newFeeBps: BigNumberish];
+      export type OutputTuple = [oldFeeBps: bigint, newFeeBps: bigint];
+      export interface OutputObject {oldFeeBps: bigint, newFeeBps: bigint };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace ReportBoundsUpdatedEvent {
+      export type InputTuple = [maxRewardBps: BigNumberish, maxLossBps: BigNumberish];
+      export type OutputTuple = [maxRewardBps: bigint, maxLossBps: bigint];
+      export interface OutputObject {maxRewardBps: bigint, maxLossBps: bigint };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace ReportedEvent {
+      export type InputTuple = [oracle: AddressLike, balanceChange: BigNumberish, withdrawalLoss: BigNumberish, totalAssets: BigNumberish, lockedAssets: BigNumberish, exchangeRate: BigNumberish];
+      export type OutputTuple = [oracle: string, balanceChange: bigint, withdrawalLoss: bigint, totalAssets: bigint, lockedAssets: bigint, exchangeRate: bigint];
+      export interface OutputObject {oracle: string, balanceChange: bigint, withdrawalLoss: bigint, totalAssets: bigint, lockedAssets: bigint, exchangeRate: bigint };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace RewardsStreamingPeriodUpdatedEvent {
+      export type InputTuple = [oldPeriod: BigNumberish, newPeriod: BigNumberish];
+      export type OutputTuple = [oldPeriod: bigint, newPeriod: bigint];
+      export interface OutputObject {oldPeriod: bigint, newPeriod: bigint };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace SweptEvent {
+      export type InputTuple = [token: AddressLike, to: AddressLike, amount: BigNumberish];
+      export type OutputTuple = [token: string, to: string, amount: bigint];
+      export interface OutputObject {token: string, to: string, amount: bigint };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
     export namespace TransferEvent {
       export type InputTuple = [from: AddressLike, to: AddressLike, value: BigNumberish];
       export type OutputTuple = [from: string, to: string, value: bigint];
@@ -152,6 +446,18 @@ decodeFunctionResult(functionFragment: 'withdrawalNFT', data: BytesLike): Result
 
   
 
+    export namespace TreasuryUpdatedEvent {
+      export type InputTuple = [oldTreasury: AddressLike, newTreasury: AddressLike];
+      export type OutputTuple = [oldTreasury: string, newTreasury: string];
+      export interface OutputObject {oldTreasury: string, newTreasury: string };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
     export namespace UnbondingPeriodUpdatedEvent {
       export type InputTuple = [oldPeriod: BigNumberish, newPeriod: BigNumberish];
       export type OutputTuple = [oldPeriod: bigint, newPeriod: bigint];
@@ -164,6 +470,30 @@ decodeFunctionResult(functionFragment: 'withdrawalNFT', data: BytesLike): Result
 
   
 
+    export namespace UnpausedEvent {
+      export type InputTuple = [action: BigNumberish];
+      export type OutputTuple = [action: bigint];
+      export interface OutputObject {action: bigint };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace WithdrawEvent {
+      export type InputTuple = [sender: AddressLike, receiver: AddressLike, owner: AddressLike, assets: BigNumberish, shares: BigNumberish];
+      export type OutputTuple = [sender: string, receiver: string, owner: string, assets: bigint, shares: bigint];
+      export interface OutputObject {sender: string, receiver: string, owner: string, assets: bigint, shares: bigint };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
   export interface LiquidStakingVault extends BaseContract {
     
     connect(runner?: ContractRunner | null): LiquidStakingVault;
@@ -198,7 +528,7 @@ decodeFunctionResult(functionFragment: 'withdrawalNFT', data: BytesLike): Result
 
     
     
-    WAD: TypedContractMethod<
+    BPS: TypedContractMethod<
       [],
       [bigint],
       'view'
@@ -206,55 +536,55 @@ decodeFunctionResult(functionFragment: 'withdrawalNFT', data: BytesLike): Result
     
 
     
-    allowance: TypedContractMethod<
-      [owner: AddressLike, spender: AddressLike, ],
-      [bigint],
+    CLOCK_MODE: TypedContractMethod<
+      [],
+      [string],
       'view'
     >
     
 
     
-    approve: TypedContractMethod<
-      [spender: AddressLike, value: BigNumberish, ],
-      [boolean],
-      'nonpayable'
+    DECIMALS_OFFSET: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
     >
     
 
     
-    asset: TypedContractMethod<
+    MAX_MIN_REPORT_INTERVAL: TypedContractMethod<
       [],
-      [string],
+      [bigint],
       'view'
     >
     
 
     
-    assetsToShares: TypedContractMethod<
-      [assets: BigNumberish, ],
+    MAX_PROTOCOL_FEE_BPS: TypedContractMethod<
+      [],
       [bigint],
       'view'
     >
     
 
     
-    balanceOf: TypedContractMethod<
-      [account: AddressLike, ],
+    MAX_REPORT_BPS: TypedContractMethod<
+      [],
       [bigint],
       'view'
     >
     
 
     
-    claim: TypedContractMethod<
-      [withdrawalId: BigNumberish, ],
-      [void],
-      'nonpayable'
+    MAX_REWARDS_STREAMING_PERIOD: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
     >
     
 
     
-    decimals: TypedContractMethod<
+    WAD: TypedContractMethod<
       [],
       [bigint],
       'view'
@@ -262,31 +592,31 @@ decodeFunctionResult(functionFragment: 'withdrawalNFT', data: BytesLike): Result
     
 
     
-    deposit: TypedContractMethod<
-      [assets: BigNumberish, ],
+    accountDepositCap: TypedContractMethod<
+      [],
       [bigint],
-      'nonpayable'
+      'view'
     >
     
 
     
-    distributeRewards: TypedContractMethod<
-      [assets: BigNumberish, ],
-      [void],
-      'nonpayable'
+    allowance: TypedContractMethod<
+      [owner: AddressLike, spender: AddressLike, ],
+      [bigint],
+      'view'
     >
     
 
     
-    exchangeRate: TypedContractMethod<
-      [],
-      [bigint],
-      'view'
+    approve: TypedContractMethod<
+      [spender: AddressLike, value: BigNumberish, ],
+      [boolean],
+      'nonpayable'
     >
     
 
     
-    governanceExecutor: TypedContractMethod<
+    asset: TypedContractMethod<
       [],
       [string],
       'view'
@@ -294,111 +624,663 @@ decodeFunctionResult(functionFragment: 'withdrawalNFT', data: BytesLike): Result
     
 
     
-    initiateWithdraw: TypedContractMethod<
-      [shares: BigNumberish, ],
+    assetsToShares: TypedContractMethod<
+      [assets: BigNumberish, ],
       [bigint],
-      'nonpayable'
+      'view'
     >
     
 
     
-    lockedAssets: TypedContractMethod<
-      [],
+    balanceOf: TypedContractMethod<
+      [account: AddressLike, ],
       [bigint],
       'view'
     >
     
 
     
-    name: TypedContractMethod<
+    checkpoint: TypedContractMethod<
       [],
-      [string],
-      'view'
+      [void],
+      'nonpayable'
     >
     
 
     
-    owner: TypedContractMethod<
-      [],
-      [string],
-      'view'
+    claim: TypedContractMethod<
+      [withdrawalId: BigNumberish, ],
+      [void],
+      'nonpayable'
     >
     
 
     
-    renounceOwnership: TypedContractMethod<
-      [],
-      [void],
+    claimMany: TypedContractMethod<
+      [withdrawalIds: BigNumberish[], ],
+      [bigint],
       'nonpayable'
     >
     
 
     
-    setGovernanceExecutor: TypedContractMethod<
-      [_governanceExecutor: AddressLike, ],
+    claimTo: TypedContractMethod<
+      [withdrawalId: BigNumberish, recipient: AddressLike, ],
       [void],
       'nonpayable'
     >
     
 
     
-    setUnbondingPeriod: TypedContractMethod<
-      [newPeriod: BigNumberish, ],
-      [void],
-      'nonpayable'
+    claimableAssets: TypedContractMethod<
+      [withdrawalId: BigNumberish, ],
+      [bigint],
+      'view'
     >
     
 
     
-    sharesToAssets: TypedContractMethod<
-      [shares: BigNumberish, ],
+    claimableAt: TypedContractMethod<
+      [withdrawalId: BigNumberish, ],
       [bigint],
       'view'
     >
     
 
     
-    symbol: TypedContractMethod<
+    clock: TypedContractMethod<
       [],
-      [string],
+      [bigint],
       'view'
     >
     
 
     
-    totalSupply: TypedContractMethod<
-      [],
+    convertToAssets: TypedContractMethod<
+      [shares: BigNumberish, ],
       [bigint],
       'view'
     >
     
 
     
-    transfer: TypedContractMethod<
-      [to: AddressLike, value: BigNumberish, ],
-      [boolean],
-      'nonpayable'
+    convertToShares: TypedContractMethod<
+      [assets: BigNumberish, ],
+      [bigint],
+      'view'
     >
     
 
     
-    transferFrom: TypedContractMethod<
-      [from: AddressLike, to: AddressLike, value: BigNumberish, ],
-      [boolean],
+    decimals: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    "deposit(uint256,address)": TypedContractMethod<
+      [assets: BigNumberish, receiver: AddressLike, ],
+      [bigint],
       'nonpayable'
     >
     
 
     
-    transferOwnership: TypedContractMethod<
-      [newOwner: AddressLike, ],
-      [void],
+    "deposit(uint256)": TypedContractMethod<
+      [assets: BigNumberish, ],
+      [bigint],
       'nonpayable'
     >
     
 
     
-    unbondingPeriod: TypedContractMethod<
+    depositCap: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    distributeRewards: TypedContractMethod<
+      [assets: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    emergencyMode: TypedContractMethod<
+      [],
+      [boolean],
+      'view'
+    >
+    
+
+    
+    emergencyUnbondingPeriod: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    exchangeRate: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    exchangeRateAt: TypedContractMethod<
+      [timepoint: BigNumberish, ],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    getPastTotalSupply: TypedContractMethod<
+      [timepoint: BigNumberish, ],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    getPastVotes: TypedContractMethod<
+      [account: AddressLike, timepoint: BigNumberish, ],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    getVotes: TypedContractMethod<
+      [account: AddressLike, ],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    governanceExecutor: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    guardian: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    initiateWithdraw: TypedContractMethod<
+      [shares: BigNumberish, ],
+      [bigint],
+      'nonpayable'
+    >
+    
+
+    
+    lastReportAt: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    lockedAssets: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    managedAssets: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    maxDeposit: TypedContractMethod<
+      [receiver: AddressLike, ],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    maxLossBps: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    maxMint: TypedContractMethod<
+      [receiver: AddressLike, ],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    maxRedeem: TypedContractMethod<
+      [owner: AddressLike, ],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    maxRewardBps: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    maxWithdraw: TypedContractMethod<
+      [owner: AddressLike, ],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    minReportInterval: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    mint: TypedContractMethod<
+      [shares: BigNumberish, receiver: AddressLike, ],
+      [bigint],
+      'nonpayable'
+    >
+    
+
+    
+    name: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    oracle: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    owner: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    pause: TypedContractMethod<
+      [action: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    paused: TypedContractMethod<
+      [arg0: BigNumberish, ],
+      [boolean],
+      'view'
+    >
+    
+
+    
+    pendingRewards: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    previewDeposit: TypedContractMethod<
+      [assets: BigNumberish, ],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    previewFee: TypedContractMethod<
+      [rewards: BigNumberish, ],
+      [[bigint, bigint] & {feeAssets: bigint, feeShares: bigint }],
+      'view'
+    >
+    
+
+    
+    previewMint: TypedContractMethod<
+      [shares: BigNumberish, ],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    previewRedeem: TypedContractMethod<
+      [shares: BigNumberish, ],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    previewWithdraw: TypedContractMethod<
+      [assets: BigNumberish, ],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    protocolFeeBps: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    redeem: TypedContractMethod<
+      [shares: BigNumberish, receiver: AddressLike, owner: AddressLike, ],
+      [bigint],
+      'nonpayable'
+    >
+    
+
+    
+    renounceOwnership: TypedContractMethod<
+      [],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    report: TypedContractMethod<
+      [balanceChange: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    rewardsStreamingPeriod: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    setDepositCaps: TypedContractMethod<
+      [newDepositCap: BigNumberish, newAccountDepositCap: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    setEmergencyMode: TypedContractMethod<
+      [enabled: boolean, newEmergencyUnbondingPeriod: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    setGovernanceExecutor: TypedContractMethod<
+      [_governanceExecutor: AddressLike, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    setGuardian: TypedContractMethod<
+      [newGuardian: AddressLike, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    setMinReportInterval: TypedContractMethod<
+      [newInterval: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    setOracle: TypedContractMethod<
+      [newOracle: AddressLike, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    setProtocolFee: TypedContractMethod<
+      [newFeeBps: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    setReportBounds: TypedContractMethod<
+      [newMaxRewardBps: BigNumberish, newMaxLossBps: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    setRewardsStreamingPeriod: TypedContractMethod<
+      [newPeriod: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    setTreasury: TypedContractMethod<
+      [newTreasury: AddressLike, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    setUnbondingPeriod: TypedContractMethod<
+      [newPeriod: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    sharesToAssets: TypedContractMethod<
+      [shares: BigNumberish, ],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    streamEnd: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    streamStart: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    streamedRewards: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    sweep: TypedContractMethod<
+      [token: AddressLike, to: AddressLike, ],
+      [bigint],
+      'nonpayable'
+    >
+    
+
+    
+    symbol: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    totalAssets: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    totalFeeAssets: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    totalFeeShares: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    totalSupply: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    transfer: TypedContractMethod<
+      [to: AddressLike, value: BigNumberish, ],
+      [boolean],
+      'nonpayable'
+    >
+    
+
+    
+    transferFrom: TypedContractMethod<
+      [from: AddressLike, to: AddressLike, value: BigNumberish, ],
+      [boolean],
+      'nonpayable'
+    >
+    
+
+    
+    transferOwnership: TypedContractMethod<
+      [newOwner: AddressLike, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    treasury: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    unbondingPeriod: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    unlockedRewards: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    unpause: TypedContractMethod<
+      [action: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    withdraw: TypedContractMethod<
+      [assets: BigNumberish, receiver: AddressLike, owner: AddressLike, ],
+      [bigint],
+      'nonpayable'
+    >
+    
+
+    
+    withdrawalIndex: TypedContractMethod<
       [],
       [bigint],
       'view'
@@ -410,13 +1292,53 @@ decodeFunctionResult(functionFragment: 'withdrawalNFT', data: BytesLike): Result
       [],
       [string],
       'view'
-    >
-    
-
-
-    getFunction<T extends ContractMethod = ContractMethod>(key: string | FunctionFragment): T;
-
-    getFunction(nameOrSignature: 'WAD'): TypedContractMethod<
+    >
+    
+
+
+    getFunction<T extends ContractMethod = ContractMethod>(key: string | FunctionFragment): T;
+
+    getFunction(nameOrSignature: 'BPS'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'CLOCK_MODE'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
+getFunction(nameOrSignature: 'DECIMALS_OFFSET'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'MAX_MIN_REPORT_INTERVAL'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'MAX_PROTOCOL_FEE_BPS'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'MAX_REPORT_BPS'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'MAX_REWARDS_STREAMING_PERIOD'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'WAD'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'accountDepositCap'): TypedContractMethod<
       [],
       [bigint],
       'view'
@@ -446,66 +1368,311 @@ getFunction(nameOrSignature: 'balanceOf'): TypedContractMethod<
       [bigint],
       'view'
     >;
+getFunction(nameOrSignature: 'checkpoint'): TypedContractMethod<
+      [],
+      [void],
+      'nonpayable'
+    >;
 getFunction(nameOrSignature: 'claim'): TypedContractMethod<
       [withdrawalId: BigNumberish, ],
       [void],
       'nonpayable'
     >;
+getFunction(nameOrSignature: 'claimMany'): TypedContractMethod<
+      [withdrawalIds: BigNumberish[], ],
+      [bigint],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'claimTo'): TypedContractMethod<
+      [withdrawalId: BigNumberish, recipient: AddressLike, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'claimableAssets'): TypedContractMethod<
+      [withdrawalId: BigNumberish, ],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'claimableAt'): TypedContractMethod<
+      [withdrawalId: BigNumberish, ],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'clock'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'convertToAssets'): TypedContractMethod<
+      [shares: BigNumberish, ],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'convertToShares'): TypedContractMethod<
+      [assets: BigNumberish, ],
+      [bigint],
+      'view'
+    >;
 getFunction(nameOrSignature: 'decimals'): TypedContractMethod<
       [],
       [bigint],
       'view'
     >;
-getFunction(nameOrSignature: 'deposit'): TypedContractMethod<
+getFunction(nameOrSignature: 'deposit(uint256,address)'): TypedContractMethod<
+      [assets: BigNumberish, receiver: AddressLike, ],
+      [bigint],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'deposit(uint256)'): TypedContractMethod<
       [assets: BigNumberish, ],
       [bigint],
       'nonpayable'
     >;
+getFunction(nameOrSignature: 'depositCap'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
 getFunction(nameOrSignature: 'distributeRewards'): TypedContractMethod<
       [assets: BigNumberish, ],
       [void],
       'nonpayable'
     >;
+getFunction(nameOrSignature: 'emergencyMode'): TypedContractMethod<
+      [],
+      [boolean],
+      'view'
+    >;
+getFunction(nameOrSignature: 'emergencyUnbondingPeriod'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
 getFunction(nameOrSignature: 'exchangeRate'): TypedContractMethod<
       [],
       [bigint],
       'view'
     >;
+getFunction(nameOrSignature: 'exchangeRateAt'): TypedContractMethod<
+      [timepoint: BigNumberish, ],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'getPastTotalSupply'): TypedContractMethod<
+      [timepoint: BigNumberish, ],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'getPastVotes'): TypedContractMethod<
+      [account: AddressLike, timepoint: BigNumberish, ],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'getVotes'): TypedContractMethod<
+      [account: AddressLike, ],
+      [bigint],
+      'view'
+    >;
 getFunction(nameOrSignature: 'governanceExecutor'): TypedContractMethod<
       [],
       [string],
       'view'
     >;
+getFunction(nameOrSignature: 'guardian'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
 getFunction(nameOrSignature: 'initiateWithdraw'): TypedContractMethod<
       [shares: BigNumberish, ],
       [bigint],
       'nonpayable'
     >;
+getFunction(nameOrSignature: 'lastReportAt'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
 getFunction(nameOrSignature: 'lockedAssets'): TypedContractMethod<
       [],
       [bigint],
       'view'
     >;
+getFunction(nameOrSignature: 'managedAssets'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'maxDeposit'): TypedContractMethod<
+      [receiver: AddressLike, ],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'maxLossBps'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'maxMint'): TypedContractMethod<
+      [receiver: AddressLike, ],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'maxRedeem'): TypedContractMethod<
+      [owner: AddressLike, ],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'maxRewardBps'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'maxWithdraw'): TypedContractMethod<
+      [owner: AddressLike, ],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'minReportInterval'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'mint'): TypedContractMethod<
+      [shares: BigNumberish, receiver: AddressLike, ],
+      [bigint],
+      'nonpayable'
+    >;
 getFunction(nameOrSignature: 'name'): TypedContractMethod<
       [],
       [string],
       'view'
     >;
+getFunction(nameOrSignature: 'oracle'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
 getFunction(nameOrSignature: 'owner'): TypedContractMethod<
       [],
       [string],
       'view'
     >;
+getFunction(nameOrSignature: 'pause'): TypedContractMethod<
+      [action: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'paused'): TypedContractMethod<
+      [arg0: BigNumberish, ],
+      [boolean],
+      'view'
+    >;
+getFunction(nameOrSignature: 'pendingRewards'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'previewDeposit'): TypedContractMethod<
+      [assets: BigNumberish, ],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'previewFee'): TypedContractMethod<
+      [rewards: BigNumberish, ],
+      [[bigint, bigint] & {feeAssets: bigint, feeShares: bigint }],
+      'view'
+    >;
+getFunction(nameOrSignature: 'previewMint'): TypedContractMethod<
+      [shares: BigNumberish, ],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'previewRedeem'): TypedContractMethod<
+      [shares: BigNumberish, ],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'previewWithdraw'): TypedContractMethod<
+      [assets: BigNumberish, ],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'protocolFeeBps'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'redeem'): TypedContractMethod<
+      [shares: BigNumberish, receiver: AddressLike, owner: AddressLike, ],
+      [bigint],
+      'nonpayable'
+    >;
 getFunction(nameOrSignature: 'renounceOwnership'): TypedContractMethod<
       [],
       [void],
       'nonpayable'
     >;
+getFunction(nameOrSignature: 'report'): TypedContractMethod<
+      [balanceChange: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'rewardsStreamingPeriod'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'setDepositCaps'): TypedContractMethod<
+      [newDepositCap: BigNumberish, newAccountDepositCap: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'setEmergencyMode'): TypedContractMethod<
+      [enabled: boolean, newEmergencyUnbondingPeriod: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >;
 getFunction(nameOrSignature: 'setGovernanceExecutor'): TypedContractMethod<
       [_governanceExecutor: AddressLike, ],
       [void],
       'nonpayable'
     >;
+getFunction(nameOrSignature: 'setGuardian'): TypedContractMethod<
+      [newGuardian: AddressLike, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'setMinReportInterval'): TypedContractMethod<
+      [newInterval: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'setOracle'): TypedContractMethod<
+      [newOracle: AddressLike, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'setProtocolFee'): TypedContractMethod<
+      [newFeeBps: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'setReportBounds'): TypedContractMethod<
+      [newMaxRewardBps: BigNumberish, newMaxLossBps: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'setRewardsStreamingPeriod'): TypedContractMethod<
+      [newPeriod: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'setTreasury'): TypedContractMethod<
+      [newTreasury: AddressLike, ],
+      [void],
+      'nonpayable'
+    >;
 getFunction(nameOrSignature: 'setUnbondingPeriod'): TypedContractMethod<
       [newPeriod: BigNumberish, ],
       [void],
@@ -516,11 +1683,46 @@ getFunction(nameOrSignature: 'sharesToAssets'): TypedContractMethod<
       [bigint],
       'view'
     >;
+getFunction(nameOrSignature: 'streamEnd'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'streamStart'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'streamedRewards'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'sweep'): TypedContractMethod<
+      [token: AddressLike, to: AddressLike, ],
+      [bigint],
+      'nonpayable'
+    >;
 getFunction(nameOrSignature: 'symbol'): TypedContractMethod<
       [],
       [string],
       'view'
     >;
+getFunction(nameOrSignature: 'totalAssets'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'totalFeeAssets'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'totalFeeShares'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
 getFunction(nameOrSignature: 'totalSupply'): TypedContractMethod<
       [],
       [bigint],
@@ -541,11 +1743,36 @@ getFunction(nameOrSignature: 'transferOwnership'): TypedContractMethod<
       [void],
       'nonpayable'
     >;
+getFunction(nameOrSignature: 'treasury'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
 getFunction(nameOrSignature: 'unbondingPeriod'): TypedContractMethod<
       [],
       [bigint],
       'view'
     >;
+getFunction(nameOrSignature: 'unlockedRewards'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'unpause'): TypedContractMethod<
+      [action: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'withdraw'): TypedContractMethod<
+      [assets: BigNumberish, receiver: AddressLike, owner: AddressLike, ],
+      [bigint],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'withdrawalIndex'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
 getFunction(nameOrSignature: 'withdrawalNFT'): TypedContractMethod<
       [],
       [string],
@@ -554,12 +1781,28 @@ getFunction(nameOrSignature: 'withdrawalNFT'): TypedContractMethod<
 
     getEvent(key: 'Approval'): TypedContractEvent<ApprovalEvent.InputTuple, ApprovalEvent.OutputTuple, ApprovalEvent.OutputObject>;
 getEvent(key: 'Claimed'): TypedContractEvent<ClaimedEvent.InputTuple, ClaimedEvent.OutputTuple, ClaimedEvent.OutputObject>;
+getEvent(key: 'Deposit'): TypedContractEvent<DepositEvent.InputTuple, DepositEvent.OutputTuple, DepositEvent.OutputObject>;
+getEvent(key: 'DepositCapsUpdated'): TypedContractEvent<DepositCapsUpdatedEvent.InputTuple, DepositCapsUpdatedEvent.OutputTuple, DepositCapsUpdatedEvent.OutputObject>;
 getEvent(key: 'Deposited'): TypedContractEvent<DepositedEvent.InputTuple, DepositedEvent.OutputTuple, DepositedEvent.OutputObject>;
 getEvent(key: 'DistributedRewards'): TypedContractEvent<DistributedRewardsEvent.InputTuple, DistributedRewardsEvent.OutputTuple, DistributedRewardsEvent.OutputObject>;
+getEvent(key: 'EmergencyModeUpdated'): TypedContractEvent<EmergencyModeUpdatedEvent.InputTuple, EmergencyModeUpdatedEvent.OutputTuple, EmergencyModeUpdatedEvent.OutputObject>;
+getEvent(key: 'FeeAccrued'): TypedContractEvent<FeeAccruedEvent.InputTuple, FeeAccruedEvent.OutputTuple, FeeAccruedEvent.OutputObject>;
+getEvent(key: 'GuardianUpdated'): TypedContractEvent<GuardianUpdatedEvent.InputTuple, GuardianUpdatedEvent.OutputTuple, GuardianUpdatedEvent.OutputObject>;
 getEvent(key: 'InitiatedWithdraw'): TypedContractEvent<InitiatedWithdrawEvent.InputTuple, InitiatedWithdrawEvent.OutputTuple, InitiatedWithdrawEvent.OutputObject>;
+getEvent(key: 'MinReportIntervalUpdated'): TypedContractEvent<MinReportIntervalUpdatedEvent.InputTuple, MinReportIntervalUpdatedEvent.OutputTuple, MinReportIntervalUpdatedEvent.OutputObject>;
+getEvent(key: 'OracleUpdated'): TypedContractEvent<OracleUpdatedEvent.InputTuple, OracleUpdatedEvent.OutputTuple, OracleUpdatedEvent.OutputObject>;
 getEvent(key: 'OwnershipTransferred'): TypedContractEvent<OwnershipTransferredEvent.InputTuple, OwnershipTransferredEvent.OutputTuple, OwnershipTransferredEvent.OutputObject>;
+getEvent(key: 'Paused'): TypedContractEvent<PausedEvent.InputTuple, PausedEvent.OutputTuple, PausedEvent.OutputObject>;
+getEvent(key: 'ProtocolFeeUpdated'): TypedContractEvent<ProtocolFeeUpdatedEvent.InputTuple, ProtocolFeeUpdatedEvent.OutputTuple, ProtocolFeeUpdatedEvent.OutputObject>;
+getEvent(key: 'ReportBoundsUpdated'): TypedContractEvent<ReportBoundsUpdatedEvent.InputTuple, ReportBoundsUpdatedEvent.OutputTuple, ReportBoundsUpdatedEvent.OutputObject>;
+getEvent(key: 'Reported'): TypedContractEvent<ReportedEvent.InputTuple, ReportedEvent.OutputTuple, ReportedEvent.OutputObject>;
+getEvent(key: 'RewardsStreamingPeriodUpdated'): TypedContractEvent<RewardsStreamingPeriodUpdatedEvent.InputTuple, RewardsStreamingPeriodUpdatedEvent.OutputTuple, RewardsStreamingPeriodUpdatedEvent.OutputObject>;
+getEvent(key: 'Swept'): TypedContractEvent<SweptEvent.InputTuple, SweptEvent.OutputTuple, SweptEvent.OutputObject>;
 getEvent(key: 'Transfer'): TypedContractEvent<TransferEvent.InputTuple, TransferEvent.OutputTuple, TransferEvent.OutputObject>;
+getEvent(key: 'TreasuryUpdated'): TypedContractEvent<TreasuryUpdatedEvent.InputTuple, TreasuryUpdatedEvent.OutputTuple, TreasuryUpdatedEvent.OutputObject>;
 getEvent(key: 'UnbondingPeriodUpdated'): TypedContractEvent<UnbondingPeriodUpdatedEvent.InputTuple, UnbondingPeriodUpdatedEvent.OutputTuple, UnbondingPeriodUpdatedEvent.OutputObject>;
+getEvent(key: 'Unpaused'): TypedContractEvent<UnpausedEvent.InputTuple, UnpausedEvent.OutputTuple, UnpausedEvent.OutputObject>;
+getEvent(key: 'Withdraw'): TypedContractEvent<WithdrawEvent.InputTuple, WithdrawEvent.OutputTuple, WithdrawEvent.OutputObject>;
 
     filters: {
       
@@ -567,10 +1810,18 @@ getEvent(key: 'UnbondingPeriodUpdated'): TypedContractEvent<UnbondingPeriodUpdat
       Approval: TypedContractEvent<ApprovalEvent.InputTuple, ApprovalEvent.OutputTuple, ApprovalEvent.OutputObject>;
     
 
-      'Claimed(address,uint256,uint256)': TypedContractEvent<ClaimedEvent.InputTuple, ClaimedEvent.OutputTuple, ClaimedEvent.OutputObject>;
+      'Claimed(address,address,uint256,uint256)': TypedContractEvent<ClaimedEvent.InputTuple, ClaimedEvent.OutputTuple, ClaimedEvent.OutputObject>;
       Claimed: TypedContractEvent<ClaimedEvent.InputTuple, ClaimedEvent.OutputTuple, ClaimedEvent.OutputObject>;
     
 
+      'Deposit(address,address,uint256,uint256)': TypedContractEvent<DepositEvent.InputTuple, DepositEvent.OutputTuple, DepositEvent.OutputObject>;
+      Deposit: TypedContractEvent<DepositEvent.InputTuple, DepositEvent.OutputTuple, DepositEvent.OutputObject>;
+    
+
+      'DepositCapsUpdated(uint256,uint256)': TypedContractEvent<DepositCapsUpdatedEvent.InputTuple, DepositCapsUpdatedEvent.OutputTuple, DepositCapsUpdatedEvent.OutputObject>;
+      DepositCapsUpdated: TypedContractEvent<DepositCapsUpdatedEvent.InputTuple, DepositCapsUpdatedEvent.OutputTuple, DepositCapsUpdatedEvent.OutputObject>;
+    
+
       'Deposited(address,uint256,uint256)': TypedContractEvent<DepositedEvent.InputTuple, DepositedEvent.OutputTuple, DepositedEvent.OutputObject>;
       Deposited: TypedContractEvent<DepositedEvent.InputTuple, DepositedEvent.OutputTuple, DepositedEvent.OutputObject>;
     
@@ -579,20 +1830,76 @@ getEvent(key: 'UnbondingPeriodUpdated'): TypedContractEvent<UnbondingPeriodUpdat
       DistributedRewards: TypedContractEvent<DistributedRewardsEvent.InputTuple, DistributedRewardsEvent.OutputTuple, DistributedRewardsEvent.OutputObject>;
     
 
+      'EmergencyModeUpdated(bool,uint256)': TypedContractEvent<EmergencyModeUpdatedEvent.InputTuple, EmergencyModeUpdatedEvent.OutputTuple, EmergencyModeUpdatedEvent.OutputObject>;
+      EmergencyModeUpdated: TypedContractEvent<EmergencyModeUpdatedEvent.InputTuple, EmergencyModeUpdatedEvent.OutputTuple, EmergencyModeUpdatedEvent.OutputObject>;
+    
+
+      'FeeAccrued(address,uint256,uint256,uint256)': TypedContractEvent<FeeAccruedEvent.InputTuple, FeeAccruedEvent.OutputTuple, FeeAccruedEvent.OutputObject>;
+      FeeAccrued: TypedContractEvent<FeeAccruedEvent.InputTuple, FeeAccruedEvent.OutputTuple, FeeAccruedEvent.OutputObject>;
+    
+
+      'GuardianUpdated(address,address)': TypedContractEvent<GuardianUpdatedEvent.InputTuple, GuardianUpdatedEvent.OutputTuple, GuardianUpdatedEvent.OutputObject>;
+      GuardianUpdated: TypedContractEvent<GuardianUpdatedEvent.InputTuple, GuardianUpdatedEvent.OutputTuple, GuardianUpdatedEvent.OutputObject>;
+    
+
       'InitiatedWithdraw(address,uint256,uint256,uint256,uint256)': TypedContractEvent<InitiatedWithdrawEvent.InputTuple, InitiatedWithdrawEvent.OutputTuple, InitiatedWithdrawEvent.OutputObject>;
       InitiatedWithdraw: TypedContractEvent<InitiatedWithdrawEvent.InputTuple, InitiatedWithdrawEvent.OutputTuple, InitiatedWithdrawEvent.OutputObject>;
     
 
+      'MinReportIntervalUpdated(uint256,uint256)': TypedContractEvent<MinReportIntervalUpdatedEvent.InputTuple, MinReportIntervalUpdatedEvent.OutputTuple, MinReportIntervalUpdatedEvent.OutputObject>;
+      MinReportIntervalUpdated: TypedContractEvent<MinReportIntervalUpdatedEvent.InputTuple, MinReportIntervalUpdatedEvent.OutputTuple, MinReportIntervalUpdatedEvent.OutputObject>;
+    
+
+      'OracleUpdated(address,address)': TypedContractEvent<OracleUpdatedEvent.InputTuple, OracleUpdatedEvent.OutputTuple, OracleUpdatedEvent.OutputObject>;
+      OracleUpdated: TypedContractEvent<OracleUpdatedEvent.InputTuple, OracleUpdatedEvent.OutputTuple, OracleUpdatedEvent.OutputObject>;
+    
+
       'OwnershipTransferred(address,address)': TypedContractEvent<OwnershipTransferredEvent.InputTuple, OwnershipTransferredEvent.OutputTuple, OwnershipTransferredEvent.OutputObject>;
       OwnershipTransferred: TypedContractEvent<OwnershipTransferredEvent.InputTuple, OwnershipTransferredEvent.OutputTuple, OwnershipTransferredEvent.OutputObject>;
     
 
+      'Paused(uint8,address)': TypedContractEvent<PausedEvent.InputTuple, PausedEvent.OutputTuple, PausedEvent.OutputObject>;
+      Paused: TypedContractEvent<PausedEvent.InputTuple, PausedEvent.OutputTuple, PausedEvent.OutputObject>;
+    
+
+      'ProtocolFeeUpdated(uint256,uint256)': TypedContractEvent<ProtocolFeeUpdatedEvent.InputTuple, ProtocolFeeUpdatedEvent.OutputTuple, ProtocolFeeUpdatedEvent.OutputObject>;
+      ProtocolFeeUpdated: TypedContractEvent<ProtocolFeeUpdatedEvent.InputTuple, ProtocolFeeUpdatedEvent.OutputTuple, ProtocolFeeUpdatedEvent.OutputObject>;
+    
+
+      'ReportBoundsUpdated(uint256,uint256)': TypedContractEvent<ReportBoundsUpdatedEvent.InputTuple, ReportBoundsUpdatedEvent.OutputTuple, ReportBoundsUpdatedEvent.OutputObject>;
+      ReportBoundsUpdated: TypedContractEvent<ReportBoundsUpdatedEvent.InputTuple, ReportBoundsUpdatedEvent.OutputTuple, ReportBoundsUpdatedEvent.OutputObject>;
+    
+
+      'Reported(address,int256,uint256,uint256,uint256,uint256)': TypedContractEvent<ReportedEvent.InputTuple, ReportedEvent.OutputTuple, ReportedEvent.OutputObject>;
+      Reported: TypedContractEvent<ReportedEvent.InputTuple, ReportedEvent.OutputTuple, ReportedEvent.OutputObject>;
+    
+
+      'RewardsStreamingPeriodUpdated(uint256,uint256)': TypedContractEvent<RewardsStreamingPeriodUpdatedEvent.InputTuple, RewardsStreamingPeriodUpdatedEvent.OutputTuple, RewardsStreamingPeriodUpdatedEvent.OutputObject>;
+      RewardsStreamingPeriodUpdated: TypedContractEvent<RewardsStreamingPeriodUpdatedEvent.InputTuple, RewardsStreamingPeriodUpdatedEvent.OutputTuple, RewardsStreamingPeriodUpdatedEvent.OutputObject>;
+    
+
+      'Swept(address,address,uint256)': TypedContractEvent<SweptEvent.InputTuple, SweptEvent.OutputTuple, SweptEvent.OutputObject>;
+      Swept: TypedContractEvent<SweptEvent.InputTuple, SweptEvent.OutputTuple, SweptEvent.OutputObject>;
+    
+
       'Transfer(address,address,uint256)': TypedContractEvent<TransferEvent.InputTuple, TransferEvent.OutputTuple, TransferEvent.OutputObject>;
       Transfer: TypedContractEvent<TransferEvent.InputTuple, TransferEvent.OutputTuple, TransferEvent.OutputObject>;
     
 
+      'TreasuryUpdated(address,address)': TypedContractEvent<TreasuryUpdatedEvent.InputTuple, TreasuryUpdatedEvent.OutputTuple, TreasuryUpdatedEvent.OutputObject>;
+      TreasuryUpdated: TypedContractEvent<TreasuryUpdatedEvent.InputTuple, TreasuryUpdatedEvent.OutputTuple, TreasuryUpdatedEvent.OutputObject>;
+    
+
       'UnbondingPeriodUpdated(uint256,uint256)': TypedContractEvent<UnbondingPeriodUpdatedEvent.InputTuple, UnbondingPeriodUpdatedEvent.OutputTuple, UnbondingPeriodUpdatedEvent.OutputObject>;
       UnbondingPeriodUpdated: TypedContractEvent<UnbondingPeriodUpdatedEvent.InputTuple, UnbondingPeriodUpdatedEvent.OutputTuple, UnbondingPeriodUpdatedEvent.OutputObject>;
     
+
+      'Unpaused(uint8)': TypedContractEvent<UnpausedEvent.InputTuple, UnpausedEvent.OutputTuple, UnpausedEvent.OutputObject>;
+      Unpaused: TypedContractEvent<UnpausedEvent.InputTuple, UnpausedEvent.OutputTuple, UnpausedEvent.OutputObject>;
+    
+
+      'Withdraw(address,address,address,uint256,uint256)': TypedContractEvent<WithdrawEvent.InputTuple, WithdrawEvent.OutputTuple, WithdrawEvent.OutputObject>;
+      Withdraw: TypedContractEvent<WithdrawEvent.InputTuple, WithdrawEvent.OutputTuple, WithdrawEvent.OutputObject>;
+    
     };
   }
\ No newline at end of file
@@ -6,17 +6,19 @@ import type { TypedContractEvent, TypedDeferredTopicFilter, TypedEventLog, Typed
   
 
   export interface WithdrawalNFTInterface extends Interface {
-    getFunction(nameOrSignature: "approve" | "balanceOf" | "burnWithdrawal" | "getApproved" | "getWithdrawal" | "isApprovedForAll" | "mintWithdrawal" | "name" | "owner" | "ownerOf" | "renounceOwnership" | "safeTransferFrom(address,address,uint256)" | "safeTransferFrom(address,address,uint256,bytes)" | "setApprovalForAll" | "supportsInterface" | "symbol" | "tokenURI" | "transferFrom" | "transferOwnership"): FunctionFragment;
+    getFunction(nameOrSignature: "approve" | "asset" | "balanceOf" | "burnWithdrawal" | "getApproved" | "getWithdrawal" | "isApprovedForAll" | "isAuthorized" | "mintWithdrawal" | "name" | "owner" | "ownerOf" | "renounceOwnership" | "safeTransferFrom(address,address,uint256)" | "safeTransferFrom(address,address,uint256,bytes)" | "setApprovalForAll" | "supportsInterface" | "symbol" | "tokenURI" | "transferFrom" | "transferOwnership"): FunctionFragment;
 
     getEvent(nameOrSignatureOrTopic: "Approval" | "ApprovalForAll" | "OwnershipTransferred" | "Transfer"): EventFragment;
 
     encodeFunctionData(functionFragment: 'approve', values: [AddressLike, BigNumberish]): string;
+encodeFunctionData(functionFragment: 'asset', values?: undefined): string;
 encodeFunctionData(functionFragment: 'balanceOf', values: [AddressLike]): string;
 encodeFunctionData(functionFragment: 'burnWithdrawal', values: [BigNumberish]): string;
 encodeFunctionData(functionFragment: 'getApproved', values: [BigNumberish]): string;
 encodeFunctionData(functionFragment: 'getWithdrawal', values: [BigNumberish]): string;
 encodeFunctionData(functionFragment: 'isApprovedForAll', values: [AddressLike, AddressLike]): string;
-encodeFunctionData(functionFragment: 'mintWithdrawal', values: [AddressLike, BigNumberish, BigNumberish]): string;
+encodeFunctionData(functionFragment: 'isAuthorized', values: [AddressLike, BigNumberish]): string;
+encodeFunctionData(functionFragment: 'mintWithdrawal', values: [AddressLike, AddressLike, BigNumberish, BigNumberish]): string;
 encodeFunctionData(functionFragment: 'name', values?: undefined): string;
 encodeFunctionData(functionFragment: 'owner', values?: undefined): string;
 encodeFunctionData(functionFragment: 'ownerOf', values: [BigNumberish]): string;
@@ -31,11 +33,13 @@ encodeFunctionData(functionFragment: 'transferFrom', values: [AddressLike, Addre
 encodeFunctionData(functionFragment: 'transferOwnership', values: [AddressLike]): string;
 
     decodeFunctionResult(functionFragment: 'approve', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'asset', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'balanceOf', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'burnWithdrawal', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'getApproved', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'getWithdrawal', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'isApprovedForAll', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'isAuthorized', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'mintWithdrawal', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'name', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'owner', data: BytesLike): Result;
@@ -142,6 +146,14 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
     
 
     
+    asset: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
     balanceOf: TypedContractMethod<
       [owner: AddressLike, ],
       [bigint],
@@ -168,7 +180,7 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
     
     getWithdrawal: TypedContractMethod<
       [id: BigNumberish, ],
-      [[bigint, bigint] & {assetsOwed: bigint, availableAt: bigint }],
+      [[bigint, bigint, string, bigint] & {assetsOwed: bigint, availableAt: bigint, requester: string, requestedAt: bigint }],
       'view'
     >
     
@@ -182,8 +194,16 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
     
 
     
+    isAuthorized: TypedContractMethod<
+      [spender: AddressLike, id: BigNumberish, ],
+      [boolean],
+      'view'
+    >
+    
+
+    
     mintWithdrawal: TypedContractMethod<
-      [to: AddressLike, assetsOwed: BigNumberish, availableAt: BigNumberish, ],
+      [to: AddressLike, requester: AddressLike, assetsOwed: BigNumberish, availableAt: BigNumberish, ],
       [bigint],
       'nonpayable'
     >
@@ -263,7 +283,7 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
 
     
     tokenURI: TypedContractMethod<
-      [tokenId: BigNumberish, ],
+      [id: BigNumberish, ],
       [string],
       'view'
     >
@@ -293,6 +313,11 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
       [void],
       'nonpayable'
     >;
+getFunction(nameOrSignature: 'asset'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
 getFunction(nameOrSignature: 'balanceOf'): TypedContractMethod<
       [owner: AddressLike, ],
       [bigint],
@@ -310,7 +335,7 @@ getFunction(nameOrSignature: 'getApproved'): TypedContractMethod<
     >;
 getFunction(nameOrSignature: 'getWithdrawal'): TypedContractMethod<
       [id: BigNumberish, ],
-      [[bigint, bigint] & {assetsOwed: bigint, availableAt: bigint }],
+      [[bigint, bigint, string, bigint] & {assetsOwed: bigint, availableAt: bigint, requester: string, requestedAt: bigint }],
       'view'
     >;
 getFunction(nameOrSignature: 'isApprovedForAll'): TypedContractMethod<
@@ -318,8 +343,13 @@ getFunction(nameOrSignature: 'isApprovedForAll'): TypedContractMethod<
       [boolean],
       'view'
     >;
+getFunction(nameOrSignature: 'isAuthorized'): TypedContractMethod<
+      [spender: AddressLike, id: BigNumberish, ],
+      [boolean],
+      'view'
+    >;
 getFunction(nameOrSignature: 'mintWithdrawal'): TypedContractMethod<
-      [to: AddressLike, assetsOwed: BigNumberish, availableAt: BigNumberish, ],
+      [to: AddressLike, requester: AddressLike, assetsOwed: BigNumberish, availableAt: BigNumberish, ],
       [bigint],
       'nonpayable'
     >;
@@ -369,7 +399,7 @@ getFunction(nameOrSignature: 'symbol'): TypedContractMethod<
       'view'
     >;
 getFunction(nameOrSignature: 'tokenURI'): TypedContractMethod<
-      [tokenId: BigNumberish, ],
+      [id: BigNumberish, ],
       [string],
       'view'
     >;
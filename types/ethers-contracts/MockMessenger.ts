@@ -0,0 +1,260 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type { BaseContract, BigNumberish, BytesLike, FunctionFragment, Result, Interface, EventFragment, AddressLike, ContractRunner, ContractMethod, Listener } from "ethers"
+import type { TypedContractEvent, TypedDeferredTopicFilter, TypedEventLog, TypedLogDescription, TypedListener, TypedContractMethod } from "./common.js"
+  
+
+  export interface MockMessengerInterface extends Interface {
+    getFunction(nameOrSignature: "delivered" | "nonce" | "owner" | "relayMessage" | "relayer" | "renounceOwnership" | "sendMessage" | "setRelayer" | "transferOwnership"): FunctionFragment;
+
+    getEvent(nameOrSignatureOrTopic: "MessageRelayed" | "MessageSent" | "OwnershipTransferred" | "RelayerUpdated"): EventFragment;
+
+    encodeFunctionData(functionFragment: 'delivered', values: [BytesLike]): string;
+encodeFunctionData(functionFragment: 'nonce', values?: undefined): string;
+encodeFunctionData(functionFragment: 'owner', values?: undefined): string;
+encodeFunctionData(functionFragment: 'relayMessage', values: [BytesLike, BigNumberish, AddressLike, AddressLike, BytesLike]): string;
+encodeFunctionData(functionFragment: 'relayer', values?: undefined): string;
+encodeFunctionData(functionFragment: 'renounceOwnership', values?: undefined): string;
+encodeFunctionData(functionFragment: 'sendMessage', values: [BigNumberish, AddressLike, BytesLike]): string;
+encodeFunctionData(functionFragment: 'setRelayer', values: [AddressLike]): string;
+encodeFunctionData(functionFragment: 'transferOwnership', values: [AddressLike]): string;
+
+    decodeFunctionResult(functionFragment: 'delivered', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'nonce', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'owner', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'relayMessage', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'relayer', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'renounceOwnership', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'sendMessage', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'setRelayer', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Result;
+  }
+
+  
+    export namespace MessageRelayedEvent {
+      export type InputTuple = [messageId: BytesLike, sourceChainId: BigNumberish, target: AddressLike];
+      export type OutputTuple = [messageId: string, sourceChainId: bigint, target: string];
+      export interface OutputObject {messageId: string, sourceChainId: bigint, target: string };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace MessageSentEvent {
+      export type InputTuple = [messageId: BytesLike, destinationChainId: BigNumberish, sender: AddressLike, target: AddressLike, message: BytesLike, nonce: BigNumberish];
+      export type OutputTuple = [messageId: string, destinationChainId: bigint, sender: string, target: string, message: string, nonce: bigint];
+      export interface OutputObject {messageId: string, destinationChainId: bigint, sender: string, target: string, message: string, nonce: bigint };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace OwnershipTransferredEvent {
+      export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
+      export type OutputTuple = [previousOwner: string, newOwner: string];
+      export interface OutputObject {previousOwner: string, newOwner: string };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace RelayerUpdatedEvent {
+      export type InputTuple = [oldRelayer: AddressLike, newRelayer: AddressLike];
+      export type OutputTuple = [oldRelayer: string, newRelayer: string];
+      export interface OutputObject {oldRelayer: string, newRelayer: string };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+  export interface MockMessenger extends BaseContract {
+    
+    connect(runner?: ContractRunner | null): MockMessenger;
+    waitForDeployment(): Promise<this>;
+
+    interface: MockMessengerInterface;
+
+    
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined,
+  ): Promise<Array<TypedEventLog<TCEvent>>>
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(event: TCEvent, listener: TypedListener<TCEvent>): Promise<this>
+  on<TCEvent extends TypedContractEvent>(filter: TypedDeferredTopicFilter<TCEvent>, listener: TypedListener<TCEvent>): Promise<this>
+  
+  once<TCEvent extends TypedContractEvent>(event: TCEvent, listener: TypedListener<TCEvent>): Promise<this>
+  once<TCEvent extends TypedContractEvent>(filter: TypedDeferredTopicFilter<TCEvent>, listener: TypedListener<TCEvent>): Promise<this>
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>
+  removeAllListeners<TCEvent extends TypedContractEvent>(event?: TCEvent): Promise<this>
+
+
+    
+    
+    delivered: TypedContractMethod<
+      [arg0: BytesLike, ],
+      [boolean],
+      'view'
+    >
+    
+
+    
+    nonce: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    owner: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    relayMessage: TypedContractMethod<
+      [messageId: BytesLike, sourceChainId: BigNumberish, sender: AddressLike, target: AddressLike, message: BytesLike, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    relayer: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    renounceOwnership: TypedContractMethod<
+      [],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    sendMessage: TypedContractMethod<
+      [destinationChainId: BigNumberish, target: AddressLike, message: BytesLike, ],
+      [string],
+      'payable'
+    >
+    
+
+    
+    setRelayer: TypedContractMethod<
+      [_relayer: AddressLike, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    transferOwnership: TypedContractMethod<
+      [newOwner: AddressLike, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+
+    getFunction<T extends ContractMethod = ContractMethod>(key: string | FunctionFragment): T;
+
+    getFunction(nameOrSignature: 'delivered'): TypedContractMethod<
+      [arg0: BytesLike, ],
+      [boolean],
+      'view'
+    >;
+getFunction(nameOrSignature: 'nonce'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'owner'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
+getFunction(nameOrSignature: 'relayMessage'): TypedContractMethod<
+      [messageId: BytesLike, sourceChainId: BigNumberish, sender: AddressLike, target: AddressLike, message: BytesLike, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'relayer'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
+getFunction(nameOrSignature: 'renounceOwnership'): TypedContractMethod<
+      [],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'sendMessage'): TypedContractMethod<
+      [destinationChainId: BigNumberish, target: AddressLike, message: BytesLike, ],
+      [string],
+      'payable'
+    >;
+getFunction(nameOrSignature: 'setRelayer'): TypedContractMethod<
+      [_relayer: AddressLike, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'transferOwnership'): TypedContractMethod<
+      [newOwner: AddressLike, ],
+      [void],
+      'nonpayable'
+    >;
+
+    getEvent(key: 'MessageRelayed'): TypedContractEvent<MessageRelayedEvent.InputTuple, MessageRelayedEvent.OutputTuple, MessageRelayedEvent.OutputObject>;
+getEvent(key: 'MessageSent'): TypedContractEvent<MessageSentEvent.InputTuple, MessageSentEvent.OutputTuple, MessageSentEvent.OutputObject>;
+getEvent(key: 'OwnershipTransferred'): TypedContractEvent<OwnershipTransferredEvent.InputTuple, OwnershipTransferredEvent.OutputTuple, OwnershipTransferredEvent.OutputObject>;
+getEvent(key: 'RelayerUpdated'): TypedContractEvent<RelayerUpdatedEvent.InputTuple, RelayerUpdatedEvent.OutputTuple, RelayerUpdatedEvent.OutputObject>;
+
+    filters: {
+      
+      'MessageRelayed(bytes32,uint256,address)': TypedContractEvent<MessageRelayedEvent.InputTuple, MessageRelayedEvent.OutputTuple, MessageRelayedEvent.OutputObject>;
+      MessageRelayed: TypedContractEvent<MessageRelayedEvent.InputTuple, MessageRelayedEvent.OutputTuple, MessageRelayedEvent.OutputObject>;
+    
+
+      'MessageSent(bytes32,uint256,address,address,bytes,uint256)': TypedContractEvent<MessageSentEvent.InputTuple, MessageSentEvent.OutputTuple, MessageSentEvent.OutputObject>;
+      MessageSent: TypedContractEvent<MessageSentEvent.InputTuple, MessageSentEvent.OutputTuple, MessageSentEvent.OutputObject>;
+    
+
+      'OwnershipTransferred(address,address)': TypedContractEvent<OwnershipTransferredEvent.InputTuple, OwnershipTransferredEvent.OutputTuple, OwnershipTransferredEvent.OutputObject>;
+      OwnershipTransferred: TypedContractEvent<OwnershipTransferredEvent.InputTuple, OwnershipTransferredEvent.OutputTuple, OwnershipTransferredEvent.OutputObject>;
+    
+
+      'RelayerUpdated(address,address)': TypedContractEvent<RelayerUpdatedEvent.InputTuple, RelayerUpdatedEvent.OutputTuple, RelayerUpdatedEvent.OutputObject>;
+      RelayerUpdated: TypedContractEvent<RelayerUpdatedEvent.InputTuple, RelayerUpdatedEvent.OutputTuple, RelayerUpdatedEvent.OutputObject>;
+    
+    };
+  }
\ No newline at end of file
@@ -0,0 +1,119 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type { BaseContract, BigNumberish, BytesLike, FunctionFragment, Result, Interface, EventFragment, AddressLike, ContractRunner, ContractMethod, Listener } from "ethers"
+import type { TypedContractEvent, TypedDeferredTopicFilter, TypedEventLog, TypedLogDescription, TypedListener, TypedContractMethod } from "./common.js"
+  
+
+  export interface RelayerSetInterface extends Interface {
+    getFunction(nameOrSignature: "getRelayers" | "isRelayer" | "threshold"): FunctionFragment;
+
+    getEvent(nameOrSignatureOrTopic: "RelayerSetUpdated"): EventFragment;
+
+    encodeFunctionData(functionFragment: 'getRelayers', values?: undefined): string;
+encodeFunctionData(functionFragment: 'isRelayer', values: [AddressLike]): string;
+encodeFunctionData(functionFragment: 'threshold', values?: undefined): string;
+
+    decodeFunctionResult(functionFragment: 'getRelayers', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'isRelayer', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'threshold', data: BytesLike): Result;
+  }
+
+  
+    export namespace RelayerSetUpdatedEvent {
+      export type InputTuple = [relayers: AddressLike[], threshold: BigNumberish];
+      export type OutputTuple = [relayers: string[], threshold: bigint];
+      export interface OutputObject {relayers: string[], threshold: bigint };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+  export interface RelayerSet extends BaseContract {
+    
+    connect(runner?: ContractRunner | null): RelayerSet;
+    waitForDeployment(): Promise<this>;
+
+    interface: RelayerSetInterface;
+
+    
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined,
+  ): Promise<Array<TypedEventLog<TCEvent>>>
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(event: TCEvent, listener: TypedListener<TCEvent>): Promise<this>
+  on<TCEvent extends TypedContractEvent>(filter: TypedDeferredTopicFilter<TCEvent>, listener: TypedListener<TCEvent>): Promise<this>
+  
+  once<TCEvent extends TypedContractEvent>(event: TCEvent, listener: TypedListener<TCEvent>): Promise<this>
+  once<TCEvent extends TypedContractEvent>(filter: TypedDeferredTopicFilter<TCEvent>, listener: TypedListener<TCEvent>): Promise<this>
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>
+  removeAllListeners<TCEvent extends TypedContractEvent>(event?: TCEvent): Promise<this>
+
+
+    
+    
+    getRelayers: TypedContractMethod<
+      [],
+      [string[]],
+      'view'
+    >
+    
+
+    
+    isRelayer: TypedContractMethod<
+      [arg0: AddressLike, ],
+      [boolean],
+      'view'
+    >
+    
+
+    
+    threshold: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+
+    getFunction<T extends ContractMethod = ContractMethod>(key: string | FunctionFragment): T;
+
+    getFunction(nameOrSignature: 'getRelayers'): TypedContractMethod<
+      [],
+      [string[]],
+      'view'
+    >;
+getFunction(nameOrSignature: 'isRelayer'): TypedContractMethod<
+      [arg0: AddressLike, ],
+      [boolean],
+      'view'
+    >;
+getFunction(nameOrSignature: 'threshold'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+
+    getEvent(key: 'RelayerSetUpdated'): TypedContractEvent<RelayerSetUpdatedEvent.InputTuple, RelayerSetUpdatedEvent.OutputTuple, RelayerSetUpdatedEvent.OutputObject>;
+
+    filters: {
+      
+      'RelayerSetUpdated(address[],uint256)': TypedContractEvent<RelayerSetUpdatedEvent.InputTuple, RelayerSetUpdatedEvent.OutputTuple, RelayerSetUpdatedEvent.OutputObject>;
+      RelayerSetUpdated: TypedContractEvent<RelayerSetUpdatedEvent.InputTuple, RelayerSetUpdatedEvent.OutputTuple, RelayerSetUpdatedEvent.OutputObject>;
+    
+    };
+  }
\ No newline at end of file
@@ -6,51 +6,151 @@ import type { TypedContractEvent, TypedDeferredTopicFilter, TypedEventLog, Typed
   
 export declare namespace VoteVerifier {
       
-    export type VoteDataStruct = {support: BigNumberish, nonce: BigNumberish, deadline: BigNumberish, power: BigNumberish, signature: BytesLike, merkleProof: BytesLike[]}
+    export type SplitVoteDataStruct = {forVotes: BigNumberish, againstVotes: BigNumberish, abstainVotes: BigNumberish, nonce: BigNumberish, version: BigNumberish, deadline: BigNumberish, power: BigNumberish, reason: string, voter: AddressLike, signature: BytesLike, merkleProof: BytesLike[]}
 
-    export type VoteDataStructOutput = [support: bigint, nonce: bigint, deadline: bigint, power: bigint, signature: string, merkleProof: string[]] & {support: bigint, nonce: bigint, deadline: bigint, power: bigint, signature: string, merkleProof: string[] }
+    export type SplitVoteDataStructOutput = [forVotes: bigint, againstVotes: bigint, abstainVotes: bigint, nonce: bigint, version: bigint, deadline: bigint, power: bigint, reason: string, voter: string, signature: string, merkleProof: string[]] & {forVotes: bigint, againstVotes: bigint, abstainVotes: bigint, nonce: bigint, version: bigint, deadline: bigint, power: bigint, reason: string, voter: string, signature: string, merkleProof: string[] }
+  
+
+    export type VoteDataStruct = {support: BigNumberish, nonce: BigNumberish, deadline: BigNumberish, power: BigNumberish, voter: AddressLike, signature: BytesLike, merkleProof: BytesLike[]}
+
+    export type VoteDataStructOutput = [support: bigint, nonce: bigint, deadline: bigint, power: bigint, voter: string, signature: string, merkleProof: string[]] & {support: bigint, nonce: bigint, deadline: bigint, power: bigint, voter: string, signature: string, merkleProof: string[] }
+  
+
+    export type BatchVoteDataStruct = {support: BigNumberish, nonce: BigNumberish, deadline: BigNumberish, power: BigNumberish, voter: AddressLike, signature: BytesLike}
+
+    export type BatchVoteDataStructOutput = [support: bigint, nonce: bigint, deadline: bigint, power: bigint, voter: string, signature: string] & {support: bigint, nonce: bigint, deadline: bigint, power: bigint, voter: string, signature: string }
   
     }
 
   export interface VoteVerifierInterface extends Interface {
-    getFunction(nameOrSignature: "DOMAIN_SEPARATOR" | "NAME" | "VERSION" | "VOTE_TYPEHASH" | "adminMarkPassed" | "getTally" | "hasVoted" | "isPassed" | "owner" | "proposalVotes" | "proposals" | "registerProposal" | "renounceOwnership" | "submitVotes" | "transferOwnership"): FunctionFragment;
+    getFunction(nameOrSignature: "BPS" | "DOMAIN_SEPARATOR" | "NAME" | "PROPOSAL_CREATED_TYPEHASH" | "SPLIT_VOTE_TYPEHASH" | "VERSION" | "VOTE_TYPEHASH" | "adminMarkPassed" | "destinationChainId" | "destinationExecutor" | "finalize" | "getRelayers" | "getTally" | "hasVoted" | "isPassed" | "isRelayer" | "messenger" | "mirrorProposal" | "owner" | "proposalCreatedDigest" | "proposalPublisher" | "proposalSourceChainId" | "proposalVotes" | "proposals" | "quorumBps" | "receiveMessage" | "registerProposal" | "renounceOwnership" | "sendOutcome" | "setGovernanceParams" | "setMessenger" | "setProposalSource" | "setRelayers" | "state" | "submitSplitVotes" | "submitVotes" | "submitVotesMultiProof" | "threshold" | "transferOwnership" | "voteReceipts" | "votingDelay" | "votingPeriod"): FunctionFragment;
 
-    getEvent(nameOrSignatureOrTopic: "OwnershipTransferred" | "ProposalPassed" | "ProposalRegistered" | "VoteCounted"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "GovernanceParamsUpdated" | "MessengerUpdated" | "OutcomeSent" | "OwnershipTransferred" | "ProposalFinalized" | "ProposalMirrored" | "ProposalPassed" | "ProposalRegistered" | "ProposalSourceUpdated" | "RelayerSetUpdated" | "VoteCounted"): EventFragment;
 
-    encodeFunctionData(functionFragment: 'DOMAIN_SEPARATOR', values?: undefined): string;
+    encodeFunctionData(functionFragment: 'BPS', values?: undefined): string;
+encodeFunctionData(functionFragment: 'DOMAIN_SEPARATOR', values?: undefined): string;
 encodeFunctionData(functionFragment: 'NAME', values?: undefined): string;
+encodeFunctionData(functionFragment: 'PROPOSAL_CREATED_TYPEHASH', values?: undefined): string;
+encodeFunctionData(functionFragment: 'SPLIT_VOTE_TYPEHASH', values?: undefined): string;
 encodeFunctionData(functionFragment: 'VERSION', values?: undefined): string;
 encodeFunctionData(functionFragment: 'VOTE_TYPEHASH', values?: undefined): string;
 encodeFunctionData(functionFragment: 'adminMarkPassed', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'destinationChainId', values?: undefined): string;
+encodeFunctionData(functionFragment: 'destinationExecutor', values?: undefined): string;
+encodeFunctionData(functionFragment: 'finalize', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'getRelayers', values?: undefined): string;
 encodeFunctionData(functionFragment: 'getTally', values: [BigNumberish]): string;
 encodeFunctionData(functionFragment: 'hasVoted', values: [BigNumberish, AddressLike]): string;
 encodeFunctionData(functionFragment: 'isPassed', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'isRelayer', values: [AddressLike]): string;
+encodeFunctionData(functionFragment: 'messenger', values?: undefined): string;
+encodeFunctionData(functionFragment: 'mirrorProposal', values: [BigNumberish, BytesLike, BytesLike, BigNumberish, BytesLike[]]): string;
 encodeFunctionData(functionFragment: 'owner', values?: undefined): string;
+encodeFunctionData(functionFragment: 'proposalCreatedDigest', values: [BigNumberish, BytesLike, BytesLike, BigNumberish]): string;
+encodeFunctionData(functionFragment: 'proposalPublisher', values?: undefined): string;
+encodeFunctionData(functionFragment: 'proposalSourceChainId', values?: undefined): string;
 encodeFunctionData(functionFragment: 'proposalVotes', values: [BigNumberish, BigNumberish]): string;
 encodeFunctionData(functionFragment: 'proposals', values: [BigNumberish]): string;
-encodeFunctionData(functionFragment: 'registerProposal', values: [BigNumberish, BytesLike, BytesLike, BigNumberish]): string;
+encodeFunctionData(functionFragment: 'quorumBps', values?: undefined): string;
+encodeFunctionData(functionFragment: 'receiveMessage', values: [BigNumberish, AddressLike, BytesLike]): string;
+encodeFunctionData(functionFragment: 'registerProposal', values: [BigNumberish, BytesLike, BytesLike, BigNumberish, BigNumberish, BigNumberish]): string;
 encodeFunctionData(functionFragment: 'renounceOwnership', values?: undefined): string;
+encodeFunctionData(functionFragment: 'sendOutcome', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'setGovernanceParams', values: [BigNumberish, BigNumberish, BigNumberish]): string;
+encodeFunctionData(functionFragment: 'setMessenger', values: [AddressLike, BigNumberish, AddressLike]): string;
+encodeFunctionData(functionFragment: 'setProposalSource', values: [BigNumberish, AddressLike]): string;
+encodeFunctionData(functionFragment: 'setRelayers', values: [AddressLike[], BigNumberish]): string;
+encodeFunctionData(functionFragment: 'state', values: [BigNumberish]): string;
+encodeFunctionData(functionFragment: 'submitSplitVotes', values: [BigNumberish, VoteVerifier.SplitVoteDataStruct[]]): string;
 encodeFunctionData(functionFragment: 'submitVotes', values: [BigNumberish, VoteVerifier.VoteDataStruct[]]): string;
+encodeFunctionData(functionFragment: 'submitVotesMultiProof', values: [BigNumberish, VoteVerifier.BatchVoteDataStruct[], BytesLike[], boolean[]]): string;
+encodeFunctionData(functionFragment: 'threshold', values?: undefined): string;
 encodeFunctionData(functionFragment: 'transferOwnership', values: [AddressLike]): string;
+encodeFunctionData(functionFragment: 'voteReceipts', values: [BigNumberish, AddressLike]): string;
+encodeFunctionData(functionFragment: 'votingDelay', values?: undefined): string;
+encodeFunctionData(functionFragment: 'votingPeriod', values?: undefined): string;
 
-    decodeFunctionResult(functionFragment: 'DOMAIN_SEPARATOR', data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: 'BPS', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'DOMAIN_SEPARATOR', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'NAME', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'PROPOSAL_CREATED_TYPEHASH', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'SPLIT_VOTE_TYPEHASH', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'VERSION', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'VOTE_TYPEHASH', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'adminMarkPassed', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'destinationChainId', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'destinationExecutor', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'finalize', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'getRelayers', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'getTally', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'hasVoted', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'isPassed', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'isRelayer', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'messenger', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'mirrorProposal', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'owner', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'proposalCreatedDigest', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'proposalPublisher', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'proposalSourceChainId', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'proposalVotes', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'proposals', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'quorumBps', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'receiveMessage', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'registerProposal', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'renounceOwnership', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'sendOutcome', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'setGovernanceParams', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'setMessenger', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'setProposalSource', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'setRelayers', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'state', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'submitSplitVotes', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'submitVotes', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'submitVotesMultiProof', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'threshold', data: BytesLike): Result;
 decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'voteReceipts', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'votingDelay', data: BytesLike): Result;
+decodeFunctionResult(functionFragment: 'votingPeriod', data: BytesLike): Result;
   }
 
   
+    export namespace GovernanceParamsUpdatedEvent {
+      export type InputTuple = [votingDelay: BigNumberish, votingPeriod: BigNumberish, quorumBps: BigNumberish];
+      export type OutputTuple = [votingDelay: bigint, votingPeriod: bigint, quorumBps: bigint];
+      export interface OutputObject {votingDelay: bigint, votingPeriod: bigint, quorumBps: bigint };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace MessengerUpdatedEvent {
+      export type InputTuple = [messenger: AddressLike, destinationChainId: BigNumberish, destinationExecutor: AddressLike];
+      export type OutputTuple = [messenger: string, destinationChainId: bigint, destinationExecutor: string];
+      export interface OutputObject {messenger: string, destinationChainId: bigint, destinationExecutor: string };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace OutcomeSentEvent {
+      export type InputTuple = [proposalId: BigNumberish, messageId: BytesLike];
+      export type OutputTuple = [proposalId: bigint, messageId: string];
+      export interface OutputObject {proposalId: bigint, messageId: string };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
     export namespace OwnershipTransferredEvent {
       export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
       export type OutputTuple = [previousOwner: string, newOwner: string];
@@ -63,10 +163,34 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
 
   
 
+    export namespace ProposalFinalizedEvent {
+      export type InputTuple = [proposalId: BigNumberish, state: BigNumberish, forVotes: BigNumberish, againstVotes: BigNumberish, abstainVotes: BigNumberish];
+      export type OutputTuple = [proposalId: bigint, state: bigint, forVotes: bigint, againstVotes: bigint, abstainVotes: bigint];
+      export interface OutputObject {proposalId: bigint, state: bigint, forVotes: bigint, againstVotes: bigint, abstainVotes: bigint };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace ProposalMirroredEvent {
+      export type InputTuple = [proposalId: BigNumberish, snapshotStake: BigNumberish, submittedBy: AddressLike];
+      export type OutputTuple = [proposalId: bigint, snapshotStake: bigint, submittedBy: string];
+      export interface OutputObject {proposalId: bigint, snapshotStake: bigint, submittedBy: string };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
     export namespace ProposalPassedEvent {
-      export type InputTuple = [proposalId: BigNumberish, actionDataHash: BytesLike, forVotes: BigNumberish, threshold: BigNumberish];
-      export type OutputTuple = [proposalId: bigint, actionDataHash: string, forVotes: bigint, threshold: bigint];
-      export interface OutputObject {proposalId: bigint, actionDataHash: string, forVotes: bigint, threshold: bigint };
+      export type InputTuple = [proposalId: BigNumberish, actionDataHash: BytesLike, forVotes: BigNumberish, quorum: BigNumberish];
+      export type OutputTuple = [proposalId: bigint, actionDataHash: string, forVotes: bigint, quorum: bigint];
+      export interface OutputObject {proposalId: bigint, actionDataHash: string, forVotes: bigint, quorum: bigint };
       export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
       export type Filter = TypedDeferredTopicFilter<Event>
       export type Log = TypedEventLog<Event>
@@ -76,9 +200,33 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
   
 
     export namespace ProposalRegisteredEvent {
-      export type InputTuple = [proposalId: BigNumberish, powerRoot: BytesLike, actionDataHash: BytesLike, threshold: BigNumberish];
-      export type OutputTuple = [proposalId: bigint, powerRoot: string, actionDataHash: string, threshold: bigint];
-      export interface OutputObject {proposalId: bigint, powerRoot: string, actionDataHash: string, threshold: bigint };
+      export type InputTuple = [proposalId: BigNumberish, powerRoot: BytesLike, actionDataHash: BytesLike, quorum: BigNumberish, voteStart: BigNumberish, voteEnd: BigNumberish];
+      export type OutputTuple = [proposalId: bigint, powerRoot: string, actionDataHash: string, quorum: bigint, voteStart: bigint, voteEnd: bigint];
+      export interface OutputObject {proposalId: bigint, powerRoot: string, actionDataHash: string, quorum: bigint, voteStart: bigint, voteEnd: bigint };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace ProposalSourceUpdatedEvent {
+      export type InputTuple = [sourceChainId: BigNumberish, publisher: AddressLike];
+      export type OutputTuple = [sourceChainId: bigint, publisher: string];
+      export interface OutputObject {sourceChainId: bigint, publisher: string };
+      export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
+      export type Filter = TypedDeferredTopicFilter<Event>
+      export type Log = TypedEventLog<Event>
+      export type LogDescription = TypedLogDescription<Event>
+    }
+
+  
+
+    export namespace RelayerSetUpdatedEvent {
+      export type InputTuple = [relayers: AddressLike[], threshold: BigNumberish];
+      export type OutputTuple = [relayers: string[], threshold: bigint];
+      export interface OutputObject {relayers: string[], threshold: bigint };
       export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
       export type Filter = TypedDeferredTopicFilter<Event>
       export type Log = TypedEventLog<Event>
@@ -88,9 +236,9 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
   
 
     export namespace VoteCountedEvent {
-      export type InputTuple = [proposalId: BigNumberish, voter: AddressLike, support: BigNumberish, power: BigNumberish];
-      export type OutputTuple = [proposalId: bigint, voter: string, support: bigint, power: bigint];
-      export interface OutputObject {proposalId: bigint, voter: string, support: bigint, power: bigint };
+      export type InputTuple = [proposalId: BigNumberish, voter: AddressLike, forVotes: BigNumberish, againstVotes: BigNumberish, abstainVotes: BigNumberish, version: BigNumberish, reason: string];
+      export type OutputTuple = [proposalId: bigint, voter: string, forVotes: bigint, againstVotes: bigint, abstainVotes: bigint, version: bigint, reason: string];
+      export interface OutputObject {proposalId: bigint, voter: string, forVotes: bigint, againstVotes: bigint, abstainVotes: bigint, version: bigint, reason: string };
       export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>
       export type Filter = TypedDeferredTopicFilter<Event>
       export type Log = TypedEventLog<Event>
@@ -133,6 +281,14 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
 
     
     
+    BPS: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
     DOMAIN_SEPARATOR: TypedContractMethod<
       [],
       [string],
@@ -149,6 +305,22 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
     
 
     
+    PROPOSAL_CREATED_TYPEHASH: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    SPLIT_VOTE_TYPEHASH: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
     VERSION: TypedContractMethod<
       [],
       [string],
@@ -173,9 +345,41 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
     
 
     
+    destinationChainId: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    destinationExecutor: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    finalize: TypedContractMethod<
+      [proposalId: BigNumberish, ],
+      [bigint],
+      'nonpayable'
+    >
+    
+
+    
+    getRelayers: TypedContractMethod<
+      [],
+      [string[]],
+      'view'
+    >
+    
+
+    
     getTally: TypedContractMethod<
       [proposalId: BigNumberish, ],
-      [[bigint, bigint, bigint] & {forVotes: bigint, againstVotes: bigint, abstainVotes: bigint }],
+      [[bigint, bigint, bigint, bigint, bigint, bigint, bigint] & {forVotes: bigint, againstVotes: bigint, abstainVotes: bigint, quorum: bigint, voteStart: bigint, voteEnd: bigint, currentState: bigint }],
       'view'
     >
     
@@ -197,6 +401,30 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
     
 
     
+    isRelayer: TypedContractMethod<
+      [arg0: AddressLike, ],
+      [boolean],
+      'view'
+    >
+    
+
+    
+    messenger: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    mirrorProposal: TypedContractMethod<
+      [proposalId: BigNumberish, actionDataHash: BytesLike, powerRoot: BytesLike, snapshotStake: BigNumberish, signatures: BytesLike[], ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
     owner: TypedContractMethod<
       [],
       [string],
@@ -205,6 +433,30 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
     
 
     
+    proposalCreatedDigest: TypedContractMethod<
+      [proposalId: BigNumberish, actionDataHash: BytesLike, powerRoot: BytesLike, snapshotStake: BigNumberish, ],
+      [string],
+      'view'
+    >
+    
+
+    
+    proposalPublisher: TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >
+    
+
+    
+    proposalSourceChainId: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
     proposalVotes: TypedContractMethod<
       [arg0: BigNumberish, arg1: BigNumberish, ],
       [bigint],
@@ -215,14 +467,30 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
     
     proposals: TypedContractMethod<
       [arg0: BigNumberish, ],
-      [[string, string, bigint, boolean, boolean] & {powerRoot: string, actionDataHash: string, threshold: bigint, exists: boolean, passed: boolean }],
+      [[string, string, bigint, bigint, bigint, boolean, boolean, boolean, bigint] & {powerRoot: string, actionDataHash: string, quorum: bigint, voteStart: bigint, voteEnd: bigint, exists: boolean, finalized: boolean, passed: boolean, snapshotStake: bigint }],
       'view'
     >
     
 
     
+    quorumBps: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    receiveMessage: TypedContractMethod<
+      [sourceChainId: BigNumberish, sender: AddressLike, message: BytesLike, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
     registerProposal: TypedContractMethod<
-      [proposalId: BigNumberish, powerRoot: BytesLike, actionDataHash: BytesLike, threshold: BigNumberish, ],
+      [proposalId: BigNumberish, powerRoot: BytesLike, actionDataHash: BytesLike, quorum: BigNumberish, voteStart: BigNumberish, voteEnd: BigNumberish, ],
       [void],
       'nonpayable'
     >
@@ -237,6 +505,62 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
     
 
     
+    sendOutcome: TypedContractMethod<
+      [proposalId: BigNumberish, ],
+      [string],
+      'payable'
+    >
+    
+
+    
+    setGovernanceParams: TypedContractMethod<
+      [_votingDelay: BigNumberish, _votingPeriod: BigNumberish, _quorumBps: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    setMessenger: TypedContractMethod<
+      [_messenger: AddressLike, _destinationChainId: BigNumberish, _executor: AddressLike, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    setProposalSource: TypedContractMethod<
+      [_sourceChainId: BigNumberish, _publisher: AddressLike, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    setRelayers: TypedContractMethod<
+      [newRelayers: AddressLike[], newThreshold: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    state: TypedContractMethod<
+      [proposalId: BigNumberish, ],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    submitSplitVotes: TypedContractMethod<
+      [proposalId: BigNumberish, votes: VoteVerifier.SplitVoteDataStruct[], ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
     submitVotes: TypedContractMethod<
       [proposalId: BigNumberish, votes: VoteVerifier.VoteDataStruct[], ],
       [void],
@@ -245,6 +569,22 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
     
 
     
+    submitVotesMultiProof: TypedContractMethod<
+      [proposalId: BigNumberish, votes: VoteVerifier.BatchVoteDataStruct[], proof: BytesLike[], proofFlags: boolean[], ],
+      [void],
+      'nonpayable'
+    >
+    
+
+    
+    threshold: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
     transferOwnership: TypedContractMethod<
       [newOwner: AddressLike, ],
       [void],
@@ -252,10 +592,39 @@ decodeFunctionResult(functionFragment: 'transferOwnership', data: BytesLike): Re
     >
     
 
+    
+    voteReceipts: TypedContractMethod<
+      [arg0: BigNumberish, arg1: AddressLike, ],
+      [[bigint, bigint, bigint, bigint] & {forVotes: bigint, againstVotes: bigint, abstainVotes: bigint, version: bigint }],
+      'view'
+    >
+    
+
+    
+    votingDelay: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
+    
+    votingPeriod: TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >
+    
+
 
     getFunction<T extends ContractMethod = ContractMethod>(key: string | FunctionFragment): T;
 
-    getFunction(nameOrSignature: 'DOMAIN_SEPARATOR'): TypedContractMethod<
+    getFunction(nameOrSignature: 'BPS'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'DOMAIN_SEPARATOR'): TypedContractMethod<
       [],
       [string],
       'view'
@@ -265,6 +634,16 @@ getFunction(nameOrSignature: 'NAME'): TypedContractMethod<
       [string],
       'view'
     >;
+getFunction(nameOrSignature: 'PROPOSAL_CREATED_TYPEHASH'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
+getFunction(nameOrSignature: 'SPLIT_VOTE_TYPEHASH'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
 getFunction(nameOrSignature: 'VERSION'): TypedContractMethod<
       [],
       [string],
@@ -280,9 +659,29 @@ getFunction(nameOrSignature: 'adminMarkPassed'): TypedContractMethod<
       [void],
       'nonpayable'
     >;
+getFunction(nameOrSignature: 'destinationChainId'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'destinationExecutor'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
+getFunction(nameOrSignature: 'finalize'): TypedContractMethod<
+      [proposalId: BigNumberish, ],
+      [bigint],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'getRelayers'): TypedContractMethod<
+      [],
+      [string[]],
+      'view'
+    >;
 getFunction(nameOrSignature: 'getTally'): TypedContractMethod<
       [proposalId: BigNumberish, ],
-      [[bigint, bigint, bigint] & {forVotes: bigint, againstVotes: bigint, abstainVotes: bigint }],
+      [[bigint, bigint, bigint, bigint, bigint, bigint, bigint] & {forVotes: bigint, againstVotes: bigint, abstainVotes: bigint, quorum: bigint, voteStart: bigint, voteEnd: bigint, currentState: bigint }],
       'view'
     >;
 getFunction(nameOrSignature: 'hasVoted'): TypedContractMethod<
@@ -295,11 +694,41 @@ getFunction(nameOrSignature: 'isPassed'): TypedContractMethod<
       [boolean],
       'view'
     >;
+getFunction(nameOrSignature: 'isRelayer'): TypedContractMethod<
+      [arg0: AddressLike, ],
+      [boolean],
+      'view'
+    >;
+getFunction(nameOrSignature: 'messenger'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
+getFunction(nameOrSignature: 'mirrorProposal'): TypedContractMethod<
+      [proposalId: BigNumberish, actionDataHash: BytesLike, powerRoot: BytesLike, snapshotStake: BigNumberish, signatures: BytesLike[], ],
+      [void],
+      'nonpayable'
+    >;
 getFunction(nameOrSignature: 'owner'): TypedContractMethod<
       [],
       [string],
       'view'
     >;
+getFunction(nameOrSignature: 'proposalCreatedDigest'): TypedContractMethod<
+      [proposalId: BigNumberish, actionDataHash: BytesLike, powerRoot: BytesLike, snapshotStake: BigNumberish, ],
+      [string],
+      'view'
+    >;
+getFunction(nameOrSignature: 'proposalPublisher'): TypedContractMethod<
+      [],
+      [string],
+      'view'
+    >;
+getFunction(nameOrSignature: 'proposalSourceChainId'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
 getFunction(nameOrSignature: 'proposalVotes'): TypedContractMethod<
       [arg0: BigNumberish, arg1: BigNumberish, ],
       [bigint],
@@ -307,11 +736,21 @@ getFunction(nameOrSignature: 'proposalVotes'): TypedContractMethod<
     >;
 getFunction(nameOrSignature: 'proposals'): TypedContractMethod<
       [arg0: BigNumberish, ],
-      [[string, string, bigint, boolean, boolean] & {powerRoot: string, actionDataHash: string, threshold: bigint, exists: boolean, passed: boolean }],
+      [[string, string, bigint, bigint, bigint, boolean, boolean, boolean, bigint] & {powerRoot: string, actionDataHash: string, quorum: bigint, voteStart: bigint, voteEnd: bigint, exists: boolean, finalized: boolean, passed: boolean, snapshotStake: bigint }],
       'view'
     >;
+getFunction(nameOrSignature: 'quorumBps'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'receiveMessage'): TypedContractMethod<
+      [sourceChainId: BigNumberish, sender: AddressLike, message: BytesLike, ],
+      [void],
+      'nonpayable'
+    >;
 getFunction(nameOrSignature: 'registerProposal'): TypedContractMethod<
-      [proposalId: BigNumberish, powerRoot: BytesLike, actionDataHash: BytesLike, threshold: BigNumberish, ],
+      [proposalId: BigNumberish, powerRoot: BytesLike, actionDataHash: BytesLike, quorum: BigNumberish, voteStart: BigNumberish, voteEnd: BigNumberish, ],
       [void],
       'nonpayable'
     >;
@@ -320,37 +759,132 @@ getFunction(nameOrSignature: 'renounceOwnership'): TypedContractMethod<
       [void],
       'nonpayable'
     >;
+getFunction(nameOrSignature: 'sendOutcome'): TypedContractMethod<
+      [proposalId: BigNumberish, ],
+      [string],
+      'payable'
+    >;
+getFunction(nameOrSignature: 'setGovernanceParams'): TypedContractMethod<
+      [_votingDelay: BigNumberish, _votingPeriod: BigNumberish, _quorumBps: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'setMessenger'): TypedContractMethod<
+      [_messenger: AddressLike, _destinationChainId: BigNumberish, _executor: AddressLike, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'setProposalSource'): TypedContractMethod<
+      [_sourceChainId: BigNumberish, _publisher: AddressLike, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'setRelayers'): TypedContractMethod<
+      [newRelayers: AddressLike[], newThreshold: BigNumberish, ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'state'): TypedContractMethod<
+      [proposalId: BigNumberish, ],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'submitSplitVotes'): TypedContractMethod<
+      [proposalId: BigNumberish, votes: VoteVerifier.SplitVoteDataStruct[], ],
+      [void],
+      'nonpayable'
+    >;
 getFunction(nameOrSignature: 'submitVotes'): TypedContractMethod<
       [proposalId: BigNumberish, votes: VoteVerifier.VoteDataStruct[], ],
       [void],
       'nonpayable'
     >;
+getFunction(nameOrSignature: 'submitVotesMultiProof'): TypedContractMethod<
+      [proposalId: BigNumberish, votes: VoteVerifier.BatchVoteDataStruct[], proof: BytesLike[], proofFlags: boolean[], ],
+      [void],
+      'nonpayable'
+    >;
+getFunction(nameOrSignature: 'threshold'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
 getFunction(nameOrSignature: 'transferOwnership'): TypedContractMethod<
       [newOwner: AddressLike, ],
       [void],
       'nonpayable'
     >;
+getFunction(nameOrSignature: 'voteReceipts'): TypedContractMethod<
+      [arg0: BigNumberish, arg1: AddressLike, ],
+      [[bigint, bigint, bigint, bigint] & {forVotes: bigint, againstVotes: bigint, abstainVotes: bigint, version: bigint }],
+      'view'
+    >;
+getFunction(nameOrSignature: 'votingDelay'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
+getFunction(nameOrSignature: 'votingPeriod'): TypedContractMethod<
+      [],
+      [bigint],
+      'view'
+    >;
 
-    getEvent(key: 'OwnershipTransferred'): TypedContractEvent<OwnershipTransferredEvent.InputTuple, OwnershipTransferredEvent.OutputTuple, OwnershipTransferredEvent.OutputObject>;
+    getEvent(key: 'GovernanceParamsUpdated'): TypedContractEvent<GovernanceParamsUpdatedEvent.InputTuple, GovernanceParamsUpdatedEvent.OutputTuple, GovernanceParamsUpdatedEvent.OutputObject>;
+getEvent(key: 'MessengerUpdated'): TypedContractEvent<MessengerUpdatedEvent.InputTuple, MessengerUpdatedEvent.OutputTuple, MessengerUpdatedEvent.OutputObject>;
+getEvent(key: 'OutcomeSent'): TypedContractEvent<OutcomeSentEvent.InputTuple, OutcomeSentEvent.OutputTuple, OutcomeSentEvent.OutputObject>;
+getEvent(key: 'OwnershipTransferred'): TypedContractEvent<OwnershipTransferredEvent.InputTuple, OwnershipTransferredEvent.OutputTuple, OwnershipTransferredEvent.OutputObject>;
+getEvent(key: 'ProposalFinalized'): TypedContractEvent<ProposalFinalizedEvent.InputTuple, ProposalFinalizedEvent.OutputTuple, ProposalFinalizedEvent.OutputObject>;
+getEvent(key: 'ProposalMirrored'): TypedContractEvent<ProposalMirroredEvent.InputTuple, ProposalMirroredEvent.OutputTuple, ProposalMirroredEvent.OutputObject>;
 getEvent(key: 'ProposalPassed'): TypedContractEvent<ProposalPassedEvent.InputTuple, ProposalPassedEvent.OutputTuple, ProposalPassedEvent.OutputObject>;
 getEvent(key: 'ProposalRegistered'): TypedContractEvent<ProposalRegisteredEvent.InputTuple, ProposalRegisteredEvent.OutputTuple, ProposalRegisteredEvent.OutputObject>;
+getEvent(key: 'ProposalSourceUpdated'): TypedContractEvent<ProposalSourceUpdatedEvent.InputTuple, ProposalSourceUpdatedEvent.OutputTuple, ProposalSourceUpdatedEvent.OutputObject>;
+getEvent(key: 'RelayerSetUpdated'): TypedContractEvent<RelayerSetUpdatedEvent.InputTuple, RelayerSetUpdatedEvent.OutputTuple, RelayerSetUpdatedEvent.OutputObject>;
 getEvent(key: 'VoteCounted'): TypedContractEvent<VoteCountedEvent.InputTuple, VoteCountedEvent.OutputTuple, VoteCountedEvent.OutputObject>;
 
     filters: {
       
+      'GovernanceParamsUpdated(uint64,uint64,uint256)': TypedContractEvent<GovernanceParamsUpdatedEvent.InputTuple, GovernanceParamsUpdatedEvent.OutputTuple, GovernanceParamsUpdatedEvent.OutputObject>;
+      GovernanceParamsUpdated: TypedContractEvent<GovernanceParamsUpdatedEvent.InputTuple, GovernanceParamsUpdatedEvent.OutputTuple, GovernanceParamsUpdatedEvent.OutputObject>;
+    
+
+      'MessengerUpdated(address,uint256,address)': TypedContractEvent<MessengerUpdatedEvent.InputTuple, MessengerUpdatedEvent.OutputTuple, MessengerUpdatedEvent.OutputObject>;
+      MessengerUpdated: TypedContractEvent<MessengerUpdatedEvent.InputTuple, MessengerUpdatedEvent.OutputTuple, MessengerUpdatedEvent.OutputObject>;
+    
+
+      'OutcomeSent(uint256,bytes32)': TypedContractEvent<OutcomeSentEvent.InputTuple, OutcomeSentEvent.OutputTuple, OutcomeSentEvent.OutputObject>;
+      OutcomeSent: TypedContractEvent<OutcomeSentEvent.InputTuple, OutcomeSentEvent.OutputTuple, OutcomeSentEvent.OutputObject>;
+    
+
       'OwnershipTransferred(address,address)': TypedContractEvent<OwnershipTransferredEvent.InputTuple, OwnershipTransferredEvent.OutputTuple, OwnershipTransferredEvent.OutputObject>;
       OwnershipTransferred: TypedContractEvent<OwnershipTransferredEvent.InputTuple, OwnershipTransferredEvent.OutputTuple, OwnershipTransferredEvent.OutputObject>;
     
 
+      'ProposalFinalized(uint256,uint8,uint256,uint256,uint256)': TypedContractEvent<ProposalFinalizedEvent.InputTuple, ProposalFinalizedEvent.OutputTuple, ProposalFinalizedEvent.OutputObject>;
+      ProposalFinalized: TypedContractEvent<ProposalFinalizedEvent.InputTuple, ProposalFinalizedEvent.OutputTuple, ProposalFinalizedEvent.OutputObject>;
+    
+
+      'ProposalMirrored(uint256,uint256,address)': TypedContractEvent<ProposalMirroredEvent.InputTuple, ProposalMirroredEvent.OutputTuple, ProposalMirroredEvent.OutputObject>;
+      ProposalMirrored: TypedContractEvent<ProposalMirroredEvent.InputTuple, ProposalMirroredEvent.OutputTuple, ProposalMirroredEvent.OutputObject>;
+    
+
       'ProposalPassed(uint256,bytes32,uint256,uint256)': TypedContractEvent<ProposalPassedEvent.InputTuple, ProposalPassedEvent.OutputTuple, ProposalPassedEvent.OutputObject>;
       ProposalPassed: TypedContractEvent<ProposalPassedEvent.InputTuple, ProposalPassedEvent.OutputTuple, ProposalPassedEvent.OutputObject>;
     
 
-      'ProposalRegistered(uint256,bytes32,bytes32,uint256)': TypedContractEvent<ProposalRegisteredEvent.InputTuple, ProposalRegisteredEvent.OutputTuple, ProposalRegisteredEvent.OutputObject>;
+      'ProposalRegistered(uint256,bytes32,bytes32,uint256,uint64,uint64)': TypedContractEvent<ProposalRegisteredEvent.InputTuple, ProposalRegisteredEvent.OutputTuple, ProposalRegisteredEvent.OutputObject>;
       ProposalRegistered: TypedContractEvent<ProposalRegisteredEvent.InputTuple, ProposalRegisteredEvent.OutputTuple, ProposalRegisteredEvent.OutputObject>;
     
 
-      'VoteCounted(uint256,address,uint8,uint256)': TypedContractEvent<VoteCountedEvent.InputTuple, VoteCountedEvent.OutputTuple, VoteCountedEvent.OutputObject>;
+      'ProposalSourceUpdated(uint256,address)': TypedContractEvent<ProposalSourceUpdatedEvent.InputTuple, ProposalSourceUpdatedEvent.OutputTuple, ProposalSourceUpdatedEvent.OutputObject>;
+      ProposalSourceUpdated: TypedContractEvent<ProposalSourceUpdatedEvent.InputTuple, ProposalSourceUpdatedEvent.OutputTuple, ProposalSourceUpdatedEvent.OutputObject>;
+    
+
+      'RelayerSetUpdated(address[],uint256)': TypedContractEvent<RelayerSetUpdatedEvent.InputTuple, RelayerSetUpdatedEvent.OutputTuple, RelayerSetUpdatedEvent.OutputObject>;
+      RelayerSetUpdated: TypedContractEvent<RelayerSetUpdatedEvent.InputTuple, RelayerSetUpdatedEvent.OutputTuple, RelayerSetUpdatedEvent.OutputObject>;
+    
+
+      'VoteCounted(uint256,address,uint256,uint256,uint256,uint256,string)': TypedContractEvent<VoteCountedEvent.InputTuple, VoteCountedEvent.OutputTuple, VoteCountedEvent.OutputObject>;
       VoteCounted: TypedContractEvent<VoteCountedEvent.InputTuple, VoteCountedEvent.OutputTuple, VoteCountedEvent.OutputObject>;
     
     };
@@ -3,7 +3,7 @@
 /* eslint-disable */
 import type { Addressable } from "ethers";
 import { Contract, ContractFactory, ContractTransactionResponse, Interface } from "ethers"
-import type { Signer, AddressLike, ContractDeployTransaction, ContractRunner } from "ethers"
+import type { Signer, BigNumberish, AddressLike, ContractDeployTransaction, ContractRunner } from "ethers"
 import type { NonPayableOverrides } from "../../common.js"
   import type { GovernanceExecutor, GovernanceExecutorInterface } from "../../GovernanceExecutor.sol/GovernanceExecutor.js";
 
@@ -15,35 +15,75 @@ import type { NonPayableOverrides } from "../../common.js"
         "name": "_governancePublisher",
         "type": "address"
       },
+      {
+        "internalType": "uint256",
+        "name": "_sourceChainId",
+        "type": "uint256"
+      },
+      {
+        "internalType": "address",
+        "name": "_verifier",
+        "type": "address"
+      },
+      {
+        "internalType": "address[]",
+        "name": "_relayersInit",
+        "type": "address[]"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_threshold",
+        "type": "uint256"
+      },
       {
         "internalType": "address",
-        "name": "_relayer",
+        "name": "_guardian",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_minDelay",
+        "type": "uint256"
+      },
+      {
+        "internalType": "address",
+        "name": "_messenger",
         "type": "address"
       }
     ],
     "stateMutability": "nonpayable",
     "type": "constructor"
   },
+  {
+    "inputs": [],
+    "name": "ECDSAInvalidSignature",
+    "type": "error"
+  },
   {
     "inputs": [
       {
-        "internalType": "address",
-        "name": "owner",
-        "type": "address"
+        "internalType": "uint256",
+        "name": "length",
+        "type": "uint256"
       }
     ],
-    "name": "OwnableInvalidOwner",
+    "name": "ECDSAInvalidSignatureLength",
     "type": "error"
   },
   {
     "inputs": [
       {
-        "internalType": "address",
-        "name": "account",
-        "type": "address"
+        "internalType": "bytes32",
+        "name": "s",
+        "type": "bytes32"
       }
     ],
-    "name": "OwnableUnauthorizedAccount",
+    "name": "ECDSAInvalidSignatureS",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "FailedCall",
     "type": "error"
   },
   {
@@ -60,12 +100,24 @@ import type { NonPayableOverrides } from "../../common.js"
         "name": "proposalId",
         "type": "uint256"
       },
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "index",
+        "type": "uint256"
+      },
       {
         "indexed": true,
         "internalType": "address",
         "name": "target",
         "type": "address"
       },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "value",
+        "type": "uint256"
+      },
       {
         "indexed": false,
         "internalType": "bytes",
@@ -101,17 +153,55 @@ import type { NonPayableOverrides } from "../../common.js"
       {
         "indexed": true,
         "internalType": "address",
-        "name": "previousOwner",
+        "name": "oldGuardian",
         "type": "address"
       },
       {
         "indexed": true,
         "internalType": "address",
-        "name": "newOwner",
+        "name": "newGuardian",
         "type": "address"
       }
     ],
-    "name": "OwnershipTransferred",
+    "name": "GuardianUpdated",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "oldMessenger",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "newMessenger",
+        "type": "address"
+      }
+    ],
+    "name": "MessengerUpdated",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "oldDelay",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "newDelay",
+        "type": "uint256"
+      }
+    ],
+    "name": "MinDelayUpdated",
     "type": "event"
   },
   {
@@ -132,7 +222,7 @@ import type { NonPayableOverrides } from "../../common.js"
       {
         "indexed": true,
         "internalType": "address",
-        "name": "attestedBy",
+        "name": "submittedBy",
         "type": "address"
       }
     ],
@@ -144,52 +234,177 @@ import type { NonPayableOverrides } from "../../common.js"
     "inputs": [
       {
         "indexed": true,
-        "internalType": "address",
-        "name": "oldRelayer",
-        "type": "address"
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
       },
       {
         "indexed": true,
         "internalType": "address",
-        "name": "newRelayer",
+        "name": "canceledBy",
         "type": "address"
       }
     ],
-    "name": "RelayerUpdated",
+    "name": "ProposalCanceled",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      }
+    ],
+    "name": "ProposalExpired",
     "type": "event"
   },
   {
+    "anonymous": false,
     "inputs": [
       {
+        "indexed": true,
         "internalType": "uint256",
         "name": "proposalId",
         "type": "uint256"
       },
       {
-        "internalType": "bool",
-        "name": "val",
-        "type": "bool"
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "eta",
+        "type": "uint256"
       }
     ],
-    "name": "adminSetAttested",
-    "outputs": [],
-    "stateMutability": "nonpayable",
+    "name": "ProposalQueued",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": false,
+        "internalType": "address[]",
+        "name": "relayers",
+        "type": "address[]"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "threshold",
+        "type": "uint256"
+      }
+    ],
+    "name": "RelayerSetUpdated",
+    "type": "event"
+  },
+  {
+    "inputs": [],
+    "name": "DOMAIN_SEPARATOR",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "GRACE_PERIOD",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "MAXIMUM_DELAY",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "NAME",
+    "outputs": [
+      {
+        "internalType": "string",
+        "name": "",
+        "type": "string"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "PROPOSAL_OUTCOME_TYPEHASH",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "VERSION",
+    "outputs": [
+      {
+        "internalType": "string",
+        "name": "",
+        "type": "string"
+      }
+    ],
+    "stateMutability": "view",
     "type": "function"
   },
   {
     "inputs": [
       {
         "internalType": "uint256",
-        "name": "proposalId",
+        "name": "",
         "type": "uint256"
-      },
+      }
+    ],
+    "name": "attestedPassed",
+    "outputs": [
       {
         "internalType": "bool",
-        "name": "val",
+        "name": "",
         "type": "bool"
       }
     ],
-    "name": "adminSetExecuted",
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      }
+    ],
+    "name": "cancel",
     "outputs": [],
     "stateMutability": "nonpayable",
     "type": "function"
@@ -202,7 +417,7 @@ import type { NonPayableOverrides } from "../../common.js"
         "type": "uint256"
       }
     ],
-    "name": "attestedPassed",
+    "name": "canceled",
     "outputs": [
       {
         "internalType": "bool",
@@ -213,6 +428,25 @@ import type { NonPayableOverrides } from "../../common.js"
     "stateMutability": "view",
     "type": "function"
   },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "name": "eta",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
   {
     "inputs": [
       {
@@ -229,11 +463,43 @@ import type { NonPayableOverrides } from "../../common.js"
     "name": "executeIfAuthorized",
     "outputs": [
       {
-        "internalType": "bytes",
+        "internalType": "bytes[]",
+        "name": "results",
+        "type": "bytes[]"
+      }
+    ],
+    "stateMutability": "payable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
         "name": "",
-        "type": "bytes"
+        "type": "uint256"
       }
     ],
+    "name": "executed",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      }
+    ],
+    "name": "expire",
+    "outputs": [],
     "stateMutability": "nonpayable",
     "type": "function"
   },
@@ -245,7 +511,7 @@ import type { NonPayableOverrides } from "../../common.js"
         "type": "uint256"
       }
     ],
-    "name": "executed",
+    "name": "expired",
     "outputs": [
       {
         "internalType": "bool",
@@ -256,6 +522,19 @@ import type { NonPayableOverrides } from "../../common.js"
     "stateMutability": "view",
     "type": "function"
   },
+  {
+    "inputs": [],
+    "name": "getRelayers",
+    "outputs": [
+      {
+        "internalType": "address[]",
+        "name": "",
+        "type": "address[]"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
   {
     "inputs": [],
     "name": "governancePublisher",
@@ -269,6 +548,38 @@ import type { NonPayableOverrides } from "../../common.js"
     "stateMutability": "view",
     "type": "function"
   },
+  {
+    "inputs": [],
+    "name": "guardian",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "name": "isRelayer",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
   {
     "inputs": [
       {
@@ -280,6 +591,11 @@ import type { NonPayableOverrides } from "../../common.js"
         "internalType": "bytes32",
         "name": "actionDataHash",
         "type": "bytes32"
+      },
+      {
+        "internalType": "bytes[]",
+        "name": "signatures",
+        "type": "bytes[]"
       }
     ],
     "name": "markProposalPassed",
@@ -289,7 +605,7 @@ import type { NonPayableOverrides } from "../../common.js"
   },
   {
     "inputs": [],
-    "name": "owner",
+    "name": "messenger",
     "outputs": [
       {
         "internalType": "address",
@@ -302,20 +618,60 @@ import type { NonPayableOverrides } from "../../common.js"
   },
   {
     "inputs": [],
-    "name": "relayer",
+    "name": "minDelay",
     "outputs": [
       {
-        "internalType": "address",
+        "internalType": "uint256",
         "name": "",
-        "type": "address"
+        "type": "uint256"
       }
     ],
     "stateMutability": "view",
     "type": "function"
   },
   {
-    "inputs": [],
-    "name": "renounceOwnership",
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      },
+      {
+        "internalType": "bytes32",
+        "name": "actionDataHash",
+        "type": "bytes32"
+      }
+    ],
+    "name": "proposalOutcomeDigest",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "_sourceChainId",
+        "type": "uint256"
+      },
+      {
+        "internalType": "address",
+        "name": "sender",
+        "type": "address"
+      },
+      {
+        "internalType": "bytes",
+        "name": "message",
+        "type": "bytes"
+      }
+    ],
+    "name": "receiveMessage",
     "outputs": [],
     "stateMutability": "nonpayable",
     "type": "function"
@@ -337,11 +693,11 @@ import type { NonPayableOverrides } from "../../common.js"
     "inputs": [
       {
         "internalType": "address",
-        "name": "_relayer",
+        "name": "_guardian",
         "type": "address"
       }
     ],
-    "name": "setRelayer",
+    "name": "setGuardian",
     "outputs": [],
     "stateMutability": "nonpayable",
     "type": "function"
@@ -350,18 +706,111 @@ import type { NonPayableOverrides } from "../../common.js"
     "inputs": [
       {
         "internalType": "address",
-        "name": "newOwner",
+        "name": "_messenger",
         "type": "address"
       }
     ],
-    "name": "transferOwnership",
+    "name": "setMessenger",
     "outputs": [],
     "stateMutability": "nonpayable",
     "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "_minDelay",
+        "type": "uint256"
+      }
+    ],
+    "name": "setMinDelay",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address[]",
+        "name": "newRelayers",
+        "type": "address[]"
+      },
+      {
+        "internalType": "uint256",
+        "name": "newThreshold",
+        "type": "uint256"
+      }
+    ],
+    "name": "setRelayers",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "sourceChainId",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      }
+    ],
+    "name": "state",
+    "outputs": [
+      {
+        "internalType": "enum GovernanceExecutor.ExecutionState",
+        "name": "",
+        "type": "uint8"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "threshold",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "verifier",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "stateMutability": "payable",
+    "type": "receive"
   }
 ] as const;
 
-  const _bytecode = "0x608060405234801561000f575f5ffd5b50604051611d66380380611d66833981810160405281019061003191906102cd565b335f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16036100a2575f6040517f1e4fbdf7000000000000000000000000000000000000000000000000000000008152600401610099919061031a565b60405180910390fd5b6100b1816101ae60201b60201c565b50600180819055505f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603610127576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161011e9061038d565b60405180910390fd5b8160025f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508060035f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555050506103ab565b5f5f5f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff169050815f5f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508173ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e060405160405180910390a35050565b5f5ffd5b5f73ffffffffffffffffffffffffffffffffffffffff82169050919050565b5f61029c82610273565b9050919050565b6102ac81610292565b81146102b6575f5ffd5b50565b5f815190506102c7816102a3565b92915050565b5f5f604083850312156102e3576102e261026f565b5b5f6102f0858286016102b9565b9250506020610301858286016102b9565b9150509250929050565b61031481610292565b82525050565b5f60208201905061032d5f83018461030b565b92915050565b5f82825260208201905092915050565b7f7075626c69736865723d300000000000000000000000000000000000000000005f82015250565b5f610377600b83610333565b915061038282610343565b602082019050919050565b5f6020820190508181035f8301526103a48161036b565b9050919050565b6119ae806103b85f395ff3fe608060405234801561000f575f5ffd5b50600436106100cd575f3560e01c8063856c5d441161008a578063b5a1679211610064578063b5a16792146101d5578063c9d9bc5a14610205578063d3ecebd714610221578063f2fde38b14610251576100cd565b8063856c5d441461017f5780638da5cb5b1461019b578063a6c4c08b146101b9576100cd565b80630fc561b7146100d1578063245831e5146101015780633ab0cf511461011f5780636548e9bc1461013b578063715018a6146101575780638406c07914610161575b5f5ffd5b6100eb60048036038101906100e69190610e29565b61026d565b6040516100f89190610ef6565b60405180910390f35b6101096105f1565b6040516101169190610f90565b60405180910390f35b61013960048036038101906101349190610fe4565b610616565b005b61015560048036038101906101509190610fe4565b61074a565b005b61015f610810565b005b610169610823565b604051610176919061101e565b60405180910390f35b6101996004803603810190610194919061106c565b610848565b005b6101a361087c565b6040516101b0919061101e565b60405180910390f35b6101d360048036038101906101ce919061106c565b6108a3565b005b6101ef60048036038101906101ea91906110aa565b6108d7565b6040516101fc91906110e4565b60405180910390f35b61021f600480360381019061021a9190611130565b6108f4565b005b61023b600480360381019061023691906110aa565b610b45565b60405161024891906110e4565b60405180910390f35b61026b60048036038101906102669190610fe4565b610b62565b005b6060610277610be6565b60045f8581526020019081526020015f205f9054906101000a900460ff166102d4576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016102cb906111c8565b60405180910390fd5b60055f8581526020019081526020015f205f9054906101000a900460ff1615610332576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161032990611230565b60405180910390fd5b5f60025f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16632112142b866040518263ffffffff1660e01b815260040161038d919061125d565b5f60405180830381865afa1580156103a7573d5f5f3e3d5ffd5b505050506040513d5f823e3d601f19601f820116820180604052508101906103cf91906113cc565b50505050509150505f84846040516103e89291906114c1565b60405180910390209050808214610434576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161042b90611523565b60405180910390fd5b5f5f8686810190610445919061161a565b915091505f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff16036104b7576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016104ae906116be565b60405180910390fd5b5f5f8373ffffffffffffffffffffffffffffffffffffffff16836040516104de919061170c565b5f604051808303815f865af19150503d805f8114610517576040519150601f19603f3d011682016040523d82523d5f602084013e61051c565b606091505b509150915081610561576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016105589061176c565b60405180910390fd5b600160055f8c81526020019081526020015f205f6101000a81548160ff0219169083151502179055508373ffffffffffffffffffffffffffffffffffffffff168a7f687656bcdc248e32bf17a5e7f71e8ad6f00fe0671f9414acaeccc0ed017f90f1836040516105d19190610ef6565b60405180910390a38096505050505050506105ea610c2c565b9392505050565b60025f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1681565b61061e610c35565b5f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff160361068c576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610683906117d4565b60405180910390fd5b8073ffffffffffffffffffffffffffffffffffffffff1660025f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff167f1440f97c1ca62fee0b3118be295bcfb90cfc29148f9183857eb0837772ab3c6d60405160405180910390a38060025f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555050565b610752610c35565b8073ffffffffffffffffffffffffffffffffffffffff1660035f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff167f605ca4e43489fb38b91aa63dd9147cd3847957694b080b9285ec898b34269f0c60405160405180910390a38060035f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555050565b610818610c35565b6108215f610cbc565b565b60035f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1681565b610850610c35565b8060055f8481526020019081526020015f205f6101000a81548160ff0219169083151502179055505050565b5f5f5f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff16905090565b6108ab610c35565b8060045f8481526020019081526020015f205f6101000a81548160ff0219169083151502179055505050565b6004602052805f5260405f205f915054906101000a900460ff1681565b60035f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff163373ffffffffffffffffffffffffffffffffffffffff1614610983576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161097a9061183c565b60405180910390fd5b60045f8381526020019081526020015f205f9054906101000a900460ff16156109e1576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016109d8906118a4565b60405180910390fd5b5f60025f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16632112142b846040518263ffffffff1660e01b8152600401610a3c919061125d565b5f60405180830381865afa158015610a56573d5f5f3e3d5ffd5b505050506040513d5f823e3d601f19601f82011682018060405250810190610a7e91906113cc565b5050505050915050818114610ac8576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610abf90611932565b60405180910390fd5b600160045f8581526020019081526020015f205f6101000a81548160ff0219169083151502179055503373ffffffffffffffffffffffffffffffffffffffff16837fc73152bc6961fd44341f447a7ad5e4dbbdd431fbfccb89e32e8ca9d2d403ef1284604051610b38919061195f565b60405180910390a3505050565b6005602052805f5260405f205f915054906101000a900460ff1681565b610b6a610c35565b5f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603610bda575f6040517f1e4fbdf7000000000000000000000000000000000000000000000000000000008152600401610bd1919061101e565b60405180910390fd5b610be381610cbc565b50565b600260015403610c22576040517f3ee5aeb500000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6002600181905550565b60018081905550565b610c3d610d7d565b73ffffffffffffffffffffffffffffffffffffffff16610c5b61087c565b73ffffffffffffffffffffffffffffffffffffffff1614610cba57610c7e610d7d565b6040517f118cdaa7000000000000000000000000000000000000000000000000000000008152600401610cb1919061101e565b60405180910390fd5b565b5f5f5f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff169050815f5f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508173ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e060405160405180910390a35050565b5f33905090565b5f604051905090565b5f5ffd5b5f5ffd5b5f819050919050565b610da781610d95565b8114610db1575f5ffd5b50565b5f81359050610dc281610d9e565b92915050565b5f5ffd5b5f5ffd5b5f5ffd5b5f5f83601f840112610de957610de8610dc8565b5b8235905067ffffffffffffffff811115610e0657610e05610dcc565b5b602083019150836001820283011115610e2257610e21610dd0565b5b9250929050565b5f5f5f60408486031215610e4057610e3f610d8d565b5b5f610e4d86828701610db4565b935050602084013567ffffffffffffffff811115610e6e57610e6d610d91565b5b610e7a86828701610dd4565b92509250509250925092565b5f81519050919050565b5f82825260208201905092915050565b8281835e5f83830152505050565b5f601f19601f8301169050919050565b5f610ec882610e86565b610ed28185610e90565b9350610ee2818560208601610ea0565b610eeb81610eae565b840191505092915050565b5f6020820190508181035f830152610f0e8184610ebe565b905092915050565b5f73ffffffffffffffffffffffffffffffffffffffff82169050919050565b5f819050919050565b5f610f58610f53610f4e84610f16565b610f35565b610f16565b9050919050565b5f610f6982610f3e565b9050919050565b5f610f7a82610f5f565b9050919050565b610f8a81610f70565b82525050565b5f602082019050610fa35f830184610f81565b92915050565b5f610fb382610f16565b9050919050565b610fc381610fa9565b8114610fcd575f5ffd5b50565b5f81359050610fde81610fba565b92915050565b5f60208284031215610ff957610ff8610d8d565b5b5f61100684828501610fd0565b91505092915050565b61101881610fa9565b82525050565b5f6020820190506110315f83018461100f565b92915050565b5f8115159050919050565b61104b81611037565b8114611055575f5ffd5b50565b5f8135905061106681611042565b92915050565b5f5f6040838503121561108257611081610d8d565b5b5f61108f85828601610db4565b92505060206110a085828601611058565b9150509250929050565b5f602082840312156110bf576110be610d8d565b5b5f6110cc84828501610db4565b91505092915050565b6110de81611037565b82525050565b5f6020820190506110f75f8301846110d5565b92915050565b5f819050919050565b61110f816110fd565b8114611119575f5ffd5b50565b5f8135905061112a81611106565b92915050565b5f5f6040838503121561114657611145610d8d565b5b5f61115385828601610db4565b92505060206111648582860161111c565b9150509250929050565b5f82825260208201905092915050565b7f70726f706f73616c206e6f7420617474657374656420617320706173736564005f82015250565b5f6111b2601f8361116e565b91506111bd8261117e565b602082019050919050565b5f6020820190508181035f8301526111df816111a6565b9050919050565b7f616c7265616479206578656375746564000000000000000000000000000000005f82015250565b5f61121a60108361116e565b9150611225826111e6565b602082019050919050565b5f6020820190508181035f8301526112478161120e565b9050919050565b61125781610d95565b82525050565b5f6020820190506112705f83018461124e565b92915050565b5f8151905061128481610fba565b92915050565b5f8151905061129881611106565b92915050565b5f815190506112ac81610d9e565b92915050565b5f5ffd5b7f4e487b71000000000000000000000000000000000000000000000000000000005f52604160045260245ffd5b6112ec82610eae565b810181811067ffffffffffffffff8211171561130b5761130a6112b6565b5b80604052505050565b5f61131d610d84565b905061132982826112e3565b919050565b5f67ffffffffffffffff821115611348576113476112b6565b5b61135182610eae565b9050602081019050919050565b5f61137061136b8461132e565b611314565b90508281526020810184848401111561138c5761138b6112b2565b5b611397848285610ea0565b509392505050565b5f82601f8301126113b3576113b2610dc8565b5b81516113c384826020860161135e565b91505092915050565b5f5f5f5f5f5f5f60e0888a0312156113e7576113e6610d8d565b5b5f6113f48a828b01611276565b97505060206114058a828b0161128a565b96505060406114168a828b0161129e565b95505060606114278a828b0161129e565b94505060806114388a828b0161128a565b93505060a088015167ffffffffffffffff81111561145957611458610d91565b5b6114658a828b0161139f565b92505060c06114768a828b0161129e565b91505092959891949750929550565b5f81905092915050565b828183375f83830152505050565b5f6114a88385611485565b93506114b583858461148f565b82840190509392505050565b5f6114cd82848661149d565b91508190509392505050565b7f616374696f6e446174612068617368206d69736d6174636800000000000000005f82015250565b5f61150d60188361116e565b9150611518826114d9565b602082019050919050565b5f6020820190508181035f83015261153a81611501565b9050919050565b5f61154b82610f16565b9050919050565b61155b81611541565b8114611565575f5ffd5b50565b5f8135905061157681611552565b92915050565b5f67ffffffffffffffff821115611596576115956112b6565b5b61159f82610eae565b9050602081019050919050565b5f6115be6115b98461157c565b611314565b9050828152602081018484840111156115da576115d96112b2565b5b6115e584828561148f565b509392505050565b5f82601f83011261160157611600610dc8565b5b81356116118482602086016115ac565b91505092915050565b5f5f604083850312156116305761162f610d8d565b5b5f61163d85828601611568565b925050602083013567ffffffffffffffff81111561165e5761165d610d91565b5b61166a858286016115ed565b9150509250929050565b7f696e76616c6964207461726765740000000000000000000000000000000000005f82015250565b5f6116a8600e8361116e565b91506116b382611674565b602082019050919050565b5f6020820190508181035f8301526116d58161169c565b9050919050565b5f6116e682610e86565b6116f08185611485565b9350611700818560208601610ea0565b80840191505092915050565b5f61171782846116dc565b915081905092915050565b7f657865637574696f6e206661696c6564000000000000000000000000000000005f82015250565b5f61175660108361116e565b915061176182611722565b602082019050919050565b5f6020820190508181035f8301526117838161174a565b9050919050565b7f7075626c69736865723d300000000000000000000000000000000000000000005f82015250565b5f6117be600b8361116e565b91506117c98261178a565b602082019050919050565b5f6020820190508181035f8301526117eb816117b2565b9050919050565b7f6f6e6c792072656c6179657200000000000000000000000000000000000000005f82015250565b5f611826600c8361116e565b9150611831826117f2565b602082019050919050565b5f6020820190508181035f8301526118538161181a565b9050919050565b7f616c7265616479206174746573746564000000000000000000000000000000005f82015250565b5f61188e60108361116e565b91506118998261185a565b602082019050919050565b5f6020820190508181035f8301526118bb81611882565b9050919050565b7f616374696f6e4461746148617368206d69736d617463682077697468207075625f8201527f6c69736865720000000000000000000000000000000000000000000000000000602082015250565b5f61191c60268361116e565b9150611927826118c2565b604082019050919050565b5f6020820190508181035f83015261194981611910565b9050919050565b611959816110fd565b82525050565b5f6020820190506119725f830184611950565b9291505056fea2646970667358221220254b497d0cb3d343502e1eb053f310f12bda0dac39bd3a5be53311497b754d8864736f6c634300081c0033";
+  const _bytecode = "0x60e060405234801561000f575f5ffd5b50604051612adf380380612adf83398101604081905261002e91610515565b60017f9b779b17422d0df92223018b32b4d1fa46e071723d6817e2486d003becc55f00556001600160a01b03881661009b5760405162461bcd60e51b815260206004820152600b60248201526a07075626c69736865723d360ac1b60448201526064015b60405180910390fd5b6001600160a01b0386166100de5760405162461bcd60e51b815260206004820152600a602482015269076657269666965723d360b41b6044820152606401610092565b62278d008211156101225760405162461bcd60e51b815260206004820152600e60248201526d64656c617920746f6f206c6f6e6760901b6044820152606401610092565b600380546001600160a01b03808b166001600160a01b03199283161790925560a089905287821660c052600b8054868416908316179055600a84905560048054928416929091169190911790556101798585610271565b604080518082018252601781527f4c535420476f7665726e616e6365204578656375746f720000000000000000006020918201528151808301835260018152603160f81b9082015281517f8b73c3c69bb8fe3d512ecc4cf759cc79239f7b179b0ffacaa9a75d522b39400f918101919091527f70adc44ba147543baad62236aa0fe852e6e4ab4ebcb7e3ed46ea3d8af258a3e4918101919091527fc89efdaa54c0f20c7adf612882df0950f5a951637e0307cdcb4c672f298b8bc660608201524660808201523060a082015260c00160408051601f198184030181529190528051602090910120608052506106ab9650505050505050565b5f81118015610281575081518111155b6102c15760405162461bcd60e51b81526020600482015260116024820152701a5b9d985b1a59081d1a1c995cda1bdb19607a1b6044820152606401610092565b5f5b5f5481101561031d575f60015f5f84815481106102e2576102e2610642565b5f918252602080832091909101546001600160a01b031683528201929092526040019020805460ff19169115159190911790556001016102c3565b505f5b8251811015610418575f83828151811061033c5761033c610642565b602002602001015190505f6001600160a01b0316816001600160a01b0316036103935760405162461bcd60e51b8152602060048201526009602482015268072656c617965723d360bc1b6044820152606401610092565b6001600160a01b0381165f9081526001602052604090205460ff16156103ef5760405162461bcd60e51b8152602060048201526011602482015270323ab83634b1b0ba32903932b630bcb2b960791b6044820152606401610092565b6001600160a01b03165f908152600160208190526040909120805460ff19168217905501610320565b50815161042b905f90602085019061046f565b5060028190556040517f5a0091a72d4086872029883d84f34855d5a8604799a648fa78a49c19c2f1abc1906104639084908490610656565b60405180910390a15050565b828054828255905f5260205f209081019282156104c2579160200282015b828111156104c257825182546001600160a01b0319166001600160a01b0390911617825560209092019160019091019061048d565b506104ce9291506104d2565b5090565b5b808211156104ce575f81556001016104d3565b80516001600160a01b03811681146104fc575f5ffd5b919050565b634e487b7160e01b5f52604160045260245ffd5b5f5f5f5f5f5f5f5f610100898b03121561052d575f5ffd5b610536896104e6565b60208a0151909850965061054c60408a016104e6565b60608a01519096506001600160401b03811115610567575f5ffd5b8901601f81018b13610577575f5ffd5b80516001600160401b0381111561059057610590610501565b604051600582901b90603f8201601f191681016001600160401b03811182821017156105be576105be610501565b60405291825260208184018101929081018e8411156105db575f5ffd5b6020850194505b83851015610601576105f3856104e6565b8152602094850194016105e2565b5060808d0151909850965061061d92505060a08b0190506104e6565b60c08a0151909350915061063360e08a016104e6565b90509295985092959890939650565b634e487b7160e01b5f52603260045260245ffd5b604080825283519082018190525f9060208501906060840190835b818110156106985783516001600160a01b0316835260209384019390920191600101610671565b5050602093909301939093525092915050565b60805160a05160c0516123e76106f85f395f818161031b01528181610c4e0152610ddb01525f818161025001528181610c280152610db101525f818161034e0152610ca201526123e75ff3fe6080604052600436106101de575f3560e01c806366285967116100fd578063ba29482f11610092578063d3ecebd711610062578063d3ecebd71461063a578063dc76062c14610668578063f9dbd21414610693578063ffa1ad74146106b2575f5ffd5b8063ba29482f146105d1578063bf81bf43146105f0578063c1a287e21461060f578063c63c4e9b14610625575f5ffd5b8063a3f4df7e116100cd578063a3f4df7e146104ed578063b163dd0914610542578063b5a1679214610575578063ba065e1f146105a3575f5ffd5b8063662859671461046b57806378db0c141461048a5780637d645fab146104b85780638a0dac4a146104ce575f5ffd5b80633644e5151161017357806340e58ee51161014357806340e58ee5146103da57806342cde4e8146103f9578063452a93201461040e578063541d55481461042d575f5ffd5b80633644e5151461033d5780633ab0cf51146103705780633cb747bf1461038f5780633e4f49e6146103ae575f5ffd5b80631885c2f9116101ae5780631885c2f914610293578063245831e5146102b45780632aaf5ed5146102eb5780632b7ac3f31461030a575f5ffd5b80630fc561b7146101e957806312fd4d31146102125780631544298e1461023f578063179ff4b214610272575f5ffd5b366101e557005b5f5ffd5b6101fc6101f7366004611cf8565b6106de565b6040516102099190611d6d565b60405180910390f35b34801561021d575f5ffd5b5061023161022c366004611dd0565b610beb565b604051908152602001610209565b34801561024a575f5ffd5b506102317f000000000000000000000000000000000000000000000000000000000000000081565b34801561027d575f5ffd5b50610286610cef565b6040516102099190611e33565b34801561029e575f5ffd5b506102b26102ad366004611e5c565b610d4e565b005b3480156102bf575f5ffd5b506003546102d3906001600160a01b031681565b6040516001600160a01b039091168152602001610209565b3480156102f6575f5ffd5b506102b2610305366004611ef3565b610e97565b348015610315575f5ffd5b506102d37f000000000000000000000000000000000000000000000000000000000000000081565b348015610348575f5ffd5b506102317f000000000000000000000000000000000000000000000000000000000000000081565b34801561037b575f5ffd5b506102b261038a366004611f3a565b610ef8565b34801561039a575f5ffd5b506004546102d3906001600160a01b031681565b3480156103b9575f5ffd5b506103cd6103c8366004611f55565b610fb6565b6040516102099190611f80565b3480156103e5575f5ffd5b506102b26103f4366004611f55565b611053565b348015610404575f5ffd5b5061023160025481565b348015610419575f5ffd5b50600b546102d3906001600160a01b031681565b348015610438575f5ffd5b5061045b610447366004611f3a565b60016020525f908152604090205460ff1681565b6040519015158152602001610209565b348015610476575f5ffd5b506102b2610485366004611f3a565b611159565b348015610495575f5ffd5b5061045b6104a4366004611f55565b60086020525f908152604090205460ff1681565b3480156104c3575f5ffd5b5061023162278d0081565b3480156104d9575f5ffd5b506102b26104e8366004611f3a565b6111d3565b3480156104f8575f5ffd5b506105356040518060400160405280601781526020017f4c535420476f7665726e616e6365204578656375746f7200000000000000000081525081565b6040516102099190611fa6565b34801561054d575f5ffd5b506102317f80a68e98490c717c3ecbcfc63bdd5d54135b8586eb8b6e92c1e3e7ab42ca6f8c81565b348015610580575f5ffd5b5061045b61058f366004611f55565b60056020525f908152604090205460ff1681565b3480156105ae575f5ffd5b5061045b6105bd366004611f55565b60096020525f908152604090205460ff1681565b3480156105dc575f5ffd5b506102b26105eb366004611f55565b61124d565b3480156105fb575f5ffd5b506102b261060a366004611f55565b6112f1565b34801561061a575f5ffd5b506102316212750081565b348015610630575f5ffd5b50610231600a5481565b348015610645575f5ffd5b5061045b610654366004611f55565b60066020525f908152604090205460ff1681565b348015610673575f5ffd5b50610231610682366004611f55565b60076020525f908152604090205481565b34801561069e575f5ffd5b506102b26106ad366004611fb8565b6113da565b3480156106bd575f5ffd5b50610535604051806040016040528060018152602001603160f81b81525081565b60606106e8611449565b5f6106f285610fb6565b90505f81600581111561070757610707611f6c565b036107595760405162461bcd60e51b815260206004820152601f60248201527f70726f706f73616c206e6f74206174746573746564206173207061737365640060448201526064015b60405180910390fd5b600381600581111561076d5761076d611f6c565b036107ad5760405162461bcd60e51b815260206004820152601060248201526f185b1c9958591e48195e1958dd5d195960821b6044820152606401610750565b60048160058111156107c1576107c1611f6c565b036108025760405162461bcd60e51b81526020600482015260116024820152701c1c9bdc1bdcd85b0818d85b98d95b1959607a1b6044820152606401610750565b600181600581111561081657610816611f6c565b0361085a5760405162461bcd60e51b81526020600482015260146024820152731d1a5b595b1bd8dac81b9bdd08195b185c1cd95960621b6044820152606401610750565b600581600581111561086e5761086e611f6c565b036108ae5760405162461bcd60e51b815260206004820152601060248201526f1c1c9bdc1bdcd85b08195e1c1a5c995960821b6044820152606401610750565b600354604051632112142b60e01b8152600481018790525f916001600160a01b031690632112142b906024015f60405180830381865afa1580156108f4573d5f5f3e3d5ffd5b505050506040513d5f823e601f3d908101601f1916820160405261091b919081019061208c565b50505050509150505f858560405161093492919061214d565b6040518091039020905080821461098d5760405162461bcd60e51b815260206004820152601860248201527f616374696f6e446174612068617368206d69736d6174636800000000000000006044820152606401610750565b5f61099a8688018861215c565b90505f8151116109d75760405162461bcd60e51b81526020600482015260086024820152676e6f2063616c6c7360c01b6044820152606401610750565b5f888152600660205260409020805460ff1916600117905580516001600160401b03811115610a0857610a08611ffa565b604051908082528060200260200182016040528015610a3b57816020015b6060815260200190600190039081610a265790505b5094505f5b8151811015610bb6575f828281518110610a5c57610a5c6122bc565b602090810291909101015180519091506001600160a01b0316610ab25760405162461bcd60e51b815260206004820152600e60248201526d1a5b9d985b1a59081d185c99d95d60921b6044820152606401610750565b5f5f825f01516001600160a01b031683602001518460400151604051610ad891906122d0565b5f6040518083038185875af1925050503d805f8114610b12576040519150601f19603f3d011682016040523d82523d5f602084013e610b17565b606091505b5091509150610b268282611477565b898581518110610b3857610b386122bc565b6020026020010181905250825f01516001600160a01b0316848d7f3bd73b4a7975fbb5a2d2970077e278ca3b9b8774a7be3641ae4919477a375b9b86602001518d8981518110610b8a57610b8a6122bc565b6020026020010151604051610ba09291906122e6565b60405180910390a4505050806001019050610a40565b5050505050610be460017f9b779b17422d0df92223018b32b4d1fa46e071723d6817e2486d003becc55f0055565b9392505050565b604080517f80a68e98490c717c3ecbcfc63bdd5d54135b8586eb8b6e92c1e3e7ab42ca6f8c602080830191909152818301859052606082018490527f000000000000000000000000000000000000000000000000000000000000000060808301527f00000000000000000000000000000000000000000000000000000000000000006001600160a01b031660a0808401919091528351808403909101815260c08301845280519082012061190160f01b60e08401527f000000000000000000000000000000000000000000000000000000000000000060e2840152610102808401919091528351808403909101815261012290920190925280519101205b92915050565b60605f805480602002602001604051908101604052809291908181526020018280548015610d4457602002820191905f5260205f20905b81546001600160a01b03168152600190910190602001808311610d26575b5050505050905090565b6004546001600160a01b031615801590610d7257506004546001600160a01b031633145b610daf5760405162461bcd60e51b815260206004820152600e60248201526d37b7363c9036b2b9b9b2b733b2b960911b6044820152606401610750565b7f000000000000000000000000000000000000000000000000000000000000000084148015610e0f57507f00000000000000000000000000000000000000000000000000000000000000006001600160a01b0316836001600160a01b0316145b610e545760405162461bcd60e51b81526020600482015260166024820152753ab735b737bbb71036b2b9b9b0b3b29039b2b73232b960511b6044820152606401610750565b5f80610e6283850185611dd0565b5f82815260056020526040902054919350915060ff1615610e84575050610e91565b610e8e82826114b4565b50505b50505050565b333014610eb65760405162461bcd60e51b815260040161075090612306565b610ef38383808060200260200160405190810160405280939291908181526020018383602002808284375f9201919091525085925061163d915050565b505050565b333014610f175760405162461bcd60e51b815260040161075090612306565b6001600160a01b038116610f5b5760405162461bcd60e51b815260206004820152600b60248201526a07075626c69736865723d360ac1b6044820152606401610750565b6003546040516001600160a01b038084169216907f1440f97c1ca62fee0b3118be295bcfb90cfc29148f9183857eb0837772ab3c6d905f90a3600380546001600160a01b0319166001600160a01b0392909216919091179055565b5f8181526005602052604081205460ff16610fd257505f919050565b5f8281526006602052604090205460ff1615610ff057506003919050565b5f8281526008602052604090205460ff161561100e57506004919050565b5f828152600760205260409020544281111561102d5750600192915050565b61103a621275008261232f565b42111561104a5750600592915050565b50600292915050565b600b546001600160a01b0316331461109d5760405162461bcd60e51b815260206004820152600d60248201526c37b7363c9033bab0b93234b0b760991b6044820152606401610750565b5f6110a782610fb6565b905060018160058111156110bd576110bd611f6c565b14806110da575060028160058111156110d8576110d8611f6c565b145b6111135760405162461bcd60e51b815260206004820152600a6024820152691b9bdd081c5d595d595960b21b6044820152606401610750565b5f82815260086020526040808220805460ff1916600117905551339184917f253042c67143aeb6d431bb762d75e5905f18fa7850b7b9edb31fedb7c362d7e89190a35050565b3330146111785760405162461bcd60e51b815260040161075090612306565b6004546040516001600160a01b038084169216907f4be73a2bab3c10f7049cbd6605125ca386660f1566dfff8a29be1b9fe8ec7e7b905f90a3600480546001600160a01b0319166001600160a01b0392909216919091179055565b3330146111f25760405162461bcd60e51b815260040161075090612306565b600b546040516001600160a01b038084169216907f064d28d3d3071c5cbc271a261c10c2f0f0d9e319390397101aa0eb23c6bad909905f90a3600b80546001600160a01b0319166001600160a01b0392909216919091179055565b33301461126c5760405162461bcd60e51b815260040161075090612306565b62278d008111156112b05760405162461bcd60e51b815260206004820152600e60248201526d64656c617920746f6f206c6f6e6760901b6044820152606401610750565b600a5460408051918252602082018390527f2077aa4cabbdf22e003752854fd58bb19dad1171bc2fa83a0fb6033421e17e7a910160405180910390a1600a55565b60056112fc82610fb6565b600581111561130d5761130d611f6c565b146113485760405162461bcd60e51b815260206004820152600b60248201526a1b9bdd08195e1c1a5c995960aa1b6044820152606401610750565b5f8181526009602052604090205460ff16156113985760405162461bcd60e51b815260206004820152600f60248201526e185b1c9958591e48195e1c1a5c9959608a1b6044820152606401610750565b5f81815260096020526040808220805460ff191660011790555182917f88e53c486703527139dfc8d97a1e559d9bd93d3f9d52cda4e06564111e7a264391a250565b5f8481526005602052604090205460ff161561142b5760405162461bcd60e51b815260206004820152601060248201526f185b1c9958591e48185d1d195cdd195960821b6044820152606401610750565b61143f6114388585610beb565b838361183b565b610e9184846114b4565b6114516119fc565b60027f9b779b17422d0df92223018b32b4d1fa46e071723d6817e2486d003becc55f0055565b60608215611486575080610ce9565b81511561149b5761149682611a40565b610ce9565b60405163d6bda27560e01b815260040160405180910390fd5b600354604051632112142b60e01b8152600481018490525f916001600160a01b031690632112142b906024015f60405180830381865afa1580156114fa573d5f5f3e3d5ffd5b505050506040513d5f823e601f3d908101601f19168201604052611521919081019061208c565b50505050509150508181146115875760405162461bcd60e51b815260206004820152602660248201527f616374696f6e4461746148617368206d69736d617463682077697468207075626044820152653634b9b432b960d11b6064820152608401610750565b5f838152600560205260408120805460ff19166001179055600a546115ac904261232f565b5f858152600760205260409081902082905551909150339085907fc73152bc6961fd44341f447a7ad5e4dbbdd431fbfccb89e32e8ca9d2d403ef12906115f59087815260200190565b60405180910390a3837f9a2e42fd6722813d69113e7d0079d3d940171428df7373df9c7f7617cfda28928260405161162f91815260200190565b60405180910390a250505050565b5f8111801561164d575081518111155b61168d5760405162461bcd60e51b81526020600482015260116024820152701a5b9d985b1a59081d1a1c995cda1bdb19607a1b6044820152606401610750565b5f5b5f548110156116e9575f60015f5f84815481106116ae576116ae6122bc565b5f918252602080832091909101546001600160a01b031683528201929092526040019020805460ff191691151591909117905560010161168f565b505f5b82518110156117e4575f838281518110611708576117086122bc565b602002602001015190505f6001600160a01b0316816001600160a01b03160361175f5760405162461bcd60e51b8152602060048201526009602482015268072656c617965723d360bc1b6044820152606401610750565b6001600160a01b0381165f9081526001602052604090205460ff16156117bb5760405162461bcd60e51b8152602060048201526011602482015270323ab83634b1b0ba32903932b630bcb2b960791b6044820152606401610750565b6001600160a01b03165f908152600160208190526040909120805460ff191682179055016116ec565b5081516117f7905f906020850190611c3d565b5060028190556040517f5a0091a72d4086872029883d84f34855d5a8604799a648fa78a49c19c2f1abc19061182f908490849061234e565b60405180910390a15050565b5f6002541161187a5760405162461bcd60e51b815260206004820152600b60248201526a6e6f2072656c617965727360a81b6044820152606401610750565b6002548110156118c45760405162461bcd60e51b81526020600482015260156024820152746e6f7420656e6f756768207369676e61747572657360581b6044820152606401610750565b5f805b828110156119f5575f611931868686858181106118e6576118e66122bc565b90506020028101906118f8919061236f565b8080601f0160208091040260200160405190810160405280939291908181526020018383808284375f92019190915250611a4892505050565b6001600160a01b0381165f9081526001602052604090205490915060ff166119925760405162461bcd60e51b815260206004820152601460248201527339b4b3b732b9103737ba1030903932b630bcb2b960611b6044820152606401610750565b826001600160a01b0316816001600160a01b0316116119eb5760405162461bcd60e51b81526020600482015260156024820152747369676e657273206e6f7420617363656e64696e6760581b6044820152606401610750565b91506001016118c7565b5050505050565b7f9b779b17422d0df92223018b32b4d1fa46e071723d6817e2486d003becc55f0054600203611a3e57604051633ee5aeb560e01b815260040160405180910390fd5b565b805160208201fd5b5f5f5f5f611a568686611a70565b925092509250611a668282611ab9565b5090949350505050565b5f5f5f8351604103611aa7576020840151604085015160608601515f1a611a9988828585611b75565b955095509550505050611ab2565b505081515f91506002905b9250925092565b5f826003811115611acc57611acc611f6c565b03611ad5575050565b6001826003811115611ae957611ae9611f6c565b03611b075760405163f645eedf60e01b815260040160405180910390fd5b6002826003811115611b1b57611b1b611f6c565b03611b3c5760405163fce698f760e01b815260048101829052602401610750565b6003826003811115611b5057611b50611f6c565b03611b71576040516335e2f38360e21b815260048101829052602401610750565b5050565b5f80807f7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0841115611bae57505f91506003905082611c33565b604080515f808252602082018084528a905260ff891692820192909252606081018790526080810186905260019060a0016020604051602081039080840390855afa158015611bff573d5f5f3e3d5ffd5b5050604051601f1901519150506001600160a01b038116611c2a57505f925060019150829050611c33565b92505f91508190505b9450945094915050565b828054828255905f5260205f20908101928215611c90579160200282015b82811115611c9057825182546001600160a01b0319166001600160a01b03909116178255602090920191600190910190611c5b565b50611c9c929150611ca0565b5090565b5b80821115611c9c575f8155600101611ca1565b5f5f83601f840112611cc4575f5ffd5b5081356001600160401b03811115611cda575f5ffd5b602083019150836020828501011115611cf1575f5ffd5b9250929050565b5f5f5f60408486031215611d0a575f5ffd5b8335925060208401356001600160401b03811115611d26575f5ffd5b611d3286828701611cb4565b9497909650939450505050565b5f81518084528060208401602086015e5f602082860101526020601f19601f83011685010191505092915050565b5f602082016020835280845180835260408501915060408160051b8601019250602086015f5b82811015611dc457603f19878603018452611daf858351611d3f565b94506020938401939190910190600101611d93565b50929695505050505050565b5f5f60408385031215611de1575f5ffd5b50508035926020909101359150565b5f8151808452602084019350602083015f5b82811015611e295781516001600160a01b0316865260209586019590910190600101611e02565b5093949350505050565b602081525f610be46020830184611df0565b6001600160a01b0381168114611e59575f5ffd5b50565b5f5f5f5f60608587031215611e6f575f5ffd5b843593506020850135611e8181611e45565b925060408501356001600160401b03811115611e9b575f5ffd5b611ea787828801611cb4565b95989497509550505050565b5f5f83601f840112611ec3575f5ffd5b5081356001600160401b03811115611ed9575f5ffd5b6020830191508360208260051b8501011115611cf1575f5ffd5b5f5f5f60408486031215611f05575f5ffd5b83356001600160401b03811115611f1a575f5ffd5b611f2686828701611eb3565b909790965060209590950135949350505050565b5f60208284031215611f4a575f5ffd5b8135610be481611e45565b5f60208284031215611f65575f5ffd5b5035919050565b634e487b7160e01b5f52602160045260245ffd5b6020810160068310611fa057634e487b7160e01b5f52602160045260245ffd5b91905290565b602081525f610be46020830184611d3f565b5f5f5f5f60608587031215611fcb575f5ffd5b843593506020850135925060408501356001600160401b03811115611fee575f5ffd5b611ea787828801611eb3565b634e487b7160e01b5f52604160045260245ffd5b604051606081016001600160401b038111828210171561203057612030611ffa565b60405290565b604051601f8201601f191681016001600160401b038111828210171561205e5761205e611ffa565b604052919050565b5f6001600160401b0382111561207e5761207e611ffa565b50601f01601f191660200190565b5f5f5f5f5f5f5f60e0888a0312156120a2575f5ffd5b87516120ad81611e45565b602089015160408a015160608b015160808c015160a08d0151949b50929950909750955093506001600160401b038111156120e6575f5ffd5b8801601f81018a136120f6575f5ffd5b805161210961210482612066565b612036565b8181528b602083850101111561211d575f5ffd5b8160208401602083015e5f602083830101528094505050505f60c089015190508091505092959891949750929550565b818382375f9101908152919050565b5f6020828403121561216c575f5ffd5b81356001600160401b03811115612181575f5ffd5b8201601f81018413612191575f5ffd5b80356001600160401b038111156121aa576121aa611ffa565b8060051b6121ba60208201612036565b918252602081840181019290810190878411156121d5575f5ffd5b6020850192505b838310156122b15782356001600160401b038111156121f9575f5ffd5b85016060818a03601f1901121561220e575f5ffd5b61221661200e565b602082013561222481611e45565b81526040820135602082015260608201356001600160401b03811115612248575f5ffd5b60208184010192505089601f83011261225f575f5ffd5b813561226d61210482612066565b8181528b6020838601011115612281575f5ffd5b816020850160208301375f60208383010152806040840152505080845250506020820191506020830192506121dc565b979650505050505050565b634e487b7160e01b5f52603260045260245ffd5b5f82518060208501845e5f920191825250919050565b828152604060208201525f6122fe6040830184611d3f565b949350505050565b6020808252600f908201526e6f6e6c7920676f7665726e616e636560881b604082015260600190565b80820180821115610ce957634e487b7160e01b5f52601160045260245ffd5b604081525f6123606040830185611df0565b90508260208301529392505050565b5f5f8335601e19843603018112612384575f5ffd5b8301803591506001600160401b0382111561239d575f5ffd5b602001915036819003821315611cf1575f5ffdfea26469706673582212205e7ac7c04a876867d0896345314a18412e6d5b764cd9d54f4ea3e310478749ef64736f6c634300081c0033";
 
   
       type GovernanceExecutorConstructorParams = [signer?: Signer] | ConstructorParameters<typeof ContractFactory>;
@@ -381,11 +830,11 @@ import type { NonPayableOverrides } from "../../common.js"
         
       }
     
-    override getDeployTransaction(_governancePublisher: AddressLike, _relayer: AddressLike, overrides?: NonPayableOverrides & { from?: string }): Promise<ContractDeployTransaction> {
-      return super.getDeployTransaction(_governancePublisher, _relayer, overrides || {});
+    override getDeployTransaction(_governancePublisher: AddressLike, _sourceChainId: BigNumberish, _verifier: AddressLike, _relayersInit: AddressLike[], _threshold: BigNumberish, _guardian: AddressLike, _minDelay: BigNumberish, _messenger: AddressLike, overrides?: NonPayableOverrides & { from?: string }): Promise<ContractDeployTransaction> {
+      return super.getDeployTransaction(_governancePublisher, _sourceChainId, _verifier, _relayersInit, _threshold, _guardian, _minDelay, _messenger, overrides || {});
     };
-    override deploy(_governancePublisher: AddressLike, _relayer: AddressLike, overrides?: NonPayableOverrides & { from?: string }) {
-      return super.deploy(_governancePublisher, _relayer, overrides || {}) as Promise<GovernanceExecutor & {
+    override deploy(_governancePublisher: AddressLike, _sourceChainId: BigNumberish, _verifier: AddressLike, _relayersInit: AddressLike[], _threshold: BigNumberish, _guardian: AddressLike, _minDelay: BigNumberish, _messenger: AddressLike, overrides?: NonPayableOverrides & { from?: string }) {
+      return super.deploy(_governancePublisher, _sourceChainId, _verifier, _relayersInit, _threshold, _guardian, _minDelay, _messenger, overrides || {}) as Promise<GovernanceExecutor & {
         deploymentTransaction(): ContractTransactionResponse;
       }>;
     }
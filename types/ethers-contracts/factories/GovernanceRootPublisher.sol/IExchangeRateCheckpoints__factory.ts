@@ -0,0 +1,58 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+
+  import { Contract, Interface, type ContractRunner } from "ethers";
+  import type { IExchangeRateCheckpoints, IExchangeRateCheckpointsInterface } from "../../GovernanceRootPublisher.sol/IExchangeRateCheckpoints.js";
+
+  const _abi = [
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "timepoint",
+        "type": "uint256"
+      }
+    ],
+    "name": "exchangeRateAt",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "timepoint",
+        "type": "uint256"
+      }
+    ],
+    "name": "getPastTotalSupply",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  }
+] as const;
+
+  export class IExchangeRateCheckpoints__factory {
+    static readonly abi = _abi;
+    static createInterface(): IExchangeRateCheckpointsInterface {
+      return new Interface(_abi) as IExchangeRateCheckpointsInterface;
+    }
+    static connect(address: string, runner?: ContractRunner | null): IExchangeRateCheckpoints {
+      return new Contract(address, _abi, runner) as unknown as IExchangeRateCheckpoints;
+    }
+  }
+  
\ No newline at end of file
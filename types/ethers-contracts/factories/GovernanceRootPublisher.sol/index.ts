@@ -0,0 +1,5 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+export { GovernanceRootPublisher__factory } from './GovernanceRootPublisher__factory.js';
+export { IExchangeRateCheckpoints__factory } from './IExchangeRateCheckpoints__factory.js';
\ No newline at end of file
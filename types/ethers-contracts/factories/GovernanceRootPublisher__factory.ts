@@ -1,318 +0,0 @@
-/* Autogenerated file. Do not edit manually. */
-/* tslint:disable */
-/* eslint-disable */
-import type { Addressable } from "ethers";
-import { Contract, ContractFactory, ContractTransactionResponse, Interface } from "ethers"
-import type { Signer, ContractDeployTransaction, ContractRunner } from "ethers"
-import type { NonPayableOverrides } from "../common.js"
-  import type { GovernanceRootPublisher, GovernanceRootPublisherInterface } from "../GovernanceRootPublisher.js";
-
-  const _abi = [
-  {
-    "inputs": [],
-    "stateMutability": "nonpayable",
-    "type": "constructor"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      {
-        "indexed": true,
-        "internalType": "uint256",
-        "name": "proposalId",
-        "type": "uint256"
-      },
-      {
-        "indexed": true,
-        "internalType": "address",
-        "name": "proposer",
-        "type": "address"
-      },
-      {
-        "indexed": true,
-        "internalType": "bytes32",
-        "name": "actionDataHash",
-        "type": "bytes32"
-      },
-      {
-        "indexed": false,
-        "internalType": "uint256",
-        "name": "snapshotBlock",
-        "type": "uint256"
-      },
-      {
-        "indexed": false,
-        "internalType": "uint256",
-        "name": "ER_snapshot",
-        "type": "uint256"
-      },
-      {
-        "indexed": false,
-        "internalType": "bytes32",
-        "name": "powerRoot",
-        "type": "bytes32"
-      },
-      {
-        "indexed": false,
-        "internalType": "string",
-        "name": "metadata",
-        "type": "string"
-      },
-      {
-        "indexed": false,
-        "internalType": "uint256",
-        "name": "createdAt",
-        "type": "uint256"
-      }
-    ],
-    "name": "ProposalCreated",
-    "type": "event"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      {
-        "indexed": true,
-        "internalType": "uint256",
-        "name": "proposalId",
-        "type": "uint256"
-      },
-      {
-        "indexed": false,
-        "internalType": "string",
-        "name": "metadata",
-        "type": "string"
-      }
-    ],
-    "name": "ProposalMetadataUpdated",
-    "type": "event"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "proposalId",
-        "type": "uint256"
-      }
-    ],
-    "name": "getProposalCore",
-    "outputs": [
-      {
-        "internalType": "address",
-        "name": "proposer",
-        "type": "address"
-      },
-      {
-        "internalType": "bytes32",
-        "name": "actionDataHash",
-        "type": "bytes32"
-      },
-      {
-        "internalType": "uint256",
-        "name": "snapshotBlock",
-        "type": "uint256"
-      },
-      {
-        "internalType": "uint256",
-        "name": "ER_snapshot",
-        "type": "uint256"
-      },
-      {
-        "internalType": "bytes32",
-        "name": "powerRoot",
-        "type": "bytes32"
-      },
-      {
-        "internalType": "string",
-        "name": "metadata",
-        "type": "string"
-      },
-      {
-        "internalType": "uint256",
-        "name": "createdAt",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "proposalId",
-        "type": "uint256"
-      }
-    ],
-    "name": "isPublished",
-    "outputs": [
-      {
-        "internalType": "bool",
-        "name": "",
-        "type": "bool"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "name": "proposals",
-    "outputs": [
-      {
-        "internalType": "address",
-        "name": "proposer",
-        "type": "address"
-      },
-      {
-        "internalType": "bytes32",
-        "name": "actionDataHash",
-        "type": "bytes32"
-      },
-      {
-        "internalType": "uint256",
-        "name": "snapshotBlock",
-        "type": "uint256"
-      },
-      {
-        "internalType": "uint256",
-        "name": "ER_snapshot",
-        "type": "uint256"
-      },
-      {
-        "internalType": "bytes32",
-        "name": "powerRoot",
-        "type": "bytes32"
-      },
-      {
-        "internalType": "string",
-        "name": "metadata",
-        "type": "string"
-      },
-      {
-        "internalType": "uint256",
-        "name": "createdAt",
-        "type": "uint256"
-      },
-      {
-        "internalType": "enum GovernanceRootPublisher.ProposalState",
-        "name": "state",
-        "type": "uint8"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "proposalId",
-        "type": "uint256"
-      },
-      {
-        "internalType": "bytes32",
-        "name": "actionDataHash",
-        "type": "bytes32"
-      },
-      {
-        "internalType": "uint256",
-        "name": "snapshotBlock",
-        "type": "uint256"
-      },
-      {
-        "internalType": "uint256",
-        "name": "ER_snapshot",
-        "type": "uint256"
-      },
-      {
-        "internalType": "bytes32",
-        "name": "powerRoot",
-        "type": "bytes32"
-      },
-      {
-        "internalType": "string",
-        "name": "metadata",
-        "type": "string"
-      }
-    ],
-    "name": "publishProposal",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "proposalId",
-        "type": "uint256"
-      },
-      {
-        "internalType": "string",
-        "name": "metadata",
-        "type": "string"
-      }
-    ],
-    "name": "updateMetadata",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  }
-] as const;
-
-  const _bytecode = "0x6080604052348015600e575f5ffd5b506113508061001c5f395ff3fe608060405234801561000f575f5ffd5b5060043610610055575f3560e01c8063013cf08b146100595780632112142b1461009057806353c8388e146100c6578063785f0349146100e25780637b156fb5146100fe575b5f5ffd5b610073600480360381019061006e9190610835565b61012e565b6040516100879897969594939291906109a9565b60405180910390f35b6100aa60048036038101906100a59190610835565b610222565b6040516100bd9796959493929190610a2c565b60405180910390f35b6100e060048036038101906100db9190610b01565b610397565b005b6100fc60048036038101906100f79190610b88565b610504565b005b61011860048036038101906101139190610835565b6107ac565b6040516101259190610c4c565b60405180910390f35b5f602052805f5260405f205f91509050805f015f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff169080600101549080600201549080600301549080600401549080600501805461018990610c92565b80601f01602080910402602001604051908101604052809291908181526020018280546101b590610c92565b80156102005780601f106101d757610100808354040283529160200191610200565b820191905f5260205f20905b8154815290600101906020018083116101e357829003601f168201915b505050505090806006015490806007015f9054906101000a900460ff16905088565b5f5f5f5f5f60605f5f5f5f8a81526020019081526020015f2090506001808111156102505761024f610936565b5b816007015f9054906101000a900460ff16600181111561027357610272610936565b5b146102b3576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016102aa90610d0c565b60405180910390fd5b805f015f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1681600101548260020154836003015484600401548560050186600601548180546102ff90610c92565b80601f016020809104026020016040519081016040528092919081815260200182805461032b90610c92565b80156103765780601f1061034d57610100808354040283529160200191610376565b820191905f5260205f20905b81548152906001019060200180831161035957829003601f168201915b50505050509150975097509750975097509750975050919395979092949650565b5f5f5f8581526020019081526020015f2090506001808111156103bd576103bc610936565b5b816007015f9054906101000a900460ff1660018111156103e0576103df610936565b5b14610420576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161041790610d0c565b60405180910390fd5b3373ffffffffffffffffffffffffffffffffffffffff16815f015f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16146104b0576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016104a790610d74565b60405180910390fd5b82828260050191826104c3929190610f69565b50837ffb07476896ebf33acacfc8e80d7be15cb631ef4f45575a3a680cd9f0b681c69a84846040516104f6929190611070565b60405180910390a250505050565b5f8703610546576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161053d906110dc565b60405180910390fd5b5f5f1b860361058a576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161058190611144565b60405180910390fd5b5f5f1b83036105ce576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016105c5906111ac565b60405180910390fd5b43851115610611576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016106089061123a565b60405180910390fd5b5f5f5f8981526020019081526020015f2090505f600181111561063757610636610936565b5b816007015f9054906101000a900460ff16600181111561065a57610659610936565b5b1461069a576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610691906112a2565b60405180910390fd5b33815f015f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508681600101819055508581600201819055508481600301819055508381600401819055508282826005019182610712929190610f69565b504281600601819055506001816007015f6101000a81548160ff0219169083600181111561074357610742610936565b5b0217905550863373ffffffffffffffffffffffffffffffffffffffff16897f2c92b0fa611ae6b94cda6f3956f7bd9a7967dc50fd0b7748d5f168cdef3d6c3289898989894260405161079a969594939291906112c0565b60405180910390a45050505050505050565b5f6001808111156107c0576107bf610936565b5b5f5f8481526020019081526020015f206007015f9054906101000a900460ff1660018111156107f2576107f1610936565b5b149050919050565b5f5ffd5b5f5ffd5b5f819050919050565b61081481610802565b811461081e575f5ffd5b50565b5f8135905061082f8161080b565b92915050565b5f6020828403121561084a576108496107fa565b5b5f61085784828501610821565b91505092915050565b5f73ffffffffffffffffffffffffffffffffffffffff82169050919050565b5f61088982610860565b9050919050565b6108998161087f565b82525050565b5f819050919050565b6108b18161089f565b82525050565b6108c081610802565b82525050565b5f81519050919050565b5f82825260208201905092915050565b8281835e5f83830152505050565b5f601f19601f8301169050919050565b5f610908826108c6565b61091281856108d0565b93506109228185602086016108e0565b61092b816108ee565b840191505092915050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52602160045260245ffd5b6002811061097457610973610936565b5b50565b5f81905061098482610963565b919050565b5f61099382610977565b9050919050565b6109a381610989565b82525050565b5f610100820190506109bd5f83018b610890565b6109ca602083018a6108a8565b6109d760408301896108b7565b6109e460608301886108b7565b6109f160808301876108a8565b81810360a0830152610a0381866108fe565b9050610a1260c08301856108b7565b610a1f60e083018461099a565b9998505050505050505050565b5f60e082019050610a3f5f83018a610890565b610a4c60208301896108a8565b610a5960408301886108b7565b610a6660608301876108b7565b610a7360808301866108a8565b81810360a0830152610a8581856108fe565b9050610a9460c08301846108b7565b98975050505050505050565b5f5ffd5b5f5ffd5b5f5ffd5b5f5f83601f840112610ac157610ac0610aa0565b5b8235905067ffffffffffffffff811115610ade57610add610aa4565b5b602083019150836001820283011115610afa57610af9610aa8565b5b9250929050565b5f5f5f60408486031215610b1857610b176107fa565b5b5f610b2586828701610821565b935050602084013567ffffffffffffffff811115610b4657610b456107fe565b5b610b5286828701610aac565b92509250509250925092565b610b678161089f565b8114610b71575f5ffd5b50565b5f81359050610b8281610b5e565b92915050565b5f5f5f5f5f5f5f60c0888a031215610ba357610ba26107fa565b5b5f610bb08a828b01610821565b9750506020610bc18a828b01610b74565b9650506040610bd28a828b01610821565b9550506060610be38a828b01610821565b9450506080610bf48a828b01610b74565b93505060a088013567ffffffffffffffff811115610c1557610c146107fe565b5b610c218a828b01610aac565b925092505092959891949750929550565b5f8115159050919050565b610c4681610c32565b82525050565b5f602082019050610c5f5f830184610c3d565b92915050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52602260045260245ffd5b5f6002820490506001821680610ca957607f821691505b602082108103610cbc57610cbb610c65565b5b50919050565b7f70726f706f73616c206e6f74207075626c6973686564000000000000000000005f82015250565b5f610cf66016836108d0565b9150610d0182610cc2565b602082019050919050565b5f6020820190508181035f830152610d2381610cea565b9050919050565b7f6f6e6c792070726f706f736572000000000000000000000000000000000000005f82015250565b5f610d5e600d836108d0565b9150610d6982610d2a565b602082019050919050565b5f6020820190508181035f830152610d8b81610d52565b9050919050565b5f82905092915050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52604160045260245ffd5b5f819050815f5260205f209050919050565b5f6020601f8301049050919050565b5f82821b905092915050565b5f60088302610e257fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff82610dea565b610e2f8683610dea565b95508019841693508086168417925050509392505050565b5f819050919050565b5f610e6a610e65610e6084610802565b610e47565b610802565b9050919050565b5f819050919050565b610e8383610e50565b610e97610e8f82610e71565b848454610df6565b825550505050565b5f5f905090565b610eae610e9f565b610eb9818484610e7a565b505050565b5b81811015610edc57610ed15f82610ea6565b600181019050610ebf565b5050565b601f821115610f2157610ef281610dc9565b610efb84610ddb565b81016020851015610f0a578190505b610f1e610f1685610ddb565b830182610ebe565b50505b505050565b5f82821c905092915050565b5f610f415f1984600802610f26565b1980831691505092915050565b5f610f598383610f32565b9150826002028217905092915050565b610f738383610d92565b67ffffffffffffffff811115610f8c57610f8b610d9c565b5b610f968254610c92565b610fa1828285610ee0565b5f601f831160018114610fce575f8415610fbc578287013590505b610fc68582610f4e565b86555061102d565b601f198416610fdc86610dc9565b5f5b8281101561100357848901358255600182019150602085019450602081019050610fde565b86831015611020578489013561101c601f891682610f32565b8355505b6001600288020188555050505b50505050505050565b828183375f83830152505050565b5f61104f83856108d0565b935061105c838584611036565b611065836108ee565b840190509392505050565b5f6020820190508181035f830152611089818486611044565b90509392505050565b7f70726f706f73616c49643d3000000000000000000000000000000000000000005f82015250565b5f6110c6600c836108d0565b91506110d182611092565b602082019050919050565b5f6020820190508181035f8301526110f3816110ba565b9050919050565b7f616374696f6e44617461486173683d30000000000000000000000000000000005f82015250565b5f61112e6010836108d0565b9150611139826110fa565b602082019050919050565b5f6020820190508181035f83015261115b81611122565b9050919050565b7f706f776572526f6f743d300000000000000000000000000000000000000000005f82015250565b5f611196600b836108d0565b91506111a182611162565b602082019050919050565b5f6020820190508181035f8301526111c38161118a565b9050919050565b7f736e617073686f74426c6f636b206d757374206265203c3d2063757272656e745f8201527f20626c6f636b0000000000000000000000000000000000000000000000000000602082015250565b5f6112246026836108d0565b915061122f826111ca565b604082019050919050565b5f6020820190508181035f83015261125181611218565b9050919050565b7f70726f706f73616c2065786973747300000000000000000000000000000000005f82015250565b5f61128c600f836108d0565b915061129782611258565b602082019050919050565b5f6020820190508181035f8301526112b981611280565b9050919050565b5f60a0820190506112d35f8301896108b7565b6112e060208301886108b7565b6112ed60408301876108a8565b8181036060830152611300818587611044565b905061130f60808301846108b7565b97965050505050505056fea26469706673582212209d2455b16e081f502ed4a2f9f238b1596ce5b8d5112ad787aeb9ce642f92de3b64736f6c634300081c0033";
-
-  
-      type GovernanceRootPublisherConstructorParams = [signer?: Signer] | ConstructorParameters<typeof ContractFactory>;
-
-      const isSuperArgs = (xs: GovernanceRootPublisherConstructorParams): xs is ConstructorParameters<typeof ContractFactory> =>
-        xs.length > 1
-    
-
-  export class GovernanceRootPublisher__factory extends ContractFactory {
-    
-      constructor(...args: GovernanceRootPublisherConstructorParams) {
-        if (isSuperArgs(args)) {
-          super(...args);
-        } else {
-          super(_abi, _bytecode, args[0]);
-        }
-        
-      }
-    
-    override getDeployTransaction(overrides?: NonPayableOverrides & { from?: string }): Promise<ContractDeployTransaction> {
-      return super.getDeployTransaction(overrides || {});
-    };
-    override deploy(overrides?: NonPayableOverrides & { from?: string }) {
-      return super.deploy(overrides || {}) as Promise<GovernanceRootPublisher & {
-        deploymentTransaction(): ContractTransactionResponse;
-      }>;
-    }
-    override connect(runner: ContractRunner | null): GovernanceRootPublisher__factory {
-      return super.connect(runner) as GovernanceRootPublisher__factory;
-    }
-    
-    
-    static readonly bytecode = _bytecode;
-    static readonly abi = _abi;
-    static createInterface(): GovernanceRootPublisherInterface {
-      return new Interface(_abi) as GovernanceRootPublisherInterface;
-    }
-    
-    override attach(address: string | Addressable): GovernanceRootPublisher {
-      return super.attach(address) as GovernanceRootPublisher;
-    }
-  static connect(address: string, runner?: ContractRunner | null): GovernanceRootPublisher {
-      return new Contract(address, _abi, runner) as unknown as GovernanceRootPublisher;
-    }
-  }
-
-  
-  
\ No newline at end of file
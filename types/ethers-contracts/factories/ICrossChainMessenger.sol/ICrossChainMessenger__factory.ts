@@ -0,0 +1,49 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+
+  import { Contract, Interface, type ContractRunner } from "ethers";
+  import type { ICrossChainMessenger, ICrossChainMessengerInterface } from "../../ICrossChainMessenger.sol/ICrossChainMessenger.js";
+
+  const _abi = [
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "destinationChainId",
+        "type": "uint256"
+      },
+      {
+        "internalType": "address",
+        "name": "target",
+        "type": "address"
+      },
+      {
+        "internalType": "bytes",
+        "name": "message",
+        "type": "bytes"
+      }
+    ],
+    "name": "sendMessage",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "messageId",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "payable",
+    "type": "function"
+  }
+] as const;
+
+  export class ICrossChainMessenger__factory {
+    static readonly abi = _abi;
+    static createInterface(): ICrossChainMessengerInterface {
+      return new Interface(_abi) as ICrossChainMessengerInterface;
+    }
+    static connect(address: string, runner?: ContractRunner | null): ICrossChainMessenger {
+      return new Contract(address, _abi, runner) as unknown as ICrossChainMessenger;
+    }
+  }
+  
\ No newline at end of file
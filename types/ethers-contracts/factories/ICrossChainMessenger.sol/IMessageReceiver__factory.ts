@@ -0,0 +1,43 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+
+  import { Contract, Interface, type ContractRunner } from "ethers";
+  import type { IMessageReceiver, IMessageReceiverInterface } from "../../ICrossChainMessenger.sol/IMessageReceiver.js";
+
+  const _abi = [
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "sourceChainId",
+        "type": "uint256"
+      },
+      {
+        "internalType": "address",
+        "name": "sender",
+        "type": "address"
+      },
+      {
+        "internalType": "bytes",
+        "name": "message",
+        "type": "bytes"
+      }
+    ],
+    "name": "receiveMessage",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  }
+] as const;
+
+  export class IMessageReceiver__factory {
+    static readonly abi = _abi;
+    static createInterface(): IMessageReceiverInterface {
+      return new Interface(_abi) as IMessageReceiverInterface;
+    }
+    static connect(address: string, runner?: ContractRunner | null): IMessageReceiver {
+      return new Contract(address, _abi, runner) as unknown as IMessageReceiver;
+    }
+  }
+  
\ No newline at end of file
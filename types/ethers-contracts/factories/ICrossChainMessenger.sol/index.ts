@@ -0,0 +1,5 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+export { ICrossChainMessenger__factory } from './ICrossChainMessenger__factory.js';
+export { IMessageReceiver__factory } from './IMessageReceiver__factory.js';
\ No newline at end of file
@@ -3,7 +3,7 @@
 /* eslint-disable */
 import type { Addressable } from "ethers";
 import { Contract, ContractFactory, ContractTransactionResponse, Interface } from "ethers"
-import type { Signer, ContractDeployTransaction, ContractRunner } from "ethers"
+import type { Signer, AddressLike, ContractDeployTransaction, ContractRunner } from "ethers"
 import type { NonPayableOverrides } from "../../common.js"
   import type { WithdrawalNFT, WithdrawalNFTInterface } from "../../LiquidStakingVault.sol/WithdrawalNFT.js";
 
@@ -19,6 +19,11 @@ import type { NonPayableOverrides } from "../../common.js"
         "internalType": "string",
         "name": "symbol_",
         "type": "string"
+      },
+      {
+        "internalType": "address",
+        "name": "asset_",
+        "type": "address"
       }
     ],
     "stateMutability": "nonpayable",
@@ -149,6 +154,22 @@ import type { NonPayableOverrides } from "../../common.js"
     "name": "OwnableUnauthorizedAccount",
     "type": "error"
   },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "value",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "length",
+        "type": "uint256"
+      }
+    ],
+    "name": "StringsInsufficientHexLength",
+    "type": "error"
+  },
   {
     "anonymous": false,
     "inputs": [
@@ -261,6 +282,19 @@ import type { NonPayableOverrides } from "../../common.js"
     "stateMutability": "nonpayable",
     "type": "function"
   },
+  {
+    "inputs": [],
+    "name": "asset",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
   {
     "inputs": [
       {
@@ -331,6 +365,16 @@ import type { NonPayableOverrides } from "../../common.js"
         "internalType": "uint256",
         "name": "availableAt",
         "type": "uint256"
+      },
+      {
+        "internalType": "address",
+        "name": "requester",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "requestedAt",
+        "type": "uint256"
       }
     ],
     "stateMutability": "view",
@@ -360,6 +404,30 @@ import type { NonPayableOverrides } from "../../common.js"
     "stateMutability": "view",
     "type": "function"
   },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "spender",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "id",
+        "type": "uint256"
+      }
+    ],
+    "name": "isAuthorized",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
   {
     "inputs": [
       {
@@ -367,6 +435,11 @@ import type { NonPayableOverrides } from "../../common.js"
         "name": "to",
         "type": "address"
       },
+      {
+        "internalType": "address",
+        "name": "requester",
+        "type": "address"
+      },
       {
         "internalType": "uint256",
         "name": "assetsOwed",
@@ -546,7 +619,7 @@ import type { NonPayableOverrides } from "../../common.js"
     "inputs": [
       {
         "internalType": "uint256",
-        "name": "tokenId",
+        "name": "id",
         "type": "uint256"
       }
     ],
@@ -599,7 +672,7 @@ import type { NonPayableOverrides } from "../../common.js"
   }
 ] as const;
 
-  const _bytecode = "0x60806040525f600755348015610013575f5ffd5b5060405161290c38038061290c833981810160405281019061003591906102f0565b338282815f90816100469190610576565b5080600190816100569190610576565b5050505f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16036100c9575f6040517f1e4fbdf70000000000000000000000000000000000000000000000000000000081526004016100c09190610684565b60405180910390fd5b6100d8816100e060201b60201c565b50505061069d565b5f60065f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1690508160065f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508173ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e060405160405180910390a35050565b5f604051905090565b5f5ffd5b5f5ffd5b5f5ffd5b5f5ffd5b5f601f19601f8301169050919050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52604160045260245ffd5b610202826101bc565b810181811067ffffffffffffffff82111715610221576102206101cc565b5b80604052505050565b5f6102336101a3565b905061023f82826101f9565b919050565b5f67ffffffffffffffff82111561025e5761025d6101cc565b5b610267826101bc565b9050602081019050919050565b8281835e5f83830152505050565b5f61029461028f84610244565b61022a565b9050828152602081018484840111156102b0576102af6101b8565b5b6102bb848285610274565b509392505050565b5f82601f8301126102d7576102d66101b4565b5b81516102e7848260208601610282565b91505092915050565b5f5f60408385031215610306576103056101ac565b5b5f83015167ffffffffffffffff811115610323576103226101b0565b5b61032f858286016102c3565b925050602083015167ffffffffffffffff8111156103505761034f6101b0565b5b61035c858286016102c3565b9150509250929050565b5f81519050919050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52602260045260245ffd5b5f60028204905060018216806103b457607f821691505b6020821081036103c7576103c6610370565b5b50919050565b5f819050815f5260205f209050919050565b5f6020601f8301049050919050565b5f82821b905092915050565b5f600883026104297fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff826103ee565b61043386836103ee565b95508019841693508086168417925050509392505050565b5f819050919050565b5f819050919050565b5f61047761047261046d8461044b565b610454565b61044b565b9050919050565b5f819050919050565b6104908361045d565b6104a461049c8261047e565b8484546103fa565b825550505050565b5f5f905090565b6104bb6104ac565b6104c6818484610487565b505050565b5b818110156104e9576104de5f826104b3565b6001810190506104cc565b5050565b601f82111561052e576104ff816103cd565b610508846103df565b81016020851015610517578190505b61052b610523856103df565b8301826104cb565b50505b505050565b5f82821c905092915050565b5f61054e5f1984600802610533565b1980831691505092915050565b5f610566838361053f565b9150826002028217905092915050565b61057f82610366565b67ffffffffffffffff811115610598576105976101cc565b5b6105a2825461039d565b6105ad8282856104ed565b5f60209050601f8311600181146105de575f84156105cc578287015190505b6105d6858261055b565b86555061063d565b601f1984166105ec866103cd565b5f5b82811015610613578489015182556001820191506020850194506020810190506105ee565b86831015610630578489015161062c601f89168261053f565b8355505b6001600288020188555050505b505050505050565b5f73ffffffffffffffffffffffffffffffffffffffff82169050919050565b5f61066e82610645565b9050919050565b61067e81610664565b82525050565b5f6020820190506106975f830184610675565b92915050565b612262806106aa5f395ff3fe608060405234801561000f575f5ffd5b506004361061011f575f3560e01c8063715018a6116100ab578063a22cb4651161006f578063a22cb46514610318578063b88d4fde14610334578063c87b56dd14610350578063e985e9c514610380578063f2fde38b146103b05761011f565b8063715018a61461028557806380736be21461028f5780638a4fb16a146102ab5780638da5cb5b146102dc57806395d89b41146102fa5761011f565b8063227f06cc116100f2578063227f06cc146101bd57806323b872dd146101ed57806342842e0e146102095780636352211e1461022557806370a08231146102555761011f565b806301ffc9a71461012357806306fdde0314610153578063081812fc14610171578063095ea7b3146101a1575b5f5ffd5b61013d60048036038101906101389190611a36565b6103cc565b60405161014a9190611a7b565b60405180910390f35b61015b6104ad565b6040516101689190611b04565b60405180910390f35b61018b60048036038101906101869190611b57565b61053c565b6040516101989190611bc1565b60405180910390f35b6101bb60048036038101906101b69190611c04565b610557565b005b6101d760048036038101906101d29190611c42565b61056d565b6040516101e49190611ca1565b60405180910390f35b61020760048036038101906102029190611cba565b6105e5565b005b610223600480360381019061021e9190611cba565b6106e4565b005b61023f600480360381019061023a9190611b57565b610703565b60405161024c9190611bc1565b60405180910390f35b61026f600480360381019061026a9190611d0a565b610714565b60405161027c9190611ca1565b60405180910390f35b61028d6107ca565b005b6102a960048036038101906102a49190611b57565b6107dd565b005b6102c560048036038101906102c09190611b57565b610812565b6040516102d3929190611d35565b60405180910390f35b6102e4610859565b6040516102f19190611bc1565b60405180910390f35b610302610881565b60405161030f9190611b04565b60405180910390f35b610332600480360381019061032d9190611d86565b610911565b005b61034e60048036038101906103499190611ef0565b610927565b005b61036a60048036038101906103659190611b57565b61094c565b6040516103779190611b04565b60405180910390f35b61039a60048036038101906103959190611f70565b6109b2565b6040516103a79190611a7b565b60405180910390f35b6103ca60048036038101906103c59190611d0a565b610a40565b005b5f7f80ac58cd000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916148061049657507f5b5e139f000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916145b806104a657506104a582610ac4565b5b9050919050565b60605f80546104bb90611fdb565b80601f01602080910402602001604051908101604052809291908181526020018280546104e790611fdb565b80156105325780601f1061050957610100808354040283529160200191610532565b820191905f5260205f20905b81548152906001019060200180831161051557829003601f168201915b5050505050905090565b5f61054682610b2d565b5061055082610bb3565b9050919050565b6105698282610564610bec565b610bf3565b5050565b5f610576610c05565b600160075f8282546105889190612038565b925050819055505f600754905060405180604001604052808581526020018481525060085f8381526020019081526020015f205f820151815f0155602082015181600101559050506105da8582610c8c565b809150509392505050565b5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603610655575f6040517f64a0ae9200000000000000000000000000000000000000000000000000000000815260040161064c9190611bc1565b60405180910390fd5b5f6106688383610663610bec565b610ca9565b90508373ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16146106de578382826040517f64283d7b0000000000000000000000000000000000000000000000000000000081526004016106d59392919061206b565b60405180910390fd5b50505050565b6106fe83838360405180602001604052805f815250610927565b505050565b5f61070d82610b2d565b9050919050565b5f5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603610785575f6040517f89c62b6400000000000000000000000000000000000000000000000000000000815260040161077c9190611bc1565b60405180910390fd5b60035f8373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f20549050919050565b6107d2610c05565b6107db5f610eb4565b565b6107e5610c05565b60085f8281526020019081526020015f205f5f82015f9055600182015f9055505061080f81610f77565b50565b5f5f5f60085f8581526020019081526020015f206040518060400160405290815f82015481526020016001820154815250509050805f015181602001519250925050915091565b5f60065f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff16905090565b60606001805461089090611fdb565b80601f01602080910402602001604051908101604052809291908181526020018280546108bc90611fdb565b80156109075780601f106108de57610100808354040283529160200191610907565b820191905f5260205f20905b8154815290600101906020018083116108ea57829003601f168201915b5050505050905090565b61092361091c610bec565b8383610ff9565b5050565b6109328484846105e5565b61094661093d610bec565b85858585611162565b50505050565b606061095782610b2d565b505f61096161130e565b90505f81511161097f5760405180602001604052805f8152506109aa565b8061098984611324565b60405160200161099a9291906120da565b6040516020818303038152906040525b915050919050565b5f60055f8473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f8373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f9054906101000a900460ff16905092915050565b610a48610c05565b5f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603610ab8575f6040517f1e4fbdf7000000000000000000000000000000000000000000000000000000008152600401610aaf9190611bc1565b60405180910390fd5b610ac181610eb4565b50565b5f7f01ffc9a7000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916149050919050565b5f5f610b38836113ee565b90505f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603610baa57826040517f7e273289000000000000000000000000000000000000000000000000000000008152600401610ba19190611ca1565b60405180910390fd5b80915050919050565b5f60045f8381526020019081526020015f205f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff169050919050565b5f33905090565b610c008383836001611427565b505050565b610c0d610bec565b73ffffffffffffffffffffffffffffffffffffffff16610c2b610859565b73ffffffffffffffffffffffffffffffffffffffff1614610c8a57610c4e610bec565b6040517f118cdaa7000000000000000000000000000000000000000000000000000000008152600401610c819190611bc1565b60405180910390fd5b565b610ca5828260405180602001604052805f8152506115e6565b5050565b5f5f610cb4846113ee565b90505f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff1614610cf557610cf4818486611609565b5b5f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1614610d8057610d345f855f5f611427565b600160035f8373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f82825403925050819055505b5f73ffffffffffffffffffffffffffffffffffffffff168573ffffffffffffffffffffffffffffffffffffffff1614610dff57600160035f8773ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f82825401925050819055505b8460025f8681526020019081526020015f205f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff160217905550838573ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff167fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef60405160405180910390a4809150509392505050565b5f60065f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff1690508160065f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508173ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e060405160405180910390a35050565b5f610f835f835f610ca9565b90505f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603610ff557816040517f7e273289000000000000000000000000000000000000000000000000000000008152600401610fec9190611ca1565b60405180910390fd5b5050565b5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff160361106957816040517f5b08ba180000000000000000000000000000000000000000000000000000000081526004016110609190611bc1565b60405180910390fd5b8060055f8573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f8473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f6101000a81548160ff0219169083151502179055508173ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff167f17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c31836040516111559190611a7b565b60405180910390a3505050565b5f8373ffffffffffffffffffffffffffffffffffffffff163b1115611307578273ffffffffffffffffffffffffffffffffffffffff1663150b7a02868685856040518563ffffffff1660e01b81526004016111c0949392919061214f565b6020604051808303815f875af19250505080156111fb57506040513d601f19601f820116820180604052508101906111f891906121ad565b60015b61127c573d805f8114611229576040519150601f19603f3d011682016040523d82523d5f602084013e61122e565b606091505b505f81510361127457836040517f64a0ae9200000000000000000000000000000000000000000000000000000000815260040161126b9190611bc1565b60405180910390fd5b805160208201fd5b63150b7a0260e01b7bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916817bffffffffffffffffffffffffffffffffffffffffffffffffffffffff19161461130557836040517f64a0ae920000000000000000000000000000000000000000000000000000000081526004016112fc9190611bc1565b60405180910390fd5b505b5050505050565b606060405180602001604052805f815250905090565b60605f6001611332846116cc565b0190505f8167ffffffffffffffff8111156113505761134f611dcc565b5b6040519080825280601f01601f1916602001820160405280156113825781602001600182028036833780820191505090505b5090505f82602083010190505b6001156113e3578080600190039150507f3031323334353637383961626364656600000000000000000000000000000000600a86061a8153600a85816113d8576113d76121d8565b5b0494505f850361138f575b819350505050919050565b5f60025f8381526020019081526020015f205f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff169050919050565b808061145f57505f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1614155b15611591575f61146e84610b2d565b90505f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff16141580156114d857508273ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1614155b80156114eb57506114e981846109b2565b155b1561152d57826040517fa9fbf51f0000000000000000000000000000000000000000000000000000000081526004016115249190611bc1565b60405180910390fd5b811561158f57838573ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff167f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b92560405160405180910390a45b505b8360045f8581526020019081526020015f205f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555050505050565b6115f0838361181d565b6116046115fb610bec565b5f858585611162565b505050565b611614838383611910565b6116c7575f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff160361168857806040517f7e27328900000000000000000000000000000000000000000000000000000000815260040161167f9190611ca1565b60405180910390fd5b81816040517f177e802f0000000000000000000000000000000000000000000000000000000081526004016116be929190612205565b60405180910390fd5b505050565b5f5f5f90507a184f03e93ff9f4daa797ed6e38ed64bf6a1f0100000000000000008310611728577a184f03e93ff9f4daa797ed6e38ed64bf6a1f010000000000000000838161171e5761171d6121d8565b5b0492506040810190505b6d04ee2d6d415b85acef81000000008310611765576d04ee2d6d415b85acef8100000000838161175b5761175a6121d8565b5b0492506020810190505b662386f26fc10000831061179457662386f26fc10000838161178a576117896121d8565b5b0492506010810190505b6305f5e10083106117bd576305f5e10083816117b3576117b26121d8565b5b0492506008810190505b61271083106117e25761271083816117d8576117d76121d8565b5b0492506004810190505b6064831061180557606483816117fb576117fa6121d8565b5b0492506002810190505b600a8310611814576001810190505b80915050919050565b5f73ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff160361188d575f6040517f64a0ae920000000000000000000000000000000000000000000000000000000081526004016118849190611bc1565b60405180910390fd5b5f61189983835f610ca9565b90505f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff161461190b575f6040517f73c6ac6e0000000000000000000000000000000000000000000000000000000081526004016119029190611bc1565b60405180910390fd5b505050565b5f5f73ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff16141580156119c757508273ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff161480611988575061198784846109b2565b5b806119c657508273ffffffffffffffffffffffffffffffffffffffff166119ae83610bb3565b73ffffffffffffffffffffffffffffffffffffffff16145b5b90509392505050565b5f604051905090565b5f5ffd5b5f5ffd5b5f7fffffffff0000000000000000000000000000000000000000000000000000000082169050919050565b611a15816119e1565b8114611a1f575f5ffd5b50565b5f81359050611a3081611a0c565b92915050565b5f60208284031215611a4b57611a4a6119d9565b5b5f611a5884828501611a22565b91505092915050565b5f8115159050919050565b611a7581611a61565b82525050565b5f602082019050611a8e5f830184611a6c565b92915050565b5f81519050919050565b5f82825260208201905092915050565b8281835e5f83830152505050565b5f601f19601f8301169050919050565b5f611ad682611a94565b611ae08185611a9e565b9350611af0818560208601611aae565b611af981611abc565b840191505092915050565b5f6020820190508181035f830152611b1c8184611acc565b905092915050565b5f819050919050565b611b3681611b24565b8114611b40575f5ffd5b50565b5f81359050611b5181611b2d565b92915050565b5f60208284031215611b6c57611b6b6119d9565b5b5f611b7984828501611b43565b91505092915050565b5f73ffffffffffffffffffffffffffffffffffffffff82169050919050565b5f611bab82611b82565b9050919050565b611bbb81611ba1565b82525050565b5f602082019050611bd45f830184611bb2565b92915050565b611be381611ba1565b8114611bed575f5ffd5b50565b5f81359050611bfe81611bda565b92915050565b5f5f60408385031215611c1a57611c196119d9565b5b5f611c2785828601611bf0565b9250506020611c3885828601611b43565b9150509250929050565b5f5f5f60608486031215611c5957611c586119d9565b5b5f611c6686828701611bf0565b9350506020611c7786828701611b43565b9250506040611c8886828701611b43565b9150509250925092565b611c9b81611b24565b82525050565b5f602082019050611cb45f830184611c92565b92915050565b5f5f5f60608486031215611cd157611cd06119d9565b5b5f611cde86828701611bf0565b9350506020611cef86828701611bf0565b9250506040611d0086828701611b43565b9150509250925092565b5f60208284031215611d1f57611d1e6119d9565b5b5f611d2c84828501611bf0565b91505092915050565b5f604082019050611d485f830185611c92565b611d556020830184611c92565b9392505050565b611d6581611a61565b8114611d6f575f5ffd5b50565b5f81359050611d8081611d5c565b92915050565b5f5f60408385031215611d9c57611d9b6119d9565b5b5f611da985828601611bf0565b9250506020611dba85828601611d72565b9150509250929050565b5f5ffd5b5f5ffd5b7f4e487b71000000000000000000000000000000000000000000000000000000005f52604160045260245ffd5b611e0282611abc565b810181811067ffffffffffffffff82111715611e2157611e20611dcc565b5b80604052505050565b5f611e336119d0565b9050611e3f8282611df9565b919050565b5f67ffffffffffffffff821115611e5e57611e5d611dcc565b5b611e6782611abc565b9050602081019050919050565b828183375f83830152505050565b5f611e94611e8f84611e44565b611e2a565b905082815260208101848484011115611eb057611eaf611dc8565b5b611ebb848285611e74565b509392505050565b5f82601f830112611ed757611ed6611dc4565b5b8135611ee7848260208601611e82565b91505092915050565b5f5f5f5f60808587031215611f0857611f076119d9565b5b5f611f1587828801611bf0565b9450506020611f2687828801611bf0565b9350506040611f3787828801611b43565b925050606085013567ffffffffffffffff811115611f5857611f576119dd565b5b611f6487828801611ec3565b91505092959194509250565b5f5f60408385031215611f8657611f856119d9565b5b5f611f9385828601611bf0565b9250506020611fa485828601611bf0565b9150509250929050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52602260045260245ffd5b5f6002820490506001821680611ff257607f821691505b60208210810361200557612004611fae565b5b50919050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52601160045260245ffd5b5f61204282611b24565b915061204d83611b24565b92508282019050808211156120655761206461200b565b5b92915050565b5f60608201905061207e5f830186611bb2565b61208b6020830185611c92565b6120986040830184611bb2565b949350505050565b5f81905092915050565b5f6120b482611a94565b6120be81856120a0565b93506120ce818560208601611aae565b80840191505092915050565b5f6120e582856120aa565b91506120f182846120aa565b91508190509392505050565b5f81519050919050565b5f82825260208201905092915050565b5f612121826120fd565b61212b8185612107565b935061213b818560208601611aae565b61214481611abc565b840191505092915050565b5f6080820190506121625f830187611bb2565b61216f6020830186611bb2565b61217c6040830185611c92565b818103606083015261218e8184612117565b905095945050505050565b5f815190506121a781611a0c565b92915050565b5f602082840312156121c2576121c16119d9565b5b5f6121cf84828501612199565b91505092915050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52601260045260245ffd5b5f6040820190506122185f830185611bb2565b6122256020830184611c92565b939250505056fea26469706673582212206948fad78dd7f9d58194add32b5bb68934f44c77a01429e1eaff7cc2185d660d64736f6c634300081c0033";
+  const _bytecode = "0x60a06040525f600755348015610013575f5ffd5b50604051611e85380380611e8583398101604081905261003291610189565b3383835f6100408382610292565b50600161004d8282610292565b5050506001600160a01b03811661007d57604051631e4fbdf760e01b81525f600482015260240160405180910390fd5b6100868161009b565b506001600160a01b03166080525061034c9050565b600680546001600160a01b038381166001600160a01b0319831681179093556040519116919082907f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0905f90a35050565b634e487b7160e01b5f52604160045260245ffd5b5f82601f83011261010f575f5ffd5b81516001600160401b03811115610128576101286100ec565b604051601f8201601f19908116603f011681016001600160401b0381118282101715610156576101566100ec565b60405281815283820160200185101561016d575f5ffd5b8160208501602083015e5f918101602001919091529392505050565b5f5f5f6060848603121561019b575f5ffd5b83516001600160401b038111156101b0575f5ffd5b6101bc86828701610100565b602086015190945090506001600160401b038111156101d9575f5ffd5b6101e586828701610100565b604086015190935090506001600160a01b0381168114610203575f5ffd5b809150509250925092565b600181811c9082168061022257607f821691505b60208210810361024057634e487b7160e01b5f52602260045260245ffd5b50919050565b601f82111561028d57805f5260205f20601f840160051c8101602085101561026b5750805b601f840160051c820191505b8181101561028a575f8155600101610277565b50505b505050565b81516001600160401b038111156102ab576102ab6100ec565b6102bf816102b9845461020e565b84610246565b6020601f8211600181146102f1575f83156102da5750848201515b5f19600385901b1c1916600184901b17845561028a565b5f84815260208120601f198516915b828110156103205787850151825560209485019460019092019101610300565b508482101561033d57868401515f19600387901b60f8161c191681555b50505050600190811b01905550565b608051611b1a61036b5f395f81816101ff0152610d670152611b1a5ff3fe608060405234801561000f575f5ffd5b5060043610610132575f3560e01c806370a08231116100b457806395d89b411161007957806395d89b4114610315578063a22cb4651461031d578063b88d4fde14610330578063c87b56dd14610343578063e985e9c514610356578063f2fde38b14610369575f5ffd5b806370a0823114610247578063715018a61461025a57806380736be2146102625780638a4fb16a146102755780638da5cb5b14610304575f5ffd5b806323b872dd116100fa57806323b872dd146101d45780632972b0f0146101e757806338d52e0f146101fa57806342842e0e146102215780636352211e14610234575f5ffd5b806301ffc9a71461013657806306fdde031461015e578063081812fc14610173578063095ea7b31461019e5780631df7adc7146101b3575b5f5ffd5b61014961014436600461140e565b61037c565b60405190151581526020015b60405180910390f35b6101666103cd565b6040516101559190611457565b610186610181366004611469565b61045c565b6040516001600160a01b039091168152602001610155565b6101b16101ac36600461149b565b610483565b005b6101c66101c13660046114c3565b610492565b604051908152602001610155565b6101b16101e2366004611502565b61052f565b6101496101f536600461149b565b6105bd565b6101867f000000000000000000000000000000000000000000000000000000000000000081565b6101b161022f366004611502565b6105e6565b610186610242366004611469565b610605565b6101c661025536600461153c565b61060f565b6101b1610654565b6101b1610270366004611469565b610667565b6102d5610283366004611469565b5f9081526008602090815260409182902082516080810184528154808252600183015493820184905260028301546001600160a01b031694820185905260039092015460609091018190529093919291565b604051610155949392919093845260208401929092526001600160a01b03166040830152606082015260800190565b6006546001600160a01b0316610186565b6101666106a8565b6101b161032b366004611555565b6106b7565b6101b161033e3660046115a2565b6106c2565b610166610351366004611469565b6106da565b61014961036436600461167f565b610810565b6101b161037736600461153c565b61083d565b5f6001600160e01b031982166380ac58cd60e01b14806103ac57506001600160e01b03198216635b5e139f60e01b145b806103c757506301ffc9a760e01b6001600160e01b03198316145b92915050565b60605f80546103db906116b0565b80601f0160208091040260200160405190810160405280929190818152602001828054610407906116b0565b80156104525780601f1061042957610100808354040283529160200191610452565b820191905f5260205f20905b81548152906001019060200180831161043557829003601f168201915b5050505050905090565b5f61046682610877565b505f828152600460205260409020546001600160a01b03166103c7565b61048e8282336108af565b5050565b5f61049b6108bc565b600160075f8282546104ad91906116fc565b90915550506007546040805160808101825285815260208082018681526001600160a01b0389811684860190815242606086019081525f888152600890955295909320935184559051600184015590516002830180546001600160a01b03191691909216179055905160039091015561052686826108e9565b95945050505050565b6001600160a01b03821661055d57604051633250574960e11b81525f60048201526024015b60405180910390fd5b5f610569838333610902565b9050836001600160a01b0316816001600160a01b0316146105b7576040516364283d7b60e01b81526001600160a01b0380861660048301526024820184905282166044820152606401610554565b50505050565b5f818152600260205260408120546105df906001600160a01b031684846109f4565b9392505050565b61060083838360405180602001604052805f8152506106c2565b505050565b5f6103c782610877565b5f6001600160a01b038216610639576040516322718ad960e21b81525f6004820152602401610554565b506001600160a01b03165f9081526003602052604090205490565b61065c6108bc565b6106655f610a58565b565b61066f6108bc565b5f818152600860205260408120818155600181018290556002810180546001600160a01b0319169055600301556106a581610aa9565b50565b6060600180546103db906116b0565b61048e338383610ae1565b6106cd84848461052f565b6105b73385858585610ba8565b60606106e582610877565b505f828152600860209081526040808320815160808101835281548152600182015493810184905260028201546001600160a01b031692810192909252600301546060820152914291909110159061073b6103cd565b61074486610cd0565b845161074f90610cd0565b6107598686610d60565b865161076490610cd0565b6107718860200151610cd0565b87610799576040518060400160405280600581526020016466616c736560d81b8152506107b7565b604051806040016040528060048152602001637472756560e01b8152505b6040516020016107cd9796959493929190611726565b60405160208183030381529060405290506107e781610e2f565b6040516020016107f79190611923565b6040516020818303038152906040529350505050919050565b6001600160a01b039182165f90815260056020908152604080832093909416825291909152205460ff1690565b6108456108bc565b6001600160a01b03811661086e57604051631e4fbdf760e01b81525f6004820152602401610554565b6106a581610a58565b5f818152600260205260408120546001600160a01b0316806103c757604051637e27328960e01b815260048101849052602401610554565b6106008383836001610e3b565b6006546001600160a01b031633146106655760405163118cdaa760e01b8152336004820152602401610554565b61048e828260405180602001604052805f815250610f3f565b5f828152600260205260408120546001600160a01b039081169083161561092e5761092e818486610f56565b6001600160a01b03811615610968576109495f855f5f610e3b565b6001600160a01b0381165f90815260036020526040902080545f190190555b6001600160a01b03851615610996576001600160a01b0385165f908152600360205260409020805460010190555b5f8481526002602052604080822080546001600160a01b0319166001600160a01b0389811691821790925591518793918516917fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef91a4949350505050565b5f6001600160a01b03831615801590610a505750826001600160a01b0316846001600160a01b03161480610a2d5750610a2d8484610810565b80610a5057505f828152600460205260409020546001600160a01b038481169116145b949350505050565b600680546001600160a01b038381166001600160a01b0319831681179093556040519116919082907f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0905f90a35050565b5f610ab55f835f610902565b90506001600160a01b03811661048e57604051637e27328960e01b815260048101839052602401610554565b6001600160a01b038316610b0a5760405163a9fbf51f60e01b81525f6004820152602401610554565b6001600160a01b038216610b3c57604051630b61174360e31b81526001600160a01b0383166004820152602401610554565b6001600160a01b038381165f81815260056020908152604080832094871680845294825291829020805460ff191686151590811790915591519182527f17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c31910160405180910390a3505050565b6001600160a01b0383163b15610cc957604051630a85bd0160e11b81526001600160a01b0384169063150b7a0290610bea908890889087908790600401611954565b6020604051808303815f875af1925050508015610c24575060408051601f3d908101601f19168201909252610c2191810190611990565b60015b610c8b573d808015610c51576040519150601f19603f3d011682016040523d82523d5f602084013e610c56565b606091505b5080515f03610c8357604051633250574960e11b81526001600160a01b0385166004820152602401610554565b805160208201fd5b6001600160e01b03198116630a85bd0160e11b14610cc757604051633250574960e11b81526001600160a01b0385166004820152602401610554565b505b5050505050565b60605f610cdc83610fba565b60010190505f8167ffffffffffffffff811115610cfb57610cfb61158e565b6040519080825280601f01601f191660200182016040528015610d25576020820181803683370190505b5090508181016020015b5f19016f181899199a1a9b1b9c1cb0b131b232b360811b600a86061a8153600a8504945084610d2f57509392505050565b6060610d8b7f0000000000000000000000000000000000000000000000000000000000000000611091565b8351610d9690610cd0565b610da38560200151610cd0565b84610dcb576040518060400160405280600581526020016466616c736560d81b815250610de9565b604051806040016040528060048152602001637472756560e01b8152505b610df68760400151611091565b610e038860600151610cd0565b604051602001610e18969594939291906119ab565b604051602081830303815290604052905092915050565b60606103c7825f6110a7565b8080610e4f57506001600160a01b03821615155b15610f10575f610e5e84610877565b90506001600160a01b03831615801590610e8a5750826001600160a01b0316816001600160a01b031614155b8015610e9d5750610e9b8184610810565b155b15610ec65760405163a9fbf51f60e01b81526001600160a01b0384166004820152602401610554565b8115610f0e5783856001600160a01b0316826001600160a01b03167f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b92560405160405180910390a45b505b50505f90815260046020526040902080546001600160a01b0319166001600160a01b0392909216919091179055565b610f498383611226565b610600335f858585610ba8565b610f618383836109f4565b610600576001600160a01b038316610f8f57604051637e27328960e01b815260048101829052602401610554565b60405163177e802f60e01b81526001600160a01b038316600482015260248101829052604401610554565b5f8072184f03e93ff9f4daa797ed6e38ed64bf6a1f0160401b8310610ff85772184f03e93ff9f4daa797ed6e38ed64bf6a1f0160401b830492506040015b6d04ee2d6d415b85acef81000000008310611024576d04ee2d6d415b85acef8100000000830492506020015b662386f26fc10000831061104257662386f26fc10000830492506010015b6305f5e100831061105a576305f5e100830492506008015b612710831061106e57612710830492506004015b60648310611080576064830492506002015b600a83106103c75760010192915050565b60606103c76001600160a01b0383166014611287565b606082515f036110c5575060408051602081019091525f81526103c7565b5f826110f5576003845160026110db91906116fc565b6110e59190611a85565b6110f0906004611aa4565b61111a565b6003845160046111059190611aa4565b6111109060026116fc565b61111a9190611a85565b905060405191507f4142434445464748494a4b4c4d4e4f505152535455565758595a616263646566601f5261067083027f6768696a6b6c6d6e6f707172737475767778797a303132333435363738392b2f18603f526020820181810185865187016020810180515f82525b828410156111d8576003840193508351603f8160121c16518753600187019650603f81600c1c16518753600187019650603f8160061c16518753600187019650603f811651875350600186019550611185565b905250859050611219576003865106600181146111fc576002811461120f57611217565b603d6001840353603d6002840353611217565b603d60018403535b505b9183525060405292915050565b6001600160a01b03821661124f57604051633250574960e11b81525f6004820152602401610554565b5f61125b83835f610902565b90506001600160a01b03811615610600576040516339e3563760e11b81525f6004820152602401610554565b6060825f611296846002611aa4565b6112a19060026116fc565b67ffffffffffffffff8111156112b9576112b961158e565b6040519080825280601f01601f1916602001820160405280156112e3576020820181803683370190505b509050600360fc1b815f815181106112fd576112fd611abb565b60200101906001600160f81b03191690815f1a905350600f60fb1b8160018151811061132b5761132b611abb565b60200101906001600160f81b03191690815f1a9053505f61134d856002611aa4565b6113589060016116fc565b90505b60018111156113cf576f181899199a1a9b1b9c1cb0b131b232b360811b83600f166010811061138c5761138c611abb565b1a60f81b8282815181106113a2576113a2611abb565b60200101906001600160f81b03191690815f1a90535060049290921c916113c881611acf565b905061135b565b508115610a505760405163e22e27eb60e01b81526004810186905260248101859052604401610554565b6001600160e01b0319811681146106a5575f5ffd5b5f6020828403121561141e575f5ffd5b81356105df816113f9565b5f81518084528060208401602086015e5f602082860101526020601f19601f83011685010191505092915050565b602081525f6105df6020830184611429565b5f60208284031215611479575f5ffd5b5035919050565b80356001600160a01b0381168114611496575f5ffd5b919050565b5f5f604083850312156114ac575f5ffd5b6114b583611480565b946020939093013593505050565b5f5f5f5f608085870312156114d6575f5ffd5b6114df85611480565b93506114ed60208601611480565b93969395505050506040820135916060013590565b5f5f5f60608486031215611514575f5ffd5b61151d84611480565b925061152b60208501611480565b929592945050506040919091013590565b5f6020828403121561154c575f5ffd5b6105df82611480565b5f5f60408385031215611566575f5ffd5b61156f83611480565b915060208301358015158114611583575f5ffd5b809150509250929050565b634e487b7160e01b5f52604160045260245ffd5b5f5f5f5f608085870312156115b5575f5ffd5b6115be85611480565b93506115cc60208601611480565b925060408501359150606085013567ffffffffffffffff8111156115ee575f5ffd5b8501601f810187136115fe575f5ffd5b803567ffffffffffffffff8111156116185761161861158e565b604051601f8201601f19908116603f0116810167ffffffffffffffff811182821017156116475761164761158e565b60405281815282820160200189101561165e575f5ffd5b816020840160208301375f6020838301015280935050505092959194509250565b5f5f60408385031215611690575f5ffd5b61169983611480565b91506116a760208401611480565b90509250929050565b600181811c908216806116c457607f821691505b6020821081036116e257634e487b7160e01b5f52602260045260245ffd5b50919050565b634e487b7160e01b5f52601160045260245ffd5b808201808211156103c7576103c76116e8565b5f81518060208401855e5f93019283525090919050565b683d913730b6b2911d1160b91b81525f611743600983018a61170f565b61202360f01b8152611758600282018a61170f565b90507f222c226465736372697074696f6e223a22436c61696d206f6e20000000000000815261178a601a82018961170f565b7f20756e697473206f6620746865207374616b65642061737365742c207265646581527f656d61626c6520617420746865207661756c74206f6e6365206d6174757265646020820152620b888b60ea1b604082015290506117ee604382018861170f565b6e2c2261747472696275746573223a5b60881b815290507f7b2274726169745f74797065223a226173736574734f776564222c2264697370600f8201527f6c61795f74797065223a226e756d626572222c2276616c7565223a0000000000602f82015261185e604a82018761170f565b611f4b60f21b815290507f7b2274726169745f74797065223a22617661696c61626c654174222c2264697360028201527f706c61795f74797065223a2264617465222c2276616c7565223a00000000000060228201526118c1603c82018661170f565b611f4b60f21b815290507f7b2274726169745f74797065223a226d617475726564222c2276616c7565223a6002820152601160f91b6022820152611908602382018561170f565b63227d5d7d60e01b81526004019a9950505050505050505050565b7f646174613a6170706c69636174696f6e2f6a736f6e3b6261736536342c00000081525f6105df601d83018461170f565b6001600160a01b03858116825284166020820152604081018390526080606082018190525f9061198690830184611429565b9695505050505050565b5f602082840312156119a0575f5ffd5b81516105df816113f9565b681130b9b9b2ba111d1160b91b81525f6119c8600983018961170f565b6f11161130b9b9b2ba39a7bbb2b2111d1160811b81526119eb601082018961170f565b6f11161130bb30b4b630b13632a0ba111d60811b81529050611a10601082018861170f565b6a161136b0ba3ab932b2111d60a91b81529050611a30600b82018761170f565b6d16113932b8bab2b9ba32b9111d1160911b81529050611a53600e82018661170f565b6f1116113932b8bab2b9ba32b220ba111d60811b81529050611a78601082018561170f565b9998505050505050505050565b5f82611a9f57634e487b7160e01b5f52601260045260245ffd5b500490565b80820281158282048414176103c7576103c76116e8565b634e487b7160e01b5f52603260045260245ffd5b5f81611add57611add6116e8565b505f19019056fea2646970667358221220210300e83e5edbb7d398d42adac39eaf6443b7d624c2d8f5a1d17add0359c12d64736f6c634300081c0033";
 
   
       type WithdrawalNFTConstructorParams = [signer?: Signer] | ConstructorParameters<typeof ContractFactory>;
@@ -619,11 +692,11 @@ import type { NonPayableOverrides } from "../../common.js"
         
       }
     
-    override getDeployTransaction(name_: string, symbol_: string, overrides?: NonPayableOverrides & { from?: string }): Promise<ContractDeployTransaction> {
-      return super.getDeployTransaction(name_, symbol_, overrides || {});
+    override getDeployTransaction(name_: string, symbol_: string, asset_: AddressLike, overrides?: NonPayableOverrides & { from?: string }): Promise<ContractDeployTransaction> {
+      return super.getDeployTransaction(name_, symbol_, asset_, overrides || {});
     };
-    override deploy(name_: string, symbol_: string, overrides?: NonPayableOverrides & { from?: string }) {
-      return super.deploy(name_, symbol_, overrides || {}) as Promise<WithdrawalNFT & {
+    override deploy(name_: string, symbol_: string, asset_: AddressLike, overrides?: NonPayableOverrides & { from?: string }) {
+      return super.deploy(name_, symbol_, asset_, overrides || {}) as Promise<WithdrawalNFT & {
         deploymentTransaction(): ContractTransactionResponse;
       }>;
     }
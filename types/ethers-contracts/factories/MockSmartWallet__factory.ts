@@ -0,0 +1,235 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type { Addressable } from "ethers";
+import { Contract, ContractFactory, ContractTransactionResponse, Interface } from "ethers"
+import type { Signer, AddressLike, ContractDeployTransaction, ContractRunner } from "ethers"
+import type { NonPayableOverrides } from "../common.js"
+  import type { MockSmartWallet, MockSmartWalletInterface } from "../MockSmartWallet.js";
+
+  const _abi = [
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "_owner",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "constructor"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "target",
+        "type": "address"
+      }
+    ],
+    "name": "AddressEmptyCode",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "FailedCall",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "balance",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "needed",
+        "type": "uint256"
+      }
+    ],
+    "name": "InsufficientBalance",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "owner",
+        "type": "address"
+      }
+    ],
+    "name": "OwnableInvalidOwner",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "account",
+        "type": "address"
+      }
+    ],
+    "name": "OwnableUnauthorizedAccount",
+    "type": "error"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "previousOwner",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "newOwner",
+        "type": "address"
+      }
+    ],
+    "name": "OwnershipTransferred",
+    "type": "event"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "target",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "value",
+        "type": "uint256"
+      },
+      {
+        "internalType": "bytes",
+        "name": "data",
+        "type": "bytes"
+      }
+    ],
+    "name": "execute",
+    "outputs": [
+      {
+        "internalType": "bytes",
+        "name": "",
+        "type": "bytes"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "hash",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "bytes",
+        "name": "signature",
+        "type": "bytes"
+      }
+    ],
+    "name": "isValidSignature",
+    "outputs": [
+      {
+        "internalType": "bytes4",
+        "name": "",
+        "type": "bytes4"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "owner",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "renounceOwnership",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "newOwner",
+        "type": "address"
+      }
+    ],
+    "name": "transferOwnership",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "stateMutability": "payable",
+    "type": "receive"
+  }
+] as const;
+
+  const _bytecode = "0x6080604052348015600e575f5ffd5b50604051610741380380610741833981016040819052602b9160b4565b806001600160a01b038116605857604051631e4fbdf760e01b81525f600482015260240160405180910390fd5b605f816065565b505060df565b5f80546001600160a01b038381166001600160a01b0319831681178455604051919092169283917f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e09190a35050565b5f6020828403121560c3575f5ffd5b81516001600160a01b038116811460d8575f5ffd5b9392505050565b610655806100ec5f395ff3fe60806040526004361061004c575f3560e01c80631626ba7e14610057578063715018a6146100945780638da5cb5b146100aa578063b61d27f6146100d0578063f2fde38b146100fc575f5ffd5b3661005357005b5f5ffd5b348015610062575f5ffd5b50610076610071366004610504565b61011b565b6040516001600160e01b031990911681526020015b60405180910390f35b34801561009f575f5ffd5b506100a8610187565b005b3480156100b5575f5ffd5b505f546040516001600160a01b03909116815260200161008b565b3480156100db575f5ffd5b506100ef6100ea366004610567565b61019a565b60405161008b91906105bd565b348015610107575f5ffd5b506100a86101163660046105f2565b6101ee565b5f5f5f610129868686610230565b5090925090505f8160038111156101425761014261060b565b14801561015b57505f546001600160a01b038381169116145b156101725750630b135d3f60e11b91506101809050565b506001600160e01b03199150505b9392505050565b61018f610277565b6101985f6102a3565b565b60606101a4610277565b6101e58584848080601f0160208091040260200160405190810160405280939291908181526020018383808284375f920191909152508992506102f2915050565b95945050505050565b6101f6610277565b6001600160a01b03811661022457604051631e4fbdf760e01b81525f60048201526024015b60405180910390fd5b61022d816102a3565b50565b5f80806041849003610264578435602086013560408701355f1a610256898285856103be565b95509550955050505061026e565b505f915060029050825b93509350939050565b5f546001600160a01b031633146101985760405163118cdaa760e01b815233600482015260240161021b565b5f80546001600160a01b038381166001600160a01b0319831681178455604051919092169283917f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e09190a35050565b60608147101561031e5760405163cf47918160e01b81524760048201526024810183905260440161021b565b5f61032a858486610486565b905080801561034b57505f3d118061034b57505f856001600160a01b03163b115b156103605761035861049b565b915050610180565b801561038a57604051639996b31560e01b81526001600160a01b038616600482015260240161021b565b3d1561039d576103986104b4565b6103b6565b60405163d6bda27560e01b815260040160405180910390fd5b509392505050565b5f80807f7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a08411156103f757505f9150600390508261047c565b604080515f808252602082018084528a905260ff891692820192909252606081018790526080810186905260019060a0016020604051602081039080840390855afa158015610448573d5f5f3e3d5ffd5b5050604051601f1901519150506001600160a01b03811661047357505f92506001915082905061047c565b92505f91508190505b9450945094915050565b5f5f5f83516020850186885af1949350505050565b6040513d81523d5f602083013e3d602001810160405290565b6040513d5f823e3d81fd5b5f5f83601f8401126104cf575f5ffd5b50813567ffffffffffffffff8111156104e6575f5ffd5b6020830191508360208285010111156104fd575f5ffd5b9250929050565b5f5f5f60408486031215610516575f5ffd5b83359250602084013567ffffffffffffffff811115610533575f5ffd5b61053f868287016104bf565b9497909650939450505050565b80356001600160a01b0381168114610562575f5ffd5b919050565b5f5f5f5f6060858703121561057a575f5ffd5b6105838561054c565b935060208501359250604085013567ffffffffffffffff8111156105a5575f5ffd5b6105b1878288016104bf565b95989497509550505050565b602081525f82518060208401528060208501604085015e5f604082850101526040601f19601f83011684010191505092915050565b5f60208284031215610602575f5ffd5b6101808261054c565b634e487b7160e01b5f52602160045260245ffdfea26469706673582212202b84f8128ed4399ffc6f276791aa87791cb89194dfa6f83b8294a3e9d588184464736f6c634300081c0033";
+
+  
+      type MockSmartWalletConstructorParams = [signer?: Signer] | ConstructorParameters<typeof ContractFactory>;
+
+      const isSuperArgs = (xs: MockSmartWalletConstructorParams): xs is ConstructorParameters<typeof ContractFactory> =>
+        xs.length > 1
+    
+
+  export class MockSmartWallet__factory extends ContractFactory {
+    
+      constructor(...args: MockSmartWalletConstructorParams) {
+        if (isSuperArgs(args)) {
+          super(...args);
+        } else {
+          super(_abi, _bytecode, args[0]);
+        }
+        
+      }
+    
+    override getDeployTransaction(_owner: AddressLike, overrides?: NonPayableOverrides & { from?: string }): Promise<ContractDeployTransaction> {
+      return super.getDeployTransaction(_owner, overrides || {});
+    };
+    override deploy(_owner: AddressLike, overrides?: NonPayableOverrides & { from?: string }) {
+      return super.deploy(_owner, overrides || {}) as Promise<MockSmartWallet & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }>;
+    }
+    override connect(runner: ContractRunner | null): MockSmartWallet__factory {
+      return super.connect(runner) as MockSmartWallet__factory;
+    }
+    
+    
+    static readonly bytecode = _bytecode;
+    static readonly abi = _abi;
+    static createInterface(): MockSmartWalletInterface {
+      return new Interface(_abi) as MockSmartWalletInterface;
+    }
+    
+    override attach(address: string | Addressable): MockSmartWallet {
+      return super.attach(address) as MockSmartWallet;
+    }
+  static connect(address: string, runner?: ContractRunner | null): MockSmartWallet {
+      return new Contract(address, _abi, runner) as unknown as MockSmartWallet;
+    }
+  }
+
+  
+  
\ No newline at end of file
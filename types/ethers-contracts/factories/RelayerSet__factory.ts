@@ -0,0 +1,84 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+
+  import { Contract, Interface, type ContractRunner } from "ethers";
+  import type { RelayerSet, RelayerSetInterface } from "../RelayerSet.js";
+
+  const _abi = [
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": false,
+        "internalType": "address[]",
+        "name": "relayers",
+        "type": "address[]"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "threshold",
+        "type": "uint256"
+      }
+    ],
+    "name": "RelayerSetUpdated",
+    "type": "event"
+  },
+  {
+    "inputs": [],
+    "name": "getRelayers",
+    "outputs": [
+      {
+        "internalType": "address[]",
+        "name": "",
+        "type": "address[]"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "name": "isRelayer",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "threshold",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  }
+] as const;
+
+  export class RelayerSet__factory {
+    static readonly abi = _abi;
+    static createInterface(): RelayerSetInterface {
+      return new Interface(_abi) as RelayerSetInterface;
+    }
+    static connect(address: string, runner?: ContractRunner | null): RelayerSet {
+      return new Contract(address, _abi, runner) as unknown as RelayerSet;
+    }
+  }
+  
\ No newline at end of file
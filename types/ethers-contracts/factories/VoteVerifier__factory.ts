@@ -19,6 +19,17 @@ import type { NonPayableOverrides } from "../common.js"
     "stateMutability": "nonpayable",
     "type": "constructor"
   },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "voter",
+        "type": "address"
+      }
+    ],
+    "name": "AlreadyVoted",
+    "type": "error"
+  },
   {
     "inputs": [],
     "name": "ECDSAInvalidSignature",
@@ -46,6 +57,54 @@ import type { NonPayableOverrides } from "../common.js"
     "name": "ECDSAInvalidSignatureS",
     "type": "error"
   },
+  {
+    "inputs": [],
+    "name": "InvalidMerkleMultiproof",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "voter",
+        "type": "address"
+      }
+    ],
+    "name": "InvalidMerkleProof",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "InvalidSignature",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint8",
+        "name": "support",
+        "type": "uint8"
+      }
+    ],
+    "name": "InvalidSupport",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "voter",
+        "type": "address"
+      }
+    ],
+    "name": "InvalidVoterSignature",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "MerkleProofInvalidMultiproof",
+    "type": "error"
+  },
   {
     "inputs": [
       {
@@ -68,235 +127,637 @@ import type { NonPayableOverrides } from "../common.js"
     "name": "OwnableUnauthorizedAccount",
     "type": "error"
   },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      }
+    ],
+    "name": "ProposalNotRegistered",
+    "type": "error"
+  },
   {
     "inputs": [],
     "name": "ReentrancyGuardReentrantCall",
     "type": "error"
   },
   {
-    "anonymous": false,
     "inputs": [
       {
-        "indexed": true,
         "internalType": "address",
-        "name": "previousOwner",
+        "name": "voter",
         "type": "address"
       },
       {
-        "indexed": true,
-        "internalType": "address",
-        "name": "newOwner",
-        "type": "address"
+        "internalType": "uint256",
+        "name": "version",
+        "type": "uint256"
       }
     ],
-    "name": "OwnershipTransferred",
-    "type": "event"
+    "name": "StaleVoteVersion",
+    "type": "error"
   },
   {
-    "anonymous": false,
     "inputs": [
       {
-        "indexed": true,
         "internalType": "uint256",
-        "name": "proposalId",
+        "name": "deadline",
         "type": "uint256"
-      },
+      }
+    ],
+    "name": "VoteExpired",
+    "type": "error"
+  },
+  {
+    "inputs": [
       {
-        "indexed": false,
-        "internalType": "bytes32",
-        "name": "actionDataHash",
-        "type": "bytes32"
+        "internalType": "address",
+        "name": "voter",
+        "type": "address"
       },
       {
-        "indexed": false,
         "internalType": "uint256",
-        "name": "forVotes",
+        "name": "weights",
         "type": "uint256"
       },
       {
-        "indexed": false,
         "internalType": "uint256",
-        "name": "threshold",
+        "name": "power",
         "type": "uint256"
       }
     ],
-    "name": "ProposalPassed",
-    "type": "event"
+    "name": "VoteWeightsExceedPower",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      }
+    ],
+    "name": "VotingClosed",
+    "type": "error"
   },
   {
-    "anonymous": false,
     "inputs": [
       {
-        "indexed": true,
         "internalType": "uint256",
         "name": "proposalId",
         "type": "uint256"
       },
+      {
+        "internalType": "uint64",
+        "name": "voteStart",
+        "type": "uint64"
+      }
+    ],
+    "name": "VotingNotStarted",
+    "type": "error"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
       {
         "indexed": false,
-        "internalType": "bytes32",
-        "name": "powerRoot",
-        "type": "bytes32"
+        "internalType": "uint64",
+        "name": "votingDelay",
+        "type": "uint64"
       },
       {
         "indexed": false,
-        "internalType": "bytes32",
-        "name": "actionDataHash",
-        "type": "bytes32"
+        "internalType": "uint64",
+        "name": "votingPeriod",
+        "type": "uint64"
       },
       {
         "indexed": false,
         "internalType": "uint256",
-        "name": "threshold",
+        "name": "quorumBps",
         "type": "uint256"
       }
     ],
-    "name": "ProposalRegistered",
+    "name": "GovernanceParamsUpdated",
     "type": "event"
   },
   {
     "anonymous": false,
     "inputs": [
-      {
-        "indexed": true,
-        "internalType": "uint256",
-        "name": "proposalId",
-        "type": "uint256"
-      },
       {
         "indexed": true,
         "internalType": "address",
-        "name": "voter",
+        "name": "messenger",
         "type": "address"
       },
       {
         "indexed": false,
-        "internalType": "uint8",
-        "name": "support",
-        "type": "uint8"
+        "internalType": "uint256",
+        "name": "destinationChainId",
+        "type": "uint256"
       },
       {
         "indexed": false,
-        "internalType": "uint256",
-        "name": "power",
-        "type": "uint256"
+        "internalType": "address",
+        "name": "destinationExecutor",
+        "type": "address"
       }
     ],
-    "name": "VoteCounted",
+    "name": "MessengerUpdated",
     "type": "event"
   },
   {
-    "inputs": [],
-    "name": "DOMAIN_SEPARATOR",
-    "outputs": [
-      {
-        "internalType": "bytes32",
-        "name": "",
-        "type": "bytes32"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "NAME",
-    "outputs": [
-      {
-        "internalType": "string",
-        "name": "",
-        "type": "string"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "VERSION",
-    "outputs": [
+    "anonymous": false,
+    "inputs": [
       {
-        "internalType": "string",
-        "name": "",
-        "type": "string"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "VOTE_TYPEHASH",
-    "outputs": [
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      },
       {
+        "indexed": true,
         "internalType": "bytes32",
-        "name": "",
+        "name": "messageId",
         "type": "bytes32"
       }
     ],
-    "stateMutability": "view",
-    "type": "function"
+    "name": "OutcomeSent",
+    "type": "event"
   },
   {
+    "anonymous": false,
     "inputs": [
       {
-        "internalType": "uint256",
-        "name": "proposalId",
-        "type": "uint256"
+        "indexed": true,
+        "internalType": "address",
+        "name": "previousOwner",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "newOwner",
+        "type": "address"
       }
     ],
-    "name": "adminMarkPassed",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
+    "name": "OwnershipTransferred",
+    "type": "event"
   },
   {
+    "anonymous": false,
     "inputs": [
       {
+        "indexed": true,
         "internalType": "uint256",
         "name": "proposalId",
         "type": "uint256"
-      }
-    ],
-    "name": "getTally",
-    "outputs": [
+      },
+      {
+        "indexed": false,
+        "internalType": "enum VoteVerifier.ProposalState",
+        "name": "state",
+        "type": "uint8"
+      },
       {
+        "indexed": false,
         "internalType": "uint256",
         "name": "forVotes",
         "type": "uint256"
       },
       {
+        "indexed": false,
         "internalType": "uint256",
         "name": "againstVotes",
         "type": "uint256"
       },
       {
+        "indexed": false,
         "internalType": "uint256",
         "name": "abstainVotes",
         "type": "uint256"
       }
     ],
-    "stateMutability": "view",
-    "type": "function"
+    "name": "ProposalFinalized",
+    "type": "event"
   },
   {
+    "anonymous": false,
     "inputs": [
       {
+        "indexed": true,
         "internalType": "uint256",
-        "name": "",
+        "name": "proposalId",
         "type": "uint256"
       },
       {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "snapshotStake",
+        "type": "uint256"
+      },
+      {
+        "indexed": true,
         "internalType": "address",
-        "name": "",
+        "name": "submittedBy",
         "type": "address"
       }
     ],
-    "name": "hasVoted",
-    "outputs": [
+    "name": "ProposalMirrored",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
       {
-        "internalType": "bool",
-        "name": "",
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "bytes32",
+        "name": "actionDataHash",
+        "type": "bytes32"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "forVotes",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "quorum",
+        "type": "uint256"
+      }
+    ],
+    "name": "ProposalPassed",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "bytes32",
+        "name": "powerRoot",
+        "type": "bytes32"
+      },
+      {
+        "indexed": false,
+        "internalType": "bytes32",
+        "name": "actionDataHash",
+        "type": "bytes32"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "quorum",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint64",
+        "name": "voteStart",
+        "type": "uint64"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint64",
+        "name": "voteEnd",
+        "type": "uint64"
+      }
+    ],
+    "name": "ProposalRegistered",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "sourceChainId",
+        "type": "uint256"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "publisher",
+        "type": "address"
+      }
+    ],
+    "name": "ProposalSourceUpdated",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": false,
+        "internalType": "address[]",
+        "name": "relayers",
+        "type": "address[]"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "threshold",
+        "type": "uint256"
+      }
+    ],
+    "name": "RelayerSetUpdated",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "voter",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "forVotes",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "againstVotes",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "abstainVotes",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "version",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "string",
+        "name": "reason",
+        "type": "string"
+      }
+    ],
+    "name": "VoteCounted",
+    "type": "event"
+  },
+  {
+    "inputs": [],
+    "name": "BPS",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "DOMAIN_SEPARATOR",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "NAME",
+    "outputs": [
+      {
+        "internalType": "string",
+        "name": "",
+        "type": "string"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "PROPOSAL_CREATED_TYPEHASH",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "SPLIT_VOTE_TYPEHASH",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "VERSION",
+    "outputs": [
+      {
+        "internalType": "string",
+        "name": "",
+        "type": "string"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "VOTE_TYPEHASH",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      }
+    ],
+    "name": "adminMarkPassed",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "destinationChainId",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "destinationExecutor",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      }
+    ],
+    "name": "finalize",
+    "outputs": [
+      {
+        "internalType": "enum VoteVerifier.ProposalState",
+        "name": "outcome",
+        "type": "uint8"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "getRelayers",
+    "outputs": [
+      {
+        "internalType": "address[]",
+        "name": "",
+        "type": "address[]"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      }
+    ],
+    "name": "getTally",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "forVotes",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "againstVotes",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "abstainVotes",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "quorum",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint64",
+        "name": "voteStart",
+        "type": "uint64"
+      },
+      {
+        "internalType": "uint64",
+        "name": "voteEnd",
+        "type": "uint64"
+      },
+      {
+        "internalType": "enum VoteVerifier.ProposalState",
+        "name": "currentState",
+        "type": "uint8"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      },
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "name": "hasVoted",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
         "type": "bool"
       }
     ],
@@ -311,88 +772,434 @@ import type { NonPayableOverrides } from "../common.js"
         "type": "uint256"
       }
     ],
-    "name": "isPassed",
+    "name": "isPassed",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "name": "isRelayer",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "messenger",
+    "outputs": [
+      {
+        "internalType": "contract ICrossChainMessenger",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      },
+      {
+        "internalType": "bytes32",
+        "name": "actionDataHash",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "bytes32",
+        "name": "powerRoot",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "uint256",
+        "name": "snapshotStake",
+        "type": "uint256"
+      },
+      {
+        "internalType": "bytes[]",
+        "name": "signatures",
+        "type": "bytes[]"
+      }
+    ],
+    "name": "mirrorProposal",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "owner",
     "outputs": [
       {
-        "internalType": "bool",
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      },
+      {
+        "internalType": "bytes32",
+        "name": "actionDataHash",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "bytes32",
+        "name": "powerRoot",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "uint256",
+        "name": "snapshotStake",
+        "type": "uint256"
+      }
+    ],
+    "name": "proposalCreatedDigest",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "proposalPublisher",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "proposalSourceChainId",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint8",
+        "name": "",
+        "type": "uint8"
+      }
+    ],
+    "name": "proposalVotes",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
         "name": "",
+        "type": "uint256"
+      }
+    ],
+    "name": "proposals",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "powerRoot",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "bytes32",
+        "name": "actionDataHash",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "uint256",
+        "name": "quorum",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint64",
+        "name": "voteStart",
+        "type": "uint64"
+      },
+      {
+        "internalType": "uint64",
+        "name": "voteEnd",
+        "type": "uint64"
+      },
+      {
+        "internalType": "bool",
+        "name": "exists",
+        "type": "bool"
+      },
+      {
+        "internalType": "bool",
+        "name": "finalized",
+        "type": "bool"
+      },
+      {
+        "internalType": "bool",
+        "name": "passed",
         "type": "bool"
+      },
+      {
+        "internalType": "uint256",
+        "name": "snapshotStake",
+        "type": "uint256"
       }
     ],
     "stateMutability": "view",
     "type": "function"
   },
   {
-    "inputs": [],
-    "name": "owner",
-    "outputs": [
+    "inputs": [],
+    "name": "quorumBps",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "sourceChainId",
+        "type": "uint256"
+      },
+      {
+        "internalType": "address",
+        "name": "sender",
+        "type": "address"
+      },
+      {
+        "internalType": "bytes",
+        "name": "message",
+        "type": "bytes"
+      }
+    ],
+    "name": "receiveMessage",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      },
+      {
+        "internalType": "bytes32",
+        "name": "powerRoot",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "bytes32",
+        "name": "actionDataHash",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "uint256",
+        "name": "quorum",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint64",
+        "name": "voteStart",
+        "type": "uint64"
+      },
+      {
+        "internalType": "uint64",
+        "name": "voteEnd",
+        "type": "uint64"
+      }
+    ],
+    "name": "registerProposal",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "renounceOwnership",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      }
+    ],
+    "name": "sendOutcome",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "messageId",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "payable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint64",
+        "name": "_votingDelay",
+        "type": "uint64"
+      },
+      {
+        "internalType": "uint64",
+        "name": "_votingPeriod",
+        "type": "uint64"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_quorumBps",
+        "type": "uint256"
+      }
+    ],
+    "name": "setGovernanceParams",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
       {
         "internalType": "address",
-        "name": "",
+        "name": "_messenger",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_destinationChainId",
+        "type": "uint256"
+      },
+      {
+        "internalType": "address",
+        "name": "_executor",
         "type": "address"
       }
     ],
-    "stateMutability": "view",
+    "name": "setMessenger",
+    "outputs": [],
+    "stateMutability": "nonpayable",
     "type": "function"
   },
   {
     "inputs": [
       {
         "internalType": "uint256",
-        "name": "",
+        "name": "_sourceChainId",
         "type": "uint256"
       },
       {
-        "internalType": "uint8",
-        "name": "",
-        "type": "uint8"
+        "internalType": "address",
+        "name": "_publisher",
+        "type": "address"
       }
     ],
-    "name": "proposalVotes",
-    "outputs": [
+    "name": "setProposalSource",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address[]",
+        "name": "newRelayers",
+        "type": "address[]"
+      },
       {
         "internalType": "uint256",
-        "name": "",
+        "name": "newThreshold",
         "type": "uint256"
       }
     ],
-    "stateMutability": "view",
+    "name": "setRelayers",
+    "outputs": [],
+    "stateMutability": "nonpayable",
     "type": "function"
   },
   {
     "inputs": [
       {
         "internalType": "uint256",
-        "name": "",
+        "name": "proposalId",
         "type": "uint256"
       }
     ],
-    "name": "proposals",
+    "name": "state",
     "outputs": [
       {
-        "internalType": "bytes32",
-        "name": "powerRoot",
-        "type": "bytes32"
-      },
-      {
-        "internalType": "bytes32",
-        "name": "actionDataHash",
-        "type": "bytes32"
-      },
-      {
-        "internalType": "uint256",
-        "name": "threshold",
-        "type": "uint256"
-      },
-      {
-        "internalType": "bool",
-        "name": "exists",
-        "type": "bool"
-      },
-      {
-        "internalType": "bool",
-        "name": "passed",
-        "type": "bool"
+        "internalType": "enum VoteVerifier.ProposalState",
+        "name": "",
+        "type": "uint8"
       }
     ],
     "stateMutability": "view",
@@ -406,29 +1213,69 @@ import type { NonPayableOverrides } from "../common.js"
         "type": "uint256"
       },
       {
-        "internalType": "bytes32",
-        "name": "powerRoot",
-        "type": "bytes32"
-      },
-      {
-        "internalType": "bytes32",
-        "name": "actionDataHash",
-        "type": "bytes32"
-      },
-      {
-        "internalType": "uint256",
-        "name": "threshold",
-        "type": "uint256"
+        "components": [
+          {
+            "internalType": "uint256",
+            "name": "forVotes",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "againstVotes",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "abstainVotes",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "nonce",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "version",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "deadline",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "power",
+            "type": "uint256"
+          },
+          {
+            "internalType": "string",
+            "name": "reason",
+            "type": "string"
+          },
+          {
+            "internalType": "address",
+            "name": "voter",
+            "type": "address"
+          },
+          {
+            "internalType": "bytes",
+            "name": "signature",
+            "type": "bytes"
+          },
+          {
+            "internalType": "bytes32[]",
+            "name": "merkleProof",
+            "type": "bytes32[]"
+          }
+        ],
+        "internalType": "struct VoteVerifier.SplitVoteData[]",
+        "name": "votes",
+        "type": "tuple[]"
       }
     ],
-    "name": "registerProposal",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "renounceOwnership",
+    "name": "submitSplitVotes",
     "outputs": [],
     "stateMutability": "nonpayable",
     "type": "function"
@@ -462,6 +1309,11 @@ import type { NonPayableOverrides } from "../common.js"
             "name": "power",
             "type": "uint256"
           },
+          {
+            "internalType": "address",
+            "name": "voter",
+            "type": "address"
+          },
           {
             "internalType": "bytes",
             "name": "signature",
@@ -483,6 +1335,79 @@ import type { NonPayableOverrides } from "../common.js"
     "stateMutability": "nonpayable",
     "type": "function"
   },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      },
+      {
+        "components": [
+          {
+            "internalType": "uint8",
+            "name": "support",
+            "type": "uint8"
+          },
+          {
+            "internalType": "uint256",
+            "name": "nonce",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "deadline",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "power",
+            "type": "uint256"
+          },
+          {
+            "internalType": "address",
+            "name": "voter",
+            "type": "address"
+          },
+          {
+            "internalType": "bytes",
+            "name": "signature",
+            "type": "bytes"
+          }
+        ],
+        "internalType": "struct VoteVerifier.BatchVoteData[]",
+        "name": "votes",
+        "type": "tuple[]"
+      },
+      {
+        "internalType": "bytes32[]",
+        "name": "proof",
+        "type": "bytes32[]"
+      },
+      {
+        "internalType": "bool[]",
+        "name": "proofFlags",
+        "type": "bool[]"
+      }
+    ],
+    "name": "submitVotesMultiProof",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "threshold",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
   {
     "inputs": [
       {
@@ -495,10 +1420,75 @@ import type { NonPayableOverrides } from "../common.js"
     "outputs": [],
     "stateMutability": "nonpayable",
     "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      },
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "name": "voteReceipts",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "forVotes",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "againstVotes",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "abstainVotes",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "version",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "votingDelay",
+    "outputs": [
+      {
+        "internalType": "uint64",
+        "name": "",
+        "type": "uint64"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "votingPeriod",
+    "outputs": [
+      {
+        "internalType": "uint64",
+        "name": "",
+        "type": "uint64"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
   }
 ] as const;
 
-  const _bytecode = "0x60a060405234801561000f575f5ffd5b5060405161263838038061263883398181016040528101906100319190610285565b335f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16036100a2575f6040517f1e4fbdf700000000000000000000000000000000000000000000000000000000815260040161009991906102ef565b60405180910390fd5b6100b18161018d60201b60201c565b50600180819055507f8b73c3c69bb8fe3d512ecc4cf759cc79239f7b179b0ffacaa9a75d522b39400f6040518060400160405280600e81526020017f4c535420476f7665726e616e6365000000000000000000000000000000000000815250805190602001206040518060400160405280600181526020017f310000000000000000000000000000000000000000000000000000000000000081525080519060200120833060405160200161016a95949392919061032f565b604051602081830303815290604052805190602001206080818152505050610380565b5f5f5f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff169050815f5f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508173ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e060405160405180910390a35050565b5f5ffd5b5f819050919050565b61026481610252565b811461026e575f5ffd5b50565b5f8151905061027f8161025b565b92915050565b5f6020828403121561029a5761029961024e565b5b5f6102a784828501610271565b91505092915050565b5f73ffffffffffffffffffffffffffffffffffffffff82169050919050565b5f6102d9826102b0565b9050919050565b6102e9816102cf565b82525050565b5f6020820190506103025f8301846102e0565b92915050565b5f819050919050565b61031a81610308565b82525050565b61032981610252565b82525050565b5f60a0820190506103425f830188610311565b61034f6020830187610311565b61035c6040830186610311565b6103696060830185610320565b61037660808301846102e0565b9695505050505050565b60805161229961039f5f395f818161036a015261053b01526122995ff3fe608060405234801561000f575f5ffd5b50600436106100f3575f3560e01c80638652297311610095578063ddd7b25411610064578063ddd7b25414610275578063eb0772c914610291578063f2fde38b146102c3578063ffa1ad74146102df576100f3565b806386522973146101ff5780638da5cb5b1461021d578063a3f4df7e1461023b578063b4b292e514610259576100f3565b80633abd44bd116100d15780633abd44bd14610179578063438596321461019557806349403183146101c5578063715018a6146101f5576100f3565b8063013cf08b146100f7578063048fd2ef1461012b5780633644e5151461015b575b5f5ffd5b610111600480360381019061010c9190611518565b6102fd565b604051610122959493929190611584565b60405180910390f35b6101456004803603810190610140919061160b565b610348565b6040516101529190611649565b60405180910390f35b610163610368565b6040516101709190611662565b60405180910390f35b610193600480360381019061018e91906116dc565b61038c565b005b6101af60048036038101906101aa9190611793565b6109e1565b6040516101bc91906117d1565b60405180910390f35b6101df60048036038101906101da9190611518565b610a0b565b6040516101ec91906117d1565b60405180910390f35b6101fd610a35565b005b610207610a48565b6040516102149190611662565b60405180910390f35b610225610a6c565b60405161023291906117f9565b60405180910390f35b610243610a93565b6040516102509190611882565b60405180910390f35b610273600480360381019061026e91906118cc565b610acc565b005b61028f600480360381019061028a9190611518565b610c98565b005b6102ab60048036038101906102a69190611518565b610df4565b6040516102ba93929190611930565b60405180910390f35b6102dd60048036038101906102d89190611965565b610f15565b005b6102e7610f99565b6040516102f49190611882565b60405180910390f35b6002602052805f5260405f205f91509050805f015490806001015490806002015490806003015f9054906101000a900460ff16908060030160019054906101000a900460ff16905085565b6003602052815f5260405f20602052805f5260405f205f91509150505481565b7f000000000000000000000000000000000000000000000000000000000000000081565b610394610fd2565b5f60025f8581526020019081526020015f209050806003015f9054906101000a900460ff166103f8576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016103ef906119da565b60405180910390fd5b8060030160019054906101000a900460ff161561044a576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161044190611a42565b60405180910390fd5b5f8383905090505f5f90505b818110156109d0573685858381811061047257610471611a60565b5b90506020028101906104849190611a99565b905080604001354211156104cd576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016104c490611b0a565b60405180910390fd5b5f7fed0ceb9710d3d105ea11a9b72a74e719f659b94e436152e85e94abd2e99a88a688835f0160208101906105029190611b28565b84602001358560400135604051602001610520959493929190611b62565b6040516020818303038152906040528051906020012090505f7f00000000000000000000000000000000000000000000000000000000000000008260405160200161056c929190611c27565b6040516020818303038152906040528051906020012090505f6105e0828580608001906105999190611c5d565b8080601f0160208091040260200160405190810160405280939291908181526020018383808284375f81840152601f19601f82011690508083019250505050505050611018565b90505f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603610650576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161064790611d09565b60405180910390fd5b5f818560600135866020013560405160200161066e93929190611d8c565b6040516020818303038152906040528051906020012090506106e2858060a001906106999190611dc8565b808060200260200160405190810160405280939291908181526020018383602002808284375f81840152601f19601f82011690508083019250505050505050895f015483611042565b610721576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161071890611e74565b60405180910390fd5b60045f8c81526020019081526020015f205f8373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f9054906101000a900460ff16156107ba576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016107b190611edc565b60405180910390fd5b600160045f8d81526020019081526020015f205f8473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020015f205f6101000a81548160ff021916908315150217905550846060013560035f8d81526020019081526020015f205f875f0160208101906108479190611b28565b60ff1660ff1681526020019081526020015f205f8282546108689190611f27565b925050819055508173ffffffffffffffffffffffffffffffffffffffff168b7f61f43e3f2496987f6838cf92e9a683a27b0c1bd986b79da1da7cbe64b4cba029875f0160208101906108ba9190611b28565b88606001356040516108cd929190611f5a565b60405180910390a3876002015460035f8d81526020019081526020015f205f60016002811115610900576108ff611f81565b5b60ff1660ff1681526020019081526020015f2054106109c05760018860030160016101000a81548160ff0219169083151502179055508a7fe5aa569efa048b122ac6000deac1610ed798a336e3e7ac48edee5fe28a063dbc896001015460035f8f81526020019081526020015f205f6001600281111561098357610982611f81565b5b60ff1660ff1681526020019081526020015f20548b600201546040516109ab93929190611fae565b60405180910390a250505050505050506109d4565b5050505050806001019050610456565b5050505b6109dc611058565b505050565b6004602052815f5260405f20602052805f5260405f205f915091509054906101000a900460ff1681565b5f60025f8381526020019081526020015f2060030160019054906101000a900460ff169050919050565b610a3d611061565b610a465f6110e8565b565b7fed0ceb9710d3d105ea11a9b72a74e719f659b94e436152e85e94abd2e99a88a681565b5f5f5f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff16905090565b6040518060400160405280600e81526020017f4c535420476f7665726e616e636500000000000000000000000000000000000081525081565b610ad4611061565b5f8403610b16576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610b0d9061202d565b60405180910390fd5b5f5f1b8303610b5a576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610b5190612095565b60405180910390fd5b5f5f1b8203610b9e576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610b95906120fd565b60405180910390fd5b5f60025f8681526020019081526020015f209050806003015f9054906101000a900460ff1615610c03576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610bfa90612165565b60405180910390fd5b83815f01819055508281600101819055508181600201819055506001816003015f6101000a81548160ff0219169083151502179055505f8160030160016101000a81548160ff021916908315150217905550847f8bfc0755e1ff539769f10e6abe87aaa5ed9296fa85641437538076edbf3be1ef858585604051610c8993929190612183565b60405180910390a25050505050565b610ca0611061565b5f60025f8381526020019081526020015f209050806003015f9054906101000a900460ff16610d04576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610cfb906119da565b60405180910390fd5b8060030160019054906101000a900460ff1615610d56576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610d4d90612202565b60405180910390fd5b60018160030160016101000a81548160ff021916908315150217905550817fe5aa569efa048b122ac6000deac1610ed798a336e3e7ac48edee5fe28a063dbc826001015460035f8681526020019081526020015f205f60016002811115610dc057610dbf611f81565b5b60ff1660ff1681526020019081526020015f20548460020154604051610de893929190611fae565b60405180910390a25050565b5f5f5f5f60025f8681526020019081526020015f209050806003015f9054906101000a900460ff16610e5b576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610e52906119da565b60405180910390fd5b60035f8681526020019081526020015f205f60016002811115610e8157610e80611f81565b5b60ff1660ff1681526020019081526020015f2054935060035f8681526020019081526020015f205f5f6002811115610ebc57610ebb611f81565b5b60ff1660ff1681526020019081526020015f2054925060035f8681526020019081526020015f205f600280811115610ef757610ef6611f81565b5b60ff1660ff1681526020019081526020015f20549150509193909250565b610f1d611061565b5f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603610f8d575f6040517f1e4fbdf7000000000000000000000000000000000000000000000000000000008152600401610f8491906117f9565b60405180910390fd5b610f96816110e8565b50565b6040518060400160405280600181526020017f310000000000000000000000000000000000000000000000000000000000000081525081565b60026001540361100e576040517f3ee5aeb500000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6002600181905550565b5f5f5f5f61102686866111a9565b92509250925061103682826111fe565b82935050505092915050565b5f8261104e8584611360565b1490509392505050565b60018081905550565b6110696113b1565b73ffffffffffffffffffffffffffffffffffffffff16611087610a6c565b73ffffffffffffffffffffffffffffffffffffffff16146110e6576110aa6113b1565b6040517f118cdaa70000000000000000000000000000000000000000000000000000000081526004016110dd91906117f9565b60405180910390fd5b565b5f5f5f9054906101000a900473ffffffffffffffffffffffffffffffffffffffff169050815f5f6101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508173ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e060405160405180910390a35050565b5f5f5f60418451036111e9575f5f5f602087015192506040870151915060608701515f1a90506111db888285856113b8565b9550955095505050506111f7565b5f600285515f1b9250925092505b9250925092565b5f600381111561121157611210611f81565b5b82600381111561122457611223611f81565b5b031561135c576001600381111561123e5761123d611f81565b5b82600381111561125157611250611f81565b5b03611288576040517ff645eedf00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6002600381111561129c5761129b611f81565b5b8260038111156112af576112ae611f81565b5b036112f357805f1c6040517ffce698f70000000000000000000000000000000000000000000000000000000081526004016112ea9190611649565b60405180910390fd5b60038081111561130657611305611f81565b5b82600381111561131957611318611f81565b5b0361135b57806040517fd78bce0c0000000000000000000000000000000000000000000000000000000081526004016113529190611662565b60405180910390fd5b5b5050565b5f5f8290505f5f90505b84518110156113a6576113978286838151811061138a57611389611a60565b5b602002602001015161149f565b9150808060010191505061136a565b508091505092915050565b5f33905090565b5f5f5f7f7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0845f1c11156113f4575f600385925092509250611495565b5f6001888888886040515f81526020016040526040516114179493929190612220565b6020604051602081039080840390855afa158015611437573d5f5f3e3d5ffd5b5050506020604051035190505f73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603611488575f60015f5f1b93509350935050611495565b805f5f5f1b935093509350505b9450945094915050565b5f8183106114b6576114b182846114c9565b6114c1565b6114c083836114c9565b5b905092915050565b5f825f528160205260405f20905092915050565b5f5ffd5b5f5ffd5b5f819050919050565b6114f7816114e5565b8114611501575f5ffd5b50565b5f81359050611512816114ee565b92915050565b5f6020828403121561152d5761152c6114dd565b5b5f61153a84828501611504565b91505092915050565b5f819050919050565b61155581611543565b82525050565b611564816114e5565b82525050565b5f8115159050919050565b61157e8161156a565b82525050565b5f60a0820190506115975f83018861154c565b6115a4602083018761154c565b6115b1604083018661155b565b6115be6060830185611575565b6115cb6080830184611575565b9695505050505050565b5f60ff82169050919050565b6115ea816115d5565b81146115f4575f5ffd5b50565b5f81359050611605816115e1565b92915050565b5f5f60408385031215611621576116206114dd565b5b5f61162e85828601611504565b925050602061163f858286016115f7565b9150509250929050565b5f60208201905061165c5f83018461155b565b92915050565b5f6020820190506116755f83018461154c565b92915050565b5f5ffd5b5f5ffd5b5f5ffd5b5f5f83601f84011261169c5761169b61167b565b5b8235905067ffffffffffffffff8111156116b9576116b861167f565b5b6020830191508360208202830111156116d5576116d4611683565b5b9250929050565b5f5f5f604084860312156116f3576116f26114dd565b5b5f61170086828701611504565b935050602084013567ffffffffffffffff811115611721576117206114e1565b5b61172d86828701611687565b92509250509250925092565b5f73ffffffffffffffffffffffffffffffffffffffff82169050919050565b5f61176282611739565b9050919050565b61177281611758565b811461177c575f5ffd5b50565b5f8135905061178d81611769565b92915050565b5f5f604083850312156117a9576117a86114dd565b5b5f6117b685828601611504565b92505060206117c78582860161177f565b9150509250929050565b5f6020820190506117e45f830184611575565b92915050565b6117f381611758565b82525050565b5f60208201905061180c5f8301846117ea565b92915050565b5f81519050919050565b5f82825260208201905092915050565b8281835e5f83830152505050565b5f601f19601f8301169050919050565b5f61185482611812565b61185e818561181c565b935061186e81856020860161182c565b6118778161183a565b840191505092915050565b5f6020820190508181035f83015261189a818461184a565b905092915050565b6118ab81611543565b81146118b5575f5ffd5b50565b5f813590506118c6816118a2565b92915050565b5f5f5f5f608085870312156118e4576118e36114dd565b5b5f6118f187828801611504565b9450506020611902878288016118b8565b9350506040611913878288016118b8565b925050606061192487828801611504565b91505092959194509250565b5f6060820190506119435f83018661155b565b611950602083018561155b565b61195d604083018461155b565b949350505050565b5f6020828403121561197a576119796114dd565b5b5f6119878482850161177f565b91505092915050565b7f70726f706f73616c206e6f7420726567697374657265640000000000000000005f82015250565b5f6119c460178361181c565b91506119cf82611990565b602082019050919050565b5f6020820190508181035f8301526119f1816119b8565b9050919050565b7f70726f706f73616c20616c7265616479207061737365640000000000000000005f82015250565b5f611a2c60178361181c565b9150611a37826119f8565b602082019050919050565b5f6020820190508181035f830152611a5981611a20565b9050919050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52603260045260245ffd5b5f5ffd5b5f5ffd5b5f5ffd5b5f8235600160c003833603038112611ab457611ab3611a8d565b5b80830191505092915050565b7f766f7465206578706972656400000000000000000000000000000000000000005f82015250565b5f611af4600c8361181c565b9150611aff82611ac0565b602082019050919050565b5f6020820190508181035f830152611b2181611ae8565b9050919050565b5f60208284031215611b3d57611b3c6114dd565b5b5f611b4a848285016115f7565b91505092915050565b611b5c816115d5565b82525050565b5f60a082019050611b755f83018861154c565b611b82602083018761155b565b611b8f6040830186611b53565b611b9c606083018561155b565b611ba9608083018461155b565b9695505050505050565b5f81905092915050565b7f19010000000000000000000000000000000000000000000000000000000000005f82015250565b5f611bf1600283611bb3565b9150611bfc82611bbd565b600282019050919050565b5f819050919050565b611c21611c1c82611543565b611c07565b82525050565b5f611c3182611be5565b9150611c3d8285611c10565b602082019150611c4d8284611c10565b6020820191508190509392505050565b5f5f83356001602003843603038112611c7957611c78611a8d565b5b80840192508235915067ffffffffffffffff821115611c9b57611c9a611a91565b5b602083019250600182023603831315611cb757611cb6611a95565b5b509250929050565b7f696e76616c6964207369676e61747572650000000000000000000000000000005f82015250565b5f611cf360118361181c565b9150611cfe82611cbf565b602082019050919050565b5f6020820190508181035f830152611d2081611ce7565b9050919050565b5f8160601b9050919050565b5f611d3d82611d27565b9050919050565b5f611d4e82611d33565b9050919050565b611d66611d6182611758565b611d44565b82525050565b5f819050919050565b611d86611d81826114e5565b611d6c565b82525050565b5f611d978286611d55565b601482019150611da78285611d75565b602082019150611db78284611d75565b602082019150819050949350505050565b5f5f83356001602003843603038112611de457611de3611a8d565b5b80840192508235915067ffffffffffffffff821115611e0657611e05611a91565b5b602083019250602082023603831315611e2257611e21611a95565b5b509250929050565b7f696e76616c6964206d65726b6c652070726f6f660000000000000000000000005f82015250565b5f611e5e60148361181c565b9150611e6982611e2a565b602082019050919050565b5f6020820190508181035f830152611e8b81611e52565b9050919050565b7f616c726561647920766f746564000000000000000000000000000000000000005f82015250565b5f611ec6600d8361181c565b9150611ed182611e92565b602082019050919050565b5f6020820190508181035f830152611ef381611eba565b9050919050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52601160045260245ffd5b5f611f31826114e5565b9150611f3c836114e5565b9250828201905080821115611f5457611f53611efa565b5b92915050565b5f604082019050611f6d5f830185611b53565b611f7a602083018461155b565b9392505050565b7f4e487b71000000000000000000000000000000000000000000000000000000005f52602160045260245ffd5b5f606082019050611fc15f83018661154c565b611fce602083018561155b565b611fdb604083018461155b565b949350505050565b7f70726f706f73616c49643d3000000000000000000000000000000000000000005f82015250565b5f612017600c8361181c565b915061202282611fe3565b602082019050919050565b5f6020820190508181035f8301526120448161200b565b9050919050565b7f706f776572526f6f743d300000000000000000000000000000000000000000005f82015250565b5f61207f600b8361181c565b915061208a8261204b565b602082019050919050565b5f6020820190508181035f8301526120ac81612073565b9050919050565b7f616374696f6e44617461486173683d30000000000000000000000000000000005f82015250565b5f6120e760108361181c565b91506120f2826120b3565b602082019050919050565b5f6020820190508181035f830152612114816120db565b9050919050565b7f70726f706f73616c2065786973747300000000000000000000000000000000005f82015250565b5f61214f600f8361181c565b915061215a8261211b565b602082019050919050565b5f6020820190508181035f83015261217c81612143565b9050919050565b5f6060820190506121965f83018661154c565b6121a3602083018561154c565b6121b0604083018461155b565b949350505050565b7f616c7265616479207061737365640000000000000000000000000000000000005f82015250565b5f6121ec600e8361181c565b91506121f7826121b8565b602082019050919050565b5f6020820190508181035f830152612219816121e0565b9050919050565b5f6080820190506122335f83018761154c565b6122406020830186611b53565b61224d604083018561154c565b61225a606083018461154c565b9594505050505056fea2646970667358221220bf70a627e51ec04b7c2381eece06d7227cf6076890b2bb63e68fce1fd022176c64736f6c634300081c0033";
+  const _bytecode = "0x60a060405234801561000f575f5ffd5b50604051613b96380380613b9683398101604081905261002e916101ae565b338061005357604051631e4fbdf760e01b81525f600482015260240160405180910390fd5b61005c8161015d565b5060017f9b779b17422d0df92223018b32b4d1fa46e071723d6817e2486d003becc55f0055604080518082018252600e81526d4c535420476f7665726e616e636560901b6020918201528151808301835260018152603160f81b9082015281517f8b73c3c69bb8fe3d512ecc4cf759cc79239f7b179b0ffacaa9a75d522b39400f818301527ff6eb8d9e1331579d07de83163de90fa86b0d589534d947a5fd3e0e7494229db1818401527fc89efdaa54c0f20c7adf612882df0950f5a951637e0307cdcb4c672f298b8bc660608201526080808201949094523060a0808301919091528351808303909101815260c0909101909252815191012090526101c5565b600380546001600160a01b038381166001600160a01b0319831681179093556040519116919082907f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0905f90a35050565b5f602082840312156101be575f5ffd5b5051919050565b6080516139ab6101eb5f395f81816104fd0152818161102f0152612a0a01526139ab5ff3fe608060405260043610610249575f3560e01c8063571a179611610134578063aaa2a8fb116100b3578063d093135c11610078578063d093135c1461089b578063ddd7b254146108ba578063e246dbde146108d9578063eb0772c9146108f8578063f2fde38b1461092a578063ffa1ad7414610949575f5ffd5b8063aaa2a8fb146107c8578063add21269146107e7578063b075061114610806578063cd2ddd0c1461081b578063ce2e1d0714610830575f5ffd5b80638c35fb54116100f95780638c35fb54146106fe5780638da5cb5b146107315780639abb385e1461074e578063a3110a6d14610763578063a3f4df7e14610782575f5ffd5b8063571a1796146106665780635e644b1b1461068557806363e1c4ea146106a4578063715018a6146106b757806386522973146106cb575f5ffd5b8063249d39e9116101cb5780633e4f49e6116101905780633e4f49e61461056457806342cde4e814610583578063438596321461059857806349403183146105e15780634c5b769314610619578063541d554814610638575f5ffd5b8063249d39e9146104b85780632aaf5ed5146104cd5780633644e515146104ec5780633932abb11461051f5780633cb747bf14610545575f5ffd5b8063179ff4b211610211578063179ff4b2146103ef5780631885c2f91461041057806318da8ca41461042f57806320040f9d146104665780632370736b14610499575f5ffd5b8063013cf08b1461024d57806302a251a314610327578063048fd2ef1461035e57806305261aea146103a2578063125cae54146103ce575b5f5ffd5b348015610258575f5ffd5b506102cf61026736600461311b565b600460208190525f9182526040909120805460018201546002830154600384015493909401549193909290916001600160401b0380831692600160401b81049091169160ff600160801b8304811692600160881b8104821692600160901b9091049091169089565b60408051998a5260208a0198909852968801959095526001600160401b039384166060880152929091166080860152151560a0850152151560c0840152151560e0830152610100820152610120015b60405180910390f35b348015610332575f5ffd5b50600d54610346906001600160401b031681565b6040516001600160401b03909116815260200161031e565b348015610369575f5ffd5b50610394610378366004613142565b600560209081525f928352604080842090915290825290205481565b60405190815260200161031e565b3480156103ad575f5ffd5b506103c16103bc36600461311b565b610975565b60405161031e91906131a0565b3480156103d9575f5ffd5b506103ed6103e83660046131f5565b610b79565b005b3480156103fa575f5ffd5b50610403610e0c565b60405161031e91906132dd565b34801561041b575f5ffd5b506103ed61042a366004613305565b610e6b565b34801561043a575f5ffd5b50600c5461044e906001600160a01b031681565b6040516001600160a01b03909116815260200161031e565b348015610471575f5ffd5b506103947f75b52e63ad5fd4d33a40c31c626034fa6d97e3702414c35e4c67e748c4ce008081565b3480156104a4575f5ffd5b506103946104b3366004613386565b610f9f565b3480156104c3575f5ffd5b5061039461271081565b3480156104d8575f5ffd5b506103ed6104e73660046133b5565b61107e565b3480156104f7575f5ffd5b506103947f000000000000000000000000000000000000000000000000000000000000000081565b34801561052a575f5ffd5b50600c5461034690600160a01b90046001600160401b031681565b348015610550575f5ffd5b5060085461044e906001600160a01b031681565b34801561056f575f5ffd5b506103c161057e36600461311b565b6110c8565b34801561058e575f5ffd5b5061039460025481565b3480156105a3575f5ffd5b506105d16105b23660046133fc565b600660209081525f928352604080842090915290825290205460ff1681565b604051901515815260200161031e565b3480156105ec575f5ffd5b506105d16105fb36600461311b565b5f90815260046020526040902060030154600160901b900460ff1690565b348015610624575f5ffd5b506103ed61063336600461341d565b611183565b348015610643575f5ffd5b506105d1610652366004613464565b60016020525f908152604090205460ff1681565b348015610671575f5ffd5b506103ed610680366004613493565b611389565b348015610690575f5ffd5b506103ed61069f3660046134cd565b6114ae565b6103946106b236600461311b565b6114cc565b3480156106c2575f5ffd5b506103ed611658565b3480156106d6575f5ffd5b506103947f13c5d83130ad629adae4da7b066056694796f0aaac93fb7c142d41bb9f7707b281565b348015610709575f5ffd5b506103947f223d4b1def335657e2d3563b6558167c8495f1033076a6c32cdbeb4bf77c851381565b34801561073c575f5ffd5b506003546001600160a01b031661044e565b348015610759575f5ffd5b50610394600b5481565b34801561076e575f5ffd5b506103ed61077d3660046133fc565b61166b565b34801561078d575f5ffd5b506107bb6040518060400160405280600e81526020016d4c535420476f7665726e616e636560901b81525081565b60405161031e919061354f565b3480156107d3575f5ffd5b506103ed6107e2366004613561565b611712565b3480156107f2575f5ffd5b506103ed6108013660046135c5565b611781565b348015610811575f5ffd5b5061039460095481565b348015610826575f5ffd5b50610394600e5481565b34801561083b575f5ffd5b5061087b61084a3660046133fc565b600760209081525f928352604080842090915290825290208054600182015460028301546003909301549192909184565b60408051948552602085019390935291830152606082015260800161031e565b3480156108a6575f5ffd5b50600a5461044e906001600160a01b031681565b3480156108c5575f5ffd5b506103ed6108d436600461311b565b611864565b3480156108e4575f5ffd5b506103ed6108f336600461341d565b61196a565b348015610903575f5ffd5b5061091761091236600461311b565b611a85565b60405161031e97969594939291906135fe565b348015610935575f5ffd5b506103ed610944366004613464565b611b39565b348015610954575f5ffd5b506107bb604051806040016040528060018152602001603160f81b81525081565b5f8181526004602052604081206003810154600160801b900460ff166109b65760405162461bcd60e51b81526004016109ad90613651565b60405180910390fd5b6003810154600160881b900460ff1615610a065760405162461bcd60e51b8152602060048201526011602482015270185b1c9958591e48199a5b985b1a5e9959607a1b60448201526064016109ad565b6003810154600160401b90046001600160401b03164211610a5c5760405162461bcd60e51b815260206004820152601060248201526f1d9bdd1a5b99c81b9bdd08195b99195960821b60448201526064016109ad565b610a668382611b76565b60038201805460ff60881b1916600160881b17905591506002826003811115610a9157610a9161316c565b60038301805460ff60901b191691909214600160901b021790555f8381526005602090815260408083206001845290915280822054828052818320546002845292829020549151909286927fbea26fb7b1bee880c70cf1614c512461ecf3f0039de69cff7141c9f88d5c73d792610b0b9288928792613688565b60405180910390a26003820154600160901b900460ff1615610b725760018201546002830154604080519283526020830184905282015284907fe5aa569efa048b122ac6000deac1610ed798a336e3e7ac48edee5fe28a063dbc9060600160405180910390a25b5050919050565b610b81611bed565b5f610b8b88611c08565b9050855f816001600160401b03811115610ba757610ba76136b1565b604051908082528060200260200182016040528015610bd0578160200160208202803683370190505b5090505f826001600160401b03811115610bec57610bec6136b1565b604051908082528060200260200182016040528015610c15578160200160208202803683370190505b5090505f5b83811015610d2a57368b8b83818110610c3557610c356136c5565b9050602002810190610c4791906136d9565b9050610c868d610c5a60208401846136f7565b60208401356040850135610c7460a0870160808801613464565b610c8160a0880188613710565b611cdd565b848381518110610c9857610c986136c5565b60200260200101906001600160a01b031690816001600160a01b031681525050838281518110610cca57610cca6136c5565b602002602001015181606001358260200135604051602001610cee93929190613752565b60405160208183030381529060405280519060200120838381518110610d1657610d166136c5565b602090810291909101015250600101610c1a565b50610d3c88888888885f015486611d8e565b610d5957604051633e31042560e11b815260040160405180910390fd5b5f5b83811015610de857610de08c848381518110610d7957610d796136c5565b60200260200101518d8d85818110610d9357610d936136c5565b9050602002810190610da591906136d9565b610db39060208101906136f7565b8e8e86818110610dc557610dc56136c5565b9050602002810190610dd791906136d9565b60600135611da9565b600101610d5b565b5050505050610e0360015f5160206139565f395f51905f5255565b50505050505050565b60605f805480602002602001604051908101604052809291908181526020018280548015610e6157602002820191905f5260205f20905b81546001600160a01b03168152600190910190602001808311610e43575b5050505050905090565b6008546001600160a01b031615801590610e8f57506008546001600160a01b031633145b610ecc5760405162461bcd60e51b815260206004820152600e60248201526d37b7363c9036b2b9b9b2b733b2b960911b60448201526064016109ad565b600c546001600160a01b031615801590610ee75750600b5484145b8015610f005750600c546001600160a01b038481169116145b610f455760405162461bcd60e51b81526020600482015260166024820152753ab735b737bbb71036b2b9b9b0b3b29039b2b73232b960511b60448201526064016109ad565b5f808080610f5585870187613386565b5f8481526004602052604090206003015493975091955093509150600160801b900460ff1615610f885750505050610f99565b610f9484848484611e98565b505050505b50505050565b600b54600c54604080517f223d4b1def335657e2d3563b6558167c8495f1033076a6c32cdbeb4bf77c8513602080830191909152818301899052606082018890526080820187905260a0820186905260c08201949094526001600160a01b0390921660e080840191909152815180840390910181526101008301825280519084012061190160f01b6101208401527f00000000000000000000000000000000000000000000000000000000000000006101228401526101428084019190915281518084039091018152610162909201905280519101205b949350505050565b611086611fb2565b6110c38383808060200260200160405190810160405280939291908181526020018383602002808284375f92019190915250859250611fdf915050565b505050565b5f8181526004602052604081206003810154600160801b900460ff166111005760405162461bcd60e51b81526004016109ad90613651565b6003810154600160881b900460ff1615611138576003810154600160901b900460ff1661112e576003611131565b60025b9392505050565b60038101546001600160401b031642101561115557505f92915050565b6003810154600160401b90046001600160401b031642116111795750600192915050565b6111318382611b76565b61118b611bed565b5f61119584611c08565b9050815f5b8181101561137057368585838181106111b5576111b56136c5565b90506020028101906111c7919061377c565b90505f6111d488836121dd565b90505f818360c0013584606001356040516020016111f493929190613752565b60408051601f198184030181529190528051602090910120905061125961121f610140850185613791565b808060200260200160405190810160405280939291908181526020018383602002808284375f920191909152505089549150849050612312565b6112815760405163a14aa8d160e01b81526001600160a01b03831660048201526024016109ad565b5f6040840135611296602086013586356137ea565b6112a091906137ea565b90508360c001358111156112e357604051637d51bf2f60e11b81526001600160a01b03841660048201526024810182905260c085013560448201526064016109ad565b6113618a846040518060800160405280885f0135815260200188602001358152602001886040013581526020018860800135815250878060e001906113289190613710565b8080601f0160208091040260200160405190810160405280939291908181526020018383808284375f9201919091525061232792505050565b5050505080600101905061119a565b5050506110c360015f5160206139565f395f51905f5255565b611391611fb2565b5f826001600160401b0316116113da5760405162461bcd60e51b815260206004820152600e60248201526d0766f74696e67506572696f643d360941b60448201526064016109ad565b6127108111156114205760405162461bcd60e51b8152602060048201526011602482015270071756f72756d427073203e20313030303607c1b60448201526064016109ad565b600c805467ffffffffffffffff60a01b1916600160a01b6001600160401b0386811691820292909217909255600d805467ffffffffffffffff19169185169182179055600e83905560408051928352602083019190915281018290527f1d39aaf37b707416c0b988b250cc7210a331d66696c39f7bc3afa3ab0b4819569060600160405180910390a1505050565b6114b6611fb2565b6114c486868686868661254f565b505050505050565b6008545f906001600160a01b03166115155760405162461bcd60e51b815260206004820152600c60248201526b37379036b2b9b9b2b733b2b960a11b60448201526064016109ad565b5f8281526004602052604090206003810154600160901b900460ff166115735760405162461bcd60e51b81526020600482015260136024820152721c1c9bdc1bdcd85b081b9bdd081c185cdcd959606a1b60448201526064016109ad565b600854600954600a5460018401546040516001600160a01b0394851694637056f41f94349490939116916115b4918a91602001918252602082015260400190565b6040516020818303038152906040526040518563ffffffff1660e01b81526004016115e1939291906137fd565b60206040518083038185885af11580156115fd573d5f5f3e3d5ffd5b50505050506040513d601f19601f820116820180604052508101906116229190613826565b915081837fd70cc3319afb2c4be58c53329b6a23d9556a4c63af564213877b9384f1eeb11260405160405180910390a350919050565b611660611fb2565b6116695f6127c0565b565b611673611fb2565b6001600160a01b0381166116b75760405162461bcd60e51b815260206004820152600b60248201526a07075626c69736865723d360ac1b60448201526064016109ad565b600b829055600c80546001600160a01b0319166001600160a01b0383169081179091556040518381527fd7fc6abd6fcb9fd80ebbe144a5979dc2a2477b7f03461e0da27b2931dfefc292906020015b60405180910390a25050565b600c546001600160a01b031661175f5760405162461bcd60e51b81526020600482015260126024820152716e6f2070726f706f73616c20736f7572636560701b60448201526064016109ad565b61177561176e87878787610f9f565b8383612811565b6114c486868686611e98565b611789611fb2565b6001600160a01b03831615806117a757506001600160a01b03811615155b6117e05760405162461bcd60e51b815260206004820152600a60248201526906578656375746f723d360b41b60448201526064016109ad565b600880546001600160a01b038086166001600160a01b031992831681179093556009859055600a8054918516919092161790556040517fff19ce4ddc9a39e845acf8436923d5c56be8d5607586d5009a99727ec29d7a949061185790859085909182526001600160a01b0316602082015260400190565b60405180910390a2505050565b61186c611fb2565b5f8181526004602052604090206003810154600160801b900460ff166118a45760405162461bcd60e51b81526004016109ad90613651565b6003810154600160901b900460ff16156118f15760405162461bcd60e51b815260206004820152600e60248201526d185b1c9958591e481c185cdcd95960921b60448201526064016109ad565b60038101805461ffff60881b191661010160881b1790556001808201545f848152600560209081526040808320948352938152908390205460028501548451938452918301529181019190915282907fe5aa569efa048b122ac6000deac1610ed798a336e3e7ac48edee5fe28a063dbc90606001611706565b611972611bed565b5f61197c84611c08565b9050815f5b81811015611370573685858381811061199c5761199c6136c5565b90506020028101906119ae919061383d565b90505f6119e9886119c260208501856136f7565b602085013560408601356119dc60a0880160808901613464565b610c8160a0890189613710565b90505f8183606001358460200135604051602001611a0993929190613752565b60408051601f1981840301815291905280516020909101209050611a3361121f60c0850185613791565b611a5b5760405163a14aa8d160e01b81526001600160a01b03831660048201526024016109ad565b611a778983611a6d60208701876136f7565b8660600135611da9565b505050806001019050611981565b5f8181526004602052604081206003810154829182918291829182918291600160801b900460ff16611ac95760405162461bcd60e51b81526004016109ad90613651565b5f89815260056020908152604080832060018452909152808220548280528183205460028085529290932054918401546003850154919b509299509097509095506001600160401b038082169550600160401b909104169250611b2b896110c8565b915050919395979092949650565b611b41611fb2565b6001600160a01b038116611b6a57604051631e4fbdf760e01b81525f60048201526024016109ad565b611b73816127c0565b50565b5f82815260056020908152604080832060018452909152808220548280528183205460028452918320549091908390611baf83856137ea565b611bb991906137ea565b905084600201548110158015611bce57508183115b15611bdf5760029350505050611be7565b600393505050505b92915050565b611bf56129cb565b60025f5160206139565f395f51905f5255565b5f8181526004602052604090206003810154600160801b900460ff16611c445760405163fed4219760e01b8152600481018390526024016109ad565b60038101546001600160401b0316421015611c8a57600381015460405163a24bcd7760e01b8152600481018490526001600160401b0390911660248201526044016109ad565b6003810154600160401b90046001600160401b0316421180611cb757506003810154600160881b900460ff165b15611cd857604051638e9b46a760e01b8152600481018390526024016109ad565b919050565b5f84421115611d0257604051631480afdf60e11b8152600481018690526024016109ad565b604080517f13c5d83130ad629adae4da7b066056694796f0aaac93fb7c142d41bb9f7707b260208201529081018990526001600160a01b038516606082015260ff8816608082015260a0810187905260c081018690525f9060e001604051602081830303815290604052805190602001209050611d81818686866129fa565b9998505050505050505050565b5f82611d9d8888888887612b2f565b14979650505050505050565b600260ff83161115611dd35760405163fe0e5d8b60e01b815260ff831660048201526024016109ad565b5f8481526006602090815260408083206001600160a01b038716845290915290205460ff1615611e2157604051633512759d60e21b81526001600160a01b03841660048201526024016109ad565b611e4860405180608001604052805f81526020015f81526020015f81526020015f81525090565b5f1960ff841601611e5b57818152611e77565b60ff8316611e6f5760208101829052611e77565b604081018290525b611e9185858360405180602001604052805f815250612327565b5050505050565b600d546001600160401b0316611ef05760405162461bcd60e51b815260206004820152601960248201527f676f7665726e616e636520706172616d73206e6f74207365740000000000000060448201526064016109ad565b600c545f90611f0f90600160a01b90046001600160401b031642613851565b90505f612710600e5484611f239190613870565b611f2d9190613887565b600d54909150611f599087908690889085908790611f54906001600160401b031682613851565b61254f565b5f868152600460208190526040918290200184905551339087907f357b86ae8a302ded9b97621d2acc224365eedc8e3081e1be7352d04b885b367690611fa29087815260200190565b60405180910390a3505050505050565b6003546001600160a01b031633146116695760405163118cdaa760e01b81523360048201526024016109ad565b5f81118015611fef575081518111155b61202f5760405162461bcd60e51b81526020600482015260116024820152701a5b9d985b1a59081d1a1c995cda1bdb19607a1b60448201526064016109ad565b5f5b5f5481101561208b575f60015f5f8481548110612050576120506136c5565b5f918252602080832091909101546001600160a01b031683528201929092526040019020805460ff1916911515919091179055600101612031565b505f5b8251811015612186575f8382815181106120aa576120aa6136c5565b602002602001015190505f6001600160a01b0316816001600160a01b0316036121015760405162461bcd60e51b8152602060048201526009602482015268072656c617965723d360bc1b60448201526064016109ad565b6001600160a01b0381165f9081526001602052604090205460ff161561215d5760405162461bcd60e51b8152602060048201526011602482015270323ab83634b1b0ba32903932b630bcb2b960791b60448201526064016109ad565b6001600160a01b03165f908152600160208190526040909120805460ff1916821790550161208e565b508151612199905f9060208501906130a4565b5060028190556040517f5a0091a72d4086872029883d84f34855d5a8604799a648fa78a49c19c2f1abc1906121d190849084906138a6565b60405180910390a15050565b5f8160a0013542111561220957604051631480afdf60e11b815260a083013560048201526024016109ad565b5f7f75b52e63ad5fd4d33a40c31c626034fa6d97e3702414c35e4c67e748c4ce00808461223e61012086016101008701613464565b853560208701356040880135606089013560808a013560a08b013561226660e08d018d613710565b6040516122749291906138c7565b60408051918290038220602083019b909b528101989098526001600160a01b039096166060880152608087019490945260a086019290925260c085015260e08401526101008301526101208201526101408101919091526101600160408051601f1981840301815291905280516020909101209050611076816122ff61012086016101008701613464565b61230d610120870187613710565b6129fa565b5f8261231e8584612d93565b14949350505050565b5f848152600560209081526040808320600783528184206001600160a01b03881680865290845282852089865260068552838620918652935292205460ff16156124275780600301548460600151116123ab5760608401516040516301f4d1c160e51b81526001600160a01b038716600482015260248101919091526044016109ad565b805460015f90815260208490526040812080549091906123cc9084906138d6565b909155505060018101545f80805260208490526040812080549091906123f39084906138d6565b90915550506002818101545f91825260208490526040822080549192909161241c9084906138d6565b909155506124549050565b5f8681526006602090815260408083206001600160a01b03891684529091529020805460ff191660011790555b835160015f90815260208490526040812080549091906124759084906137ea565b90915550506020848101515f808052918490526040822080549192909161249d9084906137ea565b909155505060408481015160025f90815260208590529182208054919290916124c79084906137ea565b90915550505f8681526007602090815260408083206001600160a01b0389168085529083529281902087518082559288015160018201819055828901516002830181905560608a0151600390930183905592518b947f1b06968d929e0753eb5a50a41516e2d5c6f13a7264075ddb8cf191e9b8b965fb94611fa2949193929091908b906138e9565b855f0361258d5760405162461bcd60e51b815260206004820152600c60248201526b070726f706f73616c49643d360a41b60448201526064016109ad565b846125c85760405162461bcd60e51b815260206004820152600b60248201526a0706f776572526f6f743d360ac1b60448201526064016109ad565b836126085760405162461bcd60e51b815260206004820152601060248201526f0616374696f6e44617461486173683d360841b60448201526064016109ad565b806001600160401b0316826001600160401b031611156126625760405162461bcd60e51b8152602060048201526015602482015274696e76616c696420766f74696e672077696e646f7760581b60448201526064016109ad565b42816001600160401b031610156126b15760405162461bcd60e51b81526020600482015260136024820152721d9bdd19515b99081a5b881d1a19481c185cdd606a1b60448201526064016109ad565b5f8681526004602052604090206003810154600160801b900460ff161561270c5760405162461bcd60e51b815260206004820152600f60248201526e70726f706f73616c2065786973747360881b60448201526064016109ad565b8581556001810185905560028101849055600381018054600160801b6001600160401b038681166fffffffffffffffffffffffffffffffff199093168317600160401b9187169182021760ff60801b19169190911790925560408051898152602081018990529081018790526060810191909152608081019190915287907faa644d97a6af9b88fd8445a81a02ba2b7c36b0fb9b7cadd536926316ddab7bbc9060a00160405180910390a250505050505050565b600380546001600160a01b038381166001600160a01b0319831681179093556040519116919082907f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0905f90a35050565b5f600254116128505760405162461bcd60e51b815260206004820152600b60248201526a6e6f2072656c617965727360a81b60448201526064016109ad565b60025481101561289a5760405162461bcd60e51b81526020600482015260156024820152746e6f7420656e6f756768207369676e61747572657360581b60448201526064016109ad565b5f805b82811015611e91575f612907868686858181106128bc576128bc6136c5565b90506020028101906128ce9190613710565b8080601f0160208091040260200160405190810160405280939291908181526020018383808284375f92019190915250612dd592505050565b6001600160a01b0381165f9081526001602052604090205490915060ff166129685760405162461bcd60e51b815260206004820152601460248201527339b4b3b732b9103737ba1030903932b630bcb2b960611b60448201526064016109ad565b826001600160a01b0316816001600160a01b0316116129c15760405162461bcd60e51b81526020600482015260156024820152747369676e657273206e6f7420617363656e64696e6760581b60448201526064016109ad565b915060010161289d565b5f5160206139565f395f51905f525460020361166957604051633ee5aeb560e01b815260040160405180910390fd5b60405161190160f01b60208201527f00000000000000000000000000000000000000000000000000000000000000006022820152604281018590525f908190606201604051602081830303815290604052805190602001209050846001600160a01b03163b5f14612aa257612a7185828686612dfd565b612a9957604051637d17ee4560e11b81526001600160a01b03861660048201526024016109ad565b84915050611076565b5f5f612aaf838787612e67565b5090925090505f816003811115612ac857612ac861316c565b14612ae657604051638baa579f60e01b815260040160405180910390fd5b866001600160a01b0316826001600160a01b031614612b2357604051637d17ee4560e11b81526001600160a01b03881660048201526024016109ad565b50949695505050505050565b80515f9083612b3f8160016137ea565b612b4988846137ea565b14612b6757604051631a8a024960e11b815260040160405180910390fd5b8015612d43575f816001600160401b03811115612b8657612b866136b1565b604051908082528060200260200182016040528015612baf578160200160208202803683370190505b5090505f8080805b85811015612cf8575f878510612bf1578584612bd28161391e565b955081518110612be457612be46136c5565b6020026020010151612c17565b8985612bfc8161391e565b965081518110612c0e57612c0e6136c5565b60200260200101515b90505f8c8c84818110612c2c57612c2c6136c5565b9050602002016020810190612c419190613936565b612c6e578e8e85612c518161391e565b9650818110612c6257612c626136c5565b90506020020135612cc5565b888610612c9f578685612c808161391e565b965081518110612c9257612c926136c5565b6020026020010151612cc5565b8a86612caa8161391e565b975081518110612cbc57612cbc6136c5565b60200260200101515b9050612cd18282612eae565b878481518110612ce357612ce36136c5565b60209081029190910101525050600101612bb7565b50808b14612d1957604051631a8a024960e11b815260040160405180910390fd5b836001860381518110612d2e57612d2e6136c5565b60200260200101519650505050505050612d8a565b8115612d6c57835f81518110612d5b57612d5b6136c5565b602002602001015192505050612d8a565b87875f818110612d7e57612d7e6136c5565b90506020020135925050505b95945050505050565b5f81815b8451811015612dcd57612dc382868381518110612db657612db66136c5565b6020026020010151612eae565b9150600101612d97565b509392505050565b5f5f5f5f612de38686612ed7565b925092509250612df38282612f20565b5090949350505050565b60408051630b135d3f60e11b808252600482018690526024820192909252604481018390525f91908390818660648301375f82606483010152601f820160051c60051b915060205f60648401838b5afa9050825f5114601f3d111681169350505050949350505050565b5f80806041849003612e9b578435602086013560408701355f1a612e8d89828585612fdc565b955095509550505050612ea5565b505f915060029050825b93509350939050565b5f818310612ec8575f828152602084905260409020611131565b505f9182526020526040902090565b5f5f5f8351604103612f0e576020840151604085015160608601515f1a612f0088828585612fdc565b955095509550505050612f19565b505081515f91506002905b9250925092565b5f826003811115612f3357612f3361316c565b03612f3c575050565b6001826003811115612f5057612f5061316c565b03612f6e5760405163f645eedf60e01b815260040160405180910390fd5b6002826003811115612f8257612f8261316c565b03612fa35760405163fce698f760e01b8152600481018290526024016109ad565b6003826003811115612fb757612fb761316c565b03612fd8576040516335e2f38360e21b8152600481018290526024016109ad565b5050565b5f80807f7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a084111561301557505f9150600390508261309a565b604080515f808252602082018084528a905260ff891692820192909252606081018790526080810186905260019060a0016020604051602081039080840390855afa158015613066573d5f5f3e3d5ffd5b5050604051601f1901519150506001600160a01b03811661309157505f92506001915082905061309a565b92505f91508190505b9450945094915050565b828054828255905f5260205f209081019282156130f7579160200282015b828111156130f757825182546001600160a01b0319166001600160a01b039091161782556020909201916001909101906130c2565b50613103929150613107565b5090565b5b80821115613103575f8155600101613108565b5f6020828403121561312b575f5ffd5b5035919050565b803560ff81168114611cd8575f5ffd5b5f5f60408385031215613153575f5ffd5b8235915061316360208401613132565b90509250929050565b634e487b7160e01b5f52602160045260245ffd5b6004811061319c57634e487b7160e01b5f52602160045260245ffd5b9052565b60208101611be78284613180565b5f5f83601f8401126131be575f5ffd5b5081356001600160401b038111156131d4575f5ffd5b6020830191508360208260051b85010111156131ee575f5ffd5b9250929050565b5f5f5f5f5f5f5f6080888a03121561320b575f5ffd5b8735965060208801356001600160401b03811115613227575f5ffd5b6132338a828b016131ae565b90975095505060408801356001600160401b03811115613251575f5ffd5b61325d8a828b016131ae565b90955093505060608801356001600160401b0381111561327b575f5ffd5b6132878a828b016131ae565b989b979a50959850939692959293505050565b5f8151808452602084019350602083015f5b828110156132d35781516001600160a01b03168652602095860195909101906001016132ac565b5093949350505050565b602081525f611131602083018461329a565b80356001600160a01b0381168114611cd8575f5ffd5b5f5f5f5f60608587031215613318575f5ffd5b84359350613328602086016132ef565b925060408501356001600160401b03811115613342575f5ffd5b8501601f81018713613352575f5ffd5b80356001600160401b03811115613367575f5ffd5b876020828401011115613378575f5ffd5b949793965060200194505050565b5f5f5f5f60808587031215613399575f5ffd5b5050823594602084013594506040840135936060013592509050565b5f5f5f604084860312156133c7575f5ffd5b83356001600160401b038111156133dc575f5ffd5b6133e8868287016131ae565b909790965060209590950135949350505050565b5f5f6040838503121561340d575f5ffd5b82359150613163602084016132ef565b5f5f5f6040848603121561342f575f5ffd5b8335925060208401356001600160401b0381111561344b575f5ffd5b613457868287016131ae565b9497909650939450505050565b5f60208284031215613474575f5ffd5b611131826132ef565b80356001600160401b0381168114611cd8575f5ffd5b5f5f5f606084860312156134a5575f5ffd5b6134ae8461347d565b92506134bc6020850161347d565b929592945050506040919091013590565b5f5f5f5f5f5f60c087890312156134e2575f5ffd5b863595506020870135945060408701359350606087013592506135076080880161347d565b915061351560a0880161347d565b90509295509295509295565b5f81518084528060208401602086015e5f602082860101526020601f19601f83011685010191505092915050565b602081525f6111316020830184613521565b5f5f5f5f5f5f60a08789031215613576575f5ffd5b8635955060208701359450604087013593506060870135925060808701356001600160401b038111156135a7575f5ffd5b6135b389828a016131ae565b979a9699509497509295939492505050565b5f5f5f606084860312156135d7575f5ffd5b6135e0846132ef565b9250602084013591506135f5604085016132ef565b90509250925092565b5f60e0820190508882528760208301528660408301528560608301526001600160401b03851660808301526001600160401b03841660a083015261364560c0830184613180565b98975050505050505050565b60208082526017908201527f70726f706f73616c206e6f742072656769737465726564000000000000000000604082015260600190565b608081016136968287613180565b84602083015283604083015282606083015295945050505050565b634e487b7160e01b5f52604160045260245ffd5b634e487b7160e01b5f52603260045260245ffd5b5f823560be198336030181126136ed575f5ffd5b9190910192915050565b5f60208284031215613707575f5ffd5b61113182613132565b5f5f8335601e19843603018112613725575f5ffd5b8301803591506001600160401b0382111561373e575f5ffd5b6020019150368190038213156131ee575f5ffd5b60609390931b6bffffffffffffffffffffffff191683526014830191909152603482015260540190565b5f823561015e198336030181126136ed575f5ffd5b5f5f8335601e198436030181126137a6575f5ffd5b8301803591506001600160401b038211156137bf575f5ffd5b6020019150600581901b36038213156131ee575f5ffd5b634e487b7160e01b5f52601160045260245ffd5b80820180821115611be757611be76137d6565b8381526001600160a01b03831660208201526060604082018190525f90612d8a90830184613521565b5f60208284031215613836575f5ffd5b5051919050565b5f823560de198336030181126136ed575f5ffd5b6001600160401b038181168382160190811115611be757611be76137d6565b8082028115828204841417611be757611be76137d6565b5f826138a157634e487b7160e01b5f52601260045260245ffd5b500490565b604081525f6138b8604083018561329a565b90508260208301529392505050565b818382375f9101908152919050565b81810381811115611be757611be76137d6565b85815284602082015283604082015282606082015260a060808201525f61391360a0830184613521565b979650505050505050565b5f6001820161392f5761392f6137d6565b5060010190565b5f60208284031215613946575f5ffd5b81358015158114611131575f5ffdfe9b779b17422d0df92223018b32b4d1fa46e071723d6817e2486d003becc55f00a2646970667358221220360f6242a60e071ef95211290aff0035dfcdd43dce34e0456ed8e13a4c65473564736f6c634300081c0033";
 
   
       type VoteVerifierConstructorParams = [signer?: Signer] | ConstructorParameters<typeof ContractFactory>;
@@ -2,7 +2,11 @@
 /* tslint:disable */
 /* eslint-disable */
 export * as governanceExecutorSol from './GovernanceExecutor.sol/index.js';
+export * as governanceRootPublisherSol from './GovernanceRootPublisher.sol/index.js';
+export * as iCrossChainMessengerSol from './ICrossChainMessenger.sol/index.js';
 export * as liquidStakingVaultSol from './LiquidStakingVault.sol/index.js';
-export { GovernanceRootPublisher__factory } from './GovernanceRootPublisher__factory.js';
 export { MockERC20__factory } from './MockERC20__factory.js';
+export { MockMessenger__factory } from './MockMessenger__factory.js';
+export { MockSmartWallet__factory } from './MockSmartWallet__factory.js';
+export { RelayerSet__factory } from './RelayerSet__factory.js';
 export { VoteVerifier__factory } from './VoteVerifier__factory.js';
\ No newline at end of file
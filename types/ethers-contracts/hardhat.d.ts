@@ -13,33 +13,57 @@ declare module "@nomicfoundation/hardhat-ethers/types" {
   getContractFactory(name: 'GovernanceExecutor', signerOrOptions?: ethers.Signer | FactoryOptions): Promise<Contracts.GovernanceExecutor__factory>
 getContractFactory(name: 'IGovernanceRootPublisher', signerOrOptions?: ethers.Signer | FactoryOptions): Promise<Contracts.IGovernanceRootPublisher__factory>
 getContractFactory(name: 'GovernanceRootPublisher', signerOrOptions?: ethers.Signer | FactoryOptions): Promise<Contracts.GovernanceRootPublisher__factory>
+getContractFactory(name: 'IExchangeRateCheckpoints', signerOrOptions?: ethers.Signer | FactoryOptions): Promise<Contracts.IExchangeRateCheckpoints__factory>
+getContractFactory(name: 'ICrossChainMessenger', signerOrOptions?: ethers.Signer | FactoryOptions): Promise<Contracts.ICrossChainMessenger__factory>
+getContractFactory(name: 'IMessageReceiver', signerOrOptions?: ethers.Signer | FactoryOptions): Promise<Contracts.IMessageReceiver__factory>
 getContractFactory(name: 'LiquidStakingVault', signerOrOptions?: ethers.Signer | FactoryOptions): Promise<Contracts.LiquidStakingVault__factory>
 getContractFactory(name: 'WithdrawalNFT', signerOrOptions?: ethers.Signer | FactoryOptions): Promise<Contracts.WithdrawalNFT__factory>
 getContractFactory(name: 'MockERC20', signerOrOptions?: ethers.Signer | FactoryOptions): Promise<Contracts.MockERC20__factory>
+getContractFactory(name: 'MockMessenger', signerOrOptions?: ethers.Signer | FactoryOptions): Promise<Contracts.MockMessenger__factory>
+getContractFactory(name: 'MockSmartWallet', signerOrOptions?: ethers.Signer | FactoryOptions): Promise<Contracts.MockSmartWallet__factory>
+getContractFactory(name: 'RelayerSet', signerOrOptions?: ethers.Signer | FactoryOptions): Promise<Contracts.RelayerSet__factory>
 getContractFactory(name: 'VoteVerifier', signerOrOptions?: ethers.Signer | FactoryOptions): Promise<Contracts.VoteVerifier__factory>
 
   getContractAt(name: 'GovernanceExecutor', address: string | ethers.Addressable, signer?: ethers.Signer): Promise<Contracts.GovernanceExecutor>
 getContractAt(name: 'IGovernanceRootPublisher', address: string | ethers.Addressable, signer?: ethers.Signer): Promise<Contracts.IGovernanceRootPublisher>
 getContractAt(name: 'GovernanceRootPublisher', address: string | ethers.Addressable, signer?: ethers.Signer): Promise<Contracts.GovernanceRootPublisher>
+getContractAt(name: 'IExchangeRateCheckpoints', address: string | ethers.Addressable, signer?: ethers.Signer): Promise<Contracts.IExchangeRateCheckpoints>
+getContractAt(name: 'ICrossChainMessenger', address: string | ethers.Addressable, signer?: ethers.Signer): Promise<Contracts.ICrossChainMessenger>
+getContractAt(name: 'IMessageReceiver', address: string | ethers.Addressable, signer?: ethers.Signer): Promise<Contracts.IMessageReceiver>
 getContractAt(name: 'LiquidStakingVault', address: string | ethers.Addressable, signer?: ethers.Signer): Promise<Contracts.LiquidStakingVault>
 getContractAt(name: 'WithdrawalNFT', address: string | ethers.Addressable, signer?: ethers.Signer): Promise<Contracts.WithdrawalNFT>
 getContractAt(name: 'MockERC20', address: string | ethers.Addressable, signer?: ethers.Signer): Promise<Contracts.MockERC20>
+getContractAt(name: 'MockMessenger', address: string | ethers.Addressable, signer?: ethers.Signer): Promise<Contracts.MockMessenger>
+getContractAt(name: 'MockSmartWallet', address: string | ethers.Addressable, signer?: ethers.Signer): Promise<Contracts.MockSmartWallet>
+getContractAt(name: 'RelayerSet', address: string | ethers.Addressable, signer?: ethers.Signer): Promise<Contracts.RelayerSet>
 getContractAt(name: 'VoteVerifier', address: string | ethers.Addressable, signer?: ethers.Signer): Promise<Contracts.VoteVerifier>
 
   deployContract(name: 'GovernanceExecutor', signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.GovernanceExecutor>
 deployContract(name: 'IGovernanceRootPublisher', signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.IGovernanceRootPublisher>
 deployContract(name: 'GovernanceRootPublisher', signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.GovernanceRootPublisher>
+deployContract(name: 'IExchangeRateCheckpoints', signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.IExchangeRateCheckpoints>
+deployContract(name: 'ICrossChainMessenger', signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.ICrossChainMessenger>
+deployContract(name: 'IMessageReceiver', signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.IMessageReceiver>
 deployContract(name: 'LiquidStakingVault', signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.LiquidStakingVault>
 deployContract(name: 'WithdrawalNFT', signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.WithdrawalNFT>
 deployContract(name: 'MockERC20', signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.MockERC20>
+deployContract(name: 'MockMessenger', signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.MockMessenger>
+deployContract(name: 'MockSmartWallet', signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.MockSmartWallet>
+deployContract(name: 'RelayerSet', signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.RelayerSet>
 deployContract(name: 'VoteVerifier', signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.VoteVerifier>
 
   deployContract(name: 'GovernanceExecutor', args: any[], signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.GovernanceExecutor>
 deployContract(name: 'IGovernanceRootPublisher', args: any[], signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.IGovernanceRootPublisher>
 deployContract(name: 'GovernanceRootPublisher', args: any[], signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.GovernanceRootPublisher>
+deployContract(name: 'IExchangeRateCheckpoints', args: any[], signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.IExchangeRateCheckpoints>
+deployContract(name: 'ICrossChainMessenger', args: any[], signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.ICrossChainMessenger>
+deployContract(name: 'IMessageReceiver', args: any[], signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.IMessageReceiver>
 deployContract(name: 'LiquidStakingVault', args: any[], signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.LiquidStakingVault>
 deployContract(name: 'WithdrawalNFT', args: any[], signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.WithdrawalNFT>
 deployContract(name: 'MockERC20', args: any[], signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.MockERC20>
+deployContract(name: 'MockMessenger', args: any[], signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.MockMessenger>
+deployContract(name: 'MockSmartWallet', args: any[], signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.MockSmartWallet>
+deployContract(name: 'RelayerSet', args: any[], signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.RelayerSet>
 deployContract(name: 'VoteVerifier', args: any[], signerOrOptions?: ethers.Signer | DeployContractOptions): Promise<Contracts.VoteVerifier>
 
     // default types
@@ -3,20 +3,36 @@
 /* eslint-disable */
 import type * as governanceExecutorSol from './GovernanceExecutor.sol/index.js';
 export type { governanceExecutorSol };
+import type * as governanceRootPublisherSol from './GovernanceRootPublisher.sol/index.js';
+export type { governanceRootPublisherSol };
+import type * as iCrossChainMessengerSol from './ICrossChainMessenger.sol/index.js';
+export type { iCrossChainMessengerSol };
 import type * as liquidStakingVaultSol from './LiquidStakingVault.sol/index.js';
 export type { liquidStakingVaultSol };
-export type { GovernanceRootPublisher } from './GovernanceRootPublisher.js';
 export type { MockERC20 } from './MockERC20.js';
+export type { MockMessenger } from './MockMessenger.js';
+export type { MockSmartWallet } from './MockSmartWallet.js';
+export type { RelayerSet } from './RelayerSet.js';
 export type { VoteVerifier } from './VoteVerifier.js';
 export * as factories from './factories/index.js';
 export type { GovernanceExecutor } from './GovernanceExecutor.sol/GovernanceExecutor.js';
 export { GovernanceExecutor__factory } from './factories/GovernanceExecutor.sol/GovernanceExecutor__factory.js';
 export type { IGovernanceRootPublisher } from './GovernanceExecutor.sol/IGovernanceRootPublisher.js';
 export { IGovernanceRootPublisher__factory } from './factories/GovernanceExecutor.sol/IGovernanceRootPublisher__factory.js';
-export { GovernanceRootPublisher__factory } from './factories/GovernanceRootPublisher__factory.js';
+export type { GovernanceRootPublisher } from './GovernanceRootPublisher.sol/GovernanceRootPublisher.js';
+export { GovernanceRootPublisher__factory } from './factories/GovernanceRootPublisher.sol/GovernanceRootPublisher__factory.js';
+export type { IExchangeRateCheckpoints } from './GovernanceRootPublisher.sol/IExchangeRateCheckpoints.js';
+export { IExchangeRateCheckpoints__factory } from './factories/GovernanceRootPublisher.sol/IExchangeRateCheckpoints__factory.js';
+export type { ICrossChainMessenger } from './ICrossChainMessenger.sol/ICrossChainMessenger.js';
+export { ICrossChainMessenger__factory } from './factories/ICrossChainMessenger.sol/ICrossChainMessenger__factory.js';
+export type { IMessageReceiver } from './ICrossChainMessenger.sol/IMessageReceiver.js';
+export { IMessageReceiver__factory } from './factories/ICrossChainMessenger.sol/IMessageReceiver__factory.js';
 export type { LiquidStakingVault } from './LiquidStakingVault.sol/LiquidStakingVault.js';
 export { LiquidStakingVault__factory } from './factories/LiquidStakingVault.sol/LiquidStakingVault__factory.js';
 export type { WithdrawalNFT } from './LiquidStakingVault.sol/WithdrawalNFT.js';
 export { WithdrawalNFT__factory } from './factories/LiquidStakingVault.sol/WithdrawalNFT__factory.js';
 export { MockERC20__factory } from './factories/MockERC20__factory.js';
+export { MockMessenger__factory } from './factories/MockMessenger__factory.js';
+export { MockSmartWallet__factory } from './factories/MockSmartWallet__factory.js';
+export { RelayerSet__factory } from './factories/RelayerSet__factory.js';
 export { VoteVerifier__factory } from './factories/VoteVerifier__factory.js';
\ No newline at end of file